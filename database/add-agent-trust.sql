@@ -0,0 +1,21 @@
+-- ===========================================
+-- MIGRATION: Agent Trust
+-- ===========================================
+-- Adds the feedback table that, together with approval history and agent task
+-- outcomes, drives each agent's computed trust score
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS agent_feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),
+    action_type VARCHAR(100),
+    approval_id UUID REFERENCES approvals_queue(id) ON DELETE SET NULL,
+    agent_task_id UUID REFERENCES agent_tasks(id) ON DELETE SET NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_feedback_agent_id ON agent_feedback(agent_id, created_at);
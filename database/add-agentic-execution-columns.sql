@@ -0,0 +1,19 @@
+-- ===========================================
+-- MIGRATION: Add Agentic Task Execution State
+-- ===========================================
+-- Adds the columns the agentic executor uses to persist plans, progress
+-- and budgets so in-flight goals resume after a restart
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS plan JSONB;
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS state JSONB DEFAULT '{}';
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP;
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS budget_amount DECIMAL(12,2);
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS spent_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE agentic_tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+-- Executor resumes goals by status
+CREATE INDEX IF NOT EXISTS idx_agentic_tasks_status ON agentic_tasks(status);
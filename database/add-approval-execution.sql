@@ -0,0 +1,30 @@
+-- ===========================================
+-- MIGRATION: Approval Execution
+-- ===========================================
+-- Records what approved agent actions did (or why they failed), keeps snapshots
+-- of rows before an approved deletion, and lets tasks and projects be soft-deleted
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS execution_status VARCHAR(50);
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS executed_at TIMESTAMP;
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS execution_result JSONB;
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+ALTER TABLE approval_history ADD COLUMN IF NOT EXISTS execution_result JSONB;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS approval_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    approval_id UUID NOT NULL REFERENCES approvals_queue(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_type VARCHAR(100) NOT NULL,
+    resource_id UUID NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_snapshots_approval_id ON approval_snapshots(approval_id);
+CREATE INDEX IF NOT EXISTS idx_approval_snapshots_resource ON approval_snapshots(resource_type, resource_id);
@@ -0,0 +1,23 @@
+-- ===========================================
+-- MIGRATION: Approval Policies
+-- ===========================================
+-- Adds user-defined approval policies: per action type and agent rules that never
+-- allow, always ask for, or auto-approve matching agent actions
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS approval_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    action_type VARCHAR(100),
+    agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+    effect VARCHAR(50) NOT NULL,
+    conditions JSONB DEFAULT '{}',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_policies_user_id ON approval_policies(user_id) WHERE is_active = TRUE;
@@ -0,0 +1,22 @@
+-- ===========================================
+-- MIGRATION: Approval Reply Tokens
+-- ===========================================
+-- Adds the single-use signed codes sent with approval requests over WhatsApp and
+-- Gmail, so approvals can be resolved by replying "approve <code>"
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS approval_reply_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    approval_id UUID NOT NULL REFERENCES approvals_queue(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code VARCHAR(12) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    platform VARCHAR(50) NOT NULL,
+    recipient VARCHAR(500) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_reply_tokens_code ON approval_reply_tokens(user_id, code);
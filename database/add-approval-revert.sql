@@ -0,0 +1,32 @@
+-- ===========================================
+-- MIGRATION: Approval Revert
+-- ===========================================
+-- Stores the compensating action registered by each executed approval so it can
+-- be undone, and adds the outbox that scheduled approved emails wait in
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS compensation JSONB;
+ALTER TABLE approvals_queue ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    approval_id UUID REFERENCES approvals_queue(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL DEFAULT 'gmail',
+    recipient VARCHAR(500) NOT NULL,
+    recipient_name VARCHAR(255),
+    subject TEXT,
+    content TEXT NOT NULL,
+    thread_id VARCHAR(255),
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(50) DEFAULT 'scheduled',
+    sent_at TIMESTAMP,
+    external_id VARCHAR(255),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_user_id ON outbound_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_send_at ON outbound_messages(send_at) WHERE status = 'scheduled';
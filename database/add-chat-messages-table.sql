@@ -0,0 +1,19 @@
+-- ===========================================
+-- MIGRATION: Add Chat Messages Table
+-- ===========================================
+-- Stores chat turns so /api/chat/history has something to return and
+-- streamed replies can report the id of the stored assistant message
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    model VARCHAR(100),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_user_created ON chat_messages(user_id, created_at);
@@ -0,0 +1,16 @@
+-- ===========================================
+-- MIGRATION: Chat Tool Calling
+-- ===========================================
+-- Lets chat history store tool calls ('tool' rows) and adds the columns
+-- reminders scheduled from chat need on notifications
+-- Safe to run multiple times due to IF EXISTS / IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE chat_messages DROP CONSTRAINT IF EXISTS chat_messages_role_check;
+ALTER TABLE chat_messages ADD CONSTRAINT chat_messages_role_check
+    CHECK (role IN ('user', 'assistant', 'tool'));
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS data JSONB;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_scheduled_for ON notifications(scheduled_for) WHERE status = 'scheduled';
@@ -0,0 +1,39 @@
+-- ===========================================
+-- MIGRATION: DaddyAgent State
+-- ===========================================
+-- Persists DaddyAgent monitoring (monitored tasks, next check times, escalation state
+-- and metrics) so it survives restarts; the daddy.check_tasks sweep runs due checks
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS daddy_agent_state (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    settings JSONB DEFAULT '{}',
+    metrics JSONB DEFAULT '{}',
+    escalation_queue JSONB DEFAULT '[]',
+    suggestion_history JSONB DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS daddy_monitored_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    task_data JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'stopped')),
+    check_interval_seconds INTEGER NOT NULL,
+    next_check_at TIMESTAMP NOT NULL,
+    monitoring_start TIMESTAMP NOT NULL,
+    last_check_at TIMESTAMP,
+    escalation_level INTEGER DEFAULT 0,
+    reminders_sent INTEGER DEFAULT 0,
+    last_reminder_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daddy_monitored_tasks_due ON daddy_monitored_tasks(status, next_check_at);
+
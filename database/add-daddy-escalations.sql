@@ -0,0 +1,37 @@
+-- ===========================================
+-- MIGRATION: DaddyAgent Escalation Ladders
+-- ===========================================
+-- Per-user escalation ladders (in-app, email digest, WhatsApp, repeat) with quiet hours
+-- and do-not-disturb windows, the ladder state of each monitored task, and an audit
+-- trail of every escalation step and reminder
+-- Safe to run multiple times due to IF EXISTS / IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE daddy_agent_state ADD COLUMN IF NOT EXISTS escalation_settings JSONB DEFAULT '{}';
+ALTER TABLE daddy_monitored_tasks ADD COLUMN IF NOT EXISTS escalation_state JSONB;
+
+CREATE TABLE IF NOT EXISTS daddy_escalation_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('escalation', 'reminder')),
+    step_index INTEGER,
+    channel VARCHAR(20),
+    priority INTEGER,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'queued', 'sending', 'held', 'skipped', 'failed', 'stopped')),
+    reason TEXT,
+    outcome TEXT,
+    recipient VARCHAR(255),
+    notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    held_until TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 'sending' marks digest steps a worker has claimed
+ALTER TABLE daddy_escalation_events DROP CONSTRAINT IF EXISTS daddy_escalation_events_status_check;
+ALTER TABLE daddy_escalation_events ADD CONSTRAINT daddy_escalation_events_status_check
+    CHECK (status IN ('sent', 'queued', 'sending', 'held', 'skipped', 'failed', 'stopped'));
+
+CREATE INDEX IF NOT EXISTS idx_daddy_escalation_events_user ON daddy_escalation_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_daddy_escalation_events_queued ON daddy_escalation_events(channel, status);
@@ -0,0 +1,12 @@
+-- ===========================================
+-- MIGRATION: DaddyAgent Strategy Policies
+-- ===========================================
+-- Per-user bandit policies for reminder tone, reminder timing and suggestion types,
+-- the reminders still waiting to be rewarded, and each monitored task's reminder gap
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE daddy_agent_state ADD COLUMN IF NOT EXISTS strategy_policies JSONB DEFAULT '{}';
+ALTER TABLE daddy_agent_state ADD COLUMN IF NOT EXISTS pending_rewards JSONB DEFAULT '[]';
+
+ALTER TABLE daddy_monitored_tasks ADD COLUMN IF NOT EXISTS reminder_gap_hours INTEGER DEFAULT 6;
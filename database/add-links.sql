@@ -0,0 +1,25 @@
+-- ===========================================
+-- MIGRATION: Links
+-- ===========================================
+-- The graph of [[Title]] and @task:<id> links between notes, mind notes, tasks and
+-- projects. Run POST /api/links/reindex afterwards to index existing items.
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('task', 'project', 'note', 'mind_note')),
+    source_id UUID NOT NULL,
+    syntax VARCHAR(10) NOT NULL CHECK (syntax IN ('wiki', 'ref')),
+    target_type VARCHAR(20) CHECK (target_type IN ('task', 'project', 'note', 'mind_note')),
+    target_id UUID,
+    target_title VARCHAR(200),
+    broken BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_links_source ON links(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_links_target ON links(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_links_user_broken ON links(user_id) WHERE broken = TRUE;
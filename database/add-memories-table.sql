@@ -0,0 +1,61 @@
+-- ===========================================
+-- MIGRATION: Add Conversation Memory
+-- ===========================================
+-- Long-term memory for chat and agents: embedded chat messages, agent
+-- conversations, mind notes and email summaries, searched with pgvector
+-- Requires the pgvector extension (available on Supabase)
+-- Safe to run multiple times due to IF NOT EXISTS / OR REPLACE clauses
+-- ===========================================
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Memories table - Embedded chat messages, agent conversations, mind notes and email summaries
+CREATE TABLE IF NOT EXISTS memories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_type VARCHAR(50) NOT NULL, -- 'chat_message', 'agent_conversation', 'mind_note', 'email'
+    source_id VARCHAR(255) NOT NULL, -- Id of the row the memory was taken from
+    content TEXT NOT NULL,
+    embedding vector(1536),
+    embedding_model VARCHAR(100) NOT NULL, -- Only memories embedded by the same model are compared
+    metadata JSONB DEFAULT '{}',
+    forgotten BOOLEAN DEFAULT FALSE, -- Forgotten memories keep a tombstone so re-indexing skips them
+    source_created_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memories_user_id ON memories(user_id);
+CREATE INDEX IF NOT EXISTS idx_memories_embedding ON memories USING hnsw (embedding vector_cosine_ops);
+
+-- Most similar memories for a user, scored by cosine similarity
+CREATE OR REPLACE FUNCTION match_memories(
+    query_embedding vector(1536),
+    match_user_id UUID,
+    match_model VARCHAR,
+    match_count INTEGER DEFAULT 5,
+    source_types VARCHAR[] DEFAULT NULL,
+    min_similarity FLOAT DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    source_type VARCHAR,
+    source_id VARCHAR,
+    content TEXT,
+    metadata JSONB,
+    source_created_at TIMESTAMP,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT m.id, m.source_type, m.source_id, m.content, m.metadata, m.source_created_at,
+           1 - (m.embedding <=> query_embedding) AS similarity
+    FROM memories m
+    WHERE m.user_id = match_user_id
+      AND m.embedding_model = match_model
+      AND NOT m.forgotten
+      AND (source_types IS NULL OR m.source_type = ANY(source_types))
+      AND 1 - (m.embedding <=> query_embedding) >= min_similarity
+    ORDER BY m.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
@@ -0,0 +1,34 @@
+-- ===========================================
+-- MIGRATION: Mind Note Processing
+-- ===========================================
+-- Processing status for mind notes, the model that processed them, and the tasks, goals
+-- and questions proposed from them for the user to accept or discard
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE mind_notes ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'processed', 'failed'));
+ALTER TABLE mind_notes ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
+ALTER TABLE mind_notes ADD COLUMN IF NOT EXISTS processing_error TEXT;
+ALTER TABLE mind_notes ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP;
+
+-- Notes processed before this migration
+UPDATE mind_notes SET status = 'processed' WHERE processed = TRUE AND status = 'queued';
+
+CREATE TABLE IF NOT EXISTS mind_note_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note_id UUID NOT NULL REFERENCES mind_notes(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('task', 'goal', 'question')),
+    title VARCHAR(1000) NOT NULL,
+    description TEXT,
+    details JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'discarded')),
+    created_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+    created_goal_id UUID REFERENCES goals(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mind_notes_user_status ON mind_notes(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_mind_note_items_note_id ON mind_note_items(note_id);
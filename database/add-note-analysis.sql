@@ -0,0 +1,12 @@
+-- ===========================================
+-- MIGRATION: Note Analysis
+-- ===========================================
+-- Attempts, errors and the model used for each ai_processing_queue item, now that the
+-- Node backend analyses queued notes
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
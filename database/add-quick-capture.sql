@@ -0,0 +1,49 @@
+-- ===========================================
+-- MIGRATION: Quick Capture
+-- ===========================================
+-- Notes written by /api/ingest and the bigpage-ingest function from the shared capture
+-- grammar, the queue of notes waiting for analysis, and tasks linked to their note.
+-- Notes tables created before this keep their rows and gain the missing columns.
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS prefix VARCHAR(10);
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS category VARCHAR(50) DEFAULT 'general';
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS title VARCHAR(200);
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 3;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS due_at TIMESTAMP;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS source_type VARCHAR(50) DEFAULT 'ingest';
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS auto_categorized BOOLEAN DEFAULT FALSE;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS protected BOOLEAN DEFAULT FALSE;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS stale BOOLEAN DEFAULT FALSE;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS ai_analysis JSONB;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS ai_processing_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note_id UUID NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+    processing_type VARCHAR(50) NOT NULL,
+    priority INTEGER DEFAULT 3,
+    ai_provider VARCHAR(50) DEFAULT 'local',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    result_data JSONB,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_note_id UUID REFERENCES notes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_user_id ON notes(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_processing_queue_pending ON ai_processing_queue(user_id, priority) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_tasks_source_note_id ON tasks(source_note_id);
@@ -0,0 +1,34 @@
+-- ===========================================
+-- MIGRATION: Recurring Tasks
+-- ===========================================
+-- Adds task_series (an RRULE plus the task template) and links occurrence
+-- tasks to their series
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS task_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    title VARCHAR(1000) NOT NULL,
+    description TEXT,
+    priority INTEGER DEFAULT 3,
+    estimated_duration INTEGER,
+    source VARCHAR(100) DEFAULT 'manual',
+    rrule TEXT NOT NULL,
+    dtstart TIMESTAMP NOT NULL, -- wall-clock time in the user's timezone
+    next_occurrence_at TIMESTAMP,
+    occurrences_created INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES task_series(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS occurrence_at TIMESTAMP;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_exception BOOLEAN DEFAULT FALSE;
+
+-- One task per occurrence, however many times the scheduler runs
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_series_occurrence ON tasks(series_id, occurrence_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id);
+CREATE INDEX IF NOT EXISTS idx_task_series_next_occurrence ON task_series(next_occurrence_at) WHERE status = 'active';
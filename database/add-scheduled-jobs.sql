@@ -0,0 +1,33 @@
+-- ===========================================
+-- MIGRATION: Scheduled Jobs
+-- ===========================================
+-- Adds the durable job table that replaces the per-process setInterval loops:
+-- cron and one-off jobs with leases, retries with backoff and a dead-letter state
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL UNIQUE,
+    handler VARCHAR(100) NOT NULL,
+    payload JSONB DEFAULT '{}',
+    schedule VARCHAR(100),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'running', 'paused', 'completed', 'dead')),
+    run_at TIMESTAMP NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    backoff_seconds INTEGER DEFAULT 30,
+    lease_seconds INTEGER DEFAULT 300,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,
+    lock_version INTEGER DEFAULT 0,
+    last_run_at TIMESTAMP,
+    last_duration_ms INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_handler ON scheduled_jobs(handler);
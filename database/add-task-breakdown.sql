@@ -0,0 +1,14 @@
+-- ===========================================
+-- MIGRATION: Task Breakdown
+-- ===========================================
+-- Subtasks linked to a parent task, the parent's progress computed from them, and the
+-- step length DaddyAgent learns from feedback on its breakdowns
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+
+ALTER TABLE daddy_agent_state ADD COLUMN IF NOT EXISTS breakdown_preferences JSONB DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_task_id ON tasks(parent_task_id);
@@ -0,0 +1,21 @@
+-- ===========================================
+-- MIGRATION: Task Dependencies
+-- ===========================================
+-- Adds the dependency graph between user tasks and agent tasks
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_kind VARCHAR(20) NOT NULL CHECK (task_kind IN ('task', 'agent_task')),
+    task_id UUID NOT NULL,
+    depends_on_kind VARCHAR(20) NOT NULL CHECK (depends_on_kind IN ('task', 'agent_task')),
+    depends_on_id UUID NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_kind, task_id, depends_on_kind, depends_on_id),
+    CHECK (task_kind <> depends_on_kind OR task_id <> depends_on_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_user_id ON task_dependencies(user_id);
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_depends_on ON task_dependencies(depends_on_kind, depends_on_id);
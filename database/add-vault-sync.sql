@@ -0,0 +1,29 @@
+-- ===========================================
+-- MIGRATION: Vault sync
+-- ===========================================
+-- Importing and exporting Obsidian/Markdown vaults: vault_items remembers where each
+-- imported project, note and task came from so importing again updates them in place.
+-- Also adds projects.parent_project_id, which subprojects already rely on.
+-- Safe to run multiple times due to IF NOT EXISTS clauses
+-- ===========================================
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS parent_project_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+
+ALTER TABLE notes DROP CONSTRAINT IF EXISTS notes_source_type_check;
+ALTER TABLE notes ADD CONSTRAINT notes_source_type_check CHECK (source_type IN ('ingest', 'bigpage', 'vault'));
+
+CREATE TABLE IF NOT EXISTS vault_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('project', 'note', 'task')),
+    item_id UUID NOT NULL,
+    source_id TEXT NOT NULL,
+    path TEXT NOT NULL,
+    checksum VARCHAR(64),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, item_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vault_items_item ON vault_items(item_type, item_id);
@@ -1,4 +1,5 @@
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS vector;
 
 -- Users table
 CREATE TABLE users (
@@ -21,6 +22,67 @@ CREATE TABLE projects (
     priority INTEGER DEFAULT 3,
     status VARCHAR(50) DEFAULT 'active',
     deadline DATE,
+    parent_project_id UUID REFERENCES projects(id) ON DELETE CASCADE, -- Set on subprojects
+    deleted_at TIMESTAMP, -- Soft-deleted by an approved data_deletion
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Quick-capture notes: one per line sent to /api/ingest or the big page
+CREATE TABLE notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    prefix VARCHAR(10), -- zz, ?, og, // or !!; NULL for plain notes
+    category VARCHAR(50) DEFAULT 'general',
+    title VARCHAR(200),
+    content TEXT NOT NULL, -- The line without its prefix
+    tags TEXT[] DEFAULT '{}',
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL, -- From an @project reference
+    priority INTEGER DEFAULT 3,
+    due_at TIMESTAMP,
+    source_type VARCHAR(50) DEFAULT 'ingest' CHECK (source_type IN ('ingest', 'bigpage', 'vault')),
+    auto_categorized BOOLEAN DEFAULT FALSE,
+    protected BOOLEAN DEFAULT FALSE,
+    stale BOOLEAN DEFAULT FALSE,
+    ai_analysis JSONB,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notes waiting for AI analysis
+CREATE TABLE ai_processing_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note_id UUID NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+    processing_type VARCHAR(50) NOT NULL, -- The note's type: task, question, urgent, ...
+    priority INTEGER DEFAULT 3,
+    ai_provider VARCHAR(50) DEFAULT 'local',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    ai_model VARCHAR(100), -- Model that produced result_data
+    result_data JSONB,
+    error_message TEXT, -- Why the last attempt failed
+    started_at TIMESTAMP,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring task series: the template and RRULE that occurrence tasks are created from
+CREATE TABLE task_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    title VARCHAR(1000) NOT NULL,
+    description TEXT,
+    priority INTEGER DEFAULT 3,
+    estimated_duration INTEGER,
+    source VARCHAR(100) DEFAULT 'manual',
+    rrule TEXT NOT NULL,
+    dtstart TIMESTAMP NOT NULL, -- wall-clock time in the user's timezone
+    next_occurrence_at TIMESTAMP,
+    occurrences_created INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -40,8 +102,29 @@ CREATE TABLE tasks (
     ai_generated BOOLEAN DEFAULT FALSE,
     source VARCHAR(100) DEFAULT 'manual',
     source_data JSONB,
+    series_id UUID REFERENCES task_series(id) ON DELETE SET NULL,
+    occurrence_at TIMESTAMP,
+    recurrence_exception BOOLEAN DEFAULT FALSE,
+    parent_task_id UUID REFERENCES tasks(id) ON DELETE CASCADE, -- Set on subtasks
+    source_note_id UUID REFERENCES notes(id) ON DELETE SET NULL, -- The quick-capture note a task came from
+    progress INTEGER DEFAULT 0, -- Percentage of subtask time done
+    deleted_at TIMESTAMP, -- Soft-deleted by an approved data_deletion
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(series_id, occurrence_at)
+);
+
+-- Task dependencies: task (a user task or agent task) is blocked by depends_on
+CREATE TABLE task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_kind VARCHAR(20) NOT NULL CHECK (task_kind IN ('task', 'agent_task')),
+    task_id UUID NOT NULL,
+    depends_on_kind VARCHAR(20) NOT NULL CHECK (depends_on_kind IN ('task', 'agent_task')),
+    depends_on_id UUID NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(task_kind, task_id, depends_on_kind, depends_on_id),
+    CHECK (task_kind <> depends_on_kind OR task_id <> depends_on_id)
 );
 
 -- Goals table
@@ -63,7 +146,15 @@ CREATE INDEX idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX idx_tasks_project_id ON tasks(project_id);
 CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_priority ON tasks(priority);
+CREATE INDEX idx_tasks_series_id ON tasks(series_id);
+CREATE INDEX idx_tasks_parent_task_id ON tasks(parent_task_id);
+CREATE INDEX idx_task_dependencies_user_id ON task_dependencies(user_id);
+CREATE INDEX idx_task_dependencies_depends_on ON task_dependencies(depends_on_kind, depends_on_id);
+CREATE INDEX idx_task_series_next_occurrence ON task_series(next_occurrence_at) WHERE status = 'active';
 CREATE INDEX idx_projects_user_id ON projects(user_id);
+CREATE INDEX idx_notes_user_id ON notes(user_id, created_at);
+CREATE INDEX idx_ai_processing_queue_pending ON ai_processing_queue(user_id, priority) WHERE status = 'pending';
+CREATE INDEX idx_tasks_source_note_id ON tasks(source_note_id);
 CREATE INDEX idx_goals_user_id ON goals(user_id);
 
 -- Emails table
@@ -98,8 +189,10 @@ CREATE TABLE notifications (
     title VARCHAR(1000) NOT NULL,
     message TEXT,
     priority INTEGER DEFAULT 3,
-    status VARCHAR(50) DEFAULT 'pending',
+    status VARCHAR(50) DEFAULT 'pending', -- 'scheduled' until scheduled_for, then 'pending'
     action_required BOOLEAN DEFAULT FALSE,
+    data JSONB,
+    scheduled_for TIMESTAMP, -- Delivery time for reminders
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -125,6 +218,7 @@ CREATE INDEX idx_emails_received_at ON emails(received_at);
 CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_status ON notifications(status);
 CREATE INDEX idx_notifications_priority ON notifications(priority);
+CREATE INDEX idx_notifications_scheduled_for ON notifications(scheduled_for) WHERE status = 'scheduled';
 CREATE INDEX idx_gmail_tokens_user_id ON gmail_tokens(user_id);
 
 -- ===========================================
@@ -292,11 +386,17 @@ CREATE TABLE approvals_queue (
     reason TEXT, -- Why approval is needed
     risk_level VARCHAR(50) DEFAULT 'low', -- 'low', 'medium', 'high', 'critical'
     priority INTEGER DEFAULT 3, -- 1 = highest, 5 = lowest
-    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'expired'
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'expired', 'escalated', 'failed'
     approved_by UUID REFERENCES users(id),
     approved_at TIMESTAMP,
     expires_at TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP + INTERVAL '24 hours'),
     review_notes TEXT,
+    execution_status VARCHAR(50), -- NULL until approved and claimed; 'running', 'executed', 'failed', 'reverting', 'reverted'
+    executed_at TIMESTAMP,
+    execution_result JSONB,
+    failure_reason TEXT,
+    compensation JSONB, -- Compensating action that undoes the executed action: { action, params }
+    reverted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -307,11 +407,143 @@ CREATE TABLE approval_history (
     approval_id UUID NOT NULL REFERENCES approvals_queue(id) ON DELETE CASCADE,
     agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    action_taken VARCHAR(50) NOT NULL, -- 'approved', 'rejected', 'expired', 'auto_approved'
+    action_taken VARCHAR(50) NOT NULL, -- 'approved', 'rejected', 'expired', 'auto_approved', 'executed', 'execution_failed', 'reverted'
     action_data JSONB NOT NULL, -- Action data at time of approval
     decision_reason TEXT,
     processing_time_ms INTEGER,
     risk_assessment JSONB DEFAULT '{}',
+    execution_result JSONB, -- What an executed action did
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound messages - Approved emails scheduled to be sent later; recallable until sent
+CREATE TABLE outbound_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    approval_id UUID REFERENCES approvals_queue(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL DEFAULT 'gmail',
+    recipient VARCHAR(500) NOT NULL,
+    recipient_name VARCHAR(255),
+    subject TEXT,
+    content TEXT NOT NULL,
+    thread_id VARCHAR(255),
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(50) DEFAULT 'scheduled', -- 'scheduled', 'sending', 'sent', 'failed', 'cancelled'
+    sent_at TIMESTAMP,
+    external_id VARCHAR(255),
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval snapshots - Rows as they were before an approved action changed them
+CREATE TABLE approval_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    approval_id UUID NOT NULL REFERENCES approvals_queue(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    resource_type VARCHAR(100) NOT NULL, -- Table the row came from
+    resource_id UUID NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval reply tokens - Single-use signed codes sent with approval requests over
+-- WhatsApp/Gmail; replying "approve <code>" resolves the approval
+CREATE TABLE approval_reply_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    approval_id UUID NOT NULL REFERENCES approvals_queue(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code VARCHAR(12) NOT NULL, -- HMAC of approval_id and nonce, truncated
+    nonce VARCHAR(64) NOT NULL,
+    platform VARCHAR(50) NOT NULL, -- Channel the code was sent on; replies must come back on it
+    recipient VARCHAR(500) NOT NULL, -- Address or number the code was sent to
+    expires_at TIMESTAMP NOT NULL, -- The approval's own expiry
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Approval policies - The user's own approval rules, layered over the built-in templates
+CREATE TABLE approval_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    action_type VARCHAR(100), -- NULL applies to every action type
+    agent_id UUID REFERENCES agents(id) ON DELETE CASCADE, -- NULL applies to every agent
+    effect VARCHAR(50) NOT NULL, -- 'never_allow', 'always_ask', 'auto_approve'
+    conditions JSONB DEFAULT '{}', -- recipients, amount, priority, time_window; all must hold
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Agent feedback - The user's thumbs up or down on what an agent did; feeds its trust score
+CREATE TABLE agent_feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),
+    action_type VARCHAR(100), -- NULL applies to every action type
+    approval_id UUID REFERENCES approvals_queue(id) ON DELETE SET NULL,
+    agent_task_id UUID REFERENCES agent_tasks(id) ON DELETE SET NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- DaddyAgent state - Per-user setting overrides, metrics, escalation queue and recent
+-- suggestions, so oversight survives restarts
+CREATE TABLE daddy_agent_state (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    settings JSONB DEFAULT '{}', -- Overrides of the pattern-based recommendations
+    metrics JSONB DEFAULT '{}',
+    escalation_queue JSONB DEFAULT '[]',
+    suggestion_history JSONB DEFAULT '[]', -- Most recent suggestions only
+    escalation_settings JSONB DEFAULT '{}', -- Escalation ladder, quiet hours and do-not-disturb windows
+    breakdown_preferences JSONB DEFAULT '{}', -- Preferred step length, learnt from feedback on breakdowns
+    strategy_policies JSONB DEFAULT '{}', -- Bandit posteriors for reminder tone, reminder timing and suggestion types
+    pending_rewards JSONB DEFAULT '[]', -- Reminders still waiting for an outcome to reward
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- DaddyAgent monitored tasks - Tasks under DaddyAgent oversight and when each is next checked
+CREATE TABLE daddy_monitored_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    task_data JSONB DEFAULT '{}', -- The task as it was when monitoring started
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'stopped')),
+    check_interval_seconds INTEGER NOT NULL,
+    next_check_at TIMESTAMP NOT NULL,
+    monitoring_start TIMESTAMP NOT NULL,
+    last_check_at TIMESTAMP,
+    escalation_level INTEGER DEFAULT 0,
+    escalation_state JSONB, -- The escalation ladder under way: next step, when it is due, what started it
+    reminders_sent INTEGER DEFAULT 0,
+    last_reminder_at TIMESTAMP,
+    reminder_gap_hours INTEGER DEFAULT 6, -- Wait before the next reminder, as picked for the last one
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, task_id)
+);
+
+-- DaddyAgent escalation events - Audit trail of every escalation step and reminder sent, held or skipped
+CREATE TABLE daddy_escalation_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('escalation', 'reminder')),
+    step_index INTEGER, -- Position in the ladder; NULL for reminders and stops
+    channel VARCHAR(20), -- 'in_app', 'email_digest', 'whatsapp', 'repeat', 'gmail'
+    priority INTEGER,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'queued', 'sending', 'held', 'skipped', 'failed', 'stopped')),
+    reason TEXT, -- Why the task was escalated
+    outcome TEXT, -- Why the step was held, skipped, failed or stopped
+    recipient VARCHAR(255),
+    notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    held_until TIMESTAMP,
+    sent_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -399,6 +631,28 @@ CREATE INDEX idx_approval_history_user_id ON approval_history(user_id);
 CREATE INDEX idx_approval_history_action_taken ON approval_history(action_taken);
 CREATE INDEX idx_approval_history_created_at ON approval_history(created_at);
 
+-- Outbound messages indexes
+CREATE INDEX idx_outbound_messages_user_id ON outbound_messages(user_id);
+CREATE INDEX idx_outbound_messages_send_at ON outbound_messages(send_at) WHERE status = 'scheduled';
+
+-- Approval snapshots indexes
+CREATE INDEX idx_approval_snapshots_approval_id ON approval_snapshots(approval_id);
+CREATE INDEX idx_approval_snapshots_resource ON approval_snapshots(resource_type, resource_id);
+
+-- Approval reply token indexes
+CREATE INDEX idx_approval_reply_tokens_code ON approval_reply_tokens(user_id, code);
+
+-- Approval policy indexes
+CREATE INDEX idx_approval_policies_user_id ON approval_policies(user_id) WHERE is_active = TRUE;
+
+-- Agent feedback indexes
+CREATE INDEX idx_agent_feedback_agent_id ON agent_feedback(agent_id, created_at);
+
+-- DaddyAgent monitored task indexes
+CREATE INDEX idx_daddy_monitored_tasks_due ON daddy_monitored_tasks(status, next_check_at);
+CREATE INDEX idx_daddy_escalation_events_user ON daddy_escalation_events(user_id, created_at);
+CREATE INDEX idx_daddy_escalation_events_queued ON daddy_escalation_events(channel, status);
+
 -- Agent metrics indexes
 CREATE INDEX idx_agent_metrics_agent_id ON agent_metrics(agent_id);
 CREATE INDEX idx_agent_metrics_task_id ON agent_metrics(task_id);
@@ -445,10 +699,61 @@ CREATE TABLE mind_notes (
     processed BOOLEAN DEFAULT FALSE,
     ai_summary TEXT,
     ai_tags JSONB,
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'processed', 'failed')),
+    ai_model VARCHAR(100), -- Model that last processed the note
+    processing_error TEXT,
+    processed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tasks, goals and questions proposed from a mind note, awaiting the user's decision
+CREATE TABLE mind_note_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    note_id UUID NOT NULL REFERENCES mind_notes(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('task', 'goal', 'question')),
+    title VARCHAR(1000) NOT NULL,
+    description TEXT,
+    details JSONB DEFAULT '{}', -- Task priority/deadline or goal type/target_date
+    status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'discarded')),
+    created_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+    created_goal_id UUID REFERENCES goals(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Links between notes, mind notes, tasks and projects: [[Title]] and @task:<id> in their text
+CREATE TABLE links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('task', 'project', 'note', 'mind_note')),
+    source_id UUID NOT NULL,
+    syntax VARCHAR(10) NOT NULL CHECK (syntax IN ('wiki', 'ref')),
+    target_type VARCHAR(20) CHECK (target_type IN ('task', 'project', 'note', 'mind_note')), -- NULL for a [[Title]] nothing answers to
+    target_id UUID,
+    target_title VARCHAR(200), -- The [[Title]] as written, or the target's title
+    broken BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Where projects, notes and tasks imported from a Markdown vault came from
+CREATE TABLE vault_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('project', 'note', 'task')),
+    item_id UUID NOT NULL,
+    source_id TEXT NOT NULL, -- folder:<path>, id:<front matter id> or path:<path>, plus #^<block id> or #<text> for tasks
+    path TEXT NOT NULL, -- The file or folder in the vault
+    checksum VARCHAR(64), -- SHA-256 of a note's file as last imported
+    metadata JSONB DEFAULT '{}', -- A note's front matter and tags, a task's text and status as last imported
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, item_type, source_id)
+);
+
 -- Agentic Tasks table
 CREATE TABLE agentic_tasks (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -460,24 +765,109 @@ CREATE TABLE agentic_tasks (
     money_constraint VARCHAR(255),
     agents_requested INTEGER DEFAULT 1,
     pm_agent_requested BOOLEAN DEFAULT FALSE,
-    status VARCHAR(50) DEFAULT 'pending',
+    status VARCHAR(50) DEFAULT 'pending', -- 'planning', 'running', 'completed', 'failed', 'timed_out', 'over_budget', 'cancelled'
+    plan JSONB, -- Step DAG produced by the planner
+    state JSONB DEFAULT '{}', -- Executor state: per-step status, spawned agent ids, PM agent id
+    progress INTEGER DEFAULT 0, -- Percentage of completed steps
+    deadline_at TIMESTAMP, -- Parsed from time_constraint
+    budget_amount DECIMAL(12,2), -- Parsed from money_constraint
+    spent_amount DECIMAL(12,2) DEFAULT 0,
+    error_message TEXT,
+    completed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Chat Messages table
+CREATE TABLE chat_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant', 'tool')),
+    content TEXT NOT NULL,
+    model VARCHAR(100), -- Catalog model id that produced an assistant message
+    metadata JSONB DEFAULT '{}', -- message type, fallback_used, cancelled, linked task/project ids; tool name, arguments and result for tool rows
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ===========================================
+-- CONVERSATION MEMORY
+-- ===========================================
+
+-- Memories table - Embedded chat messages, agent conversations, mind notes and email summaries
+CREATE TABLE memories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_type VARCHAR(50) NOT NULL, -- 'chat_message', 'agent_conversation', 'mind_note', 'email'
+    source_id VARCHAR(255) NOT NULL, -- Id of the row the memory was taken from
+    content TEXT NOT NULL,
+    embedding vector(1536),
+    embedding_model VARCHAR(100) NOT NULL, -- Only memories embedded by the same model are compared
+    metadata JSONB DEFAULT '{}',
+    forgotten BOOLEAN DEFAULT FALSE, -- Forgotten memories keep a tombstone so re-indexing skips them
+    source_created_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memories_user_id ON memories(user_id);
+CREATE INDEX IF NOT EXISTS idx_memories_embedding ON memories USING hnsw (embedding vector_cosine_ops);
+
+-- Most similar memories for a user, scored by cosine similarity
+CREATE OR REPLACE FUNCTION match_memories(
+    query_embedding vector(1536),
+    match_user_id UUID,
+    match_model VARCHAR,
+    match_count INTEGER DEFAULT 5,
+    source_types VARCHAR[] DEFAULT NULL,
+    min_similarity FLOAT DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    source_type VARCHAR,
+    source_id VARCHAR,
+    content TEXT,
+    metadata JSONB,
+    source_created_at TIMESTAMP,
+    similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT m.id, m.source_type, m.source_id, m.content, m.metadata, m.source_created_at,
+           1 - (m.embedding <=> query_embedding) AS similarity
+    FROM memories m
+    WHERE m.user_id = match_user_id
+      AND m.embedding_model = match_model
+      AND NOT m.forgotten
+      AND (source_types IS NULL OR m.source_type = ANY(source_types))
+      AND 1 - (m.embedding <=> query_embedding) >= min_similarity
+    ORDER BY m.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
 -- USER PREFERENCE INDEXES
 -- ===========================================
 
+-- Links indexes
+CREATE INDEX IF NOT EXISTS idx_links_source ON links(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_links_target ON links(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_links_user_broken ON links(user_id) WHERE broken = TRUE;
+CREATE INDEX IF NOT EXISTS idx_vault_items_item ON vault_items(item_type, item_id);
+
 -- Mind notes indexes
 CREATE INDEX IF NOT EXISTS idx_mind_notes_user_id ON mind_notes(user_id);
 CREATE INDEX IF NOT EXISTS idx_mind_notes_created_at ON mind_notes(created_at);
 CREATE INDEX IF NOT EXISTS idx_mind_notes_processed ON mind_notes(processed);
+CREATE INDEX IF NOT EXISTS idx_mind_notes_user_status ON mind_notes(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_mind_note_items_note_id ON mind_note_items(note_id);
 
 -- Agentic tasks indexes
 CREATE INDEX IF NOT EXISTS idx_agentic_tasks_user_id ON agentic_tasks(user_id);
 CREATE INDEX IF NOT EXISTS idx_agentic_tasks_status ON agentic_tasks(status);
 CREATE INDEX IF NOT EXISTS idx_agentic_tasks_created_at ON agentic_tasks(created_at);
 
+-- Chat messages indexes
+CREATE INDEX IF NOT EXISTS idx_chat_messages_user_created ON chat_messages(user_id, created_at);
+
 -- User preferences indexes
 CREATE INDEX IF NOT EXISTS idx_user_preferences_user_type_key ON user_preferences(user_id, preference_type, preference_key);
 CREATE INDEX IF NOT EXISTS idx_user_preferences_user_id ON user_preferences(user_id);
@@ -489,3 +879,36 @@ CREATE INDEX IF NOT EXISTS idx_user_learning_patterns_user_type ON user_learning
 CREATE INDEX IF NOT EXISTS idx_user_learning_patterns_user_id ON user_learning_patterns(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_learning_patterns_type ON user_learning_patterns(pattern_type);
 CREATE INDEX IF NOT EXISTS idx_user_learning_patterns_created_at ON user_learning_patterns(created_at);
+
+-- ===========================================
+-- BACKGROUND JOBS
+-- ===========================================
+
+-- Scheduled jobs - Durable cron, interval and one-off jobs shared by every server
+-- instance; an instance leases a due job before running it
+CREATE TABLE scheduled_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL UNIQUE, -- e.g. 'approvals.expire', 'messaging.sync:<integration id>'
+    handler VARCHAR(100) NOT NULL, -- Registered handler that runs it
+    payload JSONB DEFAULT '{}',
+    schedule VARCHAR(100), -- Cron expression or '@every 60s'; NULL for one-off jobs
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'running', 'paused', 'completed', 'dead')),
+    run_at TIMESTAMP NOT NULL, -- Next time the job is due
+    attempts INTEGER DEFAULT 0, -- Consecutive failures
+    max_attempts INTEGER DEFAULT 5, -- Failures before the job is dead-lettered
+    backoff_seconds INTEGER DEFAULT 30, -- First retry delay; doubles on each failure
+    lease_seconds INTEGER DEFAULT 300,
+    locked_by VARCHAR(255), -- Instance holding the lease
+    locked_until TIMESTAMP,
+    lock_version INTEGER DEFAULT 0, -- Bumped on every claim and admin change
+    last_run_at TIMESTAMP,
+    last_duration_ms INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scheduled job indexes
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_handler ON scheduled_jobs(handler);
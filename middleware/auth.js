@@ -1,6 +1,30 @@
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
 
+// Users listed in ADMIN_EMAILS get the admin role
+const isAdminEmail = (email) => (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .includes(String(email || '').toLowerCase());
+
+// Verify a Supabase access token and return the user it belongs to, or null if invalid
+const verifyAccessToken = async (token) => {
+    const { data: { user: supabaseUser }, error } = await supabase.auth.getUser(token);
+
+    if (error || !supabaseUser) {
+        logger.error('Supabase auth verification failed:', error);
+        return null;
+    }
+
+    return {
+        id: supabaseUser.id,
+        email: supabaseUser.email,
+        name: supabaseUser.user_metadata?.name || supabaseUser.email,
+        role: isAdminEmail(supabaseUser.email) ? 'admin' : 'user'
+    };
+};
+
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -11,19 +35,14 @@ const authenticateToken = async (req, res, next) => {
 
     try {
         // Verify with Supabase auth
-        const { data: { user: supabaseUser }, error } = await supabase.auth.getUser(token);
+        const user = await verifyAccessToken(token);
 
-        if (error || !supabaseUser) {
-            logger.error('Supabase auth verification failed:', error);
+        if (!user) {
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
 
         // Set user info from Supabase
-        req.user = {
-            id: supabaseUser.id,
-            email: supabaseUser.email,
-            name: supabaseUser.user_metadata?.name || supabaseUser.email
-        };
+        req.user = user;
 
         next();
     } catch (error) {
@@ -32,4 +51,12 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-module.exports = { authenticateToken };
+// Use after authenticateToken on routes only admins may call
+const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+module.exports = { authenticateToken, verifyAccessToken, requireAdmin };
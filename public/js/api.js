@@ -164,6 +164,47 @@ class APIClient {
         });
     }
 
+    // Streams a chat reply; onEvent receives each server event (start, token, task_created,
+    // project_created, done, error). Abort the signal to cancel mid-stream.
+    async streamChatMessage(message, { context = {}, onEvent = () => {}, signal } = {}) {
+        const response = await fetch(`${this.baseURL}/api/chat/process/stream`, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: JSON.stringify({ message, context }),
+            signal
+        });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                this.handleAuthError();
+            }
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const event of events) {
+                const data = event.split('\n')
+                    .filter(line => line.startsWith('data: '))
+                    .map(line => line.slice(6))
+                    .join('\n');
+                if (data) {
+                    onEvent(JSON.parse(data));
+                }
+            }
+        }
+    }
+
     async submitChatFeedback(feedbackData) {
         return this.request('/api/chat/feedback', {
             method: 'POST',
@@ -188,9 +229,20 @@ class APIClient {
     }
 
     async approveAction(approvalId, approved = true) {
-        return this.request(`/api/approvals/${approvalId}`, {
+        return this.request(`/api/agents/approvals/${approvalId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status: approved ? 'approved' : 'rejected' })
+        });
+    }
+
+    async getRecentApprovals() {
+        return this.request('/api/agents/approvals/recent');
+    }
+
+    async revertApproval(approvalId, reason = '') {
+        return this.request(`/api/agents/approvals/${approvalId}/revert`, {
             method: 'POST',
-            body: JSON.stringify({ approved })
+            body: JSON.stringify({ reason })
         });
     }
 
@@ -257,6 +309,30 @@ class APIClient {
         });
     }
 
+    async getMindNotes(options = {}) {
+        const queryParams = new URLSearchParams(options).toString();
+        return this.request(`/api/ai/notes?${queryParams}`);
+    }
+
+    async getMindNote(noteId) {
+        return this.request(`/api/ai/notes/${noteId}`);
+    }
+
+    async reprocessMindNote(noteId, model = null) {
+        return this.request(`/api/ai/notes/${noteId}/reprocess`, {
+            method: 'POST',
+            body: JSON.stringify({ model })
+        });
+    }
+
+    async acceptMindNoteItem(noteId, itemId) {
+        return this.request(`/api/ai/notes/${noteId}/items/${itemId}/accept`, { method: 'POST' });
+    }
+
+    async discardMindNoteItem(noteId, itemId) {
+        return this.request(`/api/ai/notes/${noteId}/items/${itemId}/discard`, { method: 'POST' });
+    }
+
     // Projects
     async getProjects(options = {}) {
         const queryParams = new URLSearchParams(options).toString();
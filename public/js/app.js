@@ -7,6 +7,7 @@ class KhizrAssistant {
         this.pendingApprovals = [];
         this.currentView = 'today';
         this.chatTabs = new Map();
+        this.chatStream = null;
 
         this.init();
     }
@@ -287,6 +288,7 @@ class KhizrAssistant {
                 <span class="task-title">${this.escapeHtml(task.title)}</span>
                 ${task.priority === 'urgent' ? '<span class="task-priority urgent">URGENT</span>' : ''}
                 ${task.task_type === 'agent' ? '<span class="task-priority research">AGENT</span>' : ''}
+                ${task.recurrence ? `<span class="task-recurrence" title="${this.escapeHtml(task.recurrence.rrule)}">↻ ${this.escapeHtml(task.recurrence.description)}</span>` : ''}
                 <div class="task-actions">
                     <button class="task-action-btn" onclick="app.completeTask('${task.id}')" title="Complete">✓</button>
                     <button class="task-action-btn" onclick="app.editTask('${task.id}')" title="Edit">✏️</button>
@@ -328,6 +330,7 @@ class KhizrAssistant {
     async createTask() {
         const taskInput = document.getElementById('taskInput');
         const prioritySelect = document.getElementById('taskPriority');
+        const repeatSelect = document.getElementById('taskRepeat');
 
         if (!taskInput || !taskInput.value.trim()) {
             window.UI.showWarning('Please enter a task description');
@@ -343,10 +346,15 @@ class KhizrAssistant {
                 task_type: 'manual'
             };
 
+            if (repeatSelect?.value) {
+                taskData.recurrence = { rrule: repeatSelect.value };
+            }
+
             const response = await window.API.createTask(taskData);
 
             if (response.success) {
                 taskInput.value = '';
+                if (repeatSelect) repeatSelect.value = '';
                 await this.loadTasks();
                 window.UI.showSuccess('Task created successfully!');
             }
@@ -658,7 +666,7 @@ class KhizrAssistant {
         if (!chatContainer) return;
 
         const messagesHTML = messages.map(message => `
-            <div class="chat-message ${message.sender === 'user' ? 'user' : 'assistant'}">
+            <div class="chat-message ${['user', 'tool'].includes(message.sender) ? message.sender : 'assistant'}">
                 <div class="message-content">${this.escapeHtml(message.content)}</div>
                 <div class="message-time">${new Date(message.timestamp).toLocaleTimeString()}</div>
             </div>
@@ -669,6 +677,12 @@ class KhizrAssistant {
     }
 
     async sendMessage() {
+        // While a reply is streaming the send button stops it
+        if (this.chatStream) {
+            this.chatStream.abort();
+            return;
+        }
+
         const messageInput = document.getElementById('messageInput');
         if (!messageInput || !messageInput.value.trim()) {
             window.UI.showWarning('Please enter a message');
@@ -678,45 +692,122 @@ class KhizrAssistant {
         const message = messageInput.value.trim();
         messageInput.value = '';
 
-        try {
-            // Add user message to UI immediately
-            this.addMessageToChat(message, 'user');
+        // Add user message to UI immediately
+        this.addMessageToChat(message, 'user');
 
-            // Show typing indicator
-            this.showTypingIndicator();
+        // Show typing indicator until the first token arrives
+        this.showTypingIndicator();
 
-            const response = await window.API.sendChatMessage(message);
+        const controller = new AbortController();
+        this.chatStream = controller;
+        this.setSendButtonStreaming(true);
 
-            // Hide typing indicator
+        let started = false;
+        let reply = null;
+        try {
+            await window.API.streamChatMessage(message, {
+                signal: controller.signal,
+                onEvent: event => {
+                    if (event.type === 'start') {
+                        started = true;
+                    } else if (event.type === 'token') {
+                        if (!reply) {
+                            this.hideTypingIndicator();
+                            reply = this.addMessageToChat('', 'assistant');
+                        }
+                        this.appendToChatMessage(reply, event.content);
+                    } else if (event.type === 'tool_call') {
+                        // Text after a tool call goes in a new bubble below it
+                        this.hideTypingIndicator();
+                        this.handleToolCall(event);
+                        this.showTypingIndicator();
+                        reply = null;
+                    } else if (event.type === 'error') {
+                        throw new Error(event.message);
+                    } else {
+                        this.handleChatActions(event);
+                    }
+                }
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                if (reply) {
+                    reply.classList.add('cancelled');
+                }
+            } else if (!started) {
+                // Streaming unavailable (e.g. a proxy buffering the response): fall back to a single reply
+                await this.sendMessageWithoutStreaming(message);
+            } else {
+                window.UI.handleError(error, 'Sending Message');
+            }
+        } finally {
             this.hideTypingIndicator();
+            this.chatStream = null;
+            this.setSendButtonStreaming(false);
+        }
+    }
+
+    async sendMessageWithoutStreaming(message) {
+        try {
+            const response = await window.API.sendChatMessage(message);
 
             if (response.success) {
+                (response.tool_calls || []).forEach(toolCall => this.handleToolCall(toolCall));
                 this.addMessageToChat(response.message, 'assistant');
-
-                // Handle project creation from chat
-                if (response.project_created) {
-                    window.UI.showSuccess(response.project_message || 'Project created successfully!');
-                    // Reload projects list if we're on projects view
-                    if (this.currentView === 'projects') {
-                        setTimeout(() => this.loadProjects(), 1000);
-                    }
-                }
-
-                // Handle task creation from chat
-                if (response.task_created) {
-                    window.UI.showSuccess(response.task_message || 'Task created successfully!');
-                    // Reload tasks if we're on today view
-                    if (this.currentView === 'today') {
-                        setTimeout(() => this.loadTasks(), 1000);
-                    }
-                }
+                this.handleChatActions({ type: 'task_created', ...response });
+                this.handleChatActions({ type: 'project_created', ...response });
             }
         } catch (error) {
-            this.hideTypingIndicator();
             window.UI.handleError(error, 'Sending Message');
         }
     }
 
+    // Task and project creation reported by the chat endpoints
+    handleChatActions(event) {
+        // Handle project creation from chat
+        if (event.type === 'project_created' && event.project_created) {
+            window.UI.showSuccess(event.project_message || 'Project created successfully!');
+            // Reload projects list if we're on projects view
+            if (this.currentView === 'projects') {
+                setTimeout(() => this.loadProjects(), 1000);
+            }
+        }
+
+        // Handle task creation from chat
+        if (event.type === 'task_created' && event.task_created) {
+            window.UI.showSuccess(event.task_message || 'Task created successfully!');
+            // Reload tasks if we're on today view
+            if (this.currentView === 'today') {
+                setTimeout(() => this.loadTasks(), 1000);
+            }
+        }
+    }
+
+    // Show what a chat tool did; risky ones wait in the approvals queue
+    handleToolCall(toolCall) {
+        this.addMessageToChat(`${toolCall.name}: ${toolCall.message || toolCall.status}`, 'tool');
+
+        if (toolCall.status === 'pending_approval') {
+            window.UI.showInfo(`${toolCall.name.replace(/_/g, ' ')} is waiting for your approval`);
+            this.loadApprovals();
+        }
+    }
+
+    setSendButtonStreaming(streaming) {
+        const sendButton = document.getElementById('sendMessageBtn');
+        if (sendButton) {
+            sendButton.textContent = streaming ? 'stop' : 'send';
+        }
+    }
+
+    appendToChatMessage(messageElement, content) {
+        const chatContainer = document.getElementById('chatMessages');
+        messageElement.querySelector('.message-content').textContent += content;
+        if (chatContainer) {
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+        }
+    }
+
     addMessageToChat(content, sender) {
         const chatContainer = document.getElementById('chatMessages');
         if (!chatContainer) return;
@@ -730,6 +821,7 @@ class KhizrAssistant {
 
         chatContainer.insertAdjacentHTML('beforeend', messageHTML);
         chatContainer.scrollTop = chatContainer.scrollHeight;
+        return chatContainer.lastElementChild;
     }
 
     showTypingIndicator() {
@@ -879,7 +971,7 @@ class KhizrAssistant {
 
             if (response.success) {
                 noteInput.value = '';
-                window.UI.showSuccess('Note processed successfully!');
+                window.UI.showSuccess('Note saved; it will be processed shortly');
                 // Optionally reload mind data if available
                 if (this.currentView === 'mind') {
                     setTimeout(() => this.loadMindData && this.loadMindData(), 1000);
@@ -1205,11 +1297,84 @@ class KhizrAssistant {
             } else {
                 this.showNoAgentsMessage();
             }
+
+            await this.loadApprovalsList();
         } catch (error) {
             window.UI.handleError(error, 'Loading Agents Page');
         }
     }
 
+    // Pending approvals to decide, and recent ones with what they did
+    async loadApprovalsList() {
+        const container = document.getElementById('approvalsList');
+        if (!container) return;
+
+        const [pending, recent] = await Promise.all([
+            window.API.getPendingApprovals(),
+            window.API.getRecentApprovals()
+        ]);
+        this.pendingApprovals = pending.approvals || [];
+        this.updateApprovalsBadge();
+
+        const approvals = [...this.pendingApprovals, ...(recent.approvals || [])];
+        if (approvals.length === 0) {
+            container.innerHTML = '<div class="approval-empty">No approvals yet</div>';
+            return;
+        }
+
+        container.innerHTML = approvals.map(approval => {
+            const state = approval.execution_status === 'reverted' ? 'reverted'
+                : approval.status === 'approved' && approval.execution_status === 'executed' ? 'done'
+                : approval.status;
+            let actions = '';
+            if (approval.status === 'pending') {
+                actions = `
+                    <button class="btn-primary" onclick="window.App.decideApproval('${approval.id}', true)">approve</button>
+                    <button class="btn-secondary" onclick="window.App.decideApproval('${approval.id}', false)">reject</button>`;
+            } else if (approval.revertible) {
+                actions = `<button class="btn-secondary" onclick="window.App.revertApproval('${approval.id}')" title="Possible until ${new Date(approval.revertible_until).toLocaleString()}">undo</button>`;
+            }
+
+            return `
+                <div class="approval-item">
+                    <div class="approval-header">
+                        <span class="approval-title">${this.escapeHtml(approval.action_type.replace(/_/g, ' '))}</span>
+                        <span class="approval-state ${state}">${state}</span>
+                    </div>
+                    <div class="approval-description">
+                        ${this.escapeHtml(approval.agents?.name || '')} • ${this.escapeHtml(approval.reason || '')}
+                        ${approval.failure_reason ? `<div class="approval-failure">${this.escapeHtml(approval.failure_reason)}</div>` : ''}
+                    </div>
+                    <div class="approval-actions">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async decideApproval(approvalId, approved) {
+        try {
+            const response = await window.API.approveAction(approvalId, approved);
+            if (response.execution?.status === 'failed') {
+                window.UI.showError(`Approved, but it failed: ${response.execution.error}`);
+            } else {
+                window.UI.showSuccess(approved ? 'Approved' : 'Rejected');
+            }
+            await this.loadApprovalsList();
+        } catch (error) {
+            window.UI.handleError(error, 'Deciding Approval');
+        }
+    }
+
+    async revertApproval(approvalId) {
+        try {
+            await window.API.revertApproval(approvalId);
+            window.UI.showSuccess('Undone');
+            await this.loadApprovalsList();
+        } catch (error) {
+            window.UI.handleError(error, 'Undoing Approval');
+        }
+    }
+
     displayAgents(agents) {
         const container = document.getElementById('agentsList');
         if (!container) return;
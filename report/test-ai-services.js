@@ -43,8 +43,9 @@ John`,
         console.log(`   💬 Response: ${response.substring(0, 100)}...`);
 
         console.log('\n3️⃣ Available AI Services:');
-        console.log('   Available services:', Object.keys(emailAI.aiServices));
-        console.log('   Default service:', emailAI.defaultService);
+        const { llm } = require('./services/llm');
+        console.log('   Available models:', llm.listModels({ available: true }).map(model => model.id));
+        console.log('   Default model:', emailAI.getModel());
 
         if (process.env.LMSTUDIO_BASE_URL) {
             console.log('\n4️⃣ Testing LMStudio specifically...');
@@ -0,0 +1,106 @@
+require('dotenv').config();
+const { supabase } = require('./database/connection');
+const { credentialVault, CredentialDecryptionError } = require('./services/credentialVault');
+
+/**
+ * Re-encrypt stored credentials under the active master key.
+ * Plaintext rows are encrypted; envelopes wrapped with an older key version are re-wrapped.
+ * Rows that cannot be decrypted are flagged reconnect_required instead of aborting the run.
+ */
+async function rotateKeys({ db = supabase, vault = credentialVault } = {}) {
+    const summary = {
+        platform_integrations: { rotated: 0, skipped: 0, failed: 0 },
+        gmail_tokens: { rotated: 0, skipped: 0, failed: 0 }
+    };
+
+    const { data: integrations, error: integrationsError } = await db
+        .from('platform_integrations')
+        .select('id, user_id, platform, credentials');
+
+    if (integrationsError) {
+        throw new Error(`Failed to load platform_integrations: ${integrationsError.message}`);
+    }
+
+    for (const integration of integrations || []) {
+        const counts = summary.platform_integrations;
+        if (!vault.needsRotation(integration.credentials)) {
+            counts.skipped++;
+            continue;
+        }
+
+        try {
+            const { error } = await db
+                .from('platform_integrations')
+                .update({ credentials: vault.reencrypt(integration.credentials) })
+                .eq('id', integration.id);
+            if (error) throw error;
+            counts.rotated++;
+        } catch (error) {
+            counts.failed++;
+            console.error(`❌ platform_integrations ${integration.id}: ${error.message}`);
+
+            if (error instanceof CredentialDecryptionError) {
+                await db
+                    .from('platform_integrations')
+                    .update({ sync_status: 'reconnect_required', error_message: error.message })
+                    .eq('id', integration.id);
+            }
+        }
+    }
+
+    const { data: tokenRows, error: tokensError } = await db
+        .from('gmail_tokens')
+        .select('id, user_id, access_token, refresh_token');
+
+    if (tokensError) {
+        throw new Error(`Failed to load gmail_tokens: ${tokensError.message}`);
+    }
+
+    for (const row of tokenRows || []) {
+        const counts = summary.gmail_tokens;
+        if (!vault.needsRotation(row.access_token) && !vault.needsRotation(row.refresh_token)) {
+            counts.skipped++;
+            continue;
+        }
+
+        try {
+            const { error } = await db
+                .from('gmail_tokens')
+                .update({
+                    access_token: row.access_token ? vault.reencryptString(row.access_token) : null,
+                    refresh_token: row.refresh_token ? vault.reencryptString(row.refresh_token) : null
+                })
+                .eq('user_id', row.user_id);
+            if (error) throw error;
+            counts.rotated++;
+        } catch (error) {
+            counts.failed++;
+            console.error(`❌ gmail_tokens for user ${row.user_id}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
+
+// Run if called directly
+if (require.main === module) {
+    console.log(`🔐 Re-encrypting credentials with master key version ${credentialVault.activeVersion}...`);
+
+    rotateKeys()
+        .then(summary => {
+            Object.entries(summary).forEach(([table, counts]) => {
+                console.log(`✅ ${table}: ${counts.rotated} rotated, ${counts.skipped} already current, ${counts.failed} failed`);
+            });
+            const failed = summary.platform_integrations.failed + summary.gmail_tokens.failed;
+            if (failed > 0) {
+                console.log('\n⚠️  Failed rows need the user to reconnect the integration');
+            }
+            process.exit(failed > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Key rotation failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { rotateKeys };
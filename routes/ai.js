@@ -2,6 +2,16 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const {
+    MindNoteError,
+    createNote,
+    listNotes,
+    getNote,
+    reprocessNote,
+    reprocessOutdatedNotes,
+    acceptItem,
+    discardItem
+} = require('../services/mindNotes');
 
 const router = express.Router();
 router.use(authenticateToken);
@@ -14,6 +24,7 @@ router.get('/insights', async (req, res) => {
             .from('tasks')
             .select('status, priority')
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
 
         if (tasksError) {
@@ -24,6 +35,7 @@ router.get('/insights', async (req, res) => {
             .from('tasks')
             .select('id', { count: 'exact' })
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .lt('deadline', new Date().toISOString())
             .neq('status', 'completed');
 
@@ -44,30 +56,99 @@ router.get('/insights', async (req, res) => {
     }
 });
 
-// Process AI note
+// Store a mind note and queue it for processing; poll GET /notes/:id for the result
 router.post('/process-note', async (req, res) => {
     try {
-        const { note } = req.body;
+        const note = await createNote(req.user.id, req.body.note);
+        res.status(202).json({ success: true, note });
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Process note error:', error);
+        res.status(500).json({ error: 'Failed to process note' });
+    }
+});
+
+// Mind notes with their processing status, newest first
+router.get('/notes', async (req, res) => {
+    try {
+        const notes = await listNotes(req.user.id, {
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        res.json({ notes });
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('List notes error:', error);
+        res.status(500).json({ error: 'Failed to load notes' });
+    }
+});
+
+// Reprocess every note a different model than the configured one processed
+router.post('/notes/reprocess', async (req, res) => {
+    try {
+        const queued = await reprocessOutdatedNotes(req.user.id);
+        res.status(202).json({ queued });
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Reprocess notes error:', error);
+        res.status(500).json({ error: 'Failed to reprocess notes' });
+    }
+});
 
-        if (!note) {
-            return res.status(400).json({ error: 'Note is required' });
+// A mind note with the tasks, goals and questions proposed from it
+router.get('/notes/:id', async (req, res) => {
+    try {
+        res.json(await getNote(req.user.id, req.params.id));
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
         }
+        logger.error('Get note error:', error);
+        res.status(500).json({ error: 'Failed to load note' });
+    }
+});
 
-        // For now, just acknowledge receipt without storing in database
-        // The mind_notes table may not exist yet
-        // In a real implementation, this would process the note with AI
+router.post('/notes/:id/reprocess', async (req, res) => {
+    try {
+        const note = await reprocessNote(req.user.id, req.params.id, { model: req.body.model });
+        res.status(202).json({ success: true, note });
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Reprocess note error:', error);
+        res.status(500).json({ error: 'Failed to reprocess note' });
+    }
+});
 
-        logger.info(`Processing AI note for user ${req.user.id}: ${note.substring(0, 100)}...`);
+router.post('/notes/:id/items/:itemId/accept', async (req, res) => {
+    try {
+        res.json(await acceptItem(req.user.id, req.params.id, req.params.itemId));
+    } catch (error) {
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Accept note item error:', error);
+        res.status(500).json({ error: 'Failed to accept item' });
+    }
+});
 
-        res.json({
-            success: true,
-            message: 'Note processed successfully',
-            note_length: note.length,
-            processed_at: new Date().toISOString()
-        });
+router.post('/notes/:id/items/:itemId/discard', async (req, res) => {
+    try {
+        const item = await discardItem(req.user.id, req.params.id, req.params.itemId);
+        res.json({ item });
     } catch (error) {
-        logger.error('Process note error:', error);
-        res.status(500).json({ error: 'Failed to process note' });
+        if (error instanceof MindNoteError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Discard note item error:', error);
+        res.status(500).json({ error: 'Failed to discard item' });
     }
 });
 
@@ -1,78 +1,54 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
-const OpenAI = require('openai');
 const { GlobalPreferenceLearner } = require('../services/PreferenceLearner');
+const { llm } = require('../services/llm');
+const { chatAssistant, toolCallRow } = require('../services/chat');
+const { memoryService } = require('../services/memory');
 
 const router = express.Router();
 router.use(authenticateToken);
 
-// Initialize OpenRouter (uses OpenAI-compatible API)
-const openai = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: "https://openrouter.ai/api/v1"
-});
-
 // Initialize Global Preference Learner
 const preferenceLearner = new GlobalPreferenceLearner();
 
-// Available models on OpenRouter (Free Models)
-const AVAILABLE_MODELS = {
-  // Premium Paid Models
-  'anthropic/claude-3.5-sonnet': 'Claude 3.5 Sonnet (Best for quality)',
-  'anthropic/claude-3-haiku': 'Claude 3 Haiku (Fast & cheap)',
-  'openai/gpt-4o': 'GPT-4o (Latest OpenAI)',
-  'openai/gpt-4o-mini': 'GPT-4o Mini (Cheapest option)',
-  'google/gemini-pro-1.5': 'Gemini Pro 1.5 (Google\'s model)',
-  'meta-llama/llama-3.1-70b-instruct': 'Llama 3.1 70B (Open source)',
-  'mistralai/mistral-large': 'Mistral Large (Fast & capable)',
-
-  // Free Models - DeepSeek Family
-  'deepseek/deepseek-r1:free': 'DeepSeek R1 0528 (Free - Best Reasoning)',
-  'deepseek/deepseek-v3-0324:free': 'DeepSeek V3 0324 (Free - Balanced)',
-  'tng/deepseek-r1t2-chimera:free': 'DeepSeek R1T2 Chimera (Free - Fast Reasoning)',
-  'deepseek/deepseek-r1': 'DeepSeek R1 (Free - Open Source Reasoning)',
-  'deepseek/deepseek-v3.1': 'DeepSeek V3.1 (Free - Hybrid Reasoning)',
-
-  // Free Models - Other Providers
-  'z-ai/glm-4.5-air:free': 'GLM 4.5 Air (Free - Agent Focused)',
-  'qwen/qwen3-coder-480b-a35b:free': 'Qwen3 Coder 480B (Free - Code Expert)',
-  'tng/deepseek-r1t-chimera:free': 'DeepSeek R1T Chimera (Free - Efficient)',
-  'moonshotai/kimi-k2:free': 'Kimi K2 (Free - MoE Expert)'
-};
-
-// Process chat messages
-router.post('/process', async (req, res) => {
-  try {
-    const { message, model = 'deepseek/deepseek-r1:free' } = req.body;
+// Models offered in the chat picker come from the shared catalog (services/llm/catalog.js)
+const chatModelLabels = filters => Object.fromEntries(
+  llm.listModels({ chat: true, ...filters }).map(model => [model.id, model.label || model.name])
+);
+const AVAILABLE_MODELS = chatModelLabels();
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
+const DEFAULT_CHAT_MODEL = 'deepseek/deepseek-r1:free';
 
-    // Validate model exists
-    if (!AVAILABLE_MODELS[model]) {
-      return res.status(400).json({
-        error: 'Invalid model selected',
-        available_models: Object.keys(AVAILABLE_MODELS),
-        model_names: AVAILABLE_MODELS
-      });
-    }
+// Response for an unknown model, or null when the model is offered in the chat picker
+function invalidModelResponse(model) {
+  if (AVAILABLE_MODELS[model]) {
+    return null;
+  }
+  return {
+    error: 'Invalid model selected',
+    available_models: Object.keys(AVAILABLE_MODELS),
+    model_names: AVAILABLE_MODELS
+  };
+}
 
-    logger.info(`Processing chat message with model: ${model}`);
+// Build the personalised completion request for a chat message
+async function prepareChatCompletion(userId, message, model) {
+  // Get user's context for personalized responses
+  const context = await getUserContext(userId);
 
-    // Get user's context for personalized responses
-    const context = await getUserContext(req.user.id);
+  // Long-term memories relevant to this message
+  const memories = await memoryService.recall(userId, message, { limit: 5 });
 
-    // Apply global preferences to personalize AI responses
-    const personalizedContext = await preferenceLearner.applyGlobalPreferences(req.user.id, {
-      model: model,
-      temperature: 0.7,
-      max_tokens: 1000
-    });
+  // Apply global preferences to personalize AI responses
+  const personalizedContext = await preferenceLearner.applyGlobalPreferences(userId, {
+    model: model,
+    temperature: 0.7,
+    max_tokens: 1000
+  });
 
-    // Build system prompt with user context and preferences
-    let systemPrompt = `You are a helpful personal assistant for a productivity app.
+  // Build system prompt with user context and preferences
+  let systemPrompt = `You are a helpful personal assistant for a productivity app.
 
 User Context: ${context}
 
@@ -89,17 +65,24 @@ Guidelines:
 - Suggest improvements based on their current workload
 - Format responses with clear sections and bullet points when appropriate`;
 
-    // Add preference-based system prompt additions
-    if (personalizedContext.system_prompt_addition) {
-      systemPrompt += personalizedContext.system_prompt_addition;
-    }
+  // Add preference-based system prompt additions
+  if (personalizedContext.system_prompt_addition) {
+    systemPrompt += personalizedContext.system_prompt_addition;
+  }
 
-    // Add word tree formatting instruction if user prefers it
-    if (personalizedContext.response_format === 'word_tree') {
-      systemPrompt += '\n\nIMPORTANT: Structure your responses using word tree format with clear hierarchical organization, bullet points, and code blocks for technical content.';
-    }
+  // Add word tree formatting instruction if user prefers it
+  if (personalizedContext.response_format === 'word_tree') {
+    systemPrompt += '\n\nIMPORTANT: Structure your responses using word tree format with clear hierarchical organization, bullet points, and code blocks for technical content.';
+  }
 
-    const completion = await openai.chat.completions.create({
+  if (memories.length > 0) {
+    systemPrompt += `\n\nRelevant memories from earlier conversations, notes and emails (use them if they help):\n${memoryService.formatForPrompt(memories)}`;
+  }
+
+  return {
+    context,
+    memories,
+    request: {
       model: personalizedContext.model || model,
       messages: [
         {
@@ -110,109 +93,334 @@ Guidelines:
       ],
       max_tokens: personalizedContext.max_tokens || 1000,
       temperature: personalizedContext.temperature || 0.7
-    });
-
-    const aiResponse = completion.choices[0].message.content;
-
-    // Learn from this interaction to improve future responses
-    try {
-      await preferenceLearner.learnFromInteraction(req.user.id, {
-        message: message,
-        response: aiResponse,
-        timestamp: new Date().toISOString(),
-        model: model,
-        context: context
-      });
-    } catch (learningError) {
-      logger.warn('Preference learning failed, continuing with response:', learningError);
     }
+  };
+}
+
+// Everything that follows a finished reply: preference learning, task/project creation and storage.
+// Models with tool calling act through chat tools; the others fall back to the zz/pp prefix heuristics.
+async function completeChatTurn(userId, message, completion, context, startedAt) {
+  // Learn from this interaction to improve future responses
+  try {
+    await preferenceLearner.learnFromInteraction(userId, {
+      message: message,
+      response: completion.content,
+      timestamp: new Date().toISOString(),
+      model: completion.model,
+      context: context
+    });
+  } catch (learningError) {
+    logger.warn('Preference learning failed, continuing with response:', learningError);
+  }
 
-    // Detect message type for frontend actions
-    const messageType = detectMessageType(message);
+  // Detect message type for frontend actions
+  const messageType = detectMessageType(message);
 
+  let taskResult = null;
+  let projectResult = null;
+  if (completion.tools_offered) {
+    ({ taskResult, projectResult } = toolCreationResults(completion.tool_calls));
+  } else {
     // Handle task creation for 'zz' and '!!' prefixes
-    let taskResult = null;
     if (messageType === 'task_created' || messageType === 'urgent_created') {
-      taskResult = await createTaskFromChat(message, req.user.id);
+      taskResult = await createTaskFromChat(message, userId);
     }
 
     // Handle project creation for 'pp' prefix or project-related keywords
-    let projectResult = null;
     if (messageType === 'project_created' || messageType === 'project_related') {
-      projectResult = await createProjectFromChat(message, req.user.id);
+      projectResult = await createProjectFromChat(message, userId);
     }
+  }
 
-    // Prepare response
-    const response = {
-      success: true,
-      message: aiResponse,
-      model_used: model,
+  const messageId = await storeChatTurn(userId, message, completion.content, {
+    model: completion.model,
+    toolCalls: completion.tool_calls,
+    startedAt: startedAt,
+    metadata: {
       type: messageType,
-      timestamp: new Date().toISOString()
-    };
-
-    // Add task creation result if applicable
-    if (taskResult) {
-      response.task_created = taskResult.success;
-      response.task_message = taskResult.message;
-      if (taskResult.task) {
-        response.task_id = taskResult.task.id;
-        response.task_title = taskResult.task.title;
-        response.task_priority = taskResult.task.priority;
-      }
-      if (taskResult.error) {
-        response.task_error = taskResult.error;
-      }
+      fallback_used: completion.fallback_used,
+      task_id: taskResult?.task?.id || null,
+      project_id: projectResult?.project?.id || null
     }
+  });
 
-    // Add project creation result if applicable
-    if (projectResult) {
-      response.project_created = projectResult.success;
-      response.project_message = projectResult.message;
-      if (projectResult.project) {
-        response.project_id = projectResult.project.id;
-        response.project_title = projectResult.project.title;
-      }
-      if (projectResult.error) {
-        response.project_error = projectResult.error;
-      }
+  return { messageType, taskResult, projectResult, messageId };
+}
+
+// Task and project creation done through tools, in the shape createTaskFromChat/createProjectFromChat return
+function toolCreationResults(toolCalls = []) {
+  const created = name => toolCalls.find(entry => entry.name === name && entry.status === 'executed');
+
+  const task = created('create_task');
+  const project = created('create_project');
+  return {
+    taskResult: task ? { success: true, task: task.result.task, message: task.result.message } : null,
+    projectResult: project ? { success: true, project: project.result.project, message: project.result.message } : null
+  };
+}
+
+// Tool call log entries as returned to the client
+function describeToolCall(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    arguments: entry.arguments,
+    status: entry.status,
+    message: entry.result?.message || entry.reason || entry.error || null,
+    approval_id: entry.approval_id || null
+  };
+}
+
+// Store the user message, any tool calls and the reply; returns the stored reply's id (null if storage failed)
+async function storeChatTurn(userId, message, reply, { model, metadata = {}, toolCalls = [], startedAt = null }) {
+  try {
+    const { supabase } = require('../database/connection');
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .insert([
+        { user_id: userId, role: 'user', content: message, created_at: startedAt || now },
+        ...toolCalls.map(entry => toolCallRow(userId, entry, entry.at)),
+        { user_id: userId, role: 'assistant', content: reply, model: model, metadata: metadata, created_at: now }
+      ])
+      .select();
+
+    if (error) {
+      logger.error('Error storing chat messages:', error);
+      return null;
     }
 
-    res.json(response);
+    // Embedding happens in the background; it never delays or fails the reply
+    memoryService.rememberRows(userId, 'chat_message', data.filter(row => row.role !== 'tool' && row.content));
 
+    return data.find(row => row.role === 'assistant')?.id || null;
   } catch (error) {
-    logger.error('Chat processing error:', error);
+    logger.error('Error in storeChatTurn:', error);
+    return null;
+  }
+}
+
+// Task/project creation fields shared by the JSON response and the stream events
+function taskFields(taskResult) {
+  const fields = {
+    task_created: taskResult.success,
+    task_message: taskResult.message
+  };
+  if (taskResult.task) {
+    fields.task_id = taskResult.task.id;
+    fields.task_title = taskResult.task.title;
+    fields.task_priority = taskResult.task.priority;
+  }
+  if (taskResult.error) {
+    fields.task_error = taskResult.error;
+  }
+  return fields;
+}
+
+function projectFields(projectResult) {
+  const fields = {
+    project_created: projectResult.success,
+    project_message: projectResult.message
+  };
+  if (projectResult.project) {
+    fields.project_id = projectResult.project.id;
+    fields.project_title = projectResult.project.title;
+  }
+  if (projectResult.error) {
+    fields.project_error = projectResult.error;
+  }
+  return fields;
+}
 
-    // Handle specific OpenRouter/API errors
-    if (error.status === 429) {
-      return res.status(429).json({
+// Map provider errors to the status and body returned to the client
+function describeChatError(error) {
+  // Handle specific OpenRouter/API errors
+  if (error.status === 429) {
+    return {
+      status: 429,
+      body: {
         success: false,
         message: 'Rate limit exceeded. Please wait a moment and try again.',
         error_type: 'rate_limit'
-      });
-    }
+      }
+    };
+  }
 
-    if (error.status === 402) {
-      return res.status(402).json({
+  if (error.status === 402) {
+    return {
+      status: 402,
+      body: {
         success: false,
         message: 'API credits exhausted. Please check your OpenRouter account.',
         error_type: 'insufficient_credits'
-      });
-    }
+      }
+    };
+  }
 
-    if (error.status === 401) {
-      return res.status(401).json({
+  if (error.status === 401) {
+    return {
+      status: 401,
+      body: {
         success: false,
         message: 'Invalid API key. Please check your OpenRouter configuration.',
         error_type: 'auth_error'
-      });
-    }
+      }
+    };
+  }
 
-    res.status(500).json({
+  return {
+    status: 500,
+    body: {
       success: false,
       message: 'Sorry, I encountered an error processing your message. Please try again.',
       error_type: 'processing_error'
+    }
+  };
+}
+
+// Process chat messages
+router.post('/process', async (req, res) => {
+  try {
+    const { message, model = DEFAULT_CHAT_MODEL } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    // Validate model exists
+    const invalidModel = invalidModelResponse(model);
+    if (invalidModel) {
+      return res.status(400).json(invalidModel);
+    }
+
+    logger.info(`Processing chat message with model: ${model}`);
+
+    const startedAt = new Date().toISOString();
+    const { context, memories, request } = await prepareChatCompletion(req.user.id, message, model);
+    const completion = await chatAssistant.runTurn(req.user.id, request);
+    const turn = await completeChatTurn(req.user.id, message, completion, context, startedAt);
+
+    // Prepare response
+    const response = {
+      success: true,
+      message: completion.content,
+      message_id: turn.messageId,
+      model_used: completion.model,
+      fallback_used: completion.fallback_used,
+      type: turn.messageType,
+      tool_calls: completion.tool_calls.map(describeToolCall),
+      memories_used: memoryService.describe(memories),
+      timestamp: new Date().toISOString()
+    };
+
+    // Add task and project creation results if applicable
+    if (turn.taskResult) {
+      Object.assign(response, taskFields(turn.taskResult));
+    }
+    if (turn.projectResult) {
+      Object.assign(response, projectFields(turn.projectResult));
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Chat processing error:', error);
+    const { status, body } = describeChatError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Stream a chat reply as Server-Sent Events. Each event is `data: {"type": ...}`:
+// start (with the memories used), token (content delta), tool_call, task_created, project_created, done (stored message id)
+// or error. Closing the connection cancels the completion.
+router.post('/process/stream', async (req, res) => {
+  const { message, model = DEFAULT_CHAT_MODEL } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const invalidModel = invalidModelResponse(model);
+  if (invalidModel) {
+    return res.status(400).json(invalidModel);
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  const startedAt = new Date().toISOString();
+  const toolCalls = [];
+  let partial = '';
+  let requestedModel = model;
+  try {
+    logger.info(`Streaming chat message with model: ${model}`);
+
+    const { context, memories, request } = await prepareChatCompletion(req.user.id, message, model);
+    requestedModel = request.model;
+    send({ type: 'start', model: request.model, memories_used: memoryService.describe(memories) });
+
+    const completion = await chatAssistant.runTurn(req.user.id, request, {
+      signal: controller.signal,
+      onToken: content => {
+        partial += content;
+        send({ type: 'token', content });
+      },
+      onToolCall: entry => {
+        toolCalls.push(entry);
+        send({ type: 'tool_call', ...describeToolCall(entry) });
+      }
+    });
+
+    const turn = await completeChatTurn(req.user.id, message, completion, context, startedAt);
+
+    if (turn.taskResult) {
+      send({ type: 'task_created', ...taskFields(turn.taskResult) });
+    }
+    if (turn.projectResult) {
+      send({ type: 'project_created', ...projectFields(turn.projectResult) });
+    }
+
+    send({
+      type: 'done',
+      message_id: turn.messageId,
+      model_used: completion.model,
+      fallback_used: completion.fallback_used,
+      message_type: turn.messageType,
+      timestamp: new Date().toISOString()
     });
+    res.end();
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // The client cancelled; keep what was generated so far in the history
+      logger.info(`Chat stream cancelled by user ${req.user.id}`);
+      if (partial || toolCalls.length > 0) {
+        await storeChatTurn(req.user.id, message, partial, {
+          model: requestedModel,
+          toolCalls: toolCalls,
+          startedAt: startedAt,
+          metadata: { type: detectMessageType(message), cancelled: true }
+        });
+      }
+      return;
+    }
+
+    logger.error('Chat streaming error:', error);
+    send({ type: 'error', ...describeChatError(error).body });
+    res.end();
   }
 });
 
@@ -221,33 +429,16 @@ router.get('/models', async (req, res) => {
   try {
     // Categorize models for better UX
     const categorizedModels = {
-      free: {
-        'deepseek/deepseek-r1:free': 'DeepSeek R1 0528 (Free - Best Reasoning)',
-        'deepseek/deepseek-v3-0324:free': 'DeepSeek V3 0324 (Free - Balanced)',
-        'tng/deepseek-r1t2-chimera:free': 'DeepSeek R1T2 Chimera (Free - Fast Reasoning)',
-        'deepseek/deepseek-r1': 'DeepSeek R1 (Free - Open Source Reasoning)',
-        'deepseek/deepseek-v3.1': 'DeepSeek V3.1 (Free - Hybrid Reasoning)',
-        'z-ai/glm-4.5-air:free': 'GLM 4.5 Air (Free - Agent Focused)',
-        'qwen/qwen3-coder-480b-a35b:free': 'Qwen3 Coder 480B (Free - Code Expert)',
-        'tng/deepseek-r1t-chimera:free': 'DeepSeek R1T Chimera (Free - Efficient)',
-        'moonshotai/kimi-k2:free': 'Kimi K2 (Free - MoE Expert)'
-      },
-      premium: {
-        'anthropic/claude-3.5-sonnet': 'Claude 3.5 Sonnet (Best for quality)',
-        'anthropic/claude-3-haiku': 'Claude 3 Haiku (Fast & cheap)',
-        'openai/gpt-4o': 'GPT-4o (Latest OpenAI)',
-        'openai/gpt-4o-mini': 'GPT-4o Mini (Cheapest option)',
-        'google/gemini-pro-1.5': 'Gemini Pro 1.5 (Google\'s model)',
-        'meta-llama/llama-3.1-70b-instruct': 'Llama 3.1 70B (Open source)',
-        'mistralai/mistral-large': 'Mistral Large (Fast & capable)'
-      }
+      free: chatModelLabels({ tier: 'free' }),
+      premium: chatModelLabels({ tier: 'premium' })
     };
 
     res.json({
       success: true,
       models: AVAILABLE_MODELS,
       categorized_models: categorizedModels,
-      default_model: 'deepseek/deepseek-r1:free',
+      capabilities: Object.fromEntries(llm.listModels({ chat: true }).map(model => [model.id, model.capabilities])),
+      default_model: DEFAULT_CHAT_MODEL,
       recommended_models: {
         free_reasoning: 'deepseek/deepseek-r1:free',
         free_balanced: 'deepseek/deepseek-v3-0324:free',
@@ -277,6 +468,7 @@ async function getUserContext(userId) {
       .select('title, status, priority')
       .eq('user_id', userId)
       .eq('status', 'pending')
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
       .limit(5);
 
@@ -285,6 +477,7 @@ async function getUserContext(userId) {
       .from('projects')
       .select('title')
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
       .limit(3);
 
@@ -512,10 +705,28 @@ function detectMessageType(message) {
 router.get('/history', async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
+    const { supabase } = require('../database/connection');
+
+    const { data, error } = await supabase
+      .from('chat_messages')
+      .select('id, role, content, model, metadata, created_at')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (error) {
+      throw error;
+    }
 
-    // For now, return empty array since we don't have a dedicated chat messages table
-    // In the future, this could query a chat_messages table or agent_conversations
-    const messages = [];
+    // Oldest first, in the shape the chat view renders
+    const messages = (data || []).reverse().map(row => ({
+      id: row.id,
+      sender: row.role,
+      content: row.content,
+      model: row.model,
+      metadata: row.metadata,
+      timestamp: row.created_at
+    }));
 
     res.json({
       success: true,
@@ -572,3 +783,4 @@ module.exports = router;
 module.exports.createTaskFromChat = createTaskFromChat;
 module.exports.createProjectFromChat = createProjectFromChat;
 module.exports.getUserContext = getUserContext;
+module.exports.storeChatTurn = storeChatTurn;
@@ -3,7 +3,9 @@ const { authenticateToken } = require('../middleware/auth');
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
 const gmailService = require('../services/gmail');
+const { CredentialDecryptionError } = require('../services/credentialVault');
 const emailAI = require('../services/emailAI');
+const { memoryService } = require('../services/memory');
 
 const router = express.Router();
 
@@ -47,6 +49,9 @@ router.get('/status', authenticateToken, async (req, res) => {
             hasTokens: !!tokens?.access_token
         });
     } catch (error) {
+        if (error instanceof CredentialDecryptionError) {
+            return res.json({ connected: false, hasTokens: true, reconnect_required: true });
+        }
         logger.error('Error checking Gmail status:', error);
         res.status(500).json({ error: 'Failed to check Gmail status' });
     }
@@ -59,6 +64,9 @@ router.get('/summaries', authenticateToken, async (req, res) => {
         const emails = await gmailService.getEmailSummaries(req.user.id, limit);
         res.json({ success: true, emails });
     } catch (error) {
+        if (error instanceof CredentialDecryptionError) {
+            return res.status(409).json({ error: 'Gmail must be reconnected', reconnect_required: true });
+        }
         logger.error('Error getting email summaries:', error);
         res.status(500).json({ error: 'Failed to get email summaries' });
     }
@@ -74,6 +82,9 @@ router.get('/connection-status', authenticateToken, async (req, res) => {
             hasTokens: !!tokens?.access_token
         });
     } catch (error) {
+        if (error instanceof CredentialDecryptionError) {
+            return res.json({ success: true, connected: false, hasTokens: true, reconnect_required: true });
+        }
         logger.error('Error checking email connection:', error);
         res.json({ success: false, connected: false, error: error.message });
     }
@@ -121,6 +132,8 @@ router.get('/emails', authenticateToken, async (req, res) => {
                 }
             }
 
+            memoryService.rememberRows(req.user.id, 'email', processedEmails);
+
             // Create notifications for important emails
             for (const notification of notifications) {
                 const { error } = await supabase
@@ -182,6 +195,9 @@ router.get('/emails', authenticateToken, async (req, res) => {
 
         res.json(emails);
     } catch (error) {
+        if (error instanceof CredentialDecryptionError) {
+            return res.status(409).json({ error: 'Gmail must be reconnected', reconnect_required: true });
+        }
         logger.error('Error fetching emails:', error);
         res.status(500).json({ error: 'Failed to fetch emails' });
     }
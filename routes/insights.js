@@ -14,6 +14,7 @@ router.get('/', async (req, res) => {
             .from('tasks')
             .select('status, priority')
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
 
         if (taskError) {
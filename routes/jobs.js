@@ -0,0 +1,84 @@
+/**
+ * Background Job Admin Routes
+ * List scheduled jobs and pause, resume or re-run them (services/jobScheduler.js)
+ */
+
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+    JobSchedulerError,
+    listJobs,
+    getJob,
+    pauseJob,
+    resumeJob,
+    rerunJob
+} = require('../services/jobScheduler');
+
+const router = express.Router();
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const handleError = (res, error, action) => {
+    if (error instanceof JobSchedulerError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`${action} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// List jobs, optionally by status (scheduled, running, paused, completed, dead) or handler
+router.get('/', async (req, res) => {
+    try {
+        const { status, handler, limit } = req.query;
+        const jobs = await listJobs({ status, handler, limit });
+
+        res.json({ jobs });
+    } catch (error) {
+        handleError(res, error, 'List jobs');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+
+        res.json({ job });
+    } catch (error) {
+        handleError(res, error, 'Get job');
+    }
+});
+
+// Stop a job from running until it is resumed
+router.post('/:id/pause', async (req, res) => {
+    try {
+        const job = await pauseJob(req.params.id);
+
+        res.json({ success: true, job });
+    } catch (error) {
+        handleError(res, error, 'Pause job');
+    }
+});
+
+router.post('/:id/resume', async (req, res) => {
+    try {
+        const job = await resumeJob(req.params.id);
+
+        res.json({ success: true, job });
+    } catch (error) {
+        handleError(res, error, 'Resume job');
+    }
+});
+
+// Run a job now, clearing its failures; this is how dead-lettered jobs are retried
+router.post('/:id/run', async (req, res) => {
+    try {
+        const job = await rerunJob(req.params.id);
+
+        res.json({ success: true, job });
+    } catch (error) {
+        handleError(res, error, 'Re-run job');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+    LinkError,
+    getBacklinks,
+    listBrokenLinks,
+    getGraph,
+    reindexUser
+} = require('../services/links');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// The user's link graph: linked items as nodes, working links as edges
+router.get('/graph', async (req, res) => {
+    try {
+        res.json(await getGraph(req.user.id));
+    } catch (error) {
+        logger.error('Get link graph error:', error);
+        res.status(500).json({ error: 'Failed to load links' });
+    }
+});
+
+// Links that lead nowhere: [[Titles]] nothing answers to and references to deleted items
+router.get('/broken', async (req, res) => {
+    try {
+        res.json({ links: await listBrokenLinks(req.user.id) });
+    } catch (error) {
+        logger.error('List broken links error:', error);
+        res.status(500).json({ error: 'Failed to load broken links' });
+    }
+});
+
+// Everything that links to a task, project, note or mind note
+router.get('/backlinks/:type/:id', async (req, res) => {
+    try {
+        const backlinks = await getBacklinks(req.user.id, req.params.type, req.params.id);
+        res.json({ backlinks });
+    } catch (error) {
+        if (error instanceof LinkError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Get backlinks error:', error);
+        res.status(500).json({ error: 'Failed to load backlinks' });
+    }
+});
+
+// Index every item the user has, e.g. those written before links were tracked
+router.post('/reindex', async (req, res) => {
+    try {
+        const indexed = await reindexUser(req.user.id);
+        res.json({ indexed });
+    } catch (error) {
+        logger.error('Reindex links error:', error);
+        res.status(500).json({ error: 'Failed to reindex links' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { memoryService, MEMORY_SOURCES } = require('../services/memory');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+const parseSourceTypes = value => value ? String(value).split(',').filter(type => MEMORY_SOURCES[type]) : null;
+
+// List remembered items
+router.get('/', async (req, res) => {
+    try {
+        const { source_type, limit = 50, offset = 0 } = req.query;
+
+        if (source_type && !MEMORY_SOURCES[source_type]) {
+            return res.status(400).json({ error: `Unknown source type: ${source_type}` });
+        }
+
+        const memories = await memoryService.list(req.user.id, {
+            sourceType: source_type || null,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            offset: parseInt(offset) || 0
+        });
+
+        res.json({ memories });
+    } catch (error) {
+        logger.error('List memories error:', error);
+        res.status(500).json({ error: 'Failed to list memories' });
+    }
+});
+
+// Memories most relevant to a query, with their similarity scores
+router.get('/search', async (req, res) => {
+    try {
+        const { q, limit = 5, source_types } = req.query;
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({ error: 'Query is required' });
+        }
+
+        const memories = await memoryService.recall(req.user.id, q, {
+            limit: Math.min(parseInt(limit) || 5, 50),
+            sourceTypes: parseSourceTypes(source_types),
+            minScore: 0
+        });
+
+        res.json({ memories });
+    } catch (error) {
+        logger.error('Search memories error:', error);
+        res.status(500).json({ error: 'Failed to search memories' });
+    }
+});
+
+// Embed existing chat messages, agent conversations, mind notes and emails
+router.post('/reindex', async (req, res) => {
+    try {
+        const sources = parseSourceTypes(req.body.sources) || Object.keys(MEMORY_SOURCES);
+        const indexed = await memoryService.reindex(req.user.id, { sources });
+
+        res.json({ indexed });
+    } catch (error) {
+        logger.error('Reindex memories error:', error);
+        res.status(500).json({ error: 'Failed to reindex memories' });
+    }
+});
+
+// Forget everything remembered from one source row
+router.delete('/', async (req, res) => {
+    try {
+        const { source_type, source_id } = req.query;
+
+        if (!MEMORY_SOURCES[source_type] || !source_id) {
+            return res.status(400).json({ error: 'source_type and source_id are required' });
+        }
+
+        const forgotten = await memoryService.forgetSource(req.user.id, source_type, source_id);
+        res.json({ forgotten });
+    } catch (error) {
+        logger.error('Forget memory source error:', error);
+        res.status(500).json({ error: 'Failed to forget memories' });
+    }
+});
+
+// Forget one memory; it stays forgotten when its source is reindexed
+router.delete('/:id', async (req, res) => {
+    try {
+        const forgotten = await memoryService.forget(req.user.id, req.params.id);
+
+        if (!forgotten) {
+            return res.status(404).json({ error: 'Memory not found' });
+        }
+
+        res.json({ message: 'Memory forgotten' });
+    } catch (error) {
+        logger.error('Forget memory error:', error);
+        res.status(500).json({ error: 'Failed to forget memory' });
+    }
+});
+
+module.exports = router;
@@ -3,20 +3,115 @@
  * Provides endpoints for cross-platform messaging operations
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const { logger } = require('../utils/logger');
-const MessageRouter = require('../services/messageRouter');
+const { getMessageRouter } = require('../services/sharedMessageRouter');
 
 const supabase = createClient(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_ANON_KEY
 );
 
-// Initialize message router
-const messageRouter = new MessageRouter();
+/**
+ * Webhook endpoints for platforms; registered before authentication since the
+ * platforms call them directly
+ */
+
+// WhatsApp webhook
+router.post('/webhook/whatsapp', async (req, res) => {
+    try {
+        const webhookData = req.body;
+
+        if (!verifyWhatsAppSignature(req)) {
+            return res.sendStatus(403);
+        }
+
+        const adapter = getMessageRouter().getAdapter('whatsapp');
+        const messages = await adapter.handleWebhook(webhookData);
+
+        // Process messages through message router (approval replies are resolved there)
+        for (const message of messages) {
+            const userId = await findUserByWhatsAppNumber(message.senderIdentifier);
+
+            if (userId) {
+                await getMessageRouter().processIncomingMessage(
+                    userId,
+                    'whatsapp',
+                    null, // integrationId
+                    message
+                );
+            }
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('WhatsApp webhook error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// WhatsApp webhook verification
+router.get('/webhook/whatsapp', (req, res) => {
+    const adapter = getMessageRouter().getAdapter('whatsapp');
+    const challenge = adapter.verifyWebhook(
+        req.query['hub.mode'],
+        req.query['hub.verify_token'],
+        req.query['hub.challenge']
+    );
+
+    if (challenge) {
+        res.send(challenge);
+    } else {
+        res.sendStatus(403);
+    }
+});
+
+/**
+ * Check the X-Hub-Signature-256 header Meta signs webhook payloads with
+ * (WHATSAPP_APP_SECRET); unsigned or mis-signed deliveries are refused
+ */
+function verifyWhatsAppSignature(req) {
+    const secret = process.env.WHATSAPP_APP_SECRET;
+    const signature = req.headers['x-hub-signature-256'] || '';
+    if (!secret) {
+        logger.warn('WhatsApp webhook refused: WHATSAPP_APP_SECRET is not configured');
+        return false;
+    }
+    if (!req.rawBody) {
+        return false;
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex')}`);
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Find the user a WhatsApp number belongs to (users.phone, with or without the leading +)
+ */
+async function findUserByWhatsAppNumber(phoneNumber) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (!digits) {
+        return null;
+    }
+
+    const { data: users, error } = await supabase
+        .from('users')
+        .select('id')
+        .in('phone', [digits, `+${digits}`])
+        .limit(1);
+
+    if (error) {
+        logger.error('Failed to find user by WhatsApp number:', error);
+        return null;
+    }
+    return users[0]?.id || null;
+}
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -104,7 +199,7 @@ router.post('/connect/:platform', async (req, res) => {
         const { platform } = req.params;
         const credentials = req.body;
 
-        const result = await messageRouter.connectPlatform(req.user.id, platform, credentials);
+        const result = await getMessageRouter().connectPlatform(req.user.id, platform, credentials);
 
         if (result.success) {
             res.json({
@@ -135,7 +230,7 @@ router.delete('/connect/:platform', async (req, res) => {
     try {
         const { platform } = req.params;
 
-        const result = await messageRouter.disconnectPlatform(req.user.id, platform);
+        const result = await getMessageRouter().disconnectPlatform(req.user.id, platform);
 
         res.json({
             success: true,
@@ -173,7 +268,7 @@ router.post('/send', async (req, res) => {
             type
         };
 
-        const result = await messageRouter.sendMessage(req.user.id, platform, messageData);
+        const result = await getMessageRouter().sendMessage(req.user.id, platform, messageData);
 
         if (result.success) {
             res.json({
@@ -181,9 +276,10 @@ router.post('/send', async (req, res) => {
                 message: result
             });
         } else {
-            res.status(400).json({
+            res.status(result.reconnectRequired ? 409 : 400).json({
                 success: false,
-                error: result.error
+                error: result.error,
+                reconnect_required: result.reconnectRequired
             });
         }
 
@@ -421,11 +517,19 @@ router.post('/sync/:platform', async (req, res) => {
         const { platform } = req.params;
         const { fullSync = false } = req.body;
 
-        const result = await messageRouter.receiveMessages(req.user.id, platform, {
+        const result = await getMessageRouter().receiveMessages(req.user.id, platform, {
             fullSync,
             limit: fullSync ? 100 : 20
         });
 
+        if (result.reconnectRequired) {
+            return res.status(409).json({
+                success: false,
+                error: result.error,
+                reconnect_required: true
+            });
+        }
+
         res.json({
             success: true,
             synced: result.messages?.length || 0,
@@ -531,69 +635,4 @@ router.post('/templates', async (req, res) => {
     }
 });
 
-/**
- * Webhook endpoints for platforms
- */
-
-// WhatsApp webhook
-router.post('/webhook/whatsapp', async (req, res) => {
-    try {
-        const webhookData = req.body;
-
-        // Verify webhook signature (in production)
-        // const signature = req.headers['x-hub-signature-256'];
-
-        const adapter = messageRouter.getAdapter('whatsapp');
-        const messages = await adapter.handleWebhook(webhookData);
-
-        // Process messages through message router
-        for (const message of messages) {
-            // Find the user based on the WhatsApp phone number
-            // This is a simplified version - real implementation would need user lookup
-            const userId = await findUserByWhatsAppNumber(message.senderIdentifier);
-
-            if (userId) {
-                await messageRouter.processIncomingMessage(
-                    userId,
-                    'whatsapp',
-                    null, // integrationId
-                    message
-                );
-            }
-        }
-
-        res.json({ success: true });
-
-    } catch (error) {
-        logger.error('WhatsApp webhook error:', error);
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// WhatsApp webhook verification
-router.get('/webhook/whatsapp', (req, res) => {
-    const adapter = messageRouter.getAdapter('whatsapp');
-    const challenge = adapter.verifyWebhook(
-        req.query['hub.mode'],
-        req.query['hub.verify_token'],
-        req.query['hub.challenge']
-    );
-
-    if (challenge) {
-        res.send(challenge);
-    } else {
-        res.sendStatus(403);
-    }
-});
-
-/**
- * Helper function to find user by WhatsApp number
- * This is a placeholder - real implementation would need proper user lookup
- */
-async function findUserByWhatsAppNumber(phoneNumber) {
-    // Placeholder implementation
-    // In real implementation, this would query the platform_integrations table
-    return null;
-}
-
 module.exports = router;
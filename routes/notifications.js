@@ -24,6 +24,9 @@ router.get('/', async (req, res) => {
 
         if (status) {
             queryBuilder = queryBuilder.eq('status', status);
+        } else {
+            // Reminders stay hidden until they are due
+            queryBuilder = queryBuilder.neq('status', 'scheduled');
         }
 
         const { data: notifications, error } = await queryBuilder;
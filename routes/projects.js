@@ -2,6 +2,8 @@ const express = require('express');
 const { supabase } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { TaskDependencyError, getCriticalPath } = require('../services/taskDependencies');
+const { indexItem, removeItem } = require('../services/links');
 
 const router = express.Router();
 router.use(authenticateToken);
@@ -16,6 +18,7 @@ router.get('/', async (req, res) => {
             .select('*')
             .eq('user_id', req.user.id)
             .is('parent_project_id', null)
+            .is('deleted_at', null)
             .order('priority', { ascending: true })
             .order('created_at', { ascending: false });
 
@@ -36,7 +39,8 @@ router.get('/', async (req, res) => {
             const { count: subprojectCount } = await supabase
                 .from('projects')
                 .select('*', { count: 'exact', head: true })
-                .eq('parent_project_id', project.id);
+                .eq('parent_project_id', project.id)
+                .is('deleted_at', null);
 
             project.subproject_count = subprojectCount || 0;
 
@@ -44,7 +48,8 @@ router.get('/', async (req, res) => {
             const { data: tasks } = await supabase
                 .from('tasks')
                 .select('status')
-                .eq('project_id', project.id);
+                .eq('project_id', project.id)
+                .is('deleted_at', null);
 
             project.direct_task_count = tasks.length;
             project.completed_tasks = tasks.filter(t => t.status === 'completed').length;
@@ -61,6 +66,7 @@ router.get('/', async (req, res) => {
                         .select('*')
                         .eq('parent_project_id', project.id)
                         .eq('user_id', req.user.id)
+                        .is('deleted_at', null)
                         .order('priority', { ascending: true })
                         .order('created_at', { ascending: false });
 
@@ -74,7 +80,8 @@ router.get('/', async (req, res) => {
                         const { data: tasks } = await supabase
                             .from('tasks')
                             .select('status')
-                            .eq('project_id', subproject.id);
+                            .eq('project_id', subproject.id)
+                            .is('deleted_at', null);
 
                         subproject.task_count = tasks.length;
                         subproject.completed_tasks = tasks.filter(t => t.status === 'completed').length;
@@ -90,6 +97,7 @@ router.get('/', async (req, res) => {
                         .select('*')
                         .eq('project_id', project.id)
                         .eq('user_id', req.user.id)
+                        .is('deleted_at', null)
                         .order('priority', { ascending: true })
                         .order('created_at', { ascending: false })
                         .limit(5);
@@ -129,6 +137,7 @@ router.get('/:id', async (req, res) => {
             `)
             .eq('id', id)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .single();
 
         if (error && error.code !== 'PGRST116') {
@@ -153,6 +162,7 @@ router.get('/:id', async (req, res) => {
                 .select('*')
                 .eq('parent_project_id', id)
                 .eq('user_id', req.user.id)
+                .is('deleted_at', null)
                 .order('priority', { ascending: true });
 
             if (subError) {
@@ -165,7 +175,8 @@ router.get('/:id', async (req, res) => {
                 const { data: tasks } = await supabase
                     .from('tasks')
                     .select('status')
-                    .eq('project_id', subproject.id);
+                    .eq('project_id', subproject.id)
+                    .is('deleted_at', null);
 
                 subproject.task_count = tasks.length;
                 subproject.completed_tasks = tasks.filter(t => t.status === 'completed').length;
@@ -179,6 +190,7 @@ router.get('/:id', async (req, res) => {
             .select('*')
             .eq('project_id', id)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .order('priority', { ascending: true })
             .order('created_at', { ascending: false });
 
@@ -201,6 +213,39 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Critical path through the project's task dependencies
+router.get('/:id/critical-path', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { data: project, error } = await supabase
+            .from('projects')
+            .select('id, title')
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (error) {
+            throw error;
+        }
+
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        const criticalPath = await getCriticalPath(req.user.id, id);
+
+        res.json({ ...criticalPath, project_title: project.title });
+    } catch (error) {
+        if (error instanceof TaskDependencyError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Get project critical path error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Create project
 router.post('/', async (req, res) => {
     try {
@@ -225,6 +270,7 @@ router.post('/', async (req, res) => {
                 .select('id')
                 .eq('id', parent_project_id)
                 .eq('user_id', req.user.id)
+                .is('deleted_at', null)
                 .single();
 
             if (parentError && parentError.code !== 'PGRST116') {
@@ -300,6 +346,8 @@ router.post('/', async (req, res) => {
             }
         }
 
+        await indexItem(req.user.id, 'project', project);
+
         res.status(201).json(project);
     } catch (error) {
         logger.error('Create project error:', error);
@@ -329,56 +377,56 @@ router.get('/meta/categories', async (req, res) => {
 router.patch('/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, description, priority, deadline, status, category } = req.body;
+        const { name, description, priority, deadline, status } = req.body;
 
-        const updateFields = [];
-        const values = [req.user.id, id];
-        let paramCount = 2;
-
-        if (name !== undefined) {
-            updateFields.push(`title = $${++paramCount}`);
-            values.push(name);
-        }
-        if (description !== undefined) {
-            updateFields.push(`description = $${++paramCount}`);
-            values.push(description);
-        }
-        if (priority !== undefined) {
-            updateFields.push(`priority = $${++paramCount}`);
-            values.push(priority);
-        }
-        if (deadline !== undefined) {
-            updateFields.push(`deadline = $${++paramCount}`);
-            values.push(deadline ? new Date(deadline) : null);
-        }
-        if (status !== undefined) {
-            updateFields.push(`status = $${++paramCount}`);
-            values.push(status);
-        }
+        const updateData = {};
+        if (name !== undefined) updateData.title = name;
+        if (description !== undefined) updateData.description = description;
+        if (priority !== undefined) updateData.priority = priority;
+        if (deadline !== undefined) updateData.deadline = deadline ? new Date(deadline).toISOString() : null;
+        if (status !== undefined) updateData.status = status;
 
-        if (updateFields.length === 0) {
+        if (Object.keys(updateData).length === 0) {
             return res.status(400).json({ error: 'No fields to update' });
         }
 
-        updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+        const { data: existing, error: findError } = await supabase
+            .from('projects')
+            .select('id, title')
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .is('deleted_at', null)
+            .maybeSingle();
 
-        const updateQuery = `
-            UPDATE projects
-            SET ${updateFields.join(', ')}
-            WHERE id = $2 AND user_id = $1
-            RETURNING *
-        `;
+        if (findError) {
+            throw findError;
+        }
+        if (!existing) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
 
-        const result = await query(updateQuery, values);
+        const { data: project, error } = await supabase
+            .from('projects')
+            .update({ ...updateData, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .is('deleted_at', null)
+            .select()
+            .single();
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Project not found' });
+        if (error) {
+            throw error;
+        }
+
+        // [[Links]] in the description, and to the project under its old title
+        if (updateData.title !== undefined || updateData.description !== undefined) {
+            await indexItem(req.user.id, 'project', project, { previousTitle: existing.title });
         }
 
         logger.info(`Project ${id} updated by user ${req.user.id}`);
         res.json({
             success: true,
-            project: result.rows[0]
+            project
         });
 
     } catch (error) {
@@ -392,18 +440,24 @@ router.delete('/:id', async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check if project exists and belongs to user
-        const projectResult = await query(
-            'SELECT id, title FROM projects WHERE id = $1 AND user_id = $2',
-            [id, req.user.id]
-        );
+        // Delete project (cascade will handle related records)
+        const { data: project, error } = await supabase
+            .from('projects')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', req.user.id)
+            .is('deleted_at', null)
+            .select()
+            .maybeSingle();
 
-        if (projectResult.rows.length === 0) {
+        if (error) {
+            throw error;
+        }
+        if (!project) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        // Delete project (cascade will handle related records)
-        await query('DELETE FROM projects WHERE id = $1 AND user_id = $2', [id, req.user.id]);
+        await removeItem(req.user.id, 'project', project);
 
         logger.info(`Project ${id} deleted by user ${req.user.id}`);
         res.json({
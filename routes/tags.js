@@ -32,6 +32,7 @@ router.get('/', async (req, res) => {
                         .from('projects')
                         .select('id')
                         .eq('user_id', req.user.id)
+                        .is('deleted_at', null)
                     ).data?.map(p => p.id) || []
                 );
 
@@ -45,6 +46,7 @@ router.get('/', async (req, res) => {
                         .from('tasks')
                         .select('id')
                         .eq('user_id', req.user.id)
+                        .is('deleted_at', null)
                     ).data?.map(t => t.id) || []
                 );
 
@@ -112,6 +114,7 @@ router.post('/project/:projectId', async (req, res) => {
             .select('id')
             .eq('id', projectId)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .single();
 
         if (projectError && projectError.code !== 'PGRST116') {
@@ -185,6 +188,7 @@ router.post('/task/:taskId', async (req, res) => {
             .select('id')
             .eq('id', taskId)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .single();
 
         if (taskError && taskError.code !== 'PGRST116') {
@@ -2,10 +2,71 @@ const express = require('express');
 const { supabase } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { RRuleError } = require('../services/rrule');
+const {
+    TEMPLATE_FIELDS,
+    describeRecurrence,
+    createRecurringTask,
+    advanceSeries,
+    makeTaskRecurring,
+    endSeriesFrom,
+    updateFutureOccurrences
+} = require('../services/recurringTasks');
+const {
+    TaskDependencyError,
+    nodeKey,
+    normalizeNode,
+    loadNodes,
+    addDependency,
+    removeDependency,
+    removeTaskFromGraph,
+    getDependencies,
+    releaseDependents
+} = require('../services/taskDependencies');
+const { listSubtasks, updateParentProgress, progressOf } = require('../services/subtasks');
+const { indexItem, removeItem } = require('../services/links');
 
 const router = express.Router();
 router.use(authenticateToken);
 
+const TASK_COLUMNS = '*, task_series(rrule)';
+
+// Replace the joined series with a readable recurrence ({ rrule, description } or null)
+function withRecurrence(task) {
+    const { task_series: series, ...rest } = task;
+    return { ...rest, recurrence: describeRecurrence(series?.rrule) };
+}
+
+// depends_on holds prerequisite task ids or { kind, id } for agent tasks; checked before
+// the task is created so a bad id doesn't leave a task behind
+async function findPrerequisites(userId, dependsOn) {
+    const prerequisites = dependsOn.map(value => normalizeNode(value));
+    const found = await loadNodes(userId, prerequisites);
+    if (prerequisites.some(node => !found.has(nodeKey(node)))) {
+        throw new TaskDependencyError('Prerequisite task not found', 404);
+    }
+    return prerequisites;
+}
+
+async function addPrerequisites(userId, task, prerequisites) {
+    for (const prerequisite of prerequisites) {
+        await addDependency(userId, { kind: 'task', id: task.id }, prerequisite);
+    }
+}
+
+async function findTask(userId, id, columns = '*') {
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .select(columns)
+        .eq('id', id)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return task;
+}
+
 // Get all tasks
 router.get('/', async (req, res) => {
     try {
@@ -17,9 +78,13 @@ router.get('/', async (req, res) => {
                 *,
                 projects (
                     title
+                ),
+                task_series (
+                    rrule
                 )
             `)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .order('priority', { ascending: true })
             .order('created_at', { ascending: false })
             .range(offset, offset + limit - 1);
@@ -42,7 +107,7 @@ router.get('/', async (req, res) => {
             throw error;
         }
 
-        res.json(tasks);
+        res.json(tasks.map(withRecurrence));
 
     } catch (error) {
         logger.error('Get tasks error:', error);
@@ -55,13 +120,42 @@ router.post('/', async (req, res) => {
     try {
         const {
             title, description, priority = 3, project_id,
-            estimated_duration, deadline, source = 'manual'
+            estimated_duration, deadline, source = 'manual', recurrence, depends_on = [], parent_task_id
         } = req.body;
 
         if (!title) {
             return res.status(400).json({ error: 'Title is required' });
         }
 
+        if (parent_task_id && recurrence) {
+            return res.status(400).json({ error: 'Subtasks cannot repeat' });
+        }
+        if (parent_task_id && !(await findTask(req.user.id, parent_task_id, 'id'))) {
+            return res.status(404).json({ error: 'Parent task not found' });
+        }
+
+        if (!Array.isArray(depends_on)) {
+            return res.status(400).json({ error: 'depends_on must be an array of task ids' });
+        }
+        const prerequisites = await findPrerequisites(req.user.id, depends_on);
+
+        // recurrence: { rrule, start } creates a series and returns its first occurrence
+        if (recurrence) {
+            const { series, task } = await createRecurringTask(req.user.id, {
+                title,
+                description,
+                priority,
+                project_id: project_id || null,
+                estimated_duration: estimated_duration || null,
+                deadline,
+                source
+            }, recurrence);
+
+            await addPrerequisites(req.user.id, task, prerequisites);
+            await indexItem(req.user.id, 'task', task);
+            return res.status(201).json({ ...task, recurrence: describeRecurrence(series.rrule) });
+        }
+
         const { data: task, error } = await supabase
             .from('tasks')
             .insert([{
@@ -72,7 +166,8 @@ router.post('/', async (req, res) => {
                 project_id: project_id || null,
                 estimated_duration: estimated_duration || null,
                 deadline: deadline || null,
-                source
+                source,
+                parent_task_id: parent_task_id || null
             }])
             .select()
             .single();
@@ -81,19 +176,36 @@ router.post('/', async (req, res) => {
             throw error;
         }
 
-        res.status(201).json(task);
+        await addPrerequisites(req.user.id, task, prerequisites);
+        await indexItem(req.user.id, 'task', task);
+        if (task.parent_task_id) {
+            await updateParentProgress(req.user.id, task.parent_task_id);
+        }
+        res.status(201).json({ ...task, recurrence: null });
 
     } catch (error) {
+        if (error instanceof RRuleError) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof TaskDependencyError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         logger.error('Create task error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update task
+// Update task. On a recurring task, scope 'this' (the default) edits only this occurrence
+// and scope 'future' edits it and every later one; with scope 'future', recurrence
+// ({ rrule, start } or null) changes or stops the repeat from this occurrence on.
 router.put('/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const updates = req.body;
+        const { scope = 'this', ...updates } = req.body;
+
+        if (!['this', 'future'].includes(scope)) {
+            return res.status(400).json({ error: 'scope must be "this" or "future"' });
+        }
 
         const allowedUpdates = ['title', 'description', 'priority', 'status', 'project_id', 'estimated_duration', 'deadline'];
         const updateData = {};
@@ -104,47 +216,104 @@ router.put('/:id', async (req, res) => {
             }
         });
 
-        if (Object.keys(updateData).length === 0) {
+        if (Object.keys(updateData).length === 0 && updates.recurrence === undefined) {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
 
+        const existing = await findTask(req.user.id, id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        if (existing.series_id && updates.recurrence !== undefined && scope !== 'future') {
+            return res.status(400).json({ error: 'Use scope "future" to change how a recurring task repeats' });
+        }
+        if (!existing.series_id && scope === 'future') {
+            return res.status(400).json({ error: 'Only recurring tasks can be edited with scope "future"' });
+        }
+
         updateData.updated_at = new Date().toISOString();
 
         if (updates.status === 'completed') {
             updateData.completed_at = new Date().toISOString();
         }
 
-        const { data: task, error } = await supabase
-            .from('tasks')
-            .update(updateData)
-            .eq('id', id)
-            .eq('user_id', req.user.id)
-            .select()
-            .single();
+        if (scope === 'future') {
+            await updateFutureOccurrences(existing, { ...updateData, recurrence: updates.recurrence });
+        } else {
+            if (!existing.series_id && updates.recurrence) {
+                await makeTaskRecurring(existing, { start: updateData.deadline, ...updates.recurrence });
+                delete updateData.deadline;
+            }
 
-        if (error) {
-            if (error.code === 'PGRST116') {
-                return res.status(404).json({ error: 'Task not found' });
+            // Editing one occurrence's fields sets it apart from the rest of its series
+            if (existing.series_id && [...TEMPLATE_FIELDS, 'deadline'].some(field => updateData[field] !== undefined)) {
+                updateData.recurrence_exception = true;
             }
-            throw error;
+
+            const { error } = await supabase
+                .from('tasks')
+                .update(updateData)
+                .eq('id', id)
+                .eq('user_id', req.user.id)
+                .is('deleted_at', null);
+
+            if (error) {
+                throw error;
+            }
+        }
+
+        const task = await findTask(req.user.id, id, TASK_COLUMNS);
+
+        // [[Links]] in the description, and to the task under its old title
+        if (updateData.title !== undefined || updateData.description !== undefined) {
+            await indexItem(req.user.id, 'task', task, { previousTitle: existing.title });
+        }
+
+        // A subtask's status and estimate feed its parent's progress
+        if (task.parent_task_id && (updateData.status !== undefined || updateData.estimated_duration !== undefined)) {
+            await updateParentProgress(req.user.id, task.parent_task_id);
         }
 
-        res.json(task);
+        // Completing an occurrence brings up the next one
+        const nextOccurrence = task.status === 'completed' ? await advanceSeries(task) : null;
+
+        // Finishing a prerequisite may unblock other tasks
+        const unblockedTasks = ['completed', 'cancelled'].includes(updates.status)
+            ? await releaseDependents(req.user.id, { kind: 'task', id })
+            : [];
+
+        res.json({ ...withRecurrence(task), next_occurrence: nextOccurrence, unblocked_tasks: unblockedTasks });
 
     } catch (error) {
+        if (error instanceof RRuleError) {
+            return res.status(400).json({ error: error.message });
+        }
         logger.error('Update task error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete task
+// Delete task; scope=future on a recurring task also deletes its later occurrences and ends the series
 router.delete('/:id', async (req, res) => {
     try {
+        if (req.query.scope === 'future') {
+            const existing = await findTask(req.user.id, req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            if (!existing.series_id) {
+                return res.status(400).json({ error: 'Only recurring tasks can be deleted with scope "future"' });
+            }
+            await endSeriesFrom(existing, supabase, { inclusive: false });
+        }
+
         const { data: deletedTask, error } = await supabase
             .from('tasks')
             .delete()
             .eq('id', req.params.id)
             .eq('user_id', req.user.id)
+            .is('deleted_at', null)
             .select()
             .single();
 
@@ -155,6 +324,12 @@ router.delete('/:id', async (req, res) => {
             throw error;
         }
 
+        await removeTaskFromGraph(req.user.id, { kind: 'task', id: deletedTask.id });
+        await removeItem(req.user.id, 'task', deletedTask);
+        if (deletedTask.parent_task_id) {
+            await updateParentProgress(req.user.id, deletedTask.parent_task_id);
+        }
+
         res.json({ message: 'Task deleted successfully' });
 
     } catch (error) {
@@ -163,4 +338,81 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+// Subtasks of a task, in order, with the progress they add up to
+router.get('/:id/subtasks', async (req, res) => {
+    try {
+        if (!(await findTask(req.user.id, req.params.id, 'id'))) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const subtasks = await listSubtasks(req.user.id, req.params.id);
+        res.json({ subtasks, progress: progressOf(subtasks) });
+
+    } catch (error) {
+        logger.error('Get subtasks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Prerequisites (blocked_by) and dependents (blocks) of a task
+router.get('/:id/dependencies', async (req, res) => {
+    try {
+        const task = await findTask(req.user.id, req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        res.json(await getDependencies(req.user.id, { kind: 'task', id: task.id }));
+
+    } catch (error) {
+        logger.error('Get task dependencies error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Make a task depend on another task (or, with depends_on_kind 'agent_task', an agent task)
+router.post('/:id/dependencies', async (req, res) => {
+    try {
+        const { depends_on_id, depends_on_kind = 'task' } = req.body;
+
+        const dependency = await addDependency(
+            req.user.id,
+            { kind: 'task', id: req.params.id },
+            { kind: depends_on_kind, id: depends_on_id }
+        );
+
+        res.status(201).json(dependency);
+
+    } catch (error) {
+        if (error instanceof TaskDependencyError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
+        logger.error('Add task dependency error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.delete('/:id/dependencies/:dependsOnId', async (req, res) => {
+    try {
+        const removed = await removeDependency(
+            req.user.id,
+            { kind: 'task', id: req.params.id },
+            { kind: req.query.kind || 'task', id: req.params.dependsOnId }
+        );
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        res.json({ message: 'Dependency removed successfully' });
+
+    } catch (error) {
+        if (error instanceof TaskDependencyError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Remove task dependency error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
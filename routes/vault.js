@@ -0,0 +1,45 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { ZipError, importVault, exportVault } = require('../services/vault');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Vaults are uploaded as the zip file itself
+const zipBody = express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '50mb' });
+
+// Import a zipped Obsidian vault; ?dry_run=true reports what would change without changing it
+router.post('/import', zipBody, async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Send the vault as a zip file (Content-Type: application/zip)' });
+        }
+
+        const report = await importVault(req.user.id, req.body, { dryRun: req.query.dry_run === 'true' });
+        res.json({ success: true, report });
+    } catch (error) {
+        if (error instanceof ZipError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Vault import error:', error);
+        res.status(500).json({ error: 'Failed to import vault' });
+    }
+});
+
+// Every project, note and task as a zipped Markdown vault
+router.get('/export', async (req, res) => {
+    try {
+        const archive = await exportVault(req.user.id);
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': 'attachment; filename="vault.zip"'
+        });
+        res.send(archive);
+    } catch (error) {
+        logger.error('Vault export error:', error);
+        res.status(500).json({ error: 'Failed to export vault' });
+    }
+});
+
+module.exports = router;
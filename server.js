@@ -18,8 +18,15 @@ const messagingRoutes = require('./routes/messaging');
 const chatRoutes = require('./routes/chat');
 const preferencesRoutes = require('./routes/preferences');
 const configRoutes = require('./routes/config');
+const memoryRoutes = require('./routes/memory');
+const jobRoutes = require('./routes/jobs');
+const linkRoutes = require('./routes/links');
+const vaultRoutes = require('./routes/vault');
 
 const { logger } = require('./utils/logger');
+const { startJobScheduler } = require('./services/jobScheduler');
+require('./services/reminders');
+require('./services/recurringTasks');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -118,7 +125,13 @@ app.get('/env.js', (_req, res) => {
 app.use(express.static('public'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for webhook signature checks
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -143,6 +156,10 @@ app.use('/api/messaging', messagingRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/user/preferences', preferencesRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/memory', memoryRoutes);
+app.use('/api/admin/jobs', jobRoutes);
+app.use('/api/links', linkRoutes);
+app.use('/api/vault', vaultRoutes);
 app.use('/api/insights', require('./routes/insights'));
 
 // Serve main application
@@ -197,3 +214,10 @@ const server = app.listen(PORT, () => {
     logger.info(`🚀 Khizr Assistant API running on port ${PORT}`);
     logger.info(`🌍 Environment: ${process.env.NODE_ENV}`);
 });
+
+// Authenticated WebSocket channel for agent status updates
+agentRoutes.initializeWebSocketServer(server);
+
+// Run background jobs: approvals, reminders, recurring tasks, message sync and the
+// rest register theirs when their modules load (services/jobScheduler.js)
+startJobScheduler();
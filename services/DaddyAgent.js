@@ -1,5 +1,95 @@
+const crypto = require('crypto');
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { asInstant } = require('../utils/time');
+const { AgentRuntimeError } = require('./agents/errors');
+const {
+    getEscalationSettings,
+    runEscalationStep,
+    stopEscalation,
+    sendReminder
+} = require('./agents/escalations');
+const {
+    DEFAULT_STEP_MINUTES,
+    GRANULARITY_FEEDBACK,
+    proposeBreakdown,
+    learnStepMinutes
+} = require('./agents/taskBreakdown');
+const { StrategyBandit, strategyContext } = require('./agents/strategyBandit');
+const { createSubtasks } = require('./subtasks');
+const { toLocal } = require('./rrule');
+
+// Settings a user can override; overrides are persisted and win over recommendations
+const SETTING_KEYS = [
+    'monitoringLevel',
+    'escalationThreshold',
+    'proactiveSuggestions',
+    'personalizedReminders',
+    'taskBreakdown',
+    'communicationStyle'
+];
+
+// Most recent entries kept in daddy_agent_state
+const SUGGESTION_HISTORY_LIMIT = 100;
+const ESCALATION_QUEUE_LIMIT = 50;
+const PENDING_REWARD_LIMIT = 200;
+
+// Hours before following a reminder up, until the strategy bandit has picked a gap
+const DEFAULT_REMINDER_GAP_HOURS = 6;
+
+// Reward for a reminder when the task was updated, but not completed, within its gap
+const UPDATED_REWARD = 0.5;
+
+// When a task counts as overdue, or as stalled without progress, by escalation threshold
+const ESCALATION_THRESHOLDS = {
+    low: { hours: 48, noProgressHours: 24 },
+    medium: { hours: 24, noProgressHours: 12 },
+    high: { hours: 12, noProgressHours: 6 }
+};
+
+// A rejected breakdown is not offered again for the same task within this time
+const BREAKDOWN_RETRY_MS = 24 * 60 * 60 * 1000;
+
+const optionalInstant = value => value ? asInstant(value) : null;
+const optionalIso = date => date ? date.toISOString() : null;
+
+// A task's escalation ladder, under way or last called off, as stored in escalation_state and back
+const toEscalationState = escalation => escalation ? {
+    step: escalation.step,
+    reason: escalation.reason,
+    priority: escalation.priority,
+    started_at: escalation.startedAt.toISOString(),
+    next_at: optionalIso(escalation.nextAt),
+    baseline: escalation.baseline,
+    stopped_at: optionalIso(escalation.stoppedAt)
+} : null;
+
+const fromEscalationState = state => state ? {
+    step: state.step,
+    reason: state.reason,
+    priority: state.priority,
+    startedAt: asInstant(state.started_at),
+    nextAt: optionalInstant(state.next_at),
+    baseline: state.baseline,
+    stoppedAt: optionalInstant(state.stopped_at)
+} : null;
+
+// A daddy_monitored_tasks row as the in-memory entry the checks work on
+function fromMonitoredRow(row) {
+    return {
+        ...row.task_data,
+        monitoringStart: asInstant(row.monitoring_start),
+        lastCheck: optionalInstant(row.last_check_at),
+        lastReminder: optionalInstant(row.last_reminder_at),
+        nextCheckAt: asInstant(row.next_check_at),
+        checkIntervalMs: row.check_interval_seconds * 1000,
+        escalationLevel: row.escalation_level || 0,
+        remindersSent: row.reminders_sent || 0,
+        reminderGapHours: row.reminder_gap_hours || DEFAULT_REMINDER_GAP_HOURS,
+        escalation: fromEscalationState(row.escalation_state),
+        status: 'active'
+    };
+}
 
 class DaddyAgent {
     constructor(config = {}) {
@@ -13,11 +103,24 @@ class DaddyAgent {
         this.taskBreakdown = config.taskBreakdown || false;
         this.communicationStyle = config.communicationStyle || 'balanced';
 
-        // Internal state
+        // Internal state, persisted in daddy_agent_state and daddy_monitored_tasks
         this.activeTasks = new Map();
         this.escalationQueue = [];
         this.suggestionHistory = [];
-        this.monitoringIntervals = new Map();
+        this.settingOverrides = {};
+
+        // Learnt from feedback on breakdowns: how long the user likes each step to be
+        this.breakdownPreferences = { stepMinutes: DEFAULT_STEP_MINUTES, accepted: 0, rejected: 0 };
+
+        // Reminder tone and timing and suggestion types are learnt per user; a seed
+        // (config.banditSeed or DADDY_BANDIT_SEED) makes the choices reproducible
+        this.bandit = new StrategyBandit({ seed: config.banditSeed ?? process.env.DADDY_BANDIT_SEED });
+
+        // Reminders whose outcome is not known yet: { id, task_id, sent_at, settle_at, baseline, choices }
+        this.pendingRewards = [];
+
+        // daddy_agent_state columns as last loaded or saved, serialized (see saveState)
+        this.savedState = {};
 
         // Performance metrics
         this.metrics = {
@@ -66,54 +169,256 @@ class DaddyAgent {
         this.communicationStyle = recommendations.communicationStyle;
     }
 
+    /**
+     * Override settings (monitoringLevel, communicationStyle, ...) for this user; other
+     * keys are ignored. Overrides are persisted and survive restarts.
+     */
+    async configure(settings = {}) {
+        const overrides = Object.fromEntries(
+            Object.entries(settings).filter(([key, value]) => SETTING_KEYS.includes(key) && value !== undefined)
+        );
+
+        Object.assign(this, overrides);
+        this.settingOverrides = { ...this.settingOverrides, ...overrides };
+        await this.saveState();
+        return overrides;
+    }
+
+    /**
+     * Load persisted state: setting overrides, metrics, escalation queue, suggestion
+     * history and the tasks being monitored. Called every time the agent is fetched (see
+     * services/agents/daddy.js), since another instance may have changed any of it.
+     */
+    async load() {
+        const [{ data: state, error: stateError }, { data: monitored, error: tasksError }] = await Promise.all([
+            supabase
+                .from('daddy_agent_state')
+                .select('*')
+                .eq('user_id', this.userId)
+                .maybeSingle(),
+            supabase
+                .from('daddy_monitored_tasks')
+                .select('*')
+                .eq('user_id', this.userId)
+                .eq('status', 'active')
+        ]);
+
+        if (stateError) throw new Error(`Failed to load DaddyAgent state: ${stateError.message}`);
+        if (tasksError) throw new Error(`Failed to load monitored tasks: ${tasksError.message}`);
+
+        if (state) {
+            this.settingOverrides = state.settings || {};
+            Object.assign(this, this.settingOverrides);
+            this.metrics = { ...this.metrics, ...state.metrics };
+            this.escalationQueue = state.escalation_queue || [];
+            this.suggestionHistory = state.suggestion_history || [];
+            this.breakdownPreferences = { ...this.breakdownPreferences, ...state.breakdown_preferences };
+        }
+
+        // Learnt policies come from the stored state alone
+        this.bandit.policies = state?.strategy_policies || {};
+        this.pendingRewards = state?.pending_rewards || [];
+
+        this.activeTasks = new Map((monitored || []).map(row => [row.task_id, fromMonitoredRow(row)]));
+        this._markSaved();
+    }
+
+    // The daddy_agent_state columns this agent owns, as they stand in memory
+    _stateColumns() {
+        return {
+            settings: this.settingOverrides,
+            metrics: this.metrics,
+            escalation_queue: this.escalationQueue.slice(-ESCALATION_QUEUE_LIMIT),
+            suggestion_history: this.suggestionHistory.slice(-SUGGESTION_HISTORY_LIMIT),
+            breakdown_preferences: this.breakdownPreferences,
+            strategy_policies: this.bandit.toJSON(),
+            pending_rewards: this.pendingRewards.slice(-PENDING_REWARD_LIMIT)
+        };
+    }
+
+    // Remember the columns as stored, so the next save can tell what changed since
+    _markSaved(columns = this._stateColumns()) {
+        this.savedState = Object.fromEntries(Object.entries(columns).map(([key, value]) => [key, JSON.stringify(value)]));
+    }
+
+    /**
+     * Persist settings overrides, metrics, the escalation queue, suggestion history,
+     * breakdown preferences and strategy policies. Only the columns changed since the
+     * last load or save are written, so changes other instances made to the rest stay.
+     */
+    async saveState() {
+        const columns = this._stateColumns();
+        const changed = Object.fromEntries(
+            Object.entries(columns).filter(([key, value]) => JSON.stringify(value) !== this.savedState[key])
+        );
+        if (Object.keys(changed).length === 0) return;
+
+        const { data: updated, error } = await supabase
+            .from('daddy_agent_state')
+            .update({ ...changed, updated_at: new Date().toISOString() })
+            .eq('user_id', this.userId)
+            .select('id');
+
+        if (error) throw new Error(`Failed to save DaddyAgent state: ${error.message}`);
+
+        if (updated.length === 0) {
+            const { error: insertError } = await supabase
+                .from('daddy_agent_state')
+                .insert([{ user_id: this.userId, ...columns, updated_at: new Date().toISOString() }]);
+
+            if (insertError) throw new Error(`Failed to save DaddyAgent state: ${insertError.message}`);
+        }
+        this._markSaved(columns);
+    }
+
+    /**
+     * Persist a monitored task's check times, escalation state and reminder count
+     */
+    async _saveTask(taskId) {
+        const task = this.activeTasks.get(taskId);
+        if (!task) return;
+
+        const { error } = await supabase
+            .from('daddy_monitored_tasks')
+            .update({
+                last_check_at: optionalIso(task.lastCheck),
+                next_check_at: task.nextCheckAt.toISOString(),
+                escalation_level: task.escalationLevel,
+                escalation_state: toEscalationState(task.escalation),
+                reminders_sent: task.remindersSent,
+                last_reminder_at: optionalIso(task.lastReminder),
+                reminder_gap_hours: task.reminderGapHours,
+                updated_at: new Date().toISOString()
+            })
+            .eq('user_id', this.userId)
+            .eq('task_id', taskId);
+
+        if (error) throw new Error(`Failed to save monitored task: ${error.message}`);
+    }
+
     /**
      * Start monitoring a task with enhanced oversight
      */
     async startTaskMonitoring(taskId, taskData) {
-        try {
-            // Store task in active monitoring
-            this.activeTasks.set(taskId, {
-                ...taskData,
-                monitoringStart: new Date(),
-                lastCheck: new Date(),
-                escalationLevel: 0,
-                remindersSent: 0,
-                status: 'active'
-            });
+        // Check the task based on its priority and the user's patterns
+        const now = new Date();
+        const monitoringInterval = this._calculateMonitoringInterval(taskData);
+        const row = {
+            user_id: this.userId,
+            task_id: taskId,
+            task_data: taskData,
+            status: 'active',
+            check_interval_seconds: Math.round(monitoringInterval / 1000),
+            next_check_at: new Date(now.getTime() + monitoringInterval).toISOString(),
+            monitoring_start: now.toISOString(),
+            last_check_at: now.toISOString(),
+            escalation_level: 0,
+            escalation_state: null,
+            reminders_sent: 0,
+            last_reminder_at: null,
+            reminder_gap_hours: DEFAULT_REMINDER_GAP_HOURS,
+            updated_at: now.toISOString()
+        };
+
+        // Monitoring a task again starts it afresh
+        const { data: restarted, error: updateError } = await supabase
+            .from('daddy_monitored_tasks')
+            .update(row)
+            .eq('user_id', this.userId)
+            .eq('task_id', taskId)
+            .select();
+
+        if (updateError) throw new Error(`Failed to start monitoring: ${updateError.message}`);
+
+        let stored = restarted[0];
+        if (!stored) {
+            const { data: inserted, error: insertError } = await supabase
+                .from('daddy_monitored_tasks')
+                .insert([row])
+                .select()
+                .single();
 
-            // Set up monitoring based on task priority and user patterns
-            const monitoringInterval = this._calculateMonitoringInterval(taskData);
-            const intervalId = setInterval(() => {
-                this._checkTaskProgress(taskId);
-            }, monitoringInterval);
+            if (insertError) throw new Error(`Failed to start monitoring: ${insertError.message}`);
+            stored = inserted;
+        }
 
-            this.monitoringIntervals.set(taskId, intervalId);
-            this.metrics.tasksMonitored++;
+        this.activeTasks.set(taskId, fromMonitoredRow(stored));
+        this.metrics.tasksMonitored++;
 
+        try {
             // Generate initial proactive suggestions if enabled
             if (this.proactiveSuggestions) {
                 await this._generateTaskSuggestions(taskId, taskData);
             }
 
-            logger.info(`Started monitoring task ${taskId} for user ${this.userId}`);
+            // Offer to split up large tasks from the start
+            if (this.taskBreakdown && this._isLargeTask(taskData)) {
+                await this._offerBreakdown(taskId, taskData, 'large');
+            }
         } catch (error) {
-            logger.error('Error starting task monitoring:', error);
+            logger.error('Error generating initial suggestions:', error);
         }
+
+        await this.saveState();
+        logger.info(`Started monitoring task ${taskId} for user ${this.userId}`);
     }
 
     /**
-     * Stop monitoring a task
+     * Stop monitoring a task, calling off any escalation under way
      */
-    stopTaskMonitoring(taskId) {
-        const intervalId = this.monitoringIntervals.get(taskId);
-        if (intervalId) {
-            clearInterval(intervalId);
-            this.monitoringIntervals.delete(taskId);
+    async stopTaskMonitoring(taskId, reason = 'Monitoring stopped') {
+        const task = this.activeTasks.get(taskId);
+        if (task && this._isEscalating(task)) {
+            await stopEscalation(this.userId, taskId, reason);
         }
+
+        const { error } = await supabase
+            .from('daddy_monitored_tasks')
+            .update({ status: 'stopped', updated_at: new Date().toISOString() })
+            .eq('user_id', this.userId)
+            .eq('task_id', taskId);
+
+        if (error) throw new Error(`Failed to stop monitoring: ${error.message}`);
+
+        // Reminders still waiting for an outcome no longer get one
+        this.pendingRewards = this.pendingRewards.filter(pending => pending.task_id !== taskId);
         this.activeTasks.delete(taskId);
         logger.info(`Stopped monitoring task ${taskId}`);
     }
 
+    /**
+     * Run a due progress check (see services/agents/daddy.js) and persist the outcome,
+     * including when the task is next checked
+     */
+    async runScheduledCheck(taskId) {
+        if (!this.activeTasks.has(taskId)) return;
+
+        await this._checkTaskProgress(taskId);
+        await this._saveTask(taskId);
+        await this.saveState();
+    }
+
+    /**
+     * Monitored tasks as persisted, for status reporting
+     */
+    getMonitoredTasks() {
+        return [...this.activeTasks.entries()].map(([taskId, task]) => ({
+            task_id: taskId,
+            title: task.title,
+            priority: task.priority,
+            monitoring_start: task.monitoringStart.toISOString(),
+            last_check_at: optionalIso(task.lastCheck),
+            next_check_at: task.nextCheckAt.toISOString(),
+            escalation_level: task.escalationLevel,
+            escalation: this._isEscalating(task) ? {
+                reason: task.escalation.reason,
+                step: task.escalation.step,
+                next_step_at: optionalIso(task.escalation.nextAt)
+            } : null,
+            reminders_sent: task.remindersSent
+        }));
+    }
+
     /**
      * Check task progress and trigger interventions if needed
      */
@@ -123,29 +428,59 @@ class DaddyAgent {
             if (!task) return;
 
             task.lastCheck = new Date();
+            task.nextCheckAt = new Date(task.lastCheck.getTime() + task.checkIntervalMs);
 
             // Get current task status from database
             const { data: currentTask } = await supabase
                 .from('tasks')
                 .select('*')
                 .eq('id', taskId)
+                .is('deleted_at', null)
                 .single();
 
-            if (!currentTask) {
-                this.stopTaskMonitoring(taskId);
+            this._settleReminderRewards(taskId, currentTask);
+
+            // Deleted and completed tasks need no more oversight
+            if (!currentTask || currentTask.status === 'completed') {
+                await this.stopTaskMonitoring(taskId, currentTask ? 'Task completed' : 'Task deleted');
                 return;
             }
 
+            const settings = await getEscalationSettings(this.userId);
+
+            // Any update to the task since its escalation began calls the escalation off
+            if (this._isEscalating(task) && task.escalation.baseline && currentTask.updated_at &&
+                asInstant(currentTask.updated_at) > asInstant(task.escalation.baseline)) {
+                task.escalation.stoppedAt = new Date();
+                await stopEscalation(this.userId, taskId, 'Task was updated');
+            }
+
             // Check for escalation conditions
-            const escalationNeeded = this._evaluateEscalationConditions(task, currentTask);
+            if (!this._isEscalating(task)) {
+                const escalationNeeded = this._evaluateEscalationConditions(task, currentTask);
+
+                if (escalationNeeded.needed) {
+                    await this._triggerEscalation(taskId, task, escalationNeeded, currentTask, settings);
+                }
+            }
+
+            if (this._isEscalating(task)) {
+                await this._advanceEscalation(taskId, task, settings);
 
-            if (escalationNeeded.needed) {
-                await this._triggerEscalation(taskId, task, escalationNeeded.reason);
+                // Come back in time for the next step
+                if (task.escalation.nextAt && task.escalation.nextAt < task.nextCheckAt) {
+                    task.nextCheckAt = task.escalation.nextAt;
+                }
             }
 
             // Send personalized reminders if enabled
             if (this.personalizedReminders && this._shouldSendReminder(task, currentTask)) {
-                await this._sendPersonalizedReminder(taskId, task, currentTask);
+                await this._sendPersonalizedReminder(taskId, task, currentTask, settings);
+            }
+
+            // Offer a breakdown of a task the user seems stuck on
+            if (this.taskBreakdown && this._isStalled(currentTask)) {
+                await this._offerBreakdown(taskId, currentTask, 'stalled');
             }
 
             // Generate follow-up suggestions
@@ -163,17 +498,11 @@ class DaddyAgent {
      */
     _evaluateEscalationConditions(task, currentTask) {
         const now = new Date();
-        const taskAge = now - new Date(task.monitoringStart);
+        // An escalation called off by an update restarts the clock
+        const taskAge = now - (task.escalation?.stoppedAt || task.monitoringStart);
         const hoursSinceStart = taskAge / (1000 * 60 * 60);
 
-        // Base escalation thresholds
-        const thresholds = {
-            low: { hours: 48, noProgressHours: 24 },
-            medium: { hours: 24, noProgressHours: 12 },
-            high: { hours: 12, noProgressHours: 6 }
-        };
-
-        const threshold = thresholds[this.escalationThreshold] || thresholds.medium;
+        const threshold = ESCALATION_THRESHOLDS[this.escalationThreshold] || ESCALATION_THRESHOLDS.medium;
 
         // Check time-based escalation
         if (hoursSinceStart > threshold.hours) {
@@ -211,36 +540,31 @@ class DaddyAgent {
     }
 
     /**
-     * Trigger escalation with personalized messaging
+     * Whether the task has an escalation ladder under way (possibly with every step taken)
+     */
+    _isEscalating(task) {
+        return Boolean(task.escalation && !task.escalation.stoppedAt);
+    }
+
+    /**
+     * Start the user's escalation ladder for the task. It runs until the task is touched,
+     * completed or no longer monitored.
      */
-    async _triggerEscalation(taskId, task, reason) {
+    async _triggerEscalation(taskId, task, { reason, priority }, currentTask, settings) {
         try {
+            const now = new Date();
             this.metrics.escalationsTriggered++;
 
-            // Create escalation notification
-            const escalationMessage = this._generateEscalationMessage(task, reason);
-
-            const notificationData = {
-                user_id: this.userId,
-                type: 'task_escalation',
-                title: `Task Escalation: ${task.title}`,
-                message: escalationMessage,
-                priority: task.priority,
-                action_required: true,
-                data: JSON.stringify({
-                    task_id: taskId,
-                    escalation_reason: reason,
-                    escalation_time: new Date().toISOString(),
-                    monitoring_level: this.monitoringLevel
-                })
+            task.escalation = {
+                step: 0,
+                reason,
+                priority: priority || task.priority,
+                startedAt: now,
+                nextAt: new Date(now.getTime() + settings.ladder[0].delay_minutes * 60 * 1000),
+                baseline: currentTask.updated_at || null,
+                stoppedAt: null
             };
 
-            const { data: notification } = await supabase
-                .from('notifications')
-                .insert([notificationData])
-                .select()
-                .single();
-
             // Log escalation
             await supabase
                 .from('agent_logs')
@@ -254,13 +578,20 @@ class DaddyAgent {
                         reason,
                         monitoring_level: this.monitoringLevel,
                         escalation_threshold: this.escalationThreshold,
-                        task_priority: task.priority
+                        task_priority: task.priority,
+                        ladder: settings.ladder.map(step => step.channel)
                     },
                     severity: 'warning'
                 }]);
 
             // Update task escalation level
             task.escalationLevel = (task.escalationLevel || 0) + 1;
+            this.escalationQueue.push({
+                task_id: taskId,
+                reason,
+                level: task.escalationLevel,
+                escalated_at: now.toISOString()
+            });
 
             logger.info(`Escalation triggered for task ${taskId}: ${reason}`);
 
@@ -269,6 +600,37 @@ class DaddyAgent {
         }
     }
 
+    /**
+     * Take the ladder steps that are due, in order, until one is held by quiet hours or
+     * do-not-disturb or has a delay still to run. The ladder is read afresh on each check,
+     * so changes to it apply to escalations under way.
+     */
+    async _advanceEscalation(taskId, task, settings) {
+        const escalation = task.escalation;
+        const now = new Date();
+
+        while (escalation.step < settings.ladder.length && escalation.nextAt && escalation.nextAt <= now) {
+            const event = await runEscalationStep(this.userId, {
+                task_id: taskId,
+                title: task.title,
+                message: this._generateEscalationMessage(task, escalation.reason),
+                reason: escalation.reason,
+                priority: escalation.priority,
+                overdue: this._isTaskOverdue(task),
+                step_index: escalation.step
+            }, settings.ladder[escalation.step], settings, supabase, now);
+
+            if (event.status === 'held') {
+                escalation.nextAt = asInstant(event.held_until);
+                return;
+            }
+
+            escalation.step++;
+            const next = settings.ladder[escalation.step];
+            escalation.nextAt = next ? new Date(now.getTime() + next.delay_minutes * 60 * 1000) : null;
+        }
+    }
+
     /**
      * Generate personalized escalation message
      */
@@ -290,7 +652,7 @@ class DaddyAgent {
     /**
      * Send personalized reminder based on user patterns
      */
-    async _sendPersonalizedReminder(taskId, task, currentTask) {
+    async _sendPersonalizedReminder(taskId, task, currentTask, settings) {
         try {
             if (task.remindersSent >= 3) return; // Limit reminders
 
@@ -303,27 +665,39 @@ class DaddyAgent {
                 return;
             }
 
-            const reminderMessage = this._generateReminderMessage(task, currentTask);
+            // The tone follows the user's own setting if they chose one; otherwise it is learnt
+            const context = this._strategyContext(task.priority, settings);
+            const tone = this.settingOverrides.communicationStyle ? null : this.bandit.choose('reminder_tone', context);
+            const timing = this.bandit.choose('reminder_timing', context);
 
-            const notificationData = {
-                user_id: this.userId,
-                type: 'task_reminder',
-                title: `Reminder: ${task.title}`,
+            const reminderMessage = this._generateReminderMessage(task, currentTask, tone ? tone.arm : this.communicationStyle);
+            const reminderId = crypto.randomUUID();
+
+            const sent = await sendReminder(this.userId, {
+                id: reminderId,
+                task_id: taskId,
+                title: task.title,
                 message: reminderMessage,
                 priority: task.priority,
-                action_required: false,
-                data: JSON.stringify({
-                    task_id: taskId,
-                    reminder_type: 'personalized',
-                    reminder_count: task.remindersSent + 1
-                })
-            };
+                reminder_count: task.remindersSent + 1
+            }, settings);
 
-            await supabase
-                .from('notifications')
-                .insert([notificationData]);
+            // Held by quiet hours or do-not-disturb; the next check tries again
+            if (!sent) return;
 
             task.remindersSent++;
+            task.lastReminder = new Date();
+            task.reminderGapHours = parseInt(timing.arm, 10);
+
+            // Rewarded once the gap is up, by whether the task moved in the meantime
+            this.pendingRewards.push({
+                id: reminderId,
+                task_id: taskId,
+                sent_at: task.lastReminder.toISOString(),
+                settle_at: new Date(task.lastReminder.getTime() + task.reminderGapHours * 60 * 60 * 1000).toISOString(),
+                baseline: currentTask.updated_at || null,
+                choices: [tone, timing].filter(Boolean)
+            });
 
             logger.info(`Sent personalized reminder for task ${taskId}`);
 
@@ -335,7 +709,7 @@ class DaddyAgent {
     /**
      * Generate personalized reminder message
      */
-    _generateReminderMessage(task, currentTask) {
+    _generateReminderMessage(task, currentTask, tone = this.communicationStyle) {
         let message = `Just a friendly reminder about your task "${task.title}". `;
 
         // Personalize based on patterns and preferences
@@ -345,8 +719,11 @@ class DaddyAgent {
             message += 'Consider breaking this down into smaller, manageable steps.';
         }
 
-        if (this.communicationStyle === 'brief') {
+        if (tone === 'brief') {
             message += ' Please update when you can.';
+        } else if (tone === 'detailed') {
+            const due = task.deadline ? `, due ${new Date(task.deadline).toUTCString()}` : '';
+            message += ` It is a priority ${task.priority} task${due}. Let me know if you need any assistance, or I can suggest a first step or help organize your approach.`;
         } else {
             message += ' Let me know if you need any assistance or would like me to help organize your approach.';
         }
@@ -361,15 +738,6 @@ class DaddyAgent {
         try {
             const suggestions = [];
 
-            // Task breakdown suggestions
-            if (this.taskBreakdown && taskData.description && taskData.description.length > 200) {
-                suggestions.push({
-                    type: 'task_breakdown',
-                    message: 'This task seems complex. Would you like me to help break it down into smaller steps?',
-                    confidence: 0.8
-                });
-            }
-
             // Time-based suggestions
             if (this.patterns.preferredTimes?.peakHours) {
                 const currentHour = new Date().getHours();
@@ -393,16 +761,7 @@ class DaddyAgent {
                 });
             }
 
-            // Store and send suggestions
-            for (const suggestion of suggestions) {
-                await this._storeSuggestion(taskId, suggestion);
-                this.metrics.suggestionsProvided++;
-            }
-
-            // Send notification if we have suggestions
-            if (suggestions.length > 0) {
-                await this._sendSuggestionNotification(taskId, suggestions);
-            }
+            await this._offerSuggestion(taskId, taskData.priority, suggestions);
 
         } catch (error) {
             logger.error('Error generating task suggestions:', error);
@@ -434,26 +793,198 @@ class DaddyAgent {
             });
         }
 
-        // Send suggestions if any
-        if (suggestions.length > 0) {
-            await this._sendSuggestionNotification(taskId, suggestions);
+        await this._offerSuggestion(taskId, task.priority, suggestions);
+    }
+
+    /**
+     * Send the one candidate suggestion the strategy bandit picks by type, stored so that
+     * feedback on it can be credited to that type
+     */
+    async _offerSuggestion(taskId, priority, candidates) {
+        if (candidates.length === 0) return null;
+
+        const context = this._strategyContext(priority, await getEscalationSettings(this.userId));
+        const strategy = this.bandit.choose('suggestion_type', context, candidates.map(candidate => candidate.type));
+        const suggestion = candidates.find(candidate => candidate.type === strategy.arm);
+
+        const entry = await this._storeSuggestion(taskId, suggestion, { strategy });
+        this.metrics.suggestionsProvided++;
+        await this._sendSuggestionNotification(taskId, [{ id: entry.id, ...suggestion }]);
+        return entry;
+    }
+
+    /**
+     * The context strategy choices are made and rewarded in: the task's priority and the
+     * part of the day it is for the user
+     */
+    _strategyContext(priority, settings) {
+        const hour = toLocal(new Date(), settings?.time_zone || 'UTC').getUTCHours();
+        return strategyContext({ priority, hour });
+    }
+
+    // Credit a strategy choice and keep the effectiveness score in step with the policies
+    _rewardStrategy(choice, reward) {
+        this.bandit.reward(choice, reward);
+        this.metrics.effectivenessScore = this.bandit.effectiveness() ?? this.metrics.effectivenessScore;
+    }
+
+    /**
+     * Reward the task's reminders once their outcome is known: completion earns full
+     * reward at once; when the gap before the next reminder is up, an update since the
+     * reminder earns part of it and no change earns none
+     */
+    _settleReminderRewards(taskId, currentTask) {
+        const now = new Date();
+
+        this.pendingRewards = this.pendingRewards.filter(pending => {
+            if (pending.task_id !== taskId) return true;
+            // A deleted task has no outcome to reward
+            if (!currentTask) return false;
+
+            let reward = null;
+            if (currentTask.status === 'completed') {
+                reward = 1;
+            } else if (now >= new Date(pending.settle_at)) {
+                const updated = currentTask.updated_at && (!pending.baseline ||
+                    asInstant(currentTask.updated_at) > asInstant(pending.baseline));
+                reward = updated ? UPDATED_REWARD : 0;
+            }
+
+            if (reward === null) return true;
+            pending.choices.forEach(choice => this._rewardStrategy(choice, reward));
+            return false;
+        });
+    }
+
+    /**
+     * Store suggestion for tracking; resolves to the stored entry
+     */
+    async _storeSuggestion(taskId, suggestion, fields = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            taskId,
+            suggestion,
+            timestamp: new Date(),
+            delivered: false,
+            ...fields
+        };
+
+        this.suggestionHistory.push(entry);
+        return entry;
+    }
+
+    /**
+     * Whether a task is big enough to offer a breakdown up front: an estimate of at least
+     * two preferred steps, or a long description
+     */
+    _isLargeTask(taskData) {
+        return Number(taskData.estimated_duration) >= 2 * this.breakdownPreferences.stepMinutes ||
+            (taskData.description || '').length > 200;
+    }
+
+    /**
+     * Whether the task has gone without an update for longer than the escalation
+     * threshold allows
+     */
+    _isStalled(currentTask) {
+        const threshold = ESCALATION_THRESHOLDS[this.escalationThreshold] || ESCALATION_THRESHOLDS.medium;
+        const hoursSinceUpdate = (new Date() - new Date(currentTask.updated_at)) / (1000 * 60 * 60);
+        return currentTask.status === 'pending' && hoursSinceUpdate > threshold.noProgressHours;
+    }
+
+    /**
+     * Ask the AI provider for subtasks and offer them as a suggestion, unless a breakdown
+     * for the task is already open, was accepted, or was turned down recently
+     */
+    async _offerBreakdown(taskId, taskData, trigger) {
+        const previous = this.suggestionHistory.filter(entry => entry.taskId === taskId && entry.suggestion.type === 'task_breakdown');
+        const blocked = previous.some(entry => entry.status !== 'rejected' ||
+            new Date() - new Date(entry.timestamp) < BREAKDOWN_RETRY_MS);
+        if (blocked) return null;
+
+        const breakdown = await proposeBreakdown({ id: taskId, ...taskData }, {
+            stepMinutes: this.breakdownPreferences.stepMinutes,
+            stalled: trigger === 'stalled'
+        });
+        if (!breakdown) return null;
+
+        const suggestion = {
+            type: 'task_breakdown',
+            message: `I can split "${taskData.title}" into ${breakdown.subtasks.length} steps (about ${breakdown.total_minutes} minutes in all). Accept to add them as subtasks.`,
+            confidence: 0.8,
+            trigger,
+            ...breakdown
+        };
+
+        // Acceptance is credited to breakdowns as a suggestion type
+        const strategy = {
+            decision: 'suggestion_type',
+            context: this._strategyContext(taskData.priority, await getEscalationSettings(this.userId)),
+            arm: 'task_breakdown'
+        };
+
+        const entry = await this._storeSuggestion(taskId, suggestion, { status: 'pending', strategy });
+        this.metrics.suggestionsProvided++;
+        await this._sendSuggestionNotification(taskId, [{ id: entry.id, ...suggestion }]);
+
+        logger.info(`Offered a ${breakdown.subtasks.length}-step breakdown for task ${taskId}`);
+        return entry;
+    }
+
+    // A pending breakdown suggestion, or AgentRuntimeError
+    _findOpenBreakdown(suggestionId) {
+        const entry = this.suggestionHistory.find(s => s.id === suggestionId && s.suggestion.type === 'task_breakdown');
+        if (!entry) {
+            throw new AgentRuntimeError('Breakdown suggestion not found', 404);
         }
+        if (entry.status !== 'pending') {
+            throw new AgentRuntimeError(`Breakdown has already been ${entry.status}`, 409);
+        }
+        return entry;
     }
 
     /**
-     * Store suggestion for tracking
+     * Accept a breakdown: its steps become subtasks of the task, in order. Resolves to
+     * { task_id, subtasks, progress }.
      */
-    async _storeSuggestion(taskId, suggestion) {
-        try {
-            this.suggestionHistory.push({
-                taskId,
-                suggestion,
-                timestamp: new Date(),
-                delivered: false
-            });
-        } catch (error) {
-            logger.error('Error storing suggestion:', error);
+    async acceptBreakdown(suggestionId) {
+        const entry = this._findOpenBreakdown(suggestionId);
+
+        const { data: parent } = await supabase
+            .from('tasks')
+            .select('*')
+            .eq('id', entry.taskId)
+            .eq('user_id', this.userId)
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (!parent) {
+            throw new AgentRuntimeError('Task not found', 404);
+        }
+
+        const { subtasks, progress } = await createSubtasks(this.userId, parent, entry.suggestion.subtasks, {
+            source: 'daddy_agent',
+            sourceData: { suggestion_id: entry.id }
+        });
+
+        entry.status = 'accepted';
+        await this.processFeedback(suggestionId, { helpful: true });
+
+        return { task_id: parent.id, subtasks, progress };
+    }
+
+    /**
+     * Turn a breakdown down. `granularity` ('too_detailed' or 'too_coarse') says how it
+     * missed, so later breakdowns use bigger or smaller steps.
+     */
+    async rejectBreakdown(suggestionId, { granularity, reason } = {}) {
+        if (granularity !== undefined && !GRANULARITY_FEEDBACK.includes(granularity)) {
+            throw new AgentRuntimeError(`granularity must be one of ${GRANULARITY_FEEDBACK.join(', ')}`, 400);
         }
+        this._findOpenBreakdown(suggestionId);
+
+        await this.processFeedback(suggestionId, { helpful: false, granularity, reason });
+        return { step_minutes: this.breakdownPreferences.stepMinutes };
     }
 
     /**
@@ -536,10 +1067,10 @@ class DaddyAgent {
 
         // Send reminder if:
         // 1. Task is still pending
-        // 2. No reminder sent in last 6 hours
+        // 2. The gap since the last reminder, as learnt, is up
         // 3. Task is overdue or high priority
         return currentTask.status === 'pending' &&
-               hoursSinceLastReminder >= 6 &&
+               hoursSinceLastReminder >= (task.reminderGapHours || DEFAULT_REMINDER_GAP_HOURS) &&
                (task.priority <= 3 || this._isTaskOverdue(task));
     }
 
@@ -564,24 +1095,53 @@ class DaddyAgent {
     }
 
     /**
-     * Process user feedback on suggestions
+     * Strategy policies learnt so far, for analytics
+     */
+    getStrategyPolicies() {
+        return {
+            effectiveness: this.bandit.effectiveness(),
+            pending_rewards: this.pendingRewards.length,
+            policies: this.bandit.summary()
+        };
+    }
+
+    /**
+     * Process user feedback on suggestions, or on a reminder by its id
      */
     async processFeedback(suggestionId, feedback) {
         try {
+            // Feedback on a reminder settles its reward straight away
+            const reminder = this.pendingRewards.find(pending => pending.id === suggestionId);
+            if (reminder) {
+                this.metrics.userFeedbackReceived++;
+                reminder.choices.forEach(choice => this._rewardStrategy(choice, feedback.helpful ? 1 : 0));
+                this.pendingRewards = this.pendingRewards.filter(pending => pending !== reminder);
+            }
+
             // Update suggestion effectiveness
             const suggestion = this.suggestionHistory.find(s => s.id === suggestionId);
             if (suggestion) {
+                // Only the first feedback on a suggestion counts towards its type
+                if (suggestion.strategy && !suggestion.feedback) {
+                    this._rewardStrategy(suggestion.strategy, feedback.helpful ? 1 : 0);
+                }
                 suggestion.feedback = feedback;
                 this.metrics.userFeedbackReceived++;
 
-                // Adjust future suggestions based on feedback
-                if (feedback.helpful) {
-                    this.metrics.effectivenessScore = Math.min(1.0, this.metrics.effectivenessScore + 0.05);
-                } else {
-                    this.metrics.effectivenessScore = Math.max(0.1, this.metrics.effectivenessScore - 0.05);
+                // Breakdowns also teach how granular the user likes their steps
+                if (suggestion.suggestion.type === 'task_breakdown' && suggestion.suggestion.subtasks) {
+                    if (!feedback.helpful && suggestion.status === 'pending') {
+                        suggestion.status = 'rejected';
+                    }
+                    this.breakdownPreferences = {
+                        ...this.breakdownPreferences,
+                        stepMinutes: learnStepMinutes(this.breakdownPreferences.stepMinutes, suggestion.suggestion, feedback),
+                        [feedback.helpful ? 'accepted' : 'rejected']: this.breakdownPreferences[feedback.helpful ? 'accepted' : 'rejected'] + 1
+                    };
                 }
             }
 
+            await this.saveState();
             logger.info(`Processed feedback for suggestion ${suggestionId}: ${feedback.helpful ? 'helpful' : 'not helpful'}`);
 
         } catch (error) {
@@ -593,13 +1153,7 @@ class DaddyAgent {
      * Clean up resources when shutting down
      */
     shutdown() {
-        // Clear all monitoring intervals
-        for (const [taskId, intervalId] of this.monitoringIntervals) {
-            clearInterval(intervalId);
-            logger.info(`Cleared monitoring interval for task ${taskId}`);
-        }
-
-        this.monitoringIntervals.clear();
+        // Monitoring is persisted and carries on after a restart
         this.activeTasks.clear();
         this.escalationQueue = [];
 
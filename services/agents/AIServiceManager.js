@@ -0,0 +1,121 @@
+/**
+ * AI Service Manager
+ * Model selection over the shared LLM catalog, A/B test assignment and in-memory
+ * performance tracking used by agents when they pick a model for a task
+ */
+
+const { llm } = require('../llm');
+
+// AI Service Manager with multiple model support and A/B testing
+class AIServiceManager {
+    constructor({ registry = llm } = {}) {
+        this.registry = registry;
+        this.models = registry.getCatalog();
+
+        this.abTestingGroups = new Map();
+        this.performanceMetrics = new Map();
+    }
+
+    // Select optimal AI model based on task requirements and A/B testing
+    selectModel(agentConfig, taskType = 'general', userId = null) {
+        const { model: preferredModel, ab_testing_enabled = false } = agentConfig;
+
+        // Check if user is in A/B testing group
+        if (ab_testing_enabled && userId) {
+            const testGroup = this.getABTestGroup(userId, taskType);
+            if (testGroup && testGroup.variant !== 'control') {
+                return this.models[testGroup.variant] || this.models[preferredModel];
+            }
+        }
+
+        // Return preferred model if available and capable
+        if (this.models[preferredModel] && this.models[preferredModel].capabilities.includes(taskType)) {
+            return this.models[preferredModel];
+        }
+
+        // Fallback to most capable model for the task
+        const capableModels = Object.values(this.models).filter(model =>
+            model.capabilities.includes(taskType)
+        );
+
+        return capableModels[0] || this.models['gpt-4'];
+    }
+
+    // Get A/B testing group for user
+    getABTestGroup(userId, taskType) {
+        const key = `${userId}_${taskType}`;
+        if (this.abTestingGroups.has(key)) {
+            return this.abTestingGroups.get(key);
+        }
+
+        // Simple A/B assignment based on user ID hash
+        const hash = this.hashString(userId);
+        const variants = ['control', 'gpt-4', 'claude-3', 'gpt-3.5-turbo'];
+        const variant = variants[Math.abs(hash) % variants.length];
+
+        const group = {
+            variant,
+            assigned_at: new Date(),
+            task_type: taskType
+        };
+
+        this.abTestingGroups.set(key, group);
+        return group;
+    }
+
+    // Simple string hashing for A/B assignment
+    hashString(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return hash;
+    }
+
+    // Record performance metrics for A/B testing
+    recordPerformance(model, taskType, userId, metrics) {
+        const key = `${model}_${taskType}_${userId}`;
+        if (!this.performanceMetrics.has(key)) {
+            this.performanceMetrics.set(key, []);
+        }
+
+        this.performanceMetrics.get(key).push({
+            timestamp: new Date(),
+            ...metrics
+        });
+    }
+
+    // Get performance analytics
+    getPerformanceAnalytics(model, taskType, days = 30) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        const metrics = Array.from(this.performanceMetrics.entries())
+            .filter(([key, values]) => key.startsWith(`${model}_${taskType}`))
+            .flatMap(([key, values]) => values)
+            .filter(metric => metric.timestamp > cutoffDate);
+
+        if (metrics.length === 0) return null;
+
+        const avgResponseTime = metrics.reduce((sum, m) => sum + (m.response_time || 0), 0) / metrics.length;
+        const avgQualityScore = metrics.reduce((sum, m) => sum + (m.quality_score || 0), 0) / metrics.length;
+        const successRate = metrics.filter(m => m.success).length / metrics.length;
+
+        return {
+            model,
+            task_type: taskType,
+            sample_size: metrics.length,
+            avg_response_time: avgResponseTime,
+            avg_quality_score: avgQualityScore,
+            success_rate: successRate,
+            period_days: days
+        };
+    }
+}
+
+// Initialize AI Service Manager
+const aiServiceManager = new AIServiceManager();
+
+module.exports = { AIServiceManager, aiServiceManager };
@@ -0,0 +1,284 @@
+/**
+ * Agent Decision Engine
+ * Pure scoring rules for task priority, response urgency, action risk,
+ * resource allocation and escalation. Has no database access so it can be
+ * unit-tested and reused outside the HTTP routes.
+ */
+
+// Decision Engine for agent actions and responses
+class AgentDecisionEngine {
+    constructor() {
+        this.decisionRules = {
+            task_priority: this.calculateTaskPriority.bind(this),
+            response_urgency: this.assessResponseUrgency.bind(this),
+            action_risk: this.evaluateActionRisk.bind(this),
+            resource_allocation: this.optimizeResourceAllocation.bind(this),
+            escalation_needed: this.checkEscalationNeeded.bind(this)
+        };
+
+        this.learningData = new Map();
+    }
+
+    // Calculate optimal task priority based on multiple factors
+    calculateTaskPriority(taskData, context = {}) {
+        const {
+            deadline,
+            priority: userPriority = 3,
+            dependencies = {},
+            user_history = [],
+            agent_workload = 0,
+            business_impact = 1
+        } = taskData;
+
+        let score = 0;
+
+        // Deadline proximity (closer = higher priority)
+        if (deadline) {
+            const hoursUntilDeadline = (new Date(deadline) - new Date()) / (1000 * 60 * 60);
+            if (hoursUntilDeadline < 24) score += 20;
+            else if (hoursUntilDeadline < 72) score += 10;
+            else if (hoursUntilDeadline < 168) score += 5;
+        }
+
+        // User-specified priority
+        score += (6 - userPriority) * 15; // Convert 1-5 scale to points
+
+        // Dependencies (from the task dependency graph): tasks others wait on come first,
+        // tasks still waiting on prerequisites can't be started yet
+        const { blocking_count: blockingCount = 0, is_blocked: isBlocked = false } = dependencies;
+        score += Math.min(blockingCount * 5, 25);
+        if (isBlocked) score -= 15;
+
+        // User history patterns (frequent interactions = higher priority)
+        const recentInteractions = user_history.filter(h =>
+            new Date(h.timestamp) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+        ).length;
+        score += Math.min(recentInteractions * 2, 10);
+
+        // Agent workload balancing (avoid overloading)
+        if (agent_workload > 80) score -= 10;
+        else if (agent_workload < 30) score += 5;
+
+        // Business impact multiplier
+        score *= business_impact;
+
+        // Normalize to 1-5 scale
+        return Math.max(1, Math.min(5, Math.round(score / 10)));
+    }
+
+    // Assess response urgency based on message content and context
+    assessResponseUrgency(message, context = {}) {
+        const { content, sender_type, timestamp } = message;
+        const lowerContent = content.toLowerCase();
+
+        let urgency = 1; // Default: normal
+
+        // Time-sensitive keywords
+        const urgentKeywords = ['urgent', 'asap', 'emergency', 'critical', 'immediate', 'deadline', 'today', 'now'];
+        const urgentCount = urgentKeywords.filter(keyword => lowerContent.includes(keyword)).length;
+        urgency += urgentCount * 2;
+
+        // Question detection (questions often need timely responses)
+        const questionIndicators = ['?', 'how', 'what', 'when', 'where', 'why', 'can you', 'please'];
+        const questionCount = questionIndicators.filter(indicator => lowerContent.includes(indicator)).length;
+        urgency += questionCount;
+
+        // Sender type priority
+        if (sender_type === 'supervisor' || sender_type === 'executive') urgency += 3;
+        else if (sender_type === 'client' || sender_type === 'customer') urgency += 2;
+
+        // Time of day factors
+        const hour = new Date(timestamp).getHours();
+        if (hour >= 9 && hour <= 17) urgency += 1; // Business hours
+        else if (hour >= 18 || hour <= 8) urgency -= 1; // After hours
+
+        // Cap urgency at 5
+        return Math.max(1, Math.min(5, urgency));
+    }
+
+    // Evaluate risk level of proposed actions
+    evaluateActionRisk(action, context = {}) {
+        const { action_type, action_data, agent_capabilities, user_permissions } = action;
+
+        let riskScore = 1; // Default: low risk
+
+        // Action type risk assessment
+        const highRiskActions = ['delete_data', 'modify_system', 'send_email', 'transfer_funds'];
+        const mediumRiskActions = ['create_task', 'update_permissions', 'generate_report'];
+
+        if (highRiskActions.includes(action_type)) riskScore = 4;
+        else if (mediumRiskActions.includes(action_type)) riskScore = 2;
+
+        // Data sensitivity assessment
+        if (action_data.includes_pii || action_data.sensitive_data) riskScore += 2;
+        if (action_data.financial_data) riskScore += 3;
+
+        // Agent capability verification
+        const requiredCapability = this.getRequiredCapability(action_type);
+        if (!agent_capabilities.includes(requiredCapability)) riskScore += 1;
+
+        // User permission verification
+        if (!this.hasRequiredPermissions(action_type, user_permissions)) riskScore += 2;
+
+        // Context-based risk adjustment
+        if (context.is_production) riskScore += 1;
+        if (context.time_pressure) riskScore += 1;
+
+        return Math.max(1, Math.min(5, riskScore));
+    }
+
+    // Optimize resource allocation for tasks
+    optimizeResourceAllocation(tasks, agents, constraints = {}) {
+        const { maxConcurrentTasks = 5, skillMatching = true, loadBalancing = true } = constraints;
+
+        const assignments = [];
+        const agentWorkloads = new Map(agents.map(agent => [agent.id, agent.current_tasks || 0]));
+
+        // Sort tasks by priority and deadline
+        const sortedTasks = tasks.sort((a, b) => {
+            if (a.priority !== b.priority) return a.priority - b.priority;
+            if (a.deadline && b.deadline) {
+                return new Date(a.deadline) - new Date(b.deadline);
+            }
+            return 0;
+        });
+
+        for (const task of sortedTasks) {
+            let bestAgent = null;
+            let bestScore = -1;
+
+            for (const agent of agents) {
+                const currentWorkload = agentWorkloads.get(agent.id) || 0;
+
+                // Skip if agent is at capacity
+                if (currentWorkload >= maxConcurrentTasks) continue;
+
+                let score = 0;
+
+                // Skill matching
+                if (skillMatching && task.required_skills) {
+                    const matchingSkills = task.required_skills.filter(skill =>
+                        agent.capabilities.includes(skill)
+                    ).length;
+                    score += matchingSkills * 10;
+                }
+
+                // Load balancing
+                if (loadBalancing) {
+                    const workloadPenalty = currentWorkload * 5;
+                    score -= workloadPenalty;
+                }
+
+                // Agent availability and performance
+                if (agent.status === 'idle') score += 5;
+                if (agent.performance_score) score += agent.performance_score;
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestAgent = agent;
+                }
+            }
+
+            if (bestAgent) {
+                assignments.push({
+                    task_id: task.id,
+                    agent_id: bestAgent.id,
+                    confidence_score: bestScore / 20, // Normalize to 0-1
+                    reasoning: skillMatching ? 'Skill-based assignment' : 'Load-balanced assignment'
+                });
+
+                agentWorkloads.set(bestAgent.id, (agentWorkloads.get(bestAgent.id) || 0) + 1);
+            }
+        }
+
+        return assignments;
+    }
+
+    // Check if escalation is needed based on patterns
+    checkEscalationNeeded(context, thresholds = {}) {
+        const {
+            response_time_threshold = 300000, // 5 minutes
+            error_rate_threshold = 0.1,
+            user_satisfaction_threshold = 0.7
+        } = thresholds;
+
+        const { agent_metrics, recent_errors, user_feedback } = context;
+
+        // Check response time escalation
+        if (agent_metrics.avg_response_time > response_time_threshold) {
+            return {
+                escalate: true,
+                reason: 'High response time',
+                priority: 2,
+                suggested_action: 'Route to faster agent or human'
+            };
+        }
+
+        // Check error rate escalation
+        if (recent_errors.length / agent_metrics.total_interactions > error_rate_threshold) {
+            return {
+                escalate: true,
+                reason: 'High error rate',
+                priority: 3,
+                suggested_action: 'Route to more experienced agent'
+            };
+        }
+
+        // Check user satisfaction escalation
+        if (user_feedback.avg_satisfaction < user_satisfaction_threshold) {
+            return {
+                escalate: true,
+                reason: 'Low user satisfaction',
+                priority: 2,
+                suggested_action: 'Route to human agent for complex issues'
+            };
+        }
+
+        return { escalate: false };
+    }
+
+    // Helper methods
+    getRequiredCapability(actionType) {
+        const capabilityMap = {
+            'send_email': 'communication',
+            'create_task': 'task_management',
+            'generate_report': 'data_analysis',
+            'modify_system': 'system_admin',
+            'delete_data': 'data_management'
+        };
+        return capabilityMap[actionType] || 'general';
+    }
+
+    hasRequiredPermissions(actionType, userPermissions) {
+        const permissionMap = {
+            'send_email': ['communication'],
+            'create_task': ['task_create'],
+            'delete_data': ['data_delete'],
+            'modify_system': ['system_modify']
+        };
+
+        const required = permissionMap[actionType] || [];
+        return required.every(perm => userPermissions.includes(perm));
+    }
+
+    // Learn from decision outcomes for continuous improvement
+    learnFromOutcome(decision, outcome, context) {
+        const learningKey = `${decision.type}_${outcome.success ? 'success' : 'failure'}`;
+
+        if (!this.learningData.has(learningKey)) {
+            this.learningData.set(learningKey, []);
+        }
+
+        this.learningData.get(learningKey).push({
+            timestamp: new Date(),
+            context,
+            outcome,
+            decision
+        });
+    }
+}
+
+// Initialize Decision Engine
+const decisionEngine = new AgentDecisionEngine();
+
+module.exports = { AgentDecisionEngine, decisionEngine };
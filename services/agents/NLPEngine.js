@@ -0,0 +1,508 @@
+/**
+ * NLP Engine
+ * Pattern-based intent, entity, sentiment and urgency analysis for agent conversations
+ */
+
+// NLP Engine for conversation analysis and understanding
+class NLPEngine {
+    constructor() {
+        this.intentPatterns = {
+            task_creation: [
+                /\b(create|make|add|new)\b.*\btask\b/i,
+                /\b(assign|give)\b.*\b(work|job)\b/i,
+                /\b(need|want)\b.*\b(help|assistance)\b/i,
+                /\b(can you|please)\b.*\b(do|handle|take care of)\b/i
+            ],
+            question_asking: [
+                /\b(what|how|when|where|why|who)\b.*\?/i,
+                /\b(tell me|explain|describe)\b/i,
+                /\b(do you know|are you aware)\b/i,
+                /\b(help me understand)\b/i
+            ],
+            status_request: [
+                /\b(status|progress|update)\b.*\b(on|of|about)\b/i,
+                /\b(how is|what's happening)\b/i,
+                /\b(are you|have you)\b.*\b(done|finished|completed)\b/i
+            ],
+            urgent_request: [
+                /\b(urgent|emergency|asap|immediately|right now)\b/i,
+                /\b(deadline|due|overdue)\b/i,
+                /\b(critical|important|priority)\b/i
+            ],
+            feedback_providing: [
+                /\b(good|great|excellent|awesome|perfect)\b/i,
+                /\b(bad|terrible|awful|horrible|wrong)\b/i,
+                /\b(thanks|thank you|appreciate)\b/i,
+                /\b(not working|doesn't work|broken)\b/i
+            ]
+        };
+
+        this.entityPatterns = {
+            dates: [
+                /\b(today|tomorrow|yesterday)\b/i,
+                /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+                /\b(january|february|march|april|may|june|july|august|september|october|november|december)\b/i,
+                /\d{1,2}\/\d{1,2}\/\d{2,4}/,
+                /\d{1,2}-\d{1,2}-\d{2,4}/
+            ],
+            times: [
+                /\b(\d{1,2})(:\d{2})?\s*(am|pm)?\b/i,
+                /\b(noon|midnight)\b/i
+            ],
+            priorities: [
+                /\b(high|urgent|critical|important)\b.*\bpriority\b/i,
+                /\b(low|normal|medium)\b.*\bpriority\b/i,
+                /\b(priority|p\d+)\b/i
+            ],
+            people: [
+                /\b(me|myself|my|i)\b/i,
+                /\b(you|your|agent|assistant)\b/i
+            ],
+            actions: [
+                /\b(send|email|write|create|make|update|delete|modify)\b/i,
+                /\b(review|check|analyze|process|handle)\b/i
+            ]
+        };
+    }
+
+    // Analyze message intent using pattern matching
+    analyzeIntent(message) {
+        const content = message.toLowerCase();
+        const intents = {};
+
+        for (const [intentType, patterns] of Object.entries(this.intentPatterns)) {
+            const matches = patterns.filter(pattern => pattern.test(content)).length;
+            if (matches > 0) {
+                intents[intentType] = {
+                    confidence: Math.min(matches / patterns.length, 1),
+                    matches: matches
+                };
+            }
+        }
+
+        // Return the intent with highest confidence
+        const bestIntent = Object.entries(intents)
+            .sort(([,a], [,b]) => b.confidence - a.confidence)[0];
+
+        return bestIntent ? {
+            intent: bestIntent[0],
+            confidence: bestIntent[1].confidence,
+            all_intents: intents
+        } : {
+            intent: 'unknown',
+            confidence: 0,
+            all_intents: intents
+        };
+    }
+
+    // Extract entities from message content
+    extractEntities(message) {
+        const entities = {
+            dates: [],
+            times: [],
+            priorities: [],
+            people: [],
+            actions: [],
+            keywords: []
+        };
+
+        // Extract dates
+        for (const pattern of this.entityPatterns.dates) {
+            const matches = message.match(pattern);
+            if (matches) {
+                entities.dates.push(...matches);
+            }
+        }
+
+        // Extract times
+        for (const pattern of this.entityPatterns.times) {
+            const matches = message.match(pattern);
+            if (matches) {
+                entities.times.push(...matches);
+            }
+        }
+
+        // Extract priorities
+        for (const pattern of this.entityPatterns.priorities) {
+            const matches = message.match(pattern);
+            if (matches) {
+                entities.priorities.push(...matches);
+            }
+        }
+
+        // Extract people references
+        for (const pattern of this.entityPatterns.people) {
+            const matches = message.match(pattern);
+            if (matches) {
+                entities.people.push(...matches);
+            }
+        }
+
+        // Extract actions
+        for (const pattern of this.entityPatterns.actions) {
+            const matches = message.match(pattern);
+            if (matches) {
+                entities.actions.push(...matches);
+            }
+        }
+
+        // Extract important keywords (nouns and verbs)
+        const keywordPattern = /\b[a-z]{4,}\b/gi;
+        const potentialKeywords = message.match(keywordPattern) || [];
+        entities.keywords = potentialKeywords.filter(word =>
+            !this.isStopWord(word.toLowerCase())
+        );
+
+        return entities;
+    }
+
+    // Enhanced sentiment analysis
+    analyzeSentiment(message, context = {}) {
+        const content = message.toLowerCase();
+        let score = 0;
+        let confidence = 0;
+
+        // Positive indicators
+        const positiveWords = [
+            'good', 'great', 'excellent', 'awesome', 'perfect', 'amazing', 'fantastic',
+            'wonderful', 'brilliant', 'outstanding', 'superb', 'thanks', 'thank you',
+            'appreciate', 'helpful', 'useful', 'easy', 'simple', 'clear', 'understand'
+        ];
+
+        // Negative indicators
+        const negativeWords = [
+            'bad', 'terrible', 'awful', 'horrible', 'worst', 'disappointed', 'frustrated',
+            'annoying', 'difficult', 'hard', 'complicated', 'confusing', 'wrong', 'error',
+            'problem', 'issue', 'fail', 'failed', 'broken', 'stuck'
+        ];
+
+        // Intensifiers
+        const intensifiers = ['very', 'really', 'so', 'extremely', 'incredibly', 'absolutely'];
+
+        let positiveCount = 0;
+        let negativeCount = 0;
+        let intensifierCount = 0;
+
+        // Count sentiment words
+        for (const word of positiveWords) {
+            const regex = new RegExp(`\\b${word}\\b`, 'gi');
+            const matches = content.match(regex);
+            if (matches) positiveCount += matches.length;
+        }
+
+        for (const word of negativeWords) {
+            const regex = new RegExp(`\\b${word}\\b`, 'gi');
+            const matches = content.match(regex);
+            if (matches) negativeCount += matches.length;
+        }
+
+        for (const word of intensifiers) {
+            const regex = new RegExp(`\\b${word}\\b`, 'gi');
+            const matches = content.match(regex);
+            if (matches) intensifierCount += matches.length;
+        }
+
+        // Calculate sentiment score (-1 to 1)
+        const totalSentimentWords = positiveCount + negativeCount;
+        if (totalSentimentWords > 0) {
+            score = (positiveCount - negativeCount) / totalSentimentWords;
+            // Apply intensifier boost
+            if (intensifierCount > 0 && Math.abs(score) > 0) {
+                score *= (1 + intensifierCount * 0.2);
+            }
+            // Normalize to -1 to 1 range
+            score = Math.max(-1, Math.min(1, score));
+            confidence = Math.min(totalSentimentWords / 10, 1); // Confidence based on word count
+        }
+
+        // Context-based adjustments
+        if (context.previous_sentiment && context.conversation_history) {
+            // Consider conversation context
+            const recentSentiments = context.conversation_history
+                .slice(-3)
+                .map(msg => msg.sentiment_score || 0);
+
+            if (recentSentiments.length > 0) {
+                const avgRecentSentiment = recentSentiments.reduce((a, b) => a + b, 0) / recentSentiments.length;
+                // Blend current sentiment with recent context (70% current, 30% context)
+                score = score * 0.7 + avgRecentSentiment * 0.3;
+            }
+        }
+
+        // Determine sentiment category
+        let category = 'neutral';
+        if (score > 0.2) category = 'positive';
+        else if (score < -0.2) category = 'negative';
+
+        return {
+            score: score,
+            category: category,
+            confidence: confidence,
+            details: {
+                positive_words: positiveCount,
+                negative_words: negativeCount,
+                intensifiers: intensifierCount,
+                total_sentiment_words: totalSentimentWords
+            }
+        };
+    }
+
+    // Generate conversation context and understanding
+    generateConversationContext(conversation, currentMessage) {
+        const context = {
+            topic: this.identifyTopic(conversation),
+            urgency: this.detectUrgency(currentMessage),
+            complexity: this.assessComplexity(currentMessage),
+            user_patterns: this.extractUserPatterns(conversation),
+            suggested_responses: this.generateResponseSuggestions(currentMessage, conversation),
+            follow_up_needed: this.detectFollowUpNeeds(currentMessage, conversation)
+        };
+
+        return context;
+    }
+
+    // Identify main topic of conversation
+    identifyTopic(conversation) {
+        const allContent = conversation.map(msg => msg.content).join(' ');
+        const entities = this.extractEntities(allContent);
+
+        // Simple topic identification based on keywords
+        const topicKeywords = {
+            task: ['task', 'work', 'job', 'assignment', 'project', 'deadline'],
+            email: ['email', 'message', 'send', 'mail', 'inbox', 'recipient'],
+            question: ['what', 'how', 'why', 'when', 'where', 'who', 'question'],
+            issue: ['problem', 'error', 'issue', 'bug', 'broken', 'fix', 'help'],
+            feedback: ['good', 'bad', 'thanks', 'appreciate', 'feedback', 'review']
+        };
+
+        const topicScores = {};
+        for (const [topic, keywords] of Object.entries(topicKeywords)) {
+            let score = 0;
+            for (const keyword of keywords) {
+                const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+                const matches = allContent.match(regex);
+                if (matches) score += matches.length;
+            }
+            topicScores[topic] = score;
+        }
+
+        const bestTopic = Object.entries(topicScores)
+            .sort(([,a], [,b]) => b - a)[0];
+
+        return bestTopic ? {
+            topic: bestTopic[0],
+            confidence: bestTopic[1] / Math.max(...Object.values(topicScores)),
+            keywords_found: bestTopic[1]
+        } : {
+            topic: 'general',
+            confidence: 0,
+            keywords_found: 0
+        };
+    }
+
+    // Detect urgency level
+    detectUrgency(message) {
+        const content = message.toLowerCase();
+        const urgentIndicators = [
+            'urgent', 'asap', 'emergency', 'critical', 'immediately', 'deadline',
+            'today', 'now', 'soon', 'quickly', 'fast', 'rush'
+        ];
+
+        let urgencyScore = 1; // Normal
+        let matches = 0;
+
+        for (const indicator of urgentIndicators) {
+            const regex = new RegExp(`\\b${indicator}\\b`, 'gi');
+            const found = content.match(regex);
+            if (found) {
+                matches += found.length;
+                urgencyScore += 1;
+            }
+        }
+
+        // Check for time-sensitive phrases
+        if (content.includes('by tomorrow') || content.includes('by today')) urgencyScore += 2;
+        if (content.includes('by next week') || content.includes('within a week')) urgencyScore += 1;
+
+        return {
+            level: Math.min(5, urgencyScore),
+            indicators_found: matches,
+            time_sensitive: content.includes('by ') || content.includes('within ') || content.includes('deadline')
+        };
+    }
+
+    // Assess message complexity
+    assessComplexity(message) {
+        const content = message;
+        let complexity = 1; // Simple
+
+        // Length-based complexity
+        if (content.length > 500) complexity += 2;
+        else if (content.length > 200) complexity += 1;
+
+        // Technical terms
+        const technicalTerms = ['api', 'database', 'server', 'configuration', 'deployment', 'integration'];
+        const technicalCount = technicalTerms.filter(term =>
+            content.toLowerCase().includes(term)
+        ).length;
+        complexity += technicalCount;
+
+        // Question complexity
+        const questionWords = ['how', 'why', 'what', 'when', 'where', 'who', 'which'];
+        const questionCount = questionWords.filter(word =>
+            content.toLowerCase().includes(word)
+        ).length;
+        complexity += questionCount;
+
+        return Math.min(5, complexity);
+    }
+
+    // Extract user communication patterns
+    extractUserPatterns(conversation) {
+        const patterns = {
+            response_times: [],
+            message_lengths: [],
+            question_frequency: 0,
+            command_frequency: 0,
+            feedback_frequency: 0,
+            preferred_times: []
+        };
+
+        for (const message of conversation) {
+            if (message.message_type === 'user_message') {
+                patterns.message_lengths.push(message.content.length);
+
+                const content = message.content.toLowerCase();
+                if (content.includes('?')) patterns.question_frequency++;
+                if (content.match(/\b(do|create|send|make|update|delete)\b/)) patterns.command_frequency++;
+                if (content.match(/\b(good|bad|thanks|appreciate|helpful)\b/)) patterns.feedback_frequency++;
+
+                if (message.created_at) {
+                    const hour = new Date(message.created_at).getHours();
+                    patterns.preferred_times.push(hour);
+                }
+            }
+        }
+
+        return {
+            avg_message_length: patterns.message_lengths.reduce((a, b) => a + b, 0) / patterns.message_lengths.length,
+            question_ratio: patterns.question_frequency / conversation.length,
+            command_ratio: patterns.command_frequency / conversation.length,
+            feedback_ratio: patterns.feedback_frequency / conversation.length,
+            preferred_hours: this.getPreferredHours(patterns.preferred_times)
+        };
+    }
+
+    // Generate response suggestions based on context
+    generateResponseSuggestions(currentMessage, conversation) {
+        const intent = this.analyzeIntent(currentMessage);
+        const entities = this.extractEntities(currentMessage);
+        const sentiment = this.analyzeSentiment(currentMessage);
+
+        const suggestions = [];
+
+        // Intent-based suggestions
+        switch (intent.intent) {
+            case 'task_creation':
+                suggestions.push({
+                    type: 'action',
+                    content: 'I can help you create a new task. What would you like the task to be?',
+                    confidence: intent.confidence
+                });
+                break;
+
+            case 'question_asking':
+                suggestions.push({
+                    type: 'clarification',
+                    content: 'I\'d be happy to help answer your question. Could you provide more details?',
+                    confidence: intent.confidence
+                });
+                break;
+
+            case 'status_request':
+                suggestions.push({
+                    type: 'status_check',
+                    content: 'Let me check the current status for you. What specifically would you like to know about?',
+                    confidence: intent.confidence
+                });
+                break;
+
+            case 'urgent_request':
+                suggestions.push({
+                    type: 'urgent_handling',
+                    content: 'I understand this is urgent. I\'ll prioritize this and get back to you as soon as possible.',
+                    confidence: intent.confidence
+                });
+                break;
+        }
+
+        // Entity-based suggestions
+        if (entities.dates.length > 0) {
+            suggestions.push({
+                type: 'scheduling',
+                content: `I see you mentioned dates: ${entities.dates.join(', ')}. Should I schedule something for these dates?`,
+                confidence: 0.8
+            });
+        }
+
+        if (entities.times.length > 0) {
+            suggestions.push({
+                type: 'timing',
+                content: `You mentioned times: ${entities.times.join(', ')}. Should I set reminders or schedule tasks for these times?`,
+                confidence: 0.7
+            });
+        }
+
+        return suggestions;
+    }
+
+    // Detect if follow-up is needed
+    detectFollowUpNeeds(currentMessage, conversation) {
+        const content = currentMessage.toLowerCase();
+
+        // Check for follow-up indicators
+        const followUpIndicators = [
+            'follow up', 'check back', 'remind me', 'later', 'tomorrow',
+            'next week', 'update me', 'let me know', 'keep me posted'
+        ];
+
+        const needsFollowUp = followUpIndicators.some(indicator => content.includes(indicator));
+
+        // Check conversation context for unresolved issues
+        const recentMessages = conversation.slice(-5);
+        const unresolvedIndicators = recentMessages.some(msg =>
+            msg.content.toLowerCase().match(/\b(pending|waiting|stuck|issue|problem|help)\b/)
+        );
+
+        return {
+            follow_up_needed: needsFollowUp || unresolvedIndicators,
+            follow_up_type: needsFollowUp ? 'explicit' : unresolvedIndicators ? 'inferred' : 'none',
+            suggested_follow_up: needsFollowUp ? 'Schedule reminder for follow-up' : 'Monitor for resolution'
+        };
+    }
+
+    // Helper methods
+    isStopWord(word) {
+        const stopWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'an', 'a'];
+        return stopWords.includes(word);
+    }
+
+    getPreferredHours(hours) {
+        if (hours.length === 0) return [];
+
+        const hourCounts = {};
+        hours.forEach(hour => {
+            hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+        });
+
+        return Object.entries(hourCounts)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 3)
+            .map(([hour]) => parseInt(hour));
+    }
+}
+
+// Initialize NLP Engine
+const nlpEngine = new NLPEngine();
+
+module.exports = { NLPEngine, nlpEngine };
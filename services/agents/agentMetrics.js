@@ -0,0 +1,60 @@
+/**
+ * Agent Metrics
+ * The daily analytics rows and raw metric samples recorded for one agent
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { getOwnedAgent } = require('./registry');
+
+async function getAgentAnalytics(userId, agentId, { date_from, date_to, metric_type } = {}) {
+    await getOwnedAgent(userId, agentId);
+
+    let query = supabase
+        .from('agent_analytics')
+        .select('*')
+        .eq('agent_id', agentId)
+        .order('date', { ascending: false });
+
+    if (date_from) {
+        query = query.gte('date', date_from);
+    }
+    if (date_to) {
+        query = query.lte('date', date_to);
+    }
+    if (metric_type) {
+        query = query.eq('metric_type', metric_type);
+    }
+
+    const { data: analytics, error } = await query;
+
+    if (error) {
+        logger.error('Get agent analytics error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent analytics', 500);
+    }
+    return analytics || [];
+}
+
+// Newest samples first
+async function getAgentMetrics(userId, agentId, { limit = 100, offset = 0 } = {}) {
+    await getOwnedAgent(userId, agentId);
+
+    const { data: metrics, error } = await supabase
+        .from('agent_metrics')
+        .select('*')
+        .eq('agent_id', agentId)
+        .order('timestamp', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Get agent metrics error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent metrics', 500);
+    }
+    return metrics || [];
+}
+
+module.exports = {
+    getAgentAnalytics,
+    getAgentMetrics
+};
@@ -0,0 +1,392 @@
+/**
+ * Agentic Executor
+ * Runs agentic tasks: plans the step DAG, spawns worker agents (and a PM agent),
+ * dispatches ready steps as agent tasks, tracks progress and enforces the time and
+ * money budgets. All state lives on the agentic_tasks row so in-flight goals resume
+ * after a restart.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { AgenticPlanner, parseTimeConstraint, parseMoneyConstraint } = require('./agenticPlanner');
+const { createAgent } = require('./registry');
+const { findBestAgentForTask, enqueueTask } = require('./tasks');
+
+const ACTIVE_STATUSES = ['planning', 'running'];
+const FINISHED_TASK_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class AgenticExecutor {
+    constructor({ planner = new AgenticPlanner(), now = () => new Date() } = {}) {
+        this.planner = planner;
+        this.now = now;
+        this.advancing = new Set();
+    }
+
+    // Create an agentic task, plan it, spawn its agents and dispatch the first steps
+    async start(userId, input = {}) {
+        const endGoal = input.end_goal || input.endGoal;
+        if (!endGoal) {
+            throw new AgentRuntimeError('End goal is required', 400);
+        }
+
+        const timeConstraint = input.time_constraint ?? input.timeConstraint ?? null;
+        const moneyConstraint = input.money_constraint ?? input.moneyConstraint ?? null;
+        const deadline = parseTimeConstraint(timeConstraint, this.now());
+
+        const { data: goal, error } = await supabase
+            .from('agentic_tasks')
+            .insert([{
+                user_id: userId,
+                end_goal: endGoal,
+                steps_identified: input.steps_identified ?? input.stepsIdentified ?? false,
+                steps_description: input.steps_description ?? input.stepsDescription ?? null,
+                time_constraint: timeConstraint,
+                money_constraint: moneyConstraint,
+                agents_requested: Math.max(1, parseInt(input.agents_requested ?? input.agentsRequested, 10) || 1),
+                pm_agent_requested: Boolean(input.pm_agent_requested ?? input.pmAgentRequested),
+                deadline_at: deadline ? deadline.toISOString() : null,
+                budget_amount: parseMoneyConstraint(moneyConstraint),
+                spent_amount: 0,
+                progress: 0,
+                state: { steps: {}, agent_ids: [], pm_agent_id: null },
+                status: 'planning'
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Error creating agentic task:', error);
+            throw new AgentRuntimeError('Failed to create agentic task', 500);
+        }
+
+        logger.info(`Agentic task created for user ${userId}: ${endGoal.substring(0, 100)}...`);
+
+        return this.prepare(goal);
+    }
+
+    // Plan the goal and spawn its agents, then start dispatching steps
+    async prepare(goal) {
+        try {
+            const state = goal.state || { steps: {}, agent_ids: [], pm_agent_id: null };
+            let plan = goal.plan;
+
+            if (!plan || !Array.isArray(plan.steps)) {
+                plan = await this.planner.plan(goal);
+                plan.created_at = this.now().toISOString();
+                state.steps = {};
+                plan.steps.forEach(step => {
+                    state.steps[step.id] = { status: 'pending' };
+                });
+            }
+
+            await this.spawnAgents(goal, plan, state);
+
+            await this.save(goal.id, {
+                plan,
+                state,
+                status: 'running'
+            });
+
+            return this.advance(goal.id);
+        } catch (error) {
+            logger.error(`Failed to prepare agentic task ${goal.id}:`, error);
+            await this.save(goal.id, { status: 'failed', error_message: error.message });
+            throw error;
+        }
+    }
+
+    // Create the requested worker agents and the PM agent (skipping any already created)
+    async spawnAgents(goal, plan, state) {
+        const capabilities = [...new Set(plan.steps.flatMap(step => step.required_capabilities || []))];
+        const configuration = { agentic_task_id: goal.id };
+
+        while (state.agent_ids.length < goal.agents_requested) {
+            const agent = await createAgent(goal.user_id, {
+                name: `Goal Agent ${state.agent_ids.length + 1}: ${goal.end_goal.substring(0, 60)}`,
+                type: 'general',
+                description: `Works on: ${goal.end_goal}`,
+                capabilities,
+                configuration
+            });
+            state.agent_ids.push(agent.id);
+            // Persist after each agent so a crash never spawns duplicates on resume
+            await this.save(goal.id, { state });
+        }
+
+        if (goal.pm_agent_requested && !state.pm_agent_id) {
+            const pmAgent = await createAgent(goal.user_id, {
+                name: `Project Manager: ${goal.end_goal.substring(0, 60)}`,
+                type: 'project_manager',
+                description: `Coordinates progress on: ${goal.end_goal}`,
+                capabilities: ['project_management'],
+                configuration
+            });
+            state.pm_agent_id = pmAgent.id;
+            await this.save(goal.id, { state });
+        }
+    }
+
+    // Sync finished steps, enforce budgets and dispatch every step whose dependencies are met
+    async advance(goalId) {
+        if (this.advancing.has(goalId)) {
+            return null;
+        }
+        this.advancing.add(goalId);
+
+        try {
+            const { data: goal, error } = await supabase
+                .from('agentic_tasks')
+                .select('*')
+                .eq('id', goalId)
+                .single();
+
+            if (error || !goal) {
+                throw new AgentRuntimeError('Agentic task not found', 404);
+            }
+
+            if (goal.status !== 'running') {
+                return goal;
+            }
+
+            const state = goal.state;
+            const steps = goal.plan.steps;
+            let spent = Number(goal.spent_amount) || 0;
+
+            spent = await this.syncDispatchedSteps(goal, state, spent);
+
+            const failedStep = steps.find(step => state.steps[step.id].status === 'failed');
+            if (failedStep) {
+                return this.finish(goal, state, spent, 'failed', `Step "${failedStep.title}" failed: ${state.steps[failedStep.id].error || 'unknown error'}`);
+            }
+
+            if (steps.every(step => state.steps[step.id].status === 'completed')) {
+                return this.finish(goal, state, spent, 'completed');
+            }
+
+            if (goal.deadline_at && this.now() > new Date(goal.deadline_at)) {
+                return this.finish(goal, state, spent, 'timed_out', `Time budget exceeded (${goal.time_constraint})`);
+            }
+
+            const budget = goal.budget_amount === null || goal.budget_amount === undefined ? null : Number(goal.budget_amount);
+            const readySteps = steps.filter(step =>
+                state.steps[step.id].status === 'pending' &&
+                step.depends_on.every(dependencyId => state.steps[dependencyId].status === 'completed')
+            );
+
+            for (const step of readySteps) {
+                if (budget !== null && spent + step.estimated_cost > budget) {
+                    return this.finish(goal, state, spent, 'over_budget',
+                        `Step "${step.title}" would exceed the money budget (${spent + step.estimated_cost} > ${budget})`);
+                }
+
+                try {
+                    await this.dispatchStep(goal, state, step);
+                    spent += step.estimated_cost;
+                } catch (dispatchError) {
+                    // Leave the step pending; the next tick retries it
+                    logger.warn(`Could not dispatch step ${step.id} of agentic task ${goal.id}: ${dispatchError.message}`);
+                }
+            }
+
+            return this.save(goal.id, {
+                state,
+                spent_amount: spent,
+                progress: this.calculateProgress(steps, state)
+            });
+        } finally {
+            this.advancing.delete(goalId);
+        }
+    }
+
+    // Update dispatched steps from their agent tasks; returns the adjusted spend
+    async syncDispatchedSteps(goal, state, spent) {
+        const dispatched = Object.entries(state.steps).filter(([, stepState]) => stepState.status === 'dispatched');
+        if (dispatched.length === 0) {
+            return spent;
+        }
+
+        const { data: agentTasks, error } = await supabase
+            .from('agent_tasks')
+            .select('id, status, result, error_message')
+            .in('id', dispatched.map(([, stepState]) => stepState.agent_task_id));
+
+        if (error) {
+            logger.error(`Failed to load agent tasks for agentic task ${goal.id}:`, error);
+            return spent;
+        }
+
+        const tasksById = new Map((agentTasks || []).map(task => [task.id, task]));
+        const stepsById = new Map(goal.plan.steps.map(step => [step.id, step]));
+
+        for (const [stepId, stepState] of dispatched) {
+            const agentTask = tasksById.get(stepState.agent_task_id);
+            if (!agentTask || !FINISHED_TASK_STATUSES.includes(agentTask.status)) {
+                continue;
+            }
+
+            const result = typeof agentTask.result === 'string' ? JSON.parse(agentTask.result || '{}') : (agentTask.result || {});
+            stepState.completed_at = this.now().toISOString();
+
+            if (agentTask.status === 'completed') {
+                stepState.status = 'completed';
+                // Replace the reserved estimate with the actual cost when the agent reports one
+                if (typeof result.cost === 'number') {
+                    spent += result.cost - stepsById.get(stepId).estimated_cost;
+                    stepState.cost = result.cost;
+                }
+            } else {
+                stepState.status = 'failed';
+                stepState.error = agentTask.error_message || `Agent task ${agentTask.status}`;
+            }
+
+            await this.logProgress(goal, state, `step_${stepState.status}`, { step_id: stepId });
+        }
+
+        return spent;
+    }
+
+    // Assign a step through findBestAgentForTask and enqueue it as an agent task
+    async dispatchStep(goal, state, step) {
+        const bestAgent = await findBestAgentForTask(goal.user_id, step.type, 3, step.required_capabilities);
+        const agentIds = state.agent_ids;
+        const agentId = bestAgent && agentIds.includes(bestAgent.id)
+            ? bestAgent.id
+            : agentIds[Object.keys(state.steps).indexOf(step.id) % agentIds.length];
+
+        const result = await enqueueTask(goal.user_id, agentId, {
+            title: step.title,
+            description: step.description,
+            type: step.type,
+            priority: 3,
+            estimated_duration: step.estimated_minutes,
+            deadline: goal.deadline_at,
+            parameters: {
+                agentic_task_id: goal.id,
+                step_id: step.id,
+                estimated_cost: step.estimated_cost
+            },
+            force_assignment: true
+        });
+
+        state.steps[step.id] = {
+            status: 'dispatched',
+            agent_id: result.agent_assigned.id,
+            agent_task_id: result.task.id,
+            approval_id: result.approval_id,
+            dispatched_at: this.now().toISOString()
+        };
+
+        await this.logProgress(goal, state, 'step_dispatched', { step_id: step.id, agent_task_id: result.task.id });
+    }
+
+    // Record progress against the PM agent (or the first worker) so it shows in agent logs
+    async logProgress(goal, state, action, details) {
+        const agentId = state.pm_agent_id || state.agent_ids[0];
+        if (!agentId) return;
+
+        await supabase
+            .from('agent_logs')
+            .insert([{
+                agent_id: agentId,
+                user_id: goal.user_id,
+                action: `agentic_${action}`,
+                resource_type: 'agentic_task',
+                resource_id: goal.id,
+                details
+            }]);
+    }
+
+    async finish(goal, state, spent, status, errorMessage = null) {
+        await this.logProgress(goal, state, status, { error: errorMessage });
+
+        if (status !== 'completed') {
+            logger.warn(`Agentic task ${goal.id} stopped (${status}): ${errorMessage}`);
+        }
+
+        return this.save(goal.id, {
+            state,
+            spent_amount: spent,
+            progress: this.calculateProgress(goal.plan.steps, state),
+            status,
+            error_message: errorMessage,
+            completed_at: this.now().toISOString()
+        });
+    }
+
+    calculateProgress(steps, state) {
+        if (steps.length === 0) return 0;
+        const completed = steps.filter(step => state.steps[step.id].status === 'completed').length;
+        return Math.round((completed / steps.length) * 100);
+    }
+
+    async save(goalId, updates) {
+        const { data, error } = await supabase
+            .from('agentic_tasks')
+            .update({ ...updates, updated_at: this.now().toISOString() })
+            .eq('id', goalId)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error(`Failed to save agentic task ${goalId}:`, error);
+            throw new AgentRuntimeError('Failed to save agentic task', 500);
+        }
+
+        return data;
+    }
+
+    // Fetch a user's agentic task
+    async getGoal(userId, goalId) {
+        const { data: goal, error } = await supabase
+            .from('agentic_tasks')
+            .select('*')
+            .eq('id', goalId)
+            .eq('user_id', userId)
+            .single();
+
+        if (error || !goal) {
+            throw new AgentRuntimeError('Agentic task not found', 404);
+        }
+
+        return goal;
+    }
+
+    async cancel(userId, goalId) {
+        const goal = await this.getGoal(userId, goalId);
+        if (!ACTIVE_STATUSES.includes(goal.status)) {
+            throw new AgentRuntimeError(`Agentic task is already ${goal.status}`, 400);
+        }
+
+        return this.finish(goal, goal.state, Number(goal.spent_amount) || 0, 'cancelled', 'Cancelled by user');
+    }
+
+    // Resume every in-flight goal; used at startup and as the periodic tick
+    async resumeInFlight() {
+        const { data: goals, error } = await supabase
+            .from('agentic_tasks')
+            .select('*')
+            .in('status', ACTIVE_STATUSES);
+
+        if (error) {
+            logger.error('Failed to load in-flight agentic tasks:', error);
+            return;
+        }
+
+        for (const goal of goals || []) {
+            try {
+                if (goal.status === 'planning') {
+                    await this.prepare(goal);
+                } else {
+                    await this.advance(goal.id);
+                }
+            } catch (resumeError) {
+                logger.error(`Failed to resume agentic task ${goal.id}:`, resumeError);
+            }
+        }
+    }
+}
+
+const agenticExecutor = new AgenticExecutor();
+
+module.exports = { AgenticExecutor, agenticExecutor };
@@ -0,0 +1,213 @@
+/**
+ * Agentic Planner
+ * Turns an agentic task's end goal and step description into a validated step DAG.
+ * The LLM is injected so the planner can run against a stub in tests; without one
+ * (or when its plan is unusable) the step description is split into a sequential plan.
+ */
+
+const { logger } = require('../../utils/logger');
+const { llm: registry } = require('../llm');
+
+const DEFAULT_STEP_MINUTES = 30;
+const MAX_STEPS = 25;
+
+// Default LLM backed by the shared provider registry; returns null when no provider is configured
+function createDefaultPlannerLLM() {
+    if (!registry.hasConfiguredProvider()) {
+        return null;
+    }
+
+    return {
+        async complete({ system, prompt }) {
+            const result = await registry.complete({
+                model: process.env.AGENTIC_PLANNER_MODEL || null,
+                system,
+                prompt,
+                temperature: 0.2,
+                max_tokens: 2000,
+                json: true
+            });
+            return result.content;
+        }
+    };
+}
+
+// Parse a free-form time constraint ("3 days", "48h", "2 weeks", "2026-12-01") into a deadline
+function parseTimeConstraint(constraint, now = new Date()) {
+    if (!constraint || typeof constraint !== 'string') {
+        return null;
+    }
+
+    const text = constraint.trim().toLowerCase();
+    const units = {
+        m: 60 * 1000, min: 60 * 1000, mins: 60 * 1000, minute: 60 * 1000, minutes: 60 * 1000,
+        h: 3600 * 1000, hr: 3600 * 1000, hrs: 3600 * 1000, hour: 3600 * 1000, hours: 3600 * 1000,
+        d: 86400 * 1000, day: 86400 * 1000, days: 86400 * 1000,
+        w: 7 * 86400 * 1000, week: 7 * 86400 * 1000, weeks: 7 * 86400 * 1000,
+        month: 30 * 86400 * 1000, months: 30 * 86400 * 1000
+    };
+
+    const relative = text.match(/(\d+(?:\.\d+)?)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w|months?)\b/);
+    if (relative) {
+        return new Date(now.getTime() + parseFloat(relative[1]) * units[relative[2]]);
+    }
+
+    const absolute = new Date(text.replace(/^(by|before|until)\s+/, ''));
+    if (!isNaN(absolute.getTime())) {
+        return absolute;
+    }
+
+    return null;
+}
+
+// Parse a free-form money constraint ("$500", "under 1,200 USD") into an amount
+function parseMoneyConstraint(constraint) {
+    if (constraint === null || constraint === undefined || constraint === '') {
+        return null;
+    }
+    if (typeof constraint === 'number') {
+        return constraint;
+    }
+
+    const match = String(constraint).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k)?/i);
+    if (!match) {
+        return null;
+    }
+
+    return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+}
+
+// Validate steps and return them in topological order; throws on unknown dependencies or cycles
+function buildStepGraph(steps) {
+    const byId = new Map();
+    steps.forEach(step => {
+        if (byId.has(step.id)) {
+            throw new Error(`Duplicate step id: ${step.id}`);
+        }
+        byId.set(step.id, step);
+    });
+
+    const inDegree = new Map(steps.map(step => [step.id, 0]));
+    const dependents = new Map(steps.map(step => [step.id, []]));
+
+    steps.forEach(step => {
+        step.depends_on.forEach(dependencyId => {
+            if (!byId.has(dependencyId)) {
+                throw new Error(`Step ${step.id} depends on unknown step ${dependencyId}`);
+            }
+            inDegree.set(step.id, inDegree.get(step.id) + 1);
+            dependents.get(dependencyId).push(step.id);
+        });
+    });
+
+    const queue = steps.filter(step => inDegree.get(step.id) === 0).map(step => step.id);
+    const ordered = [];
+
+    while (queue.length > 0) {
+        const stepId = queue.shift();
+        ordered.push(byId.get(stepId));
+        dependents.get(stepId).forEach(dependentId => {
+            inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+            if (inDegree.get(dependentId) === 0) {
+                queue.push(dependentId);
+            }
+        });
+    }
+
+    if (ordered.length !== steps.length) {
+        throw new Error('Step dependencies contain a cycle');
+    }
+
+    return ordered;
+}
+
+// Normalise a raw step (from the LLM or the fallback) into the stored shape
+function normalizeStep(rawStep, index) {
+    const dependsOn = Array.isArray(rawStep.depends_on) ? rawStep.depends_on : [];
+
+    return {
+        id: String(rawStep.id || `step_${index + 1}`),
+        title: String(rawStep.title || `Step ${index + 1}`).substring(0, 1000),
+        description: rawStep.description || '',
+        type: rawStep.type || 'general',
+        depends_on: dependsOn.map(String),
+        required_capabilities: Array.isArray(rawStep.required_capabilities) ? rawStep.required_capabilities : [],
+        estimated_minutes: Number(rawStep.estimated_minutes) > 0 ? Number(rawStep.estimated_minutes) : DEFAULT_STEP_MINUTES,
+        estimated_cost: Number(rawStep.estimated_cost) > 0 ? Number(rawStep.estimated_cost) : 0
+    };
+}
+
+class AgenticPlanner {
+    constructor({ llm = createDefaultPlannerLLM() } = {}) {
+        this.llm = llm;
+    }
+
+    // Produce { steps, source } for a goal; steps are topologically ordered
+    async plan(goal) {
+        if (this.llm) {
+            try {
+                const steps = await this.planWithLLM(goal);
+                return { steps, source: 'llm' };
+            } catch (error) {
+                logger.warn(`LLM planning failed, falling back to step description: ${error.message}`);
+            }
+        }
+
+        return { steps: this.planFromDescription(goal), source: 'description' };
+    }
+
+    async planWithLLM(goal) {
+        const system = 'You are a project planner. Break goals into concrete steps that autonomous agents can execute. ' +
+            'Respond with JSON only: {"steps":[{"id":"step_1","title":"...","description":"...","type":"general",' +
+            '"depends_on":[],"required_capabilities":[],"estimated_minutes":30,"estimated_cost":0}]}';
+
+        const prompt = [
+            `End goal: ${goal.end_goal}`,
+            goal.steps_description ? `Known steps:\n${goal.steps_description}` : null,
+            goal.time_constraint ? `Time constraint: ${goal.time_constraint}` : null,
+            goal.money_constraint ? `Money constraint: ${goal.money_constraint}` : null,
+            `Agents available: ${goal.agents_requested || 1}`,
+            `Use at most ${MAX_STEPS} steps. Steps that can run in parallel should not depend on each other.`
+        ].filter(Boolean).join('\n\n');
+
+        const response = await this.llm.complete({ system, prompt });
+        const jsonMatch = String(response).match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('Planner response did not contain JSON');
+        }
+
+        const parsed = JSON.parse(jsonMatch[0]);
+        if (!Array.isArray(parsed.steps) || parsed.steps.length === 0) {
+            throw new Error('Planner response contained no steps');
+        }
+
+        const steps = parsed.steps.slice(0, MAX_STEPS).map(normalizeStep);
+        return buildStepGraph(steps);
+    }
+
+    // Split the user's step description into a sequential chain of steps
+    planFromDescription(goal) {
+        const lines = (goal.steps_description || '')
+            .split(/\n|;/)
+            .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').trim())
+            .filter(Boolean)
+            .slice(0, MAX_STEPS);
+
+        const titles = lines.length > 0 ? lines : [goal.end_goal];
+
+        return titles.map((title, index) => normalizeStep({
+            id: `step_${index + 1}`,
+            title,
+            description: index === titles.length - 1 ? `Final step towards: ${goal.end_goal}` : '',
+            depends_on: index > 0 ? [`step_${index}`] : []
+        }, index));
+    }
+}
+
+module.exports = {
+    AgenticPlanner,
+    createDefaultPlannerLLM,
+    parseTimeConstraint,
+    parseMoneyConstraint,
+    buildStepGraph
+};
@@ -0,0 +1,242 @@
+/**
+ * Approval Analytics
+ * Statistics, trends, per-agent performance and queue efficiency over the user's
+ * approval history. Executions and reverts are logged alongside decisions, so they are
+ * counted apart from them.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { EXECUTION_ACTIONS } = require('./approvalExecutors');
+
+const average = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+function inPeriod(query, { date_from, date_to }) {
+    if (date_from) {
+        query = query.gte('created_at', date_from);
+    }
+    if (date_to) {
+        query = query.lte('created_at', date_to);
+    }
+    return query;
+}
+
+// Bucket key for a record's date: YYYY-MM-DD, YYYY-Www or YYYY-MM
+function periodKey(date, period) {
+    if (period === 'daily') {
+        return date.toISOString().split('T')[0];
+    }
+    if (period === 'weekly') {
+        const week = Math.ceil((date.getDate() - date.getDay() + 1) / 7);
+        return `${date.getFullYear()}-W${week.toString().padStart(2, '0')}`;
+    }
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+}
+
+function countAction(bucket, record) {
+    if (!EXECUTION_ACTIONS.includes(record.action_taken)) {
+        bucket.total++;
+    }
+    bucket[record.action_taken]++;
+
+    if (record.processing_time_ms) {
+        bucket.processing_times.push(record.processing_time_ms);
+    }
+}
+
+async function getApprovalStats(userId, { date_from, date_to } = {}) {
+    const { data: history, error } = await inPeriod(supabase
+        .from('approval_history')
+        .select('*')
+        .eq('user_id', userId), { date_from, date_to });
+
+    if (error) {
+        logger.error('Get approval analytics error:', error);
+        throw new AgentRuntimeError('Failed to fetch approval analytics', 500);
+    }
+
+    const executions = history.filter(h => EXECUTION_ACTIONS.includes(h.action_taken));
+    const decisions = history.filter(h => !EXECUTION_ACTIONS.includes(h.action_taken));
+    const stats = {
+        total_approvals: decisions.length,
+        approved_count: decisions.filter(h => h.action_taken === 'approved').length,
+        rejected_count: decisions.filter(h => h.action_taken === 'rejected').length,
+        expired_count: decisions.filter(h => h.action_taken === 'expired').length,
+        escalated_count: decisions.filter(h => h.action_taken === 'escalated').length,
+        executed_count: executions.filter(h => h.action_taken === 'executed').length,
+        execution_failed_count: executions.filter(h => h.action_taken === 'execution_failed').length,
+        reverted_count: executions.filter(h => h.action_taken === 'reverted').length,
+        approval_rate: 0,
+        average_processing_time_ms: average(history.filter(h => h.processing_time_ms).map(h => h.processing_time_ms)),
+        risk_level_distribution: {},
+        action_type_distribution: {}
+    };
+
+    const completedApprovals = stats.approved_count + stats.rejected_count;
+    stats.approval_rate = completedApprovals > 0 ? (stats.approved_count / completedApprovals) * 100 : 0;
+
+    decisions.forEach(h => {
+        const riskAssessment = h.risk_assessment ? JSON.parse(h.risk_assessment) : {};
+        const riskLevel = riskAssessment.risk_level || 'unknown';
+        stats.risk_level_distribution[riskLevel] = (stats.risk_level_distribution[riskLevel] || 0) + 1;
+        stats.action_type_distribution[h.action_taken] = (stats.action_type_distribution[h.action_taken] || 0) + 1;
+    });
+
+    return stats;
+}
+
+// Decisions per day, week or month over the last `days` days
+async function getApprovalTrends(userId, { period = 'daily', days = 30 } = {}) {
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+
+    const { data: history, error } = await supabase
+        .from('approval_history')
+        .select('created_at, action_taken, processing_time_ms')
+        .eq('user_id', userId)
+        .gte('created_at', startDate.toISOString())
+        .lte('created_at', endDate.toISOString())
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Get approval trends error:', error);
+        throw new AgentRuntimeError('Failed to fetch approval trends', 500);
+    }
+
+    const trends = {};
+    history.forEach(record => {
+        const key = periodKey(new Date(record.created_at), period);
+        if (!trends[key]) {
+            trends[key] = {
+                date: key,
+                total: 0,
+                approved: 0,
+                rejected: 0,
+                expired: 0,
+                escalated: 0,
+                executed: 0,
+                execution_failed: 0,
+                reverted: 0,
+                avg_processing_time: 0,
+                processing_times: []
+            };
+        }
+        countAction(trends[key], record);
+    });
+
+    return Object.values(trends).map(({ processing_times, ...trend }) => ({
+        ...trend,
+        avg_processing_time: average(processing_times)
+    }));
+}
+
+async function getAgentApprovalPerformance(userId, { date_from, date_to } = {}) {
+    const { data: history, error } = await inPeriod(supabase
+        .from('approval_history')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            )
+        `)
+        .eq('user_id', userId), { date_from, date_to });
+
+    if (error) {
+        logger.error('Get agent approval analytics error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent approval analytics', 500);
+    }
+
+    const agentStats = {};
+    history.forEach(record => {
+        const agentId = record.agent_id;
+        if (!agentStats[agentId]) {
+            agentStats[agentId] = {
+                agent_id: agentId,
+                agent_name: record.agents.name,
+                agent_type: record.agents.type,
+                total: 0,
+                approved: 0,
+                rejected: 0,
+                expired: 0,
+                escalated: 0,
+                executed: 0,
+                execution_failed: 0,
+                reverted: 0,
+                approval_rate: 0,
+                avg_processing_time: 0,
+                processing_times: []
+            };
+        }
+        countAction(agentStats[agentId], record);
+    });
+
+    return Object.values(agentStats).map(({ total, processing_times, ...stat }) => {
+        const completed = stat.approved + stat.rejected;
+        return {
+            ...stat,
+            total_approvals: total,
+            approval_rate: completed > 0 ? (stat.approved / completed) * 100 : 0,
+            avg_processing_time: average(processing_times)
+        };
+    });
+}
+
+// What is waiting, by priority and risk, and which approvals have waited over a day
+async function getApprovalEfficiency(userId, { date_from, date_to } = {}) {
+    const { data: pendingApprovals, error: pendingError } = await inPeriod(supabase
+        .from('approvals_queue')
+        .select('id, created_at, priority, risk_level')
+        .eq('user_id', userId)
+        .eq('status', 'pending'), { date_from, date_to });
+
+    if (pendingError) {
+        logger.error('Get pending approvals for efficiency error:', pendingError);
+        throw new AgentRuntimeError('Failed to fetch efficiency data', 500);
+    }
+
+    const { data: history, error: historyError } = await inPeriod(supabase
+        .from('approval_history')
+        .select('created_at, processing_time_ms, risk_level')
+        .eq('user_id', userId), { date_from, date_to });
+
+    if (historyError) {
+        logger.error('Get approval history for efficiency error:', historyError);
+        throw new AgentRuntimeError('Failed to fetch efficiency data', 500);
+    }
+
+    const efficiency = {
+        pending_approvals: pendingApprovals.length,
+        completed_approvals: history.length,
+        average_processing_time_ms: average(history.filter(h => h.processing_time_ms).map(h => h.processing_time_ms)),
+        pending_by_priority: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        pending_by_risk: { low: 0, medium: 0, high: 0, critical: 0 },
+        bottlenecks: []
+    };
+
+    pendingApprovals.forEach(approval => {
+        efficiency.pending_by_priority[approval.priority] = (efficiency.pending_by_priority[approval.priority] || 0) + 1;
+        efficiency.pending_by_risk[approval.risk_level] = (efficiency.pending_by_risk[approval.risk_level] || 0) + 1;
+    });
+
+    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    efficiency.bottlenecks = pendingApprovals
+        .filter(approval => new Date(approval.created_at) < oneDayAgo)
+        .map(approval => ({
+            id: approval.id,
+            age_hours: Math.floor((Date.now() - new Date(approval.created_at)) / (60 * 60 * 1000)),
+            priority: approval.priority,
+            risk_level: approval.risk_level
+        }));
+
+    return efficiency;
+}
+
+module.exports = {
+    getApprovalStats,
+    getApprovalTrends,
+    getAgentApprovalPerformance,
+    getApprovalEfficiency
+};
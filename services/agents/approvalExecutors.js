@@ -0,0 +1,737 @@
+/**
+ * Approval Executors
+ * Carry out approved agent actions. Each approval runs at most once: it is claimed before
+ * its executor runs, the outcome is stored on the approval and in approval_history, and a
+ * failed action marks the approval 'failed' with the reason.
+ *
+ * Executors keep a before-image of what they change (approval_snapshots) and register a
+ * compensating action on the approval, which revertApprovedAction runs to undo it.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { executeApprovedToolCall } = require('../chat/tools');
+const { isValidTimeZone } = require('../rrule');
+const { getMessageRouter } = require('../sharedMessageRouter');
+
+// approval_history action_taken values recorded by executions and reverts (as opposed to decisions)
+const EXECUTION_ACTIONS = ['executed', 'execution_failed', 'reverted'];
+
+// Project fields an agent may change
+const PROJECT_FIELDS = ['title', 'description', 'priority', 'status', 'deadline'];
+
+// Tables agents may delete from; rows are soft-deleted after a snapshot is stored
+const DELETABLE_TABLES = ['tasks', 'projects'];
+
+// Agent tasks in these states haven't been picked up yet, so undoing their creation is safe
+const UNSTARTED_TASK_STATUSES = ['pending_approval', 'pending'];
+
+// The only settings a system_configuration action can change. `scope` says whose row
+// holds the setting: the user's or the requesting agent's.
+const SYSTEM_SETTINGS = {
+    timezone: {
+        scope: 'user',
+        column: 'timezone',
+        validate: value => isValidTimeZone(value) || 'must be an IANA time zone'
+    },
+    agent_model: {
+        scope: 'agent',
+        column: 'model',
+        validate: value => (typeof value === 'string' && value.length > 0 && value.length <= 100) || 'must be a model name'
+    },
+    agent_active: {
+        scope: 'agent',
+        column: 'is_active',
+        validate: value => typeof value === 'boolean' || 'must be true or false'
+    },
+    agent_description: {
+        scope: 'agent',
+        column: 'description',
+        validate: value => typeof value === 'string' || 'must be text'
+    }
+};
+
+// Bad or unsafe action data; the approval fails with this message
+class ApprovalExecutionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ApprovalExecutionError';
+    }
+}
+
+// An executed action that can no longer be undone (already sent, already started, ...)
+class ApprovalRevertError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ApprovalRevertError';
+    }
+}
+
+// action_data is stored as a JSON string by createApprovalQueue
+function parseActionData(actionData) {
+    return typeof actionData === 'string' ? JSON.parse(actionData) : (actionData || {});
+}
+
+// Keep rows as they were before the approval changed them
+async function saveSnapshots(approval, resourceType, rows, db) {
+    if (rows.length === 0) return;
+
+    const { error } = await db
+        .from('approval_snapshots')
+        .insert(rows.map(row => ({
+            approval_id: approval.id,
+            user_id: approval.user_id,
+            resource_type: resourceType,
+            resource_id: row.id,
+            snapshot: row
+        })));
+
+    if (error) throw new Error(`Failed to snapshot ${resourceType}: ${error.message}`);
+}
+
+// Map of resource id -> snapshot taken when the approval ran
+async function loadSnapshots(approval, resourceType, db) {
+    const { data: snapshots, error } = await db
+        .from('approval_snapshots')
+        .select('resource_id, snapshot')
+        .eq('approval_id', approval.id)
+        .eq('resource_type', resourceType);
+
+    if (error) throw new Error(`Failed to load ${resourceType} snapshots: ${error.message}`);
+    return new Map(snapshots.map(row => [row.resource_id, row.snapshot]));
+}
+
+// The users or agents row a setting lives in, as a query filter
+function settingRow(approval, key) {
+    const { scope, column } = SYSTEM_SETTINGS[key];
+    return scope === 'user'
+        ? { table: 'users', column, scope, filter: query => query.eq('id', approval.user_id) }
+        : { table: 'agents', column, scope, filter: query => query.eq('id', approval.agent_id).eq('user_id', approval.user_id) };
+}
+
+// Activate the agent task that was waiting for this approval
+async function executeTaskCreation(approval, actionData, db) {
+    const { data: waiting, error: findError } = await db
+        .from('agent_tasks')
+        .select('*')
+        .eq('approval_id', approval.id)
+        .eq('status', 'pending_approval');
+
+    if (findError) throw new Error(`Failed to load approved task: ${findError.message}`);
+    await saveSnapshots(approval, 'agent_tasks', waiting, db);
+
+    const { data: tasks, error } = await db
+        .from('agent_tasks')
+        .update({
+            status: 'pending',
+            updated_at: new Date().toISOString()
+        })
+        .eq('approval_id', approval.id)
+        .eq('status', 'pending_approval')
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to activate approved task: ${error.message}`);
+    }
+
+    // Update agent status to busy
+    await db
+        .from('agent_status')
+        .update({
+            status: 'busy',
+            current_task_id: null, // Will be set when task starts
+            last_activity: new Date().toISOString()
+        })
+        .eq('agent_id', approval.agent_id);
+
+    const taskIds = tasks.map(task => task.id);
+    return {
+        result: { activated_task_ids: taskIds },
+        compensation: taskIds.length > 0 ? { action: 'delete_agent_tasks', params: { task_ids: taskIds } } : null
+    };
+}
+
+// Send the email (or message) through the user's connected platform. With a future
+// send_at it goes to the outbox instead and can be recalled until it is sent.
+async function executeEmailSend(approval, actionData, db) {
+    const recipient = actionData.to || actionData.recipient;
+    const content = actionData.body || actionData.content;
+    const platform = actionData.platform || 'gmail';
+
+    if (!recipient || !content) {
+        throw new ApprovalExecutionError('Email needs a recipient and a body');
+    }
+
+    const sendAt = actionData.send_at ? new Date(actionData.send_at) : null;
+    if (sendAt && isNaN(sendAt)) {
+        throw new ApprovalExecutionError('send_at must be a date-time');
+    }
+
+    if (sendAt && sendAt > new Date()) {
+        const { data: message, error } = await db
+            .from('outbound_messages')
+            .insert([{
+                user_id: approval.user_id,
+                approval_id: approval.id,
+                platform,
+                recipient,
+                recipient_name: actionData.recipient_name || null,
+                subject: actionData.subject || null,
+                content,
+                thread_id: actionData.thread_id || null,
+                send_at: sendAt.toISOString(),
+                status: 'scheduled'
+            }])
+            .select()
+            .single();
+
+        if (error) throw new Error(`Failed to schedule email: ${error.message}`);
+
+        return {
+            result: { platform, to: recipient, subject: message.subject, scheduled_message_id: message.id, send_at: message.send_at },
+            compensation: { action: 'cancel_outbound_message', params: { message_id: message.id } }
+        };
+    }
+
+    const sent = await getMessageRouter().sendMessage(approval.user_id, platform, {
+        recipientIdentifier: recipient,
+        recipientName: actionData.recipient_name,
+        subject: actionData.subject,
+        content,
+        threadId: actionData.thread_id
+    });
+
+    if (!sent.success) {
+        throw new Error(sent.reconnectRequired ? `${platform} must be reconnected before sending` : sent.error);
+    }
+
+    // Nothing to take back once it has gone out
+    return {
+        result: {
+            platform,
+            to: recipient,
+            subject: actionData.subject || null,
+            message_id: sent.messageId || null,
+            external_id: sent.externalId || null
+        },
+        compensation: null
+    };
+}
+
+// Apply changes to one of the user's projects
+async function executeProjectModification(approval, actionData, db) {
+    const changes = actionData.changes || actionData.updates || {};
+    const updates = {};
+    Object.keys(changes).forEach(field => {
+        if (!PROJECT_FIELDS.includes(field)) {
+            throw new ApprovalExecutionError(`Project field "${field}" cannot be changed by agents`);
+        }
+        updates[field] = changes[field];
+    });
+
+    if (!actionData.project_id || Object.keys(updates).length === 0) {
+        throw new ApprovalExecutionError('Project modification needs a project_id and changes');
+    }
+
+    const { data: before, error: findError } = await db
+        .from('projects')
+        .select('*')
+        .eq('id', actionData.project_id)
+        .eq('user_id', approval.user_id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (findError) throw new Error(`Failed to load project: ${findError.message}`);
+    if (!before) throw new ApprovalExecutionError('Project not found');
+
+    await saveSnapshots(approval, 'projects', [before], db);
+
+    const { data: project, error } = await db
+        .from('projects')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', before.id)
+        .eq('user_id', approval.user_id)
+        .is('deleted_at', null)
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to update project: ${error.message}`);
+
+    const fields = Object.keys(updates);
+    return {
+        result: {
+            project_id: project.id,
+            before: Object.fromEntries(fields.map(field => [field, before[field] ?? null])),
+            after: Object.fromEntries(fields.map(field => [field, project[field] ?? null]))
+        },
+        compensation: { action: 'restore_project', params: { project_id: project.id, fields } }
+    };
+}
+
+// Change whitelisted settings; every setting is validated before any is written
+async function executeSystemConfiguration(approval, actionData, db) {
+    const settings = actionData.settings || {};
+    const keys = Object.keys(settings);
+
+    if (keys.length === 0) {
+        throw new ApprovalExecutionError('No settings to change');
+    }
+
+    keys.forEach(key => {
+        const setting = SYSTEM_SETTINGS[key];
+        if (!setting) {
+            throw new ApprovalExecutionError(`Setting "${key}" cannot be changed by agents`);
+        }
+        const valid = setting.validate(settings[key]);
+        if (valid !== true) {
+            throw new ApprovalExecutionError(`Setting "${key}" ${valid}`);
+        }
+    });
+
+    const changed = {};
+    for (const key of keys) {
+        const { table, column, scope, filter } = settingRow(approval, key);
+
+        const { data: current, error: readError } = await filter(db.from(table).select(`id, ${column}`)).maybeSingle();
+        if (readError) throw new Error(`Failed to read setting "${key}": ${readError.message}`);
+        if (!current) throw new ApprovalExecutionError(`No ${scope} to apply "${key}" to`);
+
+        await saveSnapshots(approval, table, [current], db);
+
+        if (current[column] !== settings[key]) {
+            const { error } = await filter(db.from(table).update({ [column]: settings[key], updated_at: new Date().toISOString() }));
+            if (error) throw new Error(`Failed to change setting "${key}": ${error.message}`);
+        }
+
+        changed[key] = { from: current[column] ?? null, to: settings[key] };
+    }
+
+    return {
+        result: { settings: changed },
+        compensation: {
+            action: 'restore_settings',
+            params: { settings: Object.fromEntries(keys.map(key => [key, changed[key].from])) }
+        }
+    };
+}
+
+// Soft-delete the user's rows, storing a snapshot of each first. Rows that are already
+// deleted are left alone, so running this twice deletes nothing more.
+async function executeDataDeletion(approval, actionData, db) {
+    const table = actionData.resource_type;
+    const ids = actionData.ids || (actionData.resource_id ? [actionData.resource_id] : []);
+
+    if (!DELETABLE_TABLES.includes(table)) {
+        throw new ApprovalExecutionError(`Agents cannot delete from "${table}"`);
+    }
+    if (ids.length === 0) {
+        throw new ApprovalExecutionError('No records to delete');
+    }
+
+    const { data: rows, error: findError } = await db
+        .from(table)
+        .select('*')
+        .eq('user_id', approval.user_id)
+        .in('id', ids);
+
+    if (findError) throw new Error(`Failed to load records: ${findError.message}`);
+
+    const missing = ids.filter(id => !rows.some(row => row.id === id));
+    if (missing.length > 0) {
+        throw new ApprovalExecutionError(`Records not found: ${missing.join(', ')}`);
+    }
+
+    const toDelete = rows.filter(row => !row.deleted_at);
+    if (toDelete.length > 0) {
+        await saveSnapshots(approval, table, toDelete, db);
+
+        const { error } = await db
+            .from(table)
+            .update({ deleted_at: new Date().toISOString() })
+            .eq('user_id', approval.user_id)
+            .in('id', toDelete.map(row => row.id));
+
+        if (error) throw new Error(`Failed to delete records: ${error.message}`);
+    }
+
+    const deleted = toDelete.map(row => row.id);
+    return {
+        result: {
+            resource_type: table,
+            deleted,
+            already_deleted: rows.filter(row => row.deleted_at).map(row => row.id)
+        },
+        compensation: deleted.length > 0 ? { action: 'undelete_rows', params: { resource_type: table, ids: deleted } } : null
+    };
+}
+
+// Activate the agent the approval was for
+async function executeAgentDeployment(approval, actionData, db) {
+    const { data: before, error: findError } = await db
+        .from('agents')
+        .select('id, is_active')
+        .eq('id', approval.agent_id)
+        .eq('user_id', approval.user_id)
+        .maybeSingle();
+
+    if (findError) throw new Error(`Failed to load agent: ${findError.message}`);
+    if (!before) throw new ApprovalExecutionError('Agent not found');
+
+    await saveSnapshots(approval, 'agents', [before], db);
+
+    const { error } = await db
+        .from('agents')
+        .update({
+            is_active: true,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', approval.agent_id)
+        .eq('user_id', approval.user_id);
+
+    if (error) {
+        throw new Error(`Failed to deploy agent: ${error.message}`);
+    }
+
+    logger.info(`Agent ${approval.agent_id} deployment approved and activated`);
+    return {
+        result: { agent_id: approval.agent_id, is_active: true },
+        compensation: { action: 'restore_agent_active', params: { agent_id: approval.agent_id, is_active: before.is_active } }
+    };
+}
+
+const EXECUTORS = {
+    task_creation: executeTaskCreation,
+    email_send: executeEmailSend,
+    project_modification: executeProjectModification,
+    system_configuration: executeSystemConfiguration,
+    data_deletion: executeDataDeletion,
+    agent_deployment: executeAgentDeployment
+};
+
+// Approved chat tool calls that can be undone, keyed by tool
+const CHAT_TOOL_COMPENSATIONS = {
+    create_project: result => ({ action: 'undo_create', params: { resource_type: 'projects', ids: [result.project.id] } })
+};
+
+// Compensating actions, keyed by the name executors register them under
+const COMPENSATIONS = {
+    async delete_agent_tasks(approval, { task_ids: taskIds }, db) {
+        const { data: tasks, error: findError } = await db
+            .from('agent_tasks')
+            .select('id, status')
+            .in('id', taskIds);
+
+        if (findError) throw new Error(`Failed to load agent tasks: ${findError.message}`);
+        if (tasks.some(task => !UNSTARTED_TASK_STATUSES.includes(task.status))) {
+            throw new ApprovalRevertError('The agent has already started this task');
+        }
+
+        const { error } = await db
+            .from('agent_tasks')
+            .delete()
+            .in('id', tasks.map(task => task.id));
+
+        if (error) throw new Error(`Failed to delete agent tasks: ${error.message}`);
+        return { deleted_task_ids: tasks.map(task => task.id) };
+    },
+
+    async cancel_outbound_message(approval, { message_id: messageId }, db) {
+        const { data: cancelled, error } = await db
+            .from('outbound_messages')
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', messageId)
+            .eq('status', 'scheduled')
+            .select('id');
+
+        if (error) throw new Error(`Failed to cancel email: ${error.message}`);
+        if (cancelled.length === 0) {
+            throw new ApprovalRevertError('The email has already been sent');
+        }
+        return { cancelled_message_id: messageId };
+    },
+
+    async restore_project(approval, { project_id: projectId, fields }, db) {
+        const before = (await loadSnapshots(approval, 'projects', db)).get(projectId);
+        if (!before) throw new Error('No snapshot of the project to restore');
+
+        const restored = Object.fromEntries(fields.map(field => [field, before[field] ?? null]));
+        const { error } = await db
+            .from('projects')
+            .update({ ...restored, updated_at: new Date().toISOString() })
+            .eq('id', projectId)
+            .eq('user_id', approval.user_id);
+
+        if (error) throw new Error(`Failed to restore project: ${error.message}`);
+        return { project_id: projectId, restored };
+    },
+
+    async restore_settings(approval, { settings }, db) {
+        for (const [key, value] of Object.entries(settings)) {
+            const { table, column, filter } = settingRow(approval, key);
+            const { error } = await filter(db.from(table).update({ [column]: value, updated_at: new Date().toISOString() }));
+            if (error) throw new Error(`Failed to restore setting "${key}": ${error.message}`);
+        }
+        return { settings };
+    },
+
+    async undelete_rows(approval, { resource_type: table, ids }, db) {
+        const { error } = await db
+            .from(table)
+            .update({ deleted_at: null })
+            .eq('user_id', approval.user_id)
+            .in('id', ids);
+
+        if (error) throw new Error(`Failed to restore records: ${error.message}`);
+        return { resource_type: table, restored: ids };
+    },
+
+    async undo_create(approval, { resource_type: table, ids }, db) {
+        const { error } = await db
+            .from(table)
+            .update({ deleted_at: new Date().toISOString() })
+            .eq('user_id', approval.user_id)
+            .in('id', ids);
+
+        if (error) throw new Error(`Failed to remove created records: ${error.message}`);
+        return { resource_type: table, deleted: ids };
+    },
+
+    async restore_agent_active(approval, { agent_id: agentId, is_active: isActive }, db) {
+        const { error } = await db
+            .from('agents')
+            .update({ is_active: isActive, updated_at: new Date().toISOString() })
+            .eq('id', agentId)
+            .eq('user_id', approval.user_id);
+
+        if (error) throw new Error(`Failed to restore agent: ${error.message}`);
+        return { agent_id: agentId, is_active: isActive };
+    }
+};
+
+// Store the outcome on the approval and in its history
+async function recordExecution(approval, outcome, db) {
+    const now = new Date().toISOString();
+    const failed = outcome.status === 'failed';
+
+    const { error: updateError } = await db
+        .from('approvals_queue')
+        .update(failed
+            ? { status: 'failed', execution_status: 'failed', failure_reason: outcome.error, updated_at: now }
+            : {
+                execution_status: 'executed',
+                executed_at: now,
+                execution_result: outcome.result,
+                compensation: outcome.compensation,
+                updated_at: now
+            })
+        .eq('id', approval.id);
+
+    if (updateError) {
+        logger.error('Failed to record approval execution:', updateError);
+    }
+
+    const { error: historyError } = await db
+        .from('approval_history')
+        .insert([{
+            approval_id: approval.id,
+            agent_id: approval.agent_id,
+            user_id: approval.user_id,
+            action_taken: failed ? 'execution_failed' : 'executed',
+            action_data: approval.action_data,
+            decision_reason: failed ? outcome.error : null,
+            execution_result: failed ? null : outcome.result,
+            risk_assessment: JSON.stringify({
+                risk_level: approval.risk_level,
+                priority: approval.priority
+            })
+        }]);
+
+    if (historyError) {
+        logger.error('Failed to record approval execution history:', historyError);
+    }
+
+    await db
+        .from('agent_logs')
+        .insert([{
+            agent_id: approval.agent_id,
+            user_id: approval.user_id,
+            action: failed ? 'action_execution_failed' : 'action_executed',
+            resource_type: 'approval',
+            resource_id: approval.id,
+            details: {
+                action_type: approval.action_type,
+                execution_status: failed ? 'failed' : 'success',
+                error: outcome.error || undefined
+            },
+            severity: failed ? 'error' : undefined
+        }]);
+}
+
+/**
+ * Run an approved action. Resolves to { status: 'executed', result, compensation } or
+ * { status: 'failed', error }; an approval that was already claimed resolves to its
+ * stored outcome with already_executed set instead of running again. Never throws for
+ * a failing action.
+ */
+async function executeApprovedAction(approval, db = supabase) {
+    const { data: claimed, error: claimError } = await db
+        .from('approvals_queue')
+        .update({ execution_status: 'running', updated_at: new Date().toISOString() })
+        .eq('id', approval.id)
+        .eq('status', 'approved')
+        .is('execution_status', null)
+        .select('id');
+
+    if (claimError) {
+        throw new Error(`Failed to claim approval for execution: ${claimError.message}`);
+    }
+
+    if (claimed.length === 0) {
+        const { data: current } = await db
+            .from('approvals_queue')
+            .select('execution_status, execution_result, failure_reason')
+            .eq('id', approval.id)
+            .maybeSingle();
+
+        return {
+            status: current?.execution_status || 'not_approved',
+            result: current?.execution_result || null,
+            error: current?.failure_reason || null,
+            already_executed: true
+        };
+    }
+
+    let outcome;
+    try {
+        const actionData = parseActionData(approval.action_data);
+        const executor = EXECUTORS[approval.action_type];
+
+        // Tool calls the chat assistant queued run the tool itself once approved
+        if (actionData.source === 'chat') {
+            const result = await executeApprovedToolCall(approval, actionData, db);
+            const compensate = CHAT_TOOL_COMPENSATIONS[actionData.tool];
+            outcome = { status: 'executed', result, compensation: compensate ? compensate(result) : null };
+        } else if (executor) {
+            outcome = { status: 'executed', ...(await executor(approval, actionData, db)) };
+        } else {
+            throw new ApprovalExecutionError(`Unsupported action type: ${approval.action_type}`);
+        }
+    } catch (error) {
+        logger.error(`Execute approved action error for ${approval.action_type}:`, error);
+        outcome = { status: 'failed', error: error.message };
+    }
+
+    await recordExecution(approval, outcome, db);
+    return outcome;
+}
+
+/**
+ * Undo an executed approval by running the compensating action it registered. Throws
+ * ApprovalRevertError when there is nothing to undo or it can no longer be undone;
+ * the caller checks ownership and the revert window and records the revert.
+ */
+async function revertApprovedAction(approval, db = supabase) {
+    const compensation = approval.compensation;
+    if (!compensation || !COMPENSATIONS[compensation.action]) {
+        throw new ApprovalRevertError('This action cannot be undone');
+    }
+
+    const { data: claimed, error: claimError } = await db
+        .from('approvals_queue')
+        .update({ execution_status: 'reverting', updated_at: new Date().toISOString() })
+        .eq('id', approval.id)
+        .eq('execution_status', 'executed')
+        .select('id');
+
+    if (claimError) throw new Error(`Failed to claim approval for revert: ${claimError.message}`);
+    if (claimed.length === 0) {
+        throw new ApprovalRevertError('Only executed actions can be undone, and only once');
+    }
+
+    let result;
+    try {
+        result = await COMPENSATIONS[compensation.action](approval, compensation.params, db);
+    } catch (error) {
+        await db
+            .from('approvals_queue')
+            .update({ execution_status: 'executed', updated_at: new Date().toISOString() })
+            .eq('id', approval.id);
+        throw error;
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await db
+        .from('approvals_queue')
+        .update({ execution_status: 'reverted', reverted_at: now, updated_at: now })
+        .eq('id', approval.id);
+
+    if (error) {
+        logger.error('Failed to mark approval as reverted:', error);
+    }
+
+    return result;
+}
+
+/**
+ * Send outbox messages whose time has come. Each is claimed before sending so
+ * overlapping runs can't send it twice. Resolves to the number sent.
+ */
+async function sendScheduledMessages(db = supabase, now = new Date()) {
+    const { data: due, error } = await db
+        .from('outbound_messages')
+        .select('*')
+        .eq('status', 'scheduled')
+        .lte('send_at', now.toISOString());
+
+    if (error) {
+        logger.error('Failed to load scheduled messages:', error);
+        return 0;
+    }
+
+    let sentCount = 0;
+    for (const message of due) {
+        const { data: claimed } = await db
+            .from('outbound_messages')
+            .update({ status: 'sending', updated_at: new Date().toISOString() })
+            .eq('id', message.id)
+            .eq('status', 'scheduled')
+            .select('id');
+
+        if (!claimed || claimed.length === 0) continue;
+
+        const sent = await getMessageRouter().sendMessage(message.user_id, message.platform, {
+            recipientIdentifier: message.recipient,
+            recipientName: message.recipient_name,
+            subject: message.subject,
+            content: message.content,
+            threadId: message.thread_id
+        });
+
+        await db
+            .from('outbound_messages')
+            .update(sent.success
+                ? { status: 'sent', sent_at: new Date().toISOString(), external_id: sent.externalId || null, updated_at: new Date().toISOString() }
+                : { status: 'failed', error: sent.error, updated_at: new Date().toISOString() })
+            .eq('id', message.id);
+
+        if (sent.success) {
+            sentCount++;
+        } else {
+            logger.error(`Failed to send scheduled message ${message.id}: ${sent.error}`);
+        }
+    }
+
+    return sentCount;
+}
+
+module.exports = {
+    EXECUTION_ACTIONS,
+    PROJECT_FIELDS,
+    DELETABLE_TABLES,
+    SYSTEM_SETTINGS,
+    ApprovalExecutionError,
+    ApprovalRevertError,
+    executeApprovedAction,
+    revertApprovedAction,
+    sendScheduledMessages
+};
@@ -0,0 +1,373 @@
+/**
+ * Approval Policies
+ * The user's own approval rules, layered over APPROVAL_TEMPLATES. A policy applies to
+ * one action type and/or agent (or all of them), matches when all of its conditions
+ * hold, and then never allows the action, always asks, or auto-approves it.
+ */
+
+const { supabase } = require('../../database/connection');
+const { AgentRuntimeError } = require('./errors');
+const { APPROVAL_TEMPLATES } = require('./approvalTemplates');
+const { isValidTimeZone, toLocal } = require('../rrule');
+
+// Most restrictive first: when several policies match, the earliest effect here wins
+const POLICY_EFFECTS = ['never_allow', 'always_ask', 'auto_approve'];
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RECIPIENT_MATCHES = ['all_listed', 'any_unlisted'];
+const CONDITIONS = ['recipients', 'amount', 'priority', 'time_window'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const RECIPIENT_PATTERN = /^[^@\s]*@[^@\s]+\.[^@\s]+$/;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const minutesOf = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+// Addresses an email action is going to, lowercased ("Sam <sam@x.com>" -> "sam@x.com")
+function recipientsOf(actionData) {
+    const raw = [actionData.to, actionData.recipient, actionData.cc, actionData.bcc]
+        .flat()
+        .filter(Boolean)
+        .flatMap(value => String(value).split(','));
+
+    return raw
+        .map(value => (/<([^>]+)>/.exec(value)?.[1] || value).trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// "sam@x.com" matches itself; "@x.com" matches anyone at x.com
+const isListed = (address, list) => list.some(entry => entry.startsWith('@') ? address.endsWith(entry) : address === entry);
+
+function validateRange(range, label, errors) {
+    if (typeof range !== 'object' || range === null || Array.isArray(range)) {
+        errors.push(`${label} must be an object with min and/or max`);
+        return;
+    }
+    const { min, max } = range;
+    if (min === undefined && max === undefined) {
+        errors.push(`${label} needs a min or a max`);
+    }
+    if ((min !== undefined && !isNumber(min)) || (max !== undefined && !isNumber(max))) {
+        errors.push(`${label} min and max must be numbers`);
+    } else if (min !== undefined && max !== undefined && min > max) {
+        errors.push(`${label} min cannot be greater than max`);
+    }
+}
+
+/**
+ * Check and normalise a policy before it is saved. Throws AgentRuntimeError (400)
+ * listing every problem found.
+ */
+function validateApprovalPolicy(input) {
+    const errors = [];
+    const {
+        name,
+        description = null,
+        action_type: actionType = null,
+        agent_id: agentId = null,
+        effect,
+        conditions = {},
+        is_active: isActive = true
+    } = input;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        errors.push('name is required');
+    }
+    if (actionType !== null && !APPROVAL_TEMPLATES[actionType]) {
+        errors.push(`Unknown action type: ${actionType}`);
+    }
+    if (!POLICY_EFFECTS.includes(effect)) {
+        errors.push(`effect must be one of: ${POLICY_EFFECTS.join(', ')}`);
+    }
+    if (typeof isActive !== 'boolean') {
+        errors.push('is_active must be true or false');
+    }
+
+    // Auto-approval is limited to action types whose template allows it at all
+    if (effect === 'auto_approve') {
+        if (!actionType) {
+            errors.push('Auto-approve policies must name an action type');
+        } else if (APPROVAL_TEMPLATES[actionType] && Object.keys(APPROVAL_TEMPLATES[actionType].auto_approve_rules).length === 0) {
+            errors.push(`${actionType} actions can never be auto-approved`);
+        }
+    }
+
+    if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+        errors.push('conditions must be an object');
+    } else {
+        Object.keys(conditions).forEach(key => {
+            if (!CONDITIONS.includes(key)) errors.push(`Unknown condition: ${key}`);
+        });
+
+        const { recipients, amount, priority, time_window: timeWindow } = conditions;
+
+        if (recipients !== undefined) {
+            if (!actionType || !APPROVAL_TEMPLATES[actionType]?.auto_approve_rules.recipient_whitelist) {
+                errors.push('Recipient conditions only apply to email_send policies');
+            }
+            if (!Array.isArray(recipients?.list) || recipients.list.length === 0) {
+                errors.push('recipients.list must be a non-empty list of addresses or @domains');
+            } else if (recipients.list.some(entry => typeof entry !== 'string' || !RECIPIENT_PATTERN.test(entry.trim()))) {
+                errors.push('recipients.list entries must be addresses (sam@example.com) or domains (@example.com)');
+            }
+            if (recipients?.match !== undefined && !RECIPIENT_MATCHES.includes(recipients.match)) {
+                errors.push(`recipients.match must be one of: ${RECIPIENT_MATCHES.join(', ')}`);
+            }
+        }
+
+        if (amount !== undefined) validateRange(amount, 'amount', errors);
+        if (priority !== undefined) validateRange(priority, 'priority', errors);
+
+        if (timeWindow !== undefined) {
+            const { start, end, days, timezone } = timeWindow || {};
+            if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+                errors.push('time_window start and end must be HH:MM');
+            } else if (start === end) {
+                errors.push('time_window start and end must differ');
+            }
+            if (days !== undefined && (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day)))) {
+                errors.push(`time_window days must be a list of ${WEEKDAYS.join(', ')}`);
+            }
+            if (timezone !== undefined && !isValidTimeZone(timezone)) {
+                errors.push('time_window timezone must be an IANA time zone');
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new AgentRuntimeError('Invalid approval policy', 400, { errors });
+    }
+
+    const normalized = { ...conditions };
+    if (normalized.recipients) {
+        normalized.recipients = {
+            list: normalized.recipients.list.map(entry => entry.trim().toLowerCase()),
+            match: normalized.recipients.match || 'all_listed'
+        };
+    }
+
+    return {
+        name: name.trim(),
+        description,
+        action_type: actionType,
+        agent_id: agentId,
+        effect,
+        conditions: normalized,
+        is_active: isActive
+    };
+}
+
+function inRange(value, { min, max }) {
+    return isNumber(value) && (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+// Whether one policy matches the action, with each check it made
+function matchApprovalPolicy(policy, actionType, actionData = {}, agentId = null, now = new Date()) {
+    const checks = [];
+    const check = (passed, rule) => {
+        checks.push({ rule, passed });
+        return passed;
+    };
+
+    let matched = check(!policy.action_type || policy.action_type === actionType,
+        policy.action_type ? `action type is ${policy.action_type}` : 'any action type');
+    matched = check(!policy.agent_id || policy.agent_id === agentId,
+        policy.agent_id ? `agent is ${policy.agent_id}` : 'any agent') && matched;
+
+    const { recipients, amount, priority, time_window: timeWindow } = policy.conditions || {};
+
+    if (recipients) {
+        const addresses = recipientsOf(actionData);
+        const listed = addresses.filter(address => isListed(address, recipients.list));
+        matched = (recipients.match === 'any_unlisted'
+            ? check(listed.length < addresses.length, `some recipient is not on the list (${addresses.join(', ') || 'none'})`)
+            : check(addresses.length > 0 && listed.length === addresses.length, `every recipient is on the list (${addresses.join(', ') || 'none'})`)) && matched;
+    }
+
+    if (amount) {
+        matched = check(inRange(actionData.amount, amount),
+            `amount ${actionData.amount ?? 'missing'} is within ${amount.min ?? 'any'}..${amount.max ?? 'any'}`) && matched;
+    }
+
+    if (priority) {
+        matched = check(inRange(actionData.priority, priority),
+            `priority ${actionData.priority ?? 'missing'} is within ${priority.min ?? 'any'}..${priority.max ?? 'any'}`) && matched;
+    }
+
+    if (timeWindow) {
+        const timeZone = timeWindow.timezone || 'UTC';
+        const local = toLocal(now, timeZone);
+        const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+        const start = minutesOf(timeWindow.start);
+        const end = minutesOf(timeWindow.end);
+        // A window like 22:00-07:00 wraps past midnight
+        const inWindow = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+        const onDay = !timeWindow.days || timeWindow.days.includes(WEEKDAYS[(local.getUTCDay() + 6) % 7]);
+        const time = local.toISOString().substring(11, 16);
+
+        matched = check(inWindow && onDay,
+            `${time} ${timeZone} is within ${timeWindow.start}-${timeWindow.end}${timeWindow.days ? ` on ${timeWindow.days.join(',')}` : ''}`) && matched;
+    }
+
+    return { matched, checks };
+}
+
+/**
+ * Evaluate the user's active policies against an action. Returns the policy that
+ * decides it (the most restrictive match, or null) and a trace of every policy checked.
+ */
+function evaluateApprovalPolicies(policies, actionType, actionData, agentId = null, now = new Date()) {
+    const trace = policies
+        .filter(policy => policy.is_active !== false)
+        .map(policy => ({
+            policy_id: policy.id,
+            name: policy.name,
+            effect: policy.effect,
+            ...matchApprovalPolicy(policy, actionType, actionData, agentId, now)
+        }));
+
+    const decisive = trace
+        .filter(entry => entry.matched)
+        .sort((a, b) => POLICY_EFFECTS.indexOf(a.effect) - POLICY_EFFECTS.indexOf(b.effect))[0];
+
+    return {
+        policy: decisive ? { id: decisive.policy_id, name: decisive.name, effect: decisive.effect } : null,
+        trace
+    };
+}
+
+async function loadApprovalPolicies(userId, db = supabase) {
+    const { data: policies, error } = await db
+        .from('approval_policies')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return policies;
+}
+
+async function listApprovalPolicies(userId, db = supabase) {
+    const { data: policies, error } = await db
+        .from('approval_policies')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to fetch approval policies', 500);
+    }
+    return policies;
+}
+
+// Scope checks that need the database: the agent must be the user's, and time
+// windows without a zone use the user's timezone
+async function preparePolicy(userId, policy, db) {
+    if (policy.agent_id) {
+        const { data: agent } = await db
+            .from('agents')
+            .select('id')
+            .eq('id', policy.agent_id)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!agent) {
+            throw new AgentRuntimeError('Agent not found', 404);
+        }
+    }
+
+    const timeWindow = policy.conditions.time_window;
+    if (timeWindow && !timeWindow.timezone) {
+        const { data: user } = await db
+            .from('users')
+            .select('timezone')
+            .eq('id', userId)
+            .maybeSingle();
+
+        policy.conditions.time_window = {
+            ...timeWindow,
+            timezone: isValidTimeZone(user?.timezone) ? user.timezone : 'UTC'
+        };
+    }
+    return policy;
+}
+
+async function createApprovalPolicy(userId, input, db = supabase) {
+    const policy = await preparePolicy(userId, validateApprovalPolicy(input), db);
+
+    const { data: created, error } = await db
+        .from('approval_policies')
+        .insert([{ ...policy, user_id: userId }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to create approval policy', 500);
+    }
+    return created;
+}
+
+// Partial update: the stored policy with the given fields replaced, validated as a whole
+async function updateApprovalPolicy(userId, policyId, input, db = supabase) {
+    const { data: existing } = await db
+        .from('approval_policies')
+        .select('*')
+        .eq('id', policyId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!existing) {
+        throw new AgentRuntimeError('Approval policy not found', 404);
+    }
+
+    const merged = { ...existing };
+    ['name', 'description', 'action_type', 'agent_id', 'effect', 'conditions', 'is_active'].forEach(field => {
+        if (input[field] !== undefined) merged[field] = input[field];
+    });
+    const policy = await preparePolicy(userId, validateApprovalPolicy(merged), db);
+
+    const { data: updated, error } = await db
+        .from('approval_policies')
+        .update({ ...policy, updated_at: new Date().toISOString() })
+        .eq('id', policyId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to update approval policy', 500);
+    }
+    return updated;
+}
+
+async function deleteApprovalPolicy(userId, policyId, db = supabase) {
+    const { data: deleted, error } = await db
+        .from('approval_policies')
+        .delete()
+        .eq('id', policyId)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to delete approval policy', 500);
+    }
+    if (deleted.length === 0) {
+        throw new AgentRuntimeError('Approval policy not found', 404);
+    }
+}
+
+module.exports = {
+    POLICY_EFFECTS,
+    WEEKDAYS,
+    TIME_PATTERN,
+    minutesOf,
+    validateApprovalPolicy,
+    matchApprovalPolicy,
+    evaluateApprovalPolicies,
+    loadApprovalPolicies,
+    listApprovalPolicies,
+    createApprovalPolicy,
+    updateApprovalPolicy,
+    deleteApprovalPolicy
+};
@@ -0,0 +1,274 @@
+/**
+ * Approval Replies
+ * Sends approval requests over the user's connected WhatsApp or Gmail with a short
+ * signed code, and resolves the approval when the user replies "approve 3F9A" or
+ * "reject 3F9A too risky". Codes are single-use and expire with the approval.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { asInstant } = require('../../utils/time');
+const { getMessageRouter } = require('../sharedMessageRouter');
+const { AgentRuntimeError } = require('./errors');
+
+// Channels tried in order; each knows where the user receives messages on it
+const REPLY_CHANNELS = [
+    { platform: 'whatsapp', recipientOf: user => user.phone },
+    { platform: 'gmail', recipientOf: user => user.email }
+];
+
+const CODE_LENGTH = 6;
+
+// "approve 3F9A", "Reject 3f9a too risky", "yes A1B2C3"
+const REPLY_PATTERN = /^\s*(approve|approved|yes|reject|rejected|no)\s+#?([0-9a-f]{4,12})\b[\s:,.-]*(.*)$/i;
+
+function getSecret() {
+    const secret = process.env.APPROVAL_REPLY_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('APPROVAL_REPLY_SECRET (or JWT_SECRET) must be set to sign approval replies');
+    }
+    return secret;
+}
+
+// The code is an HMAC of the approval and a random nonce, so it can't be guessed from
+// the approval id and a stored row can't be pointed at a different approval
+function signCode(approvalId, nonce) {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update(`${approvalId}:${nonce}`)
+        .digest('hex')
+        .substring(0, CODE_LENGTH)
+        .toUpperCase();
+}
+
+function verifyCode(token, code) {
+    const expected = Buffer.from(signCode(token.approval_id, token.nonce));
+    const given = Buffer.from(code.toUpperCase());
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Phone numbers compare by digits; addresses case-insensitively ("Sam <sam@x.com>" -> "sam@x.com")
+function normalizeIdentifier(platform, value) {
+    if (!value) return '';
+    const text = String(value);
+    if (platform === 'whatsapp') return text.replace(/\D/g, '');
+    return (/<([^>]+)>/.exec(text)?.[1] || text).trim().toLowerCase();
+}
+
+// The first line the user wrote, skipping quoted text an email client adds
+function parseApprovalReply(content) {
+    const line = String(content || '')
+        .split(/\r?\n/)
+        .map(text => text.trim())
+        .find(text => text && !text.startsWith('>'));
+
+    const match = line && REPLY_PATTERN.exec(line);
+    if (!match) return null;
+
+    const [, verb, code, reason] = match;
+    return {
+        status: /^(approve|approved|yes)$/i.test(verb) ? 'approved' : 'rejected',
+        code: code.toUpperCase(),
+        reason: reason.trim()
+    };
+}
+
+// Where the user can be reached: the first of `platforms` (all channels, in order, by
+// default) they have connected and an address on
+async function findReplyChannel(userId, db = supabase, platforms = REPLY_CHANNELS.map(channel => channel.platform)) {
+    const { data: user } = await db
+        .from('users')
+        .select('id, email, phone')
+        .eq('id', userId)
+        .maybeSingle();
+
+    const { data: integrations } = await db
+        .from('platform_integrations')
+        .select('platform')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+    const connected = new Set((integrations || []).map(integration => integration.platform));
+    const channel = platforms
+        .map(platform => REPLY_CHANNELS.find(candidate => candidate.platform === platform))
+        .find(candidate => candidate && connected.has(candidate.platform) && user && candidate.recipientOf(user));
+
+    return channel ? { platform: channel.platform, recipient: channel.recipientOf(user) } : null;
+}
+
+// Store a fresh single-use code for the approval on a channel
+async function issueReplyToken(approval, channel, db = supabase) {
+    const { data: active } = await db
+        .from('approval_reply_tokens')
+        .select('code')
+        .eq('user_id', approval.user_id)
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString());
+
+    // Codes only need to be unique among the user's live ones
+    const taken = new Set((active || []).map(token => token.code));
+    let nonce;
+    let code;
+    do {
+        nonce = crypto.randomBytes(16).toString('hex');
+        code = signCode(approval.id, nonce);
+    } while (taken.has(code));
+
+    const { data: token, error } = await db
+        .from('approval_reply_tokens')
+        .insert([{
+            approval_id: approval.id,
+            user_id: approval.user_id,
+            code,
+            nonce,
+            platform: channel.platform,
+            recipient: channel.recipient,
+            expires_at: approval.expires_at
+        }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to store approval reply token: ${error.message}`);
+    return token;
+}
+
+/**
+ * Ask the user for approval over their connected channel. Resolves to the token sent,
+ * or null when the user has no channel to reply on or sending failed; the in-app
+ * notification stays the fallback either way.
+ */
+async function sendApprovalRequest(approval, agent, db = supabase) {
+    try {
+        const channel = await findReplyChannel(approval.user_id, db);
+        if (!channel) return null;
+
+        const token = await issueReplyToken(approval, channel, db);
+        const expires = asInstant(approval.expires_at).toUTCString();
+
+        const sent = await getMessageRouter().sendMessage(approval.user_id, channel.platform, {
+            recipientIdentifier: channel.recipient,
+            subject: `Approval needed: ${approval.action_type.replace(/_/g, ' ')} [${token.code}]`,
+            content: [
+                `${agent.name} wants to ${approval.action_type.replace(/_/g, ' ')}: ${approval.reason}`,
+                `Risk: ${approval.risk_level}. Expires ${expires}.`,
+                '',
+                `Reply "approve ${token.code}" or "reject ${token.code} <reason>".`
+            ].join('\n')
+        });
+
+        if (!sent.success) {
+            logger.warn(`Approval request ${approval.id} not sent via ${channel.platform}: ${sent.error}`);
+            return null;
+        }
+        return token;
+
+    } catch (error) {
+        logger.error('Send approval request error:', error);
+        return null;
+    }
+}
+
+// The token a reply refers to, if the code was sent to this sender on this platform;
+// anything else is an ordinary message that happens to look like a reply
+async function findReplyToken(userId, platform, sender, code, db) {
+    const { data: token } = await db
+        .from('approval_reply_tokens')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('code', code)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (!token || token.platform !== platform ||
+        normalizeIdentifier(platform, token.recipient) !== normalizeIdentifier(platform, sender)) {
+        return null;
+    }
+    return token;
+}
+
+// Resolve the approval a token belongs to, once. Throws AgentRuntimeError with what went wrong.
+async function redeemReplyToken(userId, token, reply, db) {
+    if (!verifyCode(token, reply.code)) {
+        throw new AgentRuntimeError(`Code ${reply.code} is not valid`, 400);
+    }
+    if (token.used_at) {
+        throw new AgentRuntimeError(`Code ${reply.code} has already been used`, 409);
+    }
+    if (asInstant(token.expires_at) <= new Date()) {
+        throw new AgentRuntimeError(`Code ${reply.code} has expired`, 410);
+    }
+
+    const { data: claimed, error } = await db
+        .from('approval_reply_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', token.id)
+        .is('used_at', null)
+        .select('id');
+
+    if (error) throw new Error(`Failed to claim approval reply token: ${error.message}`);
+    if (claimed.length === 0) {
+        throw new AgentRuntimeError(`Code ${reply.code} has already been used`, 409);
+    }
+
+    // Required here: approvals.js sends the requests this module answers
+    const { resolveApproval } = require('./approvals');
+    return resolveApproval(userId, token.approval_id, {
+        status: reply.status,
+        decision_reason: reply.reason || `${reply.status === 'approved' ? 'Approved' : 'Rejected'} by ${token.platform} reply`
+    });
+}
+
+/**
+ * Handle an incoming message that may be an approval reply. Resolves to null when it
+ * isn't one, otherwise to { approval_id, status, execution } or { error } - and the
+ * user gets a short confirmation back on the same channel.
+ */
+async function handleApprovalReply(userId, platform, messageData, db = supabase) {
+    const reply = parseApprovalReply(messageData.content);
+    if (!reply) return null;
+
+    const token = await findReplyToken(userId, platform, messageData.senderIdentifier, reply.code, db);
+    if (!token) return null;
+
+    let outcome;
+    try {
+        const { approval, execution } = await redeemReplyToken(userId, token, reply, db);
+        outcome = { approval_id: approval.id, status: reply.status, execution: execution || null };
+    } catch (error) {
+        if (!(error instanceof AgentRuntimeError)) {
+            logger.error('Handle approval reply error:', error);
+        }
+        outcome = { code: reply.code, error: error instanceof AgentRuntimeError ? error.message : 'Could not process the reply' };
+    }
+
+    let confirmation;
+    if (outcome.error) {
+        confirmation = outcome.error;
+    } else if (outcome.execution?.status === 'failed') {
+        confirmation = `Approved, but it failed: ${outcome.execution.error}`;
+    } else {
+        confirmation = reply.status === 'approved' ? `Approved (${reply.code}).` : `Rejected (${reply.code}).`;
+    }
+
+    const sent = await getMessageRouter().sendMessage(userId, platform, {
+        recipientIdentifier: messageData.senderIdentifier,
+        subject: messageData.subject ? `Re: ${messageData.subject}` : undefined,
+        content: confirmation,
+        threadId: messageData.threadId
+    });
+    if (!sent.success) {
+        logger.warn(`Approval reply confirmation not sent via ${platform}: ${sent.error}`);
+    }
+
+    return outcome;
+}
+
+module.exports = {
+    findReplyChannel,
+    parseApprovalReply,
+    issueReplyToken,
+    sendApprovalRequest,
+    handleApprovalReply
+};
@@ -0,0 +1,87 @@
+/**
+ * Approval Templates
+ * Default risk, priority, expiry and auto-approval rules per action type. Users
+ * refine these with their own approval policies (approvalPolicies.js).
+ */
+
+// Approval templates for different action types. revert_window_hours is how long after
+// execution an action can still be undone (APPROVAL_REVERT_WINDOW_HOURS overrides it)
+const APPROVAL_TEMPLATES = {
+    'task_creation': {
+        risk_level: 'low',
+        priority: 4,
+        expiration_hours: 24,
+        revert_window_hours: 72,
+        requires_approval_threshold: 'medium',
+        reason: 'New task creation requires user approval',
+        auto_approve_rules: {
+            priority_threshold: 5, // Auto-approve if priority >= 5
+            agent_trust_score: 0.8 // Auto-approve if agent trust score >= 0.8
+        }
+    },
+    'email_send': {
+        risk_level: 'medium',
+        priority: 3,
+        expiration_hours: 12,
+        revert_window_hours: 24,
+        requires_approval_threshold: 'medium',
+        reason: 'Email sending requires user approval to prevent spam',
+        auto_approve_rules: {
+            recipient_whitelist: true,
+            agent_trust_score: 0.9
+        }
+    },
+    'email_draft': {
+        risk_level: 'low',
+        priority: 4,
+        expiration_hours: 24,
+        revert_window_hours: 72,
+        requires_approval_threshold: 'medium',
+        reason: 'Saving a reply draft changes the draft only; nothing is sent',
+        auto_approve_rules: {
+            agent_trust_score: 0.7
+        }
+    },
+    'project_modification': {
+        risk_level: 'high',
+        priority: 2,
+        expiration_hours: 8,
+        revert_window_hours: 72,
+        requires_approval_threshold: 'low',
+        reason: 'Project modifications can have significant impact',
+        auto_approve_rules: {
+            agent_trust_score: 0.95
+        }
+    },
+    'system_configuration': {
+        risk_level: 'critical',
+        priority: 1,
+        expiration_hours: 4,
+        revert_window_hours: 24,
+        requires_approval_threshold: 'low',
+        reason: 'System configuration changes require explicit approval',
+        auto_approve_rules: {} // Never auto-approve
+    },
+    'data_deletion': {
+        risk_level: 'critical',
+        priority: 1,
+        expiration_hours: 2,
+        revert_window_hours: 168,
+        requires_approval_threshold: 'low',
+        reason: 'Data deletion is irreversible and requires approval',
+        auto_approve_rules: {} // Never auto-approve
+    },
+    'agent_deployment': {
+        risk_level: 'high',
+        priority: 2,
+        expiration_hours: 6,
+        revert_window_hours: 72,
+        requires_approval_threshold: 'medium',
+        reason: 'Agent deployment changes system behavior',
+        auto_approve_rules: {
+            agent_trust_score: 0.9
+        }
+    }
+};
+
+module.exports = { APPROVAL_TEMPLATES };
@@ -0,0 +1,913 @@
+/**
+ * Agent Approvals
+ * Risk assessment, the approvals queue and escalation; approved actions are run by
+ * approvalExecutors
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { asInstant } = require('../../utils/time');
+const { AgentRuntimeError } = require('./errors');
+const {
+    EXECUTION_ACTIONS,
+    ApprovalRevertError,
+    executeApprovedAction,
+    revertApprovedAction,
+    sendScheduledMessages
+} = require('./approvalExecutors');
+const { getTrustScore, withTrustScore } = require('./trust');
+const { APPROVAL_TEMPLATES } = require('./approvalTemplates');
+const { evaluateApprovalPolicies, loadApprovalPolicies } = require('./approvalPolicies');
+const { getOwnedAgent } = require('./registry');
+const { sendApprovalRequest } = require('./approvalReplies');
+const { defineRecurringJob } = require('../jobScheduler');
+
+// The user's matching policy has the last word over the template and trust score
+function applyApprovalPolicies(assessment, actionType, actionData, agentData, { policies = [], now = new Date() }) {
+    const { policy, trace } = evaluateApprovalPolicies(policies, actionType, actionData || {}, agentData?.id || null, now);
+    const decided = { ...assessment, blocked: false, policy, policy_trace: trace };
+
+    if (policy?.effect === 'never_allow') {
+        return { ...decided, blocked: true, requires_approval: true, reason: `Not allowed by your policy "${policy.name}"` };
+    }
+    if (policy?.effect === 'always_ask') {
+        return { ...decided, requires_approval: true, reason: `Your policy "${policy.name}" always asks for approval` };
+    }
+    if (policy?.effect === 'auto_approve') {
+        return { ...decided, requires_approval: false, reason: `Auto-approved by your policy "${policy.name}"` };
+    }
+    return decided;
+}
+
+/**
+ * Risk assessment function. options.policies are the user's active approval policies
+ * (loadApprovalPolicies); the result says which one decided (policy), why each did or
+ * didn't match (policy_trace), and blocked is set when a policy never allows the action.
+ */
+function assessActionRisk(actionType, actionData, agentData, options = {}) {
+    const template = APPROVAL_TEMPLATES[actionType];
+    if (!template) {
+        return applyApprovalPolicies({
+            requires_approval: true,
+            risk_level: 'medium',
+            priority: 3,
+            reason: `Unknown action type: ${actionType}`
+        }, actionType, actionData, agentData, options);
+    }
+
+    let risk_level = template.risk_level;
+    let priority = template.priority;
+    let requires_approval = true;
+    let reason = template.reason;
+
+    // Adjust risk based on action data
+    if (actionData) {
+        // High priority tasks might need higher approval
+        if (actionData.priority <= 2) {
+            priority = Math.min(priority, actionData.priority);
+            risk_level = risk_level === 'low' ? 'medium' : risk_level;
+        }
+
+        // Large data operations increase risk
+        if (actionData.bulk_operation || actionData.affects_multiple_records) {
+            risk_level = risk_level === 'low' ? 'medium' : risk_level === 'medium' ? 'high' : risk_level;
+            priority = Math.max(1, priority - 1);
+        }
+
+        // Sensitive data increases risk
+        if (actionData.contains_sensitive_data || actionData.privacy_impact) {
+            risk_level = risk_level === 'low' ? 'medium' : risk_level === 'medium' ? 'high' : 'critical';
+            priority = Math.max(1, priority - 1);
+        }
+    }
+
+    // Check agent trust score for auto-approval (see trust.js for how it is computed)
+    const trustScore = typeof agentData?.trust_score === 'number' ? agentData.trust_score : null;
+    if (trustScore !== null) {
+        if (template.auto_approve_rules.agent_trust_score &&
+            trustScore >= template.auto_approve_rules.agent_trust_score) {
+            requires_approval = false;
+            reason = `Auto-approved based on high agent trust score (${trustScore})`;
+        }
+    }
+
+    return applyApprovalPolicies({
+        requires_approval,
+        risk_level,
+        priority,
+        reason,
+        template: actionType,
+        expiration_hours: template.expiration_hours,
+        trust_score: trustScore
+    }, actionType, actionData, agentData, options);
+}
+
+// Create approval queue entry
+async function createApprovalQueue(agentId, userId, actionType, actionData, riskAssessment) {
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + riskAssessment.expiration_hours);
+
+    const approvalData = {
+        agent_id: agentId,
+        user_id: userId,
+        action_type: actionType,
+        action_data: JSON.stringify(actionData),
+        reason: riskAssessment.reason,
+        risk_level: riskAssessment.risk_level,
+        priority: riskAssessment.priority,
+        status: 'pending',
+        expires_at: expiresAt.toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabase
+        .from('approvals_queue')
+        .insert([approvalData])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Create approval queue error:', error);
+        throw new Error('Failed to create approval queue entry');
+    }
+
+    // Create notification for the approval
+    try {
+        const { data: agent } = await supabase
+            .from('agents')
+            .select('id, name, type')
+            .eq('id', agentId)
+            .single();
+
+        if (agent) {
+            await createApprovalNotification(data, agent);
+        }
+    } catch (notificationError) {
+        logger.error('Failed to create approval notification:', notificationError);
+        // Don't fail the approval creation if notification fails
+    }
+
+    return data;
+}
+
+// Check for expired approvals and process them
+async function processExpiredApprovals() {
+    try {
+        const now = new Date().toISOString();
+
+        // Get expired pending approvals
+        const { data: expiredApprovals, error: fetchError } = await supabase
+            .from('approvals_queue')
+            .select('*')
+            .eq('status', 'pending')
+            .lt('expires_at', now);
+
+        if (fetchError) {
+            logger.error('Fetch expired approvals error:', fetchError);
+            return;
+        }
+
+        if (!expiredApprovals || expiredApprovals.length === 0) {
+            return;
+        }
+
+        // Update expired approvals to 'expired' status
+        const expiredIds = expiredApprovals.map(approval => approval.id);
+
+        const { error: updateError } = await supabase
+            .from('approvals_queue')
+            .update({
+                status: 'expired',
+                updated_at: now
+            })
+            .in('id', expiredIds);
+
+        if (updateError) {
+            logger.error('Update expired approvals error:', updateError);
+            return;
+        }
+
+        // Create history records for expired approvals
+        const historyRecords = expiredApprovals.map(approval => ({
+            approval_id: approval.id,
+            agent_id: approval.agent_id,
+            user_id: approval.user_id,
+            action_taken: 'expired',
+            action_data: approval.action_data,
+            decision_reason: 'Approval expired due to timeout',
+            processing_time_ms: null,
+            risk_assessment: JSON.stringify({
+                risk_level: approval.risk_level,
+                priority: approval.priority
+            })
+        }));
+
+        const { error: historyError } = await supabase
+            .from('approval_history')
+            .insert(historyRecords);
+
+        if (historyError) {
+            logger.error('Create expired approval history error:', historyError);
+        }
+
+        // Log expired approvals
+        for (const approval of expiredApprovals) {
+            await supabase
+                .from('agent_logs')
+                .insert([{
+                    agent_id: approval.agent_id,
+                    user_id: approval.user_id,
+                    action: 'approval_expired',
+                    resource_type: 'approval',
+                    resource_id: approval.id,
+                    details: {
+                        action_type: approval.action_type,
+                        risk_level: approval.risk_level,
+                        expired_at: approval.expires_at
+                    },
+                    severity: 'warning'
+                }]);
+        }
+
+        logger.info(`Processed ${expiredApprovals.length} expired approvals`);
+
+    } catch (error) {
+        logger.error('Process expired approvals error:', error);
+    }
+}
+
+// ===========================================
+// APPROVAL NOTIFICATIONS AND ESCALATION
+// ===========================================
+
+// Create notification for approval
+async function createApprovalNotification(approval, agent) {
+    try {
+        const notificationData = {
+            user_id: approval.user_id,
+            type: 'approval_required',
+            title: `Approval Required: ${approval.action_type}`,
+            message: `Agent "${agent.name}" requires approval for: ${approval.reason}`,
+            priority: approval.priority,
+            action_required: true,
+            data: JSON.stringify({
+                approval_id: approval.id,
+                agent_id: approval.agent_id,
+                agent_name: agent.name,
+                action_type: approval.action_type,
+                risk_level: approval.risk_level,
+                expires_at: approval.expires_at
+            })
+        };
+
+        const { data, error } = await supabase
+            .from('notifications')
+            .insert([notificationData])
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Create approval notification error:', error);
+        }
+
+        // Also ask over WhatsApp or Gmail, where the user can answer by replying
+        await sendApprovalRequest(approval, agent);
+
+        return data;
+
+    } catch (error) {
+        logger.error('Create approval notification error:', error);
+    }
+}
+
+// Create escalation notification
+async function createEscalationNotification(approval, agent, escalationLevel) {
+    try {
+        const escalationMessages = {
+            1: 'First escalation: Approval is still pending',
+            2: 'Second escalation: Approval requires immediate attention',
+            3: 'Final escalation: Critical approval pending - immediate action required'
+        };
+
+        const notificationData = {
+            user_id: approval.user_id,
+            type: 'approval_escalation',
+            title: `ESCALATION: ${approval.action_type} Approval`,
+            message: `${escalationMessages[escalationLevel]} - Agent "${agent.name}": ${approval.reason}`,
+            priority: Math.max(1, approval.priority - escalationLevel), // Increase priority with escalation
+            action_required: true,
+            data: JSON.stringify({
+                approval_id: approval.id,
+                agent_id: approval.agent_id,
+                agent_name: agent.name,
+                action_type: approval.action_type,
+                risk_level: approval.risk_level,
+                escalation_level: escalationLevel,
+                expires_at: approval.expires_at
+            })
+        };
+
+        const { data, error } = await supabase
+            .from('notifications')
+            .insert([notificationData])
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Create escalation notification error:', error);
+        }
+
+        return data;
+
+    } catch (error) {
+        logger.error('Create escalation notification error:', error);
+    }
+}
+
+// Process approval escalations
+async function processApprovalEscalations() {
+    try {
+        const now = new Date();
+
+        // Check for approvals that need escalation
+        // Level 1: After 1 hour
+        // Level 2: After 4 hours
+        // Level 3: After 8 hours
+
+        const escalationThresholds = [
+            { hours: 1, level: 1 },
+            { hours: 4, level: 2 },
+            { hours: 8, level: 3 }
+        ];
+
+        for (const threshold of escalationThresholds) {
+            const thresholdTime = new Date(now.getTime() - (threshold.hours * 60 * 60 * 1000));
+
+            const { data: pendingApprovals, error } = await supabase
+                .from('approvals_queue')
+                .select(`
+                    *,
+                    agents!inner (
+                        id,
+                        name,
+                        type
+                    )
+                `)
+                .eq('status', 'pending')
+                .lt('created_at', thresholdTime.toISOString())
+                .gt('expires_at', now.toISOString()); // Not yet expired
+
+            if (error) {
+                logger.error(`Fetch approvals for escalation level ${threshold.level} error:`, error);
+                continue;
+            }
+
+            if (!pendingApprovals || pendingApprovals.length === 0) {
+                continue;
+            }
+
+            for (const approval of pendingApprovals) {
+                // Check if escalation already sent for this level
+                const { data: existingEscalation } = await supabase
+                    .from('notifications')
+                    .select('id')
+                    .eq('user_id', approval.user_id)
+                    .eq('type', 'approval_escalation')
+                    .like('data', `%"escalation_level":${threshold.level}%`)
+                    .like('data', `%"approval_id":"${approval.id}"%`)
+                    .single();
+
+                if (existingEscalation) {
+                    continue; // Escalation already sent
+                }
+
+                // Create escalation notification
+                await createEscalationNotification(approval, approval.agents, threshold.level);
+
+                // Log escalation
+                await supabase
+                    .from('agent_logs')
+                    .insert([{
+                        agent_id: approval.agent_id,
+                        user_id: approval.user_id,
+                        action: 'approval_escalated',
+                        resource_type: 'approval',
+                        resource_id: approval.id,
+                        details: {
+                            escalation_level: threshold.level,
+                            hours_pending: threshold.hours,
+                            action_type: approval.action_type,
+                            risk_level: approval.risk_level
+                        },
+                        severity: threshold.level >= 3 ? 'critical' : 'warning'
+                    }]);
+
+                logger.info(`Escalation level ${threshold.level} sent for approval ${approval.id}`);
+            }
+        }
+
+    } catch (error) {
+        logger.error('Process approval escalations error:', error);
+    }
+}
+
+// Approve, reject or escalate a pending approval on behalf of a user
+async function resolveApproval(userId, approvalId, decision = {}) {
+    const {
+        status, // 'approved' or 'rejected'
+        decision_reason = '',
+        review_notes = '',
+        escalate_to = null, // User ID to escalate to
+        escalation_reason = '',
+        reviewer_email = null
+    } = decision;
+
+    if (!['approved', 'rejected'].includes(status)) {
+        throw new AgentRuntimeError('Invalid status. Must be approved or rejected', 400);
+    }
+
+    // Get approval details with agent info
+    const { data: approval, error: getError } = await supabase
+        .from('approvals_queue')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            )
+        `)
+        .eq('id', approvalId)
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .single();
+
+    if (getError || !approval) {
+        throw new AgentRuntimeError('Approval not found or already processed', 404);
+    }
+
+    const now = new Date().toISOString();
+    const processingTime = new Date(now) - asInstant(approval.created_at);
+
+    // Handle escalation if requested
+    if (escalate_to && escalate_to !== userId) {
+        // Claim the original first, so a concurrent decision cannot also act on it
+        const { data: claimed } = await supabase
+            .from('approvals_queue')
+            .update({
+                status: 'escalated',
+                approved_by: userId,
+                approved_at: now,
+                review_notes: `Escalated to user ${escalate_to}: ${escalation_reason}`,
+                updated_at: now
+            })
+            .eq('id', approvalId)
+            .eq('status', 'pending')
+            .select()
+            .maybeSingle();
+
+        if (!claimed) {
+            throw new AgentRuntimeError('Approval was already processed', 409);
+        }
+
+        // Create escalated approval for different user
+        const escalationData = {
+            agent_id: approval.agent_id,
+            user_id: escalate_to,
+            action_type: approval.action_type,
+            action_data: approval.action_data,
+            reason: `Escalated: ${approval.reason}. ${escalation_reason}`,
+            risk_level: approval.risk_level,
+            priority: Math.max(1, approval.priority - 1), // Increase priority for escalation
+            status: 'pending',
+            expires_at: new Date(Date.now() + (2 * 60 * 60 * 1000)).toISOString(), // 2 hours for escalated
+            review_notes: `Escalated from ${reviewer_email || userId}: ${escalation_reason}`,
+            created_at: now,
+            updated_at: now
+        };
+
+        const { data: escalatedApproval, error: escalationError } = await supabase
+            .from('approvals_queue')
+            .insert([escalationData])
+            .select()
+            .single();
+
+        if (escalationError) {
+            logger.error('Create escalated approval error:', escalationError);
+            await supabase
+                .from('approvals_queue')
+                .update({
+                    status: 'pending',
+                    approved_by: null,
+                    approved_at: null,
+                    review_notes: approval.review_notes,
+                    updated_at: approval.updated_at
+                })
+                .eq('id', approvalId)
+                .eq('status', 'escalated');
+            throw new AgentRuntimeError('Failed to escalate approval', 500);
+        }
+
+        // Create notification for escalated user
+        await createEscalationNotification(escalatedApproval, approval.agents, 0);
+
+        // Create history for escalation
+        await supabase
+            .from('approval_history')
+            .insert([{
+                approval_id: approvalId,
+                agent_id: approval.agent_id,
+                user_id: userId,
+                action_taken: 'escalated',
+                action_data: approval.action_data,
+                decision_reason: escalation_reason,
+                processing_time_ms: processingTime,
+                risk_assessment: JSON.stringify({
+                    risk_level: approval.risk_level,
+                    priority: approval.priority,
+                    escalated_to: escalate_to
+                })
+            }]);
+
+        return {
+            escalated: true,
+            escalated_approval_id: escalatedApproval.id
+        };
+    }
+
+    // Update approval status
+    const updateData = {
+        status,
+        approved_by: userId,
+        approved_at: now,
+        review_notes: review_notes || approval.review_notes,
+        updated_at: now
+    };
+
+    // Only a still-pending approval can be decided; a concurrent decision that got there
+    // first leaves nothing to update
+    const { data: updatedApproval, error: updateError } = await supabase
+        .from('approvals_queue')
+        .update(updateData)
+        .eq('id', approvalId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (updateError) {
+        logger.error('Update approval error:', updateError);
+        throw new AgentRuntimeError('Failed to update approval', 500);
+    }
+    if (!updatedApproval) {
+        throw new AgentRuntimeError('Approval was already processed', 409);
+    }
+
+    const templateUsed = APPROVAL_TEMPLATES[approval.action_type] ? approval.action_type : 'unknown';
+
+    // Create approval history record
+    await supabase
+        .from('approval_history')
+        .insert([{
+            approval_id: approvalId,
+            agent_id: approval.agent_id,
+            user_id: userId,
+            action_taken: status,
+            action_data: approval.action_data,
+            decision_reason: decision_reason || `Manually ${status} by user`,
+            processing_time_ms: processingTime,
+            risk_assessment: JSON.stringify({
+                risk_level: approval.risk_level,
+                priority: approval.priority,
+                template: templateUsed
+            })
+        }]);
+
+    // Update notifications to mark as resolved
+    await supabase
+        .from('notifications')
+        .update({
+            status: 'resolved',
+            updated_at: now
+        })
+        .eq('user_id', userId)
+        .like('data', `%"approval_id":"${approvalId}"%`);
+
+    // Log approval decision
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: approval.agent_id,
+            user_id: userId,
+            action: `approval_${status}`,
+            resource_type: 'approval',
+            resource_id: approvalId,
+            details: {
+                action_type: approval.action_type,
+                risk_level: approval.risk_level,
+                processing_time_ms: processingTime,
+                decision_reason: decision_reason
+            }
+        }]);
+
+    // Run the approved action; a failure marks the approval 'failed' rather than
+    // undoing the decision
+    let execution = null;
+    let resolvedApproval = updatedApproval;
+    if (status === 'approved') {
+        try {
+            execution = await executeApprovedAction(updatedApproval);
+            resolvedApproval = execution.status === 'failed'
+                ? { ...updatedApproval, status: 'failed', execution_status: 'failed', failure_reason: execution.error }
+                : { ...updatedApproval, execution_status: execution.status, execution_result: execution.result, compensation: execution.compensation };
+        } catch (executionError) {
+            logger.error('Execute approved action error:', executionError);
+            execution = { status: 'failed', error: executionError.message };
+        }
+    }
+
+    return {
+        escalated: false,
+        approval: resolvedApproval,
+        execution,
+        processing_time_ms: processingTime,
+        template_used: templateUsed
+    };
+}
+
+// Last moment an executed approval can be undone, or null if it never ran
+function revertDeadline(approval) {
+    if (!approval.executed_at) {
+        return null;
+    }
+    const hours = Number(process.env.APPROVAL_REVERT_WINDOW_HOURS) ||
+        APPROVAL_TEMPLATES[approval.action_type]?.revert_window_hours || 24;
+    return new Date(asInstant(approval.executed_at).getTime() + hours * 60 * 60 * 1000);
+}
+
+function canRevert(approval, now = new Date()) {
+    return approval.execution_status === 'executed' && !!approval.compensation && revertDeadline(approval) > now;
+}
+
+// Undo an executed approval on behalf of its user, within the revert window
+async function revertApproval(userId, approvalId, { reason = '' } = {}) {
+    const { data: approval, error: getError } = await supabase
+        .from('approvals_queue')
+        .select('*')
+        .eq('id', approvalId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (getError || !approval) {
+        throw new AgentRuntimeError('Approval not found', 404);
+    }
+    if (approval.execution_status === 'executed' && approval.compensation && revertDeadline(approval) <= new Date()) {
+        throw new AgentRuntimeError('The window for undoing this action has passed', 409);
+    }
+
+    let result;
+    try {
+        result = await revertApprovedAction(approval);
+    } catch (error) {
+        if (error instanceof ApprovalRevertError) {
+            throw new AgentRuntimeError(error.message, 409);
+        }
+        logger.error('Revert approval error:', error);
+        throw new AgentRuntimeError('Failed to undo the approved action', 500);
+    }
+
+    await supabase
+        .from('approval_history')
+        .insert([{
+            approval_id: approvalId,
+            agent_id: approval.agent_id,
+            user_id: userId,
+            action_taken: 'reverted',
+            action_data: approval.action_data,
+            decision_reason: reason || 'Undone by user',
+            execution_result: result,
+            risk_assessment: JSON.stringify({
+                risk_level: approval.risk_level,
+                priority: approval.priority
+            })
+        }]);
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: approval.agent_id,
+            user_id: userId,
+            action: 'action_reverted',
+            resource_type: 'approval',
+            resource_id: approvalId,
+            details: {
+                action_type: approval.action_type,
+                compensation: approval.compensation.action,
+                reason
+            }
+        }]);
+
+    const { data: reverted } = await supabase
+        .from('approvals_queue')
+        .select('*')
+        .eq('id', approvalId)
+        .maybeSingle();
+
+    return { approval: reverted || approval, result };
+}
+
+// Why an agent is or isn't trusted to act without approval, per action type
+async function explainAgentTrust(userId, agentId, actionType = null) {
+    const { data: agent } = await supabase
+        .from('agents')
+        .select('id, name')
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!agent) {
+        throw new AgentRuntimeError('Agent not found', 404);
+    }
+    if (actionType && !APPROVAL_TEMPLATES[actionType]) {
+        throw new AgentRuntimeError(`Unknown action type: ${actionType}`, 400);
+    }
+
+    const actionTypes = actionType ? [actionType] : Object.keys(APPROVAL_TEMPLATES);
+    const explanations = [];
+    for (const type of actionTypes) {
+        const trust = await getTrustScore(agentId, type);
+        const threshold = APPROVAL_TEMPLATES[type].auto_approve_rules.agent_trust_score || null;
+        const autoApproved = threshold !== null && trust.score >= threshold;
+
+        let summary;
+        if (threshold === null) {
+            summary = `${type} always needs your approval, whatever the trust score`;
+        } else if (autoApproved) {
+            summary = `Trusted: score ${trust.score} meets the auto-approval threshold of ${threshold}`;
+        } else if (trust.penalty && trust.penalty.multiplier < 1) {
+            summary = `Not trusted: a recent ${trust.penalty.event} action lowered the score to ${trust.score} (threshold ${threshold})`;
+        } else if (trust.evidence === 0) {
+            summary = `Not trusted yet: no history for this action type (score ${trust.score}, threshold ${threshold})`;
+        } else {
+            summary = `Not trusted: score ${trust.score} is below the auto-approval threshold of ${threshold}`;
+        }
+
+        explanations.push({ ...trust, threshold, auto_approved: autoApproved, summary });
+    }
+
+    return { agent, trust: explanations };
+}
+
+// The user's pending approvals, newest first
+async function listPendingApprovals(userId, { limit = 50, offset = 0 } = {}) {
+    const { data: approvals, error } = await supabase
+        .from('approvals_queue')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            )
+        `)
+        .eq('user_id', userId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Get pending approvals error:', error);
+        throw new AgentRuntimeError('Failed to fetch pending approvals', 500);
+    }
+    return approvals || [];
+}
+
+// A harmless pending approval for checking the notification UI
+async function createTestApproval(userId) {
+    const { data, error } = await supabase
+        .from('approvals_queue')
+        .insert([{
+            user_id: userId,
+            agent_id: null,
+            action_type: 'test_notification',
+            action_data: {
+                message: 'This is a test notification to verify the bell icon and red dot work correctly.',
+                test: true
+            },
+            reason: 'Testing notification UI system',
+            risk_level: 'low',
+            priority: 5,
+            expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Create test approval error:', error);
+        throw new AgentRuntimeError('Failed to create test approval', 500);
+    }
+
+    logger.info(`Created test approval for user ${userId}`);
+    return data;
+}
+
+// Approvals decided in the last `days` days, with whether each can still be undone
+async function listRecentApprovals(userId, { limit = 20, days = 7 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: approvals, error } = await supabase
+        .from('approvals_queue')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            )
+        `)
+        .eq('user_id', userId)
+        .neq('status', 'pending')
+        .gte('updated_at', since)
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        logger.error('Get recent approvals error:', error);
+        throw new AgentRuntimeError('Failed to fetch recent approvals', 500);
+    }
+
+    return (approvals || []).map(approval => ({
+        ...approval,
+        revertible: canRevert(approval),
+        revertible_until: canRevert(approval) ? revertDeadline(approval).toISOString() : null
+    }));
+}
+
+async function listApprovalHistory(userId, { limit = 50, offset = 0 } = {}) {
+    const { data: history, error } = await supabase
+        .from('approval_history')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            ),
+            approval:approvals_queue (
+                action_type,
+                risk_level,
+                priority
+            )
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Get approval history error:', error);
+        throw new AgentRuntimeError('Failed to fetch approval history', 500);
+    }
+    return history || [];
+}
+
+// How an action would be assessed under the user's policies, without queueing it
+async function previewApprovalAssessment(userId, { action_type, action_data = {}, agent_id = null } = {}) {
+    if (!action_type) {
+        throw new AgentRuntimeError('action_type is required', 400);
+    }
+
+    const agent = agent_id
+        ? await withTrustScore(await getOwnedAgent(userId, agent_id, 'id, name'), action_type)
+        : null;
+    const policies = await loadApprovalPolicies(userId);
+
+    return assessActionRisk(action_type, action_data, agent, { policies });
+}
+
+// Background approval jobs: expiry every 5 minutes, escalations every 15 minutes and
+// scheduled emails every minute
+defineRecurringJob('approvals.expire', '*/5 * * * *', () => processExpiredApprovals());
+defineRecurringJob('approvals.escalate', '*/15 * * * *', () => processApprovalEscalations());
+defineRecurringJob('approvals.send_scheduled', '* * * * *', () => sendScheduledMessages());
+
+module.exports = {
+    APPROVAL_TEMPLATES,
+    EXECUTION_ACTIONS,
+    assessActionRisk,
+    createApprovalQueue,
+    processExpiredApprovals,
+    createApprovalNotification,
+    createEscalationNotification,
+    processApprovalEscalations,
+    resolveApproval,
+    executeApprovedAction,
+    revertDeadline,
+    canRevert,
+    revertApproval,
+    explainAgentTrust,
+    listPendingApprovals,
+    createTestApproval,
+    listRecentApprovals,
+    listApprovalHistory,
+    previewApprovalAssessment
+};
@@ -0,0 +1,696 @@
+/**
+ * Conversation History
+ * Reading, searching, exporting and bulk-editing an agent's conversations, and adding
+ * messages to them with the NLP analysis and optional AI reply
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { periodStart } = require('../../utils/time');
+const { memoryService } = require('../memory');
+const { AgentRuntimeError } = require('./errors');
+const { aiServiceManager } = require('./AIServiceManager');
+const { nlpEngine } = require('./NLPEngine');
+const { getOwnedAgent } = require('./registry');
+const {
+    generateConversationSummary,
+    groupConversationsByThread,
+    generateConversationAnalytics,
+    enhanceConversationContext,
+    generateAIResponse,
+    optimizeResponse,
+    generateSessionId,
+    createFollowUpNotification,
+    updateAgentStatusForUrgentMessage,
+    generateSessionInsights,
+    generateSearchHighlights,
+    generateTrendAnalysis,
+    calculateResponseTimeDistribution,
+    analyzeTopicDistribution,
+    estimateUserSatisfaction
+} = require('./conversations');
+
+const EXPORT_FORMATS = ['json', 'csv', 'txt'];
+const BULK_OPERATIONS = ['delete', 'update_sentiment', 'archive'];
+
+function pagination(conversations, limit, offset) {
+    return {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: conversations.length === parseInt(limit)
+    };
+}
+
+function filterConversations(query, { message_type, sentiment, date_from, date_to }) {
+    if (message_type) {
+        query = query.eq('message_type', message_type);
+    }
+    if (sentiment) {
+        query = query.eq('sentiment', sentiment);
+    }
+    if (date_from) {
+        query = query.gte('created_at', date_from);
+    }
+    if (date_to) {
+        query = query.lte('created_at', date_to);
+    }
+    return query;
+}
+
+// The file for an export: { contentType, filename, body }
+function exportConversations(conversations, format, agent) {
+    const type = String(format).toLowerCase();
+    if (!EXPORT_FORMATS.includes(type)) {
+        throw new AgentRuntimeError('Unsupported export format. Use: json, csv, or txt', 400);
+    }
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `agent_${agent.name}_conversations_${timestamp}.${type}`;
+
+    if (type === 'json') {
+        return {
+            contentType: 'application/json',
+            filename,
+            body: {
+                export_info: {
+                    agent_name: agent.name,
+                    agent_type: agent.type,
+                    export_date: new Date().toISOString(),
+                    total_conversations: conversations.length
+                },
+                conversations
+            }
+        };
+    }
+
+    if (type === 'csv') {
+        const headers = [
+            'ID',
+            'Session ID',
+            'Message Type',
+            'Content',
+            'Sentiment',
+            'Confidence Score',
+            'Tokens Used',
+            'Response Time (ms)',
+            'Created At'
+        ];
+        const rows = conversations.map(conv => [
+            conv.id,
+            conv.session_id || '',
+            conv.message_type,
+            `"${conv.content.replace(/"/g, '""')}"`,
+            conv.sentiment || '',
+            conv.confidence_score || '',
+            conv.tokens_used || '',
+            conv.response_time_ms || '',
+            conv.created_at
+        ]);
+
+        return {
+            contentType: 'text/csv',
+            filename,
+            body: [headers, ...rows].map(row => row.join(',')).join('\n')
+        };
+    }
+
+    const header = `Agent: ${agent.name}\nType: ${agent.type}\nExported: ${new Date().toISOString()}\nTotal Messages: ${conversations.length}\n\n`;
+    const lines = [...conversations]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(conv => `[${new Date(conv.created_at).toLocaleString()}] ${conv.message_type.toUpperCase()}: ${conv.content}`);
+
+    return { contentType: 'text/plain', filename, body: header + lines.join('\n\n') };
+}
+
+/**
+ * The agent's conversations, filtered and paged. With export_format set the result is
+ * { export } holding the file instead.
+ */
+async function listConversations(userId, agentId, options = {}) {
+    const {
+        limit = 50,
+        offset = 0,
+        session_id,
+        search,
+        include_summary = false,
+        include_analytics = false,
+        include_threads = false,
+        export_format,
+        sort_by = 'created_at',
+        sort_order = 'desc'
+    } = options;
+
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, type');
+
+    let query = filterConversations(supabase
+        .from('agent_conversations')
+        .select('*')
+        .eq('agent_id', agentId), options);
+
+    if (session_id) {
+        query = query.eq('session_id', session_id);
+    }
+    if (search) {
+        query = query.ilike('content', `%${search}%`);
+    }
+
+    const { data, error } = await query
+        .order(sort_by, { ascending: sort_order === 'asc' })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+        logger.error('Get agent conversations error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent conversations', 500);
+    }
+
+    const conversations = data || [];
+    if (export_format && conversations.length > 0) {
+        return { export: exportConversations(conversations, export_format, agent) };
+    }
+
+    const result = {
+        conversations,
+        count: conversations.length,
+        pagination: pagination(conversations, limit, offset)
+    };
+
+    if (conversations.length > 0) {
+        if (include_summary === 'true') {
+            result.summary = await generateConversationSummary(conversations, agentId);
+        }
+        if (include_analytics === 'true') {
+            result.analytics = generateConversationAnalytics(conversations);
+        }
+        if (include_threads === 'true') {
+            result.threads = groupConversationsByThread(conversations);
+        }
+    }
+
+    return result;
+}
+
+// Save a message, answering it with an AI reply when generate_ai_response is set
+async function addConversationMessage(userId, agentId, message = {}) {
+    const {
+        message_type,
+        content,
+        session_id,
+        metadata = {},
+        tokens_used,
+        response_time_ms,
+        sentiment,
+        confidence_score,
+        enhance_context = true,
+        auto_session = true,
+        generate_ai_response = false,
+        sentiment_analysis = true,
+        intent_detection = true,
+        context_enhancement = true,
+        response_optimization = true
+    } = message;
+
+    if (!message_type || !content) {
+        throw new AgentRuntimeError('Message type and content are required', 400);
+    }
+
+    const agent = await getOwnedAgent(userId, agentId, `
+        *,
+        agent_profiles (*),
+        agent_status (*)
+    `);
+
+    const startTime = Date.now();
+    let sessionId = session_id;
+    if (auto_session && !sessionId) {
+        sessionId = generateSessionId(agent.id, userId);
+    }
+
+    const aiAnalysis = {};
+    let aiResponse = null;
+    let context = [];
+
+    if (intent_detection && message_type === 'user_message') {
+        aiAnalysis.intent = nlpEngine.analyzeIntent(content);
+        logger.info(`Intent detected: ${aiAnalysis.intent.intent} (confidence: ${aiAnalysis.intent.confidence})`);
+    }
+
+    if (sentiment_analysis) {
+        const { data: recentConversations } = await supabase
+            .from('agent_conversations')
+            .select('content, sentiment, created_at')
+            .eq('agent_id', agentId)
+            .eq('user_id', userId)
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: false })
+            .limit(10);
+
+        aiAnalysis.sentiment = nlpEngine.analyzeSentiment(content, { conversation_history: recentConversations || [] });
+        logger.info(`Sentiment analyzed: ${aiAnalysis.sentiment.category} (score: ${aiAnalysis.sentiment.score})`);
+    }
+
+    if (context_enhancement) {
+        aiAnalysis.entities = nlpEngine.extractEntities(content);
+        aiAnalysis.urgency = nlpEngine.detectUrgency(content);
+        aiAnalysis.complexity = nlpEngine.assessComplexity(content);
+    }
+
+    if (generate_ai_response && message_type === 'user_message') {
+        try {
+            const selectedModel = aiServiceManager.selectModel(agent, 'text_generation', userId);
+            logger.info(`Selected AI model: ${selectedModel.name} for task generation`);
+
+            const { data: conversationHistory } = await supabase
+                .from('agent_conversations')
+                .select('id, content, message_type, created_at')
+                .eq('agent_id', agentId)
+                .eq('session_id', sessionId)
+                .order('created_at', { ascending: false })
+                .limit(20);
+
+            context = conversationHistory ? conversationHistory.reverse() : [];
+
+            aiResponse = await generateAIResponse(content, {
+                agent,
+                intent: aiAnalysis.intent,
+                sentiment: aiAnalysis.sentiment,
+                entities: aiAnalysis.entities,
+                conversation_context: context,
+                user_id: userId,
+                session_id: sessionId
+            });
+
+            const responseTime = Date.now() - startTime;
+            aiServiceManager.recordPerformance(selectedModel.name, 'text_generation', userId, {
+                response_time: responseTime,
+                success: true,
+                quality_score: aiResponse ? aiResponse.confidence_score : 0,
+                tokens_used: aiResponse ? aiResponse.tokens_used : 0
+            });
+
+            logger.info(`AI response generated in ${responseTime}ms`);
+        } catch (error) {
+            logger.error('AI response generation error:', error);
+            aiResponse = {
+                error: 'AI response generation failed',
+                fallback_response: 'I apologize, but I\'m unable to generate a response at this time. Please try again.',
+                confidence_score: 0
+            };
+        }
+    }
+
+    if (response_optimization && aiResponse && aiResponse.content) {
+        aiResponse = await optimizeResponse(aiResponse, {
+            user_sentiment: aiAnalysis.sentiment,
+            conversation_context: context,
+            agent_personality: agent.agent_profiles?.personality || 'professional'
+        });
+    }
+
+    let enhancedMetadata = { ...metadata };
+    if (enhance_context) {
+        const contextData = await enhanceConversationContext(agentId, userId, content, sessionId);
+        enhancedMetadata = {
+            ...enhancedMetadata,
+            ...contextData,
+            enhanced_at: new Date().toISOString(),
+            context_version: '2.0'
+        };
+    }
+
+    const { data: conversation, error } = await supabase
+        .from('agent_conversations')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            session_id: sessionId,
+            message_type,
+            content,
+            metadata: JSON.stringify(enhancedMetadata),
+            tokens_used,
+            response_time_ms,
+            sentiment,
+            confidence_score
+        }])
+        .select(`
+            *,
+            agents!inner(name, type),
+            user:users(name, email)
+        `)
+        .single();
+
+    if (error) {
+        logger.error('Add conversation message error:', error);
+        throw new AgentRuntimeError('Failed to add conversation message', 500);
+    }
+
+    memoryService.rememberRows(userId, 'agent_conversation', [conversation]);
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'conversation_message_added',
+            resource_type: 'conversation',
+            resource_id: conversation.id,
+            details: {
+                message_type,
+                session_id: sessionId,
+                content_length: content.length,
+                has_enhanced_context: enhance_context,
+                sentiment,
+                confidence_score
+            },
+            severity: 'info'
+        }]);
+
+    if (enhancedMetadata.follow_up_required) {
+        await createFollowUpNotification(agentId, userId, conversation.id, enhancedMetadata);
+    }
+    if (enhancedMetadata.urgency_level === 'urgent') {
+        await updateAgentStatusForUrgentMessage(agentId);
+    }
+
+    // Save the AI reply as the agent's own message
+    let aiGeneratedResponse = null;
+    if (generate_ai_response && message_type === 'user_message' && aiResponse) {
+        try {
+            const { data: aiConversation, error: aiError } = await supabase
+                .from('agent_conversations')
+                .insert([{
+                    agent_id: agentId,
+                    user_id: userId,
+                    session_id: sessionId,
+                    message_type: 'agent_response',
+                    content: aiResponse.content,
+                    metadata: JSON.stringify({
+                        ai_generated: true,
+                        model_used: aiResponse.model_used,
+                        confidence_score: aiResponse.confidence_score,
+                        tokens_used: aiResponse.tokens_used,
+                        generation_time_ms: aiResponse.generation_time_ms,
+                        intent_detected: aiAnalysis.intent?.intent,
+                        sentiment_analyzed: aiAnalysis.sentiment?.category,
+                        optimization_applied: aiResponse.optimization_applied,
+                        created_from_message: conversation.id
+                    }),
+                    tokens_used: aiResponse.tokens_used,
+                    response_time_ms: aiResponse.generation_time_ms,
+                    sentiment: 'neutral',
+                    confidence_score: aiResponse.confidence_score
+                }])
+                .select(`
+                    *,
+                    agents!inner(name, type),
+                    user:users(name, email)
+                `)
+                .single();
+
+            if (!aiError && aiConversation) {
+                memoryService.rememberRows(userId, 'agent_conversation', [aiConversation]);
+
+                aiGeneratedResponse = {
+                    ...aiConversation,
+                    metadata: JSON.parse(aiConversation.metadata || '{}'),
+                    ai_metadata: aiResponse.metadata
+                };
+
+                await supabase
+                    .from('agent_logs')
+                    .insert([{
+                        agent_id: agentId,
+                        user_id: userId,
+                        action: 'ai_response_generated',
+                        resource_type: 'conversation',
+                        resource_id: aiConversation.id,
+                        details: {
+                            model_used: aiResponse.model_used,
+                            confidence_score: aiResponse.confidence_score,
+                            tokens_used: aiResponse.tokens_used,
+                            generation_time_ms: aiResponse.generation_time_ms,
+                            intent_processed: aiAnalysis.intent?.intent,
+                            sentiment_processed: aiAnalysis.sentiment?.category
+                        },
+                        severity: 'info'
+                    }]);
+
+                logger.info(`AI response generated and saved for user ${userId}, agent ${agentId}`);
+            }
+        } catch (error) {
+            logger.error('AI response generation failed:', error);
+        }
+    }
+
+    const result = {
+        conversation: {
+            ...conversation,
+            metadata: enhancedMetadata,
+            session_id: sessionId
+        },
+        context_enhanced: enhance_context,
+        follow_up_recommended: enhancedMetadata.follow_up_required,
+        urgency_level: enhancedMetadata.urgency_level,
+        ai_analysis: sentiment_analysis || intent_detection ? {
+            intent: aiAnalysis.intent,
+            sentiment: aiAnalysis.sentiment,
+            entities: aiAnalysis.entities,
+            urgency: aiAnalysis.urgency,
+            complexity: aiAnalysis.complexity,
+            analysis_timestamp: new Date().toISOString()
+        } : null,
+        ai_response: aiGeneratedResponse ? {
+            conversation: aiGeneratedResponse,
+            metadata: {
+                model_used: aiResponse.model_used,
+                confidence_score: aiResponse.confidence_score,
+                tokens_used: aiResponse.tokens_used,
+                generation_time_ms: aiResponse.generation_time_ms,
+                optimization_applied: aiResponse.optimization_applied
+            }
+        } : null,
+        performance_metrics: {
+            total_processing_time_ms: Date.now() - startTime,
+            ai_features_used: {
+                sentiment_analysis,
+                intent_detection,
+                context_enhancement,
+                response_optimization,
+                ai_response_generation: generate_ai_response
+            }
+        }
+    };
+
+    if (sessionId) {
+        result.session_insights = await generateSessionInsights(sessionId, agentId);
+    }
+
+    return result;
+}
+
+// Search content and topic, with the matching snippets highlighted
+async function searchConversations(userId, agentId, options = {}) {
+    const { q, limit = 20, offset = 0, sort_by = 'created_at', sort_order = 'desc' } = options;
+
+    await getOwnedAgent(userId, agentId);
+
+    let query = filterConversations(supabase
+        .from('agent_conversations')
+        .select('*')
+        .eq('agent_id', agentId), options);
+
+    if (q) {
+        query = query.or(`content.ilike.%${q}%,metadata->>'topic_classification'.ilike.%${q}%`);
+    }
+
+    const { data, error } = await query
+        .order(sort_by, { ascending: sort_order === 'asc' })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+        logger.error('Search conversations error:', error);
+        throw new AgentRuntimeError('Failed to search conversations', 500);
+    }
+
+    const conversations = data || [];
+    return {
+        query: q,
+        conversations: conversations.map(conv => ({
+            ...conv,
+            search_highlights: q ? generateSearchHighlights(conv.content, q) : []
+        })),
+        count: conversations.length,
+        pagination: pagination(conversations, limit, offset)
+    };
+}
+
+// Analytics, quality metrics and (with include_trends) trends over a '1d' to '90d' period
+async function getConversationAnalytics(userId, agentId, { period = '7d', include_trends = true } = {}) {
+    await getOwnedAgent(userId, agentId);
+
+    const endDate = new Date();
+    const startDate = periodStart(period, endDate);
+
+    const { data, error } = await supabase
+        .from('agent_conversations')
+        .select('*')
+        .eq('agent_id', agentId)
+        .gte('created_at', startDate.toISOString())
+        .lte('created_at', endDate.toISOString())
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Get conversation analytics error:', error);
+        throw new AgentRuntimeError('Failed to fetch analytics', 500);
+    }
+
+    const conversations = data || [];
+    const analytics = generateConversationAnalytics(conversations);
+
+    if (include_trends === 'true') {
+        analytics.trends = await generateTrendAnalysis(conversations, period);
+    }
+
+    const scored = conversations.filter(c => c.confidence_score);
+    analytics.quality_metrics = {
+        avg_confidence_score: scored.reduce((sum, c) => sum + c.confidence_score / scored.length, 0),
+        response_time_distribution: calculateResponseTimeDistribution(conversations),
+        topic_distribution: analyzeTopicDistribution(conversations),
+        user_satisfaction_estimate: estimateUserSatisfaction(conversations)
+    };
+
+    return {
+        analytics,
+        period,
+        date_range: {
+            start: startDate.toISOString(),
+            end: endDate.toISOString()
+        }
+    };
+}
+
+// The latest threads, each with its messages when include_messages is set
+async function listConversationThreads(userId, agentId, { limit = 10, include_messages = false } = {}) {
+    await getOwnedAgent(userId, agentId);
+
+    // Enough recent messages to group into threads
+    const { data: conversations, error } = await supabase
+        .from('agent_conversations')
+        .select('*')
+        .eq('agent_id', agentId)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+    if (error) {
+        logger.error('Get conversation threads error:', error);
+        throw new AgentRuntimeError('Failed to fetch threads', 500);
+    }
+
+    const threads = groupConversationsByThread(conversations || []).slice(0, parseInt(limit));
+
+    if (include_messages === 'true') {
+        for (const thread of threads) {
+            const { data: threadMessages } = await supabase
+                .from('agent_conversations')
+                .select('*')
+                .eq('session_id', thread.thread_id)
+                .order('created_at', { ascending: true });
+
+            thread.messages = threadMessages || [];
+        }
+    }
+
+    return threads;
+}
+
+async function getConversationSession(userId, agentId, sessionId) {
+    await getOwnedAgent(userId, agentId);
+
+    const { data: messages, error } = await supabase
+        .from('agent_conversations')
+        .select('*')
+        .eq('agent_id', agentId)
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Get session conversations error:', error);
+        throw new AgentRuntimeError('Failed to fetch session', 500);
+    }
+    if (!messages || messages.length === 0) {
+        throw new AgentRuntimeError('Session not found', 404);
+    }
+
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+    return {
+        session_id: sessionId,
+        message_count: messages.length,
+        duration_ms: new Date(last.created_at) - new Date(first.created_at),
+        start_time: first.created_at,
+        end_time: last.created_at,
+        messages,
+        insights: await generateSessionInsights(sessionId, agentId)
+    };
+}
+
+// Delete, re-label the sentiment of, or archive several of the agent's conversations
+async function bulkUpdateConversations(userId, agentId, { operation, conversation_ids, data = {} } = {}) {
+    if (!operation || !Array.isArray(conversation_ids)) {
+        throw new AgentRuntimeError('Operation and conversation_ids array are required', 400);
+    }
+
+    await getOwnedAgent(userId, agentId);
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+        throw new AgentRuntimeError('Unsupported operation', 400);
+    }
+    if (operation === 'update_sentiment' && !data.sentiment) {
+        throw new AgentRuntimeError('Sentiment is required for update operation', 400);
+    }
+
+    let query = supabase.from('agent_conversations');
+    if (operation === 'delete') {
+        query = query.delete();
+    } else if (operation === 'update_sentiment') {
+        query = query.update({ sentiment: data.sentiment });
+    } else {
+        query = query.update({ message_type: 'archived' });
+    }
+
+    const { data: affected, error } = await query
+        .eq('agent_id', agentId)
+        .in('id', conversation_ids)
+        .select();
+
+    if (error) throw error;
+
+    const affectedCount = affected?.length || 0;
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: `conversation_bulk_${operation}`,
+            resource_type: 'conversation',
+            details: {
+                operation,
+                affected_count: affectedCount,
+                conversation_ids
+            },
+            severity: 'info'
+        }]);
+
+    return { affected_count: affectedCount };
+}
+
+module.exports = {
+    exportConversations,
+    listConversations,
+    addConversationMessage,
+    searchConversations,
+    getConversationAnalytics,
+    listConversationThreads,
+    getConversationSession,
+    bulkUpdateConversations
+};
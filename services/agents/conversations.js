@@ -0,0 +1,805 @@
+/**
+ * Agent Conversations
+ * Conversation context, analytics and AI response generation for agent chats
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { llm } = require('../llm');
+const { memoryService } = require('../memory');
+
+// Generate conversation summary using AI
+async function generateConversationSummary(conversations, agentId) {
+    try {
+        // Get agent details for context
+        const { data: agent } = await supabase
+            .from('agents')
+            .select('name, type, description')
+            .eq('id', agentId)
+            .single();
+
+        if (!agent) return null;
+
+        // Prepare conversation data for summarization
+        const conversationText = conversations
+            .slice(0, 20) // Use last 20 messages for summary
+            .map(conv => `${conv.message_type}: ${conv.content}`)
+            .join('\n');
+
+        // Simple summarization logic (can be enhanced with AI service)
+        const summary = {
+            total_messages: conversations.length,
+            user_messages: conversations.filter(c => c.message_type === 'user_message').length,
+            agent_responses: conversations.filter(c => c.message_type === 'agent_response').length,
+            avg_response_time: conversations
+                .filter(c => c.response_time_ms)
+                .reduce((sum, c, _, arr) => sum + (c.response_time_ms / arr.length), 0),
+            sentiment_distribution: {
+                positive: conversations.filter(c => c.sentiment === 'positive').length,
+                negative: conversations.filter(c => c.sentiment === 'negative').length,
+                neutral: conversations.filter(c => c.sentiment === 'neutral').length
+            },
+            topics: extractTopics(conversationText),
+            last_activity: conversations[0]?.created_at,
+            confidence_avg: conversations
+                .filter(c => c.confidence_score)
+                .reduce((sum, c, _, arr) => sum + (c.confidence_score / arr.length), 0)
+        };
+
+        return summary;
+    } catch (error) {
+        logger.error('Conversation summary generation error:', error);
+        return null;
+    }
+}
+
+// Extract topics from conversation text (simple keyword extraction)
+function extractTopics(text) {
+    const keywords = [
+        'task', 'project', 'email', 'schedule', 'meeting', 'deadline', 'priority',
+        'urgent', 'help', 'question', 'information', 'status', 'update', 'create',
+        'delete', 'modify', 'search', 'analyze', 'process', 'complete'
+    ];
+
+    const textLower = text.toLowerCase();
+    return keywords.filter(keyword => textLower.includes(keyword)).slice(0, 5);
+}
+
+// Create conversation thread grouping
+function groupConversationsByThread(conversations) {
+    const threads = new Map();
+
+    conversations.forEach(conv => {
+        const threadKey = conv.session_id || `thread_${Math.floor(new Date(conv.created_at).getTime() / (1000 * 60 * 5))}`; // 5-minute windows
+
+        if (!threads.has(threadKey)) {
+            threads.set(threadKey, {
+                thread_id: threadKey,
+                session_id: conv.session_id,
+                messages: [],
+                start_time: conv.created_at,
+                end_time: conv.created_at,
+                message_count: 0,
+                participants: new Set([conv.user_id])
+            });
+        }
+
+        const thread = threads.get(threadKey);
+        thread.messages.push(conv);
+        thread.end_time = conv.created_at;
+        thread.message_count++;
+        thread.participants.add(conv.user_id);
+    });
+
+    return Array.from(threads.values()).map(thread => ({
+        ...thread,
+        participants: Array.from(thread.participants),
+        duration_ms: new Date(thread.end_time) - new Date(thread.start_time)
+    }));
+}
+
+// Generate conversation analytics
+function generateConversationAnalytics(conversations, timeRange = 'all') {
+    const analytics = {
+        total_conversations: conversations.length,
+        message_types: {},
+        response_times: [],
+        sentiment_trends: {},
+        peak_hours: {},
+        tokens_used: 0,
+        avg_confidence: 0,
+        conversation_lengths: []
+    };
+
+    conversations.forEach(conv => {
+        // Message types
+        analytics.message_types[conv.message_type] = (analytics.message_types[conv.message_type] || 0) + 1;
+
+        // Response times
+        if (conv.response_time_ms) {
+            analytics.response_times.push(conv.response_time_ms);
+        }
+
+        // Sentiment trends
+        if (conv.sentiment) {
+            analytics.sentiment_trends[conv.sentiment] = (analytics.sentiment_trends[conv.sentiment] || 0) + 1;
+        }
+
+        // Peak hours
+        const hour = new Date(conv.created_at).getHours();
+        analytics.peak_hours[hour] = (analytics.peak_hours[hour] || 0) + 1;
+
+        // Tokens and confidence
+        if (conv.tokens_used) {
+            analytics.tokens_used += conv.tokens_used;
+        }
+
+        if (conv.confidence_score) {
+            analytics.avg_confidence += conv.confidence_score;
+        }
+    });
+
+    // Calculate averages
+    if (analytics.response_times.length > 0) {
+        analytics.avg_response_time = analytics.response_times.reduce((a, b) => a + b, 0) / analytics.response_times.length;
+    }
+
+    if (conversations.length > 0) {
+        analytics.avg_confidence /= conversations.length;
+    }
+
+    return analytics;
+}
+
+// Enhanced context management for conversation messages
+async function enhanceConversationContext(agentId, userId, messageContent, sessionId = null) {
+    try {
+        // Get recent conversation history for context
+        const { data: recentConversations } = await supabase
+            .from('agent_conversations')
+            .select('*')
+            .eq('agent_id', agentId)
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(10);
+
+        // Get agent profile for personality context
+        const { data: agentProfile } = await supabase
+            .from('agent_profiles')
+            .select('*')
+            .eq('agent_id', agentId)
+            .single();
+
+        // Generate enhanced metadata
+        const enhancedMetadata = {
+            context_window: recentConversations?.length || 0,
+            conversation_streak: calculateConversationStreak(recentConversations),
+            user_patterns: extractUserPatterns(recentConversations),
+            agent_personality: agentProfile?.personality || 'professional',
+            timezone: agentProfile?.timezone || 'UTC',
+            expertise_areas: agentProfile?.expertise_areas || [],
+            working_hours: agentProfile?.working_hours || {},
+            session_context: sessionId ? await getSessionContext(sessionId) : null,
+            message_complexity: analyzeMessageComplexity(messageContent),
+            topic_classification: classifyMessageTopic(messageContent),
+            urgency_level: detectUrgencyLevel(messageContent),
+            follow_up_required: detectFollowUpNeeds(messageContent, recentConversations)
+        };
+
+        return enhancedMetadata;
+    } catch (error) {
+        logger.error('Context enhancement error:', error);
+        return {};
+    }
+}
+
+// Helper functions for context enhancement
+function calculateConversationStreak(conversations) {
+    if (!conversations || conversations.length === 0) return 0;
+
+    let streak = 0;
+    const now = new Date();
+
+    for (const conv of conversations) {
+        const convDate = new Date(conv.created_at);
+        const daysDiff = Math.floor((now - convDate) / (1000 * 60 * 60 * 24));
+
+        if (daysDiff <= streak) {
+            streak++;
+        } else {
+            break;
+        }
+    }
+
+    return streak;
+}
+
+function extractUserPatterns(conversations) {
+    if (!conversations || conversations.length === 0) return {};
+
+    const patterns = {
+        preferred_times: {},
+        common_topics: {},
+        interaction_frequency: conversations.length,
+        avg_message_length: 0
+    };
+
+    conversations.forEach(conv => {
+        // Preferred times
+        const hour = new Date(conv.created_at).getHours();
+        patterns.preferred_times[hour] = (patterns.preferred_times[hour] || 0) + 1;
+
+        // Message length
+        patterns.avg_message_length += conv.content.length;
+
+        // Common topics (simple keyword extraction)
+        const keywords = conv.content.toLowerCase().match(/\b\w{4,}\b/g) || [];
+        keywords.forEach(keyword => {
+            patterns.common_topics[keyword] = (patterns.common_topics[keyword] || 0) + 1;
+        });
+    });
+
+    patterns.avg_message_length /= conversations.length;
+
+    return patterns;
+}
+
+async function getSessionContext(sessionId) {
+    if (!sessionId) return null;
+
+    try {
+        const { data: sessionConversations } = await supabase
+            .from('agent_conversations')
+            .select('*')
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: true });
+
+        if (!sessionConversations || sessionConversations.length === 0) return null;
+
+        return {
+            total_messages: sessionConversations.length,
+            duration_ms: new Date(sessionConversations[sessionConversations.length - 1].created_at) - new Date(sessionConversations[0].created_at),
+            topics_discussed: extractTopics(sessionConversations.map(c => c.content).join(' ')),
+            resolution_status: detectResolutionStatus(sessionConversations)
+        };
+    } catch (error) {
+        logger.error('Session context error:', error);
+        return null;
+    }
+}
+
+function analyzeMessageComplexity(content) {
+    const words = content.split(/\s+/).length;
+    const sentences = content.split(/[.!?]+/).length;
+    const avgWordLength = content.replace(/\s+/g, '').length / words;
+
+    if (words < 10) return 'simple';
+    if (words < 25) return 'moderate';
+    if (words < 50) return 'complex';
+    return 'very_complex';
+}
+
+function classifyMessageTopic(content) {
+    const contentLower = content.toLowerCase();
+
+    const topics = {
+        task_management: /\b(task|todo|complete|done|schedule|deadline)\b/i,
+        email_processing: /\b(email|mail|gmail|inbox|message|send)\b/i,
+        information_request: /\b(what|how|when|where|why|who|find|search|lookup)\b/i,
+        project_planning: /\b(project|plan|goal|objective|milestone)\b/i,
+        technical_help: /\b(error|bug|fix|problem|issue|help|support)\b/i,
+        administrative: /\b(update|change|modify|create|delete|settings)\b/i
+    };
+
+    for (const [topic, regex] of Object.entries(topics)) {
+        if (regex.test(contentLower)) {
+            return topic;
+        }
+    }
+
+    return 'general';
+}
+
+function detectUrgencyLevel(content) {
+    const urgentKeywords = /\b(urgent|emergency|asap|immediately|critical|rush)\b/i;
+    const highPriorityKeywords = /\b(important|priority|soon|quick|fast)\b/i;
+
+    if (urgentKeywords.test(content)) return 'urgent';
+    if (highPriorityKeywords.test(content)) return 'high';
+    return 'normal';
+}
+
+function detectFollowUpNeeds(currentMessage, recentConversations) {
+    const contentLower = currentMessage.toLowerCase();
+
+    // Check for questions that might need follow-up
+    const questionWords = /\b(how|what|when|where|why|who|can you|will you|do you)\b/i;
+    const followUpIndicators = /\b(remind|follow up|check|update|later|tomorrow)\b/i;
+
+    if (questionWords.test(contentLower) || followUpIndicators.test(contentLower)) {
+        return true;
+    }
+
+    // Check if this continues a previous conversation thread
+    if (recentConversations && recentConversations.length > 0) {
+        const lastMessage = recentConversations[0];
+        const timeDiff = new Date() - new Date(lastMessage.created_at);
+        const hoursSinceLastMessage = timeDiff / (1000 * 60 * 60);
+
+        if (hoursSinceLastMessage < 24) {
+            return true; // Recent conversation, likely needs follow-up
+        }
+    }
+
+    return false;
+}
+
+function detectResolutionStatus(conversations) {
+    if (!conversations || conversations.length === 0) return 'unknown';
+
+    const lastMessage = conversations[conversations.length - 1];
+    const contentLower = lastMessage.content.toLowerCase();
+
+    const resolvedIndicators = /\b(done|completed|solved|finished|resolved|success|thank you|thanks)\b/i;
+    const unresolvedIndicators = /\b(pending|waiting|stuck|problem|issue|help|need)\b/i;
+
+    if (resolvedIndicators.test(contentLower)) return 'resolved';
+    if (unresolvedIndicators.test(contentLower)) return 'unresolved';
+    return 'in_progress';
+}
+
+// Generate AI-powered response based on user input and context
+async function generateAIResponse(userMessage, context) {
+    const { agent, intent, sentiment, entities, conversation_context, user_id, session_id } = context;
+
+    // Older conversations, chats, notes and emails relevant to this message; the recent
+    // history is already in the prompt
+    const memories = user_id ? await memoryService.recall(user_id, userMessage, {
+        excludeSourceIds: (conversation_context || []).map(msg => msg.id).filter(Boolean)
+    }) : [];
+
+    // Build comprehensive prompt for AI model
+    const prompt = buildResponsePrompt(userMessage, {
+        agent,
+        intent,
+        sentiment,
+        entities,
+        conversation_context,
+        memories,
+        current_time: new Date().toISOString()
+    });
+
+    // Agents with a model outside the catalog use the registry default
+    const response = await llm.complete({
+        model: llm.getModel(agent.model) ? agent.model : null,
+        prompt,
+        temperature: 0.7,
+        max_tokens: 500
+    });
+
+    return {
+        content: response.content.trim(),
+        // Truncated replies are less trustworthy than ones the model finished
+        confidence_score: response.finish_reason === 'stop' ? 0.9 : 0.6,
+        tokens_used: response.usage?.total_tokens || 0,
+        model_used: response.model,
+        generation_time_ms: response.latency_ms,
+        metadata: {
+            intent_detected: intent?.intent,
+            sentiment_analyzed: sentiment?.category,
+            entities_extracted: entities,
+            memories_used: memoryService.describe(memories),
+            prompt_used: prompt.substring(0, 200) + '...'
+        }
+    };
+}
+
+// Build intelligent prompt for AI response generation
+function buildResponsePrompt(userMessage, context) {
+    const { agent, intent, sentiment, entities, conversation_context, memories } = context;
+
+    let prompt = `You are ${agent.name}, an AI assistant specialized in ${agent.type}.
+
+User Message: "${userMessage}"
+
+Context Analysis:
+- Detected Intent: ${intent?.intent || 'unknown'} (confidence: ${intent?.confidence || 0})
+- Sentiment: ${sentiment?.category || 'neutral'} (score: ${sentiment?.score || 0})
+- Urgency Level: ${entities?.urgency?.level || 1}/5
+- Message Complexity: ${entities?.complexity || 1}/5
+
+`;
+
+    // Add conversation history for context
+    if (conversation_context && conversation_context.length > 0) {
+        prompt += '\nRecent Conversation History:\n';
+        conversation_context.slice(-5).forEach((msg, idx) => {
+            prompt += `${idx + 1}. ${msg.message_type}: ${msg.content.substring(0, 100)}${msg.content.length > 100 ? '...' : ''}\n`;
+        });
+    }
+
+    if (memories && memories.length > 0) {
+        prompt += `\nRelevant memories from earlier conversations, notes and emails:\n${memoryService.formatForPrompt(memories)}\n`;
+    }
+
+    // Add entity-specific guidance
+    if (entities?.dates?.length > 0) {
+        prompt += `\nMentioned dates: ${entities.dates.join(', ')}\n`;
+    }
+    if (entities?.times?.length > 0) {
+        prompt += `\nMentioned times: ${entities.times.join(', ')}\n`;
+    }
+    if (entities?.actions?.length > 0) {
+        prompt += `\nRequested actions: ${entities.actions.join(', ')}\n`;
+    }
+
+    prompt += `
+
+Instructions:
+- Respond as ${agent.name} with a ${agent.agent_profiles?.personality || 'professional'} tone
+- Address the user's intent: ${intent?.intent || 'general inquiry'}
+- Consider sentiment: ${sentiment?.category || 'neutral'}
+- Be helpful, accurate, and contextually appropriate
+- Keep responses concise but informative
+- If appropriate, suggest next steps or ask clarifying questions
+
+Response:`;
+
+    return prompt;
+}
+
+// Optimize response based on context and user sentiment
+async function optimizeResponse(aiResponse, context) {
+    const { user_sentiment, conversation_context, agent_personality } = context;
+
+    let optimizedContent = aiResponse.content;
+
+    // Adjust tone based on user sentiment
+    if (user_sentiment?.category === 'negative' && user_sentiment?.score < -0.3) {
+        // User seems frustrated - be more empathetic
+        if (!optimizedContent.includes('sorry') && !optimizedContent.includes('apologize')) {
+            optimizedContent = "I'm sorry to hear you're experiencing issues. " + optimizedContent;
+        }
+    } else if (user_sentiment?.category === 'positive') {
+        // User is positive - maintain enthusiasm
+        if (optimizedContent.includes('help') && !optimizedContent.includes('glad')) {
+            optimizedContent = optimizedContent.replace('help', 'glad to help');
+        }
+    }
+
+    // Adjust based on agent personality
+    switch (agent_personality) {
+        case 'casual':
+            optimizedContent = optimizedContent.replace(/I will/g, "I'll").replace(/I am/g, "I'm");
+            break;
+        case 'formal':
+            optimizedContent = optimizedContent.replace(/I'll/g, "I will").replace(/I'm/g, "I am");
+            break;
+    }
+
+    // Add contextual follow-up if appropriate
+    if (conversation_context && conversation_context.length > 3) {
+        const lastUserMessage = conversation_context
+            .filter(msg => msg.message_type === 'user_message')
+            .slice(-1)[0];
+
+        if (lastUserMessage && lastUserMessage.content.includes('?')) {
+            // User asked a question - ensure response is comprehensive
+            if (!optimizedContent.includes('?') && optimizedContent.length < 100) {
+                optimizedContent += " Is there anything else you'd like me to clarify?";
+            }
+        }
+    }
+
+    return {
+        ...aiResponse,
+        content: optimizedContent,
+        optimization_applied: {
+            sentiment_adjustment: user_sentiment?.category === 'negative',
+            personality_adjustment: agent_personality !== 'professional',
+            context_followup: conversation_context?.length > 3
+        }
+    };
+}
+
+// Generate a unique session ID for conversations
+function generateSessionId(agentId, userId) {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substr(2, 9);
+    return `session_${agentId}_${userId}_${timestamp}_${random}`;
+}
+
+// Create follow-up notifications for important conversations
+async function createFollowUpNotification(agentId, userId, conversationId, metadata) {
+    try {
+        await supabase
+            .from('notifications')
+            .insert([{
+                user_id: userId,
+                type: 'conversation_follow_up',
+                title: 'Conversation Follow-up Needed',
+                message: `A conversation with your agent requires follow-up attention.`,
+                priority: metadata.urgency_level === 'urgent' ? 1 : 2,
+                action_required: true,
+                created_at: new Date().toISOString()
+            }]);
+    } catch (error) {
+        logger.error('Follow-up notification creation error:', error);
+    }
+}
+
+// Update agent status for urgent messages
+async function updateAgentStatusForUrgentMessage(agentId) {
+    try {
+        await supabase
+            .from('agent_status')
+            .upsert({
+                agent_id: agentId,
+                status: 'busy',
+                status_message: 'Handling urgent conversation',
+                last_activity: new Date().toISOString()
+            });
+    } catch (error) {
+        logger.error('Agent status update error:', error);
+    }
+}
+
+// Generate insights for conversation sessions
+async function generateSessionInsights(sessionId, agentId) {
+    try {
+        const { data: sessionConversations } = await supabase
+            .from('agent_conversations')
+            .select('*')
+            .eq('session_id', sessionId)
+            .eq('agent_id', agentId)
+            .order('created_at', { ascending: true });
+
+        if (!sessionConversations || sessionConversations.length === 0) return null;
+
+        const insights = {
+            session_duration_ms: new Date(sessionConversations[sessionConversations.length - 1].created_at) - new Date(sessionConversations[0].created_at),
+            message_count: sessionConversations.length,
+            user_messages: sessionConversations.filter(c => c.message_type === 'user_message').length,
+            agent_responses: sessionConversations.filter(c => c.message_type === 'agent_response').length,
+            avg_response_time: calculateAverageResponseTime(sessionConversations),
+            topics_covered: extractTopics(sessionConversations.map(c => c.content).join(' ')),
+            sentiment_trend: analyzeSentimentTrend(sessionConversations),
+            completion_status: detectResolutionStatus(sessionConversations)
+        };
+
+        return insights;
+    } catch (error) {
+        logger.error('Session insights generation error:', error);
+        return null;
+    }
+}
+
+// Calculate average response time for a session
+function calculateAverageResponseTime(conversations) {
+    const responseTimes = conversations
+        .filter(c => c.response_time_ms && c.response_time_ms > 0)
+        .map(c => c.response_time_ms);
+
+    if (responseTimes.length === 0) return 0;
+
+    return responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length;
+}
+
+// Analyze sentiment trend over a conversation session
+function analyzeSentimentTrend(conversations) {
+    const sentiments = conversations
+        .filter(c => c.sentiment)
+        .map(c => c.sentiment);
+
+    if (sentiments.length === 0) return 'neutral';
+
+    const sentimentCounts = {
+        positive: sentiments.filter(s => s === 'positive').length,
+        negative: sentiments.filter(s => s === 'negative').length,
+        neutral: sentiments.filter(s => s === 'neutral').length
+    };
+
+    // Return the most common sentiment
+    const maxSentiment = Object.entries(sentimentCounts)
+        .reduce((a, b) => sentimentCounts[a[0]] > sentimentCounts[b[0]] ? a : b)[0];
+
+    return maxSentiment;
+}
+
+// Generate search highlights for content
+function generateSearchHighlights(content, query) {
+    const highlights = [];
+    const contentLower = content.toLowerCase();
+    const queryLower = query.toLowerCase();
+    const words = queryLower.split(/\s+/);
+
+    words.forEach(word => {
+        let index = contentLower.indexOf(word);
+        while (index !== -1) {
+            highlights.push({
+                word,
+                position: index,
+                length: word.length
+            });
+            index = contentLower.indexOf(word, index + 1);
+        }
+    });
+
+    return highlights.slice(0, 10); // Limit highlights
+}
+
+// Generate trend analysis for conversations
+async function generateTrendAnalysis(conversations, period) {
+    const trends = {
+        message_volume: [],
+        sentiment_trends: [],
+        response_time_trends: [],
+        topic_trends: []
+    };
+
+    if (!conversations || conversations.length === 0) return trends;
+
+    // Group conversations by time periods
+    const timeGroups = groupByTimePeriod(conversations, period);
+
+    Object.entries(timeGroups).forEach(([period, messages]) => {
+        trends.message_volume.push({
+            period,
+            count: messages.length
+        });
+
+        // Sentiment trends
+        const sentiments = messages.filter(m => m.sentiment);
+        if (sentiments.length > 0) {
+            const sentimentCounts = {
+                positive: sentiments.filter(m => m.sentiment === 'positive').length,
+                negative: sentiments.filter(m => m.sentiment === 'negative').length,
+                neutral: sentiments.filter(m => m.sentiment === 'neutral').length
+            };
+
+            trends.sentiment_trends.push({
+                period,
+                ...sentimentCounts
+            });
+        }
+
+        // Response time trends
+        const avgResponseTime = calculateAverageResponseTime(messages);
+        trends.response_time_trends.push({
+            period,
+            avg_response_time: avgResponseTime
+        });
+    });
+
+    return trends;
+}
+
+// Group conversations by time period
+function groupByTimePeriod(conversations, period) {
+    const groups = {};
+
+    conversations.forEach(conv => {
+        const date = new Date(conv.created_at);
+        let key;
+
+        switch (period) {
+            case '1d':
+                key = date.toISOString().split('T')[0]; // YYYY-MM-DD
+                break;
+            case '7d':
+                const weekStart = new Date(date);
+                weekStart.setDate(date.getDate() - date.getDay());
+                key = weekStart.toISOString().split('T')[0];
+                break;
+            case '30d':
+                key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                break;
+            default:
+                key = date.toISOString().split('T')[0];
+        }
+
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(conv);
+    });
+
+    return groups;
+}
+
+// Calculate response time distribution
+function calculateResponseTimeDistribution(conversations) {
+    const responseTimes = conversations
+        .filter(c => c.response_time_ms && c.response_time_ms > 0)
+        .map(c => c.response_time_ms)
+        .sort((a, b) => a - b);
+
+    if (responseTimes.length === 0) return null;
+
+    return {
+        min: Math.min(...responseTimes),
+        max: Math.max(...responseTimes),
+        median: responseTimes[Math.floor(responseTimes.length / 2)],
+        p95: responseTimes[Math.floor(responseTimes.length * 0.95)],
+        count: responseTimes.length
+    };
+}
+
+// Analyze topic distribution
+function analyzeTopicDistribution(conversations) {
+    const topics = {};
+
+    conversations.forEach(conv => {
+        const topic = classifyMessageTopic(conv.content);
+        topics[topic] = (topics[topic] || 0) + 1;
+    });
+
+    return Object.entries(topics)
+        .map(([topic, count]) => ({ topic, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+// Estimate user satisfaction based on conversation patterns
+function estimateUserSatisfaction(conversations) {
+    if (!conversations || conversations.length === 0) return 0;
+
+    let satisfactionScore = 0.5; // Base score
+
+    // Factors that increase satisfaction
+    const positiveFactors = {
+        quick_responses: conversations.filter(c => c.response_time_ms && c.response_time_ms < 5000).length / conversations.length,
+        positive_sentiment: conversations.filter(c => c.sentiment === 'positive').length / conversations.length,
+        resolved_conversations: conversations.filter(c => detectResolutionStatus([c]) === 'resolved').length / conversations.length,
+        high_confidence: conversations.filter(c => c.confidence_score && c.confidence_score > 0.8).length / conversations.length
+    };
+
+    // Factors that decrease satisfaction
+    const negativeFactors = {
+        slow_responses: conversations.filter(c => c.response_time_ms && c.response_time_ms > 30000).length / conversations.length,
+        negative_sentiment: conversations.filter(c => c.sentiment === 'negative').length / conversations.length,
+        low_confidence: conversations.filter(c => c.confidence_score && c.confidence_score < 0.3).length / conversations.length
+    };
+
+    // Calculate weighted score
+    satisfactionScore +=
+        positiveFactors.quick_responses * 0.2 +
+        positiveFactors.positive_sentiment * 0.25 +
+        positiveFactors.resolved_conversations * 0.3 +
+        positiveFactors.high_confidence * 0.15;
+
+    satisfactionScore -=
+        negativeFactors.slow_responses * 0.15 +
+        negativeFactors.negative_sentiment * 0.2 +
+        negativeFactors.low_confidence * 0.1;
+
+    return Math.max(0, Math.min(1, satisfactionScore));
+}
+
+module.exports = {
+    generateConversationSummary,
+    extractTopics,
+    groupConversationsByThread,
+    generateConversationAnalytics,
+    enhanceConversationContext,
+    calculateConversationStreak,
+    extractUserPatterns,
+    getSessionContext,
+    analyzeMessageComplexity,
+    classifyMessageTopic,
+    detectUrgencyLevel,
+    detectFollowUpNeeds,
+    detectResolutionStatus,
+    generateAIResponse,
+    buildResponsePrompt,
+    optimizeResponse,
+    generateSessionId,
+    createFollowUpNotification,
+    updateAgentStatusForUrgentMessage,
+    generateSessionInsights,
+    calculateAverageResponseTime,
+    analyzeSentimentTrend,
+    generateSearchHighlights,
+    generateTrendAnalysis,
+    groupByTimePeriod,
+    calculateResponseTimeDistribution,
+    analyzeTopicDistribution,
+    estimateUserSatisfaction
+};
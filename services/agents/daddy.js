@@ -0,0 +1,231 @@
+/**
+ * Daddy Agent Registry
+ * Per-user DaddyAgent instances backed by the global preference learner, and the
+ * operations the API offers on them: monitoring, suggestions, feedback, analytics and
+ * configuration. Monitored tasks, escalation state and metrics live in the database and
+ * any instance may change them, so the agent reloads them every time it is fetched.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { GlobalPreferenceLearner } = require('../PreferenceLearner');
+const { DaddyAgent } = require('../DaddyAgent');
+const { defineRecurringJob } = require('../jobScheduler');
+
+// Monitored tasks checked per run of the sweep
+const CHECK_BATCH_SIZE = 100;
+
+// Initialize preference learner and daddy agents
+const preferenceLearner = new GlobalPreferenceLearner();
+const activeDaddyAgents = new Map(); // userId -> DaddyAgent instance
+
+// Get or create daddy agent for user, with its persisted state freshly loaded
+async function getDaddyAgent(userId) {
+    if (!activeDaddyAgents.has(userId)) {
+        const preferences = await preferenceLearner.getUserPreferences(userId);
+        const patterns = await preferenceLearner.analyzePatterns(userId);
+        const recommendations = await preferenceLearner.getDaddyAgentRecommendations(userId);
+
+        const daddyAgent = new DaddyAgent({
+            userId,
+            preferences,
+            patterns,
+            ...recommendations
+        });
+
+        await daddyAgent.initialize();
+        activeDaddyAgents.set(userId, daddyAgent);
+    }
+
+    const daddyAgent = activeDaddyAgents.get(userId);
+    await daddyAgent.load();
+    return daddyAgent;
+}
+
+function describeSettings(daddyAgent) {
+    return {
+        monitoring_level: daddyAgent.monitoringLevel,
+        escalation_threshold: daddyAgent.escalationThreshold,
+        proactive_suggestions: daddyAgent.proactiveSuggestions,
+        personalized_reminders: daddyAgent.personalizedReminders,
+        task_breakdown: daddyAgent.taskBreakdown,
+        communication_style: daddyAgent.communicationStyle
+    };
+}
+
+// Settings, metrics and monitored tasks of the user's DaddyAgent
+async function getDaddyStatus(userId) {
+    const daddyAgent = await getDaddyAgent(userId);
+
+    return {
+        active: true,
+        ...describeSettings(daddyAgent),
+        metrics: daddyAgent.getMetrics(),
+        monitored_tasks: daddyAgent.getMonitoredTasks()
+    };
+}
+
+// Start monitoring one of the user's tasks; customConfig is kept for later checks too
+async function startDaddyMonitoring(userId, taskId, customConfig = null) {
+    const { data: task } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('id', taskId)
+        .eq('user_id', userId)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (!task) {
+        throw new AgentRuntimeError('Task not found or access denied', 404);
+    }
+
+    const daddyAgent = await getDaddyAgent(userId);
+    if (customConfig) {
+        await daddyAgent.configure(customConfig);
+    }
+    await daddyAgent.startTaskMonitoring(taskId, task);
+
+    return {
+        level: daddyAgent.monitoringLevel,
+        escalation_threshold: daddyAgent.escalationThreshold,
+        proactive_suggestions: daddyAgent.proactiveSuggestions
+    };
+}
+
+async function stopDaddyMonitoring(userId, taskId) {
+    const daddyAgent = await getDaddyAgent(userId);
+    await daddyAgent.stopTaskMonitoring(taskId);
+}
+
+// Proactive suggestions from the user's patterns, optionally for one category
+async function getDaddySuggestions(userId, { limit = 10, category } = {}) {
+    const patterns = await preferenceLearner.analyzePatterns(userId);
+    const suggestions = await preferenceLearner.generateProactiveSuggestions(userId, patterns);
+
+    const filtered = (category ? suggestions.filter(s => s.category === category) : suggestions)
+        .slice(0, parseInt(limit));
+
+    return {
+        suggestions: filtered,
+        total_available: suggestions.length,
+        filtered_count: filtered.length,
+        categories: [...new Set(suggestions.map(s => s.category))]
+    };
+}
+
+// Feedback on a suggestion, or on a reminder's tone and timing by its reminder_id
+async function recordDaddyFeedback(userId, { suggestion_id, reminder_id, feedback } = {}) {
+    if (!(suggestion_id || reminder_id) || !feedback) {
+        throw new AgentRuntimeError('suggestion_id (or reminder_id) and feedback are required', 400);
+    }
+
+    const daddyAgent = await getDaddyAgent(userId);
+    await daddyAgent.processFeedback(suggestion_id || reminder_id, feedback);
+}
+
+// Current metrics, strategy policies and how the user's agents acted over the last days
+async function getDaddyAnalytics(userId, { days = 30 } = {}) {
+    const daddyAgent = await getDaddyAgent(userId);
+
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
+
+    // The DaddyAgent itself is not a row in agents, so only real agents' logs count
+    const { data: agents } = await supabase
+        .from('agents')
+        .select('id')
+        .eq('user_id', userId);
+
+    let logs = [];
+    if (agents && agents.length > 0) {
+        const { data: agentLogs, error } = await supabase
+            .from('agent_logs')
+            .select('*')
+            .eq('user_id', userId)
+            .in('agent_id', agents.map(a => a.id))
+            .gte('created_at', cutoffDate.toISOString())
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        logs = agentLogs || [];
+    }
+
+    const escalations = logs.filter(log => log.action === 'task_escalation_triggered');
+    const suggestions = logs.filter(log => log.action.includes('suggestion'));
+
+    return {
+        current_metrics: daddyAgent.getMetrics(),
+        historical_effectiveness: {
+            escalation_rate: logs.length > 0 ? escalations.length / logs.length : 0,
+            suggestion_rate: logs.length > 0 ? suggestions.length / logs.length : 0,
+            avg_response_time: logs
+                .filter(log => log.duration_ms)
+                .reduce((sum, log) => sum + log.duration_ms, 0) / logs.length || 0,
+            total_actions: logs.length,
+            period_days: parseInt(days)
+        },
+        strategy_policies: daddyAgent.getStrategyPolicies(),
+        recent_activity: logs.slice(0, 20)
+    };
+}
+
+// Change the DaddyAgent's settings; they are saved, so other instances load them on next use
+async function updateDaddyConfig(userId, updates = {}) {
+    const daddyAgent = await getDaddyAgent(userId);
+    const applied = await daddyAgent.configure(updates);
+    logger.info(`Daddy agent configuration updated for user ${userId}:`, applied);
+
+    return describeSettings(daddyAgent);
+}
+
+/**
+ * Run the progress checks that are due, user by user. Resolves to the number of tasks
+ * checked.
+ */
+async function checkDueMonitoredTasks(db = supabase, now = new Date()) {
+    const { data: due, error } = await db
+        .from('daddy_monitored_tasks')
+        .select('user_id, task_id')
+        .eq('status', 'active')
+        .lte('next_check_at', now.toISOString())
+        .order('next_check_at', { ascending: true })
+        .limit(CHECK_BATCH_SIZE);
+
+    if (error) throw new Error(`Failed to load due monitored tasks: ${error.message}`);
+
+    const byUser = new Map();
+    for (const { user_id: userId, task_id: taskId } of due) {
+        byUser.set(userId, [...(byUser.get(userId) || []), taskId]);
+    }
+
+    let checked = 0;
+    for (const [userId, taskIds] of byUser) {
+        try {
+            const daddyAgent = await getDaddyAgent(userId);
+            for (const taskId of taskIds) {
+                await daddyAgent.runScheduledCheck(taskId);
+                checked++;
+            }
+        } catch (checkError) {
+            logger.error(`DaddyAgent checks failed for user ${userId}:`, checkError);
+        }
+    }
+    return checked;
+}
+
+// Sweep for due task checks every minute
+defineRecurringJob('daddy.check_tasks', '* * * * *', () => checkDueMonitoredTasks());
+
+module.exports = {
+    getDaddyAgent,
+    getDaddyStatus,
+    startDaddyMonitoring,
+    stopDaddyMonitoring,
+    getDaddySuggestions,
+    recordDaddyFeedback,
+    getDaddyAnalytics,
+    updateDaddyConfig,
+    checkDueMonitoredTasks,
+    preferenceLearner
+};
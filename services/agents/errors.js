@@ -0,0 +1,15 @@
+/**
+ * Agent Runtime Errors
+ * Errors raised by the agent runtime API, carrying the HTTP status the routes should respond with
+ */
+
+class AgentRuntimeError extends Error {
+    constructor(message, status = 500, details = null) {
+        super(message);
+        this.name = 'AgentRuntimeError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = { AgentRuntimeError };
@@ -0,0 +1,619 @@
+/**
+ * DaddyAgent Escalations
+ * How DaddyAgent escalates a task that needs attention: the user's ladder of steps (an
+ * in-app notification, an email digest, a WhatsApp message, a repeat at a higher
+ * priority), each taken after a delay and only when its conditions hold. Quiet hours
+ * hold the steps and reminders that leave the app; do-not-disturb windows hold all of
+ * them. Both follow users.timezone. Every step taken is recorded in
+ * daddy_escalation_events.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { asInstant } = require('../../utils/time');
+const { AgentRuntimeError } = require('./errors');
+const { WEEKDAYS, TIME_PATTERN, minutesOf } = require('./approvalPolicies');
+const { isValidTimeZone, toLocal, fromLocal } = require('../rrule');
+const { defineRecurringJob } = require('../jobScheduler');
+const { getMessageRouter } = require('../sharedMessageRouter');
+const { findReplyChannel } = require('./approvalReplies');
+
+const LADDER_CHANNELS = ['in_app', 'email_digest', 'whatsapp', 'repeat'];
+const STEP_CONDITIONS = ['max_priority', 'overdue_only'];
+const SETTINGS_KEYS = ['ladder', 'quiet_hours', 'do_not_disturb'];
+
+// Steps that reach the user outside the app; quiet hours hold these
+const OUTBOUND_CHANNELS = ['email_digest', 'whatsapp'];
+
+// Tasks in these states need no more escalation
+const CLOSED_TASK_STATUSES = ['completed', 'cancelled'];
+
+const DEFAULT_ESCALATION_SETTINGS = {
+    ladder: [
+        { channel: 'in_app', delay_minutes: 0, conditions: {} },
+        { channel: 'email_digest', delay_minutes: 60, conditions: {} },
+        { channel: 'whatsapp', delay_minutes: 180, conditions: { max_priority: 2 } },
+        { channel: 'repeat', delay_minutes: 24 * 60, conditions: {}, priority_boost: 1 }
+    ],
+    quiet_hours: null,
+    do_not_disturb: []
+};
+
+const MAX_LADDER_STEPS = 10;
+const MAX_DELAY_MINUTES = 7 * 24 * 60;
+const MAX_CHAINED_WINDOWS = 10;
+const DIGEST_BATCH_SIZE = 200;
+
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// "2026-12-24T18:00" is wall-clock time in the user's timezone; anything with a zone is an instant
+const windowInstant = (value, timeZone) => LOCAL_DATE_TIME.test(value)
+    ? fromLocal(new Date(`${value}Z`), timeZone)
+    : new Date(value);
+
+// --- Settings ---
+
+function validateStep(step, label, errors) {
+    if (!isObject(step)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+
+    const { channel, delay_minutes: delay, conditions, priority_boost: boost } = step;
+
+    if (!LADDER_CHANNELS.includes(channel)) {
+        errors.push(`${label} channel must be one of ${LADDER_CHANNELS.join(', ')}`);
+    }
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DELAY_MINUTES) {
+        errors.push(`${label} delay_minutes must be a whole number from 0 to ${MAX_DELAY_MINUTES}`);
+    }
+
+    if (conditions !== undefined) {
+        if (!isObject(conditions)) {
+            errors.push(`${label} conditions must be an object`);
+        } else {
+            Object.keys(conditions).forEach(key => {
+                if (!STEP_CONDITIONS.includes(key)) errors.push(`${label} has an unknown condition: ${key}`);
+            });
+            const { max_priority: maxPriority, overdue_only: overdueOnly } = conditions;
+            if (maxPriority !== undefined && (!Number.isInteger(maxPriority) || maxPriority < 1 || maxPriority > 5)) {
+                errors.push(`${label} max_priority must be from 1 to 5`);
+            }
+            if (overdueOnly !== undefined && typeof overdueOnly !== 'boolean') {
+                errors.push(`${label} overdue_only must be true or false`);
+            }
+        }
+    }
+
+    if (boost !== undefined && (channel !== 'repeat' || !Number.isInteger(boost) || boost < 1 || boost > 4)) {
+        errors.push(`${label} priority_boost must be from 1 to 4 and only applies to repeat steps`);
+    }
+}
+
+// Weekly windows ({ start, end, days }) or, for do-not-disturb, one-off ones ({ from, until })
+function validateWindow(window, label, errors, { oneOff = false } = {}) {
+    if (!isObject(window)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+
+    if (oneOff && (window.from !== undefined || window.until !== undefined)) {
+        const valid = [window.from, window.until].every(value => typeof value === 'string' && !isNaN(windowInstant(value, 'UTC')));
+        if (!valid) {
+            errors.push(`${label} from and until must be date-times`);
+        } else if (windowInstant(window.until, 'UTC') <= windowInstant(window.from, 'UTC')) {
+            errors.push(`${label} until must be after from`);
+        }
+        return;
+    }
+
+    const { start, end, days } = window;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        errors.push(`${label} start and end must be HH:MM`);
+    } else if (start === end) {
+        errors.push(`${label} start and end must differ`);
+    }
+    if (days !== undefined && (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(day)))) {
+        errors.push(`${label} days must be a list of ${WEEKDAYS.join(', ')}`);
+    }
+}
+
+const normalizeWindow = ({ from, until, start, end, days }) => from !== undefined
+    ? { from, until }
+    : { start, end, ...(days ? { days } : {}) };
+
+/**
+ * Check and normalise escalation settings before they are saved; only the keys given
+ * are returned. Throws AgentRuntimeError (400) listing every problem found.
+ */
+function validateEscalationSettings(input) {
+    const errors = [];
+
+    if (!isObject(input)) {
+        throw new AgentRuntimeError('Invalid escalation settings', 400, { errors: ['settings must be an object'] });
+    }
+
+    Object.keys(input).forEach(key => {
+        if (!SETTINGS_KEYS.includes(key)) errors.push(`Unknown setting: ${key}`);
+    });
+
+    const { ladder, quiet_hours: quietHours, do_not_disturb: doNotDisturb } = input;
+
+    if (ladder !== undefined) {
+        if (!Array.isArray(ladder) || ladder.length === 0 || ladder.length > MAX_LADDER_STEPS) {
+            errors.push(`ladder must be a list of 1 to ${MAX_LADDER_STEPS} steps`);
+        } else {
+            ladder.forEach((step, index) => validateStep(step, `ladder[${index}]`, errors));
+        }
+    }
+    if (quietHours !== undefined && quietHours !== null) {
+        validateWindow(quietHours, 'quiet_hours', errors);
+    }
+    if (doNotDisturb !== undefined) {
+        if (!Array.isArray(doNotDisturb)) {
+            errors.push('do_not_disturb must be a list of windows');
+        } else {
+            doNotDisturb.forEach((window, index) => validateWindow(window, `do_not_disturb[${index}]`, errors, { oneOff: true }));
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new AgentRuntimeError('Invalid escalation settings', 400, { errors });
+    }
+
+    const settings = {};
+    if (ladder !== undefined) {
+        settings.ladder = ladder.map(({ channel, delay_minutes: delay, conditions = {}, priority_boost: boost }) => ({
+            channel,
+            delay_minutes: delay,
+            conditions,
+            ...(channel === 'repeat' ? { priority_boost: boost || 1 } : {})
+        }));
+    }
+    if (quietHours !== undefined) settings.quiet_hours = quietHours && normalizeWindow(quietHours);
+    if (doNotDisturb !== undefined) settings.do_not_disturb = doNotDisturb.map(normalizeWindow);
+    return settings;
+}
+
+/**
+ * The user's escalation settings over the defaults, with the time zone their windows
+ * are in (users.timezone)
+ */
+async function getEscalationSettings(userId, db = supabase) {
+    const [{ data: state, error }, { data: user }] = await Promise.all([
+        db
+            .from('daddy_agent_state')
+            .select('escalation_settings')
+            .eq('user_id', userId)
+            .maybeSingle(),
+        db
+            .from('users')
+            .select('timezone')
+            .eq('id', userId)
+            .maybeSingle()
+    ]);
+
+    if (error) throw new Error(`Failed to load escalation settings: ${error.message}`);
+
+    return {
+        ...DEFAULT_ESCALATION_SETTINGS,
+        ...state?.escalation_settings,
+        time_zone: isValidTimeZone(user?.timezone) ? user.timezone : 'UTC'
+    };
+}
+
+async function updateEscalationSettings(userId, input, db = supabase) {
+    const changes = validateEscalationSettings(input);
+
+    const { data: state, error } = await db
+        .from('daddy_agent_state')
+        .select('id, escalation_settings')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to update escalation settings', 500);
+    }
+
+    const escalationSettings = { ...state?.escalation_settings, ...changes };
+    const { error: saveError } = state
+        ? await db
+            .from('daddy_agent_state')
+            .update({ escalation_settings: escalationSettings, updated_at: new Date().toISOString() })
+            .eq('user_id', userId)
+        : await db
+            .from('daddy_agent_state')
+            .insert([{ user_id: userId, escalation_settings: escalationSettings }]);
+
+    if (saveError) {
+        throw new AgentRuntimeError('Failed to update escalation settings', 500);
+    }
+    return getEscalationSettings(userId, db);
+}
+
+// --- Quiet hours and do-not-disturb ---
+
+// When a window covering `now` ends, or null when it doesn't cover it
+function windowEnd(window, now, timeZone) {
+    if (window.from !== undefined) {
+        const until = windowInstant(window.until, timeZone);
+        return windowInstant(window.from, timeZone) <= now && now < until ? until : null;
+    }
+
+    const local = toLocal(now, timeZone);
+    const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const start = minutesOf(window.start);
+    const end = minutesOf(window.end);
+
+    // Days after the local day the covering window started; 22:00-07:00 covering
+    // 02:00 started the day before
+    let started = null;
+    if (start < end) {
+        if (minutes >= start && minutes < end) started = 0;
+    } else if (minutes >= start) {
+        started = 0;
+    } else if (minutes < end) {
+        started = -1;
+    }
+    if (started === null) return null;
+
+    const day = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + started);
+    if (window.days && !window.days.includes(WEEKDAYS[(new Date(day).getUTCDay() + 6) % 7])) {
+        return null;
+    }
+
+    const endDay = start < end ? day : day + DAY;
+    return fromLocal(new Date(endDay + end * 60 * 1000), timeZone);
+}
+
+/**
+ * Whether sending now has to wait: { reason, until } while a do-not-disturb window, or
+ * for outbound sends quiet hours, covers `now`; otherwise null. Back-to-back windows
+ * are followed to the end of the last one.
+ */
+function heldUntil(settings, outbound, now = new Date()) {
+    const timeZone = settings.time_zone || 'UTC';
+    const windows = [
+        ...(settings.do_not_disturb || []).map(window => ({ window, reason: 'do_not_disturb' })),
+        ...(outbound && settings.quiet_hours ? [{ window: settings.quiet_hours, reason: 'quiet_hours' }] : [])
+    ];
+
+    let hold = null;
+    let at = now;
+    for (let i = 0; i < MAX_CHAINED_WINDOWS; i++) {
+        const covering = windows
+            .map(({ window, reason }) => ({ reason, until: windowEnd(window, at, timeZone) }))
+            .filter(entry => entry.until)
+            .sort((a, b) => b.until - a.until)[0];
+
+        if (!covering) break;
+        hold = { reason: hold ? hold.reason : covering.reason, until: covering.until };
+        at = covering.until;
+    }
+    return hold;
+}
+
+// --- Sending ---
+
+// Audit entries are best effort: failing to record one must not send a step twice
+async function recordEscalationEvent(userId, event, db = supabase) {
+    const row = { user_id: userId, ...event };
+    const { data: stored, error } = await db
+        .from('daddy_escalation_events')
+        .insert([row])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error(`Failed to record escalation event for task ${event.task_id}:`, error);
+        return row;
+    }
+    return stored;
+}
+
+// Why a step's conditions don't hold for the escalation, or null when they do
+function unmetCondition(step, escalation) {
+    const { max_priority: maxPriority, overdue_only: overdueOnly } = step.conditions || {};
+
+    if (maxPriority !== undefined && !(escalation.priority <= maxPriority)) {
+        return `Task priority ${escalation.priority} is not ${maxPriority} or more urgent`;
+    }
+    if (overdueOnly && !escalation.overdue) {
+        return 'Task is not past its deadline';
+    }
+    return null;
+}
+
+/**
+ * Take one ladder step for an escalating task ({ task_id, title, message, reason,
+ * priority, overdue, step_index }). Resolves to the event recorded; a 'held' event
+ * means nothing was sent and the step is due again at its held_until.
+ */
+async function runEscalationStep(userId, escalation, step, settings, db = supabase, now = new Date()) {
+    const priority = step.channel === 'repeat'
+        ? Math.max(1, escalation.priority - (step.priority_boost || 1))
+        : escalation.priority;
+
+    const record = (status, fields = {}) => recordEscalationEvent(userId, {
+        task_id: escalation.task_id,
+        kind: 'escalation',
+        step_index: escalation.step_index,
+        channel: step.channel,
+        priority,
+        status,
+        reason: escalation.reason,
+        ...fields
+    }, db);
+
+    const unmet = unmetCondition(step, escalation);
+    if (unmet) return record('skipped', { outcome: unmet });
+
+    const hold = heldUntil(settings, OUTBOUND_CHANNELS.includes(step.channel), now);
+    if (hold) return record('held', { outcome: hold.reason, held_until: hold.until.toISOString() });
+
+    try {
+        if (step.channel === 'email_digest') {
+            // Queued steps go out together in the next digest (sendEscalationDigests)
+            const channel = await findReplyChannel(userId, db, ['gmail']);
+            if (!channel) return record('skipped', { outcome: 'No email account connected' });
+            return record('queued', { recipient: channel.recipient });
+        }
+
+        if (step.channel === 'whatsapp') {
+            const channel = await findReplyChannel(userId, db, ['whatsapp']);
+            if (!channel) return record('skipped', { outcome: 'WhatsApp is not connected' });
+
+            const sent = await getMessageRouter().sendMessage(userId, 'whatsapp', {
+                recipientIdentifier: channel.recipient,
+                content: `${escalation.message}\n\nUpdate the task to stop these reminders.`
+            });
+            return sent.success
+                ? record('sent', { recipient: channel.recipient, sent_at: now.toISOString() })
+                : record('failed', { recipient: channel.recipient, outcome: sent.error });
+        }
+
+        // in_app, and repeat: the notification again at a higher priority
+        const { data: notification, error } = await db
+            .from('notifications')
+            .insert([{
+                user_id: userId,
+                type: 'task_escalation',
+                title: `${step.channel === 'repeat' ? 'Still waiting' : 'Task Escalation'}: ${escalation.title}`,
+                message: escalation.message,
+                priority,
+                action_required: true,
+                data: JSON.stringify({
+                    task_id: escalation.task_id,
+                    escalation_reason: escalation.reason,
+                    escalation_step: escalation.step_index,
+                    escalation_time: now.toISOString()
+                })
+            }])
+            .select()
+            .single();
+
+        if (error) throw new Error(error.message);
+        return record('sent', { notification_id: notification.id, sent_at: now.toISOString() });
+
+    } catch (error) {
+        logger.error(`Escalation step ${escalation.step_index} failed for task ${escalation.task_id}:`, error);
+        return record('failed', { outcome: error.message });
+    }
+}
+
+/**
+ * Call off a task's escalation: steps queued for the digest are dropped and the stop is
+ * recorded with its reason
+ */
+async function stopEscalation(userId, taskId, reason, db = supabase) {
+    const { error } = await db
+        .from('daddy_escalation_events')
+        .update({ status: 'skipped', outcome: reason })
+        .eq('user_id', userId)
+        .eq('task_id', taskId)
+        .eq('status', 'queued');
+
+    if (error) logger.error(`Failed to drop queued escalation steps for task ${taskId}:`, error);
+
+    return recordEscalationEvent(userId, { task_id: taskId, kind: 'escalation', status: 'stopped', outcome: reason }, db);
+}
+
+/**
+ * Deliver a reminder ({ id, task_id, title, message, priority, reminder_count }) as an
+ * in-app notification and on the user's connected WhatsApp or Gmail. Resolves to false,
+ * having sent nothing, while quiet hours or do-not-disturb hold it.
+ */
+async function sendReminder(userId, reminder, settings, db = supabase, now = new Date()) {
+    if (heldUntil(settings, true, now)) return false;
+
+    const { data: notification, error } = await db
+        .from('notifications')
+        .insert([{
+            user_id: userId,
+            type: 'task_reminder',
+            title: `Reminder: ${reminder.title}`,
+            message: reminder.message,
+            priority: reminder.priority,
+            action_required: false,
+            data: JSON.stringify({
+                task_id: reminder.task_id,
+                reminder_id: reminder.id || null,
+                reminder_type: 'personalized',
+                reminder_count: reminder.reminder_count
+            })
+        }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to create reminder: ${error.message}`);
+
+    const event = {
+        task_id: reminder.task_id,
+        kind: 'reminder',
+        channel: 'in_app',
+        priority: reminder.priority,
+        status: 'sent',
+        notification_id: notification.id,
+        sent_at: now.toISOString()
+    };
+
+    const channel = await findReplyChannel(userId, db, ['whatsapp', 'gmail']);
+    if (channel) {
+        const sent = await getMessageRouter().sendMessage(userId, channel.platform, {
+            recipientIdentifier: channel.recipient,
+            subject: `Reminder: ${reminder.title}`,
+            content: reminder.message
+        });
+
+        Object.assign(event, {
+            channel: channel.platform,
+            recipient: channel.recipient,
+            status: sent.success ? 'sent' : 'failed',
+            outcome: sent.success ? null : sent.error
+        });
+    }
+
+    await recordEscalationEvent(userId, event, db);
+    return true;
+}
+
+/**
+ * Send each user one email listing their queued email_digest steps, unless quiet hours
+ * or do-not-disturb hold it. Resolves to the number of digests sent.
+ */
+async function sendEscalationDigests(db = supabase, now = new Date()) {
+    const { data: queued, error } = await db
+        .from('daddy_escalation_events')
+        .select('*')
+        .eq('channel', 'email_digest')
+        .eq('status', 'queued')
+        .order('created_at', { ascending: true })
+        .limit(DIGEST_BATCH_SIZE);
+
+    if (error) throw new Error(`Failed to load queued escalations: ${error.message}`);
+
+    const byUser = new Map();
+    for (const event of queued) {
+        byUser.set(event.user_id, [...(byUser.get(event.user_id) || []), event]);
+    }
+
+    let sent = 0;
+    for (const [userId, events] of byUser) {
+        try {
+            const settings = await getEscalationSettings(userId, db);
+            if (heldUntil(settings, true, now)) continue;
+
+            const { data: tasks } = await db
+                .from('tasks')
+                .select('id, title, status, updated_at')
+                .in('id', [...new Set(events.map(event => event.task_id))])
+                .is('deleted_at', null);
+
+            // A task touched since its step was queued is no longer escalated
+            const byId = new Map((tasks || []).map(task => [task.id, task]));
+            const stale = events.filter(event => {
+                const task = byId.get(event.task_id);
+                return !task || CLOSED_TASK_STATUSES.includes(task.status) ||
+                    asInstant(task.updated_at) > asInstant(event.created_at);
+            });
+            if (stale.length > 0) {
+                await db
+                    .from('daddy_escalation_events')
+                    .update({ status: 'skipped', outcome: 'Task was closed or updated after the step was queued' })
+                    .in('id', stale.map(event => event.id))
+                    .eq('status', 'queued');
+            }
+
+            // Claim the rest, so another worker running the digest cannot send them too
+            const live = events.filter(event => !stale.includes(event));
+            if (live.length === 0) continue;
+
+            const { data: claimed, error: claimError } = await db
+                .from('daddy_escalation_events')
+                .update({ status: 'sending' })
+                .in('id', live.map(event => event.id))
+                .eq('status', 'queued')
+                .select('id');
+
+            if (claimError) throw new Error(claimError.message);
+            const claimedIds = new Set((claimed || []).map(event => event.id));
+            const digest = live.filter(event => claimedIds.has(event.id));
+            if (digest.length === 0) continue;
+
+            const lines = digest.map(event => `- ${byId.get(event.task_id).title}: ${event.reason}`);
+
+            let result;
+            try {
+                result = await getMessageRouter().sendMessage(userId, 'gmail', {
+                    recipientIdentifier: digest[digest.length - 1].recipient,
+                    subject: `${digest.length} task${digest.length === 1 ? '' : 's'} need${digest.length === 1 ? 's' : ''} your attention`,
+                    content: [
+                        'These tasks have been waiting on you:',
+                        '',
+                        ...lines,
+                        '',
+                        'Update a task to stop further escalations for it.'
+                    ].join('\n')
+                });
+            } catch (sendError) {
+                // Claimed steps must not stay 'sending'
+                result = { success: false, error: sendError.message };
+            }
+
+            const { error: updateError } = await db
+                .from('daddy_escalation_events')
+                .update(result.success
+                    ? { status: 'sent', sent_at: now.toISOString() }
+                    : { status: 'failed', outcome: result.error })
+                .in('id', digest.map(event => event.id))
+                .eq('status', 'sending');
+
+            if (updateError) throw new Error(updateError.message);
+            if (result.success) sent++;
+
+        } catch (digestError) {
+            logger.error(`Escalation digest failed for user ${userId}:`, digestError);
+        }
+    }
+    return sent;
+}
+
+async function listEscalationEvents(userId, { taskId, limit = 50 } = {}, db = supabase) {
+    let query = db
+        .from('daddy_escalation_events')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (taskId) {
+        query = query.eq('task_id', taskId);
+    }
+
+    const { data: events, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(Math.min(parseInt(limit) || 50, 200));
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to fetch escalation events', 500);
+    }
+    return events;
+}
+
+// Gather queued email steps into digests every 15 minutes
+defineRecurringJob('daddy.escalation_digest', '*/15 * * * *', () => sendEscalationDigests());
+
+module.exports = {
+    LADDER_CHANNELS,
+    DEFAULT_ESCALATION_SETTINGS,
+    validateEscalationSettings,
+    getEscalationSettings,
+    updateEscalationSettings,
+    heldUntil,
+    runEscalationStep,
+    stopEscalation,
+    sendReminder,
+    sendEscalationDigests,
+    listEscalationEvents
+};
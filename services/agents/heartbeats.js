@@ -0,0 +1,170 @@
+/**
+ * Agent Heartbeats
+ * Heartbeats sent by running agents: each one refreshes the agent's status, and the last
+ * one per agent (kept in this process by statusStream.js) tells whether it is alive
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { getOwnedAgent } = require('./registry');
+const { broadcastStatusUpdate, recordHeartbeat, getHeartbeat } = require('./statusStream');
+
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// 'active' within an interval of the last heartbeat, 'stale' until the timeout, then 'offline'
+function heartbeatState(heartbeat, now = new Date()) {
+    if (!heartbeat) {
+        return null;
+    }
+
+    const sinceHeartbeat = now - new Date(heartbeat.timestamp);
+    if (sinceHeartbeat < HEARTBEAT_INTERVAL_MS) {
+        return 'active';
+    }
+    return sinceHeartbeat < HEARTBEAT_TIMEOUT_MS ? 'stale' : 'offline';
+}
+
+// Record a heartbeat and update the agent's status from it
+async function recordAgentHeartbeat(userId, agentId, {
+    status = 'active',
+    health_score = 1.0,
+    cpu_usage,
+    memory_usage,
+    uptime_seconds,
+    metadata = {}
+} = {}) {
+    await getOwnedAgent(userId, agentId, 'id, name');
+
+    const heartbeatTimestamp = new Date().toISOString();
+
+    recordHeartbeat(agentId, {
+        timestamp: heartbeatTimestamp,
+        status,
+        health_score,
+        metadata
+    });
+
+    const updateData = {
+        status,
+        last_activity: heartbeatTimestamp,
+        health_score,
+        uptime_seconds: uptime_seconds || 0
+    };
+
+    if (cpu_usage !== undefined) updateData.cpu_usage = cpu_usage;
+    if (memory_usage !== undefined) updateData.memory_usage = memory_usage;
+
+    const { data: updatedStatus, error: statusError } = await supabase
+        .from('agent_status')
+        .update(updateData)
+        .eq('agent_id', agentId)
+        .select()
+        .single();
+
+    // The heartbeat still counts when the status update fails
+    if (statusError) {
+        logger.error('Update agent status from heartbeat error:', statusError);
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'heartbeat',
+            details: {
+                status,
+                health_score,
+                cpu_usage,
+                memory_usage,
+                uptime_seconds,
+                metadata,
+                heartbeat_timestamp: heartbeatTimestamp
+            },
+            severity: 'debug'
+        }]);
+
+    // Only a heartbeat that reports trouble is worth broadcasting
+    if (updatedStatus && (status !== 'active' || health_score < 0.8)) {
+        await broadcastStatusUpdate(agentId, updatedStatus, userId);
+    }
+
+    return {
+        heartbeat_received: true,
+        timestamp: heartbeatTimestamp,
+        next_heartbeat_expected: new Date(Date.now() + HEARTBEAT_INTERVAL_MS).toISOString()
+    };
+}
+
+// Heartbeat state of one agent with its last ten heartbeats
+async function getAgentHeartbeat(userId, agentId) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+
+    const heartbeat = getHeartbeat(agentId);
+    const currentTime = new Date();
+
+    const { data: recentLogs } = await supabase
+        .from('agent_logs')
+        .select('*')
+        .eq('agent_id', agentId)
+        .eq('action', 'heartbeat')
+        .order('created_at', { ascending: false })
+        .limit(10);
+
+    return {
+        agent_id: agentId,
+        agent_name: agent.name,
+        heartbeat_status: heartbeatState(heartbeat, currentTime) || 'unknown',
+        last_heartbeat: heartbeat?.timestamp || null,
+        health_score: heartbeat?.health_score || null,
+        recent_heartbeats: recentLogs || [],
+        current_time: currentTime.toISOString()
+    };
+}
+
+// Heartbeat state of all the user's agents; agents never heard from count as offline
+async function listAgentHeartbeats(userId, { includeOffline = true } = {}) {
+    const { data: agents } = await supabase
+        .from('agents')
+        .select('id, name, type, is_active')
+        .eq('user_id', userId);
+
+    const currentTime = new Date();
+    const heartbeats = [];
+    const summary = { total: 0, active: 0, stale: 0, offline: 0 };
+
+    for (const agent of agents || []) {
+        const heartbeat = getHeartbeat(agent.id);
+        const status = heartbeatState(heartbeat, currentTime) || 'offline';
+
+        summary.total++;
+        summary[status]++;
+
+        if (includeOffline || status !== 'offline') {
+            heartbeats.push({
+                agent_id: agent.id,
+                agent_name: agent.name,
+                agent_type: agent.type,
+                is_active: agent.is_active,
+                heartbeat_status: status,
+                last_heartbeat: heartbeat?.timestamp || null,
+                health_score: heartbeat?.health_score || null,
+                time_since_heartbeat: heartbeat ? (currentTime - new Date(heartbeat.timestamp)) / 1000 : null
+            });
+        }
+    }
+
+    return {
+        heartbeats,
+        summary,
+        current_time: currentTime.toISOString()
+    };
+}
+
+module.exports = {
+    heartbeatState,
+    recordAgentHeartbeat,
+    getAgentHeartbeat,
+    listAgentHeartbeats
+};
@@ -0,0 +1,90 @@
+/**
+ * Agent Runtime
+ * Programmatic API for agents: create agents, enqueue tasks and resolve approvals
+ * without going through HTTP. routes/agents.js is a thin layer over this module.
+ */
+
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { AIServiceManager, aiServiceManager } = require('./AIServiceManager');
+const { AgentDecisionEngine, decisionEngine } = require('./AgentDecisionEngine');
+const { NLPEngine, nlpEngine } = require('./NLPEngine');
+const registry = require('./registry');
+const tasks = require('./tasks');
+const taskInsights = require('./taskInsights');
+const approvals = require('./approvals');
+const approvalAnalytics = require('./approvalAnalytics');
+const trust = require('./trust');
+const approvalPolicies = require('./approvalPolicies');
+const status = require('./status');
+const statusHistory = require('./statusHistory');
+const statusStream = require('./statusStream');
+const heartbeats = require('./heartbeats');
+const modelInsights = require('./modelInsights');
+const agentMetrics = require('./agentMetrics');
+const conversations = require('./conversations');
+const conversationHistory = require('./conversationHistory');
+const daddy = require('./daddy');
+const patterns = require('./patterns');
+const escalations = require('./escalations');
+const websocket = require('./websocket');
+const agenticPlanner = require('./agenticPlanner');
+const { AgenticExecutor, agenticExecutor } = require('./agenticExecutor');
+const { defineRecurringJob } = require('../jobScheduler');
+
+let backgroundJobs = [];
+
+// Move agentic tasks along every minute, including ones left in flight by a restart
+defineRecurringJob('agents.advance_agentic_tasks', '* * * * *', () => agenticExecutor.resumeInFlight());
+
+// Start the stream and heartbeat cleanup. These sweep this process's own connections,
+// so they stay per-instance timers rather than scheduled jobs.
+function startBackgroundJobs() {
+    if (backgroundJobs.length > 0) {
+        return;
+    }
+
+    backgroundJobs = [
+        setInterval(statusStream.cleanupInactiveStreams, 5 * 60 * 1000),
+        setInterval(statusStream.cleanupStaleHeartbeats, 10 * 60 * 1000)
+    ];
+}
+
+function stopBackgroundJobs() {
+    backgroundJobs.forEach(clearInterval);
+    backgroundJobs = [];
+}
+
+module.exports = {
+    AgentRuntimeError,
+    AIServiceManager,
+    aiServiceManager,
+    AgentDecisionEngine,
+    decisionEngine,
+    NLPEngine,
+    nlpEngine,
+    ...registry,
+    ...tasks,
+    ...taskInsights,
+    ...approvals,
+    ...approvalAnalytics,
+    ...trust,
+    ...approvalPolicies,
+    ...status,
+    ...statusHistory,
+    ...statusStream,
+    ...heartbeats,
+    ...modelInsights,
+    ...agentMetrics,
+    ...conversations,
+    ...conversationHistory,
+    ...daddy,
+    ...patterns,
+    ...escalations,
+    ...websocket,
+    ...agenticPlanner,
+    AgenticExecutor,
+    agenticExecutor,
+    startBackgroundJobs,
+    stopBackgroundJobs
+};
@@ -0,0 +1,683 @@
+/**
+ * Agent Model Insights
+ * Agent details with their AI configuration, model switching and comparison,
+ * model recommendations, performance metrics and A/B testing summaries
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { aiServiceManager } = require('./AIServiceManager');
+const { getOwnedAgent } = require('./registry');
+
+const AI_CAPABILITIES = ['text_generation', 'sentiment_analysis', 'decision_making', 'task_suggestions', 'code_generation'];
+
+/**
+ * Load an agent with its profile, status, tasks, permissions and analytics. The AI
+ * configuration is included unless includeAiConfig is false; performance metrics, model
+ * recommendations and the A/B testing status only when asked for.
+ */
+async function getAgentDetails(userId, agentId, {
+    includeAiConfig = true,
+    includePerformanceMetrics = false,
+    includeModelRecommendations = false,
+    includeABTestingStatus = false
+} = {}) {
+    const { data: agent, error } = await supabase
+        .from('agents')
+        .select(`
+            *,
+            agent_profiles (*),
+            agent_status (*),
+            agent_tasks (
+                *,
+                agent_task:task_id (*)
+            ),
+            agent_permissions (
+                *,
+                tool:agent_tools (*)
+            ),
+            agent_analytics (
+                *,
+                date
+            )
+        `)
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            throw new AgentRuntimeError('Agent not found', 404);
+        }
+        logger.error('Get agent by ID error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent', 500);
+    }
+
+    const enhancedAgent = { ...agent };
+
+    if (includeAiConfig) {
+        const modelCapabilities = aiServiceManager.models[agent.model]?.capabilities || [];
+
+        enhancedAgent.ai_configuration = {
+            available_models: Object.keys(aiServiceManager.models).map(key => ({
+                id: key,
+                ...aiServiceManager.models[key]
+            })),
+            current_model: agent.model || 'gpt-4',
+            selected_model_details: aiServiceManager.models[agent.model] || aiServiceManager.models['gpt-4'],
+            ab_testing_enabled: agent.configuration?.ab_testing_enabled || false,
+            performance_tracking: agent.configuration?.performance_tracking !== false,
+            auto_model_switching: agent.configuration?.auto_model_switching || false,
+            model_preferences: agent.configuration?.model_preferences || {}
+        };
+        enhancedAgent.ai_capabilities = Object.fromEntries(
+            AI_CAPABILITIES.map(capability => [capability, modelCapabilities.includes(capability)])
+        );
+        enhancedAgent.ai_recommendations = await generateAIConfigurationRecommendations(agent, userId);
+    }
+
+    if (includePerformanceMetrics) {
+        enhancedAgent.ai_performance = await getAIPerformanceMetrics(agent, userId);
+    }
+
+    if (includeModelRecommendations) {
+        enhancedAgent.model_recommendations = await generateModelRecommendations(agent, userId);
+    }
+
+    if (includeABTestingStatus) {
+        enhancedAgent.ab_testing_status = await getABTestingStatus(agent, userId);
+    }
+
+    return enhancedAgent;
+}
+
+function assertKnownModel(model, message) {
+    if (!aiServiceManager.models[model]) {
+        throw new AgentRuntimeError(message, 400, { available_models: Object.keys(aiServiceManager.models) });
+    }
+}
+
+// Change an agent's model and its A/B testing, tracking and switching settings
+async function updateAgentAIConfig(userId, agentId, {
+    model,
+    ab_testing_enabled,
+    performance_tracking,
+    auto_model_switching,
+    model_preferences
+} = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, model, configuration');
+
+    if (model) {
+        assertKnownModel(model, 'Invalid model');
+    }
+
+    const currentConfig = agent.configuration || {};
+    const updatedConfig = {
+        ...currentConfig,
+        ab_testing_enabled: ab_testing_enabled !== undefined ? ab_testing_enabled : currentConfig.ab_testing_enabled,
+        performance_tracking: performance_tracking !== undefined ? performance_tracking : currentConfig.performance_tracking,
+        auto_model_switching: auto_model_switching !== undefined ? auto_model_switching : currentConfig.auto_model_switching,
+        model_preferences: model_preferences || currentConfig.model_preferences || {}
+    };
+
+    const updateData = { configuration: JSON.stringify(updatedConfig) };
+    if (model) {
+        updateData.model = model;
+    }
+
+    const { data: updatedAgent, error: updateError } = await supabase
+        .from('agents')
+        .update(updateData)
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (updateError) {
+        logger.error('Update agent AI config error:', updateError);
+        throw new AgentRuntimeError('Failed to update AI configuration', 500);
+    }
+
+    const changed = key => updatedConfig[key] !== currentConfig[key];
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'ai_config_updated',
+            resource_type: 'agent',
+            resource_id: agentId,
+            details: {
+                old_model: agent.model,
+                new_model: model || agent.model,
+                config_changes: {
+                    ab_testing_enabled: changed('ab_testing_enabled'),
+                    performance_tracking: changed('performance_tracking'),
+                    auto_model_switching: changed('auto_model_switching')
+                }
+            },
+            severity: 'info'
+        }]);
+
+    return {
+        agent: updatedAgent,
+        changes_applied: {
+            model_changed: model && model !== agent.model,
+            ab_testing_changed: changed('ab_testing_enabled'),
+            performance_tracking_changed: changed('performance_tracking'),
+            auto_switching_changed: changed('auto_model_switching')
+        }
+    };
+}
+
+// A/B testing results for an agent that has A/B testing enabled
+async function getAgentABTestingResults(userId, agentId, { days = 30, task_type = 'all' } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, configuration');
+
+    if (!agent.configuration?.ab_testing_enabled) {
+        throw new AgentRuntimeError('A/B testing is not enabled for this agent', 400, {
+            message: 'Enable A/B testing in agent configuration first'
+        });
+    }
+
+    return {
+        agent_id: agentId,
+        ab_testing_enabled: true,
+        results: await getABTestingResults(agentId, userId, parseInt(days), task_type),
+        analysis_period_days: parseInt(days),
+        task_type_filter: task_type
+    };
+}
+
+/**
+ * Switch an agent to another model for a test period. The switch is reverted by a timer
+ * in this process once the period is over.
+ */
+async function switchAgentModel(userId, agentId, { target_model, reason, test_duration_hours = 24 } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, model, configuration');
+    assertKnownModel(target_model, 'Invalid target model');
+
+    const switchRecord = {
+        agent_id: agentId,
+        user_id: userId,
+        original_model: agent.model,
+        target_model,
+        reason: reason || 'Manual model switch for testing',
+        test_duration_hours,
+        started_at: new Date(),
+        expires_at: new Date(Date.now() + (test_duration_hours * 60 * 60 * 1000)),
+        status: 'active'
+    };
+
+    // The switch is tracked in agent_logs
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'model_switch_initiated',
+            resource_type: 'agent',
+            resource_id: agentId,
+            details: switchRecord,
+            severity: 'info'
+        }]);
+
+    const { error: updateError } = await supabase
+        .from('agents')
+        .update({ model: target_model })
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (updateError) {
+        logger.error('Model switch update error:', updateError);
+        throw new AgentRuntimeError('Failed to switch model', 500);
+    }
+
+    setTimeout(async () => {
+        try {
+            await supabase
+                .from('agents')
+                .update({ model: agent.model })
+                .eq('id', agentId)
+                .eq('user_id', userId);
+
+            await supabase
+                .from('agent_logs')
+                .insert([{
+                    agent_id: agentId,
+                    user_id: userId,
+                    action: 'model_switch_reverted',
+                    resource_type: 'agent',
+                    resource_id: agentId,
+                    details: {
+                        original_model: agent.model,
+                        target_model,
+                        reason: 'Automatic reversion after test period'
+                    },
+                    severity: 'info'
+                }]);
+
+            logger.info(`Model switch reverted for agent ${agentId} after ${test_duration_hours} hours`);
+        } catch (error) {
+            logger.error('Model switch reversion error:', error);
+        }
+    }, test_duration_hours * 60 * 60 * 1000);
+
+    return {
+        message: `Agent model switched to ${target_model} for ${test_duration_hours} hours`,
+        switch_details: {
+            agent_id: agentId,
+            original_model: agent.model,
+            new_model: target_model,
+            test_duration_hours,
+            expires_at: switchRecord.expires_at,
+            reason: switchRecord.reason
+        },
+        auto_revert_scheduled: true
+    };
+}
+
+// Performance of the given models (all known models by default) side by side
+async function compareAgentModels(userId, agentId, { models, days = 30, task_type = 'text_generation' } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, model');
+
+    const modelsToCompare = models ? models.split(',') : Object.keys(aiServiceManager.models);
+    const comparison = {};
+
+    for (const modelId of modelsToCompare) {
+        if (aiServiceManager.models[modelId]) {
+            comparison[modelId] = {
+                model_info: aiServiceManager.models[modelId],
+                performance: aiServiceManager.getPerformanceAnalytics(modelId, task_type, parseInt(days)) || {
+                    sample_size: 0,
+                    message: 'No performance data available'
+                }
+            };
+        }
+    }
+
+    return {
+        agent_id: agentId,
+        current_model: agent.model,
+        comparison,
+        analysis_period_days: parseInt(days),
+        task_type
+    };
+}
+
+// Generate AI configuration recommendations
+async function generateAIConfigurationRecommendations(agent, userId) {
+    const recommendations = [];
+
+    // Model optimization recommendations
+    const currentModel = aiServiceManager.models[agent.model] || aiServiceManager.models['gpt-4'];
+
+    // Recommendation 1: Model capability assessment
+    const requiredCapabilities = getAgentRequiredCapabilities(agent.type);
+    const missingCapabilities = requiredCapabilities.filter(cap =>
+        !currentModel.capabilities.includes(cap)
+    );
+
+    if (missingCapabilities.length > 0) {
+        const betterModels = Object.values(aiServiceManager.models).filter(model =>
+            missingCapabilities.every(cap => model.capabilities.includes(cap))
+        );
+
+        if (betterModels.length > 0) {
+            recommendations.push({
+                type: 'model_upgrade',
+                priority: 'high',
+                title: 'Consider Model Upgrade',
+                description: `Your current model lacks capabilities needed for ${agent.type} tasks.`,
+                missing_capabilities: missingCapabilities,
+                suggested_models: betterModels.map(m => ({ id: m.name, cost_savings: currentModel.cost_per_token - m.cost_per_token })),
+                impact: 'high'
+            });
+        }
+    }
+
+    // Recommendation 2: Cost optimization
+    if (currentModel.cost_per_token > 0.001) {
+        const cheaperModels = Object.values(aiServiceManager.models)
+            .filter(model => model.cost_per_token < currentModel.cost_per_token)
+            .sort((a, b) => a.cost_per_token - b.cost_per_token);
+
+        if (cheaperModels.length > 0) {
+            recommendations.push({
+                type: 'cost_optimization',
+                priority: 'medium',
+                title: 'Cost Optimization Opportunity',
+                description: 'Consider using a more cost-effective model for routine tasks.',
+                potential_savings: currentModel.cost_per_token - cheaperModels[0].cost_per_token,
+                alternative_models: cheaperModels.slice(0, 2).map(m => m.name),
+                impact: 'medium'
+            });
+        }
+    }
+
+    // Recommendation 3: A/B testing suggestion
+    if (!agent.configuration?.ab_testing_enabled) {
+        recommendations.push({
+            type: 'ab_testing',
+            priority: 'low',
+            title: 'Enable A/B Testing',
+            description: 'Consider enabling A/B testing to optimize model performance.',
+            benefits: [
+                'Compare model performance automatically',
+                'Optimize for your specific use cases',
+                'Identify best models for different task types'
+            ],
+            impact: 'low'
+        });
+    }
+
+    // Recommendation 4: Performance tracking
+    if (agent.configuration?.performance_tracking === false) {
+        recommendations.push({
+            type: 'performance_tracking',
+            priority: 'medium',
+            title: 'Enable Performance Tracking',
+            description: 'Enable performance tracking to optimize AI usage.',
+            benefits: [
+                'Monitor response quality and speed',
+                'Identify performance patterns',
+                'Optimize model selection automatically'
+            ],
+            impact: 'medium'
+        });
+    }
+
+    return {
+        recommendations: recommendations.sort((a, b) => {
+            const priorityOrder = { high: 3, medium: 2, low: 1 };
+            return priorityOrder[b.priority] - priorityOrder[a.priority];
+        }),
+        total_recommendations: recommendations.length,
+        generated_at: new Date().toISOString()
+    };
+}
+
+// Get AI performance metrics
+async function getAIPerformanceMetrics(agent, userId) {
+    try {
+        const agentId = agent.id;
+        const metrics = {};
+
+        // Get recent conversation metrics
+        const { data: conversations } = await supabase
+            .from('agent_conversations')
+            .select('response_time_ms, tokens_used, confidence_score, sentiment, created_at')
+            .eq('agent_id', agentId)
+            .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+
+        if (conversations && conversations.length > 0) {
+            metrics.conversation_metrics = {
+                total_conversations: conversations.length,
+                avg_response_time: conversations
+                    .filter(c => c.response_time_ms)
+                    .reduce((sum, c, _, arr) => sum + (c.response_time_ms / arr.length), 0),
+                avg_tokens_used: conversations
+                    .filter(c => c.tokens_used)
+                    .reduce((sum, c, _, arr) => sum + (c.tokens_used / arr.length), 0),
+                avg_confidence: conversations
+                    .filter(c => c.confidence_score)
+                    .reduce((sum, c, _, arr) => sum + (c.confidence_score / arr.length), 0),
+                sentiment_distribution: {
+                    positive: conversations.filter(c => c.sentiment === 'positive').length,
+                    negative: conversations.filter(c => c.sentiment === 'negative').length,
+                    neutral: conversations.filter(c => c.sentiment === 'neutral').length
+                }
+            };
+        }
+
+        // Get A/B testing performance
+        if (agent.configuration?.ab_testing_enabled) {
+            metrics.ab_testing_performance = aiServiceManager.getPerformanceAnalytics(agent.model, 'text_generation', 30);
+        }
+
+        // Get cost metrics
+        const { data: logs } = await supabase
+            .from('agent_logs')
+            .select('details')
+            .eq('agent_id', agentId)
+            .eq('action', 'ai_response_generated')
+            .gte('created_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+
+        if (logs && logs.length > 0) {
+            const totalTokens = logs.reduce((sum, log) => {
+                const details = typeof log.details === 'string' ? JSON.parse(log.details) : log.details;
+                return sum + (details.tokens_used || 0);
+            }, 0);
+
+            const currentModel = aiServiceManager.models[agent.model] || aiServiceManager.models['gpt-4'];
+            metrics.cost_metrics = {
+                total_tokens_used: totalTokens,
+                estimated_cost: totalTokens * currentModel.cost_per_token,
+                cost_per_conversation: totalTokens > 0 ? (totalTokens * currentModel.cost_per_token) / logs.length : 0,
+                period_days: 30
+            };
+        }
+
+        return metrics;
+
+    } catch (error) {
+        logger.error('Get AI performance metrics error:', error);
+        return { error: 'Failed to retrieve performance metrics' };
+    }
+}
+
+// Generate model recommendations
+async function generateModelRecommendations(agent, userId) {
+    const recommendations = [];
+    const currentModel = aiServiceManager.models[agent.model] || aiServiceManager.models['gpt-4'];
+
+    // Get performance data for comparison
+    const performanceData = await getAIPerformanceMetrics(agent, userId);
+
+    // Analyze performance and suggest alternatives
+    for (const [modelId, modelData] of Object.entries(aiServiceManager.models)) {
+        if (modelId === agent.model) continue;
+
+        let recommendation = {
+            model_id: modelId,
+            model_name: modelData.name,
+            reasoning: [],
+            expected_benefits: [],
+            trade_offs: []
+        };
+
+        // Capability analysis
+        const additionalCapabilities = modelData.capabilities.filter(cap =>
+            !currentModel.capabilities.includes(cap)
+        );
+
+        const missingCapabilities = currentModel.capabilities.filter(cap =>
+            !modelData.capabilities.includes(cap)
+        );
+
+        if (additionalCapabilities.length > 0) {
+            recommendation.reasoning.push(`Adds capabilities: ${additionalCapabilities.join(', ')}`);
+            recommendation.expected_benefits.push(`Enhanced functionality for ${agent.type} tasks`);
+        }
+
+        if (missingCapabilities.length > 0) {
+            recommendation.trade_offs.push(`Loses capabilities: ${missingCapabilities.join(', ')}`);
+        }
+
+        // Cost analysis
+        const costDifference = modelData.cost_per_token - currentModel.cost_per_token;
+        if (costDifference < 0) {
+            recommendation.expected_benefits.push(`Cost savings: ${Math.abs(costDifference * 1000000).toFixed(1)} per 1M tokens`);
+        } else if (costDifference > 0) {
+            recommendation.trade_offs.push(`Higher cost: +${(costDifference * 1000000).toFixed(1)} per 1M tokens`);
+        }
+
+        // Performance analysis
+        if (performanceData.conversation_metrics) {
+            if (modelData.max_tokens > currentModel.max_tokens) {
+                recommendation.expected_benefits.push('Higher token limit for complex tasks');
+            }
+        }
+
+        // Only include recommendations with clear benefits or significant differences
+        if (recommendation.expected_benefits.length > 0 || recommendation.trade_offs.length > 0) {
+            recommendations.push(recommendation);
+        }
+    }
+
+    return {
+        current_model: {
+            id: agent.model,
+            name: currentModel.name,
+            cost_per_token: currentModel.cost_per_token,
+            capabilities: currentModel.capabilities
+        },
+        alternative_models: recommendations,
+        analysis_timestamp: new Date().toISOString()
+    };
+}
+
+// Get A/B testing status
+async function getABTestingStatus(agent, userId) {
+    if (!agent.configuration?.ab_testing_enabled) {
+        return {
+            enabled: false,
+            message: 'A/B testing is not enabled for this agent'
+        };
+    }
+
+    const status = {
+        enabled: true,
+        active_tests: [],
+        performance_comparison: {}
+    };
+
+    // Check for active A/B tests
+    const testGroups = Array.from(aiServiceManager.abTestingGroups.entries())
+        .filter(([key, group]) => key.includes(userId))
+        .map(([key, group]) => group);
+
+    status.active_tests = testGroups;
+
+    // Get performance comparison if available
+    if (testGroups.length > 0) {
+        for (const testGroup of testGroups) {
+            const performance = aiServiceManager.getPerformanceAnalytics(testGroup.variant, testGroup.task_type, 7);
+            if (performance) {
+                status.performance_comparison[testGroup.variant] = performance;
+            }
+        }
+    }
+
+    return status;
+}
+
+// Helper function to get required capabilities for agent type
+function getAgentRequiredCapabilities(agentType) {
+    const capabilityMap = {
+        'task_manager': ['text_generation', 'decision_making', 'task_suggestions'],
+        'email_assistant': ['text_generation', 'sentiment_analysis', 'decision_making'],
+        'project_coordinator': ['text_generation', 'decision_making', 'task_suggestions'],
+        'researcher_agent': ['text_generation', 'sentiment_analysis', 'decision_making', 'task_suggestions'],
+        'general': ['text_generation', 'sentiment_analysis']
+    };
+
+    return capabilityMap[agentType] || capabilityMap.general;
+}
+
+// Get comprehensive A/B testing results
+async function getABTestingResults(agentId, userId, days, taskType) {
+    const results = {
+        summary: {},
+        variants: {},
+        recommendations: []
+    };
+
+    // Get all performance data for the agent
+    const allModels = Object.keys(aiServiceManager.models);
+
+    for (const modelId of allModels) {
+        const performance = aiServiceManager.getPerformanceAnalytics(modelId, taskType, days);
+
+        if (performance && performance.sample_size > 0) {
+            results.variants[modelId] = {
+                model_info: aiServiceManager.models[modelId],
+                performance,
+                is_current_model: modelId === (await getCurrentModel(agentId))
+            };
+        }
+    }
+
+    // Generate summary and recommendations
+    if (Object.keys(results.variants).length > 1) {
+        const variants = Object.values(results.variants);
+        const bestVariant = variants.reduce((best, current) =>
+            (current.performance.avg_quality_score || 0) > (best.performance.avg_quality_score || 0) ? current : best
+        );
+
+        results.summary = {
+            total_variants_tested: variants.length,
+            best_performing_variant: bestVariant.model_info.name,
+            best_performance_score: bestVariant.performance.avg_quality_score,
+            improvement_potential: bestVariant.performance.avg_quality_score - (results.variants[await getCurrentModel(agentId)]?.performance?.avg_quality_score || 0),
+            confidence_level: calculateConfidenceLevel(variants)
+        };
+
+        // Generate recommendations
+        if (bestVariant.performance.avg_quality_score > (results.variants[await getCurrentModel(agentId)]?.performance?.avg_quality_score || 0) * 1.1) {
+            results.recommendations.push({
+                type: 'model_switch',
+                priority: 'high',
+                title: 'Switch to Better Performing Model',
+                description: `${bestVariant.model_info.name} shows ${((bestVariant.performance.avg_quality_score / (results.variants[await getCurrentModel(agentId)]?.performance?.avg_quality_score || 1) - 1) * 100).toFixed(1)}% better performance`,
+                recommended_action: `Switch to ${bestVariant.model_info.name}`,
+                expected_benefit: 'Improved response quality and user satisfaction'
+            });
+        }
+    }
+
+    return results;
+}
+
+// Helper function to get current agent model
+async function getCurrentModel(agentId) {
+    const { data: agent } = await supabase
+        .from('agents')
+        .select('model')
+        .eq('id', agentId)
+        .single();
+
+    return agent?.model || 'gpt-4';
+}
+
+// Calculate confidence level for A/B test results
+function calculateConfidenceLevel(variants) {
+    if (variants.length < 2) return 'low';
+
+    const sampleSizes = variants.map(v => v.performance.sample_size);
+    const avgSampleSize = sampleSizes.reduce((a, b) => a + b, 0) / sampleSizes.length;
+
+    if (avgSampleSize > 100) return 'high';
+    if (avgSampleSize > 50) return 'medium';
+    return 'low';
+}
+
+module.exports = {
+    getAgentDetails,
+    updateAgentAIConfig,
+    getAgentABTestingResults,
+    switchAgentModel,
+    compareAgentModels,
+    generateAIConfigurationRecommendations,
+    getAIPerformanceMetrics,
+    generateModelRecommendations,
+    getABTestingStatus,
+    getAgentRequiredCapabilities,
+    getABTestingResults,
+    getCurrentModel,
+    calculateConfidenceLevel
+};
@@ -0,0 +1,84 @@
+/**
+ * Learning Patterns
+ * The habits the preference learner has picked up for a user, and the feedback that
+ * makes it more or less confident in them
+ */
+
+const { supabase } = require('../../database/connection');
+const { AgentRuntimeError } = require('./errors');
+const { preferenceLearner } = require('./daddy');
+
+// How far one piece of feedback moves a pattern's confidence, which stays within these bounds
+const HELPFUL_ADJUSTMENT = 0.1;
+const NOT_HELPFUL_ADJUSTMENT = -0.05;
+const MIN_CONFIDENCE = 0.1;
+const MAX_CONFIDENCE = 0.95;
+
+async function analyzeUserPatterns(userId) {
+    const patterns = await preferenceLearner.analyzePatterns(userId);
+    const suggestions = await preferenceLearner.generateProactiveSuggestions(userId, patterns);
+
+    return { patterns, suggestions };
+}
+
+async function listLearningPatterns(userId, { pattern_type } = {}) {
+    let query = supabase
+        .from('user_learning_patterns')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false });
+
+    if (pattern_type) {
+        query = query.eq('pattern_type', pattern_type);
+    }
+
+    const { data: patterns, error } = await query;
+    if (error) throw error;
+
+    return patterns || [];
+}
+
+// Nudge a pattern's confidence up for { helpful } feedback or down for { not_helpful }
+async function recordPatternFeedback(userId, { pattern_type, feedback } = {}) {
+    if (!pattern_type || !feedback) {
+        throw new AgentRuntimeError('pattern_type and feedback are required', 400);
+    }
+
+    let adjustment = 0;
+    if (feedback.helpful) {
+        adjustment = HELPFUL_ADJUSTMENT;
+    } else if (feedback.not_helpful) {
+        adjustment = NOT_HELPFUL_ADJUSTMENT;
+    }
+
+    if (adjustment !== 0) {
+        const { data: pattern, error: fetchError } = await supabase
+            .from('user_learning_patterns')
+            .select('confidence_score, successful_applications')
+            .eq('user_id', userId)
+            .eq('pattern_type', pattern_type)
+            .single();
+
+        if (fetchError) throw fetchError;
+
+        const { error } = await supabase
+            .from('user_learning_patterns')
+            .update({
+                confidence_score: Math.max(MIN_CONFIDENCE, Math.min(MAX_CONFIDENCE, pattern.confidence_score + adjustment)),
+                successful_applications: pattern.successful_applications + 1,
+                updated_at: new Date().toISOString()
+            })
+            .eq('user_id', userId)
+            .eq('pattern_type', pattern_type);
+
+        if (error) throw error;
+    }
+
+    return adjustment;
+}
+
+module.exports = {
+    analyzeUserPatterns,
+    listLearningPatterns,
+    recordPatternFeedback
+};
@@ -0,0 +1,260 @@
+/**
+ * Agent Registry
+ * List, create, update and delete a user's agents along with their profile and initial status
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+
+const ALLOWED_AGENT_UPDATES = [
+    'name', 'type', 'model', 'description', 'is_active',
+    'capabilities', 'configuration'
+];
+
+// Load one of the user's agents, or throw a 404 when it is not theirs
+async function getOwnedAgent(userId, agentId, columns = 'id') {
+    const { data: agent } = await supabase
+        .from('agents')
+        .select(columns)
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!agent) {
+        throw new AgentRuntimeError('Agent not found', 404);
+    }
+    return agent;
+}
+
+// List the user's agents, newest first, with their profiles and status
+async function listAgents(userId, { type, is_active, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+        .from('agents')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (type) {
+        query = query.eq('type', type);
+    }
+
+    if (is_active !== undefined) {
+        query = query.eq('is_active', is_active === 'true' || is_active === true);
+    }
+
+    const { data: agents, error } = await query;
+
+    if (error) {
+        logger.error('Get agents error:', error);
+        throw new AgentRuntimeError('Failed to fetch agents', 500, { details: error.message });
+    }
+
+    if (!agents || agents.length === 0) {
+        return [];
+    }
+
+    try {
+        const agentIds = agents.map(a => a.id);
+
+        const { data: profiles } = await supabase
+            .from('agent_profiles')
+            .select('*')
+            .in('agent_id', agentIds);
+
+        const { data: statuses } = await supabase
+            .from('agent_status')
+            .select('*')
+            .in('agent_id', agentIds);
+
+        return agents.map(agent => ({
+            ...agent,
+            agent_profiles: profiles?.filter(p => p.agent_id === agent.id) || [],
+            agent_status: statuses?.filter(s => s.agent_id === agent.id) || []
+        }));
+    } catch (joinError) {
+        // Basic agent data is still useful without the details
+        logger.warn('Failed to fetch agent details:', joinError);
+        return agents;
+    }
+}
+
+// Create a new agent with its profile and initial idle status
+async function createAgent(userId, agentInput = {}, db = supabase) {
+    const {
+        name,
+        type,
+        model = 'gpt-4',
+        description,
+        capabilities = [],
+        configuration = {},
+        profile = {}
+    } = agentInput;
+
+    if (!name || !type) {
+        throw new AgentRuntimeError('Name and type are required', 400);
+    }
+
+    // Create agent
+    const { data: agent, error: agentError } = await db
+        .from('agents')
+        .insert([{
+            user_id: userId,
+            name,
+            type,
+            model,
+            description,
+            capabilities: JSON.stringify(capabilities),
+            configuration: JSON.stringify(configuration)
+        }])
+        .select()
+        .single();
+
+    if (agentError) {
+        logger.error('Create agent error:', agentError);
+        throw new AgentRuntimeError('Failed to create agent', 500);
+    }
+
+    // Create agent profile if provided
+    if (Object.keys(profile).length > 0) {
+        const { error: profileError } = await db
+            .from('agent_profiles')
+            .insert([{
+                agent_id: agent.id,
+                ...profile
+            }]);
+
+        if (profileError) {
+            logger.warn('Failed to create agent profile:', profileError);
+        }
+    }
+
+    // Create initial agent status
+    const { error: statusError } = await db
+        .from('agent_status')
+        .insert([{
+            agent_id: agent.id,
+            status: 'idle'
+        }]);
+
+    if (statusError) {
+        logger.warn('Failed to create agent status:', statusError);
+    }
+
+    // Log agent creation
+    await db
+        .from('agent_logs')
+        .insert([{
+            agent_id: agent.id,
+            user_id: userId,
+            action: 'agent_created',
+            details: { agent_name: name, agent_type: type }
+        }]);
+
+    return {
+        ...agent,
+        capabilities: capabilities,
+        configuration: configuration
+    };
+}
+
+// Update whitelisted agent fields
+async function updateAgent(userId, agentId, updates = {}) {
+    const updateData = {};
+    Object.keys(updates).forEach(key => {
+        if (ALLOWED_AGENT_UPDATES.includes(key)) {
+            if (key === 'capabilities' || key === 'configuration') {
+                updateData[key] = JSON.stringify(updates[key]);
+            } else {
+                updateData[key] = updates[key];
+            }
+        }
+    });
+
+    if (Object.keys(updateData).length === 0) {
+        throw new AgentRuntimeError('No valid fields to update', 400);
+    }
+
+    updateData.updated_at = new Date().toISOString();
+
+    const { data: agent, error } = await supabase
+        .from('agents')
+        .update(updateData)
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            throw new AgentRuntimeError('Agent not found', 404);
+        }
+        logger.error('Update agent error:', error);
+        throw new AgentRuntimeError('Failed to update agent', 500);
+    }
+
+    // Log agent update
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'agent_updated',
+            details: { updated_fields: Object.keys(updateData) }
+        }]);
+
+    return {
+        ...agent,
+        capabilities: agent.capabilities ? JSON.parse(agent.capabilities) : [],
+        configuration: agent.configuration ? JSON.parse(agent.configuration) : {}
+    };
+}
+
+// Delete an agent (related records are removed by cascade)
+async function deleteAgent(userId, agentId) {
+    // Check if agent exists and belongs to user
+    const { data: agent, error: checkError } = await supabase
+        .from('agents')
+        .select('id, name')
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .single();
+
+    if (checkError || !agent) {
+        throw new AgentRuntimeError('Agent not found', 404);
+    }
+
+    const { error } = await supabase
+        .from('agents')
+        .delete()
+        .eq('id', agentId)
+        .eq('user_id', userId);
+
+    if (error) {
+        logger.error('Delete agent error:', error);
+        throw new AgentRuntimeError('Failed to delete agent', 500);
+    }
+
+    // Log agent deletion
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            user_id: userId,
+            action: 'agent_deleted',
+            resource_type: 'agent',
+            resource_id: agentId,
+            details: { agent_name: agent.name }
+        }]);
+
+    return agent;
+}
+
+module.exports = {
+    ALLOWED_AGENT_UPDATES,
+    getOwnedAgent,
+    listAgents,
+    createAgent,
+    updateAgent,
+    deleteAgent
+};
@@ -0,0 +1,856 @@
+/**
+ * Agent Status
+ * Reading and updating agent status, status transition rules, metadata validation and
+ * status-change notifications
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { getOwnedAgent } = require('./registry');
+const { broadcastStatusUpdate, getHeartbeat } = require('./statusStream');
+
+// Fields of agent_status set from a status update when they are given
+function statusUpdateData({ status, status_message, current_task_id }) {
+    const updateData = {
+        status,
+        last_activity: new Date().toISOString()
+    };
+
+    if (status_message !== undefined) {
+        updateData.status_message = status_message;
+    }
+
+    if (current_task_id !== undefined) {
+        updateData.current_task_id = current_task_id;
+    }
+
+    return updateData;
+}
+
+async function getAgentStatus(userId, agentId) {
+    const { data: status, error } = await supabase
+        .from('agent_status')
+        .select('*')
+        .eq('agent_id', agentId)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            throw new AgentRuntimeError('Agent status not found', 404);
+        }
+        logger.error('Get agent status error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent status', 500);
+    }
+
+    await getOwnedAgent(userId, agentId);
+    return status;
+}
+
+// Set an agent's status, broadcast it and record the change in its history
+async function setAgentStatus(userId, agentId, { status, status_message, current_task_id } = {}) {
+    if (!status) {
+        throw new AgentRuntimeError('Status is required', 400);
+    }
+
+    await getOwnedAgent(userId, agentId);
+
+    const { data: oldStatus } = await supabase
+        .from('agent_status')
+        .select('*')
+        .eq('agent_id', agentId)
+        .maybeSingle();
+
+    const { data: updatedStatus, error } = await supabase
+        .from('agent_status')
+        .update(statusUpdateData({ status, status_message, current_task_id }))
+        .eq('agent_id', agentId)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Update agent status error:', error);
+        throw new AgentRuntimeError('Failed to update agent status', 500);
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'status_changed',
+            details: {
+                old_status: oldStatus?.status || 'unknown',
+                new_status: status,
+                status_message,
+                current_task_id,
+                transition_timestamp: new Date().toISOString(),
+                source: 'api_update'
+            }
+        }]);
+
+    await broadcastStatusUpdate(agentId, updatedStatus, userId);
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'status_history',
+            resource_type: 'agent_status',
+            resource_id: updatedStatus.id,
+            details: {
+                status: status,
+                status_message,
+                current_task_id,
+                health_score: updatedStatus.health_score,
+                cpu_usage: updatedStatus.cpu_usage,
+                memory_usage: updatedStatus.memory_usage,
+                uptime_seconds: updatedStatus.uptime_seconds,
+                transition_type: 'manual_update',
+                previous_status: oldStatus?.status || 'unknown'
+            },
+            severity: 'info'
+        }]);
+
+    return updatedStatus;
+}
+
+/**
+ * Statuses of the user's agents (or the given ones) changed since a time, for clients
+ * that poll instead of streaming. With includeHistory the status changes since then too.
+ */
+async function pollAgentStatuses(userId, { agentIds = null, since, includeHistory = false } = {}) {
+    const { data: userAgents } = await supabase
+        .from('agents')
+        .select('id')
+        .eq('user_id', userId);
+
+    if (!userAgents || userAgents.length === 0) {
+        return { statuses: [], count: 0, message: 'No agents found for user' };
+    }
+
+    let query = supabase
+        .from('agent_status')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type,
+                is_active
+            )
+        `)
+        .in('agent_id', userAgents.map(agent => agent.id));
+
+    if (agentIds) {
+        query = query.in('agent_id', agentIds);
+    }
+
+    if (since) {
+        query = query.gte('updated_at', since);
+    }
+
+    const { data: statuses, error } = await query;
+
+    if (error) {
+        logger.error('Poll agent status error:', error);
+        throw new AgentRuntimeError('Failed to poll agent statuses', 500);
+    }
+
+    let history = [];
+    if (includeHistory && since) {
+        const { data: changes } = await supabase
+            .from('agent_logs')
+            .select('*')
+            .eq('action', 'status_changed')
+            .in('agent_id', statuses.map(s => s.agent_id))
+            .gte('created_at', since)
+            .order('created_at', { ascending: false });
+
+        history = changes || [];
+    }
+
+    return {
+        statuses: statuses || [],
+        count: statuses?.length || 0,
+        history,
+        timestamp: new Date().toISOString(),
+        polling_interval_suggested: 30
+    };
+}
+
+/**
+ * Apply several status updates ({ agent_id, status, status_message, current_task_id }).
+ * Every agent must be the user's; an update that fails is reported in errors without
+ * stopping the others.
+ */
+async function bulkUpdateAgentStatus(userId, updates) {
+    if (!updates || !Array.isArray(updates) || updates.length === 0) {
+        throw new AgentRuntimeError('Updates array is required', 400);
+    }
+
+    const agentIds = updates.map(update => update.agent_id);
+    const { data: userAgents } = await supabase
+        .from('agents')
+        .select('id')
+        .eq('user_id', userId)
+        .in('id', agentIds);
+
+    if (!userAgents || userAgents.length !== agentIds.length) {
+        throw new AgentRuntimeError('Access denied to one or more agents', 403);
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const update of updates) {
+        try {
+            const { agent_id, status, status_message, current_task_id } = update;
+
+            const { data: updatedStatus, error } = await supabase
+                .from('agent_status')
+                .update(statusUpdateData(update))
+                .eq('agent_id', agent_id)
+                .select()
+                .single();
+
+            if (error) {
+                errors.push({ agent_id, error: error.message });
+                continue;
+            }
+
+            await broadcastStatusUpdate(agent_id, updatedStatus, userId);
+
+            await supabase
+                .from('agent_logs')
+                .insert([{
+                    agent_id: agent_id,
+                    user_id: userId,
+                    action: 'status_changed',
+                    details: {
+                        old_status: 'bulk_update',
+                        new_status: status,
+                        status_message,
+                        current_task_id,
+                        transition_timestamp: new Date().toISOString(),
+                        source: 'bulk_update'
+                    }
+                }]);
+
+            results.push(updatedStatus);
+
+        } catch (error) {
+            errors.push({ agent_id: update.agent_id, error: error.message });
+        }
+    }
+
+    return {
+        results,
+        errors,
+        total_processed: updates.length,
+        successful_updates: results.length,
+        failed_updates: errors.length
+    };
+}
+
+// Create status change notification
+async function createStatusNotification(agentId, userId, statusData, notificationType = 'status_change') {
+    try {
+        const { data: agent } = await supabase
+            .from('agents')
+            .select('id, name, type')
+            .eq('id', agentId)
+            .single();
+
+        if (!agent) {
+            return null;
+        }
+
+        let title, message, priority;
+
+        switch (notificationType) {
+            case 'status_change':
+                title = `Agent Status Changed: ${agent.name}`;
+                message = `Agent "${agent.name}" changed status to ${statusData.status}`;
+                priority = statusData.status === 'error' ? 4 : statusData.status === 'offline' ? 3 : 2;
+                break;
+
+            case 'heartbeat_failed':
+                title = `Agent Offline: ${agent.name}`;
+                message = `Agent "${agent.name}" has stopped sending heartbeats and may be offline`;
+                priority = 4;
+                break;
+
+            case 'high_cpu_usage':
+                title = `High CPU Usage: ${agent.name}`;
+                message = `Agent "${agent.name}" is experiencing high CPU usage (${statusData.cpu_usage}%)`;
+                priority = 3;
+                break;
+
+            case 'low_health_score':
+                title = `Agent Health Warning: ${agent.name}`;
+                message = `Agent "${agent.name}" health score is low (${statusData.health_score})`;
+                priority = 3;
+                break;
+
+            default:
+                title = `Agent Notification: ${agent.name}`;
+                message = `Agent "${agent.name}" status update`;
+                priority = 2;
+        }
+
+        const notificationData = {
+            user_id: userId,
+            type: `agent_${notificationType}`,
+            title,
+            message,
+            priority,
+            action_required: ['error', 'offline', 'heartbeat_failed'].includes(notificationType),
+            data: JSON.stringify({
+                agent_id: agentId,
+                agent_name: agent.name,
+                agent_type: agent.type,
+                status_data: statusData,
+                notification_type: notificationType,
+                timestamp: new Date().toISOString()
+            })
+        };
+
+        const { data, error } = await supabase
+            .from('notifications')
+            .insert([notificationData])
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Create status notification error:', error);
+        }
+
+        return data;
+
+    } catch (error) {
+        logger.error('Create status notification error:', error);
+        return null;
+    }
+}
+
+// Check for status alerts and create notifications
+async function checkStatusAlerts(agentId, userId, statusData, previousStatus = null) {
+    try {
+        const alerts = [];
+
+        // Check for error status
+        if (statusData.status === 'error' && previousStatus?.status !== 'error') {
+            alerts.push('status_change');
+        }
+
+        // Check for offline status
+        if (statusData.status === 'offline' && previousStatus?.status !== 'offline') {
+            alerts.push('status_change');
+        }
+
+        // Check for high CPU usage
+        if (statusData.cpu_usage && statusData.cpu_usage > 80) {
+            alerts.push('high_cpu_usage');
+        }
+
+        // Check for low health score
+        if (statusData.health_score && statusData.health_score < 0.5) {
+            alerts.push('low_health_score');
+        }
+
+        // Create notifications for alerts
+        for (const alertType of alerts) {
+            await createStatusNotification(agentId, userId, statusData, alertType);
+        }
+
+        // Check heartbeat status
+        const heartbeat = getHeartbeat(agentId);
+        if (heartbeat) {
+            const timeSinceHeartbeat = new Date() - new Date(heartbeat.timestamp);
+            const timeoutThreshold = 5 * 60 * 1000; // 5 minutes
+
+            if (timeSinceHeartbeat > timeoutThreshold) {
+                // Only create heartbeat failed notification if we haven't recently
+                const { data: recentNotifications } = await supabase
+                    .from('notifications')
+                    .select('id')
+                    .eq('user_id', userId)
+                    .eq('type', 'agent_heartbeat_failed')
+                    .gte('created_at', new Date(Date.now() - 10 * 60 * 1000).toISOString()) // Last 10 minutes
+                    .limit(1);
+
+                if (!recentNotifications || recentNotifications.length === 0) {
+                    await createStatusNotification(agentId, userId, {
+                        ...statusData,
+                        last_heartbeat: heartbeat.timestamp,
+                        time_since_heartbeat: Math.floor(timeSinceHeartbeat / 1000)
+                    }, 'heartbeat_failed');
+                }
+            }
+        }
+
+    } catch (error) {
+        logger.error('Check status alerts error:', error);
+    }
+}
+
+// Enhanced status update function with notifications
+async function updateAgentStatusWithNotifications(agentId, userId, statusData, source = 'api') {
+    try {
+        // Get current status for comparison
+        const { data: currentStatus } = await supabase
+            .from('agent_status')
+            .select('*')
+            .eq('agent_id', agentId)
+            .single();
+
+        const updateData = {
+            status: statusData.status,
+            last_activity: new Date().toISOString()
+        };
+
+        if (statusData.status_message !== undefined) updateData.status_message = statusData.status_message;
+        if (statusData.current_task_id !== undefined) updateData.current_task_id = statusData.current_task_id;
+        if (statusData.health_score !== undefined) updateData.health_score = statusData.health_score;
+        if (statusData.cpu_usage !== undefined) updateData.cpu_usage = statusData.cpu_usage;
+        if (statusData.memory_usage !== undefined) updateData.memory_usage = statusData.memory_usage;
+        if (statusData.uptime_seconds !== undefined) updateData.uptime_seconds = statusData.uptime_seconds;
+
+        const { data: updatedStatus, error } = await supabase
+            .from('agent_status')
+            .update(updateData)
+            .eq('agent_id', agentId)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Update agent status error:', error);
+            return null;
+        }
+
+        // Check for alerts and create notifications
+        await checkStatusAlerts(agentId, userId, updatedStatus, currentStatus);
+
+        // Broadcast status update
+        await broadcastStatusUpdate(agentId, updatedStatus, userId);
+
+        // Log status change with comprehensive details
+        await supabase
+            .from('agent_logs')
+            .insert([{
+                agent_id: agentId,
+                user_id: userId,
+                action: 'status_changed',
+                details: {
+                    old_status: currentStatus?.status || 'unknown',
+                    new_status: statusData.status,
+                    status_message: statusData.status_message,
+                    current_task_id: statusData.current_task_id,
+                    health_score: statusData.health_score,
+                    cpu_usage: statusData.cpu_usage,
+                    memory_usage: statusData.memory_usage,
+                    uptime_seconds: statusData.uptime_seconds,
+                    transition_timestamp: new Date().toISOString(),
+                    source,
+                    notification_sent: true
+                }
+            }]);
+
+        return updatedStatus;
+
+    } catch (error) {
+        logger.error('Update agent status with notifications error:', error);
+        return null;
+    }
+}
+
+// Where and how a client subscribes to live status for the user's active agents
+async function getStatusSubscription(userId, { agentIds = null } = {}) {
+    let agentQuery = supabase
+        .from('agents')
+        .select('id, name, type')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+    if (agentIds) {
+        agentQuery = agentQuery.in('id', agentIds);
+    }
+
+    const { data: agents, error } = await agentQuery;
+
+    if (error) {
+        logger.error('Get subscription info error:', error);
+        throw new AgentRuntimeError('Failed to get subscription info', 500);
+    }
+
+    const subscription = {
+        user_id: userId,
+        available_agents: agents || [],
+        sse_endpoint: '/api/agents/status/stream',
+        polling_endpoint: '/api/agents/status/poll',
+        heartbeat_endpoint: '/api/agents/heartbeat/status',
+        supported_events: [
+            'status_update',
+            'heartbeat',
+            'connection_established'
+        ],
+        recommended_settings: {
+            sse_reconnect_interval: 5000,
+            polling_interval: 30000,
+            heartbeat_check_interval: 60000
+        }
+    };
+
+    if (agents && agents.length > 0) {
+        subscription.agent_subscriptions = agents.map(agent => ({
+            agent_id: agent.id,
+            agent_name: agent.name,
+            sse_url: `/api/agents/status/stream?agent_ids=${agent.id}`,
+            polling_url: `/api/agents/status/poll?agent_ids=${agent.id}`,
+            heartbeat_url: `/api/agents/${agent.id}/heartbeat`,
+            history_url: `/api/agents/${agent.id}/status/history`,
+            analytics_url: `/api/agents/${agent.id}/status/analytics`
+        }));
+    }
+
+    return subscription;
+}
+
+// The agent's current status row and the metadata a requested status is validated against
+async function loadStatusChange(userId, agentId, request) {
+    const { status_message, current_task_id, health_score, cpu_usage, memory_usage, uptime_seconds, metadata = {} } = request;
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+
+    const { data: currentStatus } = await supabase
+        .from('agent_status')
+        .select('*')
+        .eq('agent_id', agentId)
+        .maybeSingle();
+
+    return {
+        agent,
+        currentStatus,
+        statusMetadata: {
+            status_message,
+            current_task_id,
+            health_score,
+            cpu_usage,
+            memory_usage,
+            uptime_seconds,
+            ...metadata
+        }
+    };
+}
+
+/**
+ * Set an agent's status and metrics after checking the transition and metadata against
+ * VALID_STATUS_TRANSITIONS and STATUS_METADATA_RULES (unless skip_validation). Changed
+ * metadata fields are logged, and alerts are raised for the new status.
+ */
+async function setValidatedAgentStatus(userId, agentId, request = {}) {
+    const {
+        status,
+        status_message,
+        current_task_id,
+        health_score,
+        cpu_usage,
+        memory_usage,
+        uptime_seconds,
+        metadata = {},
+        skip_validation = false
+    } = request;
+
+    if (!status) {
+        throw new AgentRuntimeError('Status is required', 400);
+    }
+
+    const { currentStatus, statusMetadata } = await loadStatusChange(userId, agentId, request);
+
+    const validationResult = skip_validation
+        ? { isValid: true, errors: [], warnings: [] }
+        : validateStatusTransition(currentStatus?.status, status, statusMetadata);
+
+    if (!validationResult.isValid) {
+        throw new AgentRuntimeError('Status update validation failed', 400, {
+            validation_errors: validationResult.errors,
+            validation_warnings: validationResult.warnings
+        });
+    }
+
+    const updateData = statusUpdateData({ status, status_message, current_task_id });
+    if (health_score !== undefined) updateData.health_score = health_score;
+    if (cpu_usage !== undefined) updateData.cpu_usage = cpu_usage;
+    if (memory_usage !== undefined) updateData.memory_usage = memory_usage;
+    if (uptime_seconds !== undefined) updateData.uptime_seconds = uptime_seconds;
+
+    const { data: updatedStatus, error } = await supabase
+        .from('agent_status')
+        .update(updateData)
+        .eq('agent_id', agentId)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Update agent status error:', error);
+        throw new AgentRuntimeError('Failed to update agent status', 500);
+    }
+
+    const metadataChanges = {};
+    if (currentStatus) {
+        Object.keys(STATUS_METADATA_RULES).forEach(field => {
+            const oldValue = currentStatus[field];
+            const newValue = updateData[field];
+            if (oldValue !== newValue && (oldValue !== undefined || newValue !== undefined)) {
+                metadataChanges[field] = {
+                    old_value: oldValue,
+                    new_value: newValue,
+                    changed_at: new Date().toISOString()
+                };
+            }
+        });
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'status_changed_validated',
+            details: {
+                old_status: currentStatus?.status || 'unknown',
+                new_status: status,
+                status_message,
+                current_task_id,
+                health_score,
+                cpu_usage,
+                memory_usage,
+                uptime_seconds,
+                metadata,
+                metadata_changes: metadataChanges,
+                validation_performed: !skip_validation,
+                validation_warnings: validationResult.warnings,
+                transition_timestamp: new Date().toISOString(),
+                source: 'validated_api'
+            }
+        }]);
+
+    await broadcastStatusUpdate(agentId, updatedStatus, userId);
+    await checkStatusAlerts(agentId, userId, updatedStatus, currentStatus);
+
+    return {
+        status: updatedStatus,
+        validation: {
+            performed: !skip_validation,
+            warnings: validationResult.warnings
+        },
+        metadata_changes: Object.keys(metadataChanges).length > 0 ? metadataChanges : null
+    };
+}
+
+// Validate a status change without applying it, with hints for fixing what fails
+async function previewStatusChange(userId, agentId, request = {}) {
+    const { status } = request;
+
+    if (!status) {
+        throw new AgentRuntimeError('Status is required for validation', 400);
+    }
+
+    const { agent, currentStatus, statusMetadata } = await loadStatusChange(userId, agentId, request);
+    const validationResult = validateStatusTransition(currentStatus?.status, status, statusMetadata);
+
+    const validation = {
+        ...validationResult,
+        current_status: currentStatus?.status || 'unknown',
+        requested_status: status,
+        agent_name: agent.name,
+        timestamp: new Date().toISOString()
+    };
+
+    if (!validationResult.isValid) {
+        validation.suggestions = [];
+
+        validationResult.errors.forEach(error => {
+            if (error.includes('required for status')) {
+                validation.suggestions.push('Provide the missing required field(s) for the new status');
+            } else if (error.includes('Invalid status transition')) {
+                validation.suggestions.push('Choose a valid status transition or use skip_validation=true if necessary');
+            } else if (error.includes('must be')) {
+                validation.suggestions.push('Correct the field value to meet the validation requirements');
+            }
+        });
+    }
+
+    return {
+        validation,
+        agent: {
+            id: agent.id,
+            name: agent.name
+        }
+    };
+}
+
+// Valid status transitions
+const VALID_STATUS_TRANSITIONS = {
+    'idle': ['busy', 'offline', 'error', 'maintenance'],
+    'busy': ['idle', 'completed', 'error', 'offline', 'maintenance'],
+    'completed': ['idle', 'busy', 'offline', 'maintenance'],
+    'error': ['idle', 'offline', 'maintenance'],
+    'offline': ['idle', 'busy', 'maintenance'],
+    'maintenance': ['idle', 'busy', 'offline']
+};
+
+// Status metadata validation rules
+const STATUS_METADATA_RULES = {
+    health_score: {
+        type: 'number',
+        min: 0.0,
+        max: 1.0,
+        required_for: ['active', 'busy', 'completed']
+    },
+    cpu_usage: {
+        type: 'number',
+        min: 0.0,
+        max: 100.0,
+        required_for: []
+    },
+    memory_usage: {
+        type: 'number',
+        min: 0.0,
+        max: 100.0,
+        required_for: []
+    },
+    uptime_seconds: {
+        type: 'number',
+        min: 0,
+        required_for: ['active', 'busy', 'completed']
+    },
+    status_message: {
+        type: 'string',
+        max_length: 500,
+        required_for: ['error', 'maintenance']
+    },
+    current_task_id: {
+        type: 'uuid',
+        required_for: ['busy']
+    }
+};
+
+// Validate status transition
+function validateStatusTransition(currentStatus, newStatus, metadata = {}) {
+    const validationResult = {
+        isValid: true,
+        errors: [],
+        warnings: []
+    };
+
+    // Check if transition is allowed
+    if (currentStatus && VALID_STATUS_TRANSITIONS[currentStatus]) {
+        if (!VALID_STATUS_TRANSITIONS[currentStatus].includes(newStatus)) {
+            validationResult.isValid = false;
+            validationResult.errors.push(
+                `Invalid status transition: ${currentStatus} -> ${newStatus}. Allowed transitions: ${VALID_STATUS_TRANSITIONS[currentStatus].join(', ')}`
+            );
+        }
+    }
+
+    // Validate metadata based on new status
+    const rules = STATUS_METADATA_RULES;
+
+    for (const [field, rule] of Object.entries(rules)) {
+        const value = metadata[field];
+
+        // Check required fields
+        if (rule.required_for && rule.required_for.includes(newStatus)) {
+            if (value === undefined || value === null) {
+                validationResult.isValid = false;
+                validationResult.errors.push(
+                    `Field '${field}' is required for status '${newStatus}'`
+                );
+            }
+        }
+
+        // Validate field types and ranges
+        if (value !== undefined && value !== null) {
+            switch (rule.type) {
+                case 'number':
+                    if (typeof value !== 'number' || isNaN(value)) {
+                        validationResult.isValid = false;
+                        validationResult.errors.push(
+                            `Field '${field}' must be a number`
+                        );
+                    } else {
+                        if (rule.min !== undefined && value < rule.min) {
+                            validationResult.isValid = false;
+                            validationResult.errors.push(
+                                `Field '${field}' must be >= ${rule.min}`
+                            );
+                        }
+                        if (rule.max !== undefined && value > rule.max) {
+                            validationResult.isValid = false;
+                            validationResult.errors.push(
+                                `Field '${field}' must be <= ${rule.max}`
+                            );
+                        }
+                    }
+                    break;
+
+                case 'string':
+                    if (typeof value !== 'string') {
+                        validationResult.isValid = false;
+                        validationResult.errors.push(
+                            `Field '${field}' must be a string`
+                        );
+                    } else if (rule.max_length && value.length > rule.max_length) {
+                        validationResult.isValid = false;
+                        validationResult.errors.push(
+                            `Field '${field}' must be <= ${rule.max_length} characters`
+                        );
+                    }
+                    break;
+
+                case 'uuid':
+                    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+                    if (typeof value !== 'string' || !uuidRegex.test(value)) {
+                        validationResult.isValid = false;
+                        validationResult.errors.push(
+                            `Field '${field}' must be a valid UUID`
+                        );
+                    }
+                    break;
+            }
+        }
+    }
+
+    // Add warnings for unusual transitions
+    if (currentStatus === 'error' && newStatus === 'busy') {
+        validationResult.warnings.push(
+            'Transitioning from error to busy status. Ensure the error has been resolved.'
+        );
+    }
+
+    if (currentStatus === 'maintenance' && newStatus === 'busy') {
+        validationResult.warnings.push(
+            'Transitioning from maintenance to busy status. Ensure maintenance is complete.'
+        );
+    }
+
+    return validationResult;
+}
+
+module.exports = {
+    getAgentStatus,
+    setAgentStatus,
+    pollAgentStatuses,
+    bulkUpdateAgentStatus,
+    getStatusSubscription,
+    setValidatedAgentStatus,
+    previewStatusChange,
+    VALID_STATUS_TRANSITIONS,
+    STATUS_METADATA_RULES,
+    validateStatusTransition,
+    createStatusNotification,
+    checkStatusAlerts,
+    updateAgentStatusWithNotifications
+};
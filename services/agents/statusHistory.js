@@ -0,0 +1,503 @@
+/**
+ * Agent Status History
+ * Status changes, status snapshots and heartbeats recorded in agent_logs, the transition
+ * analytics built from them, and the status alerts raised as notifications
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { getOwnedAgent } = require('./registry');
+const { STATUS_METADATA_RULES } = require('./status');
+
+const STATUS_LOG_ACTIONS = ['status_changed', 'status_history', 'heartbeat'];
+
+// since/until bounds, and 'manual' (API updates) or 'automatic' (snapshots and heartbeats)
+function filterStatusLogs(query, { since, until, status_type }) {
+    if (since) {
+        query = query.gte('created_at', since);
+    }
+
+    if (until) {
+        query = query.lte('created_at', until);
+    }
+
+    if (status_type === 'manual') {
+        query = query.eq('action', 'status_changed');
+    } else if (status_type === 'automatic') {
+        query = query.in('action', ['status_history', 'heartbeat']);
+    }
+
+    return query;
+}
+
+// One agent's status history, newest first, with how often each transition happened
+async function getAgentStatusHistory(userId, agentId, {
+    limit = 100,
+    offset = 0,
+    since,
+    until,
+    status_type,
+    include_metadata = 'true'
+} = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+
+    const query = supabase
+        .from('agent_logs')
+        .select('*')
+        .eq('agent_id', agentId)
+        .in('action', STATUS_LOG_ACTIONS)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    const { data: history, error } = await filterStatusLogs(query, { since, until, status_type });
+
+    if (error) {
+        logger.error('Get agent status history error:', error);
+        throw new AgentRuntimeError('Failed to fetch status history', 500);
+    }
+
+    const formattedHistory = history.map(entry => {
+        const details = entry.details || {};
+
+        return {
+            id: entry.id,
+            timestamp: entry.created_at,
+            action: entry.action,
+            status: details.status || details.new_status,
+            previous_status: details.old_status || details.previous_status,
+            status_message: details.status_message,
+            current_task_id: details.current_task_id,
+            source: details.source || 'unknown',
+            transition_type: details.transition_type,
+            health_score: details.health_score,
+            cpu_usage: details.cpu_usage,
+            memory_usage: details.memory_usage,
+            uptime_seconds: details.uptime_seconds,
+            metadata: include_metadata === 'true' ? details.metadata : undefined,
+            severity: entry.severity,
+            user_id: entry.user_id
+        };
+    });
+
+    const transitions = {};
+    formattedHistory.forEach(entry => {
+        if (entry.status && entry.previous_status) {
+            const transition = `${entry.previous_status}->${entry.status}`;
+            transitions[transition] = (transitions[transition] || 0) + 1;
+        }
+    });
+
+    return {
+        agent_id: agentId,
+        agent_name: agent.name,
+        history: formattedHistory,
+        count: formattedHistory.length,
+        transitions,
+        has_more: formattedHistory.length === parseInt(limit),
+        period: {
+            since,
+            until,
+            total_records: formattedHistory.length
+        }
+    };
+}
+
+// Status history across the user's agents (or the given ones), optionally grouped by agent
+async function listStatusHistory(userId, {
+    limit = 200,
+    offset = 0,
+    since,
+    until,
+    agent_ids,
+    status_type,
+    group_by_agent = 'false'
+} = {}) {
+    let agentQuery = supabase
+        .from('agents')
+        .select('id, name')
+        .eq('user_id', userId);
+
+    if (agent_ids) {
+        agentQuery = agentQuery.in('id', agent_ids.split(','));
+    }
+
+    const { data: userAgents, error: agentError } = await agentQuery;
+
+    if (agentError || !userAgents || userAgents.length === 0) {
+        return {
+            history: [],
+            agents: [],
+            summary: { total_entries: 0, agents_with_history: 0 }
+        };
+    }
+
+    const query = supabase
+        .from('agent_logs')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type
+            )
+        `)
+        .in('agent_id', userAgents.map(agent => agent.id))
+        .in('action', STATUS_LOG_ACTIONS)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    const { data: history, error } = await filterStatusLogs(query, { since, until, status_type });
+
+    if (error) {
+        logger.error('Get all agents status history error:', error);
+        throw new AgentRuntimeError('Failed to fetch status history', 500);
+    }
+
+    let result = history || [];
+
+    if (group_by_agent === 'true') {
+        const grouped = {};
+        result.forEach(entry => {
+            if (!grouped[entry.agent_id]) {
+                grouped[entry.agent_id] = {
+                    agent_id: entry.agent_id,
+                    agent_name: entry.agents.name,
+                    agent_type: entry.agents.type,
+                    history: []
+                };
+            }
+            grouped[entry.agent_id].history.push(entry);
+        });
+        result = Object.values(grouped);
+    }
+
+    const summary = {
+        total_entries: history?.length || 0,
+        agents_with_history: new Set(history?.map(h => h.agent_id) || []).size,
+        date_range: {
+            earliest: history?.length > 0 ? history[history.length - 1]?.created_at : null,
+            latest: history?.length > 0 ? history[0]?.created_at : null
+        },
+        action_breakdown: {}
+    };
+
+    history?.forEach(entry => {
+        summary.action_breakdown[entry.action] = (summary.action_breakdown[entry.action] || 0) + 1;
+    });
+
+    return {
+        history: result,
+        agents: userAgents,
+        summary,
+        has_more: (history?.length || 0) === parseInt(limit),
+        filters: {
+            agent_ids: agent_ids?.split(','),
+            status_type,
+            group_by_agent: group_by_agent === 'true',
+            date_range: { since, until }
+        }
+    };
+}
+
+/**
+ * How an agent's status moved over the last days: how often each status and transition
+ * occurred, how long each status lasted on average and the share of time it was up.
+ */
+async function getStatusAnalytics(userId, agentId, { days = 30 } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+
+    const { data: history, error } = await supabase
+        .from('agent_logs')
+        .select('*')
+        .eq('agent_id', agentId)
+        .in('action', ['status_changed', 'status_history'])
+        .gte('created_at', startDate.toISOString())
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Get status analytics error:', error);
+        throw new AgentRuntimeError('Failed to fetch status analytics', 500);
+    }
+
+    const analytics = {
+        agent_id: agentId,
+        agent_name: agent.name,
+        period_days: parseInt(days),
+        total_transitions: 0,
+        status_distribution: {},
+        transition_matrix: {},
+        uptime_percentage: 0,
+        average_status_duration: {},
+        most_frequent_transitions: []
+    };
+
+    let currentStatus = null;
+    let statusStartTime = null;
+    const statusDurations = {};
+    const transitionCounts = {};
+
+    for (const entry of history || []) {
+        const details = entry.details || {};
+        const newStatus = details.status || details.new_status;
+
+        if (newStatus) {
+            analytics.status_distribution[newStatus] = (analytics.status_distribution[newStatus] || 0) + 1;
+
+            if (currentStatus && currentStatus !== newStatus) {
+                const transition = `${currentStatus}->${newStatus}`;
+                transitionCounts[transition] = (transitionCounts[transition] || 0) + 1;
+                analytics.total_transitions++;
+
+                if (statusStartTime) {
+                    const duration = new Date(entry.created_at) - new Date(statusStartTime);
+                    if (!statusDurations[currentStatus]) {
+                        statusDurations[currentStatus] = [];
+                    }
+                    statusDurations[currentStatus].push(duration);
+                }
+            }
+
+            currentStatus = newStatus;
+            statusStartTime = entry.created_at;
+        }
+    }
+
+    Object.keys(statusDurations).forEach(status => {
+        const durations = statusDurations[status];
+        const totalDuration = durations.reduce((sum, d) => sum + d, 0);
+        analytics.average_status_duration[status] = totalDuration / durations.length;
+    });
+
+    Object.keys(transitionCounts).forEach(transition => {
+        const [from, to] = transition.split('->');
+        if (!analytics.transition_matrix[from]) {
+            analytics.transition_matrix[from] = {};
+        }
+        analytics.transition_matrix[from][to] = transitionCounts[transition];
+    });
+
+    analytics.most_frequent_transitions = Object.entries(transitionCounts)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([transition, count]) => ({
+            transition,
+            count,
+            percentage: (count / analytics.total_transitions) * 100
+        }));
+
+    // Up means active or idle
+    const activeTime = (analytics.average_status_duration.active || 0) +
+                      (analytics.average_status_duration.idle || 0);
+    const totalTime = Object.values(analytics.average_status_duration)
+        .reduce((sum, duration) => sum + duration, 0);
+
+    analytics.uptime_percentage = totalTime > 0 ? (activeTime / totalTime) * 100 : 0;
+
+    return analytics;
+}
+
+// How often each status metadata field changed through validated updates, and its latest value
+async function getStatusMetadataTracking(userId, agentId, { days = 7 } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+
+    const { data: metadataLogs, error } = await supabase
+        .from('agent_logs')
+        .select('*')
+        .eq('agent_id', agentId)
+        .eq('action', 'status_changed_validated')
+        .gte('created_at', startDate.toISOString())
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        logger.error('Get metadata tracking error:', error);
+        throw new AgentRuntimeError('Failed to fetch metadata tracking', 500);
+    }
+
+    const fields = Object.keys(STATUS_METADATA_RULES);
+    const tracking = {
+        agent_id: agentId,
+        agent_name: agent.name,
+        period_days: parseInt(days),
+        field_changes: Object.fromEntries(fields.map(field => [field, []])),
+        recent_values: {},
+        change_frequency: {}
+    };
+
+    // Logs are newest first, so the first value seen for a field is its latest
+    (metadataLogs || []).forEach(log => {
+        const details = log.details || {};
+
+        Object.entries(details.metadata_changes || {}).forEach(([field, change]) => {
+            tracking.field_changes[field].push({
+                timestamp: log.created_at,
+                old_value: change.old_value,
+                new_value: change.new_value,
+                status_at_change: details.new_status
+            });
+        });
+
+        fields.forEach(field => {
+            if (details[field] !== undefined && !tracking.recent_values[field]) {
+                tracking.recent_values[field] = {
+                    value: details[field],
+                    timestamp: log.created_at,
+                    status: details.new_status
+                };
+            }
+        });
+    });
+
+    fields.forEach(field => {
+        const totalChanges = tracking.field_changes[field].length;
+        tracking.change_frequency[field] = {
+            total_changes: totalChanges,
+            changes_per_hour: totalChanges / (parseInt(days) * 24),
+            changes_per_day: totalChanges / parseInt(days)
+        };
+    });
+
+    return tracking;
+}
+
+// The user's agent alerts, newest first; resolved ones only when asked for
+async function listStatusNotifications(userId, {
+    limit = 50,
+    offset = 0,
+    agent_ids,
+    notification_types,
+    since,
+    include_resolved = 'false'
+} = {}) {
+    let query = supabase
+        .from('notifications')
+        .select(`
+            *,
+            agent_data:agent_id (
+                id,
+                name,
+                type
+            )
+        `)
+        .eq('user_id', userId)
+        .like('type', 'agent_%')
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (include_resolved !== 'true') {
+        query = query.neq('status', 'resolved');
+    }
+
+    if (since) {
+        query = query.gte('created_at', since);
+    }
+
+    if (notification_types) {
+        query = query.in('type', notification_types.split(','));
+    }
+
+    const { data: notifications, error } = await query;
+
+    if (error) {
+        logger.error('Get status notifications error:', error);
+        throw new AgentRuntimeError('Failed to fetch status notifications', 500);
+    }
+
+    // The agent an alert is about is recorded in its data
+    const requestedIds = agent_ids ? agent_ids.split(',') : null;
+    const enrichedNotifications = (notifications || [])
+        .map(notification => ({ notification, data: JSON.parse(notification.data || '{}') }))
+        .filter(({ data }) => !requestedIds || requestedIds.includes(data.agent_id))
+        .map(({ notification, data }) => ({
+            ...notification,
+            agent_name: data.agent_name,
+            agent_type: data.agent_type,
+            status_data: data.status_data,
+            notification_type: data.notification_type,
+            alert_timestamp: data.timestamp
+        }));
+
+    return {
+        notifications: enrichedNotifications,
+        count: enrichedNotifications.length,
+        has_more: enrichedNotifications.length === parseInt(limit),
+        filters: {
+            agent_ids: agent_ids?.split(','),
+            notification_types: notification_types?.split(','),
+            include_resolved: include_resolved === 'true',
+            since
+        }
+    };
+}
+
+// Mark an alert resolved, keeping the resolution notes in its data
+async function resolveStatusNotification(userId, notificationId, { resolution_notes } = {}) {
+    const { data: notification, error: fetchError } = await supabase
+        .from('notifications')
+        .select('*')
+        .eq('id', notificationId)
+        .eq('user_id', userId)
+        .single();
+
+    if (fetchError || !notification) {
+        throw new AgentRuntimeError('Notification not found', 404);
+    }
+
+    const notificationData = JSON.parse(notification.data || '{}');
+    const updateData = {
+        status: 'resolved',
+        updated_at: new Date().toISOString()
+    };
+
+    if (resolution_notes) {
+        updateData.data = JSON.stringify({
+            ...notificationData,
+            resolution_notes,
+            resolved_at: new Date().toISOString()
+        });
+    }
+
+    const { data: updatedNotification, error: updateError } = await supabase
+        .from('notifications')
+        .update(updateData)
+        .eq('id', notificationId)
+        .select()
+        .single();
+
+    if (updateError) {
+        logger.error('Resolve status notification error:', updateError);
+        throw new AgentRuntimeError('Failed to resolve notification', 500);
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: notificationData.agent_id,
+            user_id: userId,
+            action: 'notification_resolved',
+            resource_type: 'notification',
+            resource_id: notificationId,
+            details: {
+                notification_type: notification.type,
+                resolution_notes,
+                resolved_at: new Date().toISOString()
+            }
+        }]);
+
+    return updatedNotification;
+}
+
+module.exports = {
+    getAgentStatusHistory,
+    listStatusHistory,
+    getStatusAnalytics,
+    getStatusMetadataTracking,
+    listStatusNotifications,
+    resolveStatusNotification
+};
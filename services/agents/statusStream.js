@@ -0,0 +1,202 @@
+/**
+ * Agent Status Stream
+ * Server-Sent Events connections, per-agent subscribers and the in-memory
+ * heartbeat registry used by the status and heartbeat routes
+ */
+
+const { logger } = require('../../utils/logger');
+
+// Store active SSE connections
+const activeConnections = new Map();
+
+// Store agent status subscribers
+const statusSubscribers = new Map();
+
+// Store heartbeat timestamps
+const agentHeartbeats = new Map();
+
+// Register an SSE response and start streaming status events to it
+function openStatusStream(req, res, userId, agentIds = null) {
+    // Set SSE headers
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control',
+    });
+
+    // Send initial connection confirmation
+    res.write(`data: ${JSON.stringify({
+        type: 'connection_established',
+        user_id: userId,
+        timestamp: new Date().toISOString()
+    })}\n\n`);
+
+    // Store connection for broadcasting
+    const connectionId = `${userId}_${Date.now()}`;
+    activeConnections.set(connectionId, {
+        res,
+        userId,
+        agentIds,
+        lastActivity: new Date()
+    });
+
+    // Initialize subscribers for requested agents
+    if (agentIds) {
+        agentIds.forEach(agentId => {
+            if (!statusSubscribers.has(agentId)) {
+                statusSubscribers.set(agentId, new Set());
+            }
+            statusSubscribers.get(agentId).add(connectionId);
+        });
+    }
+
+    // Send heartbeat every 30 seconds to keep connection alive
+    const heartbeatInterval = setInterval(() => {
+        try {
+            res.write(`data: ${JSON.stringify({
+                type: 'heartbeat',
+                timestamp: new Date().toISOString()
+            })}\n\n`);
+        } catch (error) {
+            clearInterval(heartbeatInterval);
+            activeConnections.delete(connectionId);
+        }
+    }, 30000);
+
+    // Handle client disconnect
+    req.on('close', () => {
+        clearInterval(heartbeatInterval);
+        closeStatusStream(connectionId);
+        logger.info(`SSE connection closed for user ${userId}, connection ${connectionId}`);
+    });
+
+    logger.info(`SSE connection established for user ${userId}, connection ${connectionId}`);
+
+    return connectionId;
+}
+
+// Remove an SSE connection and its subscriptions
+function closeStatusStream(connectionId) {
+    activeConnections.delete(connectionId);
+
+    for (const [agentId, subscribers] of statusSubscribers) {
+        if (subscribers.has(connectionId)) {
+            subscribers.delete(connectionId);
+            if (subscribers.size === 0) {
+                statusSubscribers.delete(agentId);
+            }
+        }
+    }
+}
+
+// Broadcast status update to subscribers
+async function broadcastStatusUpdate(agentId, statusData, userId = null) {
+    try {
+        const subscribers = statusSubscribers.get(agentId);
+        if (!subscribers || subscribers.size === 0) {
+            return; // No subscribers for this agent
+        }
+
+        const eventData = {
+            type: 'status_update',
+            agent_id: agentId,
+            status: statusData,
+            timestamp: new Date().toISOString(),
+            user_id: userId
+        };
+
+        const dataString = `data: ${JSON.stringify(eventData)}\n\n`;
+
+        // Send to specific subscribers
+        for (const connectionId of subscribers) {
+            const connection = activeConnections.get(connectionId);
+            if (connection && connection.res) {
+                try {
+                    connection.res.write(dataString);
+                    connection.lastActivity = new Date();
+                } catch (error) {
+                    // Connection is dead, remove it
+                    activeConnections.delete(connectionId);
+                    subscribers.delete(connectionId);
+                    if (subscribers.size === 0) {
+                        statusSubscribers.delete(agentId);
+                    }
+                }
+            }
+        }
+
+        // Also broadcast to connections that want all status updates (no specific agent_ids)
+        for (const [connectionId, connection] of activeConnections) {
+            if (connection.agentIds === null && connection.res) {
+                try {
+                    connection.res.write(dataString);
+                    connection.lastActivity = new Date();
+                } catch (error) {
+                    activeConnections.delete(connectionId);
+                }
+            }
+        }
+
+        logger.debug(`Broadcasted status update for agent ${agentId} to ${subscribers.size} subscribers`);
+
+    } catch (error) {
+        logger.error('Broadcast status update error:', error);
+    }
+}
+
+// Record a heartbeat received from an agent
+function recordHeartbeat(agentId, heartbeat) {
+    agentHeartbeats.set(agentId, heartbeat);
+}
+
+// Get the last heartbeat received from an agent
+function getHeartbeat(agentId) {
+    return agentHeartbeats.get(agentId);
+}
+
+// Close SSE connections that have been inactive for 5 minutes
+function cleanupInactiveStreams() {
+    const now = new Date();
+    const timeoutMs = 5 * 60 * 1000; // 5 minutes
+
+    for (const [connectionId, connection] of activeConnections) {
+        if (now - connection.lastActivity > timeoutMs) {
+            try {
+                connection.res.end();
+            } catch (error) {
+                // Connection already closed
+            }
+            closeStatusStream(connectionId);
+        }
+    }
+
+    logger.debug(`Cleaned up ${activeConnections.size} active connections`);
+}
+
+// Forget heartbeats older than 10 minutes
+function cleanupStaleHeartbeats() {
+    const currentTime = new Date();
+    const staleThreshold = 10 * 60 * 1000; // 10 minutes
+
+    for (const [agentId, heartbeat] of agentHeartbeats) {
+        const timeSinceHeartbeat = currentTime - new Date(heartbeat.timestamp);
+        if (timeSinceHeartbeat > staleThreshold) {
+            agentHeartbeats.delete(agentId);
+            logger.debug(`Cleaned up stale heartbeat for agent ${agentId}`);
+        }
+    }
+
+    logger.debug(`Heartbeat cleanup: ${agentHeartbeats.size} active heartbeats remaining`);
+}
+
+module.exports = {
+    openStatusStream,
+    closeStatusStream,
+    broadcastStatusUpdate,
+    recordHeartbeat,
+    getHeartbeat,
+    cleanupInactiveStreams,
+    cleanupStaleHeartbeats
+};
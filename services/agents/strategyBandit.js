@@ -0,0 +1,196 @@
+/**
+ * Strategy Bandit
+ * A contextual bandit for DaddyAgent's strategies: the tone of a reminder, how long to
+ * wait before following it up, and which kind of suggestion to make. Each decision keeps
+ * a Beta posterior per arm for every context (task priority and time of day) and picks
+ * arms by Thompson sampling. Rewards run from 0 to 1. With a seed the choices are
+ * reproducible, which tests rely on.
+ */
+
+const DECISIONS = {
+    reminder_tone: ['brief', 'balanced', 'detailed'],
+    reminder_timing: ['2h', '6h', '12h'],
+    suggestion_type: ['timing_suggestion', 'priority_assessment', 'progress_check', 'completion_prediction', 'task_breakdown']
+};
+
+// Parts of the day, by the hour they start in the user's timezone
+const DAYPARTS = [
+    { name: 'night', from: 0 },
+    { name: 'morning', from: 5 },
+    { name: 'afternoon', from: 12 },
+    { name: 'evening', from: 17 },
+    { name: 'night', from: 22 }
+];
+
+class StrategyBanditError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StrategyBanditError';
+    }
+}
+
+// Context a decision is made in: 'high' or 'normal' priority, and the part of the day
+function strategyContext({ priority, hour }) {
+    const daypart = DAYPARTS.filter(part => hour >= part.from).pop().name;
+    return `${priority <= 2 ? 'high' : 'normal'}:${daypart}`;
+}
+
+// String seeds are hashed (FNV-1a) so "daddy-test" works as well as 42
+function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough to sample with
+function seededRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function sampleNormal(random) {
+    const u = random() || Number.MIN_VALUE;
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Marsaglia and Tsang's method; shapes below 1 are boosted and scaled back down
+function sampleGamma(shape, random) {
+    if (shape < 1) {
+        return sampleGamma(shape + 1, random) * Math.pow(random() || Number.MIN_VALUE, 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+
+        v = v * v * v;
+        const u = random();
+        if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+            return d * v;
+        }
+    }
+}
+
+function sampleBeta(alpha, beta, random) {
+    const x = sampleGamma(alpha, random);
+    const y = sampleGamma(beta, random);
+    return x / (x + y);
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+class StrategyBandit {
+    /**
+     * `policies` is a previous toJSON(); `seed` makes the sampling deterministic
+     */
+    constructor({ policies = {}, seed = null } = {}) {
+        this.policies = policies;
+        this.random = seed === null || seed === undefined || seed === '' ? Math.random : seededRandom(seed);
+    }
+
+    // Posterior for one arm, starting from a uniform Beta(1, 1)
+    _arm(decision, context, arm) {
+        if (!DECISIONS[decision]) {
+            throw new StrategyBanditError(`Unknown decision: ${decision}`);
+        }
+        const contexts = this.policies[decision] || (this.policies[decision] = {});
+        const arms = contexts[context] || (contexts[context] = {});
+        return arms[arm] || (arms[arm] = { alpha: 1, beta: 1, pulls: 0 });
+    }
+
+    /**
+     * Pick an arm for the decision in `context`, from `candidates` (default: all of the
+     * decision's arms). Resolves to { decision, context, arm }.
+     */
+    choose(decision, context, candidates = DECISIONS[decision]) {
+        if (!DECISIONS[decision]) {
+            throw new StrategyBanditError(`Unknown decision: ${decision}`);
+        }
+
+        const arms = (candidates || []).filter(arm => DECISIONS[decision].includes(arm));
+        if (arms.length === 0) {
+            throw new StrategyBanditError(`No arms to choose from for ${decision}`);
+        }
+
+        let best = null;
+        for (const arm of arms) {
+            const { alpha, beta } = this._arm(decision, context, arm);
+            const sample = sampleBeta(alpha, beta, this.random);
+            if (!best || sample > best.sample) {
+                best = { arm, sample };
+            }
+        }
+        return { decision, context, arm: best.arm };
+    }
+
+    // Credit a choice with a reward between 0 (failed) and 1 (worked)
+    reward({ decision, context, arm }, value) {
+        const reward = Math.min(1, Math.max(0, Number(value) || 0));
+        const posterior = this._arm(decision, context, arm);
+
+        posterior.alpha += reward;
+        posterior.beta += 1 - reward;
+        posterior.pulls++;
+    }
+
+    /**
+     * Mean reward over every rewarded choice, or null before there are any
+     */
+    effectiveness() {
+        let rewards = 0;
+        let pulls = 0;
+        for (const contexts of Object.values(this.policies)) {
+            for (const arms of Object.values(contexts)) {
+                for (const { alpha, pulls: armPulls } of Object.values(arms)) {
+                    rewards += alpha - 1;
+                    pulls += armPulls;
+                }
+            }
+        }
+        return pulls > 0 ? round(rewards / pulls) : null;
+    }
+
+    /**
+     * Per decision and context: each arm's rewarded choices and posterior mean, and the
+     * arm with the best mean so far
+     */
+    summary() {
+        return Object.fromEntries(Object.entries(this.policies).map(([decision, contexts]) => [
+            decision,
+            Object.fromEntries(Object.entries(contexts).map(([context, arms]) => {
+                const stats = Object.fromEntries(Object.entries(arms).map(([arm, { alpha, beta, pulls }]) => [
+                    arm,
+                    { pulls, mean: round(alpha / (alpha + beta)) }
+                ]));
+                const best = Object.entries(stats).sort((a, b) => b[1].mean - a[1].mean)[0];
+                return [context, { best: best ? best[0] : null, arms: stats }];
+            }))
+        ]));
+    }
+
+    toJSON() {
+        return this.policies;
+    }
+}
+
+module.exports = {
+    DECISIONS,
+    StrategyBandit,
+    StrategyBanditError,
+    strategyContext,
+    seededRandom
+};
@@ -0,0 +1,133 @@
+/**
+ * Task Breakdown
+ * Asks the LLM to split a large or stalled task into concrete subtasks with time
+ * estimates, sized to the step length the user has shown they prefer. As with the
+ * agentic planner the LLM is injected so tests can run against a stub; without one
+ * (or when its answer is unusable) there is no breakdown to offer.
+ */
+
+const { logger } = require('../../utils/logger');
+const { llm: registry } = require('../llm');
+
+const DEFAULT_STEP_MINUTES = 45;
+const MIN_STEP_MINUTES = 10;
+const MAX_STEP_MINUTES = 240;
+const MAX_SUBTASKS = 12;
+
+// Feedback on how a rejected breakdown missed: steps too small or too big
+const GRANULARITY_FEEDBACK = ['too_detailed', 'too_coarse'];
+
+// How far an accepted breakdown pulls the preferred step length towards its own
+const ACCEPTED_WEIGHT = 0.3;
+
+const clampStep = minutes => Math.round(Math.min(MAX_STEP_MINUTES, Math.max(MIN_STEP_MINUTES, minutes)));
+
+// Default LLM backed by the shared provider registry; returns null when no provider is configured
+function createDefaultBreakdownLLM() {
+    if (!registry.hasConfiguredProvider()) {
+        return null;
+    }
+
+    return {
+        async complete({ system, prompt }) {
+            const result = await registry.complete({
+                model: process.env.TASK_BREAKDOWN_MODEL || null,
+                system,
+                prompt,
+                temperature: 0.3,
+                max_tokens: 1500,
+                json: true
+            });
+            return result.content;
+        }
+    };
+}
+
+function normalizeSubtask(raw, stepMinutes) {
+    const minutes = Number(raw.estimated_minutes);
+
+    return {
+        title: String(raw.title || '').trim().substring(0, 1000),
+        description: raw.description ? String(raw.description).trim() : '',
+        estimated_minutes: minutes > 0 ? Math.round(minutes) : stepMinutes
+    };
+}
+
+/**
+ * Propose subtasks for a task. Resolves to { subtasks, total_minutes, step_minutes }, or
+ * null when there is no LLM or it gave no usable breakdown. `stalled` tells the model the
+ * user has been stuck on the task.
+ */
+async function proposeBreakdown(task, { stepMinutes = DEFAULT_STEP_MINUTES, stalled = false, llm = createDefaultBreakdownLLM() } = {}) {
+    if (!llm) {
+        return null;
+    }
+
+    const system = 'You break tasks into concrete, actionable subtasks a person can start right away. ' +
+        'Respond with JSON only: {"subtasks":[{"title":"...","description":"...","estimated_minutes":30}]}';
+
+    const prompt = [
+        `Task: ${task.title}`,
+        task.description ? `Description:\n${task.description}` : null,
+        task.estimated_duration ? `Estimated duration: ${task.estimated_duration} minutes` : null,
+        task.deadline ? `Deadline: ${task.deadline}` : null,
+        stalled ? 'The user has made no progress on this task for a while; the first step should be easy to begin.' : null,
+        `Aim for steps of about ${stepMinutes} minutes each, in the order they should be done, using at most ${MAX_SUBTASKS} steps.`
+    ].filter(Boolean).join('\n\n');
+
+    try {
+        const response = await llm.complete({ system, prompt });
+        const jsonMatch = String(response).match(/\{[\s\S]*\}/);
+        if (!jsonMatch) {
+            throw new Error('Breakdown response did not contain JSON');
+        }
+
+        const parsed = JSON.parse(jsonMatch[0]);
+        const subtasks = (Array.isArray(parsed.subtasks) ? parsed.subtasks : [])
+            .slice(0, MAX_SUBTASKS)
+            .map(raw => normalizeSubtask(raw || {}, stepMinutes))
+            .filter(subtask => subtask.title);
+
+        // A single step is not a breakdown
+        if (subtasks.length < 2) {
+            throw new Error('Breakdown response contained fewer than two subtasks');
+        }
+
+        return {
+            subtasks,
+            total_minutes: subtasks.reduce((sum, subtask) => sum + subtask.estimated_minutes, 0),
+            step_minutes: stepMinutes
+        };
+
+    } catch (error) {
+        logger.warn(`Task breakdown failed for task ${task.id}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * The preferred step length after feedback on a breakdown: 'too_detailed' means its steps
+ * were too small and 'too_coarse' too big; an accepted breakdown pulls the preference
+ * towards its own average step.
+ */
+function learnStepMinutes(stepMinutes, breakdown, feedback = {}) {
+    const average = breakdown.total_minutes / breakdown.subtasks.length;
+
+    if (feedback.granularity === 'too_detailed') {
+        return clampStep(Math.max(stepMinutes, average) * 1.5);
+    }
+    if (feedback.granularity === 'too_coarse') {
+        return clampStep(Math.min(stepMinutes, average) / 1.5);
+    }
+    if (feedback.helpful) {
+        return clampStep(stepMinutes + (average - stepMinutes) * ACCEPTED_WEIGHT);
+    }
+    return stepMinutes;
+}
+
+module.exports = {
+    DEFAULT_STEP_MINUTES,
+    GRANULARITY_FEEDBACK,
+    proposeBreakdown,
+    learnStepMinutes
+};
@@ -0,0 +1,594 @@
+/**
+ * Agent Task Insights
+ * An agent's task list with progress, dependencies and queue figures, the suggestions,
+ * priority changes and workload advice drawn from it, and progress reports
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { periodStart } = require('../../utils/time');
+const { AgentRuntimeError } = require('./errors');
+const { decisionEngine } = require('./AgentDecisionEngine');
+const { getOwnedAgent } = require('./registry');
+const { TASK_TEMPLATES, calculateAgentWorkload, taskProgress } = require('./tasks');
+const { loadDependencyGraph, dependencySummary } = require('../taskDependencies');
+
+const TASK_SORT_FIELDS = ['created_at', 'updated_at', 'priority', 'deadline', 'estimated_duration'];
+
+// A filter value may be given once or as a list
+function matchAny(query, column, value) {
+    return Array.isArray(value) ? query.in(column, value) : query.eq(column, value);
+}
+
+// Workload score and task counts of an agent's queue, or null when it cannot be read
+async function getQueueInfo(agentId) {
+    const workloadScore = await calculateAgentWorkload(agentId);
+
+    const { data: queueStats, error } = await supabase
+        .from('agent_tasks')
+        .select('status, priority')
+        .eq('agent_id', agentId);
+
+    if (error || !queueStats) {
+        return null;
+    }
+
+    const pendingTasks = queueStats.filter(t => t.status === 'pending').length;
+    const inProgressTasks = queueStats.filter(t => t.status === 'in_progress').length;
+
+    return {
+        workload_score: workloadScore,
+        pending_tasks: pendingTasks,
+        in_progress_tasks: inProgressTasks,
+        high_priority_tasks: queueStats.filter(t => t.priority <= 2).length,
+        total_active_tasks: pendingTasks + inProgressTasks
+    };
+}
+
+/**
+ * List an agent's tasks. Progress, dependencies and queue figures are included unless
+ * turned off; AI suggestions, prioritization and workload optimization only when asked for.
+ */
+async function listAgentTasks(userId, agentId, {
+    status,
+    priority,
+    type,
+    limit = 50,
+    offset = 0,
+    sort_by = 'created_at',
+    sort_order = 'desc',
+    includeProgress = true,
+    includeDependencies = true,
+    includeQueueInfo = true,
+    includeSuggestions = false,
+    includePrioritization = false,
+    includeWorkloadOptimization = false
+} = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name, type');
+
+    let query = supabase
+        .from('agent_tasks')
+        .select(`
+            *,
+            task:tasks (*)
+        `)
+        .eq('agent_id', agentId);
+
+    if (status) {
+        query = matchAny(query, 'status', status);
+    }
+
+    if (priority) {
+        query = matchAny(query, 'priority', Array.isArray(priority) ? priority.map(p => parseInt(p)) : parseInt(priority));
+    }
+
+    if (type) {
+        query = matchAny(query, 'type', type);
+    }
+
+    const sortField = TASK_SORT_FIELDS.includes(sort_by) ? sort_by : 'created_at';
+
+    // High priority (low number) always comes first
+    query = sortField === 'priority'
+        ? query.order('priority', { ascending: true })
+        : query.order(sortField, { ascending: sort_order === 'asc' });
+
+    const { data, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Get agent tasks error:', error);
+        throw new AgentRuntimeError('Failed to fetch agent tasks', 500);
+    }
+
+    const tasks = data || [];
+
+    if (includeProgress) {
+        const now = new Date();
+        tasks.forEach(task => {
+            task.progress = taskProgress(task, now);
+        });
+    }
+
+    if (includeDependencies && tasks.length > 0) {
+        const graph = await loadDependencyGraph(userId);
+        tasks.forEach(task => {
+            task.dependencies = dependencySummary(graph, { kind: 'agent_task', id: task.id });
+        });
+    }
+
+    const queueInfo = includeQueueInfo ? await getQueueInfo(agentId) : null;
+
+    let aiSuggestions = null;
+    if (includeSuggestions) {
+        try {
+            aiSuggestions = await generateTaskSuggestions(agent, tasks, queueInfo);
+        } catch (suggestionError) {
+            logger.error('AI task suggestions error:', suggestionError);
+            aiSuggestions = { error: 'Failed to generate AI suggestions' };
+        }
+    }
+
+    let prioritization = null;
+    if (includePrioritization && tasks.length > 0) {
+        try {
+            prioritization = await generateTaskPrioritization(agent, tasks);
+        } catch (prioritizationError) {
+            logger.error('Task prioritization error:', prioritizationError);
+        }
+    }
+
+    let workloadOptimization = null;
+    if (includeWorkloadOptimization && queueInfo) {
+        workloadOptimization = generateWorkloadOptimization(tasks, queueInfo);
+    }
+
+    return {
+        tasks,
+        count: tasks.length,
+        agent: {
+            id: agent.id,
+            name: agent.name,
+            type: agent.type
+        },
+        queue_info: queueInfo,
+        available_templates: Object.keys(TASK_TEMPLATES).map(key => ({
+            key,
+            ...TASK_TEMPLATES[key]
+        })),
+        filters_applied: {
+            status,
+            priority,
+            type,
+            sort_by: sortField,
+            sort_order: sort_order === 'asc' ? 'ascending' : 'descending'
+        },
+        ai_suggestions: aiSuggestions,
+        prioritization_recommendations: prioritization,
+        workload_optimization: workloadOptimization,
+        ai_features_enabled: {
+            suggestions: includeSuggestions,
+            prioritization: includePrioritization,
+            workload_optimization: includeWorkloadOptimization
+        }
+    };
+}
+
+// Task counts, completion times and priorities of an agent's tasks created in a '1d', '7d', '30d' or '90d' timeframe
+async function getTaskProgressReport(userId, agentId, { timeframe = '7d', includeCompleted = true } = {}) {
+    const agent = await getOwnedAgent(userId, agentId, 'id, name');
+    const now = new Date();
+
+    let query = supabase
+        .from('agent_tasks')
+        .select('*')
+        .eq('agent_id', agentId)
+        .gte('created_at', periodStart(timeframe, now).toISOString())
+        .order('created_at', { ascending: false });
+
+    if (!includeCompleted) {
+        query = query.in('status', ['pending', 'in_progress']);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        logger.error('Get progress report error:', error);
+        throw new AgentRuntimeError('Failed to fetch progress report', 500);
+    }
+
+    const tasks = data || [];
+    const withStatus = status => tasks.filter(t => t.status === status).length;
+    const totalTasks = tasks.length;
+    const completedTasks = withStatus('completed');
+
+    const timedTasks = tasks.filter(t => t.status === 'completed' && t.actual_duration);
+    const avgCompletionTime = timedTasks.length > 0
+        ? timedTasks.reduce((sum, t) => sum + t.actual_duration, 0) / timedTasks.length
+        : 0;
+
+    const onTimeTasks = tasks.filter(t =>
+        t.status === 'completed' &&
+        t.deadline &&
+        new Date(t.completed_at) <= new Date(t.deadline)
+    ).length;
+    const onTimeRate = completedTasks > 0 ? (onTimeTasks / completedTasks) * 100 : 0;
+
+    return {
+        agent: {
+            id: agent.id,
+            name: agent.name
+        },
+        timeframe,
+        summary: {
+            total_tasks: totalTasks,
+            completed_tasks: completedTasks,
+            in_progress_tasks: withStatus('in_progress'),
+            pending_tasks: withStatus('pending'),
+            failed_tasks: withStatus('failed'),
+            completion_rate: totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0
+        },
+        performance: {
+            average_completion_time_minutes: Math.round(avgCompletionTime),
+            on_time_completion_rate: Math.round(onTimeRate * 100) / 100,
+            overdue_tasks: tasks.filter(t =>
+                t.deadline && new Date(t.deadline) < now && t.status !== 'completed'
+            ).length
+        },
+        priority_breakdown: Object.fromEntries(
+            [1, 2, 3, 4, 5].map(priority => [priority, tasks.filter(t => t.priority === priority).length])
+        ),
+        recent_tasks: tasks.slice(0, 10).map(task => ({
+            id: task.id,
+            title: task.title,
+            status: task.status,
+            priority: task.priority,
+            created_at: task.created_at,
+            completed_at: task.completed_at,
+            actual_duration: task.actual_duration
+        }))
+    };
+}
+
+// Suggestions from overdue tasks, workload, completion rate, agent type and task patterns
+async function generateTaskSuggestions(agent, currentTasks, queueInfo) {
+    const suggestions = [];
+    const taskPatterns = analyzeTaskPatterns(currentTasks);
+    const performanceMetrics = await getAgentPerformanceMetrics(agent.id, 30);
+
+    const overdueTasks = currentTasks.filter(task =>
+        task.progress?.is_overdue && task.status !== 'completed'
+    );
+
+    if (overdueTasks.length > 0) {
+        suggestions.push({
+            type: 'overdue_attention',
+            title: 'Address Overdue Tasks',
+            description: `You have ${overdueTasks.length} overdue task(s) that need immediate attention.`,
+            priority: 5,
+            suggested_actions: [
+                'Review overdue tasks and reassess deadlines',
+                'Consider breaking down large overdue tasks',
+                'Communicate with stakeholders about delays'
+            ],
+            affected_tasks: overdueTasks.map(t => t.id),
+            confidence: 0.95
+        });
+    }
+
+    if (queueInfo && queueInfo.workload_score > 80) {
+        suggestions.push({
+            type: 'workload_balance',
+            title: 'High Workload Detected',
+            description: 'Your current workload is high. Consider delegating or reprioritizing tasks.',
+            priority: 4,
+            suggested_actions: [
+                'Review task priorities and focus on high-impact items',
+                'Consider delegating routine tasks to other agents',
+                'Schedule focused work blocks for complex tasks'
+            ],
+            workload_score: queueInfo.workload_score,
+            confidence: 0.90
+        });
+    }
+
+    if (performanceMetrics && performanceMetrics.completion_rate < 0.7) {
+        suggestions.push({
+            type: 'completion_improvement',
+            title: 'Improve Task Completion Rate',
+            description: 'Your task completion rate is below optimal. Consider task breakdown strategies.',
+            priority: 3,
+            suggested_actions: [
+                'Break complex tasks into smaller, manageable steps',
+                'Set specific time blocks for task completion',
+                'Track and analyze reasons for incomplete tasks'
+            ],
+            current_completion_rate: performanceMetrics.completion_rate,
+            confidence: 0.85
+        });
+    }
+
+    suggestions.push(...suggestForAgentType(agent, taskPatterns));
+
+    if (taskPatterns.most_common_type) {
+        suggestions.push({
+            type: 'pattern_optimization',
+            title: `Optimize ${taskPatterns.most_common_type} Tasks`,
+            description: `You frequently handle ${taskPatterns.most_common_type} tasks. Consider creating templates or automation.`,
+            priority: 2,
+            suggested_actions: [
+                `Create a template for ${taskPatterns.most_common_type} tasks`,
+                'Identify common steps that can be automated',
+                'Document best practices for this task type'
+            ],
+            task_type: taskPatterns.most_common_type,
+            frequency: taskPatterns.type_frequency[taskPatterns.most_common_type],
+            confidence: 0.80
+        });
+    }
+
+    return {
+        suggestions: suggestions.sort((a, b) => b.priority - a.priority),
+        analysis_timestamp: new Date().toISOString(),
+        total_suggestions: suggestions.length,
+        patterns_analyzed: taskPatterns,
+        performance_metrics: performanceMetrics
+    };
+}
+
+// Suggestions specific to the agent's specialization
+function suggestForAgentType(agent, taskPatterns) {
+    switch (agent.type) {
+        case 'task_manager':
+            if (taskPatterns.avg_tasks_per_day < 3) {
+                return [{
+                    type: 'productivity_boost',
+                    title: 'Increase Daily Task Volume',
+                    description: 'Consider taking on more tasks to optimize your productivity capacity.',
+                    priority: 3,
+                    suggested_actions: [
+                        'Review your task acceptance criteria',
+                        'Look for opportunities to parallelize tasks',
+                        'Consider skill development to handle more complex tasks'
+                    ],
+                    confidence: 0.75
+                }];
+            }
+            return [];
+
+        case 'email_assistant':
+            return [{
+                type: 'communication_optimization',
+                title: 'Optimize Email Response Patterns',
+                description: 'Analyze your email response patterns for efficiency improvements.',
+                priority: 2,
+                suggested_actions: [
+                    'Create email templates for common responses',
+                    'Set up email filtering rules',
+                    'Schedule dedicated email processing times'
+                ],
+                confidence: 0.70
+            }];
+
+        case 'project_coordinator':
+            if (!taskPatterns.has_dependencies) {
+                return [{
+                    type: 'dependency_management',
+                    title: 'Implement Dependency Tracking',
+                    description: 'Add dependency tracking to better manage project workflows.',
+                    priority: 4,
+                    suggested_actions: [
+                        'Map out task dependencies for complex projects',
+                        'Use dependency tracking in task assignments',
+                        'Regularly review and update dependency chains'
+                    ],
+                    confidence: 0.85
+                }];
+            }
+            return [];
+
+        default:
+            return [];
+    }
+}
+
+// Task types, average priority, dependencies and completions among the given tasks
+function analyzeTaskPatterns(tasks) {
+    if (!tasks || tasks.length === 0) {
+        return {
+            total_tasks: 0,
+            avg_priority: 0,
+            most_common_type: null,
+            type_frequency: {},
+            avg_tasks_per_day: 0,
+            has_dependencies: false,
+            completion_trends: []
+        };
+    }
+
+    const typeFrequency = {};
+    let totalPriority = 0;
+    let hasDependencies = false;
+    const completionTrends = [];
+
+    tasks.forEach(task => {
+        const taskType = task.type || 'general';
+        typeFrequency[taskType] = (typeFrequency[taskType] || 0) + 1;
+        totalPriority += task.priority || 3;
+
+        if (task.dependencies && (task.dependencies.blocked_by.length > 0 || task.dependencies.blocks.length > 0)) {
+            hasDependencies = true;
+        }
+
+        if (task.status === 'completed') {
+            completionTrends.push({
+                date: task.updated_at,
+                type: taskType,
+                duration: task.actual_duration
+            });
+        }
+    });
+
+    const mostCommonType = Object.entries(typeFrequency)
+        .sort(([, a], [, b]) => b - a)[0]?.[0] || null;
+
+    return {
+        total_tasks: tasks.length,
+        avg_priority: totalPriority / tasks.length,
+        most_common_type: mostCommonType,
+        type_frequency: typeFrequency,
+        // Over an assumed 30-day window
+        avg_tasks_per_day: tasks.length / 30,
+        has_dependencies: hasDependencies,
+        completion_trends: completionTrends
+    };
+}
+
+// Completion rate and average completion time of an agent's tasks over the last days
+async function getAgentPerformanceMetrics(agentId, days) {
+    try {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        const { data: tasks, error } = await supabase
+            .from('agent_tasks')
+            .select('status, created_at, updated_at, priority')
+            .eq('agent_id', agentId)
+            .gte('created_at', cutoffDate.toISOString());
+
+        if (error || !tasks) return null;
+
+        const completedTasks = tasks.filter(t => t.status === 'completed').length;
+        const totalTasks = tasks.length;
+
+        const avgCompletionTime = tasks
+            .filter(t => t.status === 'completed' && t.updated_at && t.created_at)
+            .reduce((sum, t, _, arr) => {
+                const completionTime = (new Date(t.updated_at) - new Date(t.created_at)) / (1000 * 60);
+                return sum + (completionTime / arr.length);
+            }, 0);
+
+        return {
+            total_tasks: totalTasks,
+            completed_tasks: completedTasks,
+            completion_rate: totalTasks > 0 ? completedTasks / totalTasks : 0,
+            avg_completion_time_minutes: avgCompletionTime,
+            period_days: days
+        };
+    } catch (error) {
+        logger.error('Get agent performance metrics error:', error);
+        return null;
+    }
+}
+
+// Tasks whose priority the decision engine puts at least two levels away from their own
+async function generateTaskPrioritization(agent, tasks) {
+    const recommendations = [];
+    const agentWorkload = await calculateAgentWorkload(agent.id);
+
+    for (const task of tasks) {
+        const aiPriority = decisionEngine.calculateTaskPriority({
+            deadline: task.deadline,
+            priority: task.priority,
+            dependencies: task.dependencies || {},
+            agent_workload: agentWorkload,
+            business_impact: task.priority <= 2 ? 1.5 : 1.0
+        });
+
+        if (Math.abs(aiPriority - task.priority) >= 2) {
+            recommendations.push({
+                task_id: task.id,
+                current_priority: task.priority,
+                recommended_priority: aiPriority,
+                reason: aiPriority > task.priority ?
+                    'Task needs higher priority due to deadline proximity or dependencies' :
+                    'Task can be deprioritized based on current workload and deadlines',
+                confidence: 0.85,
+                factors: {
+                    deadline_proximity: task.deadline ? (new Date(task.deadline) - new Date()) / (1000 * 60 * 60) : null,
+                    is_blocked: Boolean(task.dependencies?.is_blocked),
+                    blocking_count: task.dependencies?.blocking_count || 0,
+                    agent_workload: agentWorkload
+                }
+            });
+        }
+    }
+
+    return {
+        recommendations: recommendations.sort((a, b) => b.recommended_priority - a.recommended_priority),
+        total_tasks_analyzed: tasks.length,
+        recommendations_count: recommendations.length,
+        analysis_timestamp: new Date().toISOString()
+    };
+}
+
+// Parallel work, delegation and time blocking advice with their projected gains (in %)
+function generateWorkloadOptimization(tasks, queueInfo) {
+    const pendingHighPriority = tasks.filter(t => t.status === 'pending' && t.priority <= 2).length;
+    const inProgressTasks = tasks.filter(t => t.status === 'in_progress').length;
+    const recommendations = [];
+
+    if (pendingHighPriority > 3) {
+        recommendations.push({
+            type: 'parallel_processing',
+            title: 'Consider Parallel Task Processing',
+            description: `You have ${pendingHighPriority} high-priority pending tasks. Consider working on multiple tasks simultaneously.`,
+            impact: 'high',
+            effort: 'medium',
+            suggested_actions: [
+                'Identify tasks that can be worked on in parallel',
+                'Set time limits for context switching',
+                'Use task batching for similar activities'
+            ]
+        });
+    }
+
+    if (queueInfo.workload_score > 85) {
+        recommendations.push({
+            type: 'delegation',
+            title: 'Task Delegation Opportunity',
+            description: 'Your workload is very high. Consider delegating routine tasks to other agents.',
+            impact: 'high',
+            effort: 'high',
+            suggested_actions: [
+                'Identify routine tasks that can be delegated',
+                'Document task handoff procedures',
+                'Set up monitoring for delegated tasks'
+            ]
+        });
+    }
+
+    if (inProgressTasks > 2) {
+        recommendations.push({
+            type: 'time_blocking',
+            title: 'Implement Time Blocking',
+            description: 'You have multiple tasks in progress. Consider dedicated time blocks for focused work.',
+            impact: 'medium',
+            effort: 'low',
+            suggested_actions: [
+                'Schedule 2-hour focused work blocks',
+                'Minimize context switching during blocks',
+                'Use the Pomodoro technique for complex tasks'
+            ]
+        });
+    }
+
+    return {
+        current_workload: queueInfo.workload_score,
+        recommendations,
+        projected_improvements: {
+            parallel_processing: pendingHighPriority > 3 ? 25 : 0,
+            delegation: queueInfo.workload_score > 85 ? 40 : 0,
+            time_blocking: inProgressTasks > 2 ? 15 : 0
+        }
+    };
+}
+
+module.exports = {
+    listAgentTasks,
+    getTaskProgressReport,
+    generateTaskSuggestions,
+    analyzeTaskPatterns,
+    getAgentPerformanceMetrics,
+    generateTaskPrioritization,
+    generateWorkloadOptimization
+};
@@ -0,0 +1,1069 @@
+/**
+ * Agent Tasks
+ * Workload balancing, agent selection, task templates, scheduling, task enqueueing and
+ * updates to queued tasks
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { AgentRuntimeError } = require('./errors');
+const { assessActionRisk, createApprovalQueue } = require('./approvals');
+const { withTrustScore } = require('./trust');
+const { loadApprovalPolicies } = require('./approvalPolicies');
+const { getOwnedAgent } = require('./registry');
+const {
+    RESOLVED_STATUSES,
+    nodeKey,
+    normalizeNode,
+    loadNodes,
+    addDependency,
+    getDependencies,
+    releaseDependents
+} = require('../taskDependencies');
+
+// Agent task fields a caller may change
+const ALLOWED_TASK_UPDATES = [
+    'title', 'description', 'status', 'priority',
+    'parameters', 'result', 'estimated_duration',
+    'actual_duration', 'deadline', 'error_message',
+    'retry_count'
+];
+
+// Calculate agent workload score (lower is better)
+async function calculateAgentWorkload(agentId) {
+    try {
+        // Get current active tasks count
+        const { data: activeTasks, error: tasksError } = await supabase
+            .from('agent_tasks')
+            .select('id, priority, status, estimated_duration')
+            .eq('agent_id', agentId)
+            .in('status', ['pending', 'in_progress']);
+
+        if (tasksError) throw tasksError;
+
+        // Get agent status for health score
+        const { data: status, error: statusError } = await supabase
+            .from('agent_status')
+            .select('health_score, status')
+            .eq('agent_id', agentId)
+            .single();
+
+        if (statusError) throw statusError;
+
+        // Calculate workload score
+        let workloadScore = 0;
+
+        // Base score from task count and priority
+        if (activeTasks) {
+            activeTasks.forEach(task => {
+                const priorityWeight = 6 - task.priority; // Higher priority = higher weight
+                const statusWeight = task.status === 'in_progress' ? 2 : 1;
+                workloadScore += priorityWeight * statusWeight;
+            });
+        }
+
+        // Adjust for agent health (unhealthy agents get higher score)
+        const healthAdjustment = status ? (1 - status.health_score) * 10 : 5;
+        workloadScore += healthAdjustment;
+
+        // Adjust for agent status (offline/maintenance agents get very high score)
+        if (status && ['offline', 'maintenance', 'error'].includes(status.status)) {
+            workloadScore += 100;
+        }
+
+        return workloadScore;
+    } catch (error) {
+        logger.error('Error calculating agent workload:', error);
+        return 50; // Default medium workload
+    }
+}
+
+// Find best agent for task assignment
+async function findBestAgentForTask(userId, taskType, taskPriority, requiredCapabilities = []) {
+    try {
+        // Get all active agents for user
+        const { data: agents, error } = await supabase
+            .from('agents')
+            .select(`
+                id,
+                name,
+                type,
+                capabilities,
+                agent_profiles (
+                    expertise_areas,
+                    working_hours,
+                    timezone
+                )
+            `)
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+
+        if (!agents || agents.length === 0) {
+            return null;
+        }
+
+        let bestAgent = null;
+        let bestScore = Infinity;
+
+        for (const agent of agents) {
+            // Check if agent has required capabilities
+            const agentCapabilities = agent.capabilities || [];
+            const hasRequiredCapabilities = requiredCapabilities.every(cap =>
+                agentCapabilities.includes(cap)
+            );
+
+            if (!hasRequiredCapabilities) {
+                continue;
+            }
+
+            // Check if agent type matches task type
+            const isTypeMatch = agent.type === taskType ||
+                               agent.type === 'general' ||
+                               taskType === 'general';
+
+            // Calculate workload
+            const workloadScore = await calculateAgentWorkload(agent.id);
+
+            // Calculate compatibility score
+            let compatibilityScore = workloadScore;
+
+            // Bonus for type matching
+            if (isTypeMatch) {
+                compatibilityScore -= 20;
+            }
+
+            // Bonus for expertise matching
+            if (agent.agent_profiles && agent.agent_profiles[0]) {
+                const expertise = agent.agent_profiles[0].expertise_areas || [];
+                if (expertise.includes(taskType)) {
+                    compatibilityScore -= 15;
+                }
+            }
+
+            // Penalty for high priority tasks on busy agents
+            if (taskPriority <= 2 && workloadScore > 30) {
+                compatibilityScore += 10;
+            }
+
+            // Update best agent if this one has better score
+            if (compatibilityScore < bestScore) {
+                bestScore = compatibilityScore;
+                bestAgent = agent;
+            }
+        }
+
+        return bestAgent;
+    } catch (error) {
+        logger.error('Error finding best agent for task:', error);
+        return null;
+    }
+}
+
+// Check whether an agent task's prerequisites in the task dependency graph are finished
+async function checkTaskDependencies(userId, taskId) {
+    try {
+        const dependencies = await getDependencies(userId, { kind: 'agent_task', id: taskId });
+        const blockingTasks = dependencies.blocked_by.filter(task => !RESOLVED_STATUSES.includes(task.status));
+
+        return {
+            canProceed: blockingTasks.length === 0,
+            blockingTasks,
+            blocks: dependencies.blocks,
+            recommendation: blockingTasks.length > 0 ?
+                `Finish ${blockingTasks.map(task => `"${task.title}"`).join(', ')} first` : null
+        };
+    } catch (error) {
+        logger.error('Error checking task dependencies:', error);
+        return { canProceed: true, blockingTasks: [], recommendation: null };
+    }
+}
+
+// Task templates for automation
+const TASK_TEMPLATES = {
+    email_processing: {
+        title: 'Process Email Queue',
+        description: 'Automatically process and categorize incoming emails',
+        priority: 3,
+        estimated_duration: 30,
+        parameters: {
+            batch_size: 10,
+            priority_filter: 'high',
+            auto_respond: false
+        }
+    },
+    task_creation: {
+        title: 'Generate Daily Tasks',
+        description: 'Create tasks based on project deadlines and priorities',
+        priority: 4,
+        estimated_duration: 15,
+        parameters: {
+            projects_only: true,
+            days_ahead: 7,
+            min_priority: 3
+        }
+    },
+    project_coordination: {
+        title: 'Project Status Update',
+        description: 'Update project progress and coordinate team activities',
+        priority: 2,
+        estimated_duration: 45,
+        parameters: {
+            include_metrics: true,
+            notify_stakeholders: false,
+            generate_report: true
+        }
+    }
+};
+
+// Templates, optionally only those of a category or task type
+function listTaskTemplates({ category, type } = {}) {
+    return Object.keys(TASK_TEMPLATES)
+        .map(key => ({ key, ...TASK_TEMPLATES[key] }))
+        .filter(template => !category || template.parameters?.category === category)
+        .filter(template => !type || template.type === type);
+}
+
+// Apply task template
+function applyTaskTemplate(templateKey, customParameters = {}) {
+    const template = TASK_TEMPLATES[templateKey];
+    if (!template) {
+        throw new Error(`Task template '${templateKey}' not found`);
+    }
+
+    return {
+        ...template,
+        type: templateKey,
+        parameters: {
+            ...template.parameters,
+            ...customParameters
+        }
+    };
+}
+
+// Priority-based task scheduling
+async function scheduleTaskPriority(agentId, taskPriority, deadline) {
+    try {
+        // Get existing tasks for priority ordering
+        const { data: existingTasks, error } = await supabase
+            .from('agent_tasks')
+            .select('id, priority, deadline, status')
+            .eq('agent_id', agentId)
+            .in('status', ['pending', 'in_progress'])
+            .order('priority', { ascending: true });
+
+        if (error) throw error;
+
+        // Calculate suggested start time based on priority and existing workload
+        let suggestedStartTime = new Date();
+
+        if (taskPriority <= 2) {
+            // High priority - schedule immediately if possible
+            suggestedStartTime = new Date();
+        } else if (taskPriority === 3) {
+            // Medium priority - schedule after high priority tasks
+            const highPriorityTasks = existingTasks?.filter(t => t.priority <= 2) || [];
+            if (highPriorityTasks.length > 0) {
+                suggestedStartTime.setMinutes(suggestedStartTime.getMinutes() + 30);
+            }
+        } else {
+            // Low priority - schedule during off-peak hours
+            const currentHour = suggestedStartTime.getHours();
+            if (currentHour >= 9 && currentHour <= 17) {
+                // Business hours - delay to evening
+                suggestedStartTime.setHours(18, 0, 0, 0);
+            }
+        }
+
+        // Adjust for deadline if provided
+        if (deadline) {
+            const deadlineTime = new Date(deadline);
+            const timeUntilDeadline = deadlineTime - suggestedStartTime;
+
+            if (timeUntilDeadline < 0) {
+                // Overdue - schedule immediately
+                suggestedStartTime = new Date();
+            } else if (timeUntilDeadline < 3600000) { // Less than 1 hour
+                // Urgent deadline - prioritize
+                suggestedStartTime = new Date();
+            }
+        }
+
+        return {
+            suggested_start_time: suggestedStartTime.toISOString(),
+            priority_level: taskPriority,
+            queue_position: existingTasks?.filter(t => t.priority < taskPriority).length || 0
+        };
+    } catch (error) {
+        logger.error('Error scheduling task priority:', error);
+        return {
+            suggested_start_time: new Date().toISOString(),
+            priority_level: taskPriority,
+            queue_position: 0
+        };
+    }
+}
+
+// Enqueue a task for an agent: applies templates, intelligent assignment,
+// dependency checks, scheduling and risk assessment (queueing an approval when needed)
+async function enqueueTask(userId, agentId, taskInput = {}) {
+    let {
+        title,
+        description,
+        type,
+        priority = 3,
+        parameters = {},
+        estimated_duration,
+        deadline,
+        task_id,
+        requires_approval = null, // Allow manual override
+        template_key, // New: template support
+        auto_assign = false, // New: intelligent assignment
+        required_capabilities = [], // New: capability requirements
+        force_assignment = false, // New: override assignment logic
+        depends_on = [] // Prerequisites: agent task ids or { kind, id }
+    } = taskInput;
+
+    // Handle template application
+    if (template_key) {
+        try {
+            const templateData = applyTaskTemplate(template_key, parameters);
+            title = title || templateData.title;
+            description = description || templateData.description;
+            type = type || templateData.type;
+            priority = priority !== undefined ? priority : templateData.priority;
+            estimated_duration = estimated_duration || templateData.estimated_duration;
+            parameters = { ...templateData.parameters, ...parameters };
+        } catch (templateError) {
+            throw new AgentRuntimeError('Invalid task template', 400, { message: templateError.message });
+        }
+    }
+
+    if (!title || !type) {
+        throw new AgentRuntimeError('Title and type are required', 400);
+    }
+
+    // Verify agent belongs to user
+    const { data: agent } = await supabase
+        .from('agents')
+        .select('id, name, type, capabilities')
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .single();
+
+    if (!agent) {
+        throw new AgentRuntimeError('Agent not found', 404);
+    }
+
+    // Intelligent agent assignment
+    let assignedAgentId = agentId; // Default to specified agent
+    let assignmentReason = 'manual_assignment';
+
+    if (auto_assign && !force_assignment) {
+        const bestAgent = await findBestAgentForTask(
+            userId,
+            type,
+            priority,
+            required_capabilities
+        );
+
+        if (bestAgent && bestAgent.id !== agentId) {
+            assignedAgentId = bestAgent.id;
+            assignmentReason = 'intelligent_assignment';
+
+            // Log the intelligent assignment
+            await supabase
+                .from('agent_logs')
+                .insert([{
+                    agent_id: assignedAgentId,
+                    user_id: userId,
+                    action: 'task_auto_assigned',
+                    resource_type: 'agent_task',
+                    resource_id: null, // Will be set after task creation
+                    details: {
+                        original_agent: agentId,
+                        assignment_reason: 'workload_balancing',
+                        task_type: type,
+                        task_priority: priority
+                    }
+                }]);
+        }
+    }
+
+    // Verify the assigned agent belongs to user (if different from original)
+    if (assignedAgentId !== agentId) {
+        const { data: assignedAgent } = await supabase
+            .from('agents')
+            .select('id, name')
+            .eq('id', assignedAgentId)
+            .eq('user_id', userId)
+            .single();
+
+        if (!assignedAgent) {
+            throw new AgentRuntimeError('Assigned agent not found or access denied', 400);
+        }
+    }
+
+    // If linking to existing task, verify it belongs to user
+    if (task_id) {
+        const { data: task } = await supabase
+            .from('tasks')
+            .select('id, priority')
+            .eq('id', task_id)
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .single();
+
+        if (!task) {
+            throw new AgentRuntimeError('Task not found or access denied', 400);
+        }
+    }
+
+    // Prerequisites must be the user's tasks; a new task can't close a cycle
+    let prerequisites;
+    try {
+        prerequisites = depends_on.map(value => normalizeNode(value, 'agent_task'));
+    } catch (dependencyError) {
+        throw new AgentRuntimeError(dependencyError.message, 400);
+    }
+    if (prerequisites.length > 0) {
+        const found = await loadNodes(userId, prerequisites);
+        const missing = prerequisites.filter(node => !found.has(nodeKey(node)));
+        if (missing.length > 0) {
+            throw new AgentRuntimeError('Prerequisite task not found', 404, { missing });
+        }
+    }
+
+    // Schedule task priority and timing
+    const schedulingInfo = await scheduleTaskPriority(assignedAgentId, priority, deadline);
+
+    // Prepare action data for risk assessment
+    const actionData = {
+        title,
+        description,
+        type,
+        priority,
+        parameters,
+        estimated_duration,
+        deadline,
+        contains_sensitive_data: parameters.contains_sensitive_data || false,
+        bulk_operation: parameters.bulk_operation || false,
+        affects_multiple_records: parameters.affects_multiple_records || false,
+        privacy_impact: parameters.privacy_impact || false
+    };
+
+    // Score how far the agent can be trusted to create tasks unattended
+    const agentData = await withTrustScore({ ...agent, id: assignedAgentId }, 'task_creation');
+
+    // Assess risk and determine if approval is needed; the user's policies can forbid
+    // the task outright or insist on approval whatever the caller asked for
+    const policies = await loadApprovalPolicies(userId);
+    const riskAssessment = assessActionRisk('task_creation', actionData, agentData, { policies });
+    if (riskAssessment.blocked) {
+        throw new AgentRuntimeError(riskAssessment.reason, 403, { policy: riskAssessment.policy });
+    }
+    const needsApproval = riskAssessment.policy?.effect === 'always_ask' ||
+        (requires_approval !== null ? requires_approval : riskAssessment.requires_approval);
+
+    let approvalId = null;
+
+    // Create approval queue if needed
+    if (needsApproval) {
+        try {
+            const approval = await createApprovalQueue(assignedAgentId, userId, 'task_creation', actionData, riskAssessment);
+            approvalId = approval.id;
+
+            // Log approval creation
+            await supabase
+                .from('agent_logs')
+                .insert([{
+                    agent_id: assignedAgentId,
+                    user_id: userId,
+                    action: 'approval_required',
+                    resource_type: 'approval',
+                    resource_id: approval.id,
+                    details: {
+                        task_title: title,
+                        risk_level: riskAssessment.risk_level,
+                        reason: riskAssessment.reason
+                    },
+                    severity: 'info'
+                }]);
+
+        } catch (approvalError) {
+            logger.error('Failed to create approval queue:', approvalError);
+            // Continue with task creation even if approval creation fails
+        }
+    }
+
+    // Create the agent task
+    const { data: agentTask, error } = await supabase
+        .from('agent_tasks')
+        .insert([{
+            agent_id: assignedAgentId,
+            task_id: task_id || null,
+            title,
+            description,
+            type,
+            priority,
+            parameters: JSON.stringify(parameters),
+            estimated_duration,
+            deadline,
+            approval_id: approvalId,
+            status: needsApproval ? 'pending_approval' : 'pending'
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Create agent task error:', error);
+        throw new AgentRuntimeError('Failed to create agent task', 500);
+    }
+
+    for (const prerequisite of prerequisites) {
+        await addDependency(userId, { kind: 'agent_task', id: agentTask.id }, prerequisite);
+    }
+    const dependencyCheck = await checkTaskDependencies(userId, agentTask.id);
+
+    // Update agent status only if task doesn't need approval
+    if (!needsApproval) {
+        await supabase
+            .from('agent_status')
+            .update({
+                status: 'busy',
+                current_task_id: agentTask.id,
+                last_activity: new Date().toISOString()
+            })
+            .eq('agent_id', assignedAgentId);
+    }
+
+    // Update the auto-assignment log with the actual task ID
+    if (assignmentReason === 'intelligent_assignment') {
+        await supabase
+            .from('agent_logs')
+            .update({ resource_id: agentTask.id })
+            .eq('agent_id', assignedAgentId)
+            .eq('action', 'task_auto_assigned')
+            .eq('resource_id', null)
+            .eq('user_id', userId);
+    }
+
+    // Log task creation
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: assignedAgentId,
+            user_id: userId,
+            action: 'task_created',
+            resource_type: 'agent_task',
+            resource_id: agentTask.id,
+            details: {
+                task_title: title,
+                task_type: type,
+                needs_approval: needsApproval,
+                approval_id: approvalId,
+                assignment_reason: assignmentReason,
+                template_used: template_key || null
+            }
+        }]);
+
+    // Calculate workload after assignment
+    const updatedWorkload = await calculateAgentWorkload(assignedAgentId);
+
+    return {
+        task: {
+            ...agentTask,
+            parameters: parameters,
+            scheduling_info: schedulingInfo,
+            dependencies: dependencyCheck
+        },
+        agent_assigned: {
+            id: assignedAgentId,
+            name: assignedAgentId === agentId ? agent.name : 'Auto-assigned agent',
+            assignment_reason: assignmentReason
+        },
+        approval_required: needsApproval,
+        approval_id: approvalId,
+        risk_assessment: needsApproval ? riskAssessment : null,
+        workload_info: {
+            current_workload: updatedWorkload,
+            queue_position: schedulingInfo.queue_position
+        },
+        template_applied: template_key || null
+    };
+}
+
+// Rough progress of an agent task from its status, with time spent and whether it is overdue
+function taskProgress(task, now = new Date()) {
+    const timeElapsed = Math.floor((now - new Date(task.created_at)) / (1000 * 60));
+
+    return {
+        percentage: task.status === 'completed' ? 100 : task.status === 'in_progress' ? 50 : 0,
+        time_elapsed_minutes: timeElapsed,
+        estimated_remaining: task.estimated_duration ?
+            Math.max(0, task.estimated_duration - timeElapsed) : null,
+        is_overdue: task.deadline ? new Date(task.deadline) < now : false
+    };
+}
+
+async function setAgentActivity(agentId, status, currentTaskId) {
+    await supabase
+        .from('agent_status')
+        .update({
+            status,
+            current_task_id: currentTaskId,
+            last_activity: new Date().toISOString()
+        })
+        .eq('agent_id', agentId);
+}
+
+/**
+ * Update an agent task. Besides the allowed fields, updates may carry a progress_update
+ * (appended to the task's progress history) and reassign_to_agent, which moves the task to
+ * another of the user's agents when that agent has the lighter workload (or when
+ * force_reassignment is set). A task can't start while its prerequisites are unfinished;
+ * finishing it releases the tasks it was holding up and lets its agentic task move on.
+ */
+async function updateAgentTask(userId, agentId, taskId, updates = {}) {
+    const {
+        reassign_to_agent,
+        reassign_reason,
+        progress_update,
+        force_reassignment = false
+    } = updates;
+
+    const { data: originalAgent } = await supabase
+        .from('agents')
+        .select('id, name')
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!originalAgent) {
+        throw new AgentRuntimeError('Original agent not found', 404);
+    }
+
+    let targetAgent = originalAgent;
+
+    if (reassign_to_agent && reassign_to_agent !== agentId) {
+        const { data: reassignee } = await supabase
+            .from('agents')
+            .select('id, name, type')
+            .eq('id', reassign_to_agent)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!reassignee) {
+            throw new AgentRuntimeError('Target agent not found or access denied', 400);
+        }
+
+        if (!force_reassignment) {
+            const originalWorkload = await calculateAgentWorkload(agentId);
+            const targetWorkload = await calculateAgentWorkload(reassign_to_agent);
+
+            if (targetWorkload >= originalWorkload) {
+                throw new AgentRuntimeError('Reassignment not recommended', 400, {
+                    reason: 'Target agent has higher or equal workload',
+                    original_workload: originalWorkload,
+                    target_workload: targetWorkload,
+                    suggestion: 'Use force_reassignment=true to override this check'
+                });
+            }
+        }
+
+        targetAgent = reassignee;
+    }
+
+    const reassigned = targetAgent.id !== agentId;
+    const updateData = {};
+
+    Object.keys(updates).forEach(key => {
+        if (ALLOWED_TASK_UPDATES.includes(key)) {
+            updateData[key] = key === 'parameters' || key === 'result'
+                ? JSON.stringify(updates[key])
+                : updates[key];
+        }
+    });
+
+    if (progress_update) {
+        const { percentage, notes, milestone } = progress_update;
+        const parameters = updateData.parameters ? JSON.parse(updateData.parameters) : {};
+
+        updateData.parameters = JSON.stringify({
+            ...parameters,
+            progress_history: [
+                ...(parameters.progress_history || []),
+                {
+                    percentage,
+                    notes,
+                    milestone,
+                    timestamp: new Date().toISOString()
+                }
+            ]
+        });
+    }
+
+    if (Object.keys(updateData).length === 0 && !reassigned) {
+        throw new AgentRuntimeError('No valid fields to update', 400);
+    }
+
+    updateData.updated_at = new Date().toISOString();
+
+    if (reassigned) {
+        updateData.agent_id = targetAgent.id;
+    }
+
+    if (updates.status === 'completed') {
+        updateData.completed_at = new Date().toISOString();
+
+        if (!updates.actual_duration) {
+            const { data: taskData } = await supabase
+                .from('agent_tasks')
+                .select('created_at')
+                .eq('id', taskId)
+                .maybeSingle();
+
+            if (taskData) {
+                updateData.actual_duration = Math.floor((new Date() - new Date(taskData.created_at)) / (1000 * 60));
+            }
+        }
+    }
+
+    if (updates.status === 'in_progress') {
+        const dependencyCheck = await checkTaskDependencies(userId, taskId);
+        if (!dependencyCheck.canProceed) {
+            throw new AgentRuntimeError('Task is blocked by unfinished prerequisites', 409, {
+                blocking_tasks: dependencyCheck.blockingTasks,
+                recommendation: dependencyCheck.recommendation
+            });
+        }
+        // Restarting clears the recorded duration
+        updateData.actual_duration = null;
+    }
+
+    const { data: task, error } = await supabase
+        .from('agent_tasks')
+        .update(updateData)
+        .eq('id', taskId)
+        .eq('agent_id', agentId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') {
+            throw new AgentRuntimeError('Agent task not found', 404);
+        }
+        logger.error('Update agent task error:', error);
+        throw new AgentRuntimeError('Failed to update agent task', 500);
+    }
+
+    if (updates.status === 'completed') {
+        await setAgentActivity(targetAgent.id, 'idle', null);
+    } else if (updates.status === 'in_progress') {
+        await setAgentActivity(targetAgent.id, 'busy', taskId);
+    }
+
+    if (reassigned) {
+        await setAgentActivity(agentId, 'idle', null);
+        if (task.status === 'in_progress') {
+            await setAgentActivity(targetAgent.id, 'busy', taskId);
+        }
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: targetAgent.id,
+            user_id: userId,
+            action: reassigned ? 'task_reassigned' : 'task_updated',
+            resource_type: 'agent_task',
+            resource_id: taskId,
+            details: {
+                updates: Object.keys(updateData),
+                reassignment_performed: reassigned,
+                original_agent: reassigned ? agentId : null,
+                new_agent: reassigned ? targetAgent.id : null,
+                reassign_reason: reassign_reason || null,
+                progress_update: progress_update || null
+            }
+        }]);
+
+    const result = {
+        task: {
+            ...task,
+            parameters: task.parameters ? JSON.parse(task.parameters) : {},
+            result: task.result ? JSON.parse(task.result) : {},
+            progress: ['pending', 'in_progress', 'completed'].includes(task.status) ? taskProgress(task) : null
+        }
+    };
+
+    if (['completed', 'cancelled'].includes(updates.status)) {
+        result.unblocked_tasks = await releaseDependents(userId, { kind: 'agent_task', id: taskId });
+    }
+
+    // Let the agentic executor move on as soon as one of its steps finishes
+    if (result.task.parameters.agentic_task_id && ['completed', 'failed', 'cancelled'].includes(task.status)) {
+        const { agenticExecutor } = require('./agenticExecutor');
+        agenticExecutor.advance(result.task.parameters.agentic_task_id)
+            .catch(advanceError => logger.error('Advance agentic task error:', advanceError));
+    }
+
+    if (reassigned) {
+        result.reassignment = {
+            from_agent: {
+                id: agentId,
+                name: originalAgent.name
+            },
+            to_agent: {
+                id: targetAgent.id,
+                name: targetAgent.name
+            },
+            reason: reassign_reason,
+            timestamp: new Date().toISOString()
+        };
+
+        const [originalWorkload, newWorkload] = await Promise.all([
+            calculateAgentWorkload(agentId),
+            calculateAgentWorkload(targetAgent.id)
+        ]);
+
+        result.workload_change = {
+            original_agent_workload: originalWorkload,
+            new_agent_workload: newWorkload,
+            workload_reduction: originalWorkload - newWorkload
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Create a task for an agent from a template, bypassing the approval queue. With auto_assign
+ * the best-suited agent gets it instead.
+ */
+async function createTaskFromTemplate(userId, templateKey, { agent_id, custom_parameters = {}, auto_assign = false } = {}) {
+    if (!agent_id) {
+        throw new AgentRuntimeError('Agent ID is required', 400);
+    }
+
+    const agent = await getOwnedAgent(userId, agent_id, 'id, name, type');
+
+    let taskData;
+    try {
+        taskData = applyTaskTemplate(templateKey, custom_parameters);
+    } catch (templateError) {
+        throw new AgentRuntimeError('Invalid task template', 400, { message: templateError.message });
+    }
+
+    const {
+        title,
+        description,
+        type,
+        priority = 3,
+        parameters = {},
+        estimated_duration,
+        deadline,
+        required_capabilities = []
+    } = { ...taskData, ...custom_parameters };
+
+    let assignedAgentId = agent_id;
+    let assignmentReason = 'template_application';
+
+    if (auto_assign) {
+        const bestAgent = await findBestAgentForTask(userId, type, priority, required_capabilities);
+
+        if (bestAgent && bestAgent.id !== agent_id) {
+            assignedAgentId = bestAgent.id;
+            assignmentReason = 'intelligent_template_assignment';
+        }
+    }
+
+    const schedulingInfo = await scheduleTaskPriority(assignedAgentId, priority, deadline);
+
+    const { data: agentTask, error } = await supabase
+        .from('agent_tasks')
+        .insert([{
+            agent_id: assignedAgentId,
+            title,
+            description,
+            type,
+            priority,
+            parameters: JSON.stringify(parameters),
+            estimated_duration,
+            deadline,
+            status: 'pending'
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Create template task error:', error);
+        throw new AgentRuntimeError('Failed to create template task', 500);
+    }
+
+    await setAgentActivity(assignedAgentId, 'busy', agentTask.id);
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: assignedAgentId,
+            user_id: userId,
+            action: 'template_task_created',
+            resource_type: 'agent_task',
+            resource_id: agentTask.id,
+            details: {
+                template_key: templateKey,
+                assignment_reason: assignmentReason,
+                custom_parameters: custom_parameters
+            }
+        }]);
+
+    return {
+        task: {
+            ...agentTask,
+            parameters: parameters,
+            scheduling_info: schedulingInfo
+        },
+        template_applied: templateKey,
+        agent_assigned: {
+            id: assignedAgentId,
+            name: assignedAgentId === agent_id ? agent.name : 'Auto-assigned agent',
+            assignment_reason: assignmentReason
+        },
+        workload_info: {
+            current_workload: await calculateAgentWorkload(assignedAgentId),
+            queue_position: schedulingInfo.queue_position
+        }
+    };
+}
+
+// Change the status or priority of several of an agent's tasks, or delete them
+async function bulkUpdateAgentTasks(userId, agentId, { operation, task_ids, updates = {} } = {}) {
+    if (!operation || !task_ids || !Array.isArray(task_ids)) {
+        throw new AgentRuntimeError('Operation, task_ids array, and updates are required', 400);
+    }
+
+    await getOwnedAgent(userId, agentId, 'id, name');
+
+    const { data: tasks, error: tasksError } = await supabase
+        .from('agent_tasks')
+        .select('id')
+        .eq('agent_id', agentId)
+        .in('id', task_ids);
+
+    if (tasksError) {
+        logger.error('Bulk operation tasks query error:', tasksError);
+        throw new AgentRuntimeError('Failed to verify tasks', 500);
+    }
+
+    if (!tasks || tasks.length !== task_ids.length) {
+        throw new AgentRuntimeError('Some tasks not found or do not belong to this agent', 400);
+    }
+
+    let applyToTask;
+    switch (operation) {
+        case 'update_status':
+            if (!updates.status) {
+                throw new AgentRuntimeError('Status is required for update_status operation', 400);
+            }
+            applyToTask = taskId => updateTaskRow(agentId, taskId, {
+                status: updates.status,
+                updated_at: new Date().toISOString(),
+                ...(updates.status === 'completed' ? { completed_at: new Date().toISOString() } : {})
+            });
+            break;
+
+        case 'update_priority':
+            if (!updates.priority) {
+                throw new AgentRuntimeError('Priority is required for update_priority operation', 400);
+            }
+            applyToTask = taskId => updateTaskRow(agentId, taskId, {
+                priority: updates.priority,
+                updated_at: new Date().toISOString()
+            });
+            break;
+
+        case 'delete':
+            applyToTask = async taskId => {
+                const { error } = await supabase
+                    .from('agent_tasks')
+                    .delete()
+                    .eq('id', taskId)
+                    .eq('agent_id', agentId);
+
+                if (error) throw error;
+                return { id: taskId, deleted: true };
+            };
+            break;
+
+        default:
+            throw new AgentRuntimeError('Invalid operation', 400);
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const taskId of task_ids) {
+        try {
+            results.push(await applyToTask(taskId));
+        } catch (taskError) {
+            errors.push({ task_id: taskId, error: taskError.message });
+        }
+    }
+
+    await supabase
+        .from('agent_logs')
+        .insert([{
+            agent_id: agentId,
+            user_id: userId,
+            action: 'bulk_task_operation',
+            resource_type: 'agent_tasks',
+            details: {
+                operation,
+                task_count: task_ids.length,
+                success_count: results.length,
+                error_count: errors.length,
+                updates: updates
+            }
+        }]);
+
+    return {
+        operation,
+        results,
+        errors,
+        summary: {
+            total_requested: task_ids.length,
+            successful: results.length,
+            failed: errors.length
+        }
+    };
+}
+
+async function updateTaskRow(agentId, taskId, changes) {
+    const { data: updatedTask, error } = await supabase
+        .from('agent_tasks')
+        .update(changes)
+        .eq('id', taskId)
+        .eq('agent_id', agentId)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return updatedTask;
+}
+
+module.exports = {
+    TASK_TEMPLATES,
+    calculateAgentWorkload,
+    findBestAgentForTask,
+    checkTaskDependencies,
+    listTaskTemplates,
+    applyTaskTemplate,
+    scheduleTaskPriority,
+    enqueueTask,
+    taskProgress,
+    updateAgentTask,
+    createTaskFromTemplate,
+    bulkUpdateAgentTasks
+};
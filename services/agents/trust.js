@@ -0,0 +1,196 @@
+/**
+ * Agent Trust
+ * Per-agent, per-action-type trust scores computed from how the agent's past actions
+ * went: approval decisions, executions and reverts, agent task outcomes and user
+ * feedback. Recent evidence counts more, and a rejection or revert cuts the score
+ * sharply for a few days.
+ */
+
+const { supabase } = require('../../database/connection');
+const { asInstant } = require('../../utils/time');
+const { AgentRuntimeError } = require('./errors');
+
+// Evidence weights; negative outcomes weigh more than positive ones
+const TRUST_WEIGHTS = {
+    approval_history: {
+        approved: 1,
+        executed: 0.5,
+        rejected: -3,
+        execution_failed: -1,
+        reverted: -4
+    },
+    agent_tasks: {
+        completed: 0.5,
+        failed: -1
+    },
+    feedback: {
+        positive: 1,
+        negative: -2
+    }
+};
+
+// Starting point for an agent with no history: 0.5, and it takes a few good outcomes to move
+const PRIOR = { positive: 2, negative: 2 };
+
+// Evidence loses half its weight every HALF_LIFE_DAYS and is ignored after LOOKBACK_DAYS
+const HALF_LIFE_DAYS = 30;
+const LOOKBACK_DAYS = 180;
+
+// A rejection or revert multiplies the score by (1 - PENALTY_DEPTH), recovering with
+// a half-life of PENALTY_HALF_LIFE_DAYS
+const PENALTY_DEPTH = 0.6;
+const PENALTY_HALF_LIFE_DAYS = 3;
+const PENALTY_EVENTS = ['rejected', 'reverted'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const decay = (at, now, halfLifeDays) => Math.pow(0.5, Math.max(0, now - asInstant(at)) / DAY_MS / halfLifeDays);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Score a list of evidence events ({ source, event, at }). Returns the score
+ * (0-1), the penalty applied for a recent rejection or revert, and per-event factors.
+ */
+function computeTrust(events, now = new Date()) {
+    let positive = PRIOR.positive;
+    let negative = PRIOR.negative;
+    const factors = new Map();
+    let lastPenaltyEvent = null;
+
+    events.forEach(({ source, event, at }) => {
+        const weight = TRUST_WEIGHTS[source]?.[event];
+        if (!weight || !at) return;
+
+        const contribution = weight * decay(at, now, HALF_LIFE_DAYS);
+        if (contribution > 0) {
+            positive += contribution;
+        } else {
+            negative -= contribution;
+        }
+
+        const key = `${source}:${event}`;
+        const factor = factors.get(key) || { source, event, count: 0, weight: 0 };
+        factor.count++;
+        factor.weight += contribution;
+        factors.set(key, factor);
+
+        if (PENALTY_EVENTS.includes(event) && (!lastPenaltyEvent || asInstant(at) > asInstant(lastPenaltyEvent.at))) {
+            lastPenaltyEvent = { event, at };
+        }
+    });
+
+    const base = positive / (positive + negative);
+    const penalty = lastPenaltyEvent
+        ? { ...lastPenaltyEvent, multiplier: round(1 - PENALTY_DEPTH * decay(lastPenaltyEvent.at, now, PENALTY_HALF_LIFE_DAYS)) }
+        : null;
+
+    return {
+        score: round(base * (penalty ? penalty.multiplier : 1)),
+        base_score: round(base),
+        evidence: events.length,
+        penalty,
+        factors: [...factors.values()]
+            .map(factor => ({ ...factor, weight: round(factor.weight) }))
+            .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+    };
+}
+
+// Everything known about how the agent's actions of this type went
+async function loadTrustEvents(agentId, actionType, db = supabase, now = new Date()) {
+    const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS).toISOString();
+
+    const { data: approvals, error: approvalsError } = await db
+        .from('approvals_queue')
+        .select('id')
+        .eq('agent_id', agentId)
+        .eq('action_type', actionType);
+
+    if (approvalsError) throw approvalsError;
+    const approvalIds = new Set(approvals.map(approval => approval.id));
+
+    const { data: history, error: historyError } = await db
+        .from('approval_history')
+        .select('approval_id, action_taken, created_at')
+        .eq('agent_id', agentId)
+        .gte('created_at', since);
+
+    if (historyError) throw historyError;
+
+    // Task outcomes say how reliable the agent is overall, whatever the action type
+    const { data: tasks, error: tasksError } = await db
+        .from('agent_tasks')
+        .select('status, completed_at, updated_at')
+        .eq('agent_id', agentId)
+        .in('status', Object.keys(TRUST_WEIGHTS.agent_tasks))
+        .gte('updated_at', since);
+
+    if (tasksError) throw tasksError;
+
+    const { data: feedback, error: feedbackError } = await db
+        .from('agent_feedback')
+        .select('rating, action_type, created_at')
+        .eq('agent_id', agentId)
+        .gte('created_at', since);
+
+    if (feedbackError) throw feedbackError;
+
+    return [
+        ...history
+            .filter(row => approvalIds.has(row.approval_id))
+            .map(row => ({ source: 'approval_history', event: row.action_taken, at: row.created_at })),
+        ...tasks.map(task => ({ source: 'agent_tasks', event: task.status, at: task.completed_at || task.updated_at })),
+        ...feedback
+            .filter(row => !row.action_type || row.action_type === actionType)
+            .map(row => ({ source: 'feedback', event: row.rating > 0 ? 'positive' : 'negative', at: row.created_at }))
+    ];
+}
+
+async function getTrustScore(agentId, actionType, db = supabase, now = new Date()) {
+    const events = await loadTrustEvents(agentId, actionType, db, now);
+    return { agent_id: agentId, action_type: actionType, ...computeTrust(events, now) };
+}
+
+// The agent with its trust score for an action type, ready for assessActionRisk
+async function withTrustScore(agent, actionType, db = supabase) {
+    const trust = await getTrustScore(agent.id, actionType, db);
+    return { ...agent, trust_score: trust.score, trust };
+}
+
+// Record the user's thumbs up (1) or down (-1) on something an agent did
+async function recordAgentFeedback(userId, agentId, { rating, action_type = null, approval_id = null, agent_task_id = null, comment = null }, db = supabase) {
+    if (![1, -1].includes(rating)) {
+        throw new AgentRuntimeError('rating must be 1 or -1', 400);
+    }
+
+    const { data: agent } = await db
+        .from('agents')
+        .select('id')
+        .eq('id', agentId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (!agent) {
+        throw new AgentRuntimeError('Agent not found', 404);
+    }
+
+    const { data: feedback, error } = await db
+        .from('agent_feedback')
+        .insert([{ agent_id: agentId, user_id: userId, rating, action_type, approval_id, agent_task_id, comment }])
+        .select()
+        .single();
+
+    if (error) {
+        throw new AgentRuntimeError('Failed to record feedback', 500);
+    }
+    return feedback;
+}
+
+module.exports = {
+    TRUST_WEIGHTS,
+    computeTrust,
+    loadTrustEvents,
+    getTrustScore,
+    withTrustScore,
+    recordAgentFeedback
+};
@@ -0,0 +1,603 @@
+/**
+ * Agent WebSocket Server
+ * Bidirectional status channel mounted at /api/agents/ws. The handshake must carry a
+ * Supabase access token; sessions close when the token expires or the client goes idle.
+ */
+
+const WebSocket = require('ws');
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { verifyAccessToken } = require('../../middleware/auth');
+
+// Store WebSocket connections
+const wsConnections = new Map();
+const wsSubscribers = new Map();
+
+let wss = null;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// Read the expiry (ms since epoch) from a JWT access token without verifying it;
+// the signature has already been checked by Supabase when this is called
+function getTokenExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Verify the bearer token sent with the handshake (Authorization header, or the
+// access_token query parameter for browsers, which cannot set upgrade headers)
+async function authenticateHandshake(req) {
+    const authHeader = req.headers['authorization'];
+    const url = new URL(req.url, 'http://localhost');
+    const token = (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('access_token');
+
+    if (!token) {
+        return null;
+    }
+
+    const expiresAt = getTokenExpiry(token);
+    if (expiresAt && expiresAt <= Date.now()) {
+        return null;
+    }
+
+    const user = await verifyAccessToken(token);
+    if (!user) {
+        return null;
+    }
+
+    return { user, expiresAt };
+}
+
+// Close the connection when its access token expires
+function scheduleTokenExpiry(connectionId, expiresAt) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    clearTimeout(connection.tokenTimer);
+    connection.tokenExpiresAt = expiresAt;
+
+    if (!expiresAt) return;
+
+    connection.tokenTimer = setTimeout(() => {
+        try {
+            connection.ws.close(4003, 'Token expired');
+        } catch (error) {
+            // Connection already closed
+        }
+        handleWebSocketDisconnect(connectionId);
+    }, Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_DELAY_MS));
+}
+
+function initializeWebSocketServer(server, options = {}) {
+    const {
+        idleTimeoutMs = 5 * 60 * 1000, // Close sessions with no client messages for 5 minutes
+        idleCheckIntervalMs = 60 * 1000
+    } = options;
+
+    wss = new WebSocket.Server({
+        server,
+        path: '/api/agents/ws',
+        perMessageDeflate: false,
+        verifyClient: (info, done) => {
+            authenticateHandshake(info.req)
+                .then(session => {
+                    if (!session) {
+                        done(false, 401, 'Unauthorized');
+                        return;
+                    }
+                    info.req.wsSession = session;
+                    done(true);
+                })
+                .catch(error => {
+                    logger.error('WebSocket handshake authentication error:', error);
+                    done(false, 401, 'Unauthorized');
+                });
+        }
+    });
+
+    wss.on('connection', async (ws, req) => {
+        try {
+            const { user, expiresAt } = req.wsSession;
+            const userId = user.id;
+            const url = new URL(req.url, 'http://localhost');
+            const agentIds = url.searchParams.get('agent_ids')?.split(',') || null;
+
+            const connectionId = `${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            wsConnections.set(connectionId, {
+                ws,
+                userId,
+                agentIds,
+                lastActivity: new Date(),
+                subscribedAgents: new Set(),
+                tokenTimer: null,
+                pingInterval: null
+            });
+
+            scheduleTokenExpiry(connectionId, expiresAt);
+
+            // Handle incoming messages
+            ws.on('message', async (data) => {
+                try {
+                    const message = JSON.parse(data.toString());
+                    await handleWebSocketMessage(connectionId, message);
+                } catch (error) {
+                    logger.error('WebSocket message parsing error:', error);
+                    ws.send(JSON.stringify({
+                        type: 'error',
+                        error: 'Invalid message format',
+                        timestamp: new Date().toISOString()
+                    }));
+                }
+            });
+
+            // Handle connection close
+            ws.on('close', () => {
+                handleWebSocketDisconnect(connectionId);
+            });
+
+            // Handle errors
+            ws.on('error', (error) => {
+                logger.error('WebSocket connection error:', error);
+                handleWebSocketDisconnect(connectionId);
+            });
+
+            // Set up ping/pong for connection health
+            wsConnections.get(connectionId).pingInterval = setInterval(() => {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'ping', timestamp: new Date().toISOString() }));
+                } else {
+                    handleWebSocketDisconnect(connectionId);
+                }
+            }, 30000); // Ping every 30 seconds
+
+            // Send connection confirmation
+            ws.send(JSON.stringify({
+                type: 'connection_established',
+                connection_id: connectionId,
+                user_id: userId,
+                token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+                timestamp: new Date().toISOString(),
+                supported_events: [
+                    'status_update',
+                    'heartbeat_update',
+                    'notification',
+                    'subscribe_agents',
+                    'unsubscribe_agents',
+                    'refresh_token',
+                    'ping',
+                    'pong'
+                ]
+            }));
+
+            // Agents requested in the handshake go through the same ownership check
+            if (agentIds) {
+                await handleSubscribeAgents(connectionId, agentIds);
+            }
+
+            logger.info(`WebSocket connection established for user ${userId}, connection ${connectionId}`);
+
+        } catch (error) {
+            logger.error('WebSocket connection setup error:', error);
+            ws.close(4000, 'Connection setup failed');
+        }
+    });
+
+    // Clean up idle connections
+    const idleCheckInterval = setInterval(() => {
+        const now = new Date();
+
+        for (const [connectionId, connection] of wsConnections) {
+            if (now - connection.lastActivity > idleTimeoutMs) {
+                try {
+                    connection.ws.close(4002, 'Connection timeout');
+                } catch (error) {
+                    // Connection already closed
+                }
+                handleWebSocketDisconnect(connectionId);
+            }
+        }
+    }, idleCheckIntervalMs);
+
+    wss.on('close', () => {
+        clearInterval(idleCheckInterval);
+    });
+
+    logger.info('WebSocket server initialized for agent status updates');
+
+    return wss;
+}
+
+// Handle WebSocket messages
+async function handleWebSocketMessage(connectionId, message) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    // Answering our keep-alive ping is not activity, or idle clients would never time out
+    if (message.type !== 'pong') {
+        connection.lastActivity = new Date();
+    }
+
+    try {
+        switch (message.type) {
+            case 'subscribe_agents':
+                await handleSubscribeAgents(connectionId, message.agent_ids);
+                break;
+
+            case 'unsubscribe_agents':
+                await handleUnsubscribeAgents(connectionId, message.agent_ids);
+                break;
+
+            case 'ping':
+                connection.ws.send(JSON.stringify({
+                    type: 'pong',
+                    timestamp: new Date().toISOString()
+                }));
+                break;
+
+            case 'pong':
+                break;
+
+            case 'refresh_token':
+                await handleRefreshToken(connectionId, message.token);
+                break;
+
+            case 'get_status':
+                await handleGetStatus(connectionId, message.agent_ids);
+                break;
+
+            case 'update_status':
+                await handleUpdateStatus(connectionId, message);
+                break;
+
+            default:
+                connection.ws.send(JSON.stringify({
+                    type: 'error',
+                    error: `Unknown message type: ${message.type}`,
+                    timestamp: new Date().toISOString()
+                }));
+        }
+    } catch (error) {
+        logger.error('WebSocket message handling error:', error);
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Message handling failed',
+            timestamp: new Date().toISOString()
+        }));
+    }
+}
+
+// Handle agent subscription
+async function handleSubscribeAgents(connectionId, agentIds) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    if (!agentIds || !Array.isArray(agentIds)) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'agent_ids array required for subscription',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    agentIds = [...new Set(agentIds)];
+
+    // Verify agents belong to user
+    const { data: agents } = await supabase
+        .from('agents')
+        .select('id, name')
+        .eq('user_id', connection.userId)
+        .in('id', agentIds);
+
+    if (!agents || agents.length !== agentIds.length) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Access denied to one or more agents',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    // Subscribe to agents
+    agentIds.forEach(agentId => {
+        if (!wsSubscribers.has(agentId)) {
+            wsSubscribers.set(agentId, new Set());
+        }
+        wsSubscribers.get(agentId).add(connectionId);
+        connection.subscribedAgents.add(agentId);
+    });
+
+    connection.ws.send(JSON.stringify({
+        type: 'subscription_success',
+        subscribed_agents: agentIds,
+        timestamp: new Date().toISOString()
+    }));
+
+    logger.info(`WebSocket connection ${connectionId} subscribed to agents: ${agentIds.join(', ')}`);
+}
+
+// Swap in a fresh access token so the connection outlives the original token
+async function handleRefreshToken(connectionId, token) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    const expiresAt = token ? getTokenExpiry(token) : null;
+    const user = token && (!expiresAt || expiresAt > Date.now()) ? await verifyAccessToken(token) : null;
+
+    if (!user || user.id !== connection.userId) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Invalid token for this connection',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    scheduleTokenExpiry(connectionId, expiresAt);
+
+    connection.ws.send(JSON.stringify({
+        type: 'token_refreshed',
+        token_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        timestamp: new Date().toISOString()
+    }));
+}
+
+// Handle agent unsubscription
+async function handleUnsubscribeAgents(connectionId, agentIds) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    if (!agentIds || !Array.isArray(agentIds)) {
+        agentIds = Array.from(connection.subscribedAgents);
+    }
+
+    agentIds.forEach(agentId => {
+        if (wsSubscribers.has(agentId)) {
+            wsSubscribers.get(agentId).delete(connectionId);
+            if (wsSubscribers.get(agentId).size === 0) {
+                wsSubscribers.delete(agentId);
+            }
+        }
+        connection.subscribedAgents.delete(agentId);
+    });
+
+    connection.ws.send(JSON.stringify({
+        type: 'unsubscription_success',
+        unsubscribed_agents: agentIds,
+        timestamp: new Date().toISOString()
+    }));
+
+    logger.info(`WebSocket connection ${connectionId} unsubscribed from agents: ${agentIds.join(', ')}`);
+}
+
+// Handle status request
+async function handleGetStatus(connectionId, agentIds) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    // Only the user's own agents, narrowed to the requested ones
+    const { data: userAgents } = await supabase
+        .from('agents')
+        .select('id')
+        .eq('user_id', connection.userId);
+
+    let agentIdList = (userAgents || []).map(agent => agent.id);
+    if (agentIds && Array.isArray(agentIds)) {
+        agentIdList = agentIdList.filter(id => agentIds.includes(id));
+    }
+
+    if (agentIdList.length === 0) {
+        connection.ws.send(JSON.stringify({
+            type: 'status_data',
+            statuses: [],
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    const { data: statuses, error } = await supabase
+        .from('agent_status')
+        .select(`
+            *,
+            agents!inner (
+                id,
+                name,
+                type,
+                is_active
+            )
+        `)
+        .in('agent_id', agentIdList);
+
+    if (error) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Failed to fetch status data',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    connection.ws.send(JSON.stringify({
+        type: 'status_data',
+        statuses: statuses || [],
+        timestamp: new Date().toISOString()
+    }));
+}
+
+// Handle status update via WebSocket
+async function handleUpdateStatus(connectionId, message) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    const { agent_id, status, status_message, current_task_id, health_score, cpu_usage, memory_usage } = message;
+
+    if (!agent_id || !status) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'agent_id and status are required',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    // Verify agent belongs to user
+    const { data: agent } = await supabase
+        .from('agents')
+        .select('id, name')
+        .eq('id', agent_id)
+        .eq('user_id', connection.userId)
+        .single();
+
+    if (!agent) {
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Agent not found or access denied',
+            timestamp: new Date().toISOString()
+        }));
+        return;
+    }
+
+    try {
+        const updateData = {
+            status,
+            last_activity: new Date().toISOString()
+        };
+
+        if (status_message !== undefined) updateData.status_message = status_message;
+        if (current_task_id !== undefined) updateData.current_task_id = current_task_id;
+        if (health_score !== undefined) updateData.health_score = health_score;
+        if (cpu_usage !== undefined) updateData.cpu_usage = cpu_usage;
+        if (memory_usage !== undefined) updateData.memory_usage = memory_usage;
+
+        const { data: updatedStatus, error } = await supabase
+            .from('agent_status')
+            .update(updateData)
+            .eq('agent_id', agent_id)
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        // Log status change
+        await supabase
+            .from('agent_logs')
+            .insert([{
+                agent_id: agent_id,
+                user_id: connection.userId,
+                action: 'status_changed',
+                details: {
+                    old_status: 'websocket_update',
+                    new_status: status,
+                    status_message,
+                    current_task_id,
+                    health_score,
+                    cpu_usage,
+                    memory_usage,
+                    transition_timestamp: new Date().toISOString(),
+                    source: 'websocket'
+                }
+            }]);
+
+        // Broadcast to all subscribers
+        await broadcastWebSocketUpdate(agent_id, updatedStatus, connection.userId);
+
+        connection.ws.send(JSON.stringify({
+            type: 'status_update_success',
+            agent_id,
+            status: updatedStatus,
+            timestamp: new Date().toISOString()
+        }));
+
+    } catch (error) {
+        logger.error('WebSocket status update error:', error);
+        connection.ws.send(JSON.stringify({
+            type: 'error',
+            error: 'Failed to update status',
+            timestamp: new Date().toISOString()
+        }));
+    }
+}
+
+// Broadcast status update to WebSocket subscribers
+async function broadcastWebSocketUpdate(agentId, statusData, userId = null) {
+    try {
+        // Connections without an explicit agent list only receive their own user's agents
+        let ownerId = userId;
+        if (!ownerId) {
+            const { data: agent } = await supabase
+                .from('agents')
+                .select('user_id')
+                .eq('id', agentId)
+                .single();
+            ownerId = agent?.user_id || null;
+        }
+
+        const eventData = {
+            type: 'status_update',
+            agent_id: agentId,
+            status: statusData,
+            timestamp: new Date().toISOString()
+        };
+
+        const dataString = JSON.stringify(eventData);
+        const recipients = new Set(wsSubscribers.get(agentId) || []);
+
+        for (const [connectionId, connection] of wsConnections) {
+            if (connection.agentIds === null && ownerId && connection.userId === ownerId) {
+                recipients.add(connectionId);
+            }
+        }
+
+        for (const connectionId of recipients) {
+            const connection = wsConnections.get(connectionId);
+            if (connection && connection.ws.readyState === WebSocket.OPEN) {
+                try {
+                    connection.ws.send(dataString);
+                } catch (error) {
+                    logger.error(`WebSocket send error for connection ${connectionId}:`, error);
+                    handleWebSocketDisconnect(connectionId);
+                }
+            }
+        }
+
+        logger.debug(`WebSocket broadcasted status update for agent ${agentId} to ${recipients.size} connections`);
+
+    } catch (error) {
+        logger.error('WebSocket broadcast error:', error);
+    }
+}
+
+// Handle WebSocket disconnection
+function handleWebSocketDisconnect(connectionId) {
+    const connection = wsConnections.get(connectionId);
+    if (!connection) return;
+
+    clearTimeout(connection.tokenTimer);
+    clearInterval(connection.pingInterval);
+
+    // Remove from subscribers
+    for (const agentId of connection.subscribedAgents) {
+        if (wsSubscribers.has(agentId)) {
+            wsSubscribers.get(agentId).delete(connectionId);
+            if (wsSubscribers.get(agentId).size === 0) {
+                wsSubscribers.delete(agentId);
+            }
+        }
+    }
+
+    wsConnections.delete(connectionId);
+
+    logger.info(`WebSocket connection ${connectionId} disconnected`);
+}
+
+module.exports = {
+    initializeWebSocketServer,
+    broadcastWebSocketUpdate
+};
@@ -0,0 +1,100 @@
+/**
+ * Quick Capture
+ * Stores a block of quick capture (see supabase/functions/_shared/captureGrammar.cjs):
+ * every line becomes a note, `zz` lines also become tasks, and lines worth analysing
+ * are queued in ai_processing_queue. The bigpage-ingest edge function writes the same
+ * rows from the same grammar.
+ */
+
+const { supabase } = require('../database/connection');
+const {
+    isValidTimeZone,
+    parseCapture,
+    matchProject,
+    toNoteRow,
+    toTaskRow
+} = require('../supabase/functions/_shared/captureGrammar.cjs');
+const { indexItem } = require('./links');
+
+// The user's own timezone for due dates, unless a valid one is given
+async function captureTimeZone(userId, timeZone, db) {
+    if (timeZone && isValidTimeZone(timeZone)) return timeZone;
+
+    const { data: user } = await db
+        .from('users')
+        .select('timezone')
+        .eq('id', userId)
+        .maybeSingle();
+
+    return isValidTimeZone(user?.timezone) ? user.timezone : 'UTC';
+}
+
+/**
+ * Capture `text` for a user. `source` is recorded on the notes and tasks; `autoProcess`
+ * false skips the analysis queue. Resolves to { entries, notes, tasks }.
+ */
+async function ingestCapture(userId, text, { source = 'ingest', autoProcess = true, timeZone = null, now = new Date() } = {}, db = supabase) {
+    const entries = parseCapture(text, { now, timeZone: await captureTimeZone(userId, timeZone, db) });
+
+    let projects = [];
+    if (entries.some(entry => entry.projectRef)) {
+        const { data, error } = await db
+            .from('projects')
+            .select('id, title')
+            .eq('user_id', userId)
+            .is('deleted_at', null);
+
+        if (error) throw new Error(`Failed to load projects: ${error.message}`);
+        projects = data || [];
+    }
+
+    const notes = [];
+    const tasks = [];
+
+    for (const entry of entries) {
+        const projectId = matchProject(entry.projectRef, projects)?.id || null;
+
+        const { data: note, error: noteError } = await db
+            .from('notes')
+            .insert(toNoteRow(entry, userId, { source, projectId }))
+            .select()
+            .single();
+
+        if (noteError) throw new Error(`Failed to store note: ${noteError.message}`);
+        notes.push(note);
+        await indexItem(userId, 'note', note, {}, db);
+
+        if (entry.createTask) {
+            const { data: task, error: taskError } = await db
+                .from('tasks')
+                .insert(toTaskRow(entry, userId, { source, noteId: note.id, projectId }))
+                .select()
+                .single();
+
+            if (taskError) throw new Error(`Failed to create task: ${taskError.message}`);
+            tasks.push(task);
+            await indexItem(userId, 'task', task, {}, db);
+        }
+
+        if (autoProcess && entry.autoProcess) {
+            const { error: queueError } = await db
+                .from('ai_processing_queue')
+                .insert({
+                    user_id: userId,
+                    note_id: note.id,
+                    processing_type: entry.type,
+                    priority: entry.priority,
+                    status: 'pending',
+                    ai_provider: 'local'
+                });
+
+            if (queueError) throw new Error(`Failed to queue note for analysis: ${queueError.message}`);
+        }
+    }
+
+    return { entries, notes, tasks };
+}
+
+module.exports = {
+    ingestCapture
+};
@@ -0,0 +1,207 @@
+/**
+ * Chat Assistant
+ * Runs a chat turn as a tool-calling loop: the model may call chat tools for several
+ * rounds before it answers. Risky tools are queued for approval instead of running.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { llm } = require('../llm');
+const { assessActionRisk, createApprovalQueue } = require('../agents/approvals');
+const { createAgent } = require('../agents/registry');
+const { withTrustScore } = require('../agents/trust');
+const { loadApprovalPolicies } = require('../agents/approvalPolicies');
+const { CHAT_TOOLS, ChatToolError, toolSchemas } = require('./tools');
+
+const TOOL_GUIDANCE = `You can act for the user with the provided tools: create, update and complete tasks, create projects, update goal progress, search emails, draft replies and schedule reminders.
+- Use a tool when the user asks for something to be done; don't just say you will do it
+- Look up ids with find_tasks or list_goals instead of guessing them
+- Some tools need the user's approval. When a result says it is waiting for approval, tell the user it is queued rather than done`;
+
+// What the model sees as a tool's result
+function toolResultForModel(entry) {
+    if (entry.status === 'pending_approval') {
+        return { status: entry.status, message: `Queued for the user's approval: ${entry.reason}` };
+    }
+    if (entry.status === 'failed') {
+        return { status: entry.status, error: entry.error };
+    }
+    return { status: entry.status, ...entry.result };
+}
+
+class ChatAssistant {
+    constructor(options = {}) {
+        this.llm = options.registry || llm;
+        this.db = options.supabase || supabase;
+        this.tools = options.tools || CHAT_TOOLS;
+        this.maxSteps = options.maxSteps || 5;
+        this.chatAgents = new Map(); // userId -> agent that owns the user's chat approvals
+    }
+
+    /**
+     * Run one chat turn. `request` is a registry request ({ model, messages, ... }).
+     * onToken(content) streams reply text as it arrives; onToolCall(entry) fires after each
+     * tool call. Resolves to the final completion with `tool_calls` replaced by the log of
+     * tool calls made ({ id, name, arguments, status, result | error | approval_id }).
+     */
+    async runTurn(userId, request, { onToken = null, onToolCall = () => {}, signal = null } = {}) {
+        const toolsOffered = this.llm.supportsTools(request.model);
+        const messages = [...request.messages];
+        if (toolsOffered) {
+            messages.splice(1, 0, { role: 'system', content: TOOL_GUIDANCE });
+        }
+
+        const toolCalls = [];
+        let reply = '';
+        let completion = null;
+
+        for (let step = 0; step < this.maxSteps; step++) {
+            // The last round withholds tools so the model has to answer
+            const tools = toolsOffered && step < this.maxSteps - 1 ? toolSchemas(this.tools) : null;
+
+            // Text from earlier rounds stays in the reply, separated from what follows
+            const separator = reply ? '\n\n' : '';
+            let separated = !separator;
+            const streamToken = onToken && (content => {
+                if (!separated) {
+                    onToken(separator);
+                    separated = true;
+                }
+                onToken(content);
+            });
+
+            completion = await this.callModel({ ...request, messages, tools, signal }, streamToken);
+            if (completion.content) {
+                reply += separator + completion.content;
+            }
+            if (completion.tool_calls.length === 0) {
+                break;
+            }
+
+            messages.push({
+                role: 'assistant',
+                content: completion.content || null,
+                tool_calls: completion.tool_calls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: call.arguments }
+                }))
+            });
+
+            for (const call of completion.tool_calls) {
+                const entry = await this.invokeTool(userId, call);
+                toolCalls.push(entry);
+                onToolCall(entry);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: JSON.stringify(toolResultForModel(entry))
+                });
+            }
+        }
+
+        return { ...completion, content: reply, tool_calls: toolCalls, tools_offered: toolsOffered };
+    }
+
+    async callModel(options, onToken) {
+        if (!onToken) {
+            return this.llm.complete(options);
+        }
+
+        let completion = null;
+        for await (const event of this.llm.stream(options)) {
+            if (event.type === 'delta') {
+                onToken(event.content);
+            } else {
+                completion = event;
+            }
+        }
+        return completion;
+    }
+
+    // Execute a tool call, or queue it for approval when the tool is risky
+    async invokeTool(userId, call) {
+        const entry = { id: call.id, name: call.name, arguments: {}, at: new Date().toISOString() };
+
+        const tool = this.tools[call.name];
+        if (!tool) {
+            return { ...entry, status: 'failed', error: `Unknown tool: ${call.name}` };
+        }
+
+        try {
+            entry.arguments = JSON.parse(call.arguments || '{}');
+        } catch (parseError) {
+            return { ...entry, status: 'failed', error: 'Arguments were not valid JSON' };
+        }
+
+        try {
+            if (tool.approval) {
+                const agent = await this.getChatAgent(userId);
+                const trusted = await withTrustScore(agent, tool.approval, this.db);
+                const policies = await loadApprovalPolicies(userId, this.db);
+                const riskAssessment = assessActionRisk(tool.approval, entry.arguments, trusted, { policies });
+
+                if (riskAssessment.blocked) {
+                    return { ...entry, status: 'failed', error: riskAssessment.reason };
+                }
+
+                if (riskAssessment.requires_approval) {
+                    const approval = await createApprovalQueue(agent.id, userId, tool.approval, {
+                        source: 'chat',
+                        tool: call.name,
+                        tool_call_id: call.id,
+                        arguments: entry.arguments
+                    }, riskAssessment);
+
+                    return {
+                        ...entry,
+                        status: 'pending_approval',
+                        approval_id: approval.id,
+                        risk_level: riskAssessment.risk_level,
+                        reason: riskAssessment.reason
+                    };
+                }
+            }
+
+            entry.result = await tool.execute(userId, entry.arguments, this.db);
+            entry.status = 'executed';
+        } catch (error) {
+            if (!(error instanceof ChatToolError)) {
+                logger.error(`Chat tool ${call.name} failed:`, error);
+            }
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+
+        return entry;
+    }
+
+    // Approvals belong to an agent, so each user's chat approvals go to a chat assistant agent
+    async getChatAgent(userId) {
+        if (this.chatAgents.has(userId)) {
+            return this.chatAgents.get(userId);
+        }
+
+        const { data: existing } = await this.db
+            .from('agents')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('type', 'chat_assistant')
+            .limit(1);
+
+        const agent = existing && existing.length > 0
+            ? existing[0]
+            : await createAgent(userId, {
+                name: 'Chat Assistant',
+                type: 'chat_assistant',
+                description: 'Acts on tasks, projects, goals and email from the chat'
+            }, this.db);
+
+        this.chatAgents.set(userId, agent);
+        return agent;
+    }
+}
+
+const chatAssistant = new ChatAssistant();
+
+module.exports = { ChatAssistant, chatAssistant, TOOL_GUIDANCE };
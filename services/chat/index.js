@@ -0,0 +1,14 @@
+/**
+ * Chat Service
+ * Tool-calling chat assistant and the tools it can use
+ */
+
+const { ChatAssistant, chatAssistant, TOOL_GUIDANCE } = require('./assistant');
+const tools = require('./tools');
+
+module.exports = {
+    ChatAssistant,
+    chatAssistant,
+    TOOL_GUIDANCE,
+    ...tools
+};
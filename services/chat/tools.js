@@ -0,0 +1,432 @@
+/**
+ * Chat Tools
+ * Functions the chat assistant can call. Each tool has a JSON schema for the model,
+ * an optional approval action type (risky tools are queued through assessActionRisk
+ * instead of running) and an execute(userId, args, db) that returns { message, ... }.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { scheduleReminder } = require('../reminders');
+const { advanceSeries } = require('../recurringTasks');
+const { releaseDependents } = require('../taskDependencies');
+
+// Bad arguments from the model; reported back to it rather than failing the turn
+class ChatToolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChatToolError';
+    }
+}
+
+function requireString(args, field) {
+    if (typeof args[field] !== 'string' || !args[field].trim()) {
+        throw new ChatToolError(`${field} is required`);
+    }
+    return args[field].trim();
+}
+
+function pick(args, fields) {
+    return Object.fromEntries(fields.filter(field => args[field] !== undefined).map(field => [field, args[field]]));
+}
+
+const PRIORITY = { type: 'integer', minimum: 1, maximum: 5, description: '1 is most urgent, 5 least' };
+
+const CHAT_TOOLS = {
+    find_tasks: {
+        description: 'Look up the user\'s tasks (with their ids) by title and status.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Text in the task title' },
+                status: { type: 'string', enum: ['pending', 'in_progress', 'completed', 'cancelled'] }
+            }
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            let query = db
+                .from('tasks')
+                .select('id, title, status, priority, deadline, project_id')
+                .eq('user_id', userId)
+                .is('deleted_at', null)
+                .order('created_at', { ascending: false })
+                .limit(10);
+
+            if (args.query) {
+                query = query.ilike('title', `%${args.query.replace(/%/g, '')}%`);
+            }
+            if (args.status) {
+                query = query.eq('status', args.status);
+            }
+
+            const { data: tasks, error } = await query;
+            if (error) throw new Error(`Task lookup failed: ${error.message}`);
+            return { message: `Found ${tasks.length} task${tasks.length === 1 ? '' : 's'}`, tasks };
+        }
+    },
+
+    list_goals: {
+        description: 'List the user\'s active goals with their ids and progress.',
+        parameters: { type: 'object', properties: {} },
+        approval: null,
+        async execute(userId, args, db) {
+            const { data: goals, error } = await db
+                .from('goals')
+                .select('id, title, type, progress, target_date')
+                .eq('user_id', userId)
+                .eq('status', 'active')
+                .order('created_at', { ascending: false });
+
+            if (error) throw new Error(`Goal lookup failed: ${error.message}`);
+            return { message: `Found ${goals.length} active goal${goals.length === 1 ? '' : 's'}`, goals };
+        }
+    },
+
+    create_task: {
+        description: 'Create a task for the user.',
+        parameters: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                priority: PRIORITY,
+                deadline: { type: 'string', description: 'ISO 8601 date or date-time' },
+                project_id: { type: 'string' }
+            },
+            required: ['title']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            const title = requireString(args, 'title');
+
+            // The model may pass any id; only the user's own projects are accepted
+            if (args.project_id) {
+                const { data: project, error: projectError } = await db
+                    .from('projects')
+                    .select('id')
+                    .eq('id', args.project_id)
+                    .eq('user_id', userId)
+                    .is('deleted_at', null)
+                    .maybeSingle();
+
+                if (projectError) throw new Error(`Project lookup failed: ${projectError.message}`);
+                if (!project) throw new ChatToolError('Project not found');
+            }
+
+            const { data: task, error } = await db
+                .from('tasks')
+                .insert({
+                    user_id: userId,
+                    title,
+                    description: args.description || null,
+                    priority: args.priority || 3,
+                    deadline: args.deadline || null,
+                    project_id: args.project_id || null,
+                    status: 'pending',
+                    source: 'chat',
+                    ai_generated: true
+                })
+                .select()
+                .single();
+
+            if (error) throw new Error(`Failed to create task: ${error.message}`);
+            return { message: `Created task "${task.title}"`, task };
+        }
+    },
+
+    update_task: {
+        description: 'Change the title, description, priority, deadline or status of one of the user\'s tasks.',
+        parameters: {
+            type: 'object',
+            properties: {
+                task_id: { type: 'string' },
+                title: { type: 'string' },
+                description: { type: 'string' },
+                priority: PRIORITY,
+                deadline: { type: 'string', description: 'ISO 8601 date or date-time' },
+                status: { type: 'string', enum: ['pending', 'in_progress', 'completed', 'cancelled'] }
+            },
+            required: ['task_id']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            const updates = pick(args, ['title', 'description', 'priority', 'deadline', 'status']);
+            if (Object.keys(updates).length === 0) {
+                throw new ChatToolError('Nothing to update');
+            }
+
+            const { data: task, error } = await db
+                .from('tasks')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', requireString(args, 'task_id'))
+                .eq('user_id', userId)
+                .is('deleted_at', null)
+                .select()
+                .single();
+
+            if (error || !task) throw new ChatToolError('Task not found');
+            if (task.status === 'completed') await advanceSeries(task, db);
+            if (['completed', 'cancelled'].includes(task.status)) await releaseDependents(userId, { kind: 'task', id: task.id }, db);
+            return { message: `Updated task "${task.title}"`, task };
+        }
+    },
+
+    complete_task: {
+        description: 'Mark one of the user\'s tasks as completed.',
+        parameters: {
+            type: 'object',
+            properties: { task_id: { type: 'string' } },
+            required: ['task_id']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            const now = new Date().toISOString();
+            const { data: task, error } = await db
+                .from('tasks')
+                .update({ status: 'completed', completed_at: now, updated_at: now })
+                .eq('id', requireString(args, 'task_id'))
+                .eq('user_id', userId)
+                .is('deleted_at', null)
+                .select()
+                .single();
+
+            if (error || !task) throw new ChatToolError('Task not found');
+            await advanceSeries(task, db);
+            const unblocked = await releaseDependents(userId, { kind: 'task', id: task.id }, db);
+            return {
+                message: unblocked.length > 0
+                    ? `Completed task "${task.title}", which unblocks: ${unblocked.map(dependent => `"${dependent.title}"`).join(', ')}`
+                    : `Completed task "${task.title}"`,
+                task
+            };
+        }
+    },
+
+    create_project: {
+        description: 'Create a project for the user. Needs the user\'s approval before it takes effect.',
+        parameters: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                description: { type: 'string' },
+                priority: PRIORITY,
+                deadline: { type: 'string', description: 'ISO 8601 date' }
+            },
+            required: ['title']
+        },
+        approval: 'project_modification',
+        async execute(userId, args, db) {
+            const { data: project, error } = await db
+                .from('projects')
+                .insert({
+                    user_id: userId,
+                    title: requireString(args, 'title'),
+                    description: args.description || null,
+                    priority: args.priority || 3,
+                    deadline: args.deadline || null,
+                    status: 'active'
+                })
+                .select()
+                .single();
+
+            if (error) throw new Error(`Failed to create project: ${error.message}`);
+            return { message: `Created project "${project.title}"`, project };
+        }
+    },
+
+    update_goal_progress: {
+        description: 'Record progress (0-100 percent) on one of the user\'s goals.',
+        parameters: {
+            type: 'object',
+            properties: {
+                goal_id: { type: 'string' },
+                progress: { type: 'integer', minimum: 0, maximum: 100 },
+                status: { type: 'string', enum: ['active', 'completed', 'paused'] }
+            },
+            required: ['goal_id', 'progress']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            const progress = Math.max(0, Math.min(100, Math.round(Number(args.progress))));
+            if (isNaN(progress)) throw new ChatToolError('progress must be a number');
+
+            const { data: goal, error } = await db
+                .from('goals')
+                .update({
+                    progress,
+                    status: args.status || (progress === 100 ? 'completed' : 'active'),
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', requireString(args, 'goal_id'))
+                .eq('user_id', userId)
+                .select()
+                .single();
+
+            if (error || !goal) throw new ChatToolError('Goal not found');
+            return { message: `Goal "${goal.title}" is now ${progress}% complete`, goal };
+        }
+    },
+
+    search_emails: {
+        description: 'Search the user\'s emails by sender, subject or content.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string' },
+                status: { type: 'string', enum: ['unread', 'read', 'archived'] },
+                limit: { type: 'integer', minimum: 1, maximum: 20 }
+            },
+            required: ['query']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            // Commas and parentheses would break the PostgREST or() filter
+            const term = requireString(args, 'query').replace(/[,()%]/g, ' ');
+            const pattern = `%${term}%`;
+
+            let query = db
+                .from('emails')
+                .select('id, sender, sender_email, subject, content_snippet, status, received_at')
+                .eq('user_id', userId)
+                .or(`subject.ilike.${pattern},sender.ilike.${pattern},sender_email.ilike.${pattern},content_snippet.ilike.${pattern}`)
+                .order('received_at', { ascending: false })
+                .limit(Math.min(args.limit || 5, 20));
+
+            if (args.status) {
+                query = query.eq('status', args.status);
+            }
+
+            const { data: emails, error } = await query;
+            if (error) throw new Error(`Email search failed: ${error.message}`);
+            return { message: `Found ${emails.length} email${emails.length === 1 ? '' : 's'}`, emails };
+        }
+    },
+
+    draft_reply: {
+        description: 'Save a reply draft for one of the user\'s emails. Needs the user\'s approval before it is saved.',
+        parameters: {
+            type: 'object',
+            properties: {
+                email_id: { type: 'string' },
+                reply: { type: 'string', description: 'Full text of the reply' }
+            },
+            required: ['email_id', 'reply']
+        },
+        approval: 'email_draft',
+        async execute(userId, args, db) {
+            const { data: email, error } = await db
+                .from('emails')
+                .update({ suggested_response: requireString(args, 'reply'), updated_at: new Date().toISOString() })
+                .eq('id', requireString(args, 'email_id'))
+                .eq('user_id', userId)
+                .select('id, subject, sender_email')
+                .single();
+
+            if (error || !email) throw new ChatToolError('Email not found');
+            return { message: `Saved a draft reply to "${email.subject}"`, email };
+        }
+    },
+
+    schedule_reminder: {
+        description: 'Remind the user about something at a given time.',
+        parameters: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                remind_at: { type: 'string', description: 'ISO 8601 date-time' },
+                task_id: { type: 'string' }
+            },
+            required: ['message', 'remind_at']
+        },
+        approval: null,
+        async execute(userId, args, db) {
+            let reminder;
+            try {
+                reminder = await scheduleReminder(userId, {
+                    message: requireString(args, 'message'),
+                    remindAt: requireString(args, 'remind_at'),
+                    taskId: args.task_id || null
+                }, db);
+            } catch (error) {
+                throw new ChatToolError(error.message);
+            }
+            return { message: `Reminder set for ${reminder.scheduled_for}`, reminder };
+        }
+    }
+};
+
+// Tool definitions in the shape the LLM registry sends to models
+function toolSchemas(tools = CHAT_TOOLS) {
+    return Object.entries(tools).map(([name, tool]) => ({
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+    }));
+}
+
+// chat_messages row recording a tool call and what came of it
+function toolCallRow(userId, entry, createdAt = new Date().toISOString()) {
+    const summary = entry.status === 'pending_approval'
+        ? `Waiting for approval: ${entry.reason}`
+        : entry.status === 'failed' ? `Failed: ${entry.error}` : entry.result.message;
+
+    return {
+        user_id: userId,
+        role: 'tool',
+        content: `${entry.name}: ${summary}`,
+        metadata: {
+            tool_call_id: entry.id,
+            tool: entry.name,
+            arguments: entry.arguments,
+            status: entry.status,
+            result: entry.result || null,
+            error: entry.error || null,
+            approval_id: entry.approval_id || null
+        },
+        created_at: createdAt
+    };
+}
+
+// Run a tool call the user approved from the approvals queue and log the outcome in chat history
+async function executeApprovedToolCall(approval, actionData, db = supabase) {
+    const tool = CHAT_TOOLS[actionData.tool];
+    if (!tool) {
+        throw new Error(`Unknown chat tool: ${actionData.tool}`);
+    }
+
+    const entry = {
+        id: actionData.tool_call_id || null,
+        name: actionData.tool,
+        arguments: actionData.arguments,
+        approval_id: approval.id
+    };
+
+    try {
+        entry.result = await tool.execute(approval.user_id, actionData.arguments, db);
+        entry.status = 'executed';
+    } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+    }
+
+    const { error: historyError } = await db
+        .from('chat_messages')
+        .insert([toolCallRow(approval.user_id, entry)]);
+
+    if (historyError) {
+        logger.error('Failed to log approved tool call in chat history:', historyError);
+    }
+
+    if (entry.status === 'failed') {
+        throw new Error(`Approved ${actionData.tool} call failed: ${entry.error}`);
+    }
+    return entry.result;
+}
+
+module.exports = {
+    CHAT_TOOLS,
+    ChatToolError,
+    toolSchemas,
+    toolCallRow,
+    executeApprovedToolCall
+};
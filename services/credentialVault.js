@@ -0,0 +1,183 @@
+/**
+ * Credential Vault
+ * Envelope encryption for stored platform credentials and OAuth tokens.
+ * Each record is encrypted with its own random AES-256-GCM data key; the data key
+ * is wrapped with a versioned master key from the environment, so rotating the
+ * master key only re-wraps data keys.
+ *
+ * CREDENTIALS_MASTER_KEYS="1:<base64 32-byte key>,2:<base64 32-byte key>"
+ * CREDENTIALS_ACTIVE_KEY_VERSION=2 (defaults to the highest version)
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_FORMAT = 1;
+const STRING_PREFIX = 'enc:v1:';
+
+class CredentialDecryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialDecryptionError';
+        this.code = 'reconnect_required';
+    }
+}
+
+function parseMasterKeys(spec) {
+    const keys = new Map();
+
+    (spec || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        const version = parseInt(entry.substring(0, separator), 10);
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+        if (separator === -1 || isNaN(version) || key.length !== 32) {
+            throw new Error('CREDENTIALS_MASTER_KEYS entries must look like "<version>:<base64 32-byte key>"');
+        }
+        keys.set(version, key);
+    });
+
+    return keys;
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: ciphertext.toString('base64')
+    };
+}
+
+function open(key, sealed) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+}
+
+class CredentialVault {
+    constructor(options = {}) {
+        this.keys = options.keys || parseMasterKeys(process.env.CREDENTIALS_MASTER_KEYS);
+        this.activeVersion = options.activeVersion ||
+            parseInt(process.env.CREDENTIALS_ACTIVE_KEY_VERSION, 10) ||
+            Math.max(0, ...this.keys.keys());
+    }
+
+    getMasterKey(version) {
+        const key = this.keys.get(version);
+        if (!key) {
+            throw new CredentialDecryptionError(`Master key version ${version} is not configured`);
+        }
+        return key;
+    }
+
+    isEncrypted(value) {
+        if (typeof value === 'string') {
+            return value.startsWith(STRING_PREFIX);
+        }
+        return Boolean(value && typeof value === 'object' && value.format === ENVELOPE_FORMAT && value.wrapped_key);
+    }
+
+    // Encrypt any JSON-serialisable value into an envelope object
+    encrypt(value) {
+        if (!this.keys.has(this.activeVersion)) {
+            throw new Error('CREDENTIALS_MASTER_KEYS is not configured; cannot store credentials');
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        const payload = seal(dataKey, Buffer.from(JSON.stringify(value)));
+
+        return {
+            format: ENVELOPE_FORMAT,
+            key_version: this.activeVersion,
+            wrapped_key: seal(this.keys.get(this.activeVersion), dataKey),
+            payload
+        };
+    }
+
+    decrypt(envelope) {
+        // Rows written before encryption are returned as-is until rotate-keys encrypts them
+        if (!this.isEncrypted(envelope)) {
+            return envelope;
+        }
+
+        try {
+            const dataKey = open(this.getMasterKey(envelope.key_version), envelope.wrapped_key);
+            return JSON.parse(open(dataKey, envelope.payload).toString());
+        } catch (error) {
+            if (error instanceof CredentialDecryptionError) throw error;
+            throw new CredentialDecryptionError(`Failed to decrypt credentials: ${error.message}`);
+        }
+    }
+
+    // String form for TEXT columns such as gmail_tokens.access_token
+    encryptToString(value) {
+        return STRING_PREFIX + Buffer.from(JSON.stringify(this.encrypt(value))).toString('base64');
+    }
+
+    decryptString(value) {
+        if (!this.isEncrypted(value)) {
+            return value;
+        }
+        return this.decrypt(this.parseString(value));
+    }
+
+    parseString(value) {
+        try {
+            return JSON.parse(Buffer.from(value.substring(STRING_PREFIX.length), 'base64').toString());
+        } catch (error) {
+            throw new CredentialDecryptionError('Stored token is corrupted');
+        }
+    }
+
+    // True for legacy plaintext and for envelopes wrapped with a retired master key
+    needsRotation(value) {
+        if (value === null || value === undefined) return false;
+        if (!this.isEncrypted(value)) return true;
+        const envelope = typeof value === 'string' ? this.parseString(value) : value;
+        return envelope.key_version !== this.activeVersion;
+    }
+
+    // Re-wrap the data key under the active master key; the payload is left untouched
+    rewrap(envelope) {
+        if (envelope.key_version === this.activeVersion) {
+            return envelope;
+        }
+
+        let dataKey;
+        try {
+            dataKey = open(this.getMasterKey(envelope.key_version), envelope.wrapped_key);
+        } catch (error) {
+            if (error instanceof CredentialDecryptionError) throw error;
+            throw new CredentialDecryptionError(`Failed to unwrap data key: ${error.message}`);
+        }
+
+        return {
+            ...envelope,
+            key_version: this.activeVersion,
+            wrapped_key: seal(this.getMasterKey(this.activeVersion), dataKey)
+        };
+    }
+
+    rewrapString(value) {
+        return STRING_PREFIX + Buffer.from(JSON.stringify(this.rewrap(this.parseString(value)))).toString('base64');
+    }
+
+    // Bring any stored value up to the active key: encrypt plaintext, re-wrap old envelopes
+    reencrypt(value) {
+        if (!this.isEncrypted(value)) return this.encrypt(value);
+        return this.rewrap(value);
+    }
+
+    reencryptString(value) {
+        if (!this.isEncrypted(value)) return this.encryptToString(value);
+        return this.rewrapString(value);
+    }
+}
+
+const credentialVault = new CredentialVault();
+
+module.exports = { CredentialVault, CredentialDecryptionError, credentialVault, parseMasterKeys };
@@ -0,0 +1,77 @@
+/**
+ * Cron
+ * Schedules for background jobs: five-field cron expressions ("30 9 * * 1-5":
+ * minute, hour, day of month, month, day of week) evaluated in UTC, and fixed
+ * intervals written "@every 90s", "@every 30m" or "@every 2h". Cron expressions are
+ * parsed and stepped by cron-parser.
+ */
+
+const cronParser = require('cron-parser');
+
+const FIELD_COUNT = 5;
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+function parseExpression(expression, after) {
+    try {
+        return cronParser.parseExpression(expression, { currentDate: after, tz: 'UTC' });
+    } catch (error) {
+        throw new CronError(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+}
+
+/**
+ * Parse a schedule string. Throws CronError when it isn't a valid cron expression
+ * or "@every" interval.
+ */
+function parseSchedule(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new CronError('A schedule is required');
+    }
+
+    const every = /^@every\s+(\d+)\s*([smh])$/i.exec(text.trim());
+    if (every) {
+        const intervalMs = Number(every[1]) * INTERVAL_UNITS[every[2].toLowerCase()];
+        if (intervalMs < 1000) {
+            throw new CronError('Intervals must be at least one second');
+        }
+        return { intervalMs };
+    }
+
+    // cron-parser also takes a leading seconds field; schedules here don't
+    const expression = text.trim().split(/\s+/);
+    if (expression.length !== FIELD_COUNT) {
+        throw new CronError(`Expected ${FIELD_COUNT} fields (minute hour day-of-month month day-of-week) or "@every <n>s|m|h": ${text}`);
+    }
+
+    parseExpression(expression.join(' '), new Date());
+    return { expression: expression.join(' ') };
+}
+
+/**
+ * The first time strictly after `after` the schedule fires, or null if it never does
+ * (e.g. "0 0 31 4,6 *").
+ */
+function nextRun(schedule, after = new Date()) {
+    const cron = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+
+    if (cron.intervalMs) {
+        return new Date(after.getTime() + cron.intervalMs);
+    }
+
+    try {
+        return parseExpression(cron.expression, after).next().toDate();
+    } catch (error) {
+        // cron-parser gives up once it has searched too far ahead for a match
+        if (/loop limit exceeded/i.test(error.message)) return null;
+        throw error;
+    }
+}
+
+module.exports = { CronError, parseSchedule, nextRun };
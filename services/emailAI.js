@@ -1,51 +1,24 @@
-const OpenAI = require('openai');
 const { logger } = require('../utils/logger');
+const { llm } = require('./llm');
 
 class EmailAIProcessor {
-    constructor() {
-        // Initialize available AI services
-        this.aiServices = {};
-
-        // OpenAI (primary)
-        if (process.env.OPENAI_API_KEY) {
-            this.aiServices.openai = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-        }
-
-        // LMStudio (localhost)
-        if (process.env.LMSTUDIO_BASE_URL) {
-            this.aiServices.lmstudio = new OpenAI({
-                baseURL: process.env.LMSTUDIO_BASE_URL + "/v1",
-                apiKey: "lm-studio" // LMStudio doesn't require a real key
-            });
-        }
-
-        // OpenRouter (structure ready but disabled for now)
-        if (process.env.OPENROUTER_API_KEY && process.env.ENABLE_OPENROUTER === 'true') {
-            this.aiServices.openrouter = new OpenAI({
-                baseURL: "https://openrouter.ai/api/v1",
-                apiKey: process.env.OPENROUTER_API_KEY
-            });
-        }
-
-        // Default to first available service
-        this.defaultService = Object.keys(this.aiServices)[0] || null;
+    constructor({ registry = llm } = {}) {
+        this.llm = registry;
     }
 
-    // Get the appropriate AI service
-    getAIService(serviceName = null) {
-        if (serviceName && this.aiServices[serviceName]) {
-            return this.aiServices[serviceName];
+    // Model to use: the named provider's default model (e.g. 'lmstudio'), else the registry default
+    getModel(serviceName = null) {
+        if (serviceName && this.llm.getProvider(serviceName)?.isConfigured()) {
+            return this.llm.defaultModel(serviceName);
         }
-        return this.aiServices[this.defaultService];
+        return this.llm.defaultModel();
     }
 
     // Analyze email and determine priority, importance, and generate word tree summary
     async analyzeEmail(email, serviceName = null) {
         try {
-            const aiService = this.getAIService(serviceName);
-            if (!aiService) {
+            const model = this.getModel(serviceName);
+            if (!model) {
                 throw new Error('No AI service available for email analysis');
             }
 
@@ -86,15 +59,7 @@ Consider:
 - Priority 5 = Low importance (can be ignored)
 `;
 
-            // Choose model based on service
-            let model = "gpt-3.5-turbo";
-            if (serviceName === 'lmstudio') {
-                model = process.env.LMSTUDIO_MODEL || "local-model";
-            } else if (serviceName === 'openrouter') {
-                model = process.env.OPENROUTER_MODEL || "anthropic/claude-3-haiku";
-            }
-
-            const response = await aiService.chat.completions.create({
+            const response = await this.llm.complete({
                 model: model,
                 messages: [
                     {
@@ -107,10 +72,11 @@ Consider:
                     }
                 ],
                 temperature: 0.3,
-                max_tokens: 500
+                max_tokens: 500,
+                json: true
             });
 
-            const analysis = JSON.parse(response.choices[0].message.content);
+            const analysis = JSON.parse(response.content);
 
             // Generate word tree formatted summary
             const wordTreeSummary = this.formatWordTreeSummary(analysis.word_tree);
@@ -236,8 +202,8 @@ Consider:
     // Generate a more detailed response draft
     async generateResponse(email, context = '', serviceName = null) {
         try {
-            const aiService = this.getAIService(serviceName);
-            if (!aiService) {
+            const model = this.getModel(serviceName);
+            if (!model) {
                 throw new Error('No AI service available for response generation');
             }
 
@@ -262,15 +228,7 @@ Requirements:
 Generate only the email body content (no subject line or headers):
 `;
 
-            // Choose model based on service
-            let model = "gpt-3.5-turbo";
-            if (serviceName === 'lmstudio') {
-                model = process.env.LMSTUDIO_MODEL || "local-model";
-            } else if (serviceName === 'openrouter') {
-                model = process.env.OPENROUTER_MODEL || "anthropic/claude-3-haiku";
-            }
-
-            const response = await aiService.chat.completions.create({
+            const response = await this.llm.complete({
                 model: model,
                 messages: [
                     {
@@ -286,7 +244,7 @@ Generate only the email body content (no subject line or headers):
                 max_tokens: 300
             });
 
-            return response.choices[0].message.content.trim();
+            return response.content.trim();
         } catch (error) {
             logger.error('Error generating response:', error);
             return 'Thank you for your email. I will review and respond shortly.';
@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { credentialVault, CredentialDecryptionError } = require('./credentialVault');
 
 class GmailService {
     constructor() {
@@ -37,8 +38,8 @@ class GmailService {
                 .from('gmail_tokens')
                 .upsert({
                     user_id: userId,
-                    access_token: tokens.access_token,
-                    refresh_token: tokens.refresh_token,
+                    access_token: credentialVault.encryptToString(tokens.access_token),
+                    refresh_token: tokens.refresh_token ? credentialVault.encryptToString(tokens.refresh_token) : null,
                     token_type: tokens.token_type,
                     expires_at: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
                     updated_at: new Date().toISOString()
@@ -76,7 +77,17 @@ class GmailService {
             if (!tokens) {
                 return null;
             }
-            
+
+            try {
+                tokens.access_token = credentialVault.decryptString(tokens.access_token);
+                tokens.refresh_token = tokens.refresh_token ? credentialVault.decryptString(tokens.refresh_token) : null;
+            } catch (decryptError) {
+                if (decryptError instanceof CredentialDecryptionError) {
+                    logger.warn(`Gmail tokens for user ${userId} cannot be decrypted; reconnect required`);
+                }
+                throw decryptError;
+            }
+
             // Check if token is expired and refresh if needed
             if (tokens.expires_at && new Date() > new Date(tokens.expires_at)) {
                 return await this.refreshTokens(userId, tokens.refresh_token);
@@ -102,7 +113,7 @@ class GmailService {
             const { error: updateError } = await supabase
                 .from('gmail_tokens')
                 .update({
-                    access_token: tokens.access_token,
+                    access_token: credentialVault.encryptToString(tokens.access_token),
                     expires_at: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
                     updated_at: new Date().toISOString()
                 })
@@ -0,0 +1,434 @@
+/**
+ * Job Scheduler
+ * Durable background jobs kept in the scheduled_jobs table, replacing per-process
+ * setInterval loops. A job runs on a cron or "@every" schedule (services/cron.js) or
+ * once at a given time. Every instance polls for due jobs and leases one before running
+ * it, so each run happens on a single instance and schedules survive restarts. The lease
+ * is renewed while the handler runs, so only a job whose instance died is taken over. A
+ * failed run is retried with exponential backoff; after max_attempts failures in a row
+ * the job is dead-lettered until an admin re-runs it.
+ *
+ * Modules register handlers at load time with defineJob/defineRecurringJob; only jobs
+ * whose handler this process knows are claimed.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { asInstant } = require('../utils/time');
+const { CronError, parseSchedule, nextRun } = require('./cron');
+
+const JOB_STATUSES = ['scheduled', 'running', 'paused', 'completed', 'dead'];
+
+const DEFAULT_OPTIONS = { maxAttempts: 5, backoffSeconds: 30, leaseSeconds: 300 };
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Due jobs claimed per poll
+const BATCH_SIZE = 20;
+
+// Identifies this process in locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+class JobSchedulerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobSchedulerError';
+        this.status = status;
+    }
+}
+
+const handlers = new Map(); // handler name -> { run, options }
+const recurringJobs = new Map(); // job name -> { handler, schedule }
+
+let pollTimer = null;
+let polling = false;
+
+// A schedule must parse and fire at least once; every run time is worked out from it
+function validateSchedule(schedule) {
+    let next;
+    try {
+        next = nextRun(parseSchedule(schedule));
+    } catch (error) {
+        if (error instanceof CronError) throw new JobSchedulerError(error.message);
+        throw error;
+    }
+    if (!next) {
+        throw new JobSchedulerError(`Schedule never runs: ${schedule}`);
+    }
+}
+
+/**
+ * Register the function that runs jobs with this handler name. It is called with the
+ * job's payload and row; returning { done: true } ends a recurring job.
+ */
+function defineJob(handler, run, options = {}) {
+    handlers.set(handler, { run, options: { ...DEFAULT_OPTIONS, ...options } });
+}
+
+/**
+ * Register a system job that runs on a schedule for as long as the app does. The row is
+ * created when the scheduler starts; a changed schedule is picked up on restart.
+ */
+function defineRecurringJob(name, schedule, run, options = {}) {
+    validateSchedule(schedule);
+    defineJob(name, run, options);
+    recurringJobs.set(name, { handler: name, schedule });
+}
+
+function jobRow(name, handler, { payload = {}, schedule = null, runAt = null, userId = null }, now) {
+    const options = handlers.get(handler)?.options || DEFAULT_OPTIONS;
+    return {
+        name,
+        handler,
+        payload,
+        schedule,
+        user_id: userId,
+        status: 'scheduled',
+        run_at: (runAt ? new Date(runAt) : schedule ? nextRun(schedule, now) : now).toISOString(),
+        attempts: 0,
+        max_attempts: options.maxAttempts,
+        backoff_seconds: options.backoffSeconds,
+        lease_seconds: options.leaseSeconds,
+        locked_by: null,
+        locked_until: null,
+        last_error: null
+    };
+}
+
+/**
+ * Create or replace the job with this name. Give a schedule for a recurring job, or
+ * runAt (default now) for a one-off. Replacing a job resets its failures and status.
+ */
+async function scheduleJob(name, handler, spec = {}, db = supabase, now = new Date()) {
+    if (spec.schedule) validateSchedule(spec.schedule);
+    const row = jobRow(name, handler, spec, now);
+
+    const { data: existing } = await db
+        .from('scheduled_jobs')
+        .select('id, lock_version')
+        .eq('name', name)
+        .maybeSingle();
+
+    const query = existing
+        ? db.from('scheduled_jobs')
+            .update({ ...row, lock_version: existing.lock_version + 1, updated_at: now.toISOString() })
+            .eq('id', existing.id)
+        : db.from('scheduled_jobs').insert([{ ...row, lock_version: 0 }]);
+
+    const { data: job, error } = await query.select().single();
+    if (error) throw new Error(`Failed to schedule job ${name}: ${error.message}`);
+    return job;
+}
+
+// Remove a job; a run already in progress finishes but isn't rescheduled
+async function cancelJob(name, db = supabase) {
+    const { error } = await db
+        .from('scheduled_jobs')
+        .delete()
+        .eq('name', name);
+
+    if (error) throw new Error(`Failed to cancel job ${name}: ${error.message}`);
+}
+
+// Create rows for the registered system jobs that don't have one yet. Resolves to
+// false if any couldn't be checked, so the caller can try again.
+async function ensureRecurringJobs(db = supabase, now = new Date()) {
+    let complete = true;
+
+    for (const [name, { handler, schedule }] of recurringJobs) {
+        const { data: existing, error: findError } = await db
+            .from('scheduled_jobs')
+            .select('id, schedule, status, lock_version')
+            .eq('name', name)
+            .maybeSingle();
+
+        if (findError) {
+            logger.error(`Failed to check job ${name}:`, findError);
+            complete = false;
+        } else if (!existing) {
+            const { error } = await db
+                .from('scheduled_jobs')
+                .insert([{ ...jobRow(name, handler, { schedule }, now), lock_version: 0 }]);
+            // Another instance starting at the same time may have created it first
+            if (error && error.code !== '23505') {
+                logger.error(`Failed to create job ${name}:`, error);
+                complete = false;
+            }
+        } else if (existing.schedule !== schedule) {
+            // Keep paused and dead jobs as an admin left them
+            await db
+                .from('scheduled_jobs')
+                .update({
+                    schedule,
+                    run_at: nextRun(schedule, now).toISOString(),
+                    lock_version: existing.lock_version + 1,
+                    updated_at: now.toISOString()
+                })
+                .eq('id', existing.id);
+        }
+    }
+
+    return complete;
+}
+
+// Take the lease on a job; false if another instance changed it first
+async function claimJob(job, db, now) {
+    const { data: claimed, error } = await db
+        .from('scheduled_jobs')
+        .update({
+            status: 'running',
+            locked_by: WORKER_ID,
+            locked_until: new Date(now.getTime() + job.lease_seconds * 1000).toISOString(),
+            lock_version: job.lock_version + 1,
+            updated_at: now.toISOString()
+        })
+        .eq('id', job.id)
+        .eq('lock_version', job.lock_version)
+        .select('id');
+
+    if (error) throw new Error(`Failed to claim job ${job.name}: ${error.message}`);
+    return claimed.length > 0;
+}
+
+// Push out the lease on a job this instance is running; false once the job was changed
+async function renewLease(job, db) {
+    const { data: renewed, error } = await db
+        .from('scheduled_jobs')
+        .update({ locked_until: new Date(Date.now() + job.lease_seconds * 1000).toISOString() })
+        .eq('id', job.id)
+        .eq('lock_version', job.lock_version + 1)
+        .select('id');
+
+    if (error) throw new Error(`Failed to renew the lease on job ${job.name}: ${error.message}`);
+    return renewed.length > 0;
+}
+
+function backoffSeconds(job, attempts) {
+    return Math.min(job.backoff_seconds * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+// Run a claimed job and record the outcome, unless the job was changed while it ran
+async function runJob(job, db, startedAt) {
+    const { run } = handlers.get(job.handler);
+    const finished = { locked_by: null, locked_until: null, last_run_at: startedAt.toISOString() };
+
+    // Renew well before the lease runs out, so a slow handler is not taken over mid-run
+    const renewal = setInterval(() => {
+        renewLease(job, db)
+            .then(renewed => {
+                if (!renewed) {
+                    logger.warn(`Job ${job.name} was changed while running; no longer renewing its lease`);
+                    clearInterval(renewal);
+                }
+            })
+            .catch(renewError => logger.error(`Job ${job.name} lease renewal error:`, renewError));
+    }, job.lease_seconds * 1000 / 3);
+    renewal.unref?.();
+
+    let updates;
+    try {
+        const result = await run(job.payload || {}, job);
+        const next = job.schedule && !result?.done ? nextRun(job.schedule, startedAt) : null;
+        updates = next
+            ? { status: 'scheduled', run_at: next.toISOString(), attempts: 0, last_error: null }
+            : { status: 'completed', attempts: 0, last_error: null };
+    } catch (error) {
+        const attempts = job.attempts + 1;
+        logger.error(`Job ${job.name} failed (attempt ${attempts} of ${job.max_attempts}):`, error);
+        updates = attempts >= job.max_attempts
+            ? { status: 'dead', attempts, last_error: error.message }
+            : {
+                status: 'scheduled',
+                attempts,
+                last_error: error.message,
+                run_at: new Date(Date.now() + backoffSeconds(job, attempts) * 1000).toISOString()
+            };
+    } finally {
+        clearInterval(renewal);
+    }
+
+    const { error } = await db
+        .from('scheduled_jobs')
+        .update({ ...finished, ...updates, last_duration_ms: Date.now() - startedAt.getTime(), updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('lock_version', job.lock_version + 1);
+
+    if (error) logger.error(`Failed to record job ${job.name}:`, error);
+    return updates.status;
+}
+
+/**
+ * Claim and run the jobs that are due, one at a time. Jobs still leased by another
+ * instance are left alone; jobs whose lease ran out (the instance died) are taken over.
+ * Resolves to the number of jobs run.
+ */
+async function runDueJobs(db = supabase, now = new Date()) {
+    if (handlers.size === 0) return 0;
+
+    const { data: due, error } = await db
+        .from('scheduled_jobs')
+        .select('*')
+        .in('handler', [...handlers.keys()])
+        .in('status', ['scheduled', 'running'])
+        .lte('run_at', now.toISOString())
+        .order('run_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        logger.error('Load due jobs error:', error);
+        return 0;
+    }
+
+    let ran = 0;
+    for (const job of due) {
+        if (job.status === 'running' && job.locked_until && asInstant(job.locked_until) > now) {
+            continue;
+        }
+        try {
+            if (!(await claimJob(job, db, now))) continue;
+            await runJob(job, db, new Date());
+            ran++;
+        } catch (runError) {
+            logger.error(`Job ${job.name} error:`, runError);
+        }
+    }
+    return ran;
+}
+
+async function findJob(jobId, db) {
+    const { data: job, error } = await db
+        .from('scheduled_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Failed to load job: ${error.message}`);
+    if (!job) throw new JobSchedulerError('Job not found', 404);
+    return job;
+}
+
+async function updateJob(job, updates, db) {
+    const { data: updated, error } = await db
+        .from('scheduled_jobs')
+        .update({ ...updates, lock_version: job.lock_version + 1, updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('lock_version', job.lock_version)
+        .select();
+
+    if (error) throw new Error(`Failed to update job: ${error.message}`);
+    if (updated.length === 0) throw new JobSchedulerError('The job changed while it was being updated; try again', 409);
+    return updated[0];
+}
+
+// Jobs for the admin view, soonest first
+async function listJobs({ status, handler, limit = 100 } = {}, db = supabase) {
+    if (status && !JOB_STATUSES.includes(status)) {
+        throw new JobSchedulerError(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    let query = db
+        .from('scheduled_jobs')
+        .select('*')
+        .order('run_at', { ascending: true })
+        .limit(Math.min(Number(limit) || 100, 500));
+
+    if (status) query = query.eq('status', status);
+    if (handler) query = query.eq('handler', handler);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to list jobs: ${error.message}`);
+    return data;
+}
+
+async function getJob(jobId, db = supabase) {
+    return findJob(jobId, db);
+}
+
+// Stop a job from running again until it is resumed; a run in progress finishes
+async function pauseJob(jobId, db = supabase) {
+    const job = await findJob(jobId, db);
+    if (['completed', 'dead', 'paused'].includes(job.status)) {
+        throw new JobSchedulerError(`Job is already ${job.status}`, 409);
+    }
+    return updateJob(job, { status: 'paused', locked_by: null, locked_until: null }, db);
+}
+
+// Put a paused job back on its schedule (a one-off keeps its original time)
+async function resumeJob(jobId, db = supabase, now = new Date()) {
+    const job = await findJob(jobId, db);
+    if (job.status !== 'paused') {
+        throw new JobSchedulerError('Only paused jobs can be resumed', 409);
+    }
+    const runAt = job.schedule ? nextRun(job.schedule, now) : asInstant(job.run_at);
+    if (!runAt) {
+        throw new JobSchedulerError(`Schedule never runs: ${job.schedule}`, 409);
+    }
+    return updateJob(job, { status: 'scheduled', run_at: runAt.toISOString() }, db);
+}
+
+// Run a job as soon as a worker picks it up, clearing its failures; revives dead jobs
+async function rerunJob(jobId, db = supabase, now = new Date()) {
+    const job = await findJob(jobId, db);
+    if (job.status === 'running' && job.locked_until && asInstant(job.locked_until) > now) {
+        throw new JobSchedulerError('Job is running', 409);
+    }
+    return updateJob(job, {
+        status: 'scheduled',
+        run_at: now.toISOString(),
+        attempts: 0,
+        last_error: null,
+        locked_by: null,
+        locked_until: null
+    }, db);
+}
+
+// Start polling for due jobs, creating the system jobs on the first tick that can
+function startJobScheduler({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+    if (pollTimer) return;
+
+    let recurringJobsReady = false;
+    const poll = async () => {
+        // Runs are sequential; skip a tick while the previous batch is still going
+        if (polling) return;
+        polling = true;
+        try {
+            if (!recurringJobsReady) {
+                recurringJobsReady = await ensureRecurringJobs();
+            }
+            await runDueJobs();
+        } catch (error) {
+            logger.error('Job scheduler tick error:', error);
+        } finally {
+            polling = false;
+        }
+    };
+
+    pollTimer = setInterval(poll, pollIntervalMs);
+    logger.info(`Job scheduler started as ${WORKER_ID} (${handlers.size} handlers)`);
+    poll();
+}
+
+function stopJobScheduler() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    JobSchedulerError,
+    defineJob,
+    defineRecurringJob,
+    scheduleJob,
+    cancelJob,
+    ensureRecurringJobs,
+    runDueJobs,
+    listJobs,
+    getJob,
+    pauseJob,
+    resumeJob,
+    rerunJob,
+    startJobScheduler,
+    stopJobScheduler
+};
@@ -0,0 +1,428 @@
+/**
+ * Links
+ * Wiki-style links between notes, mind notes, tasks and projects, kept as a graph in the
+ * links table so each item can show its backlinks:
+ *
+ *   Call the bank before [[Home Buying]] closes, see @task:6f1c...
+ *
+ * - [[Title]] (or [[Title|shown text]]) links to the task, project or note with that
+ *   title, ignoring case.
+ * - @task:<id>, @project:<id>, @note:<id> and @mind_note:<id> link to an item by id.
+ *
+ * Links are re-indexed whenever their source is written. Renaming a target rewrites the
+ * [[Old Title]] links pointing at it; links that lead nowhere are kept as broken and
+ * resolve once an item with that title appears. Indexing is best effort and never fails
+ * the write that triggered it.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+// Where each linkable item lives; `title` is null for items [[links]] can't name
+const LINKABLE = {
+    task: { table: 'tasks', title: 'title', body: 'description', softDelete: true },
+    project: { table: 'projects', title: 'title', body: 'description', softDelete: true },
+    note: { table: 'notes', title: 'title', body: 'content', softDelete: false },
+    mind_note: { table: 'mind_notes', title: null, body: 'content', softDelete: false }
+};
+
+// Which item a [[Title]] means when several share the title
+const TITLE_PRECEDENCE = ['task', 'project', 'note'];
+
+const WIKI_LINK = /\[\[([^[\]|]+)(?:\|([^[\]]+))?\]\]/g;
+const REF_LINK = /(^|[\s(])@(task|project|note|mind_note):([a-z0-9-]+)/gi;
+
+const MAX_TITLE_LENGTH = 200;
+
+class LinkError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LinkError';
+        this.status = status;
+    }
+}
+
+const normalizeTitle = title => title.replace(/\s+/g, ' ').trim().toLowerCase();
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeLike = text => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * The links in a piece of text, each once: { syntax: 'wiki', title } or
+ * { syntax: 'ref', type, id }.
+ */
+function parseLinks(text) {
+    if (!text) return [];
+
+    const links = new Map();
+    for (const [, title] of text.matchAll(WIKI_LINK)) {
+        const clean = title.replace(/\s+/g, ' ').trim().substring(0, MAX_TITLE_LENGTH);
+        const key = `wiki:${clean.toLowerCase()}`;
+        if (clean && !links.has(key)) links.set(key, { syntax: 'wiki', title: clean });
+    }
+    for (const [, , type, id] of text.matchAll(REF_LINK)) {
+        links.set(`ref:${type.toLowerCase()}:${id}`, { syntax: 'ref', type: type.toLowerCase(), id });
+    }
+    return [...links.values()];
+}
+
+// Rewrite [[oldTitle]] and [[oldTitle|shown]] in a text to the new title
+function renameWikiLinks(text, oldTitle, newTitle) {
+    const pattern = new RegExp(`\\[\\[\\s*${escapeRegExp(oldTitle.trim()).replace(/\s+/g, '\\s+')}\\s*(\\|[^[\\]]+)?\\]\\]`, 'gi');
+    return text.replace(pattern, (match, shown = '') => `[[${newTitle}${shown}]]`);
+}
+
+function linkable(type) {
+    const config = LINKABLE[type];
+    if (!config) {
+        throw new LinkError(`type must be one of: ${Object.keys(LINKABLE).join(', ')}`);
+    }
+    return config;
+}
+
+async function findItems(userId, type, ids, db) {
+    if (ids.length === 0) return [];
+    const config = linkable(type);
+
+    let query = db
+        .from(config.table)
+        .select('*')
+        .eq('user_id', userId)
+        .in('id', ids);
+    if (config.softDelete) query = query.is('deleted_at', null);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load ${config.table}: ${error.message}`);
+    return data;
+}
+
+// The item a [[Title]] names, by TITLE_PRECEDENCE, ignoring `exclude` (the source itself)
+async function findByTitle(userId, title, exclude, db) {
+    for (const type of TITLE_PRECEDENCE) {
+        const config = LINKABLE[type];
+        let query = db
+            .from(config.table)
+            .select(`id, ${config.title}`)
+            .eq('user_id', userId)
+            .ilike(config.title, escapeLike(title));
+        if (config.softDelete) query = query.is('deleted_at', null);
+
+        const { data, error } = await query;
+        if (error) throw new Error(`Failed to look up ${config.table}: ${error.message}`);
+
+        const match = data.find(row => !(type === exclude.type && row.id === exclude.id) &&
+            normalizeTitle(row[config.title] || '') === normalizeTitle(title));
+        if (match) return { type, id: match.id };
+    }
+    return null;
+}
+
+// The links table rows for a source's links
+async function resolveLinks(userId, source, links, db) {
+    const rows = [];
+    for (const link of links) {
+        const row = {
+            user_id: userId,
+            source_type: source.type,
+            source_id: source.id,
+            syntax: link.syntax,
+            target_type: null,
+            target_id: null,
+            target_title: null,
+            broken: true
+        };
+
+        if (link.syntax === 'wiki') {
+            const target = await findByTitle(userId, link.title, source, db);
+            Object.assign(row, { target_title: link.title }, target && { target_type: target.type, target_id: target.id, broken: false });
+        } else {
+            const [target] = await findItems(userId, link.type, [link.id], db);
+            Object.assign(row, { target_type: link.type, target_id: link.id, broken: !target });
+            if (target) row.target_title = LINKABLE[link.type].title ? target[LINKABLE[link.type].title] : null;
+        }
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Replace the links going out of an item with the ones its text has now
+async function indexSource(userId, type, item, db) {
+    const { error: deleteError } = await db
+        .from('links')
+        .delete()
+        .eq('user_id', userId)
+        .eq('source_type', type)
+        .eq('source_id', item.id);
+
+    if (deleteError) throw new Error(`Failed to clear links: ${deleteError.message}`);
+
+    const rows = await resolveLinks(userId, { type, id: item.id }, parseLinks(item[LINKABLE[type].body]), db);
+    if (rows.length === 0) return [];
+
+    const { data, error } = await db
+        .from('links')
+        .insert(rows)
+        .select();
+
+    if (error) throw new Error(`Failed to store links: ${error.message}`);
+    return data;
+}
+
+// Rewrite [[previousTitle]] in everything that links to the item, so the links survive a rename
+async function renameTarget(userId, type, item, previousTitle, db) {
+    const title = item[LINKABLE[type].title];
+
+    const { data: inbound, error } = await db
+        .from('links')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('target_type', type)
+        .eq('target_id', item.id);
+
+    if (error) throw new Error(`Failed to load backlinks: ${error.message}`);
+
+    for (const link of inbound) {
+        if (link.syntax === 'wiki') {
+            const config = LINKABLE[link.source_type];
+            const [source] = await findItems(userId, link.source_type, [link.source_id], db);
+            const body = source?.[config.body];
+
+            if (body) {
+                const renamed = renameWikiLinks(body, previousTitle, title);
+                if (renamed !== body) {
+                    const { error: sourceError } = await db
+                        .from(config.table)
+                        .update({ [config.body]: renamed, updated_at: new Date().toISOString() })
+                        .eq('id', link.source_id);
+
+                    if (sourceError) throw new Error(`Failed to rewrite links in ${config.table}: ${sourceError.message}`);
+                }
+            }
+        }
+
+        const { error: linkError } = await db
+            .from('links')
+            .update({ target_title: title, updated_at: new Date().toISOString() })
+            .eq('id', link.id);
+
+        if (linkError) throw new Error(`Failed to update link: ${linkError.message}`);
+    }
+}
+
+// Point broken [[links]] and @refs at an item that now answers to them
+async function resolveBrokenLinks(userId, type, item, db) {
+    const title = LINKABLE[type].title ? item[LINKABLE[type].title] : null;
+
+    const { data: broken, error } = await db
+        .from('links')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('broken', true);
+
+    if (error) throw new Error(`Failed to load broken links: ${error.message}`);
+
+    const fixable = broken.filter(link => !(link.source_type === type && link.source_id === item.id) && (link.syntax === 'wiki'
+        ? Boolean(title) && normalizeTitle(link.target_title) === normalizeTitle(title)
+        : link.target_type === type && link.target_id === item.id));
+
+    for (const link of fixable) {
+        // A [[Title]] another item already answers to keeps its precedence
+        if (link.syntax === 'wiki') {
+            const target = await findByTitle(userId, link.target_title, { type: link.source_type, id: link.source_id }, db);
+            if (!target || target.type !== type || target.id !== item.id) continue;
+        }
+
+        const { error: linkError } = await db
+            .from('links')
+            .update({ target_type: type, target_id: item.id, target_title: title, broken: false, updated_at: new Date().toISOString() })
+            .eq('id', link.id);
+
+        if (linkError) throw new Error(`Failed to update link: ${linkError.message}`);
+    }
+}
+
+/**
+ * Index an item after it is created or edited: its own links, the [[links]] to it when
+ * its title changed from `previousTitle`, and broken links it now satisfies.
+ */
+async function indexItem(userId, type, item, { previousTitle = null } = {}, db = supabase) {
+    try {
+        const config = linkable(type);
+        await indexSource(userId, type, item, db);
+
+        const title = config.title ? item[config.title] : null;
+        if (previousTitle && title && normalizeTitle(previousTitle) !== normalizeTitle(title)) {
+            await renameTarget(userId, type, item, previousTitle, db);
+        }
+        await resolveBrokenLinks(userId, type, item, db);
+    } catch (error) {
+        logger.error(`Failed to index links for ${type} ${item.id}:`, error);
+    }
+}
+
+/**
+ * Drop an item's own links after it is deleted, and mark the links to it broken
+ */
+async function removeItem(userId, type, item, db = supabase) {
+    try {
+        const config = linkable(type);
+
+        const { error: deleteError } = await db
+            .from('links')
+            .delete()
+            .eq('user_id', userId)
+            .eq('source_type', type)
+            .eq('source_id', item.id);
+
+        if (deleteError) throw new Error(`Failed to clear links: ${deleteError.message}`);
+
+        const { error } = await db
+            .from('links')
+            .update({
+                broken: true,
+                ...(config.title && item[config.title] ? { target_title: item[config.title] } : {}),
+                updated_at: new Date().toISOString()
+            })
+            .eq('user_id', userId)
+            .eq('target_type', type)
+            .eq('target_id', item.id);
+
+        if (error) throw new Error(`Failed to mark links broken: ${error.message}`);
+    } catch (error) {
+        logger.error(`Failed to remove links for ${type} ${item.id}:`, error);
+    }
+}
+
+// Title and a short excerpt for each item a link touches, keyed by `${type}:${id}`
+async function describeItems(userId, refs, db) {
+    const described = new Map();
+
+    for (const type of Object.keys(LINKABLE)) {
+        const ids = [...new Set(refs.filter(ref => ref.type === type).map(ref => ref.id))];
+        const config = LINKABLE[type];
+
+        for (const item of await findItems(userId, type, ids, db)) {
+            const body = item[config.body] || '';
+            described.set(`${type}:${item.id}`, {
+                type,
+                id: item.id,
+                title: (config.title && item[config.title]) || body.substring(0, 80),
+                excerpt: body.substring(0, 200)
+            });
+        }
+    }
+    return described;
+}
+
+/**
+ * Everything that links to an item. Resolves to [{ link_id, syntax, source }], where
+ * source is { type, id, title, excerpt }.
+ */
+async function getBacklinks(userId, type, id, db = supabase) {
+    linkable(type);
+    const [item] = await findItems(userId, type, [id], db);
+    if (!item) throw new LinkError('Item not found', 404);
+
+    const { data: links, error } = await db
+        .from('links')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('target_type', type)
+        .eq('target_id', id)
+        .eq('broken', false)
+        .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to load backlinks: ${error.message}`);
+
+    const sources = await describeItems(userId, links.map(link => ({ type: link.source_type, id: link.source_id })), db);
+    return links
+        .filter(link => sources.has(`${link.source_type}:${link.source_id}`))
+        .map(link => ({ link_id: link.id, syntax: link.syntax, source: sources.get(`${link.source_type}:${link.source_id}`) }));
+}
+
+/**
+ * Links that lead nowhere, with the text that was written and where it was written
+ */
+async function listBrokenLinks(userId, db = supabase) {
+    const { data: links, error } = await db
+        .from('links')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('broken', true)
+        .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to load broken links: ${error.message}`);
+
+    const sources = await describeItems(userId, links.map(link => ({ type: link.source_type, id: link.source_id })), db);
+    return links.map(link => ({
+        link_id: link.id,
+        syntax: link.syntax,
+        text: link.syntax === 'wiki' ? `[[${link.target_title}]]` : `@${link.target_type}:${link.target_id}`,
+        target_type: link.target_type,
+        target_id: link.target_id,
+        source: sources.get(`${link.source_type}:${link.source_id}`) || { type: link.source_type, id: link.source_id }
+    }));
+}
+
+/**
+ * The user's link graph: every linked item as a node and every working link as an edge
+ */
+async function getGraph(userId, db = supabase) {
+    const { data: links, error } = await db
+        .from('links')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('broken', false);
+
+    if (error) throw new Error(`Failed to load links: ${error.message}`);
+
+    const nodes = await describeItems(userId, links.flatMap(link => [
+        { type: link.source_type, id: link.source_id },
+        { type: link.target_type, id: link.target_id }
+    ]), db);
+
+    const edges = links
+        .filter(link => nodes.has(`${link.source_type}:${link.source_id}`) && nodes.has(`${link.target_type}:${link.target_id}`))
+        .map(link => ({ id: link.id, source: `${link.source_type}:${link.source_id}`, target: `${link.target_type}:${link.target_id}`, syntax: link.syntax }));
+
+    return {
+        nodes: [...nodes.entries()].map(([key, node]) => ({ key, type: node.type, id: node.id, title: node.title })),
+        edges
+    };
+}
+
+/**
+ * Index every item the user has, e.g. for items written before links existed or by
+ * the bigpage-ingest edge function. Resolves to the number of items indexed.
+ */
+async function reindexUser(userId, db = supabase) {
+    const items = [];
+    for (const [type, config] of Object.entries(LINKABLE)) {
+        let query = db
+            .from(config.table)
+            .select('*')
+            .eq('user_id', userId);
+        if (config.softDelete) query = query.is('deleted_at', null);
+
+        const { data, error } = await query;
+        if (error) throw new Error(`Failed to load ${config.table}: ${error.message}`);
+        items.push(...data.map(item => ({ type, item })));
+    }
+
+    for (const { type, item } of items) {
+        await indexSource(userId, type, item, db);
+    }
+    return items.length;
+}
+
+module.exports = {
+    LINKABLE,
+    LinkError,
+    parseLinks,
+    renameWikiLinks,
+    indexItem,
+    removeItem,
+    getBacklinks,
+    listBrokenLinks,
+    getGraph,
+    reindexUser
+};
@@ -0,0 +1,261 @@
+/**
+ * Model Catalog
+ * Every model the app can call, keyed by the id callers use. Each entry names the
+ * provider that serves it, the id that provider expects, and capability metadata used
+ * for model selection (agents), the chat model picker and cost estimates.
+ */
+
+const CAPABILITIES = [
+    'text_generation',
+    'sentiment_analysis',
+    'decision_making',
+    'task_suggestions',
+    'code_generation',
+    'reasoning',
+    'json_mode',
+    'tool_calling',
+    'embeddings'
+];
+
+const GENERAL = ['text_generation', 'sentiment_analysis', 'decision_making'];
+
+const MODEL_CATALOG = {
+    // Direct OpenAI models, used by agents and emailAI
+    'gpt-4': {
+        name: 'GPT-4',
+        provider: 'openai',
+        provider_model: 'gpt-4',
+        capabilities: [...GENERAL, 'task_suggestions', 'json_mode', 'tool_calling'],
+        max_tokens: 8192,
+        cost_per_token: 0.00003
+    },
+    'gpt-3.5-turbo': {
+        name: 'GPT-3.5 Turbo',
+        provider: 'openai',
+        provider_model: 'gpt-3.5-turbo',
+        capabilities: [...GENERAL, 'json_mode', 'tool_calling'],
+        max_tokens: 4096,
+        cost_per_token: 0.000002
+    },
+
+    // Agent model ids that predate OpenRouter, served through it
+    'claude-3': {
+        name: 'Claude 3',
+        provider: 'openrouter',
+        provider_model: 'anthropic/claude-3-opus',
+        capabilities: [...GENERAL, 'task_suggestions', 'code_generation', 'tool_calling'],
+        max_tokens: 100000,
+        cost_per_token: 0.000015
+    },
+    'llama-2-70b': {
+        name: 'Llama 2 70B',
+        provider: 'openrouter',
+        provider_model: 'meta-llama/llama-2-70b-chat',
+        capabilities: GENERAL,
+        max_tokens: 4096,
+        cost_per_token: 0.000001
+    },
+
+    // OpenRouter models offered in the chat model picker
+    'anthropic/claude-3.5-sonnet': {
+        name: 'Claude 3.5 Sonnet',
+        label: 'Claude 3.5 Sonnet (Best for quality)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'task_suggestions', 'code_generation', 'reasoning', 'tool_calling'],
+        max_tokens: 200000,
+        cost_per_token: 0.000015,
+        tier: 'premium',
+        chat: true
+    },
+    'anthropic/claude-3-haiku': {
+        name: 'Claude 3 Haiku',
+        label: 'Claude 3 Haiku (Fast & cheap)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'task_suggestions', 'tool_calling'],
+        max_tokens: 200000,
+        cost_per_token: 0.00000125,
+        tier: 'premium',
+        chat: true
+    },
+    'openai/gpt-4o': {
+        name: 'GPT-4o',
+        label: 'GPT-4o (Latest OpenAI)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'task_suggestions', 'code_generation', 'json_mode', 'tool_calling'],
+        max_tokens: 128000,
+        cost_per_token: 0.00001,
+        tier: 'premium',
+        chat: true
+    },
+    'openai/gpt-4o-mini': {
+        name: 'GPT-4o Mini',
+        label: 'GPT-4o Mini (Cheapest option)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'json_mode', 'tool_calling'],
+        max_tokens: 128000,
+        cost_per_token: 0.0000006,
+        tier: 'premium',
+        chat: true
+    },
+    'google/gemini-pro-1.5': {
+        name: 'Gemini Pro 1.5',
+        label: 'Gemini Pro 1.5 (Google\'s model)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'task_suggestions', 'tool_calling'],
+        max_tokens: 1000000,
+        cost_per_token: 0.000005,
+        tier: 'premium',
+        chat: true
+    },
+    'meta-llama/llama-3.1-70b-instruct': {
+        name: 'Llama 3.1 70B',
+        label: 'Llama 3.1 70B (Open source)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'tool_calling'],
+        max_tokens: 131072,
+        cost_per_token: 0.0000004,
+        tier: 'premium',
+        chat: true
+    },
+    'mistralai/mistral-large': {
+        name: 'Mistral Large',
+        label: 'Mistral Large (Fast & capable)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'code_generation', 'tool_calling'],
+        max_tokens: 128000,
+        cost_per_token: 0.000006,
+        tier: 'premium',
+        chat: true
+    },
+    'deepseek/deepseek-r1:free': {
+        name: 'DeepSeek R1 0528',
+        label: 'DeepSeek R1 0528 (Free - Best Reasoning)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'reasoning'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'deepseek/deepseek-v3-0324:free': {
+        name: 'DeepSeek V3 0324',
+        label: 'DeepSeek V3 0324 (Free - Balanced)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'code_generation'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'tng/deepseek-r1t2-chimera:free': {
+        name: 'DeepSeek R1T2 Chimera',
+        label: 'DeepSeek R1T2 Chimera (Free - Fast Reasoning)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'reasoning'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'deepseek/deepseek-r1': {
+        name: 'DeepSeek R1',
+        label: 'DeepSeek R1 (Free - Open Source Reasoning)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'reasoning'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'deepseek/deepseek-v3.1': {
+        name: 'DeepSeek V3.1',
+        label: 'DeepSeek V3.1 (Free - Hybrid Reasoning)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'reasoning', 'code_generation', 'tool_calling'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'z-ai/glm-4.5-air:free': {
+        name: 'GLM 4.5 Air',
+        label: 'GLM 4.5 Air (Free - Agent Focused)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'task_suggestions', 'tool_calling'],
+        max_tokens: 131072,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'qwen/qwen3-coder-480b-a35b:free': {
+        name: 'Qwen3 Coder 480B',
+        label: 'Qwen3 Coder 480B (Free - Code Expert)',
+        provider: 'openrouter',
+        capabilities: ['text_generation', 'code_generation'],
+        max_tokens: 262144,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'tng/deepseek-r1t-chimera:free': {
+        name: 'DeepSeek R1T Chimera',
+        label: 'DeepSeek R1T Chimera (Free - Efficient)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'reasoning'],
+        max_tokens: 163840,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+    'moonshotai/kimi-k2:free': {
+        name: 'Kimi K2',
+        label: 'Kimi K2 (Free - MoE Expert)',
+        provider: 'openrouter',
+        capabilities: [...GENERAL, 'code_generation'],
+        max_tokens: 131072,
+        cost_per_token: 0,
+        tier: 'free',
+        chat: true
+    },
+
+    // Whatever model is loaded in LM Studio (LMSTUDIO_MODEL) or another local endpoint
+    'local-model': {
+        name: 'Local model',
+        provider: 'lmstudio',
+        capabilities: GENERAL,
+        max_tokens: 4096,
+        cost_per_token: 0
+    },
+
+    // Embedding models, used by conversation memory
+    'text-embedding-3-small': {
+        name: 'OpenAI Embedding 3 Small',
+        provider: 'openai',
+        provider_model: 'text-embedding-3-small',
+        capabilities: ['embeddings'],
+        dimensions: 1536,
+        max_tokens: 8191,
+        cost_per_token: 0.00000002
+    },
+    // Feature-hashing embedding computed in process; no API needed
+    'hash-embedding': {
+        name: 'Hashing embedding',
+        provider: 'mock',
+        capabilities: ['embeddings'],
+        dimensions: 1536,
+        max_tokens: 8191,
+        cost_per_token: 0
+    },
+
+    // Deterministic offline provider for tests and development
+    'mock': {
+        name: 'Mock',
+        provider: 'mock',
+        capabilities: CAPABILITIES,
+        max_tokens: 8192,
+        cost_per_token: 0,
+        tier: 'test'
+    }
+};
+
+module.exports = { MODEL_CATALOG, CAPABILITIES };
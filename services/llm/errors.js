@@ -0,0 +1,28 @@
+/**
+ * LLM Errors
+ * Errors raised by the provider registry, carrying the upstream HTTP status when there is one
+ */
+
+class LLMError extends Error {
+    constructor(message, { status = null, provider = null, model = null, retryable = false, cause = null } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+        this.provider = provider;
+        this.model = model;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Rate limits, upstream 5xx, timeouts and dropped connections are worth retrying
+function isRetryable(error) {
+    if (error instanceof LLMError) return error.retryable;
+    if (error.status === 429 || error.status >= 500) return true;
+    if (RETRYABLE_CODES.includes(error.code)) return true;
+    return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+}
+
+module.exports = { LLMError, isRetryable };
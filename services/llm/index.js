@@ -0,0 +1,26 @@
+/**
+ * LLM Service
+ * Single entry point for model calls. Chat, emailAI and the agent runtime all go
+ * through the shared `llm` registry, so models are swapped in one place.
+ */
+
+const { LLMRegistry, PROVIDER_DEFAULT_MODELS } = require('./registry');
+const { MODEL_CATALOG, CAPABILITIES } = require('./catalog');
+const { OpenAICompatibleProvider, MockProvider, createDefaultProviders, hashEmbedding } = require('./providers');
+const { LLMError, isRetryable } = require('./errors');
+
+const llm = new LLMRegistry();
+
+module.exports = {
+    llm,
+    LLMRegistry,
+    LLMError,
+    isRetryable,
+    MODEL_CATALOG,
+    CAPABILITIES,
+    PROVIDER_DEFAULT_MODELS,
+    OpenAICompatibleProvider,
+    MockProvider,
+    createDefaultProviders,
+    hashEmbedding
+};
@@ -0,0 +1,235 @@
+/**
+ * LLM Providers
+ * Provider adapters share one interface: complete(request, { signal, timeoutMs })
+ * resolves to { content, tool_calls, provider_model, usage, finish_reason }; stream(request, { signal })
+ * is an async generator of { content, tool_calls, finish_reason, usage } chunks. Tool calls are
+ * { id, name, arguments } with arguments as a JSON string; streamed ones also carry an index
+ * and arrive in pieces to be concatenated. embed({ input, provider_model, dimensions }) resolves
+ * to { embeddings, usage }.
+ */
+
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { LLMError } = require('./errors');
+
+// Feature-hashing embedding: words and word pairs are hashed into buckets with a sign,
+// then the vector is L2-normalised. Texts sharing vocabulary get high cosine similarity.
+function hashEmbedding(text, dimensions = 1536) {
+    const vector = new Array(dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+    for (const feature of features) {
+        const digest = crypto.createHash('md5').update(feature).digest();
+        const bucket = digest.readUInt32BE(0) % dimensions;
+        vector[bucket] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+// OpenAI, OpenRouter, LM Studio and any other endpoint speaking the OpenAI chat API
+class OpenAICompatibleProvider {
+    constructor({ name, baseURL = undefined, apiKey, defaultModel = null, client = null }) {
+        this.name = name;
+        this.baseURL = baseURL;
+        this.apiKey = apiKey;
+        this.defaultModel = defaultModel;
+        this.client = client;
+    }
+
+    isConfigured() {
+        return Boolean(this.client || this.apiKey);
+    }
+
+    getClient() {
+        if (!this.client) {
+            // Retries and timeouts are handled by the registry so fallbacks stay predictable
+            this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL, maxRetries: 0 });
+        }
+        return this.client;
+    }
+
+    buildBody(request) {
+        const body = {
+            model: request.provider_model || this.defaultModel,
+            messages: request.messages,
+            temperature: request.temperature,
+            max_tokens: request.max_tokens
+        };
+        if (request.json) {
+            body.response_format = { type: 'json_object' };
+        }
+        if (request.tools) {
+            body.tools = request.tools.map(tool => ({ type: 'function', function: tool }));
+        }
+        return body;
+    }
+
+    wrapError(error, model) {
+        return new LLMError(error.message, {
+            status: error.status || null,
+            provider: this.name,
+            model,
+            retryable: error.status === 429 || error.status >= 500 || !error.status,
+            cause: error
+        });
+    }
+
+    async complete(request, { signal, timeoutMs } = {}) {
+        const body = this.buildBody(request);
+
+        let completion;
+        try {
+            completion = await this.getClient().chat.completions.create(body, { signal, timeout: timeoutMs });
+        } catch (error) {
+            throw this.wrapError(error, body.model);
+        }
+
+        const choice = completion.choices?.[0];
+        return {
+            content: choice?.message?.content || '',
+            tool_calls: (choice?.message?.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments || '{}'
+            })),
+            provider_model: completion.model || body.model,
+            usage: completion.usage || null,
+            finish_reason: choice?.finish_reason || null
+        };
+    }
+
+    async embed(request, { signal, timeoutMs } = {}) {
+        let response;
+        try {
+            response = await this.getClient().embeddings.create({
+                model: request.provider_model || this.defaultModel,
+                input: request.input
+            }, { signal, timeout: timeoutMs });
+        } catch (error) {
+            throw this.wrapError(error, request.provider_model);
+        }
+
+        return {
+            embeddings: response.data.sort((a, b) => a.index - b.index).map(item => item.embedding),
+            usage: response.usage || null
+        };
+    }
+
+    // Yields { content } deltas as they arrive, then { finish_reason, usage } when the model stops
+    async *stream(request, { signal } = {}) {
+        const body = { ...this.buildBody(request), stream: true };
+
+        try {
+            const chunks = await this.getClient().chat.completions.create(body, { signal });
+            for await (const chunk of chunks) {
+                const choice = chunk.choices?.[0];
+                yield {
+                    content: choice?.delta?.content || '',
+                    tool_calls: (choice?.delta?.tool_calls || []).map(call => ({
+                        index: call.index,
+                        id: call.id,
+                        name: call.function?.name,
+                        arguments: call.function?.arguments
+                    })),
+                    finish_reason: choice?.finish_reason || null,
+                    usage: chunk.usage || null
+                };
+            }
+        } catch (error) {
+            throw this.wrapError(error, body.model);
+        }
+    }
+}
+
+// Deterministic offline provider: the same request always produces the same reply
+class MockProvider {
+    constructor({ handler = null } = {}) {
+        this.name = 'mock';
+        this.handler = handler;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete(request) {
+        const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user');
+        const prompt = lastUserMessage ? lastUserMessage.content : '';
+
+        // A handler may return a string, or { content, tool_calls } to exercise tool calling
+        let content;
+        let toolCalls = [];
+        if (this.handler) {
+            const reply = await this.handler(request);
+            content = typeof reply === 'string' ? reply : (reply.content || '');
+            toolCalls = typeof reply === 'string' ? [] : (reply.tool_calls || []);
+        } else if (request.json) {
+            content = '{}';
+        } else {
+            content = `Mock response to: ${prompt.substring(0, 200)}`;
+        }
+
+        const promptTokens = Math.ceil(request.messages.reduce((sum, message) => sum + (message.content || '').length, 0) / 4);
+        const completionTokens = Math.ceil(content.length / 4);
+
+        return {
+            content,
+            tool_calls: toolCalls,
+            provider_model: request.provider_model || 'mock',
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            },
+            finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
+        };
+    }
+
+    async embed(request) {
+        return {
+            embeddings: request.input.map(text => hashEmbedding(text, request.dimensions)),
+            usage: null
+        };
+    }
+
+    // Streams the same reply complete() would give, one word at a time
+    async *stream(request) {
+        const result = await this.complete(request);
+        for (const word of result.content.match(/\S+\s*/g) || []) {
+            yield { content: word };
+        }
+        yield {
+            tool_calls: result.tool_calls.map((call, index) => ({ index, ...call })),
+            finish_reason: result.finish_reason,
+            usage: result.usage
+        };
+    }
+}
+
+// Providers available from environment configuration
+function createDefaultProviders(env = process.env) {
+    return [
+        new OpenAICompatibleProvider({
+            name: 'openai',
+            apiKey: env.OPENAI_API_KEY
+        }),
+        new OpenAICompatibleProvider({
+            name: 'openrouter',
+            baseURL: 'https://openrouter.ai/api/v1',
+            apiKey: env.OPENROUTER_API_KEY
+        }),
+        new OpenAICompatibleProvider({
+            name: 'lmstudio',
+            baseURL: env.LMSTUDIO_BASE_URL ? `${env.LMSTUDIO_BASE_URL.replace(/\/$/, '')}/v1` : undefined,
+            // LM Studio doesn't check the key, but the SDK requires one
+            apiKey: env.LMSTUDIO_BASE_URL ? (env.LMSTUDIO_API_KEY || 'lm-studio') : null,
+            defaultModel: env.LMSTUDIO_MODEL || 'local-model'
+        }),
+        new MockProvider()
+    ];
+}
+
+module.exports = { OpenAICompatibleProvider, MockProvider, createDefaultProviders, hashEmbedding };
@@ -0,0 +1,393 @@
+/**
+ * LLM Provider Registry
+ * Resolves catalog model ids to providers and runs completions with per-attempt
+ * timeouts, retries with backoff on transient errors, and fallback models.
+ */
+
+const { logger } = require('../../utils/logger');
+const { MODEL_CATALOG } = require('./catalog');
+const { createDefaultProviders } = require('./providers');
+const { LLMError, isRetryable } = require('./errors');
+
+// Used when no model is requested and LLM_DEFAULT_MODEL is unset
+const PROVIDER_DEFAULT_MODELS = {
+    openai: 'gpt-3.5-turbo',
+    lmstudio: 'local-model',
+    openrouter: 'anthropic/claude-3-haiku',
+    mock: 'mock'
+};
+const PROVIDER_PREFERENCE = ['openai', 'lmstudio', 'openrouter'];
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseNumber(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? fallback : parsed;
+}
+
+// Streamed tool calls arrive in pieces keyed by index; the arguments string is split across chunks
+function mergeToolCallChunks(toolCalls, chunks) {
+    const merged = [...toolCalls];
+    chunks.forEach((chunk, position) => {
+        const index = chunk.index !== undefined ? chunk.index : position;
+        const current = merged[index] || { id: null, name: null, arguments: '' };
+        merged[index] = {
+            id: chunk.id || current.id,
+            name: chunk.name || current.name,
+            arguments: current.arguments + (chunk.arguments || '')
+        };
+    });
+    return merged.filter(Boolean);
+}
+
+class LLMRegistry {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+
+        this.catalog = options.catalog || MODEL_CATALOG;
+        this.providers = new Map();
+        (options.providers || createDefaultProviders(env)).forEach(provider => this.registerProvider(provider));
+
+        // LLM_PROVIDER=mock sends every call to the mock provider, e.g. for offline test runs
+        this.forcedProvider = options.forcedProvider !== undefined ? options.forcedProvider : (env.LLM_PROVIDER || null);
+        this.defaultModelId = options.defaultModel || env.LLM_DEFAULT_MODEL || null;
+        this.embeddingModelId = options.embeddingModel || env.LLM_EMBEDDING_MODEL || null;
+        this.fallbackModels = options.fallbackModels || parseList(env.LLM_FALLBACK_MODELS);
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : parseNumber(env.LLM_MAX_RETRIES, 2);
+        this.timeoutMs = options.timeoutMs || parseNumber(env.LLM_TIMEOUT_MS, 30000);
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 500;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    getProvider(name) {
+        return this.providers.get(name) || null;
+    }
+
+    getModel(modelId) {
+        const entry = this.catalog[modelId];
+        return entry ? { id: modelId, ...entry } : null;
+    }
+
+    // Provider that will serve a catalog entry, honouring LLM_PROVIDER
+    providerFor(entry) {
+        return this.getProvider(this.forcedProvider || entry.provider);
+    }
+
+    isAvailable(modelId) {
+        const entry = this.getModel(modelId);
+        const provider = entry && this.providerFor(entry);
+        return Boolean(provider && provider.isConfigured());
+    }
+
+    listModels({ capability = null, provider = null, tier = null, chat = null, available = false, includeTest = false } = {}) {
+        return Object.keys(this.catalog)
+            .map(modelId => this.getModel(modelId))
+            .filter(entry => includeTest || entry.tier !== 'test')
+            .filter(entry => !capability || entry.capabilities.includes(capability))
+            .filter(entry => !provider || entry.provider === provider)
+            .filter(entry => !tier || entry.tier === tier)
+            .filter(entry => chat === null || Boolean(entry.chat) === chat)
+            .filter(entry => !available || this.isAvailable(entry.id));
+    }
+
+    // Catalog models keyed by id, for callers that index models directly
+    getCatalog(filters = {}) {
+        return Object.fromEntries(this.listModels(filters).map(({ id, ...entry }) => [id, entry]));
+    }
+
+    defaultModel(providerName = null) {
+        if (providerName) {
+            return PROVIDER_DEFAULT_MODELS[providerName] || null;
+        }
+        if (this.forcedProvider) {
+            return this.defaultModelId || PROVIDER_DEFAULT_MODELS[this.forcedProvider] || 'mock';
+        }
+        if (this.defaultModelId) {
+            return this.defaultModelId;
+        }
+
+        const configured = PROVIDER_PREFERENCE.find(name => this.getProvider(name)?.isConfigured());
+        return configured ? PROVIDER_DEFAULT_MODELS[configured] : null;
+    }
+
+    hasConfiguredProvider() {
+        return Boolean(this.defaultModel());
+    }
+
+    // LLM_EMBEDDING_MODEL, else OpenAI embeddings when configured, else the in-process hashing embedding
+    defaultEmbeddingModel() {
+        if (this.embeddingModelId) {
+            return this.embeddingModelId;
+        }
+        return !this.forcedProvider && this.isAvailable('text-embedding-3-small') ? 'text-embedding-3-small' : 'hash-embedding';
+    }
+
+    // Ordered model ids to try: the requested (or default) model, then fallbacks
+    candidatesFor({ model = null, provider = null, fallbacks = this.fallbackModels } = {}) {
+        const primary = model || this.defaultModel(provider);
+        const candidates = [...new Set([primary, ...fallbacks].filter(Boolean))];
+        if (candidates.length === 0) {
+            throw new LLMError('No LLM provider is configured', { status: 503 });
+        }
+        return candidates;
+    }
+
+    // Catalog entry and provider for a candidate, or the error explaining why it can't be used
+    resolveCandidate(modelId) {
+        const entry = this.getModel(modelId);
+        if (!entry) {
+            return { error: new LLMError(`Unknown model: ${modelId}`, { status: 400, model: modelId }) };
+        }
+
+        const provider = this.providerFor(entry);
+        if (!provider || !provider.isConfigured()) {
+            return {
+                error: new LLMError(`Provider ${entry.provider} is not configured for ${modelId}`, {
+                    status: 503,
+                    provider: entry.provider,
+                    model: modelId
+                })
+            };
+        }
+        return { entry, provider };
+    }
+
+    buildRequest(entry, { messages = null, system = null, prompt = null, temperature = 0.7, max_tokens = 1000, json = false, tools = null }) {
+        return {
+            messages: messages || [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                { role: 'user', content: prompt || '' }
+            ],
+            provider_model: entry.provider_model || (entry.provider === 'openrouter' ? entry.id : null),
+            temperature,
+            max_tokens: Math.min(max_tokens, entry.max_tokens),
+            json: json && entry.capabilities.includes('json_mode'),
+            tools: tools && tools.length > 0 && this.supportsTools(entry.id) ? tools : null
+        };
+    }
+
+    supportsTools(modelId) {
+        const entry = this.getModel(modelId);
+        return Boolean(entry && entry.capabilities.includes('tool_calling'));
+    }
+
+    /**
+     * Run a chat completion.
+     * Pass either messages, or system + prompt. `provider` picks that provider's default
+     * model when no model is given; `fallbacks` defaults to LLM_FALLBACK_MODELS. `tools`
+     * (JSON schema function definitions) are only sent to models with tool_calling.
+     */
+    async complete(options = {}) {
+        const { retries = this.maxRetries, timeoutMs = this.timeoutMs, signal = null } = options;
+        const candidates = this.candidatesFor(options);
+
+        let lastError = null;
+        for (const modelId of candidates) {
+            const { entry, provider, error } = this.resolveCandidate(modelId);
+            if (error) {
+                lastError = error;
+                continue;
+            }
+
+            const request = this.buildRequest(entry, options);
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                const startedAt = Date.now();
+                const call = this.openCall(signal);
+                try {
+                    const result = await this.withTimeout(
+                        provider.complete(request, { signal: call.signal, timeoutMs }),
+                        timeoutMs, call, provider
+                    );
+                    return {
+                        ...result,
+                        tool_calls: result.tool_calls || [],
+                        model: modelId,
+                        provider: provider.name,
+                        latency_ms: Date.now() - startedAt,
+                        attempts: attempt + 1,
+                        fallback_used: modelId !== candidates[0]
+                    };
+                } catch (callError) {
+                    lastError = callError;
+                    if (!(await this.shouldRetry(callError, { modelId, provider, attempt, retries, signal }))) break;
+                } finally {
+                    call.release();
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Stream a chat completion. Yields { type: 'delta', content } as tokens arrive and
+     * finishes with { type: 'done', content, tool_calls, model, ... }. Retries and fallbacks only
+     * apply until the first token has been sent; timeoutMs bounds the wait for each chunk.
+     */
+    async *stream(options = {}) {
+        const { retries = this.maxRetries, timeoutMs = this.timeoutMs, signal = null } = options;
+        const candidates = this.candidatesFor(options);
+
+        let lastError = null;
+        for (const modelId of candidates) {
+            const { entry, provider, error } = this.resolveCandidate(modelId);
+            if (error) {
+                lastError = error;
+                continue;
+            }
+
+            const request = this.buildRequest(entry, options);
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                const startedAt = Date.now();
+                const call = this.openCall(signal);
+                let content = '';
+                let toolCalls = [];
+                let finishReason = null;
+                let usage = null;
+                try {
+                    const chunks = this.providerStream(provider, request, { signal: call.signal, timeoutMs });
+                    while (true) {
+                        const { value, done } = await this.withTimeout(chunks.next(), timeoutMs, call, provider);
+                        if (done) break;
+                        if (value.finish_reason) finishReason = value.finish_reason;
+                        if (value.usage) usage = value.usage;
+                        if (value.tool_calls) toolCalls = mergeToolCallChunks(toolCalls, value.tool_calls);
+                        if (value.content) {
+                            content += value.content;
+                            yield { type: 'delta', content: value.content };
+                        }
+                    }
+
+                    yield {
+                        type: 'done',
+                        content,
+                        tool_calls: toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args || '{}' })),
+                        model: modelId,
+                        provider: provider.name,
+                        finish_reason: finishReason,
+                        usage,
+                        latency_ms: Date.now() - startedAt,
+                        attempts: attempt + 1,
+                        fallback_used: modelId !== candidates[0]
+                    };
+                    return;
+                } catch (callError) {
+                    lastError = callError;
+                    // Once tokens have reached the caller, switching models would garble the reply
+                    if (content) throw callError;
+                    if (!(await this.shouldRetry(callError, { modelId, provider, attempt, retries, signal }))) break;
+                } finally {
+                    // Also stops the upstream stream when the caller stops reading early
+                    call.abort();
+                    call.release();
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Embed texts. Resolves to { embeddings, model, provider, dimensions }; embeddings are
+     * in the same order as texts. Transient errors are retried like completions.
+     */
+    async embed({ texts, model = null, retries = this.maxRetries, timeoutMs = this.timeoutMs, signal = null }) {
+        const modelId = model || this.defaultEmbeddingModel();
+        const { entry, provider, error } = this.resolveCandidate(modelId);
+        if (error) {
+            throw error;
+        }
+        if (!entry.capabilities.includes('embeddings') || !provider.embed) {
+            throw new LLMError(`${modelId} is not an embedding model`, { status: 400, model: modelId });
+        }
+
+        const request = { input: texts, provider_model: entry.provider_model || null, dimensions: entry.dimensions };
+        for (let attempt = 0; ; attempt++) {
+            const call = this.openCall(signal);
+            try {
+                const result = await this.withTimeout(provider.embed(request, { signal: call.signal, timeoutMs }), timeoutMs, call, provider);
+                return { ...result, model: modelId, provider: provider.name, dimensions: entry.dimensions };
+            } catch (callError) {
+                if (!(await this.shouldRetry(callError, { modelId, provider, attempt, retries, signal }))) throw callError;
+            } finally {
+                call.release();
+            }
+        }
+    }
+
+    // Providers without native streaming deliver their whole reply as one chunk
+    providerStream(provider, request, callOptions) {
+        if (provider.stream) {
+            return provider.stream(request, callOptions);
+        }
+        return (async function* () {
+            const result = await provider.complete(request, callOptions);
+            yield {
+                content: result.content,
+                tool_calls: result.tool_calls,
+                finish_reason: result.finish_reason,
+                usage: result.usage
+            };
+        })();
+    }
+
+    // Decide whether to retry the same model (after backoff) or move on to the next candidate
+    async shouldRetry(error, { modelId, provider, attempt, retries, signal }) {
+        if (signal && signal.aborted) {
+            throw error;
+        }
+        if (!isRetryable(error) || attempt === retries) {
+            logger.warn(`LLM call to ${modelId} via ${provider.name} failed: ${error.message}`);
+            return false;
+        }
+        logger.warn(`LLM call to ${modelId} failed (attempt ${attempt + 1}), retrying: ${error.message}`);
+        await this.sleep(this.retryDelayMs * Math.pow(2, attempt));
+        return true;
+    }
+
+    // Per-attempt abort signal that also follows the caller's signal
+    openCall(signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        return {
+            signal: controller.signal,
+            abort,
+            release() {
+                if (signal) signal.removeEventListener('abort', abort);
+            }
+        };
+    }
+
+    // Reject with a retryable error (and abort the call) if the promise takes longer than timeoutMs
+    async withTimeout(promise, timeoutMs, call, provider) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                call.abort();
+                reject(new LLMError(`LLM call timed out after ${timeoutMs}ms`, {
+                    provider: provider.name,
+                    retryable: true
+                }));
+            }, timeoutMs);
+        });
+
+        try {
+            return await Promise.race([promise, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = { LLMRegistry, PROVIDER_DEFAULT_MODELS };
@@ -0,0 +1,17 @@
+/**
+ * Conversation Memory
+ * Embedded long-term memory shared by chat and agents
+ */
+
+const { MemoryService, memoryService, MEMORY_SOURCES } = require('./memoryService');
+const { PgVectorStore, InMemoryVectorStore, createMemoryStore, cosineSimilarity } = require('./stores');
+
+module.exports = {
+    MemoryService,
+    memoryService,
+    MEMORY_SOURCES,
+    PgVectorStore,
+    InMemoryVectorStore,
+    createMemoryStore,
+    cosineSimilarity
+};
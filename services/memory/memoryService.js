@@ -0,0 +1,213 @@
+/**
+ * Memory Service
+ * Long-term memory for chat and agents. Chat messages, agent conversations, mind notes
+ * and email summaries are embedded as they are stored (or by reindex) and the most
+ * relevant ones are recalled per turn. Recall returns the memories it used with their
+ * scores so callers can show why a reply knew something.
+ */
+
+const { supabase } = require('../../database/connection');
+const { logger } = require('../../utils/logger');
+const { llm } = require('../llm');
+const { createMemoryStore } = require('./stores');
+
+const MAX_MEMORY_LENGTH = 2000;
+
+// Where memories come from: how to load a user's rows and turn one into a memory
+const MEMORY_SOURCES = {
+    chat_message: {
+        label: 'chat',
+        load: (db, userId, limit) => db
+            .from('chat_messages')
+            .select('id, role, content, created_at')
+            .eq('user_id', userId)
+            .in('role', ['user', 'assistant'])
+            .order('created_at', { ascending: false })
+            .limit(limit),
+        toMemory: row => ({
+            sourceId: row.id,
+            content: `${row.role === 'user' ? 'User' : 'Assistant'}: ${row.content}`,
+            metadata: { role: row.role },
+            createdAt: row.created_at
+        })
+    },
+    agent_conversation: {
+        label: 'agent conversation',
+        load: (db, userId, limit) => db
+            .from('agent_conversations')
+            .select('id, agent_id, session_id, message_type, content, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit),
+        toMemory: row => ({
+            sourceId: row.id,
+            content: row.content,
+            metadata: { agent_id: row.agent_id, session_id: row.session_id, message_type: row.message_type },
+            createdAt: row.created_at
+        })
+    },
+    mind_note: {
+        label: 'mind note',
+        load: (db, userId, limit) => db
+            .from('mind_notes')
+            .select('id, content, ai_summary, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit),
+        toMemory: row => ({
+            sourceId: row.id,
+            content: row.ai_summary ? `${row.content}\n${row.ai_summary}` : row.content,
+            createdAt: row.created_at
+        })
+    },
+    email: {
+        label: 'email',
+        load: (db, userId, limit) => db
+            .from('emails')
+            .select('id, gmail_id, sender, sender_email, subject, summary, received_at')
+            .eq('user_id', userId)
+            .order('received_at', { ascending: false })
+            .limit(limit),
+        // Emails are keyed by gmail_id so the sync, which upserts on it, and reindex agree
+        toMemory: row => {
+            const summary = row.summary || row.word_tree_summary;
+            return {
+                sourceId: row.gmail_id || row.id,
+                content: summary ? `Email from ${row.sender} (${row.sender_email}): ${row.subject}\n${summary}` : '',
+                metadata: { subject: row.subject, sender_email: row.sender_email },
+                createdAt: row.received_at
+            };
+        }
+    }
+};
+
+class MemoryService {
+    constructor(options = {}) {
+        const env = options.env || process.env;
+
+        this.llm = options.registry || llm;
+        this.db = options.supabase || supabase;
+        this.store = options.store || createMemoryStore(env.MEMORY_BACKEND, this.db);
+        this.embeddingModel = options.embeddingModel || null;
+        this.minScore = options.minScore !== undefined ? options.minScore : 0.25;
+    }
+
+    async embed(texts) {
+        return this.llm.embed({ texts, model: this.embeddingModel || this.llm.defaultEmbeddingModel() });
+    }
+
+    /**
+     * Embed and store memories for a user. Items are { sourceType, sourceId, content,
+     * metadata, createdAt }; a source that is stored again is refreshed. Never throws:
+     * memory is best effort and must not break the caller.
+     */
+    async rememberMany(userId, items) {
+        try {
+            const usable = items
+                .filter(item => MEMORY_SOURCES[item.sourceType] && item.sourceId && item.content && item.content.trim())
+                .map(item => ({ ...item, content: item.content.trim().substring(0, MAX_MEMORY_LENGTH) }));
+            if (usable.length === 0) return [];
+
+            const { embeddings, model } = await this.embed(usable.map(item => item.content));
+            return await this.store.upsert(userId, usable.map((item, index) => ({
+                source_type: item.sourceType,
+                source_id: String(item.sourceId),
+                content: item.content,
+                embedding: embeddings[index],
+                embedding_model: model,
+                metadata: item.metadata || {},
+                source_created_at: item.createdAt || null
+            })));
+        } catch (error) {
+            logger.error('Failed to store memories:', error);
+            return [];
+        }
+    }
+
+    async remember(userId, item) {
+        const [memory] = await this.rememberMany(userId, [item]);
+        return memory || null;
+    }
+
+    // Remember rows of a source table (chat_messages, agent_conversations, ...) as they are written
+    async rememberRows(userId, sourceType, rows) {
+        const source = MEMORY_SOURCES[sourceType];
+        return this.rememberMany(userId, rows.map(row => ({ sourceType, ...source.toMemory(row) })));
+    }
+
+    /**
+     * Memories most relevant to a query, best first, each with its similarity score.
+     * Returns [] rather than throwing when memory is unavailable.
+     */
+    async recall(userId, query, { limit = 5, sourceTypes = null, minScore = this.minScore, excludeSourceIds = [] } = {}) {
+        if (!query || !query.trim()) return [];
+
+        try {
+            const { embeddings: [embedding], model } = await this.embed([query.substring(0, MAX_MEMORY_LENGTH)]);
+            const memories = await this.store.search(userId, embedding, {
+                model,
+                limit: limit + excludeSourceIds.length,
+                sourceTypes,
+                minScore
+            });
+            return memories.filter(memory => !excludeSourceIds.includes(memory.source_id)).slice(0, limit);
+        } catch (error) {
+            logger.error('Memory recall failed:', error);
+            return [];
+        }
+    }
+
+    async list(userId, options = {}) {
+        return this.store.list(userId, options);
+    }
+
+    // Forget one memory by id; resolves to false when the user has no such memory
+    async forget(userId, memoryId) {
+        const forgotten = await this.store.forget(userId, { ids: [memoryId] });
+        return forgotten.length > 0;
+    }
+
+    // Forget whatever was remembered from a source row, e.g. a deleted chat message
+    async forgetSource(userId, sourceType, sourceId) {
+        return this.store.forget(userId, { sourceType, sourceId });
+    }
+
+    // Embed a user's existing rows from each source; returns how many memories each produced
+    async reindex(userId, { sources = Object.keys(MEMORY_SOURCES), limit = 200 } = {}) {
+        const counts = {};
+        for (const sourceType of sources.filter(type => MEMORY_SOURCES[type])) {
+            const { data: rows, error } = await MEMORY_SOURCES[sourceType].load(this.db, userId, limit);
+            if (error) {
+                logger.warn(`Skipping ${sourceType} memories: ${error.message}`);
+                counts[sourceType] = 0;
+                continue;
+            }
+            counts[sourceType] = (await this.rememberRows(userId, sourceType, rows || [])).length;
+        }
+        return counts;
+    }
+
+    // Recalled memories as prompt lines, labelled with where they came from
+    formatForPrompt(memories) {
+        return memories.map(memory => {
+            const label = MEMORY_SOURCES[memory.source_type]?.label || memory.source_type;
+            const date = memory.source_created_at ? `, ${String(memory.source_created_at).substring(0, 10)}` : '';
+            return `- [${label}${date}] ${memory.content.substring(0, 500)}`;
+        }).join('\n');
+    }
+
+    // What a caller reports about the memories behind a reply
+    describe(memories) {
+        return memories.map(memory => ({
+            id: memory.id,
+            source_type: memory.source_type,
+            source_id: memory.source_id,
+            score: Math.round(memory.score * 1000) / 1000,
+            excerpt: memory.content.substring(0, 200)
+        }));
+    }
+}
+
+const memoryService = new MemoryService();
+
+module.exports = { MemoryService, memoryService, MEMORY_SOURCES };
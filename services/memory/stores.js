@@ -0,0 +1,179 @@
+/**
+ * Memory Stores
+ * Where embedded memories live. PgVectorStore keeps them in the memories table and
+ * searches with the match_memories function; InMemoryVectorStore is the in-process
+ * fallback for local runs. Both are user-scoped and keep tombstones for forgotten
+ * memories so re-indexing their source doesn't bring them back.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../../database/connection');
+
+const PUBLIC_COLUMNS = 'id, source_type, source_id, content, metadata, source_created_at, created_at';
+
+const sourceKey = record => `${record.source_type}:${record.source_id}`;
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Memory fields returned to callers (never the embedding)
+function publicMemory({ id, source_type, source_id, content, metadata, source_created_at, created_at }) {
+    return { id, source_type, source_id, content, metadata, source_created_at, created_at };
+}
+
+class PgVectorStore {
+    constructor({ db = supabase } = {}) {
+        this.db = db;
+    }
+
+    // Insert or refresh memories for one user, skipping sources that were forgotten
+    async upsert(userId, records) {
+        const { data: tombstones, error: tombstoneError } = await this.db
+            .from('memories')
+            .select('source_type, source_id')
+            .eq('user_id', userId)
+            .eq('forgotten', true)
+            .in('source_id', records.map(record => record.source_id));
+
+        if (tombstoneError) throw new Error(`Failed to check forgotten memories: ${tombstoneError.message}`);
+
+        const forgotten = new Set((tombstones || []).map(sourceKey));
+        const rows = records
+            .filter(record => !forgotten.has(sourceKey(record)))
+            .map(record => ({ ...record, user_id: userId }));
+        if (rows.length === 0) return [];
+
+        const { data, error } = await this.db
+            .from('memories')
+            .upsert(rows, { onConflict: 'user_id,source_type,source_id' })
+            .select(PUBLIC_COLUMNS);
+
+        if (error) throw new Error(`Failed to store memories: ${error.message}`);
+        return data;
+    }
+
+    async search(userId, embedding, { model, limit = 5, sourceTypes = null, minScore = 0 }) {
+        const { data, error } = await this.db.rpc('match_memories', {
+            query_embedding: embedding,
+            match_user_id: userId,
+            match_model: model,
+            match_count: limit,
+            source_types: sourceTypes,
+            min_similarity: minScore
+        });
+
+        if (error) throw new Error(`Memory search failed: ${error.message}`);
+        return data.map(({ similarity, ...memory }) => ({ ...memory, score: similarity }));
+    }
+
+    async list(userId, { sourceType = null, limit = 50, offset = 0 } = {}) {
+        let query = this.db
+            .from('memories')
+            .select(PUBLIC_COLUMNS)
+            .eq('user_id', userId)
+            .eq('forgotten', false)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (sourceType) {
+            query = query.eq('source_type', sourceType);
+        }
+
+        const { data, error } = await query;
+        if (error) throw new Error(`Failed to list memories: ${error.message}`);
+        return data;
+    }
+
+    // Turn matching memories into tombstones; returns the ids that were forgotten
+    async forget(userId, { ids = null, sourceType = null, sourceId = null }) {
+        let query = this.db
+            .from('memories')
+            .update({ forgotten: true, content: '', embedding: null, metadata: {} })
+            .eq('user_id', userId)
+            .eq('forgotten', false);
+
+        query = ids ? query.in('id', ids) : query.eq('source_type', sourceType).eq('source_id', String(sourceId));
+
+        const { data, error } = await query.select('id');
+        if (error) throw new Error(`Failed to forget memories: ${error.message}`);
+        return data.map(row => row.id);
+    }
+}
+
+class InMemoryVectorStore {
+    constructor() {
+        this.records = new Map(); // `${userId}:${source_type}:${source_id}` -> record
+    }
+
+    async upsert(userId, records) {
+        const stored = [];
+        for (const record of records) {
+            const key = `${userId}:${sourceKey(record)}`;
+            const existing = this.records.get(key);
+            if (existing && existing.forgotten) continue;
+
+            const row = {
+                id: existing ? existing.id : crypto.randomUUID(),
+                created_at: existing ? existing.created_at : new Date().toISOString(),
+                metadata: {},
+                source_created_at: null,
+                ...record,
+                user_id: userId,
+                forgotten: false
+            };
+            this.records.set(key, row);
+            stored.push(publicMemory(row));
+        }
+        return stored;
+    }
+
+    async search(userId, embedding, { model, limit = 5, sourceTypes = null, minScore = 0 }) {
+        return [...this.records.values()]
+            .filter(record => record.user_id === userId && !record.forgotten && record.embedding_model === model)
+            .filter(record => !sourceTypes || sourceTypes.includes(record.source_type))
+            .map(record => ({ ...publicMemory(record), score: cosineSimilarity(embedding, record.embedding) }))
+            .filter(memory => memory.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    async list(userId, { sourceType = null, limit = 50, offset = 0 } = {}) {
+        return [...this.records.values()]
+            .filter(record => record.user_id === userId && !record.forgotten)
+            .filter(record => !sourceType || record.source_type === sourceType)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(offset, offset + limit)
+            .map(publicMemory);
+    }
+
+    async forget(userId, { ids = null, sourceType = null, sourceId = null }) {
+        const forgotten = [];
+        for (const record of this.records.values()) {
+            if (record.user_id !== userId || record.forgotten) continue;
+            const matches = ids
+                ? ids.includes(record.id)
+                : record.source_type === sourceType && record.source_id === String(sourceId);
+            if (!matches) continue;
+
+            Object.assign(record, { forgotten: true, content: '', embedding: null, metadata: {} });
+            forgotten.push(record.id);
+        }
+        return forgotten;
+    }
+}
+
+// MEMORY_BACKEND=memory keeps memories in process; anything else uses pgvector
+function createMemoryStore(backend, db = supabase) {
+    return backend === 'memory' ? new InMemoryVectorStore() : new PgVectorStore({ db });
+}
+
+module.exports = { PgVectorStore, InMemoryVectorStore, createMemoryStore, cosineSimilarity };
@@ -6,13 +6,18 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { logger } = require('../utils/logger');
+const { credentialVault, CredentialDecryptionError } = require('./credentialVault');
+const { handleApprovalReply } = require('./agents/approvalReplies');
+const { defineJob, scheduleJob, cancelJob } = require('./jobScheduler');
+const { getMessageRouter } = require('./sharedMessageRouter');
 
 class MessageRouter {
-    constructor() {
-        this.supabase = createClient(
+    constructor(options = {}) {
+        this.supabase = options.supabase || createClient(
             process.env.SUPABASE_URL,
             process.env.SUPABASE_ANON_KEY
         );
+        this.vault = options.vault || credentialVault;
 
         // Platform adapters registry
         this.platformAdapters = new Map();
@@ -70,11 +75,7 @@ class MessageRouter {
             const adapter = this.getAdapter(platform);
 
             // Test connection
-            const connectionResult = await adapter.connect(credentials);
-
-            if (!connectionResult.success) {
-                throw new Error(`Failed to connect to ${platform}: ${connectionResult.error}`);
-            }
+            const connectionResult = await this.connectAdapter(adapter, platform, credentials);
 
             // Store platform integration in database
             const { data, error } = await this.supabase
@@ -86,6 +87,8 @@ class MessageRouter {
                     display_name: connectionResult.displayName,
                     credentials: this.encryptCredentials(credentials),
                     is_active: true,
+                    sync_status: 'idle',
+                    error_message: null,
                     last_sync: new Date().toISOString()
                 })
                 .select()
@@ -99,14 +102,16 @@ class MessageRouter {
             const connectionId = `${platform}_${userId}`;
             this.activeConnections.set(connectionId, {
                 adapter,
+                adapterConnectionId: connectionResult.connectionId,
                 integrationId: data.id,
                 userId,
                 platform,
+                displayName: connectionResult.displayName,
                 connectedAt: new Date()
             });
 
             // Start message sync for this platform
-            this.startMessageSync(data.id, userId, platform);
+            await this.startMessageSync(data.id, userId, platform);
 
             logger.info(`Successfully connected to ${platform} for user ${userId}`);
             return {
@@ -134,10 +139,11 @@ class MessageRouter {
 
             if (connection) {
                 // Disconnect from platform
-                await connection.adapter.disconnect();
+                await connection.adapter.disconnect(connection.adapterConnectionId);
 
                 // Remove active connection
                 this.activeConnections.delete(connectionId);
+                await this.stopMessageSync(userId, platform);
 
                 // Update database
                 await this.supabase
@@ -165,15 +171,10 @@ class MessageRouter {
     async sendMessage(userId, platform, messageData) {
         try {
             const adapter = this.getAdapter(platform);
-            const connectionId = `${platform}_${userId}`;
-            const connection = this.activeConnections.get(connectionId);
+            const connection = await this.getConnection(userId, platform);
 
-            if (!connection) {
-                throw new Error(`No active connection for ${platform}`);
-            }
-
-            // Send message through platform adapter
-            const sendResult = await adapter.sendMessage(messageData);
+            // Send message through the user's own connection on the shared adapter
+            const sendResult = await adapter.sendMessage({ ...messageData, connectionId: connection.adapterConnectionId });
 
             if (!sendResult.success) {
                 throw new Error(`Failed to send message: ${sendResult.error}`);
@@ -225,7 +226,8 @@ class MessageRouter {
             logger.error(`Failed to send message via ${platform}:`, error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                reconnectRequired: error instanceof CredentialDecryptionError
             };
         }
     }
@@ -236,15 +238,10 @@ class MessageRouter {
     async receiveMessages(userId, platform, options = {}) {
         try {
             const adapter = this.getAdapter(platform);
-            const connectionId = `${platform}_${userId}`;
-            const connection = this.activeConnections.get(connectionId);
+            const connection = await this.getConnection(userId, platform);
 
-            if (!connection) {
-                throw new Error(`No active connection for ${platform}`);
-            }
-
-            // Fetch messages from platform
-            const messages = await adapter.receiveMessages(options);
+            // Fetch messages from the user's own connection on the shared adapter
+            const messages = await adapter.receiveMessages({ ...options, connectionId: connection.adapterConnectionId });
 
             // Process and store messages
             const processedMessages = [];
@@ -272,11 +269,107 @@ class MessageRouter {
             logger.error(`Failed to receive messages from ${platform}:`, error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                reconnectRequired: error instanceof CredentialDecryptionError
             };
         }
     }
 
+    /**
+     * Get the in-memory connection, restoring it from the stored integration if needed
+     */
+    async getConnection(userId, platform) {
+        const connection = this.activeConnections.get(`${platform}_${userId}`);
+        if (connection) {
+            return connection;
+        }
+        return this.restoreConnection(userId, platform);
+    }
+
+    /**
+     * Reconnect a platform from its stored (encrypted) credentials
+     */
+    async restoreConnection(userId, platform) {
+        const { data: integration, error } = await this.supabase
+            .from('platform_integrations')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('platform', platform)
+            .eq('is_active', true)
+            .single();
+
+        if (error || !integration) {
+            throw new Error(`No active connection for ${platform}`);
+        }
+
+        if (integration.sync_status === 'reconnect_required') {
+            throw new CredentialDecryptionError(integration.error_message || `${platform} must be reconnected`);
+        }
+
+        let credentials;
+        try {
+            credentials = this.decryptCredentials(integration.credentials);
+        } catch (decryptError) {
+            await this.markReconnectRequired(userId, platform, decryptError);
+            throw decryptError;
+        }
+
+        const adapter = this.getAdapter(platform);
+        const connectionResult = await this.connectAdapter(adapter, platform, credentials);
+
+        const connection = {
+            adapter,
+            adapterConnectionId: connectionResult.connectionId,
+            integrationId: integration.id,
+            userId,
+            platform,
+            displayName: integration.display_name,
+            connectedAt: new Date()
+        };
+        this.activeConnections.set(`${platform}_${userId}`, connection);
+
+        logger.info(`Restored ${platform} connection for user ${userId}`);
+        return connection;
+    }
+
+    /**
+     * Connect an adapter with a user's credentials. Adapters are shared by every user, so
+     * the connection id they return is what keeps one user's calls off another's account.
+     */
+    async connectAdapter(adapter, platform, credentials) {
+        const connectionResult = await adapter.connect(credentials);
+        if (!connectionResult.success) {
+            throw new Error(`Failed to connect to ${platform}: ${connectionResult.error}`);
+        }
+        if (!connectionResult.connectionId) {
+            throw new Error(`${platform} adapter did not return a connection id`);
+        }
+        return connectionResult;
+    }
+
+    /**
+     * Flag an integration whose credentials can no longer be decrypted so the user is asked to reconnect
+     */
+    async markReconnectRequired(userId, platform, error) {
+        logger.warn(`${platform} credentials for user ${userId} cannot be decrypted; reconnect required`);
+
+        await this.stopMessageSync(userId, platform);
+        this.activeConnections.delete(`${platform}_${userId}`);
+
+        const { error: updateError } = await this.supabase
+            .from('platform_integrations')
+            .update({
+                sync_status: 'reconnect_required',
+                error_message: error.message
+            })
+            .eq('user_id', userId)
+            .eq('platform', platform);
+
+        if (updateError) {
+            logger.error('Failed to mark integration as reconnect required:', updateError);
+        }
+    }
+
     /**
      * Process an incoming message
      */
@@ -318,6 +411,12 @@ class MessageRouter {
             await this.updateOrCreateThread(userId, platform, messageData.threadId, messageData);
         }
 
+        // A reply to an approval request resolves the approval and goes no further
+        const approvalReply = await handleApprovalReply(userId, platform, messageData);
+        if (approvalReply) {
+            return { ...data, approval_reply: approvalReply };
+        }
+
         // Queue message for processing (AI analysis, auto-responses, etc.)
         await this.queueMessageForProcessing(data.id, userId, platform, messageData);
 
@@ -398,39 +497,40 @@ class MessageRouter {
     }
 
     /**
-     * Start background message sync for a platform
+     * Start background message sync for a platform: a durable job that receives new
+     * messages every minute on whichever instance picks it up
      */
-    startMessageSync(integrationId, userId, platform) {
-        const syncInterval = setInterval(async () => {
-            try {
-                await this.receiveMessages(userId, platform);
-            } catch (error) {
-                logger.error(`Message sync failed for ${platform}:`, error);
-            }
-        }, 60000); // Sync every minute
+    async startMessageSync(integrationId, userId, platform) {
+        await scheduleJob(syncJobName(userId, platform), 'messaging.sync', {
+            schedule: '@every 60s',
+            payload: { integrationId, userId, platform },
+            userId
+        }, this.supabase);
+    }
 
-        // Store sync interval for cleanup
-        const connectionId = `${platform}_${userId}`;
-        const connection = this.activeConnections.get(connectionId);
-        if (connection) {
-            connection.syncInterval = syncInterval;
+    /**
+     * Stop background message sync for a platform
+     */
+    async stopMessageSync(userId, platform) {
+        try {
+            await cancelJob(syncJobName(userId, platform), this.supabase);
+        } catch (error) {
+            logger.error(`Failed to stop message sync for ${platform}:`, error);
         }
     }
 
     /**
-     * Encrypt platform credentials (placeholder - implement proper encryption)
+     * Encrypt platform credentials into an envelope (see services/credentialVault.js)
      */
     encryptCredentials(credentials) {
-        // TODO: Implement proper encryption
-        return credentials;
+        return this.vault.encrypt(credentials);
     }
 
     /**
-     * Decrypt platform credentials (placeholder - implement proper decryption)
+     * Decrypt platform credentials; throws CredentialDecryptionError when the user must reconnect
      */
     decryptCredentials(encryptedCredentials) {
-        // TODO: Implement proper decryption
-        return encryptedCredentials;
+        return this.vault.decrypt(encryptedCredentials);
     }
 
     /**
@@ -455,17 +555,10 @@ class MessageRouter {
      * Clean up resources
      */
     cleanup() {
-        // Clear all sync intervals
-        for (const connection of this.activeConnections.values()) {
-            if (connection.syncInterval) {
-                clearInterval(connection.syncInterval);
-            }
-        }
-
         // Disconnect from all platforms
         for (const connection of this.activeConnections.values()) {
             try {
-                connection.adapter.disconnect();
+                connection.adapter.disconnect(connection.adapterConnectionId);
             } catch (error) {
                 logger.error('Error disconnecting platform:', error);
             }
@@ -476,4 +569,21 @@ class MessageRouter {
     }
 }
 
+const syncJobName = (userId, platform) => `messaging.sync:${platform}:${userId}`;
+
+// Sync jobs run on the shared router of whichever instance leases the job, which may not
+// be the one that connected the platform. receiveMessages resolves the job's own user and
+// platform connection there, restoring it from that user's stored credentials if needed.
+defineJob('messaging.sync', async ({ userId, platform }) => {
+    const result = await getMessageRouter().receiveMessages(userId, platform);
+    if (result.reconnectRequired) {
+        // Retrying cannot succeed until the user reconnects
+        logger.warn(`Message sync stopped for ${platform} (user ${userId}): reconnect required`);
+        return { done: true };
+    }
+    if (!result.success) {
+        throw new Error(result.error || `Message sync failed for ${platform}`);
+    }
+}, { maxAttempts: 10, backoffSeconds: 60 });
+
 module.exports = MessageRouter;
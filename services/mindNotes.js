@@ -0,0 +1,444 @@
+/**
+ * Mind Notes
+ * Notes sent to /api/ai/process-note are stored in mind_notes and processed in the
+ * background by a scheduled job: the AI provider writes a summary and tags and proposes
+ * tasks, goals and questions, kept as mind_note_items linked back to the note. Nothing
+ * is created until the user accepts an item; a discarded item stays discarded when the
+ * note is processed again, e.g. after a better model is configured.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { llm: registry } = require('./llm');
+const { memoryService } = require('./memory');
+const { defineJob, scheduleJob } = require('./jobScheduler');
+const { indexItem } = require('./links');
+
+const NOTE_STATUSES = ['queued', 'processing', 'processed', 'failed'];
+const ITEM_KINDS = ['task', 'goal', 'question'];
+const GOAL_TYPES = ['personal', 'professional', 'health', 'financial', 'learning'];
+
+const MAX_NOTE_LENGTH = 20000;
+const MAX_TAGS = 10;
+const MAX_ITEMS_PER_KIND = 10;
+
+class MindNoteError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MindNoteError';
+        this.status = status;
+    }
+}
+
+const jobName = noteId => `mind_note:${noteId}`;
+
+// The model notes are processed with: MIND_NOTE_MODEL, else the registry's default
+const configuredModel = () => process.env.MIND_NOTE_MODEL || registry.defaultModel();
+
+// Default LLM backed by the shared provider registry; null when no provider is configured
+function createDefaultNoteLLM(model = configuredModel()) {
+    if (!model) {
+        return null;
+    }
+
+    return {
+        model,
+        async complete({ system, prompt }) {
+            const result = await registry.complete({ model, system, prompt, temperature: 0.2, max_tokens: 2000, json: true });
+            return { content: result.content, model: result.model };
+        }
+    };
+}
+
+const text = (value, length) => typeof value === 'string' ? value.trim().substring(0, length) : '';
+const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime());
+
+// Proposed items of one kind from the model's answer, cleaned up as mind_note_items fields
+function normalizeItems(kind, raw) {
+    const items = (Array.isArray(raw) ? raw : []).slice(0, MAX_ITEMS_PER_KIND).map(item => {
+        const entry = typeof item === 'string' ? { title: item } : (item || {});
+        const title = text(entry.title || entry.question, 1000);
+
+        if (kind === 'task') {
+            const priority = Number(entry.priority);
+            return {
+                title,
+                description: text(entry.description, 5000) || null,
+                details: {
+                    priority: Number.isInteger(priority) && priority >= 1 && priority <= 5 ? priority : 3,
+                    deadline: isDate(entry.deadline) ? entry.deadline : null
+                }
+            };
+        }
+        if (kind === 'goal') {
+            return {
+                title,
+                description: text(entry.description, 5000) || null,
+                details: {
+                    type: GOAL_TYPES.includes(entry.type) ? entry.type : 'personal',
+                    target_date: isDate(entry.target_date) ? entry.target_date.substring(0, 10) : null
+                }
+            };
+        }
+        return { title, description: text(entry.context, 5000) || null, details: {} };
+    });
+
+    return items.filter(item => item.title);
+}
+
+/**
+ * Ask the LLM to analyse a note. Resolves to { summary, tags, items: { task, goal,
+ * question }, model }.
+ */
+async function analyzeNote(content, llm) {
+    const system = 'You help a person make sense of notes they jot down. ' +
+        'Respond with JSON only: {"summary":"...","tags":["..."],' +
+        '"tasks":[{"title":"...","description":"...","priority":3,"deadline":"YYYY-MM-DD"}],' +
+        `"goals":[{"title":"...","description":"...","type":"${GOAL_TYPES.join('|')}","target_date":"YYYY-MM-DD"}],` +
+        '"questions":[{"question":"...","context":"..."}]}';
+
+    const prompt = [
+        'Summarise this note in one or two sentences and give a few short lowercase tags.',
+        'List only the tasks, goals and open questions the note actually contains; use empty lists when there are none.',
+        `Today is ${new Date().toISOString().substring(0, 10)}.`,
+        `Note:\n${content}`
+    ].join('\n\n');
+
+    const response = await llm.complete({ system, prompt });
+    const jsonMatch = String(response.content).match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+        throw new Error('Note analysis did not contain JSON');
+    }
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    const tags = [...new Set((Array.isArray(parsed.tags) ? parsed.tags : [])
+        .map(tag => text(tag, 50).toLowerCase())
+        .filter(Boolean))].slice(0, MAX_TAGS);
+
+    return {
+        summary: text(parsed.summary, 2000),
+        tags,
+        items: {
+            task: normalizeItems('task', parsed.tasks),
+            goal: normalizeItems('goal', parsed.goals),
+            question: normalizeItems('question', parsed.questions)
+        },
+        model: response.model || llm.model || null
+    };
+}
+
+async function findNote(userId, noteId, db) {
+    const { data: note, error } = await db
+        .from('mind_notes')
+        .select('*')
+        .eq('id', noteId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Failed to load note: ${error.message}`);
+    if (!note) throw new MindNoteError('Note not found', 404);
+    return note;
+}
+
+async function updateNote(noteId, updates, db) {
+    const { data: note, error } = await db
+        .from('mind_notes')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', noteId)
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to update note: ${error.message}`);
+    return note;
+}
+
+// Queue a note for processing; replacing its job restarts a failed or finished one
+async function queueNote(note, { model = null } = {}, db = supabase) {
+    await scheduleJob(jobName(note.id), 'mind_notes.process', {
+        payload: { noteId: note.id, userId: note.user_id, model },
+        userId: note.user_id
+    }, db);
+
+    return updateNote(note.id, { status: 'queued', processing_error: null }, db);
+}
+
+/**
+ * Store a note and queue it for processing. Resolves to the stored note.
+ */
+async function createNote(userId, content, db = supabase) {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new MindNoteError('Note is required');
+    }
+    if (content.length > MAX_NOTE_LENGTH) {
+        throw new MindNoteError(`Note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const { data: note, error } = await db
+        .from('mind_notes')
+        .insert([{ user_id: userId, content: content.trim(), status: 'queued', processed: false }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to store note: ${error.message}`);
+    await indexItem(userId, 'mind_note', note, {}, db);
+    return queueNote(note, {}, db);
+}
+
+/**
+ * Process a note: summarise, tag and propose items. Items still awaiting a decision are
+ * replaced; accepted and discarded ones are kept and not proposed again. `final` says
+ * whether a failure is the last attempt (the note is then marked failed rather than
+ * queued for a retry). Resolves to the processed note.
+ */
+async function processNote(noteId, { llm = createDefaultNoteLLM(), final = true } = {}, db = supabase) {
+    const { data: note, error } = await db
+        .from('mind_notes')
+        .select('*')
+        .eq('id', noteId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Failed to load note: ${error.message}`);
+    if (!note) {
+        logger.warn(`Mind note ${noteId} no longer exists; nothing to process`);
+        return null;
+    }
+
+    // Without a provider retrying cannot help
+    if (!llm) {
+        return updateNote(noteId, { status: 'failed', processing_error: 'No AI provider is configured' }, db);
+    }
+
+    await updateNote(noteId, { status: 'processing' }, db);
+
+    let analysis;
+    try {
+        analysis = await analyzeNote(note.content, llm);
+    } catch (analysisError) {
+        await updateNote(noteId, { status: final ? 'failed' : 'queued', processing_error: analysisError.message }, db);
+        throw analysisError;
+    }
+
+    const { data: existing, error: itemsError } = await db
+        .from('mind_note_items')
+        .select('*')
+        .eq('note_id', noteId);
+
+    if (itemsError) throw new Error(`Failed to load note items: ${itemsError.message}`);
+
+    const decided = existing.filter(item => item.status !== 'proposed');
+    const seen = new Set(decided.map(item => `${item.kind}:${item.title.toLowerCase()}`));
+
+    const { error: deleteError } = await db
+        .from('mind_note_items')
+        .delete()
+        .eq('note_id', noteId)
+        .eq('status', 'proposed');
+
+    if (deleteError) throw new Error(`Failed to replace note items: ${deleteError.message}`);
+
+    const rows = ITEM_KINDS.flatMap(kind => analysis.items[kind]
+        .filter(item => !seen.has(`${kind}:${item.title.toLowerCase()}`))
+        .map(item => ({ user_id: note.user_id, note_id: noteId, kind, status: 'proposed', ...item })));
+
+    if (rows.length > 0) {
+        const { error: insertError } = await db
+            .from('mind_note_items')
+            .insert(rows);
+
+        if (insertError) throw new Error(`Failed to store note items: ${insertError.message}`);
+    }
+
+    const processed = await updateNote(noteId, {
+        status: 'processed',
+        processed: true,
+        ai_summary: analysis.summary || null,
+        ai_tags: analysis.tags,
+        ai_model: analysis.model,
+        processing_error: null,
+        processed_at: new Date().toISOString()
+    }, db);
+
+    // Memory is best effort and never fails processing
+    await memoryService.rememberRows(note.user_id, 'mind_note', [processed]);
+
+    logger.info(`Processed mind note ${noteId}: ${rows.length} item(s) proposed`);
+    return processed;
+}
+
+// A note with its items, proposed ones first
+async function getNote(userId, noteId, db = supabase) {
+    const note = await findNote(userId, noteId, db);
+
+    const { data: items, error } = await db
+        .from('mind_note_items')
+        .select('*')
+        .eq('note_id', noteId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to load note items: ${error.message}`);
+
+    const order = { proposed: 0, accepted: 1, discarded: 2 };
+    return { ...note, items: items.sort((a, b) => order[a.status] - order[b.status]) };
+}
+
+async function listNotes(userId, { status, limit = 50 } = {}, db = supabase) {
+    if (status && !NOTE_STATUSES.includes(status)) {
+        throw new MindNoteError(`status must be one of: ${NOTE_STATUSES.join(', ')}`);
+    }
+
+    let query = db
+        .from('mind_notes')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Number(limit) || 50, 200));
+
+    if (status) query = query.eq('status', status);
+
+    const { data: notes, error } = await query;
+    if (error) throw new Error(`Failed to load notes: ${error.message}`);
+    return notes;
+}
+
+/**
+ * Queue a note to be processed again, with `model` or the configured model
+ */
+async function reprocessNote(userId, noteId, { model = null } = {}, db = supabase) {
+    if (model && !registry.isAvailable(model)) {
+        throw new MindNoteError(`Model ${model} is not available`);
+    }
+
+    const note = await findNote(userId, noteId, db);
+    if (note.status === 'processing') {
+        throw new MindNoteError('Note is being processed', 409);
+    }
+    return queueNote(note, { model }, db);
+}
+
+/**
+ * Queue every processed note of the user's that a different model processed, so they
+ * benefit from the one configured now. Resolves to the number of notes queued.
+ */
+async function reprocessOutdatedNotes(userId, db = supabase) {
+    const model = configuredModel();
+    if (!model) {
+        throw new MindNoteError('No AI provider is configured', 503);
+    }
+
+    const { data: notes, error } = await db
+        .from('mind_notes')
+        .select('*')
+        .eq('user_id', userId)
+        .in('status', ['processed', 'failed']);
+
+    if (error) throw new Error(`Failed to load notes: ${error.message}`);
+
+    const outdated = notes.filter(note => note.ai_model !== model);
+    for (const note of outdated) {
+        await queueNote(note, {}, db);
+    }
+    return outdated.length;
+}
+
+async function findOpenItem(userId, noteId, itemId, db) {
+    const { data: item, error } = await db
+        .from('mind_note_items')
+        .select('*')
+        .eq('id', itemId)
+        .eq('note_id', noteId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Failed to load note item: ${error.message}`);
+    if (!item) throw new MindNoteError('Item not found', 404);
+    if (item.status !== 'proposed') throw new MindNoteError(`Item has already been ${item.status}`, 409);
+    return item;
+}
+
+async function resolveItem(item, updates, db) {
+    const { data: resolved, error } = await db
+        .from('mind_note_items')
+        .update({ ...updates, resolved_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', item.id)
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to update note item: ${error.message}`);
+    return resolved;
+}
+
+/**
+ * Accept a proposed item: a task or goal is created from it (an accepted question is
+ * kept as an open question). Resolves to { item, task } or { item, goal }.
+ */
+async function acceptItem(userId, noteId, itemId, db = supabase) {
+    const item = await findOpenItem(userId, noteId, itemId, db);
+
+    if (item.kind === 'task') {
+        const { data: task, error } = await db
+            .from('tasks')
+            .insert([{
+                user_id: userId,
+                title: item.title,
+                description: item.description,
+                priority: item.details?.priority || 3,
+                deadline: item.details?.deadline || null,
+                ai_generated: true,
+                source: 'mind_note',
+                source_data: { note_id: noteId, item_id: item.id }
+            }])
+            .select()
+            .single();
+
+        if (error) throw new Error(`Failed to create task: ${error.message}`);
+        return { item: await resolveItem(item, { status: 'accepted', created_task_id: task.id }, db), task };
+    }
+
+    if (item.kind === 'goal') {
+        const { data: goal, error } = await db
+            .from('goals')
+            .insert([{
+                user_id: userId,
+                title: item.title,
+                description: item.description,
+                type: item.details?.type || 'personal',
+                target_date: item.details?.target_date || null
+            }])
+            .select()
+            .single();
+
+        if (error) throw new Error(`Failed to create goal: ${error.message}`);
+        return { item: await resolveItem(item, { status: 'accepted', created_goal_id: goal.id }, db), goal };
+    }
+
+    return { item: await resolveItem(item, { status: 'accepted' }, db) };
+}
+
+async function discardItem(userId, noteId, itemId, db = supabase) {
+    const item = await findOpenItem(userId, noteId, itemId, db);
+    return resolveItem(item, { status: 'discarded' }, db);
+}
+
+// Notes are processed one job each; failures retry with backoff before the note is marked failed
+defineJob('mind_notes.process', async ({ noteId, model }, job) => {
+    await processNote(noteId, {
+        llm: createDefaultNoteLLM(model || configuredModel()),
+        final: job.attempts + 1 >= job.max_attempts
+    });
+}, { maxAttempts: 3, backoffSeconds: 60 });
+
+module.exports = {
+    NOTE_STATUSES,
+    ITEM_KINDS,
+    MindNoteError,
+    analyzeNote,
+    createNote,
+    processNote,
+    getNote,
+    listNotes,
+    reprocessNote,
+    reprocessOutdatedNotes,
+    acceptItem,
+    discardItem
+};
@@ -0,0 +1,213 @@
+/**
+ * Note Analysis
+ * Consumes ai_processing_queue, which quick capture fills (see services/capture.js): each
+ * pending item's note is analysed by the AI provider with a prompt for its processing
+ * type, and the result is written to notes.ai_analysis and the item's result_data. Items
+ * queued for the 'local' provider go to LM Studio first, with the configured model as the
+ * fallback, and the other way round for the rest. Failed items are retried a few times.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { llm: registry } = require('./llm');
+const { defineRecurringJob } = require('./jobScheduler');
+
+const LOCAL_MODEL = 'local-model';
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 5;
+// Items left 'processing' this long were abandoned by a worker that stopped
+const STALE_MINUTES = 10;
+
+const SYSTEM_PROMPT = "You are Khizr's personal AI assistant. Respond with valid JSON only. Be concise and actionable.";
+
+// Prompt for each processing type, as captured by the quick-capture grammar
+const ANALYSIS_PROMPTS = {
+    question: note => `Research Question: "${note.content}"
+
+Provide JSON response with these exact fields:
+{"research_points": ["point1", "point2"], "sources": ["source1"], "timeline": "2 days", "next_action": "specific action"}`,
+
+    task: note => `Task: "${note.content}"
+
+Provide JSON response with these exact fields:
+{"subtasks": ["step1", "step2"], "estimated_time": "30 minutes", "priority": 3, "dependencies": []}`,
+
+    default: note => `Analyze: "${note.content}"
+
+Provide JSON response with these exact fields:
+{"category": "${note.category || 'general'}", "action_items": ["action1"], "priority": 3, "next_steps": ["step1"]}`
+};
+
+const promptFor = (processingType, note) => (ANALYSIS_PROMPTS[processingType] || ANALYSIS_PROMPTS.default)(note);
+
+// Models to try for an item: LM Studio and NOTE_ANALYSIS_MODEL (else the default model), in the item's order
+function modelsFor(item) {
+    const configured = process.env.NOTE_ANALYSIS_MODEL || registry.defaultModel();
+    const order = item.ai_provider === 'local' ? [LOCAL_MODEL, configured] : [configured, LOCAL_MODEL];
+    return [...new Set(order.filter(model => model && registry.isAvailable(model)))];
+}
+
+/**
+ * Analyse a note, falling back through `models` when a provider fails. Resolves to
+ * { analysis, model, provider }.
+ */
+async function analyzeNote(note, processingType, models) {
+    if (models.length === 0) {
+        throw new Error('No AI provider is configured');
+    }
+
+    const result = await registry.complete({
+        model: models[0],
+        fallbacks: models.slice(1),
+        system: SYSTEM_PROMPT,
+        prompt: promptFor(processingType, note),
+        temperature: 0.3,
+        max_tokens: 500,
+        json: true
+    });
+
+    const jsonMatch = String(result.content).match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+        throw new Error('Analysis did not contain JSON');
+    }
+    return { analysis: JSON.parse(jsonMatch[0]), model: result.model, provider: result.provider };
+}
+
+// Claim a pending item; false when another worker got there first
+async function claimItem(item, db, now) {
+    const { data, error } = await db
+        .from('ai_processing_queue')
+        .update({ status: 'processing', started_at: now.toISOString(), attempts: (item.attempts || 0) + 1 })
+        .eq('id', item.id)
+        .eq('status', 'pending')
+        .select();
+
+    if (error) throw new Error(`Failed to claim queue item: ${error.message}`);
+    return data.length > 0;
+}
+
+async function updateItem(itemId, updates, db) {
+    const { error } = await db
+        .from('ai_processing_queue')
+        .update(updates)
+        .eq('id', itemId);
+
+    if (error) throw new Error(`Failed to update queue item: ${error.message}`);
+}
+
+/**
+ * Analyse one claimed queue item. Resolves to the item's outcome:
+ * { queue_id, note_id, status, analysis?, model?, error? }.
+ */
+async function processItem(item, note, db) {
+    const attempts = (item.attempts || 0) + 1;
+
+    if (!note) {
+        await updateItem(item.id, { status: 'failed', error_message: 'Note not found', processed_at: new Date().toISOString() }, db);
+        return { queue_id: item.id, note_id: item.note_id, status: 'failed', error: 'Note not found' };
+    }
+
+    try {
+        const { analysis, model, provider } = await analyzeNote(note, item.processing_type, modelsFor(item));
+        const processedAt = new Date().toISOString();
+
+        const { error: noteError } = await db
+            .from('notes')
+            .update({ ai_analysis: analysis, processed_at: processedAt, updated_at: processedAt })
+            .eq('id', note.id);
+
+        if (noteError) throw new Error(`Failed to store analysis: ${noteError.message}`);
+
+        await updateItem(item.id, {
+            status: 'completed',
+            result_data: analysis,
+            ai_provider: provider === 'lmstudio' ? 'local' : provider,
+            ai_model: model,
+            error_message: null,
+            processed_at: processedAt
+        }, db);
+
+        return { queue_id: item.id, note_id: note.id, status: 'completed', analysis, model };
+    } catch (error) {
+        const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        logger.error(`Note analysis for queue item ${item.id} failed (attempt ${attempts} of ${MAX_ATTEMPTS}):`, error);
+
+        await updateItem(item.id, {
+            status,
+            error_message: error.message,
+            processed_at: status === 'failed' ? new Date().toISOString() : null
+        }, db);
+
+        return { queue_id: item.id, note_id: note.id, status, error: error.message };
+    }
+}
+
+/**
+ * Analyse the next pending queue items, highest priority first; all users' unless
+ * `userId` is given. Resolves to the outcome of each item processed.
+ */
+async function analyzePendingNotes({ userId = null, limit = BATCH_SIZE } = {}, db = supabase, now = new Date()) {
+    // Put abandoned items back in the queue
+    let stale = db
+        .from('ai_processing_queue')
+        .update({ status: 'pending' })
+        .eq('status', 'processing')
+        .lt('started_at', new Date(now.getTime() - STALE_MINUTES * 60 * 1000).toISOString());
+    if (userId) stale = stale.eq('user_id', userId);
+
+    const { error: staleError } = await stale;
+    if (staleError) throw new Error(`Failed to requeue stale items: ${staleError.message}`);
+
+    let query = db
+        .from('ai_processing_queue')
+        .select('*')
+        .eq('status', 'pending')
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true })
+        .limit(limit);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data: items, error } = await query;
+    if (error) throw new Error(`Failed to load analysis queue: ${error.message}`);
+    if (items.length === 0) return [];
+
+    const { data: notes, error: notesError } = await db
+        .from('notes')
+        .select('id, content, prefix, category')
+        .in('id', [...new Set(items.map(item => item.note_id))]);
+
+    if (notesError) throw new Error(`Failed to load notes: ${notesError.message}`);
+    const notesById = new Map(notes.map(note => [note.id, note]));
+
+    const results = [];
+    for (const item of items) {
+        if (!(await claimItem(item, db, now))) continue;
+        results.push(await processItem(item, notesById.get(item.note_id), db));
+    }
+    return results;
+}
+
+// A user's queue items with their status and any error, newest first
+async function listQueue(userId, { status = null, limit = 50 } = {}, db = supabase) {
+    let query = db
+        .from('ai_processing_queue')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Number(limit) || 50, 200));
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load analysis queue: ${error.message}`);
+    return data;
+}
+
+defineRecurringJob('notes.analyze', '* * * * *', () => analyzePendingNotes());
+
+module.exports = {
+    ANALYSIS_PROMPTS,
+    MAX_ATTEMPTS,
+    analyzeNote,
+    analyzePendingNotes,
+    listQueue
+};
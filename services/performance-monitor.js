@@ -1,5 +1,6 @@
 const { supabase } = require('../database/connection');
 const { logger } = require('../utils/logger');
+const { defineRecurringJob } = require('./jobScheduler');
 
 class PerformanceMonitor {
     constructor() {
@@ -373,16 +374,18 @@ class PerformanceMonitor {
      * Start automated monitoring
      */
     startAutomatedMonitoring() {
-        // Track memory usage every 5 minutes
-        setInterval(() => {
-            this.trackMemoryUsage();
-        }, 5 * 60 * 1000);
+        // Track memory usage every 5 minutes. Memory belongs to this process, so every
+        // instance samples its own on a local timer rather than through a shared job
+        if (!this.memoryTimer) {
+            this.memoryTimer = setInterval(() => this.trackMemoryUsage(), 5 * 60 * 1000);
+            this.memoryTimer.unref();
+        }
 
         // Log system health every 10 minutes
-        setInterval(async () => {
+        defineRecurringJob('performance.health_check', '*/10 * * * *', async () => {
             const health = await this.getSystemHealth();
             logger.info('System Health Check', health);
-        }, 10 * 60 * 1000);
+        });
 
         logger.info('Automated performance monitoring started');
     }
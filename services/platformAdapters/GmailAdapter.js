@@ -430,16 +430,11 @@ class GmailAdapter {
     }
 
     /**
-     * Get active connection
+     * Get an active connection. The adapter holds every user's connections, so there is
+     * no default: without an id there is no connection.
      */
     getConnection(connectionId) {
-        if (connectionId) {
-            return this.connections.get(connectionId);
-        }
-
-        // Return first available connection
-        const connections = Array.from(this.connections.values());
-        return connections[0] || null;
+        return (connectionId && this.connections.get(connectionId)) || null;
     }
 
     /**
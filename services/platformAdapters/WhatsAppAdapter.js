@@ -231,9 +231,9 @@ class WhatsAppAdapter {
     /**
      * Send media message (placeholder)
      */
-    async sendMedia(recipient, mediaUrl, mediaType = 'image', caption = '') {
+    async sendMedia(recipient, mediaUrl, mediaType = 'image', caption = '', connectionId = null) {
         try {
-            const connection = this.getConnection();
+            const connection = this.getConnection(connectionId);
             if (!connection) {
                 throw new Error('No active WhatsApp connection');
             }
@@ -303,16 +303,11 @@ class WhatsAppAdapter {
     }
 
     /**
-     * Get active connection
+     * Get an active connection. The adapter holds every user's connections, so there is
+     * no default: without an id there is no connection.
      */
     getConnection(connectionId) {
-        if (connectionId) {
-            return this.connections.get(connectionId);
-        }
-
-        // Return first available connection
-        const connections = Array.from(this.connections.values());
-        return connections[0] || null;
+        return (connectionId && this.connections.get(connectionId)) || null;
     }
 
     /**
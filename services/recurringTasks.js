@@ -0,0 +1,372 @@
+/**
+ * Recurring Tasks
+ * A recurring task is a task_series (an RRULE plus the task's fields) whose occurrences
+ * are ordinary tasks. The next occurrence is created when the open one is completed or
+ * when its window opens (the start of its day in the user's timezone), whichever is first.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { asInstant } = require('../utils/time');
+const {
+    RRuleError,
+    parseRRule,
+    formatRRule,
+    describeRRule,
+    nextOccurrence,
+    isValidTimeZone,
+    toLocal,
+    parseLocal,
+    formatLocal,
+    startOfLocalDay
+} = require('./rrule');
+const { defineRecurringJob } = require('./jobScheduler');
+
+// Task fields that belong to the series and are copied onto each occurrence
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'project_id', 'estimated_duration'];
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+// A local day starts at most ~26 hours (with a DST change) before any time in it
+const WINDOW_HORIZON_MS = 26 * 60 * 60 * 1000;
+
+const pick = (values, fields) => Object.fromEntries(fields.filter(field => values[field] !== undefined).map(field => [field, values[field]]));
+
+function describeRecurrence(rrule) {
+    if (!rrule) return null;
+    try {
+        return { rrule, description: describeRRule(parseRRule(rrule)) };
+    } catch (error) {
+        return { rrule, description: rrule };
+    }
+}
+
+async function getUserTimeZone(userId, db = supabase) {
+    const { data: user } = await db
+        .from('users')
+        .select('timezone')
+        .eq('id', userId)
+        .maybeSingle();
+
+    return user && isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+}
+
+/**
+ * Create the series' next occurrence, or attach `task` to it when given. The series'
+ * pointer is claimed first so concurrent runs cannot create the same occurrence twice.
+ * With `now`, occurrences whose windows have already passed are skipped rather than
+ * back-filled. Resolves to the task, or null when there was nothing to create.
+ */
+async function materializeNext(series, timeZone, db = supabase, { task = null, now = null } = {}) {
+    if (series.status !== 'active' || !series.next_occurrence_at) {
+        return null;
+    }
+
+    const rule = parseRRule(series.rrule);
+    const dtstart = parseLocal(series.dtstart, timeZone);
+
+    let current = nextOccurrence(rule, dtstart, timeZone, new Date(asInstant(series.next_occurrence_at).getTime() - 1));
+    let following = current && nextOccurrence(rule, dtstart, timeZone, current.at);
+    while (now && following && startOfLocalDay(following.at, timeZone) <= now) {
+        current = following;
+        following = nextOccurrence(rule, dtstart, timeZone, current.at);
+    }
+
+    const { data: claimed, error: claimError } = await db
+        .from('task_series')
+        .update({
+            next_occurrence_at: following ? following.at.toISOString() : null,
+            status: following ? 'active' : 'ended',
+            occurrences_created: (series.occurrences_created || 0) + (current ? 1 : 0),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', series.id)
+        .eq('next_occurrence_at', series.next_occurrence_at)
+        .select('id');
+
+    if (claimError) throw new Error(`Failed to advance task series: ${claimError.message}`);
+    if (!current || !claimed || claimed.length === 0) {
+        return null;
+    }
+
+    const occurrence = {
+        series_id: series.id,
+        occurrence_at: current.at.toISOString(),
+        deadline: current.at.toISOString()
+    };
+
+    if (task) {
+        const { data: attached, error } = await db
+            .from('tasks')
+            .update({ ...occurrence, recurrence_exception: false, updated_at: new Date().toISOString() })
+            .eq('id', task.id)
+            .select()
+            .single();
+
+        if (error) throw new Error(`Failed to attach task to series: ${error.message}`);
+        return attached;
+    }
+
+    const { data: created, error } = await db
+        .from('tasks')
+        .insert([{
+            user_id: series.user_id,
+            ...pick(series, TEMPLATE_FIELDS),
+            ...occurrence,
+            status: 'pending',
+            source: series.source || 'manual'
+        }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to create task occurrence: ${error.message}`);
+    return created;
+}
+
+async function insertSeries(userId, fields, recurrence, timeZone, db) {
+    const rule = parseRRule(recurrence.rrule);
+    const dtstart = recurrence.start
+        ? parseLocal(recurrence.start, timeZone)
+        : new Date(Math.floor(toLocal(new Date(), timeZone).getTime() / 60000) * 60000);
+
+    const first = nextOccurrence(rule, dtstart, timeZone);
+    if (!first) {
+        throw new RRuleError('The recurrence rule has no occurrences');
+    }
+
+    const { data: series, error } = await db
+        .from('task_series')
+        .insert([{
+            user_id: userId,
+            ...pick(fields, TEMPLATE_FIELDS),
+            source: fields.source || 'manual',
+            rrule: formatRRule(rule),
+            dtstart: formatLocal(dtstart),
+            next_occurrence_at: first.at.toISOString(),
+            status: 'active'
+        }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to create task series: ${error.message}`);
+    return series;
+}
+
+/**
+ * Create a recurring task. `recurrence` is { rrule, start } where start is a wall-clock
+ * time in the user's timezone ("2026-10-19T09:00") or an ISO instant; it defaults to the
+ * task's deadline, then to now.
+ * Resolves to { series, task } with the first occurrence.
+ */
+async function createRecurringTask(userId, fields, recurrence, db = supabase) {
+    const timeZone = await getUserTimeZone(userId, db);
+    const series = await insertSeries(userId, fields, { ...recurrence, start: recurrence.start || fields.deadline }, timeZone, db);
+    const task = await materializeNext(series, timeZone, db);
+    return { series, task };
+}
+
+// Turn a one-off task into the first occurrence of a new series, starting from its deadline
+async function makeTaskRecurring(task, recurrence, db = supabase) {
+    const timeZone = await getUserTimeZone(task.user_id, db);
+    const start = recurrence.start || (task.deadline ? asInstant(task.deadline).toISOString() : null);
+    const series = await insertSeries(task.user_id, task, { ...recurrence, start }, timeZone, db);
+    return materializeNext(series, timeZone, db, { task });
+}
+
+async function loadSeries(userId, seriesId, db) {
+    const { data: series, error } = await db
+        .from('task_series')
+        .select('*')
+        .eq('id', seriesId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) throw new Error(`Failed to load task series: ${error.message}`);
+    return series;
+}
+
+// After an occurrence is completed, create the next one unless another is still open.
+// Best effort: the scheduler catches up on anything missed here.
+async function advanceSeries(task, db = supabase) {
+    if (!task || !task.series_id) {
+        return null;
+    }
+
+    try {
+        const series = await loadSeries(task.user_id, task.series_id, db);
+        if (!series || series.status !== 'active') {
+            return null;
+        }
+
+        const { data: open } = await db
+            .from('tasks')
+            .select('id')
+            .eq('series_id', series.id)
+            .in('status', OPEN_STATUSES)
+            .is('deleted_at', null)
+            .limit(1);
+
+        if (open && open.length > 0) {
+            return null;
+        }
+
+        return await materializeNext(series, await getUserTimeZone(task.user_id, db), db);
+    } catch (error) {
+        logger.error('Failed to advance recurring task:', error);
+        return null;
+    }
+}
+
+// Create occurrences whose window has opened; returns how many were created
+async function materializeDueOccurrences(db = supabase, now = new Date()) {
+    try {
+        const { data: due, error } = await db
+            .from('task_series')
+            .select('*')
+            .eq('status', 'active')
+            .lte('next_occurrence_at', new Date(now.getTime() + WINDOW_HORIZON_MS).toISOString());
+
+        if (error) {
+            logger.error('Recurring task scheduler error:', error);
+            return 0;
+        }
+
+        const timeZones = new Map();
+        let created = 0;
+
+        for (const series of due || []) {
+            try {
+                if (!timeZones.has(series.user_id)) {
+                    timeZones.set(series.user_id, await getUserTimeZone(series.user_id, db));
+                }
+                const timeZone = timeZones.get(series.user_id);
+
+                if (startOfLocalDay(asInstant(series.next_occurrence_at), timeZone) > now) {
+                    continue;
+                }
+                if (await materializeNext(series, timeZone, db, { now })) {
+                    created++;
+                }
+            } catch (seriesError) {
+                logger.error(`Failed to create occurrence for task series ${series.id}:`, seriesError);
+            }
+        }
+
+        if (created > 0) {
+            logger.info(`Created ${created} recurring task occurrences`);
+        }
+        return created;
+    } catch (error) {
+        logger.error('Recurring task scheduler error:', error);
+        return 0;
+    }
+}
+
+// Stop a series and delete its open occurrences from `task` (or, with inclusive false, after
+// it) onwards; returns how many were deleted
+async function endSeriesFrom(task, db = supabase, { inclusive = true } = {}) {
+    const { error: seriesError } = await db
+        .from('task_series')
+        .update({ status: 'ended', next_occurrence_at: null, updated_at: new Date().toISOString() })
+        .eq('id', task.series_id)
+        .eq('user_id', task.user_id);
+
+    if (seriesError) throw new Error(`Failed to end task series: ${seriesError.message}`);
+
+    let query = db
+        .from('tasks')
+        .delete()
+        .eq('series_id', task.series_id)
+        .eq('user_id', task.user_id)
+        .in('status', OPEN_STATUSES)
+        .is('deleted_at', null);
+
+    query = inclusive ? query.gte('occurrence_at', task.occurrence_at) : query.gt('occurrence_at', task.occurrence_at);
+
+    const { data: deleted, error } = await query.select('id');
+
+    if (error) throw new Error(`Failed to delete future occurrences: ${error.message}`);
+    return deleted.length;
+}
+
+/**
+ * Edit "this and all future occurrences" of a recurring task. Field changes go to the
+ * series and its open occurrences from this one on. A new `recurrence` or `deadline`
+ * splits the series: the old one ends here and a new one starts from this task
+ * (recurrence: null just stops it). Resolves to the updated task.
+ */
+async function updateFutureOccurrences(task, updates, db = supabase) {
+    const series = await loadSeries(task.user_id, task.series_id, db);
+    if (!series) {
+        throw new RRuleError('Task series not found');
+    }
+
+    const now = new Date().toISOString();
+    const templateUpdates = pick(updates, TEMPLATE_FIELDS);
+    const taskUpdates = { ...templateUpdates, ...pick(updates, ['status', 'completed_at']), updated_at: now };
+
+    if (updates.recurrence === undefined && updates.deadline === undefined) {
+        const { error: seriesError } = await db
+            .from('task_series')
+            .update({ ...templateUpdates, updated_at: now })
+            .eq('id', series.id);
+
+        if (seriesError) throw new Error(`Failed to update task series: ${seriesError.message}`);
+
+        if (Object.keys(templateUpdates).length > 0) {
+            const { error } = await db
+                .from('tasks')
+                .update({ ...templateUpdates, updated_at: now })
+                .eq('series_id', series.id)
+                .is('deleted_at', null)
+                .gt('occurrence_at', task.occurrence_at)
+                .in('status', OPEN_STATUSES)
+                .eq('recurrence_exception', false);
+
+            if (error) throw new Error(`Failed to update future occurrences: ${error.message}`);
+        }
+    } else {
+        const recurrence = updates.recurrence === undefined ? { rrule: series.rrule } : updates.recurrence;
+        const timeZone = await getUserTimeZone(task.user_id, db);
+
+        // Validate the new rule before anything is ended
+        if (recurrence) parseRRule(recurrence.rrule);
+
+        await endSeriesFrom(task, db, { inclusive: false });
+
+        if (recurrence) {
+            const start = recurrence.start || updates.deadline || formatLocal(toLocal(asInstant(task.occurrence_at), timeZone));
+            const nextSeries = await insertSeries(task.user_id, { ...series, ...templateUpdates }, { ...recurrence, start }, timeZone, db);
+            await materializeNext(nextSeries, timeZone, db, { task });
+        } else {
+            // No longer recurring: this task stays as a one-off
+            Object.assign(taskUpdates, { series_id: null, occurrence_at: null });
+            if (updates.deadline !== undefined) taskUpdates.deadline = updates.deadline;
+        }
+    }
+
+    const { data: updated, error } = await db
+        .from('tasks')
+        .update(taskUpdates)
+        .eq('id', task.id)
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to update task: ${error.message}`);
+    return updated;
+}
+
+// Check every five minutes for occurrences whose window has opened
+defineRecurringJob('recurring_tasks.materialize', '*/5 * * * *', () => materializeDueOccurrences());
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    describeRecurrence,
+    getUserTimeZone,
+    createRecurringTask,
+    makeTaskRecurring,
+    materializeNext,
+    advanceSeries,
+    materializeDueOccurrences,
+    endSeriesFrom,
+    updateFutureOccurrences
+};
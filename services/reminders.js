@@ -0,0 +1,69 @@
+/**
+ * Reminders
+ * Reminders are notifications held in 'scheduled' status until their scheduled_for
+ * time, when they become ordinary pending notifications.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+const { defineRecurringJob } = require('./jobScheduler');
+
+// Schedule a reminder notification for a user
+async function scheduleReminder(userId, { message, remindAt, taskId = null, priority = 3 }, db = supabase) {
+    const scheduledFor = new Date(remindAt);
+    if (!message || isNaN(scheduledFor.getTime())) {
+        throw new Error('A reminder needs a message and a valid time');
+    }
+
+    const { data, error } = await db
+        .from('notifications')
+        .insert([{
+            user_id: userId,
+            type: 'reminder',
+            title: `Reminder: ${message.substring(0, 200)}`,
+            message: message,
+            priority: priority,
+            status: 'scheduled',
+            scheduled_for: scheduledFor.toISOString(),
+            data: { task_id: taskId }
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Schedule reminder error:', error);
+        throw new Error('Failed to schedule reminder');
+    }
+
+    return data;
+}
+
+// Release every reminder whose time has come; returns how many were delivered
+async function deliverDueReminders(db = supabase, now = new Date()) {
+    try {
+        const { data, error } = await db
+            .from('notifications')
+            .update({ status: 'pending', updated_at: now.toISOString() })
+            .eq('status', 'scheduled')
+            .lte('scheduled_for', now.toISOString())
+            .select('id');
+
+        if (error) {
+            logger.error('Deliver reminders error:', error);
+            return 0;
+        }
+
+        if (data && data.length > 0) {
+            logger.info(`Delivered ${data.length} reminders`);
+        }
+        return data ? data.length : 0;
+    } catch (error) {
+        logger.error('Deliver reminders error:', error);
+        return 0;
+    }
+}
+
+// Check for due reminders every minute
+defineRecurringJob('reminders.deliver', '* * * * *', () => deliverDueReminders());
+
+module.exports = { scheduleReminder, deliverDueReminders };
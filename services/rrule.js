@@ -0,0 +1,341 @@
+/**
+ * RRULE
+ * The part of iCalendar recurrence rules (RFC 5545) that recurring tasks use: DAILY,
+ * WEEKLY, MONTHLY and YEARLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT and UNTIL.
+ * Occurrences are worked out in the user's wall-clock time and then converted to UTC,
+ * so a 9am task stays at 9am across daylight saving changes.
+ *
+ * "Local" dates here are Date objects whose UTC fields hold a wall-clock time.
+ */
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods (days, weeks, ...) searched before a rule is treated as exhausted
+const MAX_PERIODS = 10000;
+
+class RRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RRuleError';
+    }
+}
+
+function parseInteger(value, part, { min = -Infinity, max = Infinity } = {}) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+        throw new RRuleError(`Invalid ${part}: ${value}`);
+    }
+    return number;
+}
+
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new RRuleError(`Invalid UNTIL: ${value}`);
+    }
+    const [, year, month, day, hour = '23', minute = '59', second = '59', utc] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+    return { date, utc: Boolean(utc) };
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE", with or without the "RRULE:"
+ * prefix). Throws RRuleError for anything outside the supported subset.
+ */
+function parseRRule(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new RRuleError('A recurrence rule is required');
+    }
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+    for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value = ''] = part.split('=');
+        switch (key.toUpperCase()) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                if (!FREQUENCIES.includes(rule.freq)) {
+                    throw new RRuleError(`Unsupported FREQ: ${value}`);
+                }
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInteger(value, 'INTERVAL', { min: 1, max: 1000 });
+                break;
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',').map(day => {
+                    const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(day);
+                    if (!match) throw new RRuleError(`Invalid BYDAY: ${day}`);
+                    return {
+                        weekday: WEEKDAYS.indexOf(match[2]),
+                        n: match[1] ? parseInteger(match[1], 'BYDAY', { min: -5, max: 5 }) : null
+                    };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(day => parseInteger(day, 'BYMONTHDAY', { min: -31, max: 31 }));
+                break;
+            case 'COUNT':
+                rule.count = parseInteger(value, 'COUNT', { min: 1, max: MAX_PERIODS });
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(value.toUpperCase());
+                break;
+            case 'WKST':
+                if (value.toUpperCase() !== 'MO') throw new RRuleError('Only WKST=MO is supported');
+                break;
+            default:
+                throw new RRuleError(`Unsupported rule part: ${key}`);
+        }
+    }
+
+    if (!rule.freq) {
+        throw new RRuleError('FREQ is required');
+    }
+    if (rule.count && rule.until) {
+        throw new RRuleError('COUNT and UNTIL cannot both be set');
+    }
+    if (rule.byDay.some(day => day.n !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        throw new RRuleError('Numbered BYDAY values (like 2TU) need FREQ=MONTHLY or YEARLY');
+    }
+    if (rule.byMonthDay.length > 0 && rule.freq === 'WEEKLY') {
+        throw new RRuleError('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+    }
+
+    return rule;
+}
+
+const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+// Canonical RRULE text for a parsed rule
+function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.map(day => `${day.n || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) {
+        const date = rule.until.date;
+        const stamp = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+        parts.push(`UNTIL=${stamp}${rule.until.utc ? 'Z' : ''}`);
+    }
+    return parts.join(';');
+}
+
+const ordinal = n => {
+    if (n === -1) return 'last';
+    if (n < 0) return `${ordinal(-n)} to last`;
+    const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+    return `${n}${suffix}`;
+};
+
+// Short human description, e.g. "Every 2 weeks on Mon, Wed" or "Monthly on the last Fri, 6 times"
+function describeRRule(rule) {
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : adverbs[rule.freq];
+
+    const weekdays = rule.byDay.filter(day => day.n === null).map(day => WEEKDAY_NAMES[day.weekday]);
+    const numbered = rule.byDay.filter(day => day.n !== null).map(day => `the ${ordinal(day.n)} ${WEEKDAY_NAMES[day.weekday]}`);
+
+    if (weekdays.join(',') === 'Mon,Tue,Wed,Thu,Fri' && rule.freq !== 'MONTHLY' && rule.freq !== 'YEARLY') {
+        text = rule.interval > 1 ? `${text} on weekdays` : 'Every weekday';
+    } else if (weekdays.length > 0) {
+        text += ` on ${weekdays.join(', ')}`;
+    }
+    if (numbered.length > 0) {
+        text += ` on ${numbered.join(', ')}`;
+    }
+    if (rule.byMonthDay.length > 0) {
+        text += ` on the ${rule.byMonthDay.map(day => day === -1 ? 'last day' : ordinal(day)).join(', ')}`;
+    }
+    if (rule.count) {
+        text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    }
+    if (rule.until) {
+        text += `, until ${rule.until.date.toISOString().substring(0, 10)}`;
+    }
+    return text;
+}
+
+// --- Time zones ---
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return Boolean(timeZone);
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = new Map();
+
+// Wall-clock time in `timeZone` at the instant `date`
+function toLocal(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+    return new Date(Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second));
+}
+
+// The instant at which the wall clock in `timeZone` shows `local`
+function fromLocal(local, timeZone) {
+    const offset = at => toLocal(new Date(at), timeZone).getTime() - Math.floor(at / 1000) * 1000;
+    const guess = local.getTime() - offset(local.getTime());
+    return new Date(local.getTime() - offset(guess));
+}
+
+// "2026-10-19T09:00" (no offset) is wall-clock time; anything with an offset is an instant
+function parseLocal(value, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(String(value).trim());
+    if (match) {
+        const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+        return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+    }
+
+    const instant = new Date(value);
+    if (isNaN(instant.getTime())) {
+        throw new RRuleError(`Invalid start time: ${value}`);
+    }
+    return toLocal(instant, timeZone);
+}
+
+// Local dates are stored as timestamps without a zone
+const formatLocal = local => local.toISOString().substring(0, 19);
+
+// --- Expansion ---
+
+const weekdayOf = local => (local.getUTCDay() + 6) % 7; // 0 = Monday
+const addDays = (local, days) => new Date(local.getTime() + days * DAY_MS);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Days of one month matched by BYMONTHDAY / BYDAY (their intersection when both are set)
+function monthDays(rule, year, month, defaultDay) {
+    const length = daysInMonth(year, month);
+    const byMonthDay = rule.byMonthDay
+        .map(day => day > 0 ? day : length + day + 1)
+        .filter(day => day >= 1 && day <= length);
+
+    const byDay = [];
+    for (const { weekday, n } of rule.byDay) {
+        const matching = [];
+        for (let day = 1; day <= length; day++) {
+            if (weekdayOf(new Date(Date.UTC(year, month, day))) === weekday) matching.push(day);
+        }
+        if (n === null) byDay.push(...matching);
+        else if (matching[n > 0 ? n - 1 : matching.length + n]) byDay.push(matching[n > 0 ? n - 1 : matching.length + n]);
+    }
+
+    let days;
+    if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+        days = byMonthDay.filter(day => byDay.includes(day));
+    } else if (rule.byMonthDay.length > 0) {
+        days = byMonthDay;
+    } else if (rule.byDay.length > 0) {
+        days = byDay;
+    } else {
+        days = defaultDay <= length ? [defaultDay] : [];
+    }
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Candidate local dates (at midnight) in the period-th period after dtstart
+function periodDays(rule, start, period) {
+    const step = period * rule.interval;
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = addDays(start, step);
+            const weekdayOk = rule.byDay.length === 0 || rule.byDay.some(byDay => byDay.weekday === weekdayOf(day));
+            const monthDayOk = rule.byMonthDay.length === 0 ||
+                monthDays({ ...rule, byDay: [] }, day.getUTCFullYear(), day.getUTCMonth()).includes(day.getUTCDate());
+            return weekdayOk && monthDayOk ? [day] : [];
+        }
+        case 'WEEKLY': {
+            const weekStart = addDays(start, step * 7 - weekdayOf(start));
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [weekdayOf(start)];
+            return [...new Set(weekdays)].sort((a, b) => a - b).map(weekday => addDays(weekStart, weekday));
+        }
+        case 'MONTHLY': {
+            const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step, 1));
+            const year = first.getUTCFullYear();
+            const month = first.getUTCMonth();
+            return monthDays(rule, year, month, start.getUTCDate()).map(day => new Date(Date.UTC(year, month, day)));
+        }
+        case 'YEARLY': {
+            const year = start.getUTCFullYear() + step;
+            const month = start.getUTCMonth();
+            return monthDays(rule, year, month, start.getUTCDate()).map(day => new Date(Date.UTC(year, month, day)));
+        }
+    }
+    return [];
+}
+
+/**
+ * Occurrences of a rule from dtstart (local), in order, as { local, at (UTC Date), index }.
+ * dtstart itself is only an occurrence when it matches the rule.
+ */
+function* occurrences(rule, dtstart, timeZone) {
+    const startDay = new Date(Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth(), dtstart.getUTCDate()));
+    const timeOfDay = dtstart.getTime() - startDay.getTime();
+    let index = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const day of periodDays(rule, startDay, period)) {
+            const local = new Date(day.getTime() + timeOfDay);
+            if (local < dtstart) continue;
+
+            const at = fromLocal(local, timeZone);
+            if (rule.until && (rule.until.utc ? at : local) > rule.until.date) return;
+
+            yield { local, at, index };
+            index++;
+            if (rule.count && index >= rule.count) return;
+        }
+    }
+}
+
+// First occurrence strictly after `after` (a UTC Date), or null when the rule has ended
+function nextOccurrence(rule, dtstart, timeZone, after = null) {
+    for (const occurrence of occurrences(rule, dtstart, timeZone)) {
+        if (!after || occurrence.at > after) {
+            return occurrence;
+        }
+    }
+    return null;
+}
+
+// The instant the local day containing `at` begins in `timeZone`
+function startOfLocalDay(at, timeZone) {
+    const local = toLocal(at, timeZone);
+    return fromLocal(new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())), timeZone);
+}
+
+module.exports = {
+    RRuleError,
+    parseRRule,
+    formatRRule,
+    describeRRule,
+    occurrences,
+    nextOccurrence,
+    isValidTimeZone,
+    toLocal,
+    fromLocal,
+    parseLocal,
+    formatLocal,
+    startOfLocalDay
+};
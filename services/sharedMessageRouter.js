@@ -0,0 +1,22 @@
+/**
+ * Shared Message Router
+ * The one MessageRouter background services send and sync through. It serves every
+ * user: connections are kept per user and platform, and each adapter call carries that
+ * user's own connection id, so a message always goes out from its user's account.
+ */
+
+const { supabase } = require('../database/connection');
+
+let messageRouter = null;
+
+// Created on first use: the router connects platform adapters when it is constructed, and
+// it loads approvalReplies, which sends through this
+function getMessageRouter() {
+    if (!messageRouter) {
+        const MessageRouter = require('./messageRouter');
+        messageRouter = new MessageRouter({ supabase });
+    }
+    return messageRouter;
+}
+
+module.exports = { getMessageRouter };
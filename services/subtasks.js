@@ -0,0 +1,98 @@
+/**
+ * Subtasks
+ * Child tasks linked to their parent through tasks.parent_task_id. A parent's progress
+ * (tasks.progress, a percentage) is the share of its subtasks' estimated time that is
+ * done, recomputed whenever a subtask is added, finished or removed.
+ */
+
+const { supabase } = require('../database/connection');
+
+// Weight of subtasks without an estimate
+const DEFAULT_SUBTASK_MINUTES = 30;
+
+// Cancelled subtasks no longer count towards the parent
+const DONE_STATUSES = ['completed'];
+const DROPPED_STATUSES = ['cancelled'];
+
+// Percentage of the subtasks' time that is done; 0 without subtasks
+function progressOf(subtasks) {
+    const counted = subtasks.filter(subtask => !DROPPED_STATUSES.includes(subtask.status));
+    const minutes = subtask => Number(subtask.estimated_duration) > 0 ? Number(subtask.estimated_duration) : DEFAULT_SUBTASK_MINUTES;
+
+    const total = counted.reduce((sum, subtask) => sum + minutes(subtask), 0);
+    const done = counted
+        .filter(subtask => DONE_STATUSES.includes(subtask.status))
+        .reduce((sum, subtask) => sum + minutes(subtask), 0);
+
+    return total > 0 ? Math.round((done / total) * 100) : 0;
+}
+
+async function listSubtasks(userId, parentId, db = supabase) {
+    const { data: subtasks, error } = await db
+        .from('tasks')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('parent_task_id', parentId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to load subtasks: ${error.message}`);
+
+    // Subtasks created together keep the order they were given in
+    return subtasks.sort((a, b) => (a.source_data?.position || 0) - (b.source_data?.position || 0));
+}
+
+/**
+ * Recompute and store a parent's progress from its subtasks. Resolves to the new
+ * percentage.
+ */
+async function updateParentProgress(userId, parentId, db = supabase) {
+    const progress = progressOf(await listSubtasks(userId, parentId, db));
+
+    const { error } = await db
+        .from('tasks')
+        .update({ progress, updated_at: new Date().toISOString() })
+        .eq('id', parentId)
+        .eq('user_id', userId)
+        .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to update task progress: ${error.message}`);
+    return progress;
+}
+
+/**
+ * Add subtasks ({ title, description, estimated_minutes }) under `parent`; they share
+ * its project, priority and deadline. Resolves to { subtasks, progress }.
+ */
+async function createSubtasks(userId, parent, subtasks, { source = 'manual', sourceData = {} } = {}, db = supabase) {
+    const rows = subtasks.map((subtask, index) => ({
+        user_id: userId,
+        parent_task_id: parent.id,
+        project_id: parent.project_id || null,
+        title: subtask.title,
+        description: subtask.description || null,
+        priority: parent.priority,
+        estimated_duration: subtask.estimated_minutes || null,
+        deadline: parent.deadline || null,
+        ai_generated: source !== 'manual',
+        source,
+        source_data: { ...sourceData, position: index + 1 }
+    }));
+
+    const { data: created, error } = await db
+        .from('tasks')
+        .insert(rows)
+        .select();
+
+    if (error) throw new Error(`Failed to create subtasks: ${error.message}`);
+
+    const progress = await updateParentProgress(userId, parent.id, db);
+    return { subtasks: created, progress };
+}
+
+module.exports = {
+    progressOf,
+    listSubtasks,
+    updateParentProgress,
+    createSubtasks
+};
@@ -0,0 +1,449 @@
+/**
+ * Task Dependencies
+ * A user's tasks and agent tasks form one dependency graph: an edge says a task depends
+ * on (is blocked by) a prerequisite. Edges that would close a cycle are refused, finishing
+ * a prerequisite notifies the user about tasks it unblocks, and a project's critical path
+ * is its longest chain of remaining work.
+ */
+
+const { supabase } = require('../database/connection');
+const { logger } = require('../utils/logger');
+
+// Node kinds and the tables they live in
+const TASK_KINDS = { task: 'tasks', agent_task: 'agent_tasks' };
+
+// Prerequisites in these states no longer block anything
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+// Duration assumed for tasks without an estimate when working out the critical path
+const DEFAULT_DURATION_MINUTES = 60;
+
+class TaskDependencyError extends Error {
+    constructor(message, status = 400, details = null) {
+        super(message);
+        this.name = 'TaskDependencyError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const nodeKey = node => `${node.kind}:${node.id}`;
+const edgeTask = edge => ({ kind: edge.task_kind, id: edge.task_id });
+const edgePrerequisite = edge => ({ kind: edge.depends_on_kind, id: edge.depends_on_id });
+const isOpen = node => !RESOLVED_STATUSES.includes(node.status);
+
+// Accepts an id (of `defaultKind`) or { kind, id }
+function normalizeNode(value, defaultKind = 'task') {
+    const node = typeof value === 'string' ? { kind: defaultKind, id: value } : { kind: value?.kind || defaultKind, id: value?.id };
+    if (!TASK_KINDS[node.kind]) {
+        throw new TaskDependencyError(`Unknown task kind: ${node.kind}`);
+    }
+    if (!node.id) {
+        throw new TaskDependencyError('Task id is required');
+    }
+    return node;
+}
+
+/**
+ * Load the user's tasks and agent tasks among `nodes`; resolves to a Map of
+ * nodeKey -> { kind, id, title, status, estimated_duration, deadline }. Nodes the user
+ * doesn't own are left out.
+ */
+async function loadNodes(userId, nodes, db = supabase) {
+    const found = new Map();
+    const idsOf = kind => [...new Set(nodes.filter(node => node.kind === kind).map(node => node.id))];
+
+    const taskIds = idsOf('task');
+    if (taskIds.length > 0) {
+        const { data: tasks, error } = await db
+            .from('tasks')
+            .select('id, title, status, estimated_duration, deadline, project_id')
+            .eq('user_id', userId)
+            .in('id', taskIds)
+            .is('deleted_at', null);
+
+        if (error) throw new Error(`Failed to load tasks: ${error.message}`);
+        tasks.forEach(task => found.set(nodeKey({ kind: 'task', id: task.id }), { kind: 'task', ...task }));
+    }
+
+    const agentTaskIds = idsOf('agent_task');
+    if (agentTaskIds.length > 0) {
+        const { data: agentTasks, error } = await db
+            .from('agent_tasks')
+            .select('id, agent_id, title, status, estimated_duration, deadline')
+            .in('id', agentTaskIds);
+
+        if (error) throw new Error(`Failed to load agent tasks: ${error.message}`);
+
+        const { data: agents, error: agentError } = await db
+            .from('agents')
+            .select('id')
+            .eq('user_id', userId)
+            .in('id', [...new Set(agentTasks.map(task => task.agent_id))]);
+
+        if (agentError) throw new Error(`Failed to load agents: ${agentError.message}`);
+
+        const owned = new Set(agents.map(agent => agent.id));
+        agentTasks
+            .filter(task => owned.has(task.agent_id))
+            .forEach(task => found.set(nodeKey({ kind: 'agent_task', id: task.id }), { kind: 'agent_task', ...task }));
+    }
+
+    return found;
+}
+
+async function loadEdges(userId, db = supabase) {
+    const { data: edges, error } = await db
+        .from('task_dependencies')
+        .select('*')
+        .eq('user_id', userId);
+
+    if (error) throw new Error(`Failed to load task dependencies: ${error.message}`);
+    return edges;
+}
+
+// The user's whole graph: { edges, nodes } where nodes holds every task an edge touches
+async function loadDependencyGraph(userId, db = supabase) {
+    const edges = await loadEdges(userId, db);
+    const nodes = await loadNodes(userId, edges.flatMap(edge => [edgeTask(edge), edgePrerequisite(edge)]), db);
+    return { edges, nodes };
+}
+
+// Path of node keys from `fromKey` to `toKey` following depends-on edges, or null
+function findDependencyPath(edges, fromKey, toKey) {
+    const prerequisites = new Map();
+    edges.forEach(edge => {
+        const key = nodeKey(edgeTask(edge));
+        if (!prerequisites.has(key)) prerequisites.set(key, []);
+        prerequisites.get(key).push(nodeKey(edgePrerequisite(edge)));
+    });
+
+    const visited = new Set();
+    const search = (key, path) => {
+        if (key === toKey) return path;
+        if (visited.has(key)) return null;
+        visited.add(key);
+        for (const next of prerequisites.get(key) || []) {
+            const found = search(next, [...path, next]);
+            if (found) return found;
+        }
+        return null;
+    };
+
+    return search(fromKey, [fromKey]);
+}
+
+function cycleError(node, path) {
+    return new TaskDependencyError('This dependency would create a cycle', 409, {
+        cycle: [nodeKey(node), ...path].map(key => {
+            const [kind, id] = key.split(':');
+            return { kind, id };
+        })
+    });
+}
+
+/**
+ * Record that `task` depends on `dependsOn` (ids or { kind, id }). Both must belong to
+ * the user. Throws TaskDependencyError 409 with the cycle when the edge would close one.
+ */
+async function addDependency(userId, task, dependsOn, db = supabase) {
+    const node = normalizeNode(task);
+    const prerequisite = normalizeNode(dependsOn);
+
+    if (nodeKey(node) === nodeKey(prerequisite)) {
+        throw new TaskDependencyError('A task cannot depend on itself');
+    }
+
+    const nodes = await loadNodes(userId, [node, prerequisite], db);
+    if (!nodes.has(nodeKey(node)) || !nodes.has(nodeKey(prerequisite))) {
+        throw new TaskDependencyError('Task not found', 404);
+    }
+
+    const edges = await loadEdges(userId, db);
+    const existing = edges.find(edge => nodeKey(edgeTask(edge)) === nodeKey(node) && nodeKey(edgePrerequisite(edge)) === nodeKey(prerequisite));
+    if (existing) {
+        return existing;
+    }
+
+    // The prerequisite already (transitively) depends on the task
+    const path = findDependencyPath(edges, nodeKey(prerequisite), nodeKey(node));
+    if (path) {
+        throw cycleError(node, path);
+    }
+
+    const { data: edge, error } = await db
+        .from('task_dependencies')
+        .insert([{
+            user_id: userId,
+            task_kind: node.kind,
+            task_id: node.id,
+            depends_on_kind: prerequisite.kind,
+            depends_on_id: prerequisite.id
+        }])
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to add task dependency: ${error.message}`);
+
+    // A concurrent insert of an edge the other way passes the check above too. Whichever
+    // insert sees the other afterwards takes its own edge back out.
+    const after = await loadEdges(userId, db);
+    const closed = findDependencyPath(after, nodeKey(prerequisite), nodeKey(node));
+    if (closed) {
+        const { error: rollbackError } = await db
+            .from('task_dependencies')
+            .delete()
+            .eq('id', edge.id);
+
+        if (rollbackError) throw new Error(`Failed to roll back task dependency: ${rollbackError.message}`);
+        throw cycleError(node, closed);
+    }
+
+    return edge;
+}
+
+// Resolves to true when there was such a dependency
+async function removeDependency(userId, task, dependsOn, db = supabase) {
+    const node = normalizeNode(task);
+    const prerequisite = normalizeNode(dependsOn);
+
+    const { data, error } = await db
+        .from('task_dependencies')
+        .delete()
+        .eq('user_id', userId)
+        .eq('task_kind', node.kind)
+        .eq('task_id', node.id)
+        .eq('depends_on_kind', prerequisite.kind)
+        .eq('depends_on_id', prerequisite.id)
+        .select('id');
+
+    if (error) throw new Error(`Failed to remove task dependency: ${error.message}`);
+    return data.length > 0;
+}
+
+// Drop every edge touching a deleted task
+async function removeTaskFromGraph(userId, task, db = supabase) {
+    const node = normalizeNode(task);
+
+    for (const [kindColumn, idColumn] of [['task_kind', 'task_id'], ['depends_on_kind', 'depends_on_id']]) {
+        const { error } = await db
+            .from('task_dependencies')
+            .delete()
+            .eq('user_id', userId)
+            .eq(kindColumn, node.kind)
+            .eq(idColumn, node.id);
+
+        if (error) {
+            logger.error('Failed to remove task from dependency graph:', error);
+        }
+    }
+}
+
+const describeNode = node => ({
+    kind: node.kind,
+    id: node.id,
+    title: node.title,
+    status: node.status
+});
+
+/**
+ * A task's place in the graph: its direct prerequisites (blocked_by) and dependents
+ * (blocks), whether it is blocked, and how many open tasks wait on it directly or
+ * indirectly (blocking_count).
+ */
+function dependencySummary(graph, task) {
+    const key = nodeKey(normalizeNode(task));
+    const known = node => graph.nodes.get(nodeKey(node));
+
+    const blockedBy = graph.edges
+        .filter(edge => nodeKey(edgeTask(edge)) === key)
+        .map(edge => known(edgePrerequisite(edge)))
+        .filter(Boolean);
+
+    const blocks = graph.edges
+        .filter(edge => nodeKey(edgePrerequisite(edge)) === key)
+        .map(edge => known(edgeTask(edge)))
+        .filter(Boolean);
+
+    // Open tasks downstream of this one
+    const waiting = new Set();
+    const queue = [key];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        graph.edges
+            .filter(edge => nodeKey(edgePrerequisite(edge)) === current)
+            .map(edge => known(edgeTask(edge)))
+            .filter(node => node && isOpen(node) && !waiting.has(nodeKey(node)))
+            .forEach(node => {
+                waiting.add(nodeKey(node));
+                queue.push(nodeKey(node));
+            });
+    }
+
+    return {
+        blocked_by: blockedBy.map(describeNode),
+        blocks: blocks.map(describeNode),
+        is_blocked: blockedBy.some(isOpen),
+        blocking_count: waiting.size
+    };
+}
+
+async function getDependencies(userId, task, db = supabase) {
+    return dependencySummary(await loadDependencyGraph(userId, db), task);
+}
+
+/**
+ * After a task is completed (or cancelled), notify the user about dependents that have
+ * no open prerequisites left. Resolves to the unblocked tasks; never throws.
+ */
+async function releaseDependents(userId, task, db = supabase) {
+    try {
+        const graph = await loadDependencyGraph(userId, db);
+        const finished = graph.nodes.get(nodeKey(normalizeNode(task)));
+        if (!finished || isOpen(finished)) {
+            return [];
+        }
+
+        const unblocked = dependencySummary(graph, finished).blocks
+            .filter(dependent => isOpen(dependent) && !dependencySummary(graph, dependent).is_blocked);
+
+        if (unblocked.length > 0) {
+            const { error } = await db
+                .from('notifications')
+                .insert(unblocked.map(dependent => ({
+                    user_id: userId,
+                    type: 'task_unblocked',
+                    title: `Ready to start: ${dependent.title}`.substring(0, 1000),
+                    message: `"${finished.title}" is done, so "${dependent.title}" is no longer blocked.`,
+                    priority: 2,
+                    status: 'pending',
+                    data: {
+                        task_kind: dependent.kind,
+                        task_id: dependent.id,
+                        unblocked_by: { kind: finished.kind, id: finished.id }
+                    }
+                })));
+
+            if (error) {
+                logger.error('Failed to notify about unblocked tasks:', error);
+            }
+        }
+
+        return unblocked;
+    } catch (error) {
+        logger.error('Failed to release dependent tasks:', error);
+        return [];
+    }
+}
+
+/**
+ * Critical path of a project's tasks: the chain of dependencies with the most remaining
+ * work (estimated_duration, DEFAULT_DURATION_MINUTES when unset; finished tasks count as
+ * zero). Every task gets its earliest start/finish and slack in minutes from now; tasks
+ * with no slack are critical.
+ */
+async function getCriticalPath(userId, projectId, db = supabase) {
+    const { data: tasks, error } = await db
+        .from('tasks')
+        .select('id, title, status, estimated_duration, deadline')
+        .eq('user_id', userId)
+        .eq('project_id', projectId)
+        .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to load project tasks: ${error.message}`);
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const edges = (await loadEdges(userId, db)).filter(edge =>
+        edge.task_kind === 'task' && edge.depends_on_kind === 'task' && byId.has(edge.task_id) && byId.has(edge.depends_on_id));
+
+    const duration = task => isOpen(task) ? (task.estimated_duration || DEFAULT_DURATION_MINUTES) : 0;
+    const prerequisites = new Map(tasks.map(task => [task.id, []]));
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    edges.forEach(edge => {
+        prerequisites.get(edge.task_id).push(edge.depends_on_id);
+        dependents.get(edge.depends_on_id).push(edge.task_id);
+    });
+
+    // Topological order (cycles are refused on insert, but don't loop if one slipped in)
+    const inDegree = new Map(tasks.map(task => [task.id, prerequisites.get(task.id).length]));
+    const queue = tasks.filter(task => inDegree.get(task.id) === 0).map(task => task.id);
+    const ordered = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        ordered.push(id);
+        dependents.get(id).forEach(dependentId => {
+            inDegree.set(dependentId, inDegree.get(dependentId) - 1);
+            if (inDegree.get(dependentId) === 0) queue.push(dependentId);
+        });
+    }
+    if (ordered.length !== tasks.length) {
+        throw new TaskDependencyError('Project task dependencies contain a cycle', 409);
+    }
+
+    // Forward pass: earliest start/finish and the prerequisite that sets each start
+    const earliestStart = new Map();
+    const earliestFinish = new Map();
+    const critical = new Map();
+    ordered.forEach(id => {
+        let start = 0;
+        prerequisites.get(id).forEach(prerequisiteId => {
+            if (!critical.has(id) || earliestFinish.get(prerequisiteId) > start) {
+                start = earliestFinish.get(prerequisiteId);
+                critical.set(id, prerequisiteId);
+            }
+        });
+        earliestStart.set(id, start);
+        earliestFinish.set(id, start + duration(byId.get(id)));
+    });
+
+    const totalDuration = Math.max(0, ...earliestFinish.values());
+
+    // Backward pass: latest finish that doesn't delay the project
+    const latestFinish = new Map();
+    [...ordered].reverse().forEach(id => {
+        const finishes = dependents.get(id).map(dependentId => latestFinish.get(dependentId) - duration(byId.get(dependentId)));
+        latestFinish.set(id, Math.min(totalDuration, ...finishes));
+    });
+
+    // Walk back from the task that finishes last; finished tasks add nothing to the path
+    const path = [];
+    let current = ordered.reduce((latest, id) => latest === null || earliestFinish.get(id) > earliestFinish.get(latest) ? id : latest, null);
+    while (current) {
+        if (duration(byId.get(current)) > 0) path.unshift(current);
+        current = critical.get(current);
+    }
+
+    const schedule = id => ({
+        ...byId.get(id),
+        blocked: prerequisites.get(id).some(prerequisiteId => isOpen(byId.get(prerequisiteId))),
+        earliest_start_minutes: earliestStart.get(id),
+        earliest_finish_minutes: earliestFinish.get(id),
+        slack_minutes: latestFinish.get(id) - earliestFinish.get(id)
+    });
+
+    return {
+        project_id: projectId,
+        total_duration_minutes: totalDuration,
+        critical_path: path.map(schedule),
+        tasks: ordered.map(schedule),
+        dependencies: edges.map(edge => ({ task_id: edge.task_id, depends_on_id: edge.depends_on_id }))
+    };
+}
+
+module.exports = {
+    TASK_KINDS,
+    RESOLVED_STATUSES,
+    TaskDependencyError,
+    nodeKey,
+    normalizeNode,
+    loadNodes,
+    loadDependencyGraph,
+    findDependencyPath,
+    addDependency,
+    removeDependency,
+    removeTaskFromGraph,
+    dependencySummary,
+    getDependencies,
+    releaseDependents,
+    getCriticalPath
+};
@@ -0,0 +1,488 @@
+/**
+ * Vault
+ * Imports a zipped Obsidian (or any Markdown) vault into projects, notes and tasks, and
+ * exports them back as one:
+ * - every folder is a project, nested folders are subprojects;
+ * - every .md file is a note titled by its file name, tagged by its front matter and
+ *   #tags, in its folder's project;
+ * - every checkbox in a note is a task in that project, done when it is ticked.
+ *
+ * vault_items records the source id each imported item came from: the folder's path,
+ * the note's front matter `id` (else its path), and the checkbox's ^block id (else its
+ * text). Importing the same vault again matches everything up and changes nothing, and
+ * an exported vault imports back onto the items it came from. Items made in the app are
+ * exported with their own ids (a note's `id`, a task's ^block id), so they come back as
+ * themselves too. Tasks not written in a note are exported to a Tasks.md per folder.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../../database/connection');
+const { indexItem } = require('../links');
+const { ZipError, readZip, writeZip } = require('./zip');
+const {
+    statusOf,
+    markFor,
+    parseFrontMatter,
+    serializeNote,
+    frontMatterValue,
+    noteTags,
+    parseCheckboxes,
+    setCheckboxMarks
+} = require('./markdown');
+
+// Front matter flag on the Tasks.md files export writes; they hold tasks, not a note
+const TASK_LIST_KEY = 'task_list';
+const TASK_LIST_NAME = 'Tasks';
+
+// Vault folders that hold app settings, not notes
+const IGNORED_FOLDERS = ['.obsidian', '.trash', '.git', '__MACOSX'];
+
+const MAX_NAME_LENGTH = 100;
+
+const checksum = text => crypto.createHash('sha256').update(text).digest('hex');
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const parentFolder = folder => folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/')) : '';
+const baseName = path => path.slice(path.lastIndexOf('/') + 1);
+const fileTitle = path => baseName(path).replace(/\.md$/i, '');
+const joinPath = (folder, name) => folder ? `${folder}/${name}` : name;
+
+function ancestors(folder) {
+    const folders = [];
+    for (let current = folder; current; current = parentFolder(current)) {
+        folders.push(current);
+    }
+    return folders;
+}
+
+// A title as a file or folder name Obsidian accepts and links to
+function safeName(title) {
+    const name = String(title || '')
+        .replace(/[\\/:*?"<>|#^[\]\n\r\t]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .substring(0, MAX_NAME_LENGTH)
+        .trim();
+    return name || 'Untitled';
+}
+
+const noteSourceId = (path, entries) => {
+    const id = frontMatterValue(entries, 'id');
+    return typeof id === 'string' && id ? `id:${id}` : `path:${path}`;
+};
+
+// Source ids of a note's checkboxes; repeated text is told apart by its position
+function taskSourceIds(noteId, checkboxes) {
+    const seen = new Map();
+    return checkboxes.map(checkbox => {
+        if (checkbox.blockId) return `${noteId}#^${checkbox.blockId}`;
+
+        const key = checkbox.title.toLowerCase();
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return `${noteId}#${key}${count > 1 ? `~${count}` : ''}`;
+    });
+}
+
+/**
+ * The Markdown files and folders in a vault archive. A vault zipped as its own folder
+ * has that folder taken off the paths. Resolves to { files, folders, skipped }.
+ */
+function vaultEntries(archive) {
+    const entries = readZip(archive)
+        .map(entry => ({ ...entry, path: entry.path.replace(/\\/g, '/').replace(/^(\.\/)+/, '') }))
+        .filter(entry => entry.path && !entry.path.split('/').some(part => IGNORED_FOLDERS.includes(part)));
+
+    const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+    const [root] = roots;
+    const strip = roots.size === 1 && entries.every(entry => entry.path.startsWith(`${root}/`))
+        ? path => path.slice(root.length + 1)
+        : path => path;
+
+    const files = [];
+    const folders = new Set();
+    const skipped = [];
+    for (const entry of entries) {
+        const path = strip(entry.path);
+        if (!path) continue;
+
+        if (path.endsWith('/')) {
+            folders.add(path.slice(0, -1));
+        } else if (/\.md$/i.test(path) && !baseName(path).startsWith('.')) {
+            files.push({ path, text: entry.data.toString('utf8') });
+        } else {
+            skipped.push({ path, reason: 'Not a Markdown file' });
+        }
+    }
+
+    for (const file of files) {
+        ancestors(parentFolder(file.path)).forEach(folder => folders.add(folder));
+    }
+    return { files, folders: [...folders], skipped };
+}
+
+async function loadAll(table, columns, userId, db, { softDelete = false } = {}) {
+    let query = db
+        .from(table)
+        .select(columns)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+    if (softDelete) query = query.is('deleted_at', null);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to load ${table}: ${error.message}`);
+    return data;
+}
+
+async function insertRow(table, row, db) {
+    const { data, error } = await db
+        .from(table)
+        .insert(row)
+        .select()
+        .single();
+
+    if (error) throw new Error(`Failed to create ${table} row: ${error.message}`);
+    return data;
+}
+
+async function updateRow(table, id, values, db) {
+    const { error } = await db
+        .from(table)
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+    if (error) throw new Error(`Failed to update ${table} row: ${error.message}`);
+}
+
+const emptyCounts = () => ({ created: [], updated: [], unchanged: 0 });
+
+/**
+ * Import a zipped vault. With `dryRun` nothing is written and the report says what an
+ * import would do: { dry_run, projects, notes, tasks, skipped }, each of projects, notes
+ * and tasks being { created: [...], updated: [...], unchanged }.
+ */
+async function importVault(userId, archive, { dryRun = false } = {}, db = supabase) {
+    const { files, folders, skipped } = vaultEntries(archive);
+    const report = { dry_run: dryRun, projects: emptyCounts(), notes: emptyCounts(), tasks: emptyCounts(), skipped };
+
+    const sources = new Map((await loadAll('vault_items', '*', userId, db))
+        .map(item => [`${item.item_type}:${item.source_id}`, item]));
+    const projects = await loadAll('projects', 'id, title, parent_project_id', userId, db, { softDelete: true });
+    const notesById = new Map((await loadAll('notes', 'id, title, content, tags, project_id', userId, db))
+        .map(note => [note.id, note]));
+    const tasksById = new Map((await loadAll('tasks', 'id, title, description, status', userId, db, { softDelete: true }))
+        .map(task => [task.id, task]));
+    const placedTaskIds = new Set();
+
+    let placeholders = 0;
+    const placeholder = () => `dry-run-${++placeholders}`;
+
+    // Record where an item came from, unless that is already on record
+    const remember = async (itemType, sourceId, itemId, details) => {
+        const existing = sources.get(`${itemType}:${sourceId}`);
+        const row = { item_id: itemId, path: details.path, checksum: details.checksum || null, metadata: details.metadata || {} };
+
+        if (dryRun || (existing && existing.item_id === itemId && existing.path === row.path &&
+            existing.checksum === row.checksum && sameJSON(existing.metadata, row.metadata))) {
+            return;
+        }
+        if (existing) {
+            await updateRow('vault_items', existing.id, row, db);
+        } else {
+            await insertRow('vault_items', { user_id: userId, item_type: itemType, source_id: sourceId, ...row }, db);
+        }
+    };
+
+    // Folders, parents first
+    const projectIds = new Map([['', null]]);
+    for (const folder of folders.sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))) {
+        const sourceId = `folder:${folder}`;
+        const parentId = projectIds.get(parentFolder(folder));
+        const title = baseName(folder);
+        const mapped = sources.get(`project:${sourceId}`);
+
+        // A project the folder came from, or one of the same name in the same place
+        let project = (mapped && projects.find(candidate => candidate.id === mapped.item_id)) ||
+            projects.find(candidate => candidate.title === title && (candidate.parent_project_id || null) === parentId);
+
+        if (project) {
+            report.projects.unchanged++;
+        } else {
+            project = dryRun
+                ? { id: placeholder() }
+                : await insertRow('projects', {
+                    user_id: userId,
+                    title,
+                    parent_project_id: parentId,
+                    priority: 3,
+                    status: 'active'
+                }, db);
+            if (!dryRun) await indexItem(userId, 'project', project, {}, db);
+            report.projects.created.push(folder);
+        }
+
+        projectIds.set(folder, project.id);
+        await remember('project', sourceId, project.id, { path: folder });
+    }
+
+    for (const file of files.sort((a, b) => a.path.localeCompare(b.path))) {
+        const { entries, body } = parseFrontMatter(file.text);
+        const projectId = projectIds.get(parentFolder(file.path));
+        const sourceId = noteSourceId(file.path, entries);
+
+        // Task lists written by export only hold tasks
+        let noteId = null;
+        if (frontMatterValue(entries, TASK_LIST_KEY) !== 'true') {
+            const mapped = sources.get(`note:${sourceId}`);
+            // A note exported from the app carries its id
+            const note = (mapped && notesById.get(mapped.item_id)) || notesById.get(frontMatterValue(entries, 'id'));
+
+            const title = frontMatterValue(entries, 'title');
+            const tags = noteTags(entries, body);
+            const fileChecksum = checksum(file.text);
+            const fields = {
+                title: (typeof title === 'string' && title ? title : fileTitle(file.path)).substring(0, 200),
+                content: body,
+                tags,
+                project_id: projectId
+            };
+
+            if (!note) {
+                const created = dryRun
+                    ? { id: placeholder() }
+                    : await insertRow('notes', {
+                        user_id: userId,
+                        ...fields,
+                        prefix: null,
+                        category: 'general',
+                        priority: 3,
+                        source_type: 'vault'
+                    }, db);
+                if (!dryRun) await indexItem(userId, 'note', created, {}, db);
+                noteId = created.id;
+                report.notes.created.push(file.path);
+            } else if (mapped?.checksum === fileChecksum ||
+                Object.entries(fields).every(([key, value]) => key === 'tags'
+                    ? sameJSON([...(note.tags || [])].sort(), [...value].sort())
+                    : sameJSON(note[key] ?? null, value))) {
+                // Unchanged in the vault since the last import, so edits made in the app stay
+                noteId = note.id;
+                report.notes.unchanged++;
+            } else {
+                noteId = note.id;
+                if (!dryRun) {
+                    await updateRow('notes', noteId, fields, db);
+                    await indexItem(userId, 'note', { ...note, ...fields }, { previousTitle: note.title }, db);
+                }
+                report.notes.updated.push(file.path);
+            }
+
+            await remember('note', sourceId, noteId, {
+                path: file.path,
+                checksum: fileChecksum,
+                metadata: { front_matter: entries, tags }
+            });
+        }
+
+        const checkboxes = parseCheckboxes(body);
+        const taskIds = taskSourceIds(sourceId, checkboxes);
+        for (const [index, checkbox] of checkboxes.entries()) {
+            const taskSourceId = taskIds[index];
+            const label = `${file.path}: ${checkbox.title}`;
+            const mapped = sources.get(`task:${taskSourceId}`);
+
+            // An app task exported with its id as the block id comes back as itself
+            let task = (mapped && tasksById.get(mapped.item_id)) || tasksById.get(checkbox.blockId);
+            if (task && placedTaskIds.has(task.id)) task = null;
+
+            if (task) {
+                // Only what changed in the vault since the last import is taken over
+                const previous = mapped?.metadata?.title ? mapped.metadata : task;
+                const updates = {};
+                if (checkbox.title !== previous.title && checkbox.title !== task.title) {
+                    updates.title = checkbox.title;
+                }
+                if (checkbox.status !== previous.status && checkbox.status !== task.status) {
+                    updates.status = checkbox.status;
+                    updates.completed_at = checkbox.status === 'completed' ? new Date().toISOString() : null;
+                }
+
+                if (Object.keys(updates).length > 0) {
+                    if (!dryRun) {
+                        await updateRow('tasks', task.id, updates, db);
+                        if (updates.title) await indexItem(userId, 'task', { ...task, ...updates }, { previousTitle: task.title }, db);
+                    }
+                    report.tasks.updated.push(label);
+                } else {
+                    report.tasks.unchanged++;
+                }
+            } else {
+                task = dryRun
+                    ? { id: placeholder() }
+                    : await insertRow('tasks', {
+                        user_id: userId,
+                        project_id: projectId,
+                        title: checkbox.title,
+                        status: checkbox.status,
+                        completed_at: checkbox.status === 'completed' ? new Date().toISOString() : null,
+                        source: 'vault',
+                        source_note_id: noteId,
+                        source_data: { path: file.path, line: checkbox.index + 1 }
+                    }, db);
+                if (!dryRun) await indexItem(userId, 'task', task, {}, db);
+                report.tasks.created.push(label);
+            }
+
+            placedTaskIds.add(task.id);
+            await remember('task', taskSourceId, task.id, {
+                path: file.path,
+                metadata: { title: checkbox.title, status: checkbox.status }
+            });
+        }
+    }
+
+    return report;
+}
+
+// Front matter for an exported note: as imported, brought up to date with its tags and title
+function exportFrontMatter(note, source, path) {
+    const original = source ? source.metadata?.front_matter || null : [{ key: 'id', value: note.id }];
+    let entries = original;
+
+    // Tags written inline in the body stay there; the rest go in the front matter
+    if (!source || !sameJSON(note.tags || [], source.metadata?.tags || [])) {
+        const inline = noteTags(null, note.content || '');
+        const declared = (note.tags || []).filter(tag => !inline.includes(tag));
+        const current = (entries || []).find(entry => entry.key === 'tags');
+
+        entries = (entries || []).filter(entry => entry.key !== 'tags' && entry.key !== 'tag');
+        if (declared.length > 0) {
+            entries.push({ key: 'tags', value: declared, style: current?.style === 'flow' ? 'flow' : 'block' });
+        }
+    }
+
+    if (note.title && note.title !== (frontMatterValue(entries, 'title') || fileTitle(path))) {
+        entries = [...(entries || []).filter(entry => entry.key !== 'title'), { key: 'title', value: note.title }];
+    }
+
+    return entries && (entries.length > 0 || original) ? entries : null;
+}
+
+/**
+ * The user's projects, notes and tasks as vault files ([{ path, data }], by path).
+ * Imported items keep the paths they came from; the rest get paths from their titles.
+ */
+async function buildVault(userId, db = supabase) {
+    const projects = await loadAll('projects', 'id, title, parent_project_id, created_at', userId, db, { softDelete: true });
+    const notes = await loadAll('notes', '*', userId, db);
+    const tasks = await loadAll('tasks', 'id, title, status, project_id, created_at', userId, db, { softDelete: true });
+    const sourceRows = await loadAll('vault_items', '*', userId, db);
+
+    const sourceOf = (itemType, itemId) => sourceRows.filter(item => item.item_type === itemType && item.item_id === itemId).pop();
+    const projectsById = new Map(projects.map(project => [project.id, project]));
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    // Paths taken so far, ignoring case as macOS and Windows do
+    const taken = new Set();
+    const claim = (folder, name, extension = '') => {
+        let path = joinPath(folder, `${name}${extension}`);
+        for (let n = 2; taken.has(path.toLowerCase()); n++) {
+            path = joinPath(folder, `${name} ${n}${extension}`);
+        }
+        taken.add(path.toLowerCase());
+        return path;
+    };
+
+    // Imported folders and notes keep their paths
+    const folders = new Map();
+    for (const project of projects) {
+        const source = sourceOf('project', project.id);
+        if (source) {
+            folders.set(project.id, source.path);
+            taken.add(source.path.toLowerCase());
+        }
+    }
+    const notePaths = new Map();
+    for (const note of notes) {
+        const source = sourceOf('note', note.id);
+        if (source) {
+            notePaths.set(note.id, source.path);
+            taken.add(source.path.toLowerCase());
+        }
+    }
+
+    const folderFor = (project, visiting = new Set()) => {
+        if (!project) return '';
+        if (folders.has(project.id)) return folders.get(project.id);
+        if (visiting.has(project.id)) return '';
+        visiting.add(project.id);
+
+        const folder = claim(folderFor(projectsById.get(project.parent_project_id), visiting), safeName(project.title));
+        folders.set(project.id, folder);
+        return folder;
+    };
+    projects.forEach(project => folderFor(project));
+
+    const files = [];
+    const placed = new Set();
+
+    for (const note of notes) {
+        const source = sourceOf('note', note.id);
+        const body = note.content || '';
+        const path = notePaths.get(note.id) ||
+            claim(folderFor(projectsById.get(note.project_id)), safeName(note.title || body.split('\n')[0]), '.md');
+        const entries = exportFrontMatter(note, source, path);
+
+        // Checkboxes show their task's current status
+        const checkboxes = parseCheckboxes(body);
+        const taskIds = taskSourceIds(noteSourceId(path, entries), checkboxes);
+        const marks = {};
+        for (const [index, checkbox] of checkboxes.entries()) {
+            const task = tasksById.get(sourceRows.find(item => item.item_type === 'task' && item.source_id === taskIds[index])?.item_id);
+            if (!task) continue;
+
+            placed.add(task.id);
+            if (statusOf(checkbox.mark) !== task.status) {
+                marks[checkbox.index] = markFor(task.status);
+            }
+        }
+
+        files.push({ path, data: serializeNote(entries, setCheckboxMarks(body, marks)) });
+    }
+
+    // Every other task goes in its project folder's task list, with its id as block id
+    const lists = new Map();
+    for (const task of tasks.filter(task => !placed.has(task.id))) {
+        const folder = folderFor(projectsById.get(task.project_id));
+        if (!lists.has(folder)) lists.set(folder, []);
+        lists.get(folder).push(`- [${markFor(task.status)}] ${task.title.replace(/\s+/g, ' ').trim()} ^${task.id}`);
+    }
+    for (const [folder, lines] of lists) {
+        files.push({
+            path: claim(folder, TASK_LIST_NAME, '.md'),
+            data: serializeNote([{ key: TASK_LIST_KEY, value: 'true' }], `${lines.join('\n')}\n`)
+        });
+    }
+
+    // Folders with nothing in them still make it into the archive
+    const used = new Set(files.flatMap(file => ancestors(parentFolder(file.path))));
+    for (const folder of folders.values()) {
+        if (!used.has(folder)) files.push({ path: `${folder}/`, data: '' });
+    }
+
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// The user's vault as a zip archive
+async function exportVault(userId, db = supabase) {
+    return writeZip(await buildVault(userId, db));
+}
+
+module.exports = {
+    ZipError,
+    readZip,
+    writeZip,
+    importVault,
+    buildVault,
+    exportVault
+};
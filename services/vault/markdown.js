@@ -0,0 +1,166 @@
+/**
+ * Vault Markdown
+ * Reads and writes the Markdown Obsidian keeps notes in: YAML front matter (the simple
+ * key/value and list form Obsidian's properties use), #tags and "- [ ]" checkboxes.
+ * Front matter is kept entry by entry with its layout, and lines it can't read are kept
+ * verbatim, so a note written back out matches the file it came from.
+ */
+
+const FENCE = /^\s*(```|~~~)/;
+const CHECKBOX = /^(\s*(?:[-*+]|\d+[.)])\s+\[)(.)(\]\s+)(.*)$/;
+const BLOCK_ID = /\s+\^([A-Za-z0-9-]+)\s*$/;
+const INLINE_TAG = /(^|\s)#([\p{L}\p{N}_/-]+)/gu;
+const KEY_VALUE = /^([A-Za-z0-9_][\w -]*?):(?:\s+(.*)|\s*)$/;
+const LIST_ITEM = /^\s+-\s+(.*)$/;
+
+// Checkbox marks and the task statuses they stand for
+const MARK_STATUSES = { ' ': 'pending', '/': 'in_progress', 'x': 'completed', 'X': 'completed', '-': 'cancelled' };
+const STATUS_MARKS = { pending: ' ', in_progress: '/', completed: 'x', cancelled: '-' };
+
+const statusOf = mark => MARK_STATUSES[mark] || 'pending';
+const markFor = status => STATUS_MARKS[status] || ' ';
+
+function unquote(value) {
+    const match = /^(["'])(.*)\1$/.exec(value);
+    return match ? { value: match[2], quote: match[1] } : { value, quote: null };
+}
+
+// A scalar that needs quotes to stay a plain string in YAML
+const needsQuotes = value => value === '' || /^[\s[\]{}>|*&!%@`#'",?:-]|:\s|\s#|\s$/.test(value);
+
+// `mark` is the quote a value was written with (null for none); new values get quotes if they need them
+function quote(value, mark = undefined) {
+    const used = mark === undefined ? (needsQuotes(value) ? '"' : null) : mark;
+    return used ? `${used}${value}${used}` : value;
+}
+
+// List items as written ({ value, quote }), and their values
+function parseItems(raw) {
+    const items = raw.map(item => unquote(item.trim()));
+    return { value: items.map(item => item.value), quotes: items.map(item => item.quote) };
+}
+
+/**
+ * Split a file into its front matter and body. Entries are { key, value, style, quote }
+ * with value a string or (for lists) an array and `quote` the quotes it was written with,
+ * or { raw } for lines kept as they are.
+ */
+function parseFrontMatter(text) {
+    const source = text.replace(/\r\n/g, '\n');
+    const match = /^---\n(?:([\s\S]*?)\n)?---(?:\n|$)/.exec(source);
+    if (!match) {
+        return { entries: null, body: source };
+    }
+
+    const lines = match[1] ? match[1].split('\n') : [];
+    const entries = [];
+    for (let i = 0; i < lines.length; i++) {
+        const pair = KEY_VALUE.exec(lines[i]);
+        if (!pair) {
+            entries.push({ raw: lines[i] });
+            continue;
+        }
+
+        const [, key, rest = ''] = pair;
+        if (rest === '') {
+            const items = [];
+            while (i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+                items.push(LIST_ITEM.exec(lines[++i])[1]);
+            }
+            entries.push(items.length > 0 ? { key, ...parseItems(items), style: 'block' } : { key, value: '', style: 'empty' });
+        } else if (/^\[.*\]$/.test(rest.trim())) {
+            const inner = rest.trim().slice(1, -1).trim();
+            entries.push({ key, ...parseItems(inner ? inner.split(',') : []), style: 'flow' });
+        } else {
+            const { value, quote: mark } = unquote(rest.trim());
+            entries.push({ key, value, style: 'scalar', quote: mark });
+        }
+    }
+    return { entries, body: source.slice(match[0].length) };
+}
+
+function serializeEntry(entry) {
+    if (entry.raw !== undefined) return [entry.raw];
+    if (entry.style === 'empty') return [`${entry.key}:`];
+    if (Array.isArray(entry.value)) {
+        const items = entry.value.map((item, index) => quote(item, entry.quotes?.[index]));
+        if (entry.style === 'flow' || items.length === 0) {
+            return [`${entry.key}: [${items.join(', ')}]`];
+        }
+        return [`${entry.key}:`, ...items.map(item => `  - ${item}`)];
+    }
+    return [`${entry.key}: ${quote(String(entry.value), entry.quote)}`];
+}
+
+// A file from front matter entries (null for none) and a body
+function serializeNote(entries, body) {
+    if (!entries) return body;
+    return `---\n${entries.flatMap(serializeEntry).map(line => `${line}\n`).join('')}---\n${body}`;
+}
+
+const frontMatterValue = (entries, key) => entries?.find(entry => entry.key === key)?.value;
+
+// Lines outside fenced code blocks, with their index
+function proseLines(body) {
+    const lines = body.split('\n');
+    let fenced = false;
+    return lines.map((line, index) => {
+        if (FENCE.test(line)) {
+            fenced = !fenced;
+            return null;
+        }
+        return fenced ? null : { line, index };
+    }).filter(Boolean);
+}
+
+const cleanTag = tag => String(tag).trim().replace(/^#/, '').toLowerCase();
+
+/**
+ * A note's tags: the front matter's tags (a list, or a comma or space separated string)
+ * followed by the #tags in its body, each once
+ */
+function noteTags(entries, body) {
+    const declared = frontMatterValue(entries, 'tags') ?? frontMatterValue(entries, 'tag') ?? [];
+    const listed = Array.isArray(declared) ? declared : String(declared).split(/[,\s]+/);
+
+    const inline = proseLines(body).flatMap(({ line }) => [...line.matchAll(INLINE_TAG)]
+        .map(match => match[2])
+        .filter(tag => !/^\d+$/.test(tag)));
+
+    return [...new Set([...listed, ...inline].map(cleanTag).filter(Boolean))];
+}
+
+/**
+ * The checkboxes in a body: [{ index, mark, status, title, blockId }]
+ */
+function parseCheckboxes(body) {
+    return proseLines(body).map(({ line, index }) => {
+        const match = CHECKBOX.exec(line);
+        if (!match) return null;
+
+        const text = match[4];
+        const blockId = BLOCK_ID.exec(text)?.[1] || null;
+        const title = text.replace(BLOCK_ID, '').trim().substring(0, 1000);
+        return title ? { index, mark: match[2], status: statusOf(match[2]), title, blockId } : null;
+    }).filter(Boolean);
+}
+
+// Set the marks of the checkboxes on the given lines ({ index: mark })
+function setCheckboxMarks(body, marks) {
+    const lines = body.split('\n');
+    for (const [index, mark] of Object.entries(marks)) {
+        lines[index] = lines[index].replace(CHECKBOX, (line, open, old, close, text) => `${open}${mark}${close}${text}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    statusOf,
+    markFor,
+    parseFrontMatter,
+    serializeNote,
+    frontMatterValue,
+    noteTags,
+    parseCheckboxes,
+    setCheckboxMarks
+};
@@ -0,0 +1,182 @@
+/**
+ * Zip
+ * The part of the ZIP format vaults need: reading stored and deflated entries, and
+ * writing deflated ones. No zip64, encryption or multi-disk archives.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+// Guards against zip bombs
+const MAX_ENTRIES = 5000;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+        this.status = 400;
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus a comment of up to 64KB
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new ZipError('Not a zip archive');
+}
+
+/**
+ * The entries in a zip archive, in archive order: [{ path, data }]. Directories come
+ * with a path ending in '/' and no data.
+ */
+function readZip(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+        throw new ZipError('Not a zip archive');
+    }
+
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    if (count > MAX_ENTRIES) {
+        throw new ZipError(`Archives may hold at most ${MAX_ENTRIES} entries`);
+    }
+
+    const files = [];
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new ZipError('Corrupt zip central directory');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const path = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (path.endsWith('/')) {
+            files.push({ path, data: Buffer.alloc(0) });
+            continue;
+        }
+        if (flags & 0x1) {
+            throw new ZipError(`${path} is encrypted`);
+        }
+
+        total += size;
+        if (total > MAX_TOTAL_SIZE) {
+            throw new ZipError(`Archives may hold at most ${MAX_TOTAL_SIZE / 1024 / 1024}MB`);
+        }
+
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw new ZipError(`Corrupt zip entry ${path}`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === STORED) {
+            data = Buffer.from(raw);
+        } else if (method === DEFLATED) {
+            data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+        } else {
+            throw new ZipError(`${path} uses an unsupported compression method`);
+        }
+        files.push({ path, data });
+    }
+    return files;
+}
+
+/**
+ * A zip archive of `files` ([{ path, data }], data a string or Buffer), deflated. Paths
+ * ending in '/' are written as directories.
+ */
+function writeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+        const name = Buffer.from(file.path, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(DEFLATED, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(DEFLATED, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, compressed);
+        centrals.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = {
+    ZipError,
+    crc32,
+    readZip,
+    writeZip
+};
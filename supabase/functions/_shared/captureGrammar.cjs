@@ -0,0 +1,351 @@
+/**
+ * Quick-Capture Grammar
+ * One line of quick capture, as typed into /api/ingest or the big page:
+ *
+ *   zz call the bank about the mortgage @home-buying #finance !2 fri 5pm
+ *
+ * - A prefix says what the line is: zz task, ? question, og keep as is, // comment,
+ *   !! urgent. Lines without one are plain notes.
+ * - #tags are free tags; the first that names a category sets the line's category.
+ * - @project refers to a project by its title, ignoring case, spaces and punctuation.
+ * - !1 to !5 sets the priority (1 is the most urgent).
+ * - Lines that become tasks may carry a due date: "fri 5pm", "tomorrow", "due oct 23 at
+ *   9:30am", "2026-11-02 17:00" or "tonight", in the user's timezone.
+ *
+ * Shared by routes/ingest.js (through services/capture.js) and the bigpage-ingest edge
+ * function, so it has no dependencies and sticks to what Node and Deno both provide.
+ */
+
+const PREFIXES = {
+    'zz': { type: 'task', category: 'task', autoProcess: true, createTask: true },
+    '?': { type: 'question', category: 'research', autoProcess: true },
+    'og': { type: 'preserve', category: 'archive', autoProcess: false },
+    '//': { type: 'comment', category: 'note', autoProcess: false },
+    '!!': { type: 'urgent', category: 'urgent', autoProcess: true, priority: 1 }
+};
+
+// Categories a #tag can set; prefixes bring their own
+const CATEGORIES = [
+    'task', 'idea', 'topic', 'research', 'health', 'life', 'home', 'spirituality',
+    'work', 'finance', 'archive', 'note', 'urgent', 'general'
+];
+
+const DEFAULT_PRIORITY = 3;
+const NOTE_TITLE_LENGTH = 80;
+const TASK_TITLE_LENGTH = 1000;
+
+// A due day without a time means the end of that day; "tonight" means the evening
+const END_OF_DAY = { hour: 23, minute: 59 };
+const TONIGHT = { hour: 20, minute: 0 };
+
+const WEEKDAYS = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, weds: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Weekdays that are also everyday words only count with a time or "due" next to them
+const AMBIGUOUS_WEEKDAYS = ['sun', 'sat', 'wed'];
+
+const TAG = /(^|\s)#([a-z0-9_-]+)/gi;
+// @task:<id> and the like are links (services/links.js), not projects
+const PROJECT = /(^|\s)@([a-z0-9_-]+)(?![a-z0-9_:-])/gi;
+const PRIORITY = /(^|\s)!([1-5])(?=\s|$)/g;
+
+// Words that introduce a due date and go with it
+const DUE_WORDS = ['due', 'by', 'on', 'at'];
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "oct", "october" and "sept" name a month; -1 otherwise
+const monthOf = word => MONTHS.findIndex(name => word === name || word === name.slice(0, 3) || (name === 'september' && word === 'sept'));
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in a timezone, with the date as a UTC midnight for day arithmetic
+function localParts(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+    return {
+        date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)),
+        hour: parts.hour,
+        minute: parts.minute
+    };
+}
+
+// The instant a wall-clock time has in a timezone; the offset is checked twice for DST changes
+function zonedInstant(date, { hour, minute }, timeZone) {
+    const wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute);
+    let instant = wall;
+    for (let i = 0; i < 2; i++) {
+        const local = localParts(new Date(instant), timeZone);
+        const seen = local.date.getTime() + (local.hour * 60 + local.minute) * 60 * 1000;
+        instant += wall - seen;
+    }
+    return new Date(instant);
+}
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// "5pm", "5:30pm", "17:00", "noon"; bare numbers are not times
+function parseTime(word = '', next = '') {
+    if (word === 'noon') return { time: { hour: 12, minute: 0 }, used: 1 };
+
+    let match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+    let used = 1;
+    if (!match && /^\d{1,2}(:\d{2})?$/.test(word) && (next === 'am' || next === 'pm')) {
+        match = `${word}${next}`.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+        used = 2;
+    }
+    if (match) {
+        const hour = Number(match[1]);
+        const minute = Number(match[2] || 0);
+        if (hour < 1 || hour > 12 || minute > 59) return null;
+        return { time: { hour: (hour % 12) + (match[3] === 'pm' ? 12 : 0), minute }, used };
+    }
+
+    match = word.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    return match ? { time: { hour: Number(match[1]), minute: Number(match[2]) }, used: 1 } : null;
+}
+
+// "today", "tomorrow", "fri", "next fri", "oct 23", "23 oct", "2026-10-23"
+function parseDay(words, i) {
+    const word = words[i] || '';
+
+    if (word === 'today') return { day: { offset: 0 }, used: 1 };
+    if (word === 'tonight') return { day: { offset: 0, tonight: true }, used: 1 };
+    if (['tomorrow', 'tmrw', 'tmr'].includes(word)) return { day: { offset: 1 }, used: 1 };
+
+    if (word === 'next' && WEEKDAYS[words[i + 1]] !== undefined) {
+        return { day: { weekday: WEEKDAYS[words[i + 1]], next: true }, used: 2 };
+    }
+    if (WEEKDAYS[word] !== undefined) return { day: { weekday: WEEKDAYS[word] }, used: 1 };
+
+    let match = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (match) {
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCDate() === Number(match[3]) ? { day: { date }, used: 1 } : null;
+    }
+
+    const dayOfMonth = value => /^\d{1,2}(st|nd|rd|th)?$/.test(value || '') ? parseInt(value, 10) : null;
+
+    if (monthOf(word) >= 0 && dayOfMonth(words[i + 1])) {
+        return { day: { month: monthOf(word), dayOfMonth: dayOfMonth(words[i + 1]) }, used: 2 };
+    }
+    if (dayOfMonth(word) && monthOf(words[i + 1] || '') >= 0) {
+        return { day: { month: monthOf(words[i + 1]), dayOfMonth: dayOfMonth(word) }, used: 2 };
+    }
+    return null;
+}
+
+// The due instant for a parsed day and/or time, relative to now in the timezone
+function resolveDue({ day, time }, now, timeZone) {
+    const local = localParts(now, timeZone);
+    const nowMinutes = local.hour * 60 + local.minute;
+    const at = time || (day?.tonight ? TONIGHT : END_OF_DAY);
+    const passed = time && time.hour * 60 + time.minute <= nowMinutes;
+
+    let date;
+    if (!day) {
+        // A time alone is the next time it comes round
+        date = addDays(local.date, passed ? 1 : 0);
+    } else if (day.offset !== undefined) {
+        date = addDays(local.date, day.offset);
+    } else if (day.weekday !== undefined) {
+        let ahead = (day.weekday - local.date.getUTCDay() + 7) % 7;
+        if (ahead === 0 && (day.next || passed)) ahead = 7;
+        date = addDays(local.date, ahead);
+    } else if (day.date) {
+        date = day.date;
+    } else {
+        const year = local.date.getUTCFullYear();
+        date = new Date(Date.UTC(year, day.month, day.dayOfMonth));
+        if (date < local.date) date = new Date(Date.UTC(year + 1, day.month, day.dayOfMonth));
+        if (date.getUTCDate() !== day.dayOfMonth) return null;
+    }
+
+    return zonedInstant(date, at, timeZone);
+}
+
+/**
+ * Find the first due-date phrase in `text`. Resolves to { dueAt, text } with the phrase
+ * (and a leading "due", "by" or "on") taken out, or null when there is none.
+ */
+function extractDueDate(text, { now = new Date(), timeZone = 'UTC' } = {}) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const words = tokens.map(token => token.toLowerCase().replace(/[,.;]+$/, ''));
+
+    for (let i = 0; i < words.length; i++) {
+        const found = {};
+        let end = i;
+
+        const day = parseDay(words, end);
+        if (day) {
+            found.day = day.day;
+            end += day.used;
+        }
+
+        const at = words[end] === 'at' ? 1 : 0;
+        const time = parseTime(words[end + at], words[end + at + 1]);
+        if (time && (at === 0 || day)) {
+            found.time = time.time;
+            end += at + time.used;
+        }
+
+        // "fri 5pm" and "5pm fri" both work
+        if (!day && found.time) {
+            const after = parseDay(words, end);
+            if (after) {
+                found.day = after.day;
+                end += after.used;
+            }
+        }
+
+        if (end === i) continue;
+
+        let start = i;
+        while (start > 0 && DUE_WORDS.includes(words[start - 1])) start--;
+
+        if (AMBIGUOUS_WEEKDAYS.includes(words[i]) && !found.time && start === i) continue;
+
+        const dueAt = resolveDue(found, now, timeZone);
+        if (!dueAt) continue;
+
+        return {
+            dueAt,
+            text: [...tokens.slice(0, start), ...tokens.slice(end)].join(' ')
+        };
+    }
+    return null;
+}
+
+/**
+ * Parse one line of quick capture. Resolves to null for blank lines, otherwise to
+ * { lineNumber, prefix, type, category, tags, projectRef, priority, dueAt, title,
+ * content, createTask, autoProcess }. `content` is the line without its prefix; `title`
+ * is what is left of it once the markup (and a task's due date) is taken out.
+ */
+function parseCaptureLine(line, { lineNumber = 1, now = new Date(), timeZone = 'UTC' } = {}) {
+    const trimmed = String(line || '').trim();
+    if (!trimmed) return null;
+
+    // Longest prefix first, and only as a word of its own ("zzz" is not a task)
+    const prefix = Object.keys(PREFIXES)
+        .sort((a, b) => b.length - a.length)
+        .find(candidate => trimmed === candidate || trimmed.startsWith(`${candidate} `) ||
+            (/\W$/.test(candidate) && trimmed.startsWith(candidate))) || null;
+    const config = prefix ? PREFIXES[prefix] : { type: 'note', category: 'general', autoProcess: false };
+    const content = prefix ? trimmed.slice(prefix.length).trim() : trimmed;
+
+    const tags = [...new Set([...content.matchAll(TAG)].map(match => match[2].toLowerCase()))];
+    const projectRef = [...content.matchAll(PROJECT)].map(match => match[2])[0] || null;
+    const priorityTag = [...content.matchAll(PRIORITY)].map(match => Number(match[2]))[0];
+
+    let text = content.replace(TAG, '$1').replace(PROJECT, '$1').replace(PRIORITY, '$1');
+    let dueAt = null;
+    if (config.createTask) {
+        const due = extractDueDate(text, { now, timeZone });
+        if (due) {
+            dueAt = due.dueAt;
+            text = due.text;
+        }
+    }
+    const title = text.replace(/\s+/g, ' ').trim();
+
+    return {
+        lineNumber,
+        prefix,
+        type: config.type,
+        category: tags.find(tag => CATEGORIES.includes(tag)) || config.category,
+        tags,
+        projectRef,
+        priority: priorityTag || config.priority || DEFAULT_PRIORITY,
+        dueAt,
+        title: title.slice(0, TASK_TITLE_LENGTH) || null,
+        content,
+        createTask: Boolean(config.createTask && title),
+        autoProcess: Boolean(config.autoProcess)
+    };
+}
+
+/**
+ * Parse a block of quick capture, one entry per non-blank line
+ */
+function parseCapture(text, options = {}) {
+    return String(text || '').split(/\r?\n/)
+        .map((line, index) => parseCaptureLine(line, { ...options, lineNumber: index + 1 }))
+        .filter(Boolean);
+}
+
+// The project an @reference names, from the user's projects ({ id, title })
+function matchProject(projectRef, projects = []) {
+    if (!projectRef) return null;
+    return projects.find(project => slug(project.title) === slug(projectRef)) || null;
+}
+
+// The notes row for an entry; `source` is where it was captured ('ingest' or 'bigpage')
+function toNoteRow(entry, userId, { source, projectId = null }) {
+    return {
+        user_id: userId,
+        prefix: entry.prefix,
+        category: entry.category,
+        title: entry.title ? entry.title.slice(0, NOTE_TITLE_LENGTH) : null,
+        content: entry.content,
+        tags: entry.tags,
+        project_id: projectId,
+        priority: entry.priority,
+        due_at: entry.dueAt ? entry.dueAt.toISOString() : null,
+        source_type: source,
+        auto_categorized: Boolean(entry.prefix),
+        protected: false,
+        stale: false
+    };
+}
+
+// The tasks row for an entry that creates one, linked back to its note
+function toTaskRow(entry, userId, { source, noteId, projectId = null }) {
+    return {
+        user_id: userId,
+        project_id: projectId,
+        title: entry.title,
+        priority: entry.priority,
+        deadline: entry.dueAt ? entry.dueAt.toISOString() : null,
+        source,
+        source_note_id: noteId,
+        source_data: { tags: entry.tags, line: entry.lineNumber }
+    };
+}
+
+module.exports = {
+    PREFIXES,
+    CATEGORIES,
+    DEFAULT_PRIORITY,
+    isValidTimeZone,
+    extractDueDate,
+    parseCaptureLine,
+    parseCapture,
+    matchProject,
+    toNoteRow,
+    toTaskRow
+};
@@ -1,48 +1,15 @@
 import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+// The quick-capture grammar shared with the Express /api/ingest route
+import captureGrammar from '../_shared/captureGrammar.cjs'
+
+const { isValidTimeZone, parseCapture, matchProject, toNoteRow, toTaskRow } = captureGrammar
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-const PREFIX_LOGIC: Record<string, any> = {
-  '?': { type: 'question', category: 'research', autoProcess: true },
-  'zz': { type: 'task', category: 'task', autoProcess: true, createTask: true },
-  'og': { type: 'preserve', category: 'archive', autoProcess: false },
-  '//': { type: 'comment', category: 'note', autoProcess: false },
-  '!!': { type: 'urgent', category: 'urgent', autoProcess: true, priority: 1 }
-}
-
-function parseEntry(line: string, lineNumber: number) {
-  const trimmed = line.trim()
-  if (!trimmed) return null
-
-  let prefix: string | null = null
-  let content = trimmed
-  let prefixConfig: any = null
-
-  for (const [prefixChar, config] of Object.entries(PREFIX_LOGIC)) {
-    if (trimmed.startsWith(prefixChar)) {
-      prefix = prefixChar
-      content = trimmed.substring(prefixChar.length).trim()
-      prefixConfig = config
-      break
-    }
-  }
-
-  return {
-    lineNumber,
-    prefix,
-    content,
-    type: prefixConfig?.type || 'general',
-    category: prefixConfig?.category || 'general',
-    shouldAutoProcess: prefixConfig?.autoProcess || false,
-    shouldCreateTask: prefixConfig?.createTask || false,
-    priority: prefixConfig?.priority || 3
-  }
-}
-
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
@@ -51,8 +18,8 @@ serve(async (req) => {
   try {
     const authHeader = req.headers.get('Authorization')!
     const supabase = createClient(
-      Deno.env.get('SUPABAS_URL')!,
-      Deno.env.get('SUPABAS_ANON_KEY')!,
+      Deno.env.get('SUPABASE_URL')!,
+      Deno.env.get('SUPABASE_ANON_KEY')!,
       { global: { headers: { Authorization: authHeader } } }
     )
 
@@ -60,7 +27,7 @@ serve(async (req) => {
     if (userError || !user) throw new Error('Unauthorized')
 
     if (req.method === 'POST') {
-      const { content, autoProcess = true } = await req.json()
+      const { content, autoProcess = true, timeZone } = await req.json()
 
       if (!content || typeof content !== 'string') {
         return new Response(
@@ -81,28 +48,35 @@ serve(async (req) => {
       if (sessionError) throw sessionError
 
       const lines = content.split('\n')
-      const parsedEntries: any[] = []
       const createdNotes: any[] = []
       let processedCount = 0
 
-      for (let i = 0; i < lines.length; i++) {
-        const parsed = parseEntry(lines[i], i + 1)
-        if (!parsed) continue
+      // Due dates are in the user's timezone
+      const { data: profile } = await supabase
+        .from('users')
+        .select('timezone')
+        .eq('id', user.id)
+        .maybeSingle()
+      const zone = [timeZone, profile?.timezone].find(candidate => candidate && isValidTimeZone(candidate)) || 'UTC'
+
+      const parsedEntries: any[] = parseCapture(content, { timeZone: zone })
+
+      let projects: any[] = []
+      if (parsedEntries.some(entry => entry.projectRef)) {
+        const { data } = await supabase
+          .from('projects')
+          .select('id, title')
+          .eq('user_id', user.id)
+          .is('deleted_at', null)
+        projects = data || []
+      }
 
-        parsedEntries.push(parsed)
+      for (const parsed of parsedEntries) {
+        const projectId = matchProject(parsed.projectRef, projects)?.id || null
 
         const { data: note, error: noteError } = await supabase
           .from('notes')
-          .insert({
-            user_id: user.id,
-            content: parsed.content,
-            prefix: parsed.prefix,
-            category: parsed.category,
-            source_type: 'bigpage',
-            auto_categorized: !!parsed.prefix,
-            protected: false,
-            stale: false
-          })
+          .insert(toNoteRow(parsed, user.id, { source: 'bigpage', projectId }))
           .select()
           .single()
 
@@ -113,18 +87,14 @@ serve(async (req) => {
 
         createdNotes.push(note)
 
-        if (parsed.shouldCreateTask) {
-          await supabase.from('tasks').insert({
-            user_id: user.id,
-            title: parsed.content,
-            priority: parsed.priority,
-            source: 'bigpage',
-            source_note_id: note.id,
-            ai_generated: true
-          })
+        if (parsed.createTask) {
+          const { error: taskError } = await supabase
+            .from('tasks')
+            .insert(toTaskRow(parsed, user.id, { source: 'bigpage', noteId: note.id, projectId }))
+          if (taskError) console.error('Task creation error:', taskError)
         }
 
-        if (autoProcess && parsed.shouldAutoProcess) {
+        if (autoProcess && parsed.autoProcess) {
           await supabase.from('ai_processing_queue').insert({
             user_id: user.id,
             note_id: note.id,
@@ -159,6 +129,8 @@ serve(async (req) => {
             prefix: e.prefix,
             type: e.type,
             category: e.category,
+            tags: e.tags,
+            due_at: e.dueAt ? e.dueAt.toISOString() : null,
             content: e.content.substring(0, 100) + (e.content.length > 100 ? '...' : '')
           }))
         }),
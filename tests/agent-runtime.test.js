@@ -0,0 +1,267 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+    AgentRuntimeError,
+    AgentDecisionEngine,
+    assessActionRisk,
+    applyTaskTemplate,
+    validateStatusTransition,
+    findBestAgentForTask,
+    createAgent,
+    deleteAgent,
+    enqueueTask,
+    resolveApproval,
+    updateAgentTask,
+    bulkUpdateAgentStatus,
+    bulkUpdateConversations,
+    getApprovalStats
+} = require('../services/agents');
+
+const USER_ID = 'user-1';
+
+describe('Agent Runtime', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            agents: [
+                { id: 'agent-busy', user_id: USER_ID, name: 'Busy', type: 'email', capabilities: ['email'], is_active: true },
+                { id: 'agent-free', user_id: USER_ID, name: 'Free', type: 'email', capabilities: ['email'], is_active: true },
+                { id: 'agent-other', user_id: 'user-2', name: 'Other', type: 'email', capabilities: ['email'], is_active: true }
+            ],
+            agent_status: [
+                { agent_id: 'agent-busy', status: 'busy', health_score: 1 },
+                { agent_id: 'agent-free', status: 'idle', health_score: 1 },
+                { agent_id: 'agent-other', status: 'idle', health_score: 1 }
+            ],
+            agent_tasks: [
+                { id: 'task-1', agent_id: 'agent-busy', priority: 3, status: 'in_progress' },
+                { id: 'task-2', agent_id: 'agent-busy', priority: 3, status: 'pending' }
+            ]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    describe('Decision engine', () => {
+        const engine = new AgentDecisionEngine();
+
+        test('urgent, high priority tasks score higher than low priority ones', () => {
+            const soon = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            const urgent = engine.calculateTaskPriority({ priority: 1, deadline: soon });
+            const relaxed = engine.calculateTaskPriority({ priority: 5 });
+
+            expect(urgent).toBe(5);
+            expect(relaxed).toBeLessThan(urgent);
+        });
+
+        test('priorities stay within the 1-5 scale', () => {
+            const score = engine.calculateTaskPriority({ priority: 3, agent_workload: 95, business_impact: 0 });
+            expect(score).toBeGreaterThanOrEqual(1);
+            expect(score).toBeLessThanOrEqual(5);
+        });
+
+        test('tasks others wait on score higher, blocked tasks lower', () => {
+            const base = { priority: 5, agent_workload: 50 };
+            const plain = engine.calculateTaskPriority(base);
+
+            expect(engine.calculateTaskPriority({ ...base, dependencies: { blocking_count: 3, is_blocked: false } })).toBeGreaterThan(plain);
+            expect(engine.calculateTaskPriority({ ...base, dependencies: { blocking_count: 0, is_blocked: true } })).toBeLessThan(plain);
+        });
+
+        test('sensitive high risk actions are rated riskier', () => {
+            const risky = engine.evaluateActionRisk({
+                action_type: 'delete_data',
+                action_data: { includes_pii: true },
+                agent_capabilities: [],
+                user_permissions: []
+            });
+            const safe = engine.evaluateActionRisk({
+                action_type: 'read_data',
+                action_data: {},
+                agent_capabilities: [engine.getRequiredCapability('read_data')],
+                user_permissions: ['read']
+            });
+
+            expect(risky).toBe(5);
+            expect(safe).toBeLessThan(risky);
+        });
+    });
+
+    describe('Risk assessment and templates', () => {
+        test('sensitive data raises task creation risk', () => {
+            const plain = assessActionRisk('task_creation', { priority: 4 }, {});
+            const sensitive = assessActionRisk('task_creation', { priority: 4, contains_sensitive_data: true }, {});
+
+            expect(plain.risk_level).toBe('low');
+            expect(sensitive.risk_level).toBe('medium');
+            expect(sensitive.requires_approval).toBe(true);
+        });
+
+        test('trusted agents are auto-approved', () => {
+            const result = assessActionRisk('task_creation', { priority: 4 }, { trust_score: 0.9 });
+            expect(result.requires_approval).toBe(false);
+        });
+
+        test('unknown action types always require approval', () => {
+            const result = assessActionRisk('launch_rockets', {}, {});
+            expect(result.requires_approval).toBe(true);
+            expect(result.reason).toContain('Unknown action type');
+        });
+
+        test('task templates merge custom parameters', () => {
+            const task = applyTaskTemplate('email_processing', { folder: 'inbox' });
+            expect(task.type).toBe('email_processing');
+            expect(task.parameters.folder).toBe('inbox');
+            expect(() => applyTaskTemplate('missing_template')).toThrow("Task template 'missing_template' not found");
+        });
+
+        test('status transitions are validated', () => {
+            const metadata = {
+                health_score: 0.9,
+                uptime_seconds: 120,
+                current_task_id: '3f2b8c1e-9d4a-4f6b-8e2a-1c5d7b9a0e3f'
+            };
+
+            expect(validateStatusTransition('idle', 'busy', metadata).isValid).toBe(true);
+            expect(validateStatusTransition('error', 'busy', metadata).isValid).toBe(false);
+            expect(validateStatusTransition('idle', 'busy', {}).errors).toContain("Field 'current_task_id' is required for status 'busy'");
+        });
+    });
+
+    describe('findBestAgentForTask', () => {
+        test('prefers the least loaded agent owned by the user', async () => {
+            const agent = await findBestAgentForTask(USER_ID, 'email', 3, ['email']);
+            expect(agent.id).toBe('agent-free');
+        });
+
+        test('returns null when no agent has the required capabilities', async () => {
+            const agent = await findBestAgentForTask(USER_ID, 'email', 3, ['calendar']);
+            expect(agent).toBeNull();
+        });
+    });
+
+    describe('Programmatic API', () => {
+        test('createAgent stores the agent with an idle status', async () => {
+            const agent = await createAgent(USER_ID, { name: 'Researcher', type: 'research', capabilities: ['search'] });
+
+            expect(agent.capabilities).toEqual(['search']);
+            expect(fake.tables.agent_status.find(s => s.agent_id === agent.id).status).toBe('idle');
+
+            await deleteAgent(USER_ID, agent.id);
+            expect(fake.tables.agents.find(a => a.id === agent.id)).toBeUndefined();
+        });
+
+        test('createAgent rejects missing fields', async () => {
+            await expect(createAgent(USER_ID, { name: 'No type' })).rejects.toMatchObject({
+                name: 'AgentRuntimeError',
+                status: 400
+            });
+        });
+
+        test('enqueueTask queues an approval for untrusted agents', async () => {
+            const result = await enqueueTask(USER_ID, 'agent-free', { title: 'Sort inbox', type: 'email', priority: 4 });
+
+            expect(result.approval_required).toBe(true);
+            expect(result.task.status).toBe('pending_approval');
+            expect(fake.tables.approvals_queue).toHaveLength(1);
+            expect(fake.tables.approvals_queue[0].id).toBe(result.approval_id);
+        });
+
+        test('enqueueTask refuses agents owned by another user', async () => {
+            const attempt = enqueueTask(USER_ID, 'agent-other', { title: 'Sort inbox', type: 'email' });
+            await expect(attempt).rejects.toBeInstanceOf(AgentRuntimeError);
+            await expect(attempt).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('resolveApproval approves and activates the queued task', async () => {
+            const { approval_id: approvalId, task } = await enqueueTask(USER_ID, 'agent-free', {
+                title: 'Sort inbox',
+                type: 'email',
+                priority: 4
+            });
+
+            const result = await resolveApproval(USER_ID, approvalId, { status: 'approved' });
+
+            expect(result.escalated).toBe(false);
+            expect(result.approval.status).toBe('approved');
+            expect(fake.tables.agent_tasks.find(t => t.id === task.id).status).toBe('pending');
+            expect(fake.tables.approval_history.some(h => h.approval_id === approvalId && h.action_taken === 'approved')).toBe(true);
+        });
+
+        test('resolveApproval lets only one of two concurrent decisions through', async () => {
+            const { approval_id: approvalId } = await enqueueTask(USER_ID, 'agent-free', { title: 'Sort inbox', type: 'email', priority: 4 });
+
+            const results = await Promise.allSettled([
+                resolveApproval(USER_ID, approvalId, { status: 'approved' }),
+                resolveApproval(USER_ID, approvalId, { status: 'rejected' })
+            ]);
+
+            expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+            expect(results[1].reason).toMatchObject({ status: 409 });
+            expect(fake.tables.approvals_queue.find(a => a.id === approvalId).status).toBe('approved');
+            expect(fake.tables.approval_history.filter(h => h.approval_id === approvalId).map(h => h.action_taken)).toEqual(['approved', 'executed']);
+        });
+
+        test('resolveApproval validates the decision', async () => {
+            await expect(resolveApproval(USER_ID, 'missing', { status: 'maybe' })).rejects.toMatchObject({ status: 400 });
+            await expect(resolveApproval(USER_ID, 'missing', { status: 'approved' })).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('updateAgentTask moves a task to a less loaded agent, but not to a busier one', async () => {
+            await expect(updateAgentTask(USER_ID, 'agent-free', 'task-2', { reassign_to_agent: 'agent-busy' }))
+                .rejects.toMatchObject({ status: 400, message: 'Reassignment not recommended' });
+
+            const { task } = await updateAgentTask(USER_ID, 'agent-busy', 'task-2', { reassign_to_agent: 'agent-free' });
+
+            expect(task.agent_id).toBe('agent-free');
+            expect(fake.tables.agent_tasks.find(t => t.id === 'task-2').agent_id).toBe('agent-free');
+        });
+
+        test('bulkUpdateAgentStatus refuses agents owned by another user', async () => {
+            const attempt = bulkUpdateAgentStatus(USER_ID, [
+                { agent_id: 'agent-free', status: 'offline' },
+                { agent_id: 'agent-other', status: 'offline' }
+            ]);
+
+            await expect(attempt).rejects.toMatchObject({ status: 403 });
+            expect(fake.tables.agent_status.map(s => s.status)).toEqual(['busy', 'idle', 'idle']);
+        });
+
+        test('bulkUpdateConversations only touches the agent\'s own conversations', async () => {
+            fake.tables.agent_conversations = [
+                { id: 'conv-1', agent_id: 'agent-free', sentiment: 'neutral' },
+                { id: 'conv-2', agent_id: 'agent-busy', sentiment: 'neutral' }
+            ];
+
+            await expect(bulkUpdateConversations(USER_ID, 'agent-free', { operation: 'update_sentiment', conversation_ids: ['conv-1'] }))
+                .rejects.toMatchObject({ status: 400 });
+
+            const result = await bulkUpdateConversations(USER_ID, 'agent-free', {
+                operation: 'update_sentiment',
+                conversation_ids: ['conv-1', 'conv-2'],
+                data: { sentiment: 'positive' }
+            });
+
+            expect(result.affected_count).toBe(1);
+            expect(fake.tables.agent_conversations.map(c => c.sentiment)).toEqual(['positive', 'neutral']);
+        });
+
+        test('approval stats count executions apart from decisions', async () => {
+            fake.tables.approval_history = [
+                { user_id: USER_ID, action_taken: 'approved', processing_time_ms: 100 },
+                { user_id: USER_ID, action_taken: 'rejected', processing_time_ms: 300 },
+                { user_id: USER_ID, action_taken: 'executed' }
+            ];
+
+            const stats = await getApprovalStats(USER_ID);
+
+            expect(stats).toMatchObject({
+                total_approvals: 2,
+                executed_count: 1,
+                approval_rate: 50,
+                average_processing_time_ms: 200,
+                action_type_distribution: { approved: 1, rejected: 1 }
+            });
+        });
+    });
+});
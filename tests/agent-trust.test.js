@@ -0,0 +1,127 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { computeTrust, getTrustScore, withTrustScore, recordAgentFeedback } = require('../services/agents/trust');
+const { assessActionRisk, explainAgentTrust } = require('../services/agents/approvals');
+
+const USER_ID = 'user-1';
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Approved-and-executed outcomes, one a day
+const goodRun = (count, startDaysAgo = 1) => Array.from({ length: count }, (_, i) => [
+    { source: 'approval_history', event: 'approved', at: daysAgo(startDaysAgo + i) },
+    { source: 'approval_history', event: 'executed', at: daysAgo(startDaysAgo + i) }
+]).flat();
+
+describe('Agent trust', () => {
+    describe('computeTrust', () => {
+        test('starts neutral and grows with good outcomes', () => {
+            expect(computeTrust([], NOW)).toMatchObject({ score: 0.5, evidence: 0, penalty: null, factors: [] });
+
+            const trusted = computeTrust(goodRun(10), NOW);
+            expect(trusted.score).toBeGreaterThan(0.8);
+            expect(trusted.factors[0]).toMatchObject({ source: 'approval_history', event: 'approved', count: 10 });
+        });
+
+        test('old evidence counts for less', () => {
+            const recent = computeTrust(goodRun(5, 1), NOW);
+            const old = computeTrust(goodRun(5, 90), NOW);
+            expect(old.score).toBeLessThan(recent.score);
+            expect(old.score).toBeGreaterThan(0.5);
+        });
+
+        test('a rejection or revert drops the score sharply, then it recovers', () => {
+            const history = goodRun(20);
+            const before = computeTrust(history, NOW).score;
+
+            const rejected = computeTrust([...history, { source: 'approval_history', event: 'rejected', at: daysAgo(0) }], NOW);
+            expect(before).toBeGreaterThan(0.9);
+            expect(rejected.score).toBeLessThan(0.4);
+            expect(rejected.penalty).toMatchObject({ event: 'rejected', multiplier: 0.4 });
+
+            const reverted = computeTrust([...history, { source: 'approval_history', event: 'reverted', at: daysAgo(14) }], NOW);
+            expect(reverted.penalty.multiplier).toBeGreaterThan(0.95);
+            expect(reverted.score).toBeGreaterThan(0.75);
+            expect(reverted.score).toBeLessThan(before);
+        });
+    });
+
+    describe('scores from stored history', () => {
+        let fake;
+
+        beforeEach(() => {
+            const approvals = [];
+            const history = [];
+            for (let i = 0; i < 8; i++) {
+                approvals.push({ id: `approval-${i}`, agent_id: 'agent-1', user_id: USER_ID, action_type: 'task_creation' });
+                history.push(
+                    { approval_id: `approval-${i}`, agent_id: 'agent-1', action_taken: 'approved', created_at: daysAgo(i + 1) },
+                    { approval_id: `approval-${i}`, agent_id: 'agent-1', action_taken: 'executed', created_at: daysAgo(i + 1) }
+                );
+            }
+            approvals.push({ id: 'approval-email', agent_id: 'agent-1', user_id: USER_ID, action_type: 'email_send' });
+            history.push({ approval_id: 'approval-email', agent_id: 'agent-1', action_taken: 'rejected', created_at: daysAgo(1) });
+
+            fake = createFakeSupabase({
+                agents: [
+                    { id: 'agent-1', user_id: USER_ID, name: 'Helper', type: 'general' },
+                    { id: 'agent-2', user_id: 'user-2', name: 'Not yours', type: 'general' }
+                ],
+                approvals_queue: approvals,
+                approval_history: history,
+                agent_tasks: [
+                    { id: 'atask-1', agent_id: 'agent-1', status: 'completed', completed_at: daysAgo(2), updated_at: daysAgo(2) },
+                    { id: 'atask-2', agent_id: 'agent-1', status: 'in_progress', updated_at: daysAgo(1) }
+                ],
+                agent_feedback: []
+            });
+            supabase.from.mockImplementation(fake.from);
+        });
+
+        test('each action type is scored from its own history', async () => {
+            const tasks = await getTrustScore('agent-1', 'task_creation', fake, NOW);
+            const email = await getTrustScore('agent-1', 'email_send', fake, NOW);
+
+            expect(tasks.evidence).toBe(17); // 16 history rows and one completed task
+            expect(tasks.score).toBeGreaterThan(0.8);
+            expect(email.penalty.event).toBe('rejected');
+            expect(email.score).toBeLessThan(0.3);
+        });
+
+        test('assessActionRisk auto-approves only above the template threshold', async () => {
+            const agent = await withTrustScore({ id: 'agent-1' }, 'task_creation', fake);
+            const assessment = assessActionRisk('task_creation', { priority: 4 }, agent);
+
+            expect(assessment.requires_approval).toBe(false);
+            expect(assessment.trust_score).toBe(agent.trust_score);
+
+            const mailer = await withTrustScore({ id: 'agent-1' }, 'email_send', fake);
+            expect(assessActionRisk('email_send', {}, mailer).requires_approval).toBe(true);
+        });
+
+        test('negative feedback lowers the score', async () => {
+            const before = (await getTrustScore('agent-1', 'task_creation', fake)).score;
+
+            await recordAgentFeedback(USER_ID, 'agent-1', { rating: -1, action_type: 'task_creation' }, fake);
+            await recordAgentFeedback(USER_ID, 'agent-1', { rating: -1 }, fake);
+
+            expect((await getTrustScore('agent-1', 'task_creation', fake)).score).toBeLessThan(before);
+            await expect(recordAgentFeedback(USER_ID, 'agent-1', { rating: 5 }, fake)).rejects.toMatchObject({ status: 400 });
+            await expect(recordAgentFeedback(USER_ID, 'agent-2', { rating: 1 }, fake)).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('explains why the agent is or isn\'t trusted', async () => {
+            const { trust } = await explainAgentTrust(USER_ID, 'agent-1');
+            const byType = Object.fromEntries(trust.map(entry => [entry.action_type, entry]));
+
+            expect(byType.task_creation).toMatchObject({ threshold: 0.8, auto_approved: true });
+            expect(byType.email_send.summary).toMatch(/^Not trusted: a recent rejected action lowered the score/);
+            expect(byType.project_modification.summary).toMatch(/is below the auto-approval threshold of 0.95$/);
+            expect(byType.data_deletion.summary).toBe('data_deletion always needs your approval, whatever the trust score');
+
+            await expect(explainAgentTrust(USER_ID, 'agent-2')).rejects.toMatchObject({ status: 404 });
+            await expect(explainAgentTrust(USER_ID, 'agent-1', 'launch_rockets')).rejects.toMatchObject({ status: 400 });
+        });
+    });
+});
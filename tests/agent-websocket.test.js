@@ -0,0 +1,237 @@
+const http = require('http');
+const WebSocket = require('ws');
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { initializeWebSocketServer, broadcastWebSocketUpdate } = require('../services/agents/websocket');
+
+// Build an unsigned JWT-shaped token; the mocked auth client decides who it belongs to
+function makeToken(name, expiresInSeconds = 3600) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${encode({ alg: 'HS256' })}.${encode({ sub: name, exp })}.signature`;
+}
+
+const USERS = {};
+
+function registerUser(userId, expiresInSeconds) {
+    const token = makeToken(userId, expiresInSeconds);
+    USERS[token] = { id: userId, email: `${userId}@example.com`, user_metadata: {} };
+    return token;
+}
+
+// Open a client and buffer every message it receives
+function connect(port, { token, query = '', viaQuery = false } = {}) {
+    const params = new URLSearchParams(query);
+    if (token && viaQuery) params.set('access_token', token);
+    const headers = token && !viaQuery ? { Authorization: `Bearer ${token}` } : {};
+
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/api/agents/ws?${params}`, { headers });
+    ws.messages = [];
+    ws.waiters = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data.toString());
+        ws.messages.push(message);
+        ws.waiters = ws.waiters.filter(waiter => !waiter(message));
+    });
+    return ws;
+}
+
+function nextMessage(ws, type) {
+    const existing = ws.messages.find(message => message.type === type);
+    if (existing) {
+        ws.messages.splice(ws.messages.indexOf(existing), 1);
+        return Promise.resolve(existing);
+    }
+    return new Promise(resolve => {
+        ws.waiters.push(message => {
+            if (message.type !== type) return false;
+            ws.messages.splice(ws.messages.indexOf(message), 1);
+            resolve(message);
+            return true;
+        });
+    });
+}
+
+function rejectedStatus(ws) {
+    return new Promise(resolve => {
+        ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.on('error', () => {});
+    });
+}
+
+function closed(ws) {
+    return new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+}
+
+describe('Agent WebSocket authentication', () => {
+    let server;
+    let wss;
+    let port;
+    let fake;
+    const clients = [];
+
+    const open = options => {
+        const ws = connect(port, options);
+        clients.push(ws);
+        return ws;
+    };
+
+    beforeAll(async () => {
+        supabase.auth = {
+            getUser: jest.fn(async token => USERS[token]
+                ? { data: { user: USERS[token] }, error: null }
+                : { data: { user: null }, error: { message: 'invalid JWT' } })
+        };
+
+        server = http.createServer();
+        wss = initializeWebSocketServer(server, { idleTimeoutMs: 2500, idleCheckIntervalMs: 50 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            agents: [
+                { id: 'agent-1', user_id: 'user-1', name: 'Mine' },
+                { id: 'agent-2', user_id: 'user-2', name: 'Theirs' }
+            ],
+            agent_status: [
+                { agent_id: 'agent-1', status: 'idle' },
+                { agent_id: 'agent-2', status: 'busy' }
+            ]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    afterEach(() => {
+        clients.splice(0).forEach(ws => ws.terminate());
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => wss.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('rejects handshakes without a token', async () => {
+        const status = await rejectedStatus(open({ query: 'user_id=user-1' }));
+        expect(status).toBe(401);
+    });
+
+    test('rejects tokens the auth client does not recognise', async () => {
+        const status = await rejectedStatus(open({ token: makeToken('stranger') }));
+        expect(status).toBe(401);
+    });
+
+    test('rejects expired tokens without calling the auth client', async () => {
+        supabase.auth.getUser.mockClear();
+        const status = await rejectedStatus(open({ token: registerUser('user-1', -60) }));
+
+        expect(status).toBe(401);
+        expect(supabase.auth.getUser).not.toHaveBeenCalled();
+    });
+
+    test('takes the user from the token, not the query string', async () => {
+        const ws = open({ token: registerUser('user-1'), query: 'user_id=user-2' });
+        const message = await nextMessage(ws, 'connection_established');
+
+        expect(message.user_id).toBe('user-1');
+        expect(message.token_expires_at).not.toBeNull();
+    });
+
+    test('accepts the token as an access_token query parameter', async () => {
+        const ws = open({ token: registerUser('user-1'), viaQuery: true });
+        const message = await nextMessage(ws, 'connection_established');
+        expect(message.user_id).toBe('user-1');
+    });
+
+    test('only allows subscribing to agents the user owns', async () => {
+        const ws = open({ token: registerUser('user-1') });
+        await nextMessage(ws, 'connection_established');
+
+        ws.send(JSON.stringify({ type: 'subscribe_agents', agent_ids: ['agent-2'] }));
+        expect((await nextMessage(ws, 'error')).error).toBe('Access denied to one or more agents');
+
+        ws.send(JSON.stringify({ type: 'subscribe_agents', agent_ids: ['agent-1'] }));
+        expect((await nextMessage(ws, 'subscription_success')).subscribed_agents).toEqual(['agent-1']);
+    });
+
+    test('checks agent_ids passed in the handshake', async () => {
+        const ws = open({ token: registerUser('user-1'), query: 'agent_ids=agent-2' });
+        expect((await nextMessage(ws, 'error')).error).toBe('Access denied to one or more agents');
+    });
+
+    test('only returns the status of agents the user owns', async () => {
+        const ws = open({ token: registerUser('user-1') });
+        await nextMessage(ws, 'connection_established');
+
+        ws.send(JSON.stringify({ type: 'get_status' }));
+        expect((await nextMessage(ws, 'status_data')).statuses.map(status => status.agent_id)).toEqual(['agent-1']);
+
+        ws.send(JSON.stringify({ type: 'get_status', agent_ids: ['agent-2'] }));
+        expect((await nextMessage(ws, 'status_data')).statuses).toEqual([]);
+
+        const stranger = open({ token: registerUser('user-3') });
+        await nextMessage(stranger, 'connection_established');
+        stranger.send(JSON.stringify({ type: 'get_status' }));
+        expect((await nextMessage(stranger, 'status_data')).statuses).toEqual([]);
+    });
+
+    test('does not broadcast one user\'s agents to another user', async () => {
+        const owner = open({ token: registerUser('user-1') });
+        const other = open({ token: registerUser('user-2') });
+        await nextMessage(owner, 'connection_established');
+        await nextMessage(other, 'connection_established');
+
+        await broadcastWebSocketUpdate('agent-1', { status: 'busy' });
+
+        expect((await nextMessage(owner, 'status_update')).agent_id).toBe('agent-1');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(other.messages.some(message => message.type === 'status_update')).toBe(false);
+    });
+
+    test('closes the connection when the token expires', async () => {
+        const ws = open({ token: registerUser('user-1', 2) });
+        await nextMessage(ws, 'connection_established');
+
+        const { code, reason } = await closed(ws);
+        expect(code).toBe(4003);
+        expect(reason).toBe('Token expired');
+    });
+
+    test('a refreshed token keeps the connection open', async () => {
+        const ws = open({ token: registerUser('user-1', 2) });
+        await nextMessage(ws, 'connection_established');
+
+        ws.send(JSON.stringify({ type: 'refresh_token', token: registerUser('user-2') }));
+        expect((await nextMessage(ws, 'error')).error).toBe('Invalid token for this connection');
+
+        ws.send(JSON.stringify({ type: 'refresh_token', token: registerUser('user-1') }));
+        await nextMessage(ws, 'token_refreshed');
+
+        // Keep the session active past the original expiry
+        for (let i = 0; i < 10; i++) {
+            await new Promise(resolve => setTimeout(resolve, 250));
+            ws.send(JSON.stringify({ type: 'ping' }));
+        }
+        expect(ws.readyState).toBe(WebSocket.OPEN);
+    });
+
+    test('expires idle sessions', async () => {
+        const ws = open({ token: registerUser('user-1') });
+        await nextMessage(ws, 'connection_established');
+
+        const { code } = await closed(ws);
+        expect(code).toBe(4002);
+    });
+
+    test('answering keep-alive pings does not keep an idle session open', async () => {
+        const ws = open({ token: registerUser('user-1') });
+        await nextMessage(ws, 'connection_established');
+
+        const pongs = setInterval(() => ws.send(JSON.stringify({ type: 'pong' })), 250);
+        const { code } = await closed(ws);
+        clearInterval(pongs);
+
+        expect(code).toBe(4002);
+    });
+});
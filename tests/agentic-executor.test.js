@@ -0,0 +1,189 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+    AgenticPlanner,
+    AgenticExecutor,
+    parseTimeConstraint,
+    parseMoneyConstraint,
+    buildStepGraph
+} = require('../services/agents');
+
+const USER_ID = 'user-1';
+
+// LLM stub that always answers with the given plan
+function stubLLM(steps) {
+    return { complete: jest.fn(async () => `Here is the plan:\n${JSON.stringify({ steps })}`) };
+}
+
+const diamondPlan = [
+    { id: 'research', title: 'Research venues', depends_on: [], estimated_cost: 10 },
+    { id: 'budget', title: 'Draft budget', depends_on: [], estimated_cost: 5 },
+    { id: 'book', title: 'Book venue', depends_on: ['research', 'budget'], estimated_cost: 100 }
+];
+
+describe('Agentic execution', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase();
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const goalRow = () => fake.tables.agentic_tasks[0];
+    const stepTask = stepId => fake.tables.agent_tasks.find(task => JSON.parse(task.parameters).step_id === stepId);
+    const completeStep = (stepId, result = {}) => {
+        const task = stepTask(stepId);
+        task.status = 'completed';
+        task.result = JSON.stringify(result);
+    };
+
+    describe('Planning helpers', () => {
+        test('parses time constraints into deadlines', () => {
+            const now = new Date('2026-01-01T00:00:00Z');
+            expect(parseTimeConstraint('3 days', now).toISOString()).toBe('2026-01-04T00:00:00.000Z');
+            expect(parseTimeConstraint('48h', now).toISOString()).toBe('2026-01-03T00:00:00.000Z');
+            expect(parseTimeConstraint('by 2026-02-01', now).toISOString()).toBe('2026-02-01T00:00:00.000Z');
+            expect(parseTimeConstraint('whenever', now)).toBeNull();
+        });
+
+        test('parses money constraints into amounts', () => {
+            expect(parseMoneyConstraint('$500')).toBe(500);
+            expect(parseMoneyConstraint('under 1,200 USD')).toBe(1200);
+            expect(parseMoneyConstraint('2k')).toBe(2000);
+            expect(parseMoneyConstraint('no budget')).toBeNull();
+        });
+
+        test('orders steps topologically and rejects cycles', () => {
+            const steps = [
+                { id: 'c', depends_on: ['a', 'b'] },
+                { id: 'a', depends_on: [] },
+                { id: 'b', depends_on: ['a'] }
+            ];
+            expect(buildStepGraph(steps).map(step => step.id)).toEqual(['a', 'b', 'c']);
+            expect(() => buildStepGraph([{ id: 'a', depends_on: ['b'] }, { id: 'b', depends_on: ['a'] }]))
+                .toThrow('cycle');
+        });
+
+        test('falls back to the step description when the LLM plan is cyclic', async () => {
+            const planner = new AgenticPlanner({
+                llm: stubLLM([{ id: 'a', depends_on: ['b'] }, { id: 'b', depends_on: ['a'] }])
+            });
+
+            const plan = await planner.plan({ end_goal: 'Launch site', steps_description: '1. Design\n2. Build\n3. Ship' });
+
+            expect(plan.source).toBe('description');
+            expect(plan.steps.map(step => step.title)).toEqual(['Design', 'Build', 'Ship']);
+            expect(plan.steps[2].depends_on).toEqual(['step_2']);
+        });
+    });
+
+    describe('AgenticExecutor', () => {
+        test('spawns agents and runs the step DAG to completion', async () => {
+            const llm = stubLLM(diamondPlan);
+            const executor = new AgenticExecutor({ planner: new AgenticPlanner({ llm }) });
+
+            const goal = await executor.start(USER_ID, {
+                endGoal: 'Organise the team offsite',
+                agentsRequested: 2,
+                pmAgentRequested: true,
+                moneyConstraint: '$500'
+            });
+
+            expect(llm.complete).toHaveBeenCalledTimes(1);
+            expect(goal.status).toBe('running');
+            expect(goal.state.agent_ids).toHaveLength(2);
+            expect(fake.tables.agents.find(agent => agent.id === goal.state.pm_agent_id).type).toBe('project_manager');
+
+            // Independent steps are dispatched together; the dependent one waits
+            expect(goal.state.steps.research.status).toBe('dispatched');
+            expect(goal.state.steps.budget.status).toBe('dispatched');
+            expect(goal.state.steps.book.status).toBe('pending');
+            expect(Number(goal.spent_amount)).toBe(15);
+
+            completeStep('research');
+            completeStep('budget', { cost: 2 });
+            let updated = await executor.advance(goal.id);
+            expect(updated.state.steps.book.status).toBe('dispatched');
+            expect(updated.progress).toBe(67);
+            expect(Number(updated.spent_amount)).toBe(112);
+
+            completeStep('book');
+            updated = await executor.advance(goal.id);
+            expect(updated.status).toBe('completed');
+            expect(updated.progress).toBe(100);
+        });
+
+        test('stops before a step would exceed the money budget', async () => {
+            const executor = new AgenticExecutor({ planner: new AgenticPlanner({ llm: stubLLM(diamondPlan) }) });
+
+            const goal = await executor.start(USER_ID, { endGoal: 'Offsite', moneyConstraint: '$50' });
+            completeStep('research');
+            completeStep('budget');
+
+            const updated = await executor.advance(goal.id);
+            expect(updated.status).toBe('over_budget');
+            expect(updated.error_message).toContain('Book venue');
+            expect(stepTask('book')).toBeUndefined();
+        });
+
+        test('times out once the time budget has passed', async () => {
+            let now = new Date('2026-01-01T00:00:00Z');
+            const executor = new AgenticExecutor({
+                planner: new AgenticPlanner({ llm: stubLLM(diamondPlan) }),
+                now: () => now
+            });
+
+            const goal = await executor.start(USER_ID, { endGoal: 'Offsite', timeConstraint: '2 hours' });
+            expect(goal.deadline_at).toBe('2026-01-01T02:00:00.000Z');
+
+            now = new Date('2026-01-01T03:00:00Z');
+            const updated = await executor.advance(goal.id);
+            expect(updated.status).toBe('timed_out');
+        });
+
+        test('fails the goal when a step fails', async () => {
+            const executor = new AgenticExecutor({ planner: new AgenticPlanner({ llm: stubLLM(diamondPlan) }) });
+
+            const goal = await executor.start(USER_ID, { endGoal: 'Offsite' });
+            const task = stepTask('research');
+            task.status = 'failed';
+            task.error_message = 'Venue site down';
+
+            const updated = await executor.advance(goal.id);
+            expect(updated.status).toBe('failed');
+            expect(updated.error_message).toContain('Venue site down');
+        });
+
+        test('resumes goals that were in flight when the server stopped', async () => {
+            fake.tables.agentic_tasks = [{
+                id: 'goal-1',
+                user_id: USER_ID,
+                end_goal: 'Write the newsletter',
+                steps_description: 'Collect links\nWrite draft',
+                agents_requested: 1,
+                pm_agent_requested: false,
+                spent_amount: 0,
+                state: { steps: {}, agent_ids: [], pm_agent_id: null },
+                status: 'planning'
+            }];
+
+            // A fresh executor, as after a restart, without an LLM
+            const executor = new AgenticExecutor({ planner: new AgenticPlanner({ llm: null }) });
+            await executor.resumeInFlight();
+
+            expect(goalRow().status).toBe('running');
+            expect(goalRow().state.agent_ids).toHaveLength(1);
+            expect(goalRow().state.steps.step_1.status).toBe('dispatched');
+
+            completeStep('step_1');
+            await new AgenticExecutor({ planner: new AgenticPlanner({ llm: null }) }).resumeInFlight();
+            expect(goalRow().state.steps.step_2.status).toBe('dispatched');
+            expect(fake.tables.agents).toHaveLength(1);
+        });
+
+        test('requires an end goal', async () => {
+            const executor = new AgenticExecutor({ planner: new AgenticPlanner({ llm: null }) });
+            await expect(executor.start(USER_ID, {})).rejects.toMatchObject({ status: 400 });
+        });
+    });
+});
@@ -0,0 +1,229 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockSendMessage = jest.fn();
+jest.mock('../services/messageRouter', () => jest.fn().mockImplementation(() => ({ sendMessage: mockSendMessage })));
+
+const { executeApprovedAction, revertApprovedAction, sendScheduledMessages, ApprovalRevertError } = require('../services/agents/approvalExecutors');
+const { resolveApproval, revertApproval } = require('../services/agents/approvals');
+
+const USER_ID = 'user-1';
+
+describe('Approval executors', () => {
+    let fake;
+
+    beforeEach(() => {
+        mockSendMessage.mockReset();
+        fake = createFakeSupabase({
+            users: [{ id: USER_ID, timezone: 'UTC' }],
+            agents: [{ id: 'agent-1', user_id: USER_ID, name: 'Helper', type: 'general', model: 'gpt-4', is_active: true }],
+            projects: [{ id: 'project-1', user_id: USER_ID, title: 'Garden', priority: 3, status: 'active' }],
+            tasks: [
+                { id: 'task-1', user_id: USER_ID, title: 'Buy seeds', status: 'pending' },
+                { id: 'task-2', user_id: 'user-2', title: 'Not yours', status: 'pending' }
+            ]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    // An approved approvals_queue row for the action
+    const approve = (actionType, actionData) => {
+        const approval = {
+            id: `approval-${fake.tables.approvals_queue?.length || 0}`,
+            agent_id: 'agent-1',
+            user_id: USER_ID,
+            action_type: actionType,
+            action_data: JSON.stringify(actionData),
+            risk_level: 'high',
+            priority: 2,
+            status: 'approved'
+        };
+        fake.tables.approvals_queue = [...(fake.tables.approvals_queue || []), approval];
+        return approval;
+    };
+
+    const history = approvalId => fake.tables.approval_history.filter(row => row.approval_id === approvalId);
+
+    test('applies project changes once and records the result', async () => {
+        const approval = approve('project_modification', { project_id: 'project-1', changes: { title: 'Vegetable garden', priority: 1 } });
+
+        const outcome = await executeApprovedAction(approval, fake);
+
+        expect(outcome).toEqual({
+            status: 'executed',
+            result: {
+                project_id: 'project-1',
+                before: { title: 'Garden', priority: 3 },
+                after: { title: 'Vegetable garden', priority: 1 }
+            },
+            compensation: { action: 'restore_project', params: { project_id: 'project-1', fields: ['title', 'priority'] } }
+        });
+        expect(fake.tables.projects[0]).toMatchObject({ title: 'Vegetable garden', priority: 1 });
+        expect(fake.tables.approvals_queue[0]).toMatchObject({ status: 'approved', execution_status: 'executed', execution_result: outcome.result });
+        expect(history(approval.id)).toEqual([expect.objectContaining({ action_taken: 'executed', execution_result: outcome.result })]);
+
+        // Running it again returns the stored outcome without acting twice
+        fake.tables.projects[0].title = 'Renamed by the user';
+        expect(await executeApprovedAction(approval, fake)).toMatchObject({ status: 'executed', already_executed: true, result: outcome.result });
+        expect(fake.tables.projects[0].title).toBe('Renamed by the user');
+        expect(history(approval.id)).toHaveLength(1);
+    });
+
+    test('sends email through the message router and fails the approval when sending fails', async () => {
+        mockSendMessage.mockResolvedValueOnce({ success: true, messageId: 'msg-1', externalId: 'gm-1' });
+        const sent = approve('email_send', { to: 'sam@example.com', subject: 'Hello', body: 'Hi Sam' });
+
+        expect(await executeApprovedAction(sent, fake)).toMatchObject({
+            status: 'executed',
+            result: { platform: 'gmail', to: 'sam@example.com', external_id: 'gm-1' }
+        });
+        expect(mockSendMessage).toHaveBeenCalledWith(USER_ID, 'gmail', expect.objectContaining({
+            recipientIdentifier: 'sam@example.com',
+            subject: 'Hello',
+            content: 'Hi Sam'
+        }));
+
+        mockSendMessage.mockResolvedValueOnce({ success: false, error: 'No active connection for gmail' });
+        const failed = approve('email_send', { to: 'sam@example.com', body: 'Hi again' });
+
+        expect(await executeApprovedAction(failed, fake)).toEqual({ status: 'failed', error: 'No active connection for gmail' });
+        expect(fake.tables.approvals_queue[1]).toMatchObject({
+            status: 'failed',
+            execution_status: 'failed',
+            failure_reason: 'No active connection for gmail'
+        });
+        expect(history(failed.id)).toEqual([expect.objectContaining({ action_taken: 'execution_failed', decision_reason: 'No active connection for gmail' })]);
+    });
+
+    test('only changes whitelisted, valid settings', async () => {
+        const denied = approve('system_configuration', { settings: { timezone: 'Europe/Lisbon', password_hash: 'x' } });
+        expect(await executeApprovedAction(denied, fake)).toMatchObject({ status: 'failed', error: 'Setting "password_hash" cannot be changed by agents' });
+        expect(fake.tables.users[0].timezone).toBe('UTC');
+
+        const invalid = approve('system_configuration', { settings: { timezone: 'Mars/Olympus' } });
+        expect(await executeApprovedAction(invalid, fake)).toMatchObject({ status: 'failed', error: 'Setting "timezone" must be an IANA time zone' });
+
+        const allowed = approve('system_configuration', { settings: { timezone: 'Europe/Lisbon', agent_model: 'gpt-4o' } });
+        expect(await executeApprovedAction(allowed, fake)).toEqual({
+            status: 'executed',
+            result: { settings: { timezone: { from: 'UTC', to: 'Europe/Lisbon' }, agent_model: { from: 'gpt-4', to: 'gpt-4o' } } },
+            compensation: { action: 'restore_settings', params: { settings: { timezone: 'UTC', agent_model: 'gpt-4' } } }
+        });
+        expect(fake.tables.users[0].timezone).toBe('Europe/Lisbon');
+        expect(fake.tables.agents[0].model).toBe('gpt-4o');
+    });
+
+    test('soft-deletes the user\'s rows after snapshotting them', async () => {
+        const approval = approve('data_deletion', { resource_type: 'tasks', ids: ['task-1'] });
+
+        expect(await executeApprovedAction(approval, fake)).toMatchObject({ status: 'executed', result: { deleted: ['task-1'], already_deleted: [] } });
+        expect(fake.tables.tasks[0].deleted_at).toEqual(expect.any(String));
+        expect(fake.tables.approval_snapshots).toEqual([expect.objectContaining({
+            approval_id: approval.id,
+            resource_type: 'tasks',
+            resource_id: 'task-1',
+            snapshot: { id: 'task-1', user_id: USER_ID, title: 'Buy seeds', status: 'pending' }
+        })]);
+
+        // A second deletion of the same row takes no new snapshot
+        const again = approve('data_deletion', { resource_type: 'tasks', ids: ['task-1'] });
+        expect(await executeApprovedAction(again, fake)).toMatchObject({ result: { deleted: [], already_deleted: ['task-1'] } });
+        expect(fake.tables.approval_snapshots).toHaveLength(1);
+
+        const others = approve('data_deletion', { resource_type: 'tasks', ids: ['task-2'] });
+        expect(await executeApprovedAction(others, fake)).toMatchObject({ status: 'failed', error: 'Records not found: task-2' });
+        const users = approve('data_deletion', { resource_type: 'users', ids: [USER_ID] });
+        expect(await executeApprovedAction(users, fake)).toMatchObject({ status: 'failed', error: 'Agents cannot delete from "users"' });
+    });
+
+    test('resolveApproval reports how the approved action went', async () => {
+        const approval = approve('project_modification', { project_id: 'missing', changes: { title: 'x' } });
+        approval.status = 'pending';
+        approval.created_at = new Date().toISOString();
+
+        const result = await resolveApproval(USER_ID, approval.id, { status: 'approved' });
+
+        expect(result.execution).toEqual({ status: 'failed', error: 'Project not found' });
+        expect(result.approval).toMatchObject({ status: 'failed', failure_reason: 'Project not found' });
+        expect(history(approval.id).map(row => row.action_taken)).toEqual(['approved', 'execution_failed']);
+    });
+
+    test('undoes project changes and deletions from their snapshots', async () => {
+        const modified = approve('project_modification', { project_id: 'project-1', changes: { title: 'Vegetable garden' } });
+        await executeApprovedAction(modified, fake);
+
+        expect(await revertApprovedAction(fake.tables.approvals_queue[0], fake)).toEqual({ project_id: 'project-1', restored: { title: 'Garden' } });
+        expect(fake.tables.projects[0]).toMatchObject({ title: 'Garden', priority: 3 });
+        expect(fake.tables.approvals_queue[0]).toMatchObject({ execution_status: 'reverted', reverted_at: expect.any(String) });
+
+        // Only once
+        await expect(revertApprovedAction(fake.tables.approvals_queue[0], fake)).rejects.toThrow(ApprovalRevertError);
+
+        const deleted = approve('data_deletion', { resource_type: 'tasks', ids: ['task-1'] });
+        await executeApprovedAction(deleted, fake);
+        expect(await revertApprovedAction(fake.tables.approvals_queue[1], fake)).toEqual({ resource_type: 'tasks', restored: ['task-1'] });
+        expect(fake.tables.tasks[0].deleted_at).toBeNull();
+    });
+
+    test('removes an approved agent task only until the agent starts it', async () => {
+        fake.tables.agent_tasks = [
+            { id: 'atask-1', agent_id: 'agent-1', user_id: USER_ID, approval_id: 'approval-0', status: 'pending_approval' },
+            { id: 'atask-2', agent_id: 'agent-1', user_id: USER_ID, approval_id: 'approval-1', status: 'pending_approval' }
+        ];
+        const first = approve('task_creation', { title: 'Research' });
+        const second = approve('task_creation', { title: 'Draft' });
+        await executeApprovedAction(first, fake);
+        await executeApprovedAction(second, fake);
+
+        expect(await revertApprovedAction(fake.tables.approvals_queue[0], fake)).toEqual({ deleted_task_ids: ['atask-1'] });
+        expect(fake.tables.agent_tasks.map(task => task.id)).toEqual(['atask-2']);
+
+        fake.tables.agent_tasks[0].status = 'in_progress';
+        await expect(revertApprovedAction(fake.tables.approvals_queue[1], fake)).rejects.toThrow('The agent has already started this task');
+        expect(fake.tables.agent_tasks).toHaveLength(1);
+        expect(fake.tables.approvals_queue[1].execution_status).toBe('executed');
+    });
+
+    test('recalls a scheduled email until it goes out', async () => {
+        const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const recalled = approve('email_send', { to: 'sam@example.com', body: 'Hi Sam', send_at: sendAt });
+        const kept = approve('email_send', { to: 'sam@example.com', body: 'Hi again', send_at: sendAt });
+
+        expect(await executeApprovedAction(recalled, fake)).toMatchObject({ result: { scheduled_message_id: fake.tables.outbound_messages[0].id, send_at: sendAt } });
+        await executeApprovedAction(kept, fake);
+        expect(mockSendMessage).not.toHaveBeenCalled();
+
+        await revertApprovedAction(fake.tables.approvals_queue[0], fake);
+        expect(fake.tables.outbound_messages[0].status).toBe('cancelled');
+
+        mockSendMessage.mockResolvedValueOnce({ success: true, externalId: 'gm-2' });
+        expect(await sendScheduledMessages(fake, new Date(Date.now() + 2 * 60 * 60 * 1000))).toBe(1);
+        expect(mockSendMessage).toHaveBeenCalledTimes(1);
+        expect(fake.tables.outbound_messages[1]).toMatchObject({ status: 'sent', external_id: 'gm-2' });
+
+        await expect(revertApprovedAction(fake.tables.approvals_queue[1], fake)).rejects.toThrow('The email has already been sent');
+    });
+
+    test('revertApproval records the undo and enforces the revert window', async () => {
+        const approval = approve('project_modification', { project_id: 'project-1', changes: { priority: 1 } });
+        await executeApprovedAction(approval, fake);
+
+        const { approval: reverted, result } = await revertApproval(USER_ID, approval.id, { reason: 'Changed my mind' });
+
+        expect(result).toEqual({ project_id: 'project-1', restored: { priority: 3 } });
+        expect(reverted.execution_status).toBe('reverted');
+        expect(history(approval.id)).toEqual([
+            expect.objectContaining({ action_taken: 'executed' }),
+            expect.objectContaining({ action_taken: 'reverted', decision_reason: 'Changed my mind', execution_result: result })
+        ]);
+        await expect(revertApproval(USER_ID, approval.id)).rejects.toMatchObject({ status: 409 });
+        await expect(revertApproval('user-2', approval.id)).rejects.toMatchObject({ status: 404 });
+
+        const late = approve('project_modification', { project_id: 'project-1', changes: { priority: 5 } });
+        await executeApprovedAction(late, fake);
+        fake.tables.approvals_queue[1].executed_at = new Date(Date.now() - 73 * 60 * 60 * 1000).toISOString();
+
+        await expect(revertApproval(USER_ID, late.id)).rejects.toMatchObject({ status: 409, message: 'The window for undoing this action has passed' });
+        expect(fake.tables.projects[0].priority).toBe(5);
+    });
+});
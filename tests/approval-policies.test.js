@@ -0,0 +1,206 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+    validateApprovalPolicy,
+    evaluateApprovalPolicies,
+    createApprovalPolicy,
+    updateApprovalPolicy,
+    deleteApprovalPolicy,
+    loadApprovalPolicies
+} = require('../services/agents/approvalPolicies');
+const { assessActionRisk } = require('../services/agents/approvals');
+const { enqueueTask } = require('../services/agents/tasks');
+
+const USER_ID = 'user-1';
+
+// 10:00 on a Monday in UTC
+const MONDAY_MORNING = new Date('2026-10-19T10:00:00Z');
+
+const policy = (fields) => ({ id: `policy-${fields.name}`, is_active: true, conditions: {}, ...fields });
+
+describe('Approval policies', () => {
+    describe('validation', () => {
+        test('normalises a valid policy', () => {
+            expect(validateApprovalPolicy({
+                name: ' Known contacts ',
+                action_type: 'email_send',
+                effect: 'auto_approve',
+                conditions: { recipients: { list: ['Sam@Example.com', '@mycompany.com'] } }
+            })).toEqual({
+                name: 'Known contacts',
+                description: null,
+                action_type: 'email_send',
+                agent_id: null,
+                effect: 'auto_approve',
+                conditions: { recipients: { list: ['sam@example.com', '@mycompany.com'], match: 'all_listed' } },
+                is_active: true
+            });
+        });
+
+        test('lists every problem with an invalid policy', () => {
+            let caught;
+            try {
+                validateApprovalPolicy({
+                    name: '',
+                    action_type: 'task_creation',
+                    effect: 'sometimes',
+                    conditions: {
+                        recipients: { list: ['not-an-address'] },
+                        amount: { min: 10, max: 5 },
+                        time_window: { start: '25:00', end: '07:00', days: ['Monday'] },
+                        weather: 'sunny'
+                    }
+                });
+            } catch (error) {
+                caught = error;
+            }
+
+            expect(caught).toMatchObject({ name: 'AgentRuntimeError', status: 400 });
+            expect(caught.details.errors).toEqual([
+                'name is required',
+                'effect must be one of: never_allow, always_ask, auto_approve',
+                'Unknown condition: weather',
+                'Recipient conditions only apply to email_send policies',
+                'recipients.list entries must be addresses (sam@example.com) or domains (@example.com)',
+                'amount min cannot be greater than max',
+                'time_window start and end must be HH:MM',
+                'time_window days must be a list of MO, TU, WE, TH, FR, SA, SU'
+            ]);
+        });
+
+        test('refuses to auto-approve what the templates never auto-approve', () => {
+            expect(() => validateApprovalPolicy({ name: 'Yolo', action_type: 'data_deletion', effect: 'auto_approve' }))
+                .toThrow(expect.objectContaining({ details: { errors: ['data_deletion actions can never be auto-approved'] } }));
+            expect(() => validateApprovalPolicy({ name: 'Everything', effect: 'auto_approve' }))
+                .toThrow(expect.objectContaining({ details: { errors: ['Auto-approve policies must name an action type'] } }));
+        });
+    });
+
+    describe('evaluation', () => {
+        const whitelist = policy({
+            name: 'Known contacts',
+            action_type: 'email_send',
+            effect: 'auto_approve',
+            conditions: { recipients: { list: ['sam@example.com', '@mycompany.com'], match: 'all_listed' } }
+        });
+        const nightly = policy({
+            name: 'Not at night',
+            action_type: 'email_send',
+            effect: 'never_allow',
+            conditions: { time_window: { start: '22:00', end: '07:00', timezone: 'America/New_York' } }
+        });
+        const bigSpend = policy({
+            name: 'Big spend',
+            effect: 'always_ask',
+            conditions: { amount: { min: 100 } }
+        });
+
+        test('auto-approves email to whitelisted recipients only', () => {
+            const listed = assessActionRisk('email_send', { to: 'Sam <sam@example.com>, ana@mycompany.com' }, {}, { policies: [whitelist] });
+            expect(listed).toMatchObject({
+                requires_approval: false,
+                blocked: false,
+                policy: { id: 'policy-Known contacts', effect: 'auto_approve' },
+                reason: 'Auto-approved by your policy "Known contacts"'
+            });
+
+            const unlisted = assessActionRisk('email_send', { to: 'sam@example.com, eve@elsewhere.com' }, {}, { policies: [whitelist] });
+            expect(unlisted.requires_approval).toBe(true);
+            expect(unlisted.policy).toBeNull();
+            expect(unlisted.policy_trace[0].checks).toEqual([
+                { rule: 'action type is email_send', passed: true },
+                { rule: 'any agent', passed: true },
+                { rule: 'every recipient is on the list (sam@example.com, eve@elsewhere.com)', passed: false }
+            ]);
+        });
+
+        test('the most restrictive matching policy wins, whatever the trust score', () => {
+            const at = new Date('2026-10-19T03:30:00Z'); // 23:30 in New York
+            const assessment = assessActionRisk('email_send', { to: 'sam@example.com' }, { trust_score: 0.99 }, {
+                policies: [whitelist, nightly],
+                now: at
+            });
+
+            expect(assessment).toMatchObject({ blocked: true, requires_approval: true, reason: 'Not allowed by your policy "Not at night"' });
+            expect(assessment.policy_trace.map(entry => entry.matched)).toEqual([true, true]);
+
+            const daytime = assessActionRisk('email_send', { to: 'eve@elsewhere.com' }, { trust_score: 0.99 }, {
+                policies: [whitelist, nightly],
+                now: new Date('2026-10-19T15:00:00Z') // 11:00 in New York
+            });
+            expect(daytime).toMatchObject({ blocked: false, requires_approval: false, policy: null });
+            expect(daytime.reason).toContain('trust score');
+        });
+
+        test('amount, priority, agent and weekday conditions', () => {
+            const { policy: decided } = evaluateApprovalPolicies([bigSpend], 'task_creation', { amount: 250 }, 'agent-1', MONDAY_MORNING);
+            expect(decided).toEqual({ id: 'policy-Big spend', name: 'Big spend', effect: 'always_ask' });
+            expect(evaluateApprovalPolicies([bigSpend], 'task_creation', { amount: 20 }).policy).toBeNull();
+            expect(evaluateApprovalPolicies([bigSpend], 'task_creation', {}).trace[0].checks[2]).toEqual({ rule: 'amount missing is within 100..any', passed: false });
+
+            const urgentFromHelper = policy({
+                name: 'Urgent from helper',
+                agent_id: 'agent-1',
+                effect: 'always_ask',
+                conditions: { priority: { max: 2 }, time_window: { start: '09:00', end: '17:00', days: ['MO', 'TU'], timezone: 'UTC' } }
+            });
+            expect(evaluateApprovalPolicies([urgentFromHelper], 'task_creation', { priority: 1 }, 'agent-1', MONDAY_MORNING).policy).not.toBeNull();
+            expect(evaluateApprovalPolicies([urgentFromHelper], 'task_creation', { priority: 1 }, 'agent-2', MONDAY_MORNING).policy).toBeNull();
+            expect(evaluateApprovalPolicies([urgentFromHelper], 'task_creation', { priority: 3 }, 'agent-1', MONDAY_MORNING).policy).toBeNull();
+            expect(evaluateApprovalPolicies([urgentFromHelper], 'task_creation', { priority: 1 }, 'agent-1', new Date('2026-10-21T10:00:00Z')).policy).toBeNull();
+        });
+    });
+
+    describe('storage and enforcement', () => {
+        let fake;
+
+        beforeEach(() => {
+            fake = createFakeSupabase({
+                users: [{ id: USER_ID, timezone: 'Europe/Lisbon' }],
+                agents: [
+                    { id: 'agent-1', user_id: USER_ID, name: 'Helper', type: 'general', capabilities: [] },
+                    { id: 'agent-2', user_id: 'user-2', name: 'Not yours', type: 'general', capabilities: [] }
+                ],
+                agent_status: [{ agent_id: 'agent-1', status: 'idle', health_score: 1 }],
+                approval_policies: []
+            });
+            supabase.from.mockImplementation(fake.from);
+        });
+
+        test('saves, updates and deletes the user\'s policies', async () => {
+            const created = await createApprovalPolicy(USER_ID, {
+                name: 'Quiet hours',
+                effect: 'always_ask',
+                conditions: { time_window: { start: '20:00', end: '08:00' } }
+            }, fake);
+
+            expect(created.conditions.time_window.timezone).toBe('Europe/Lisbon');
+            expect(created.user_id).toBe(USER_ID);
+
+            const updated = await updateApprovalPolicy(USER_ID, created.id, { is_active: false }, fake);
+            expect(updated).toMatchObject({ name: 'Quiet hours', is_active: false });
+            expect(await loadApprovalPolicies(USER_ID, fake)).toEqual([]);
+
+            await expect(updateApprovalPolicy(USER_ID, created.id, { effect: 'maybe' }, fake)).rejects.toMatchObject({ status: 400 });
+            await expect(updateApprovalPolicy('user-2', created.id, { is_active: true }, fake)).rejects.toMatchObject({ status: 404 });
+            await expect(createApprovalPolicy(USER_ID, { name: 'Theirs', agent_id: 'agent-2', effect: 'always_ask' }, fake))
+                .rejects.toMatchObject({ status: 404 });
+
+            await deleteApprovalPolicy(USER_ID, created.id, fake);
+            expect(fake.tables.approval_policies).toHaveLength(0);
+            await expect(deleteApprovalPolicy(USER_ID, created.id, fake)).rejects.toMatchObject({ status: 404 });
+        });
+
+        test('enqueueTask refuses actions a policy never allows and asks when told to', async () => {
+            await createApprovalPolicy(USER_ID, { name: 'No helper tasks', agent_id: 'agent-1', action_type: 'task_creation', effect: 'never_allow' }, fake);
+
+            await expect(enqueueTask(USER_ID, 'agent-1', { title: 'Sort inbox', type: 'email', priority: 4 }))
+                .rejects.toMatchObject({ status: 403, message: 'Not allowed by your policy "No helper tasks"' });
+            expect(fake.tables.agent_tasks || []).toHaveLength(0);
+
+            fake.tables.approval_policies[0].effect = 'always_ask';
+            const result = await enqueueTask(USER_ID, 'agent-1', { title: 'Sort inbox', type: 'email', priority: 4, requires_approval: false });
+            expect(result.approval_required).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+const mockSendMessage = jest.fn();
+jest.mock('../services/messageRouter', () => jest.fn().mockImplementation(() => ({ sendMessage: mockSendMessage })));
+
+const { parseApprovalReply, handleApprovalReply } = require('../services/agents/approvalReplies');
+const { assessActionRisk, createApprovalQueue } = require('../services/agents/approvals');
+
+const USER_ID = 'user-1';
+const PHONE = '+1 (555) 010-2030';
+
+describe('Approval replies', () => {
+    let fake;
+
+    beforeEach(() => {
+        mockSendMessage.mockReset();
+        mockSendMessage.mockResolvedValue({ success: true });
+        fake = createFakeSupabase({
+            users: [{ id: USER_ID, email: 'me@example.com', phone: PHONE, timezone: 'UTC' }],
+            agents: [{ id: 'agent-1', user_id: USER_ID, name: 'Helper', type: 'general' }],
+            platform_integrations: [
+                { id: 'int-1', user_id: USER_ID, platform: 'gmail', is_active: true },
+                { id: 'int-2', user_id: USER_ID, platform: 'whatsapp', is_active: true }
+            ]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    // Queue an approval the way agents do; returns it with the code that was sent
+    const requestApproval = async () => {
+        const assessment = assessActionRisk('task_creation', { title: 'Sort inbox', priority: 4 }, {});
+        const approval = await createApprovalQueue('agent-1', USER_ID, 'task_creation', { title: 'Sort inbox' }, assessment);
+        const token = fake.tables.approval_reply_tokens.find(row => row.approval_id === approval.id);
+        return { approval, code: token.code };
+    };
+
+    const reply = (content, sender = '15550102030') => handleApprovalReply(USER_ID, 'whatsapp', { content, senderIdentifier: sender });
+
+    const lastMessage = () => mockSendMessage.mock.calls[mockSendMessage.mock.calls.length - 1];
+
+    test('parses approve and reject replies', () => {
+        expect(parseApprovalReply('approve 3F9A')).toEqual({ status: 'approved', code: '3F9A', reason: '' });
+        expect(parseApprovalReply('Reject 3f9a: too risky')).toEqual({ status: 'rejected', code: '3F9A', reason: 'too risky' });
+        expect(parseApprovalReply('\n> approve 1234\nyes #A1B2C3\n\nOn Monday you wrote:')).toEqual({ status: 'approved', code: 'A1B2C3', reason: '' });
+        expect(parseApprovalReply('Can you approve this?')).toBeNull();
+        expect(parseApprovalReply('approve')).toBeNull();
+    });
+
+    test('sends the request with a code that expires with the approval', async () => {
+        const { approval, code } = await requestApproval();
+
+        expect(code).toMatch(/^[0-9A-F]{6}$/);
+        expect(fake.tables.approval_reply_tokens[0]).toMatchObject({
+            platform: 'whatsapp',
+            recipient: PHONE,
+            expires_at: approval.expires_at
+        });
+        expect(fake.tables.approval_reply_tokens[0].used_at).toBeUndefined();
+        const [userId, platform, message] = lastMessage();
+        expect([userId, platform, message.recipientIdentifier]).toEqual([USER_ID, 'whatsapp', PHONE]);
+        expect(message.content).toContain(`Reply "approve ${code}" or "reject ${code} <reason>".`);
+    });
+
+    test('falls back to Gmail and skips users with no connected channel', async () => {
+        fake.tables.platform_integrations[1].is_active = false;
+        await requestApproval();
+        expect(lastMessage()).toEqual([USER_ID, 'gmail', expect.objectContaining({ recipientIdentifier: 'me@example.com' })]);
+
+        fake.tables.platform_integrations[0].is_active = false;
+        mockSendMessage.mockClear();
+        await createApprovalQueue('agent-1', USER_ID, 'task_creation', {}, assessActionRisk('task_creation', {}, {}));
+        expect(mockSendMessage).not.toHaveBeenCalled();
+        expect(fake.tables.notifications).toHaveLength(2);
+    });
+
+    test('a reply approves the approval once', async () => {
+        const { approval, code } = await requestApproval();
+
+        expect(await reply(`approve ${code.toLowerCase()}`)).toMatchObject({ approval_id: approval.id, status: 'approved' });
+        expect(fake.tables.approvals_queue[0].status).toBe('approved');
+        expect(fake.tables.approval_history[0]).toMatchObject({ action_taken: 'approved', decision_reason: 'Approved by whatsapp reply' });
+        expect(lastMessage()[2]).toMatchObject({ recipientIdentifier: '15550102030', content: `Approved (${code}).` });
+
+        expect(await reply(`reject ${code}`)).toEqual({ code, error: `Code ${code} has already been used` });
+        expect(fake.tables.approvals_queue[0].status).toBe('approved');
+    });
+
+    test('a rejection keeps the reason', async () => {
+        const { code } = await requestApproval();
+
+        await reply(`reject ${code} not this week`);
+
+        expect(fake.tables.approvals_queue[0].status).toBe('rejected');
+        expect(fake.tables.approval_history[0].decision_reason).toBe('not this week');
+    });
+
+    test('ignores codes from other senders and refuses expired or forged ones', async () => {
+        const { code } = await requestApproval();
+
+        // Someone else's message that happens to look like a reply is just a message
+        expect(await reply(`approve ${code}`, '15559999999')).toBeNull();
+        expect(await handleApprovalReply(USER_ID, 'gmail', { content: `approve ${code}`, senderIdentifier: 'me@example.com' })).toBeNull();
+        expect(await reply('approve ABCDEF')).toBeNull();
+
+        const token = fake.tables.approval_reply_tokens[0];
+        token.expires_at = new Date(Date.now() - 60 * 1000).toISOString().replace('Z', '');
+        expect(await reply(`approve ${code}`)).toEqual({ code, error: `Code ${code} has expired` });
+
+        // A stored code that wasn't signed for this approval is refused
+        token.expires_at = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        token.nonce = 'tampered';
+        expect(await reply(`approve ${code}`)).toEqual({ code, error: `Code ${code} is not valid` });
+
+        expect(fake.tables.approvals_queue[0].status).toBe('pending');
+        expect(token.used_at).toBeUndefined();
+    });
+});
@@ -0,0 +1,225 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+    parseCaptureLine,
+    parseCapture,
+    extractDueDate,
+    matchProject,
+    toNoteRow,
+    toTaskRow
+} = require('../supabase/functions/_shared/captureGrammar.cjs');
+const { ingestCapture } = require('../services/capture');
+
+// 10:00 on Sunday 18 October in New York (EDT, UTC-4)
+const now = new Date('2026-10-18T14:00:00Z');
+const timeZone = 'America/New_York';
+const parse = line => parseCaptureLine(line, { now, timeZone });
+const due = text => extractDueDate(text, { now, timeZone });
+
+describe('Capture prefixes', () => {
+    test('each prefix sets the type, category and what happens next', () => {
+        const summary = line => {
+            const { prefix, type, category, priority, createTask, autoProcess } = parse(line);
+            return { prefix, type, category, priority, createTask, autoProcess };
+        };
+
+        expect(summary('zz file taxes')).toEqual({ prefix: 'zz', type: 'task', category: 'task', priority: 3, createTask: true, autoProcess: true });
+        expect(summary('? why is the sky blue')).toEqual({ prefix: '?', type: 'question', category: 'research', priority: 3, createTask: false, autoProcess: true });
+        expect(summary('og keep this exactly')).toEqual({ prefix: 'og', type: 'preserve', category: 'archive', priority: 3, createTask: false, autoProcess: false });
+        expect(summary('//just thinking')).toEqual({ prefix: '//', type: 'comment', category: 'note', priority: 3, createTask: false, autoProcess: false });
+        expect(summary('!!server is down')).toEqual({ prefix: '!!', type: 'urgent', category: 'urgent', priority: 1, createTask: false, autoProcess: true });
+        expect(summary('zzz a nap')).toEqual({ prefix: null, type: 'note', category: 'general', priority: 3, createTask: false, autoProcess: false });
+        expect(summary('ogre stories')).toMatchObject({ prefix: null });
+    });
+
+    test('blank lines are skipped and the rest keep their line numbers', () => {
+        const entries = parseCapture('zz one\n\n   \r\n? two\n', { now, timeZone });
+
+        expect(entries.map(entry => [entry.lineNumber, entry.prefix, entry.content])).toEqual([
+            [1, 'zz', 'one'],
+            [4, '?', 'two']
+        ]);
+        expect(parseCaptureLine('   ')).toBeNull();
+        expect(parse('zz').createTask).toBe(false);
+    });
+});
+
+describe('Capture markup', () => {
+    test('tags, categories, projects and priorities come out of the title', () => {
+        expect(parse('zz call the bank @home-buying #Finance #calls !2')).toMatchObject({
+            tags: ['finance', 'calls'],
+            category: 'finance',
+            projectRef: 'home-buying',
+            priority: 2,
+            title: 'call the bank',
+            content: 'call the bank @home-buying #Finance #calls !2'
+        });
+
+        // Only the first category tag counts; other tags are free
+        expect(parse('walk at lunch #health #home #daily')).toMatchObject({ category: 'health', tags: ['health', 'home', 'daily'] });
+        expect(parse('!!fire drill !4').priority).toBe(4);
+    });
+
+    test('addresses, URLs and exclamations are left alone', () => {
+        expect(parse('email sam@example.com about https://example.com/page#intro wow!2x')).toMatchObject({
+            tags: [],
+            projectRef: null,
+            priority: 3,
+            title: 'email sam@example.com about https://example.com/page#intro wow!2x'
+        });
+    });
+
+    test('projects are matched by title, ignoring case and punctuation', () => {
+        const projects = [{ id: 'p1', title: 'Home Buying' }, { id: 'p2', title: 'Q4 launch' }];
+
+        expect(matchProject('home-buying', projects)).toEqual(projects[0]);
+        expect(matchProject('q4_Launch', projects)).toEqual(projects[1]);
+        expect(matchProject('garden', projects)).toBeNull();
+        expect(matchProject(null, projects)).toBeNull();
+    });
+});
+
+describe('Due dates', () => {
+    const dueAt = text => due(text)?.dueAt.toISOString();
+
+    test('weekdays and times are read in the user\'s timezone', () => {
+        expect(due('submit report fri 5pm')).toEqual({ dueAt: new Date('2026-10-23T21:00:00Z'), text: 'submit report' });
+        expect(dueAt('5pm friday')).toBe('2026-10-23T21:00:00.000Z');
+        expect(dueAt('call mom at 5:30 pm')).toBe('2026-10-18T21:30:00.000Z');
+        expect(dueAt('next sun')).toBe('2026-10-26T03:59:00.000Z');
+        expect(dueAt('standup 17:00')).toBe('2026-10-18T21:00:00.000Z');
+    });
+
+    test('times that have passed today roll over', () => {
+        // 9am has passed, so it means tomorrow; "sun 9am" means next Sunday
+        expect(dueAt('9am')).toBe('2026-10-19T13:00:00.000Z');
+        expect(dueAt('sun 9am')).toBe('2026-10-25T13:00:00.000Z');
+        expect(dueAt('sun noon')).toBe('2026-10-18T16:00:00.000Z');
+    });
+
+    test('days without a time mean the end of the day', () => {
+        expect(due('pay rent due tomorrow')).toEqual({ dueAt: new Date('2026-10-20T03:59:00Z'), text: 'pay rent' });
+        expect(dueAt('today')).toBe('2026-10-19T03:59:00.000Z');
+        expect(dueAt('tonight')).toBe('2026-10-19T00:00:00.000Z');
+    });
+
+    test('dates follow daylight saving time and roll into next year', () => {
+        // Clocks go back on 1 November
+        expect(dueAt('renew passport nov 2 at 9:30am')).toBe('2026-11-02T14:30:00.000Z');
+        expect(dueAt('2026-11-02 17:00')).toBe('2026-11-02T22:00:00.000Z');
+        expect(dueAt('book flights by 23rd december')).toBe('2026-12-24T04:59:00.000Z');
+        expect(dueAt('dentist sept 3')).toBe('2027-09-04T03:59:00.000Z');
+    });
+
+    test('everyday words are not mistaken for dates', () => {
+        expect(due('buy sun cream')).toBeNull();
+        expect(due('planning wed 5pm')).toEqual({ dueAt: new Date('2026-10-21T21:00:00Z'), text: 'planning' });
+        expect(due('planning on wed')).toEqual({ dueAt: new Date('2026-10-22T03:59:00Z'), text: 'planning' });
+        expect(due('read 2 chapters of may 1984')).toBeNull();
+        expect(due('feb 30')).toBeNull();
+        expect(due('2026-02-30')).toBeNull();
+        expect(due('13pm')).toBeNull();
+    });
+
+    test('only lines that become tasks have due dates', () => {
+        expect(parse('zz submit report #work fri 5pm')).toMatchObject({
+            title: 'submit report',
+            dueAt: new Date('2026-10-23T21:00:00Z'),
+            category: 'work'
+        });
+        expect(parse('og meeting went well fri 5pm')).toMatchObject({ dueAt: null, title: 'meeting went well fri 5pm' });
+    });
+});
+
+describe('Capture rows', () => {
+    test('notes and tasks are built from the same entry', () => {
+        const entry = parse('zz submit the quarterly report for the board #work @q4-launch !1 fri 5pm');
+
+        expect(toNoteRow(entry, 'user-1', { source: 'bigpage', projectId: 'p2' })).toEqual({
+            user_id: 'user-1',
+            prefix: 'zz',
+            category: 'work',
+            title: 'submit the quarterly report for the board',
+            content: 'submit the quarterly report for the board #work @q4-launch !1 fri 5pm',
+            tags: ['work'],
+            project_id: 'p2',
+            priority: 1,
+            due_at: '2026-10-23T21:00:00.000Z',
+            source_type: 'bigpage',
+            auto_categorized: true,
+            protected: false,
+            stale: false
+        });
+
+        expect(toTaskRow(entry, 'user-1', { source: 'bigpage', noteId: 'note-1', projectId: 'p2' })).toEqual({
+            user_id: 'user-1',
+            project_id: 'p2',
+            title: 'submit the quarterly report for the board',
+            priority: 1,
+            deadline: '2026-10-23T21:00:00.000Z',
+            source: 'bigpage',
+            source_note_id: 'note-1',
+            source_data: { tags: ['work'], line: 1 }
+        });
+
+        // Note titles are short; task titles are not
+        const long = parse(`zz ${'word '.repeat(40)}`);
+        expect(toNoteRow(long, 'user-1', { source: 'ingest' }).title).toHaveLength(80);
+        expect(toTaskRow(long, 'user-1', { source: 'ingest', noteId: 'n' }).title).toHaveLength(199);
+    });
+});
+
+describe('Ingesting capture', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'America/New_York' }],
+            projects: [{ id: 'project-1', user_id: 'user-1', title: 'Home Buying', deleted_at: null }],
+            notes: [],
+            tasks: [],
+            ai_processing_queue: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    test('zz lines create tasks linked to their notes, and analysis is queued', async () => {
+        const text = [
+            'zz call the bank @home-buying !2 fri 5pm',
+            'og the first flat had a lovely garden #home',
+            '? what is an escrow account',
+            'zz'
+        ].join('\n');
+
+        const { notes, tasks } = await ingestCapture('user-1', text, { now }, fake);
+
+        expect(notes.map(note => [note.prefix, note.category, note.source_type])).toEqual([
+            ['zz', 'task', 'ingest'],
+            ['og', 'home', 'ingest'],
+            ['?', 'research', 'ingest'],
+            ['zz', 'task', 'ingest']
+        ]);
+        expect(tasks).toHaveLength(1);
+        expect(fake.tables.tasks[0]).toMatchObject({
+            user_id: 'user-1',
+            title: 'call the bank',
+            priority: 2,
+            project_id: 'project-1',
+            deadline: '2026-10-23T21:00:00.000Z',
+            source: 'ingest',
+            source_note_id: notes[0].id
+        });
+        expect(fake.tables.ai_processing_queue.map(item => [item.note_id, item.processing_type])).toEqual([
+            [notes[0].id, 'task'],
+            [notes[2].id, 'question'],
+            [notes[3].id, 'task']
+        ]);
+    });
+
+    test('an explicit timezone wins and analysis can be skipped', async () => {
+        await ingestCapture('user-1', 'zz pay rent tomorrow', { now, timeZone: 'UTC', autoProcess: false }, fake);
+
+        expect(fake.tables.tasks[0].deadline).toBe('2026-10-19T23:59:00.000Z');
+        expect(fake.tables.ai_processing_queue).toHaveLength(0);
+    });
+});
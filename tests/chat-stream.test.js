@@ -0,0 +1,162 @@
+const http = require('http');
+const express = require('express');
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { llm } = require('../services/llm');
+const chatRouter = require('../routes/chat');
+
+// POST to the stream endpoint and parse every SSE event in the response
+async function streamChat(port, body, { signal, onEvent = () => {} } = {}) {
+    const response = await fetch(`http://127.0.0.1:${port}/api/chat/process/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer user-1-token' },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) {
+        return { status: response.status, body: await response.json() };
+    }
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+            const event = JSON.parse(frame.replace(/^data: /, ''));
+            events.push(event);
+            onEvent(event);
+        }
+    }
+    return { status: response.status, events };
+}
+
+const waitFor = async (check, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('Chat streaming', () => {
+    let server;
+    let port;
+    let fake;
+
+    beforeAll(async () => {
+        supabase.auth = {
+            getUser: jest.fn(async token => token === 'user-1-token'
+                ? { data: { user: { id: 'user-1', email: 'user-1@example.com', user_metadata: {} } }, error: null }
+                : { data: { user: null }, error: { message: 'invalid JWT' } })
+        };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/chat', chatRouter);
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    beforeEach(() => {
+        fake = createFakeSupabase({ tasks: [], projects: [], chat_messages: [] });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('streams tokens and finishes with the stored message id', async () => {
+        const { events } = await streamChat(port, { message: 'What should I focus on?' });
+
+        expect(events[0]).toMatchObject({ type: 'start' });
+        const tokens = events.filter(event => event.type === 'token').map(event => event.content);
+        expect(tokens.length).toBeGreaterThan(1);
+        expect(tokens.join('')).toBe('Mock response to: What should I focus on?');
+
+        const done = events[events.length - 1];
+        const stored = fake.tables.chat_messages;
+        expect(stored.map(row => row.role)).toEqual(['user', 'assistant']);
+        expect(done).toMatchObject({ type: 'done', message_id: stored[1].id, message_type: 'general_chat' });
+        expect(stored[1].content).toBe(tokens.join(''));
+    });
+
+    test('reports tasks created from the chat as their own event', async () => {
+        const { events } = await streamChat(port, { message: 'zz buy milk' });
+
+        const taskEvent = events.find(event => event.type === 'task_created');
+        expect(taskEvent).toMatchObject({ task_created: true, task_id: fake.tables.tasks[0].id });
+        expect(events[events.length - 1]).toMatchObject({ type: 'done', message_type: 'task_created' });
+    });
+
+    test('streams tool calls made by tool-calling models and logs them in history', async () => {
+        const mock = llm.getProvider('mock');
+        let round = 0;
+        mock.handler = async () => (++round === 1
+            ? { tool_calls: [{ id: 'call-1', name: 'create_task', arguments: '{"title":"Buy milk","priority":2}' }] }
+            : 'Added it to your list.');
+
+        try {
+            const { events } = await streamChat(port, { message: 'Remember to buy milk', model: 'openai/gpt-4o' });
+
+            expect(events.find(event => event.type === 'tool_call')).toMatchObject({
+                name: 'create_task',
+                status: 'executed',
+                message: 'Created task "Buy milk"'
+            });
+            expect(events.find(event => event.type === 'task_created')).toMatchObject({ task_created: true, task_priority: 2 });
+            expect(fake.tables.tasks).toHaveLength(1);
+            expect(fake.tables.chat_messages.map(row => row.role)).toEqual(['user', 'tool', 'assistant']);
+            expect(fake.tables.chat_messages[2].content).toBe('Added it to your list.');
+        } finally {
+            mock.handler = null;
+        }
+    });
+
+    test('rejects invalid requests before streaming', async () => {
+        expect(await streamChat(port, {})).toMatchObject({ status: 400, body: { error: 'Message is required' } });
+        expect((await streamChat(port, { message: 'hi', model: 'nope' })).status).toBe(400);
+    });
+
+    test('sends an error event when the model fails', async () => {
+        jest.spyOn(llm, 'stream').mockImplementation(async function* () {
+            throw Object.assign(new Error('Too many requests'), { status: 429 });
+        });
+
+        const { events } = await streamChat(port, { message: 'Hello' });
+        expect(events[events.length - 1]).toMatchObject({ type: 'error', error_type: 'rate_limit' });
+        expect(fake.tables.chat_messages).toHaveLength(0);
+    });
+
+    test('cancelling mid-stream keeps the partial reply and skips task creation', async () => {
+        let upstreamAborted = false;
+        jest.spyOn(llm, 'stream').mockImplementation(async function* ({ signal }) {
+            yield { type: 'delta', content: 'Working on ' };
+            await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+            upstreamAborted = true;
+            throw new Error('aborted');
+        });
+
+        const controller = new AbortController();
+        await expect(streamChat(port, { message: 'zz buy milk' }, {
+            signal: controller.signal,
+            onEvent: event => event.type === 'token' && controller.abort()
+        })).rejects.toThrow();
+
+        await waitFor(() => fake.tables.chat_messages.length === 2);
+        expect(upstreamAborted).toBe(true);
+        expect(fake.tables.chat_messages[1]).toMatchObject({
+            content: 'Working on ',
+            metadata: { cancelled: true }
+        });
+        expect(fake.tables.tasks).toHaveLength(0);
+    });
+});
@@ -0,0 +1,207 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { LLMRegistry, MockProvider } = require('../services/llm');
+const { ChatAssistant, toolSchemas } = require('../services/chat');
+const { resolveApproval } = require('../services/agents/approvals');
+
+// Mock model that plays back one reply per round: { tool_calls: [[name, args], ...] } or a string
+function scriptedModel(rounds) {
+    const requests = [];
+    const provider = new MockProvider({
+        handler: async request => {
+            requests.push(structuredClone(request));
+            const round = rounds[requests.length - 1] || 'Done.';
+            if (typeof round === 'string') return round;
+            return {
+                content: round.content || '',
+                tool_calls: round.tool_calls.map(([name, args], index) => ({
+                    id: `call-${requests.length}-${index}`,
+                    name,
+                    arguments: typeof args === 'string' ? args : JSON.stringify(args)
+                }))
+            };
+        }
+    });
+    const registry = new LLMRegistry({ providers: [provider], forcedProvider: 'mock', env: {} });
+    return { registry, requests };
+}
+
+const request = (prompt, model = 'gpt-4') => ({
+    model,
+    messages: [{ role: 'system', content: 'You are helpful.' }, { role: 'user', content: prompt }]
+});
+
+describe('Chat tool calling', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1' }],
+            tasks: [
+                { id: 'task-1', user_id: 'user-1', title: 'Write report', status: 'pending', created_at: '2026-01-01' },
+                { id: 'task-2', user_id: 'user-2', title: 'Write report', status: 'pending', created_at: '2026-01-01' }
+            ],
+            projects: [
+                { id: 'project-1', user_id: 'user-1', title: 'Launch', deleted_at: null },
+                { id: 'project-2', user_id: 'user-2', title: 'Someone else\'s', deleted_at: null }
+            ],
+            goals: [{ id: 'goal-1', user_id: 'user-1', title: 'Run a marathon', status: 'active', progress: 10 }],
+            emails: [{ id: 'email-1', user_id: 'user-1', sender: 'Sam', sender_email: 'sam@example.com', subject: 'Quarterly numbers', status: 'unread' }]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    test('runs tools over several rounds and feeds results back to the model', async () => {
+        const { registry, requests } = scriptedModel([
+            { tool_calls: [['find_tasks', { query: 'report' }]] },
+            { tool_calls: [['complete_task', { task_id: 'task-1' }]] },
+            'Marked "Write report" as done.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const turn = await assistant.runTurn('user-1', request('I finished the report'));
+
+        expect(turn.content).toBe('Marked "Write report" as done.');
+        expect(turn.tool_calls.map(entry => [entry.name, entry.status])).toEqual([
+            ['find_tasks', 'executed'],
+            ['complete_task', 'executed']
+        ]);
+        expect(turn.tool_calls[0].result.tasks.map(task => task.id)).toEqual(['task-1']);
+        expect(fake.tables.tasks[0].status).toBe('completed');
+        expect(fake.tables.tasks[1].status).toBe('pending');
+
+        const toolMessage = requests[1].messages.find(message => message.role === 'tool');
+        expect(JSON.parse(toolMessage.content)).toMatchObject({ status: 'executed', message: 'Found 1 task' });
+        expect(requests[0].tools.map(tool => tool.name)).toEqual(toolSchemas().map(tool => tool.name));
+    });
+
+    test('queues risky tools for approval and runs them once approved', async () => {
+        const { registry } = scriptedModel([
+            { tool_calls: [['create_project', { title: 'Kitchen remodel' }]] },
+            'I have asked for your approval to create the project.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const turn = await assistant.runTurn('user-1', request('Start a kitchen remodel project'));
+
+        const [entry] = turn.tool_calls;
+        expect(entry).toMatchObject({ status: 'pending_approval', risk_level: 'high' });
+        expect(fake.tables.projects).toHaveLength(2);
+
+        const [approval] = fake.tables.approvals_queue;
+        expect(approval).toMatchObject({ id: entry.approval_id, action_type: 'project_modification', status: 'pending' });
+        expect(fake.tables.agents[0]).toMatchObject({ user_id: 'user-1', type: 'chat_assistant' });
+
+        await resolveApproval('user-1', approval.id, { status: 'approved' });
+
+        expect(fake.tables.projects[2]).toEqual(expect.objectContaining({ user_id: 'user-1', title: 'Kitchen remodel' }));
+        expect(fake.tables.chat_messages).toEqual([expect.objectContaining({
+            role: 'tool',
+            content: 'create_project: Created project "Kitchen remodel"',
+            metadata: expect.objectContaining({ status: 'executed', approval_id: approval.id })
+        })]);
+    });
+
+    test('reports bad tool calls back to the model instead of failing the turn', async () => {
+        const { registry, requests } = scriptedModel([
+            { tool_calls: [['delete_everything', {}], ['update_goal_progress', '{not json'], ['update_goal_progress', { goal_id: 'nope', progress: 50 }]] },
+            'Sorry, I could not do that.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const turn = await assistant.runTurn('user-1', request('Update my goal'));
+
+        expect(turn.tool_calls.map(entry => entry.error)).toEqual([
+            'Unknown tool: delete_everything',
+            'Arguments were not valid JSON',
+            'Goal not found'
+        ]);
+        expect(requests[1].messages.filter(message => message.role === 'tool')).toHaveLength(3);
+        expect(turn.content).toBe('Sorry, I could not do that.');
+    });
+
+    test('only files tasks under the user\'s own projects', async () => {
+        const { registry } = scriptedModel([
+            { tool_calls: [['create_task', { title: 'Ship it', project_id: 'project-2' }], ['create_task', { title: 'Ship it', project_id: 'project-1' }]] },
+            'Done.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const turn = await assistant.runTurn('user-1', request('Add a task to ship the launch'));
+
+        expect(turn.tool_calls.map(entry => entry.error || entry.status)).toEqual(['Project not found', 'executed']);
+        expect(fake.tables.tasks.filter(task => task.title === 'Ship it')).toEqual([
+            expect.objectContaining({ user_id: 'user-1', project_id: 'project-1' })
+        ]);
+    });
+
+    test('queues reply drafts as drafts, not as sent email', async () => {
+        const { registry } = scriptedModel([
+            { tool_calls: [['draft_reply', { email_id: 'email-1', reply: 'Numbers attached.' }]] },
+            'Drafted.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const [entry] = (await assistant.runTurn('user-1', request('Draft a reply to Sam'))).tool_calls;
+
+        expect(entry).toMatchObject({ status: 'pending_approval', risk_level: 'low' });
+        expect(fake.tables.approvals_queue[0].action_type).toBe('email_draft');
+    });
+
+    test('stops offering tools after the step limit', async () => {
+        const loop = { tool_calls: [['list_goals', {}]] };
+        const { registry, requests } = scriptedModel([loop, loop, 'Here are your goals.']);
+        const assistant = new ChatAssistant({ registry, supabase: fake, maxSteps: 3 });
+
+        const turn = await assistant.runTurn('user-1', request('What are my goals?'));
+
+        expect(requests.map(request => Boolean(request.tools))).toEqual([true, true, false]);
+        expect(turn.tool_calls).toHaveLength(2);
+    });
+
+    test('does not offer tools to models without tool calling', async () => {
+        const { registry, requests } = scriptedModel(['Plain answer']);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+
+        const turn = await assistant.runTurn('user-1', request('Hi', 'deepseek/deepseek-r1:free'));
+
+        expect(turn).toMatchObject({ content: 'Plain answer', tools_offered: false, tool_calls: [] });
+        expect(requests[0].tools).toBeNull();
+    });
+
+    test('streams text from every round', async () => {
+        const { registry } = scriptedModel([
+            { content: 'Setting that up.', tool_calls: [['schedule_reminder', { message: 'Call Sam', remind_at: '2026-11-01T09:00:00Z' }]] },
+            'Reminder set.'
+        ]);
+        const assistant = new ChatAssistant({ registry, supabase: fake });
+        const tokens = [];
+        const toolCalls = [];
+
+        const turn = await assistant.runTurn('user-1', request('Remind me to call Sam'), {
+            onToken: token => tokens.push(token),
+            onToolCall: entry => toolCalls.push(entry.name)
+        });
+
+        expect(tokens.join('')).toBe(turn.content);
+        expect(turn.content).toBe('Setting that up.\n\nReminder set.');
+        expect(toolCalls).toEqual(['schedule_reminder']);
+        expect(fake.tables.notifications[0]).toMatchObject({
+            type: 'reminder',
+            status: 'scheduled',
+            scheduled_for: '2026-11-01T09:00:00.000Z'
+        });
+    });
+
+    test('creates the chat agent through the client it was given', async () => {
+        const other = createFakeSupabase({});
+        supabase.from.mockImplementation(other.from);
+        const assistant = new ChatAssistant({ registry: scriptedModel([]).registry, supabase: fake });
+
+        const agent = await assistant.getChatAgent('user-1');
+
+        expect(fake.tables.agents).toEqual([expect.objectContaining({ id: agent.id, type: 'chat_assistant' })]);
+        expect(fake.tables.agent_status).toEqual([expect.objectContaining({ agent_id: agent.id, status: 'idle' })]);
+        expect(other.tables.agents).toBeUndefined();
+    });
+});
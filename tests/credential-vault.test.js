@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { CredentialVault, CredentialDecryptionError, parseMasterKeys } = require('../services/credentialVault');
+const MessageRouter = require('../services/messageRouter');
+const { runDueJobs } = require('../services/jobScheduler');
+const { rotateKeys } = require('../rotate-keys');
+
+// The router sync jobs run on, standing in for the shared one of another instance
+let mockSharedRouter;
+jest.mock('../services/sharedMessageRouter', () => ({ getMessageRouter: () => mockSharedRouter }));
+
+const KEY_1 = crypto.randomBytes(32).toString('base64');
+const KEY_2 = crypto.randomBytes(32).toString('base64');
+
+const vaultWith = (spec, activeVersion) => new CredentialVault({ keys: parseMasterKeys(spec), activeVersion });
+
+describe('Credential vault', () => {
+    const credentials = { clientId: 'id', clientSecret: 'secret', refreshToken: 'refresh' };
+
+    test('round-trips credentials without storing them in the clear', () => {
+        const vault = vaultWith(`1:${KEY_1}`);
+        const envelope = vault.encrypt(credentials);
+
+        expect(envelope.key_version).toBe(1);
+        expect(JSON.stringify(envelope)).not.toContain('secret');
+        expect(vault.decrypt(envelope)).toEqual(credentials);
+    });
+
+    test('uses a fresh data key for every record', () => {
+        const vault = vaultWith(`1:${KEY_1}`);
+        expect(vault.encrypt(credentials).wrapped_key.data).not.toBe(vault.encrypt(credentials).wrapped_key.data);
+    });
+
+    test('detects tampered ciphertext', () => {
+        const vault = vaultWith(`1:${KEY_1}`);
+        const envelope = vault.encrypt(credentials);
+        const data = Buffer.from(envelope.payload.data, 'base64');
+        data[0] ^= 1;
+        envelope.payload.data = data.toString('base64');
+
+        expect(() => vault.decrypt(envelope)).toThrow(CredentialDecryptionError);
+    });
+
+    test('fails with reconnect_required when the key version is missing', () => {
+        const envelope = vaultWith(`1:${KEY_1}`).encrypt(credentials);
+        const error = (() => {
+            try {
+                vaultWith(`2:${KEY_2}`).decrypt(envelope);
+            } catch (caught) {
+                return caught;
+            }
+        })();
+
+        expect(error).toBeInstanceOf(CredentialDecryptionError);
+        expect(error.code).toBe('reconnect_required');
+    });
+
+    test('refuses to encrypt without a master key', () => {
+        expect(() => vaultWith('').encrypt(credentials)).toThrow('CREDENTIALS_MASTER_KEYS');
+    });
+
+    test('re-wraps envelopes under the active key', () => {
+        const original = vaultWith(`1:${KEY_1}`).encrypt(credentials);
+        const rotatingVault = vaultWith(`1:${KEY_1},2:${KEY_2}`);
+
+        expect(rotatingVault.activeVersion).toBe(2);
+        expect(rotatingVault.needsRotation(original)).toBe(true);
+
+        const rewrapped = rotatingVault.rewrap(original);
+        expect(rewrapped.key_version).toBe(2);
+        expect(rewrapped.payload).toEqual(original.payload);
+        expect(vaultWith(`2:${KEY_2}`).decrypt(rewrapped)).toEqual(credentials);
+    });
+
+    test('encrypts token strings for TEXT columns', () => {
+        const vault = vaultWith(`1:${KEY_1}`);
+        const stored = vault.encryptToString('ya29.token');
+
+        expect(stored.startsWith('enc:v1:')).toBe(true);
+        expect(vault.decryptString(stored)).toBe('ya29.token');
+        expect(vault.decryptString('legacy-plaintext')).toBe('legacy-plaintext');
+    });
+});
+
+describe('rotate-keys', () => {
+    test('encrypts plaintext rows and re-wraps old key versions', async () => {
+        const oldVault = vaultWith(`1:${KEY_1}`);
+        const vault = vaultWith(`1:${KEY_1},2:${KEY_2}`);
+        const fake = createFakeSupabase({
+            platform_integrations: [
+                { id: 'int-1', user_id: 'user-1', platform: 'gmail', credentials: { refreshToken: 'plain' } },
+                { id: 'int-2', user_id: 'user-2', platform: 'gmail', credentials: oldVault.encrypt({ refreshToken: 'old' }) },
+                { id: 'int-3', user_id: 'user-3', platform: 'gmail', credentials: vault.encrypt({ refreshToken: 'new' }) }
+            ],
+            gmail_tokens: [
+                { id: 'tok-1', user_id: 'user-1', access_token: 'access', refresh_token: oldVault.encryptToString('refresh') }
+            ]
+        });
+
+        const summary = await rotateKeys({ db: fake, vault });
+
+        expect(summary.platform_integrations).toEqual({ rotated: 2, skipped: 1, failed: 0 });
+        expect(summary.gmail_tokens).toEqual({ rotated: 1, skipped: 0, failed: 0 });
+
+        const newOnly = vaultWith(`2:${KEY_2}`);
+        expect(fake.tables.platform_integrations.map(row => newOnly.decrypt(row.credentials).refreshToken))
+            .toEqual(['plain', 'old', 'new']);
+        expect(newOnly.decryptString(fake.tables.gmail_tokens[0].access_token)).toBe('access');
+        expect(newOnly.decryptString(fake.tables.gmail_tokens[0].refresh_token)).toBe('refresh');
+    });
+});
+
+describe('MessageRouter credential handling', () => {
+    let fake;
+    let router;
+    let adapter;
+
+    const createRouter = vault => {
+        router = new MessageRouter({ supabase: fake, vault });
+        adapter = {
+            connect: jest.fn(async () => ({ success: true, userId: 'me@example.com', displayName: 'Me', connectionId: 'gmail_me@example.com' })),
+            receiveMessages: jest.fn(async () => []),
+            disconnect: jest.fn()
+        };
+        router.registerAdapter('gmail', adapter);
+        return router;
+    };
+
+    beforeEach(() => {
+        fake = createFakeSupabase();
+    });
+
+    afterEach(() => {
+        router.cleanup();
+    });
+
+    test('stores credentials encrypted and restores the connection from them', async () => {
+        const vault = vaultWith(`1:${KEY_1}`);
+        await createRouter(vault).connectPlatform('user-1', 'gmail', { refreshToken: 'secret' });
+
+        const row = fake.tables.platform_integrations[0];
+        expect(JSON.stringify(row.credentials)).not.toContain('secret');
+
+        // A fresh router, as after a restart, reconnects from the stored row
+        router.cleanup();
+        const result = await createRouter(vault).receiveMessages('user-1', 'gmail');
+
+        expect(result.success).toBe(true);
+        expect(adapter.connect).toHaveBeenCalledWith({ refreshToken: 'secret' });
+    });
+
+    test('marks the integration reconnect_required when decryption fails', async () => {
+        await createRouter(vaultWith(`1:${KEY_1}`)).connectPlatform('user-1', 'gmail', { refreshToken: 'secret' });
+        router.cleanup();
+
+        const result = await createRouter(vaultWith(`2:${KEY_2}`)).receiveMessages('user-1', 'gmail');
+
+        expect(result).toMatchObject({ success: false, reconnectRequired: true });
+        expect(adapter.connect).not.toHaveBeenCalled();
+        expect(fake.tables.platform_integrations[0].sync_status).toBe('reconnect_required');
+
+        // Later attempts fail fast without retrying decryption
+        const again = await router.sendMessage('user-1', 'gmail', { content: 'hi' });
+        expect(again.reconnectRequired).toBe(true);
+    });
+
+    test('ends the sync job once a reconnect is required', async () => {
+        const receive = jest.spyOn(MessageRouter.prototype, 'receiveMessages')
+            .mockResolvedValue({ success: false, reconnectRequired: true });
+        try {
+            mockSharedRouter = createRouter(vaultWith(`1:${KEY_1}`));
+            await router.startMessageSync('int-1', 'user-1', 'gmail');
+            expect(fake.tables.scheduled_jobs[0]).toMatchObject({
+                name: 'messaging.sync:gmail:user-1',
+                schedule: '@every 60s',
+                payload: { integrationId: 'int-1', userId: 'user-1', platform: 'gmail' }
+            });
+
+            await runDueJobs(fake, new Date(Date.now() + 60000));
+            await runDueJobs(fake, new Date(Date.now() + 180000));
+
+            expect(receive).toHaveBeenCalledTimes(1);
+            expect(fake.tables.scheduled_jobs[0].status).toBe('completed');
+        } finally {
+            receive.mockRestore();
+        }
+    });
+
+    test('disconnecting stops the sync job', async () => {
+        await createRouter(vaultWith(`1:${KEY_1}`)).connectPlatform('user-1', 'gmail', { refreshToken: 'secret' });
+        expect(fake.tables.scheduled_jobs).toHaveLength(1);
+
+        await router.disconnectPlatform('user-1', 'gmail');
+
+        expect(fake.tables.scheduled_jobs).toHaveLength(0);
+    });
+});
+
+describe('MessageRouter with several users', () => {
+    let fake;
+    let router;
+
+    // One adapter instance holds every account, like GmailAdapter
+    const accountsAdapter = () => {
+        const connections = new Map();
+        return {
+            sent: [],
+            connect: jest.fn(async ({ account }) => {
+                connections.set(`gmail_${account}`, { account });
+                return { success: true, userId: account, displayName: account, connectionId: `gmail_${account}` };
+            }),
+            async sendMessage(messageData) {
+                const connection = connections.get(messageData.connectionId);
+                if (!connection) return { success: false, error: 'No active Gmail connection' };
+                this.sent.push({ from: connection.account, to: messageData.recipientIdentifier });
+                return { success: true, messageId: `sent-${this.sent.length}` };
+            },
+            async receiveMessages(options) {
+                const connection = connections.get(options.connectionId);
+                if (!connection) throw new Error('No active Gmail connection');
+                return [{ externalId: `inbox-${connection.account}`, senderName: 'Sam', content: `mail for ${connection.account}` }];
+            },
+            disconnect: jest.fn(async connectionId => connections.delete(connectionId))
+        };
+    };
+
+    const createRouter = () => {
+        router = new MessageRouter({ supabase: fake, vault: vaultWith(`1:${KEY_1}`) });
+        router.registerAdapter('gmail', accountsAdapter());
+        return router;
+    };
+
+    beforeEach(() => {
+        fake = createFakeSupabase();
+    });
+
+    afterEach(() => {
+        router.cleanup();
+    });
+
+    test('sends and receives through each user\'s own account', async () => {
+        createRouter();
+        await router.connectPlatform('user-a', 'gmail', { account: 'a@example.com' });
+        await router.connectPlatform('user-b', 'gmail', { account: 'b@example.com' });
+
+        await router.sendMessage('user-b', 'gmail', { recipientIdentifier: 'sam@example.com', content: 'hi' });
+        await router.receiveMessages('user-b', 'gmail');
+
+        const adapter = router.getAdapter('gmail');
+        expect(adapter.sent).toEqual([{ from: 'b@example.com', to: 'sam@example.com' }]);
+        expect(fake.tables.messages.filter(message => message.direction === 'inbound')
+            .map(message => [message.user_id, message.content])).toEqual([['user-b', 'mail for b@example.com']]);
+
+        // Disconnecting one user leaves the other's account connected
+        await router.disconnectPlatform('user-a', 'gmail');
+        expect(adapter.disconnect).toHaveBeenCalledWith('gmail_a@example.com');
+        expect((await router.sendMessage('user-b', 'gmail', { recipientIdentifier: 'sam@example.com', content: 'again' })).success).toBe(true);
+    });
+
+    test('connections restored after a restart stay with their users', async () => {
+        createRouter();
+        await router.connectPlatform('user-a', 'gmail', { account: 'a@example.com' });
+        await router.connectPlatform('user-b', 'gmail', { account: 'b@example.com' });
+        router.cleanup();
+
+        // Restored in the opposite order, so the first account on the adapter is b's
+        createRouter();
+        await router.sendMessage('user-b', 'gmail', { recipientIdentifier: 'sam@example.com', content: 'hi' });
+        await router.sendMessage('user-a', 'gmail', { recipientIdentifier: 'kim@example.com', content: 'hi' });
+
+        expect(router.getAdapter('gmail').sent).toEqual([
+            { from: 'b@example.com', to: 'sam@example.com' },
+            { from: 'a@example.com', to: 'kim@example.com' }
+        ]);
+    });
+
+    test('sync jobs receive each user\'s mail on another instance', async () => {
+        createRouter();
+        await router.connectPlatform('user-a', 'gmail', { account: 'a@example.com' });
+        await router.connectPlatform('user-b', 'gmail', { account: 'b@example.com' });
+        expect(fake.tables.scheduled_jobs.map(job => job.name)).toEqual(['messaging.sync:gmail:user-a', 'messaging.sync:gmail:user-b']);
+
+        mockSharedRouter = new MessageRouter({ supabase: fake, vault: vaultWith(`1:${KEY_1}`) });
+        mockSharedRouter.registerAdapter('gmail', accountsAdapter());
+        try {
+            expect(await runDueJobs(fake, new Date(Date.now() + 60000))).toBe(2);
+        } finally {
+            mockSharedRouter.cleanup();
+        }
+
+        expect(fake.tables.messages.filter(message => message.direction === 'inbound')
+            .map(message => [message.user_id, message.content]).sort()).toEqual([
+            ['user-a', 'mail for a@example.com'],
+            ['user-b', 'mail for b@example.com']
+        ]);
+    });
+});
@@ -0,0 +1,157 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+jest.mock('../services/PreferenceLearner', () => ({
+    GlobalPreferenceLearner: jest.fn().mockImplementation(() => ({
+        getUserPreferences: jest.fn(async () => ({ style: 'balanced' })),
+        analyzePatterns: jest.fn(async () => ({})),
+        getDaddyAgentRecommendations: jest.fn(async () => ({ monitoringLevel: 'high', escalationThreshold: 'medium' }))
+    }))
+}));
+
+const { DaddyAgent } = require('../services/DaddyAgent');
+const { getDaddyAgent, checkDueMonitoredTasks } = require('../services/agents/daddy');
+
+const USER_ID = 'user-1';
+const HOUR = 60 * 60 * 1000;
+
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe('DaddyAgent persistence', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: USER_ID }],
+            tasks: [
+                { id: 'task-1', user_id: USER_ID, title: 'File taxes', priority: 2, status: 'pending', updated_at: hoursAgo(1) },
+                { id: 'task-2', user_id: USER_ID, title: 'Book dentist', priority: 3, status: 'completed', updated_at: hoursAgo(1) }
+            ],
+            daddy_agent_state: [],
+            daddy_monitored_tasks: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    // A fresh instance, as after a restart
+    const newAgent = () => new DaddyAgent({
+        userId: USER_ID,
+        preferences: { style: 'balanced' },
+        monitoringLevel: 'medium',
+        proactiveSuggestions: false
+    });
+
+    test('monitoring survives a restart', async () => {
+        const before = newAgent();
+        await before.startTaskMonitoring('task-1', fake.tables.tasks[0]);
+
+        const [row] = fake.tables.daddy_monitored_tasks;
+        // Medium monitoring, halved for a high-priority task
+        expect(row).toMatchObject({ user_id: USER_ID, task_id: 'task-1', status: 'active', check_interval_seconds: 1800 });
+        expect(new Date(row.next_check_at) - new Date(row.monitoring_start)).toBe(30 * 60 * 1000);
+
+        const after = newAgent();
+        await after.load();
+
+        expect(after.getMetrics()).toMatchObject({ tasksMonitored: 1, activeTasksCount: 1 });
+        expect(after.getMonitoredTasks()).toEqual([{
+            task_id: 'task-1',
+            title: 'File taxes',
+            priority: 2,
+            monitoring_start: new Date(row.monitoring_start).toISOString(),
+            last_check_at: new Date(row.last_check_at).toISOString(),
+            next_check_at: new Date(row.next_check_at).toISOString(),
+            escalation_level: 0,
+            escalation: null,
+            reminders_sent: 0
+        }]);
+
+        await after.stopTaskMonitoring('task-1');
+        expect(fake.tables.daddy_monitored_tasks[0].status).toBe('stopped');
+
+        const reloaded = newAgent();
+        await reloaded.load();
+        expect(reloaded.getMonitoredTasks()).toEqual([]);
+    });
+
+    test('setting overrides are kept over recommendations', async () => {
+        const daddyAgent = await getDaddyAgent(USER_ID);
+        expect(daddyAgent.monitoringLevel).toBe('high');
+
+        expect(await daddyAgent.configure({ monitoringLevel: 'low', userId: 'someone-else' })).toEqual({ monitoringLevel: 'low' });
+        expect(daddyAgent.userId).toBe(USER_ID);
+
+        const restarted = newAgent();
+        await restarted.load();
+        expect(restarted.monitoringLevel).toBe('low');
+        expect(fake.tables.daddy_agent_state).toHaveLength(1);
+    });
+
+    test('fetching an agent again picks up what other instances saved', async () => {
+        const daddyAgent = await getDaddyAgent(USER_ID);
+
+        // Another instance starts monitoring a task and changes a setting
+        const other = newAgent();
+        await other.load();
+        await other.startTaskMonitoring('task-1', fake.tables.tasks[0]);
+        await other.configure({ communicationStyle: 'direct' });
+
+        expect(await getDaddyAgent(USER_ID)).toBe(daddyAgent);
+        expect(daddyAgent.getMonitoredTasks().map(task => task.task_id)).toEqual(['task-1']);
+        expect(daddyAgent.communicationStyle).toBe('direct');
+        expect(daddyAgent.getMetrics().tasksMonitored).toBe(1);
+    });
+
+    test('saving only writes what this instance changed', async () => {
+        const first = newAgent();
+        const second = newAgent();
+        await first.load();
+        await second.load();
+
+        await first.configure({ monitoringLevel: 'low' });
+        second.metrics.userFeedbackReceived++;
+        await second.saveState();
+
+        expect(fake.tables.daddy_agent_state).toHaveLength(1);
+        expect(fake.tables.daddy_agent_state[0].settings).toEqual({ monitoringLevel: 'low' });
+        expect(fake.tables.daddy_agent_state[0].metrics.userFeedbackReceived).toBe(1);
+    });
+
+    test('the sweep checks due tasks and persists escalation state', async () => {
+        fake.tables.daddy_monitored_tasks.push(
+            {
+                id: 'dm-1', user_id: USER_ID, task_id: 'task-1', status: 'active',
+                task_data: { title: 'File taxes', priority: 2 },
+                check_interval_seconds: 1800,
+                monitoring_start: hoursAgo(30).replace('Z', ''),
+                next_check_at: hoursAgo(0.1).replace('Z', ''),
+                escalation_level: 0,
+                reminders_sent: 0
+            },
+            {
+                id: 'dm-2', user_id: USER_ID, task_id: 'task-2', status: 'active',
+                task_data: { title: 'Book dentist', priority: 3 },
+                check_interval_seconds: 3600,
+                monitoring_start: hoursAgo(2),
+                next_check_at: hoursAgo(0.1),
+                escalation_level: 0,
+                reminders_sent: 0
+            }
+        );
+
+        expect(await checkDueMonitoredTasks(fake)).toBe(2);
+
+        const [overdue, completed] = fake.tables.daddy_monitored_tasks;
+        expect(overdue).toMatchObject({ status: 'active', escalation_level: 1, reminders_sent: 1 });
+        expect(new Date(overdue.next_check_at) - new Date(overdue.last_check_at)).toBe(30 * 60 * 1000);
+        expect(completed.status).toBe('stopped');
+
+        expect(fake.tables.notifications.map(notification => notification.type)).toEqual(['task_escalation', 'task_reminder', 'task_suggestions']);
+        const [state] = fake.tables.daddy_agent_state;
+        expect(state.metrics.escalationsTriggered).toBe(1);
+        expect(state.escalation_queue).toEqual([expect.objectContaining({ task_id: 'task-1', level: 1 })]);
+
+        // Nothing is due again until the next check time
+        expect(await checkDueMonitoredTasks(fake)).toBe(0);
+    });
+});
@@ -0,0 +1,230 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+jest.mock('../services/PreferenceLearner', () => ({
+    GlobalPreferenceLearner: jest.fn().mockImplementation(() => ({
+        getUserPreferences: jest.fn(async () => ({ style: 'balanced' })),
+        analyzePatterns: jest.fn(async () => ({})),
+        getDaddyAgentRecommendations: jest.fn(async () => ({ monitoringLevel: 'high', proactiveSuggestions: false, personalizedReminders: true }))
+    }))
+}));
+
+const mockSendMessage = jest.fn(async () => ({ success: true, messageId: 'message-1' }));
+jest.mock('../services/messageRouter', () => jest.fn().mockImplementation(() => ({ sendMessage: mockSendMessage })));
+
+const { checkDueMonitoredTasks } = require('../services/agents/daddy');
+const {
+    validateEscalationSettings,
+    updateEscalationSettings,
+    getEscalationSettings,
+    heldUntil,
+    sendEscalationDigests
+} = require('../services/agents/escalations');
+
+const USER_ID = 'user-1';
+const HOUR = 60 * 60 * 1000;
+
+const at = iso => new Date(iso);
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+const hhmm = date => date.toISOString().substring(11, 16);
+
+describe('Quiet hours and do-not-disturb', () => {
+    // 23:00 on Sunday 18 October in New York (EDT, UTC-4)
+    const lateSunday = at('2026-10-19T03:00:00Z');
+    const settings = {
+        time_zone: 'America/New_York',
+        quiet_hours: { start: '22:00', end: '07:00' },
+        do_not_disturb: [
+            { start: '07:00', end: '09:00', days: ['MO'] },
+            { from: '2026-10-20T12:00', until: '2026-10-20T14:00' }
+        ]
+    };
+
+    test('quiet hours hold outbound sends until they end in the user\'s timezone', () => {
+        // Monday's 07:00-09:00 do-not-disturb follows straight on
+        expect(heldUntil(settings, true, lateSunday)).toEqual({ reason: 'quiet_hours', until: at('2026-10-19T13:00:00Z') });
+        expect(heldUntil({ ...settings, do_not_disturb: [] }, true, lateSunday)).toEqual({ reason: 'quiet_hours', until: at('2026-10-19T11:00:00Z') });
+
+        // In-app steps only wait for do-not-disturb
+        expect(heldUntil(settings, false, lateSunday)).toBeNull();
+        expect(heldUntil(settings, false, at('2026-10-19T12:00:00Z'))).toEqual({ reason: 'do_not_disturb', until: at('2026-10-19T13:00:00Z') });
+    });
+
+    test('weekly windows keep to their days and one-off windows to their dates', () => {
+        // Tuesday 08:00 is outside Monday's window; 13:00 is inside the one-off window
+        expect(heldUntil(settings, false, at('2026-10-20T12:00:00Z'))).toBeNull();
+        expect(heldUntil(settings, false, at('2026-10-20T17:00:00Z'))).toEqual({ reason: 'do_not_disturb', until: at('2026-10-20T18:00:00Z') });
+        expect(heldUntil(settings, true, at('2026-10-20T19:00:00Z'))).toBeNull();
+    });
+
+    test('settings are validated and merged over the defaults', async () => {
+        expect(() => validateEscalationSettings({
+            ladder: [{ channel: 'pager', delay_minutes: -1 }, { channel: 'in_app', delay_minutes: 0, priority_boost: 2 }],
+            quiet_hours: { start: '22:00', end: '22:00' },
+            do_not_disturb: [{ from: '2026-10-20T14:00', until: '2026-10-20T12:00' }],
+            volume: 'loud'
+        })).toThrow(expect.objectContaining({
+            status: 400,
+            details: {
+                errors: [
+                    'Unknown setting: volume',
+                    'ladder[0] channel must be one of in_app, email_digest, whatsapp, repeat',
+                    'ladder[0] delay_minutes must be a whole number from 0 to 10080',
+                    'ladder[1] priority_boost must be from 1 to 4 and only applies to repeat steps',
+                    'quiet_hours start and end must differ',
+                    'do_not_disturb[0] until must be after from'
+                ]
+            }
+        }));
+
+        const fake = createFakeSupabase({ users: [{ id: USER_ID, timezone: 'Europe/London' }], daddy_agent_state: [] });
+        await updateEscalationSettings(USER_ID, { ladder: [{ channel: 'repeat', delay_minutes: 30 }] }, fake);
+        const updated = await updateEscalationSettings(USER_ID, { quiet_hours: { start: '21:00', end: '08:00', extra: true } }, fake);
+
+        expect(updated).toMatchObject({
+            ladder: [{ channel: 'repeat', delay_minutes: 30, conditions: {}, priority_boost: 1 }],
+            quiet_hours: { start: '21:00', end: '08:00' },
+            do_not_disturb: [],
+            time_zone: 'Europe/London'
+        });
+        expect(updated.quiet_hours).not.toHaveProperty('extra');
+        expect(fake.tables.daddy_agent_state).toHaveLength(1);
+    });
+});
+
+describe('Escalation ladder', () => {
+    let fake;
+
+    beforeEach(() => {
+        mockSendMessage.mockClear();
+        fake = createFakeSupabase({
+            users: [{ id: USER_ID, email: 'sam@example.com', phone: '+15550100', timezone: 'UTC' }],
+            platform_integrations: [
+                { id: 'int-1', user_id: USER_ID, platform: 'whatsapp', is_active: true },
+                { id: 'int-2', user_id: USER_ID, platform: 'gmail', is_active: true }
+            ],
+            tasks: [{ id: 'task-1', user_id: USER_ID, title: 'File taxes', priority: 2, status: 'pending', updated_at: hoursAgo(1) }],
+            daddy_agent_state: [],
+            daddy_monitored_tasks: [{
+                id: 'dm-1', user_id: USER_ID, task_id: 'task-1', status: 'active',
+                task_data: { title: 'File taxes', priority: 2 },
+                check_interval_seconds: 1800,
+                monitoring_start: hoursAgo(30),
+                next_check_at: hoursAgo(0.1),
+                escalation_level: 0,
+                reminders_sent: 0
+            }],
+            daddy_escalation_events: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const monitored = () => fake.tables.daddy_monitored_tasks[0];
+    const events = () => fake.tables.daddy_escalation_events.map(({ kind, step_index: step, channel, status }) => ({ kind, step, channel, status }));
+
+    // Make the next check and ladder step due now
+    const fastForward = () => {
+        monitored().next_check_at = hoursAgo(0.1);
+        if (monitored().escalation_state?.next_at) {
+            monitored().escalation_state.next_at = hoursAgo(0.1);
+        }
+    };
+
+    test('climbs the ladder step by step and stops once the task is touched', async () => {
+        await updateEscalationSettings(USER_ID, {
+            ladder: [
+                { channel: 'in_app', delay_minutes: 0 },
+                { channel: 'email_digest', delay_minutes: 0 },
+                { channel: 'repeat', delay_minutes: 0, conditions: { overdue_only: true } },
+                { channel: 'whatsapp', delay_minutes: 20, conditions: { max_priority: 2 } },
+                { channel: 'repeat', delay_minutes: 60, priority_boost: 1 }
+            ]
+        }, fake);
+
+        await checkDueMonitoredTasks(fake);
+
+        expect(events()).toEqual([
+            { kind: 'escalation', step: 0, channel: 'in_app', status: 'sent' },
+            { kind: 'escalation', step: 1, channel: 'email_digest', status: 'queued' },
+            { kind: 'escalation', step: 2, channel: 'repeat', status: 'skipped' },
+            { kind: 'reminder', step: undefined, channel: 'whatsapp', status: 'sent' }
+        ]);
+        expect(fake.tables.daddy_escalation_events[2].outcome).toBe('Task is not past its deadline');
+        expect(monitored().escalation_state).toMatchObject({ step: 3, reason: expect.stringContaining('Task overdue') });
+        // The WhatsApp step is due in 20 minutes, before the next routine check
+        expect(new Date(monitored().next_check_at).getTime()).toBe(new Date(monitored().escalation_state.next_at).getTime());
+
+        // Queued email steps go out as one digest
+        expect(await sendEscalationDigests(fake)).toBe(1);
+        expect(mockSendMessage).toHaveBeenLastCalledWith(USER_ID, 'gmail', expect.objectContaining({
+            recipientIdentifier: 'sam@example.com',
+            subject: '1 task needs your attention',
+            content: expect.stringContaining('- File taxes: Task overdue')
+        }));
+        expect(fake.tables.daddy_escalation_events[1].status).toBe('sent');
+
+        fastForward();
+        await checkDueMonitoredTasks(fake);
+        expect(events()[4]).toEqual({ kind: 'escalation', step: 3, channel: 'whatsapp', status: 'sent' });
+        expect(mockSendMessage).toHaveBeenLastCalledWith(USER_ID, 'whatsapp', expect.objectContaining({ recipientIdentifier: '+15550100' }));
+
+        // Any update calls the rest of the ladder off
+        fake.tables.tasks[0].updated_at = new Date().toISOString();
+        fastForward();
+        await checkDueMonitoredTasks(fake);
+
+        expect(events().slice(5)).toEqual([{ kind: 'escalation', step: undefined, channel: undefined, status: 'stopped' }]);
+        expect(fake.tables.daddy_escalation_events[5].outcome).toBe('Task was updated');
+        expect(fake.tables.notifications.filter(notification => notification.type === 'task_escalation')).toHaveLength(1);
+        expect(monitored().escalation_state.stopped_at).toBeTruthy();
+        expect(monitored().escalation_level).toBe(1);
+    });
+
+    test('digests skip tasks touched since their step was queued and go out once', async () => {
+        fake.tables.tasks.push(
+            { id: 'task-2', user_id: USER_ID, title: 'Renew passport', status: 'pending', updated_at: hoursAgo(1) },
+            { id: 'task-3', user_id: USER_ID, title: 'Book dentist', status: 'completed', updated_at: hoursAgo(3) }
+        );
+        const queued = (id, taskId) => ({
+            id, user_id: USER_ID, task_id: taskId, kind: 'escalation', channel: 'email_digest',
+            status: 'queued', reason: 'Task overdue', recipient: 'sam@example.com', created_at: hoursAgo(0.5)
+        });
+        fake.tables.daddy_escalation_events.push(queued('event-1', 'task-1'), queued('event-2', 'task-2'), queued('event-3', 'task-3'));
+        fake.tables.tasks[1].updated_at = new Date().toISOString();
+
+        // Two workers running the digest at once send it once
+        const sent = await Promise.all([sendEscalationDigests(fake), sendEscalationDigests(fake)]);
+
+        expect(sent.sort()).toEqual([0, 1]);
+        expect(mockSendMessage).toHaveBeenCalledTimes(1);
+        expect(mockSendMessage.mock.calls[0][2].content).toContain('- File taxes: Task overdue');
+        expect(mockSendMessage.mock.calls[0][2].content).not.toMatch(/Renew passport|Book dentist/);
+        expect(fake.tables.daddy_escalation_events.map(event => event.status)).toEqual(['sent', 'skipped', 'skipped']);
+    });
+
+    test('quiet hours hold outbound steps and reminders until they end', async () => {
+        const now = new Date();
+        const end = new Date(now.getTime() + 2 * HOUR);
+        await updateEscalationSettings(USER_ID, {
+            ladder: [{ channel: 'whatsapp', delay_minutes: 0 }],
+            quiet_hours: { start: hhmm(new Date(now.getTime() - HOUR)), end: hhmm(end) }
+        }, fake);
+
+        await checkDueMonitoredTasks(fake);
+
+        expect(events()).toEqual([{ kind: 'escalation', step: 0, channel: 'whatsapp', status: 'held' }]);
+        const [held] = fake.tables.daddy_escalation_events;
+        expect(held.outcome).toBe('quiet_hours');
+        expect(hhmm(new Date(held.held_until))).toBe(hhmm(end));
+        expect(monitored().escalation_state).toMatchObject({ step: 0, next_at: held.held_until });
+        expect(monitored().reminders_sent).toBe(0);
+        expect(mockSendMessage).not.toHaveBeenCalled();
+
+        // A routine check before the window ends sends nothing more
+        monitored().next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+        expect(events()).toHaveLength(1);
+
+        expect((await getEscalationSettings(USER_ID, fake)).quiet_hours).toEqual({ start: hhmm(new Date(now.getTime() - HOUR)), end: hhmm(end) });
+    });
+});
@@ -0,0 +1,193 @@
+// In-memory stand-in for the Supabase query builder used by service tests.
+// Supports the subset of filters the services use; joins in select() are ignored.
+
+let idCounter = 0;
+
+function likeFilter(column, pattern, flags = '') {
+    const regex = new RegExp('^' + pattern.split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', flags);
+    return row => regex.test(String(row[column] ?? ''));
+}
+
+function createFakeSupabase(seed = {}) {
+    const tables = {};
+    Object.entries(seed).forEach(([name, rows]) => {
+        tables[name] = rows.map(row => structuredClone(row));
+    });
+
+    const table = name => {
+        if (!tables[name]) tables[name] = [];
+        return tables[name];
+    };
+
+    function query(name) {
+        const filters = [];
+        let operation = 'select';
+        let payload = null;
+        const orderBy = [];
+        let limitCount = null;
+        let returnRows = false;
+        let mode = 'many';
+
+        const builder = {
+            select() {
+                if (operation !== 'select') returnRows = true;
+                return builder;
+            },
+            insert(rows) {
+                operation = 'insert';
+                payload = Array.isArray(rows) ? rows : [rows];
+                return builder;
+            },
+            upsert(rows) {
+                operation = 'upsert';
+                payload = Array.isArray(rows) ? rows : [rows];
+                return builder;
+            },
+            update(values) {
+                operation = 'update';
+                payload = values;
+                return builder;
+            },
+            delete() {
+                operation = 'delete';
+                return builder;
+            },
+            eq(column, value) {
+                filters.push(row => row[column] === value);
+                return builder;
+            },
+            neq(column, value) {
+                filters.push(row => row[column] !== value);
+                return builder;
+            },
+            in(column, values) {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            is(column, value) {
+                filters.push(row => (row[column] ?? null) === value);
+                return builder;
+            },
+            lt(column, value) {
+                filters.push(row => row[column] < value);
+                return builder;
+            },
+            lte(column, value) {
+                filters.push(row => row[column] <= value);
+                return builder;
+            },
+            gt(column, value) {
+                filters.push(row => row[column] > value);
+                return builder;
+            },
+            gte(column, value) {
+                filters.push(row => row[column] >= value);
+                return builder;
+            },
+            like(column, pattern) {
+                filters.push(likeFilter(column, pattern));
+                return builder;
+            },
+            ilike(column, pattern) {
+                filters.push(likeFilter(column, pattern, 'i'));
+                return builder;
+            },
+            // Only `column.like.pattern` / `column.ilike.pattern` / `column.eq.value` conditions
+            or(conditions) {
+                const alternatives = conditions.split(',').map(condition => {
+                    const [column, operator, ...rest] = condition.split('.');
+                    const value = rest.join('.');
+                    if (operator === 'eq') return row => String(row[column]) === value;
+                    return likeFilter(column, value, operator === 'ilike' ? 'i' : '');
+                });
+                filters.push(row => alternatives.some(filter => filter(row)));
+                return builder;
+            },
+            order(column, { ascending = true } = {}) {
+                orderBy.push({ column, ascending });
+                return builder;
+            },
+            limit(count) {
+                limitCount = count;
+                return builder;
+            },
+            range(from, to) {
+                limitCount = to - from + 1;
+                return builder;
+            },
+            single() {
+                mode = 'single';
+                return builder;
+            },
+            maybeSingle() {
+                mode = 'maybeSingle';
+                return builder;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(execute).then(resolve, reject);
+            }
+        };
+
+        const matches = row => filters.every(filter => filter(row));
+
+        function execute() {
+            const rows = table(name);
+            let result;
+
+            if (operation === 'insert' || operation === 'upsert') {
+                result = payload.map(values => {
+                    const existing = operation === 'upsert' && values.id && rows.find(row => row.id === values.id);
+                    if (existing) {
+                        Object.assign(existing, structuredClone(values));
+                        return existing;
+                    }
+                    const row = { id: `${name}-${++idCounter}`, created_at: new Date().toISOString(), ...structuredClone(values) };
+                    rows.push(row);
+                    return row;
+                });
+            } else if (operation === 'update') {
+                result = rows.filter(matches);
+                result.forEach(row => Object.assign(row, structuredClone(payload)));
+            } else if (operation === 'delete') {
+                result = rows.filter(matches);
+                tables[name] = rows.filter(row => !matches(row));
+            } else {
+                result = rows.filter(matches);
+                returnRows = true;
+            }
+
+            if (!returnRows && mode === 'many') {
+                return { data: null, error: null };
+            }
+
+            // Rows are cloned so callers never share objects with the stored table
+            result = result.map(row => structuredClone(row));
+            // Earlier order() calls take precedence, as in PostgREST
+            for (const { column, ascending } of [...orderBy].reverse()) {
+                result.sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+            }
+            if (limitCount !== null) {
+                result = result.slice(0, limitCount);
+            }
+
+            if (mode === 'single') {
+                return result.length === 1
+                    ? { data: result[0], error: null }
+                    : { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+            }
+            if (mode === 'maybeSingle') {
+                return { data: result[0] || null, error: null };
+            }
+            return { data: result, error: null };
+        }
+
+        return builder;
+    }
+
+    return {
+        tables,
+        from: jest.fn(name => query(name))
+    };
+}
+
+module.exports = { createFakeSupabase };
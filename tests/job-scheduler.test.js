@@ -0,0 +1,229 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { CronError, parseSchedule, nextRun } = require('../services/cron');
+const {
+    defineJob,
+    defineRecurringJob,
+    scheduleJob,
+    cancelJob,
+    ensureRecurringJobs,
+    runDueJobs,
+    pauseJob,
+    resumeJob,
+    rerunJob,
+    listJobs
+} = require('../services/jobScheduler');
+
+const at = iso => new Date(iso);
+const MINUTE = 60 * 1000;
+
+describe('cron schedules', () => {
+    test('finds the next matching minute in UTC', () => {
+        const after = at('2026-10-18T21:07:30Z'); // a Sunday
+
+        expect(nextRun('*/15 * * * *', after)).toEqual(at('2026-10-18T21:15:00Z'));
+        expect(nextRun('* * * * *', after)).toEqual(at('2026-10-18T21:08:00Z'));
+        expect(nextRun('30 9 * * 1-5', after)).toEqual(at('2026-10-19T09:30:00Z'));
+        expect(nextRun('0 0 1 1 *', after)).toEqual(at('2027-01-01T00:00:00Z'));
+        // Restricted day of month and day of week match either, like cron
+        expect(nextRun('0 12 13 * 5', after)).toEqual(at('2026-10-23T12:00:00Z'));
+        expect(nextRun('0 0 29 2 *', after)).toEqual(at('2028-02-29T00:00:00Z'));
+        expect(nextRun('0 0 31 4,6 *', after)).toBeNull();
+    });
+
+    test('supports fixed intervals', () => {
+        expect(nextRun('@every 90s', at('2026-10-18T21:07:30Z'))).toEqual(at('2026-10-18T21:09:00Z'));
+        expect(parseSchedule('@every 2h')).toEqual({ intervalMs: 2 * 60 * MINUTE });
+    });
+
+    test('rejects invalid schedules', () => {
+        expect(() => parseSchedule('61 * * * *')).toThrow(CronError);
+        expect(() => parseSchedule('* * *')).toThrow(CronError);
+        expect(() => parseSchedule('0 * * * * *')).toThrow(CronError);
+        expect(() => parseSchedule('*/0 * * * *')).toThrow(CronError);
+        expect(() => parseSchedule('0 0 31 2 *')).toThrow(CronError);
+        expect(() => parseSchedule('@every 0s')).toThrow('Intervals must be at least one second');
+    });
+});
+
+describe('Job scheduler', () => {
+    let fake;
+    const runs = [];
+    let failNext = 0;
+
+    defineJob('test.record', async (payload, job) => {
+        runs.push({ payload, name: job.name });
+        if (failNext > 0) {
+            failNext--;
+            throw new Error('boom');
+        }
+        return payload.finish ? { done: true } : undefined;
+    }, { maxAttempts: 3, backoffSeconds: 10 });
+
+    defineRecurringJob('test.nightly', '0 3 * * *', async () => runs.push({ name: 'test.nightly' }));
+
+    beforeEach(() => {
+        fake = createFakeSupabase({ scheduled_jobs: [] });
+        runs.length = 0;
+        failNext = 0;
+    });
+
+    const job = name => fake.tables.scheduled_jobs.find(row => row.name === name);
+
+    test('runs a one-off job once, when it is due', async () => {
+        const now = new Date();
+        await scheduleJob('once', 'test.record', { payload: { n: 1 }, runAt: new Date(now.getTime() + MINUTE) }, fake);
+
+        expect(await runDueJobs(fake, now)).toBe(0);
+        expect(await runDueJobs(fake, new Date(now.getTime() + MINUTE))).toBe(1);
+        expect(await runDueJobs(fake, new Date(now.getTime() + 2 * MINUTE))).toBe(0);
+
+        expect(runs).toEqual([{ payload: { n: 1 }, name: 'once' }]);
+        expect(job('once')).toMatchObject({ status: 'completed', attempts: 0, locked_by: null, last_error: null });
+    });
+
+    test('moves a recurring job to its next slot, until the handler says it is done', async () => {
+        const now = new Date();
+        await scheduleJob('repeat', 'test.record', { schedule: '@every 60s' }, fake, now);
+
+        await runDueJobs(fake, new Date(now.getTime() + MINUTE));
+        expect(job('repeat').status).toBe('scheduled');
+        expect(new Date(job('repeat').run_at).getTime()).toBeGreaterThanOrEqual(now.getTime() + MINUTE);
+
+        job('repeat').payload = { finish: true };
+        await runDueJobs(fake, new Date(now.getTime() + 5 * MINUTE));
+        expect(job('repeat').status).toBe('completed');
+        expect(runs).toHaveLength(2);
+    });
+
+    test('retries with backoff and dead-letters after max attempts', async () => {
+        failNext = 3;
+        await scheduleJob('flaky', 'test.record', {}, fake);
+
+        const later = minutes => new Date(Date.now() + minutes * MINUTE);
+        await runDueJobs(fake, later(0));
+        expect(job('flaky')).toMatchObject({ status: 'scheduled', attempts: 1, last_error: 'boom' });
+        const retryIn = new Date(job('flaky').run_at).getTime() - Date.now();
+        expect(retryIn).toBeGreaterThan(8000);
+        expect(retryIn).toBeLessThanOrEqual(10000);
+
+        // Nothing runs before the backoff is over
+        expect(await runDueJobs(fake, later(0))).toBe(0);
+
+        await runDueJobs(fake, later(1));
+        expect(job('flaky')).toMatchObject({ status: 'scheduled', attempts: 2 });
+        await runDueJobs(fake, later(2));
+        expect(job('flaky')).toMatchObject({ status: 'dead', attempts: 3 });
+        expect(await runDueJobs(fake, later(60))).toBe(0);
+
+        // Re-running revives it with a clean slate
+        await rerunJob(job('flaky').id, fake, later(60));
+        await runDueJobs(fake, later(60));
+        expect(job('flaky')).toMatchObject({ status: 'completed', attempts: 0, last_error: null });
+        expect(runs).toHaveLength(4);
+    });
+
+    test('leaves jobs leased by another instance and takes over expired leases', async () => {
+        const now = new Date();
+        await scheduleJob('leased', 'test.record', {}, fake, now);
+        Object.assign(job('leased'), {
+            status: 'running',
+            locked_by: 'other-host:1',
+            locked_until: new Date(now.getTime() + MINUTE).toISOString()
+        });
+
+        expect(await runDueJobs(fake, now)).toBe(0);
+        expect(await runDueJobs(fake, new Date(now.getTime() + 2 * MINUTE))).toBe(1);
+        expect(job('leased').status).toBe('completed');
+    });
+
+    test('keeps renewing the lease while a handler runs past it', async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            let starts = 0;
+            let finish;
+            defineJob('test.slow', () => {
+                starts++;
+                return starts === 1 ? new Promise(resolve => { finish = resolve; }) : undefined;
+            }, { leaseSeconds: 3 });
+            await scheduleJob('slow', 'test.slow', {}, fake);
+
+            const running = runDueJobs(fake);
+            await jest.advanceTimersByTimeAsync(2500);
+
+            // Another instance polling after the first lease would have run out
+            expect(await runDueJobs(fake, new Date(Date.now() + 1000))).toBe(0);
+            expect(starts).toBe(1);
+
+            finish();
+            expect(await running).toBe(1);
+            expect(job('slow')).toMatchObject({ status: 'completed', locked_by: null, locked_until: null });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('a run does not overwrite changes made while it was running', async () => {
+        await scheduleJob('paused-mid-run', 'test.record', { schedule: '@every 60s' }, fake);
+        defineJob('test.pause_self', async (payload, current) => {
+            await pauseJob(current.id, fake);
+        });
+        job('paused-mid-run').handler = 'test.pause_self';
+
+        await runDueJobs(fake, new Date(Date.now() + MINUTE));
+
+        expect(job('paused-mid-run')).toMatchObject({ status: 'paused', locked_by: null });
+    });
+
+    test('pause, resume and admin errors', async () => {
+        const now = new Date();
+        const created = await scheduleJob('admin', 'test.record', { schedule: '*/5 * * * *' }, fake, now);
+
+        await pauseJob(created.id, fake);
+        expect(await runDueJobs(fake, new Date(now.getTime() + 10 * MINUTE))).toBe(0);
+        await expect(pauseJob(created.id, fake)).rejects.toMatchObject({ name: 'JobSchedulerError', status: 409 });
+        expect(await listJobs({ status: 'paused' }, fake)).toHaveLength(1);
+
+        const resumed = await resumeJob(created.id, fake, now);
+        expect(resumed).toMatchObject({ status: 'scheduled', run_at: nextRun('*/5 * * * *', now).toISOString() });
+        await expect(resumeJob(created.id, fake)).rejects.toMatchObject({ status: 409 });
+        await expect(rerunJob('missing', fake)).rejects.toMatchObject({ status: 404 });
+        await expect(listJobs({ status: 'sleeping' }, fake)).rejects.toMatchObject({ status: 400 });
+        await expect(scheduleJob('bad', 'test.record', { schedule: 'every day' }, fake)).rejects.toMatchObject({ status: 400 });
+
+        await cancelJob('admin', fake);
+        expect(job('admin')).toBeUndefined();
+    });
+
+    test('rejects schedules that parse but never fire', async () => {
+        await expect(scheduleJob('never', 'test.record', { schedule: '0 0 31 4,6 *' }, fake))
+            .rejects.toMatchObject({ name: 'JobSchedulerError', status: 400, message: 'Schedule never runs: 0 0 31 4,6 *' });
+        await expect(scheduleJob('february', 'test.record', { schedule: '0 0 31 2 *' }, fake))
+            .rejects.toMatchObject({ name: 'JobSchedulerError', status: 400 });
+        expect(() => defineRecurringJob('test.never', '0 0 30 2 *', async () => {})).toThrow('0 0 30 2 *');
+        expect(fake.tables.scheduled_jobs).toHaveLength(0);
+    });
+
+    test('creates system jobs once and keeps an admin\'s pause across restarts', async () => {
+        const now = at('2026-10-18T21:07:30Z');
+        expect(await ensureRecurringJobs(fake, now)).toBe(true);
+        expect(job('test.nightly')).toMatchObject({
+            handler: 'test.nightly',
+            schedule: '0 3 * * *',
+            status: 'scheduled',
+            run_at: '2026-10-19T03:00:00.000Z'
+        });
+
+        job('test.nightly').status = 'paused';
+        await ensureRecurringJobs(fake, now);
+
+        expect(fake.tables.scheduled_jobs.filter(row => row.name === 'test.nightly')).toHaveLength(1);
+        expect(job('test.nightly').status).toBe('paused');
+    });
+
+    test('ignores jobs whose handler this process does not know', async () => {
+        await scheduleJob('elsewhere', 'another.service', {}, fake);
+
+        expect(await runDueJobs(fake, new Date(Date.now() + MINUTE))).toBe(0);
+        expect(job('elsewhere').status).toBe('scheduled');
+    });
+});
@@ -0,0 +1,127 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { ingestCapture } = require('../services/capture');
+const {
+    parseLinks,
+    renameWikiLinks,
+    indexItem,
+    removeItem,
+    getBacklinks,
+    listBrokenLinks,
+    getGraph,
+    reindexUser
+} = require('../services/links');
+
+describe('Link syntax', () => {
+    test('wiki links and references are found once each', () => {
+        expect(parseLinks('Before [[Home  Buying]] closes, see [[home buying|the house]], @task:tasks-1 and (@project:abc-2)')).toEqual([
+            { syntax: 'wiki', title: 'Home Buying' },
+            { syntax: 'ref', type: 'task', id: 'tasks-1' },
+            { syntax: 'ref', type: 'project', id: 'abc-2' }
+        ]);
+        expect(parseLinks('email sam@task.com, [[ ]] and [not a link]')).toEqual([]);
+        expect(parseLinks(null)).toEqual([]);
+    });
+
+    test('renaming rewrites every spelling of the old title and keeps shown text', () => {
+        expect(renameWikiLinks('[[Home Buying]], [[home  buying|the house]] and [[Home Buying Budget]]', 'Home Buying', 'House Hunt'))
+            .toBe('[[House Hunt]], [[House Hunt|the house]] and [[Home Buying Budget]]');
+    });
+});
+
+describe('Link graph', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'UTC' }],
+            projects: [{ id: 'project-1', user_id: 'user-1', title: 'Home Buying', description: null, deleted_at: null }],
+            tasks: [{ id: 'task-1', user_id: 'user-1', title: 'Call the bank', description: null, deleted_at: null }],
+            notes: [],
+            mind_notes: [],
+            ai_processing_queue: [],
+            links: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const project = () => fake.tables.projects[0];
+    const sourcesOf = async (type, id) => (await getBacklinks('user-1', type, id, fake)).map(link => link.source.title);
+
+    test('captured notes link to projects and tasks, which show them as backlinks', async () => {
+        const { notes } = await ingestCapture('user-1', [
+            'og the agent said [[home buying]] needs a survey',
+            '// ask about rates when I @task:task-1'
+        ].join('\n'), {}, fake);
+
+        expect(await sourcesOf('project', 'project-1')).toEqual(['the agent said [[home buying]] needs a survey']);
+        expect(await getBacklinks('user-1', 'task', 'task-1', fake)).toEqual([{
+            link_id: expect.any(String),
+            syntax: 'ref',
+            source: { type: 'note', id: notes[1].id, title: 'ask about rates when I @task:task-1', excerpt: 'ask about rates when I @task:task-1' }
+        }]);
+
+        await expect(getBacklinks('user-1', 'goal', 'goal-1', fake)).rejects.toMatchObject({ status: 400 });
+        await expect(getBacklinks('user-1', 'task', 'task-9', fake)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('renaming a target rewrites the links to it', async () => {
+        await indexItem('user-1', 'task', Object.assign(fake.tables.tasks[0], {
+            description: 'Part of [[Home Buying|the move]]; see also [[home buying]]'
+        }), {}, fake);
+
+        Object.assign(project(), { title: 'House Hunt' });
+        await indexItem('user-1', 'project', project(), { previousTitle: 'Home Buying' }, fake);
+
+        expect(fake.tables.tasks[0].description).toBe('Part of [[House Hunt|the move]]; see also [[House Hunt]]');
+        expect(fake.tables.links).toEqual([expect.objectContaining({
+            source_type: 'task',
+            target_type: 'project',
+            target_id: 'project-1',
+            target_title: 'House Hunt',
+            broken: false
+        })]);
+        expect(await sourcesOf('project', 'project-1')).toEqual(['Call the bank']);
+
+        // Indexing the rewritten description again finds the same project
+        await indexItem('user-1', 'task', fake.tables.tasks[0], {}, fake);
+        expect(fake.tables.links[0]).toMatchObject({ target_id: 'project-1', broken: false });
+    });
+
+    test('broken links are reported until something answers to them', async () => {
+        fake.tables.mind_notes.push({ id: 'mind-1', user_id: 'user-1', content: 'Ideas for [[Garden Plan]] and @task:task-9 and [[Call the bank]]' });
+        await indexItem('user-1', 'mind_note', fake.tables.mind_notes[0], {}, fake);
+
+        expect((await listBrokenLinks('user-1', fake)).map(link => [link.text, link.source.type]).sort()).toEqual([
+            ['@task:task-9', 'mind_note'],
+            ['[[Garden Plan]]', 'mind_note']
+        ]);
+
+        const { data: garden } = await fake.from('tasks')
+            .insert({ user_id: 'user-1', title: 'garden plan', description: null, deleted_at: null })
+            .select()
+            .single();
+        await indexItem('user-1', 'task', garden, {}, fake);
+        expect((await listBrokenLinks('user-1', fake)).map(link => link.text)).toEqual(['@task:task-9']);
+        expect(await sourcesOf('task', garden.id)).toEqual(['Ideas for [[Garden Plan]] and @task:task-9 and [[Call the bank]]']);
+
+        // Deleting a target breaks the links to it
+        fake.tables.tasks = fake.tables.tasks.filter(task => task.id !== 'task-1');
+        await removeItem('user-1', 'task', { id: 'task-1', title: 'Call the bank' }, fake);
+        expect((await listBrokenLinks('user-1', fake)).map(link => link.text).sort()).toEqual(['@task:task-9', '[[Call the bank]]']);
+    });
+
+    test('the graph covers items written before links were tracked', async () => {
+        project().description = 'Steps: [[Call the bank]]';
+        fake.tables.notes.push({ id: 'note-1', user_id: 'user-1', title: 'Survey', content: 'For @project:project-1' });
+
+        expect(await reindexUser('user-1', fake)).toBe(3);
+
+        const graph = await getGraph('user-1', fake);
+        expect(graph.edges.map(edge => [edge.source, edge.target]).sort()).toEqual([
+            ['note:note-1', 'project:project-1'],
+            ['project:project-1', 'task:task-1']
+        ]);
+        expect(graph.nodes.map(node => node.key).sort()).toEqual(['note:note-1', 'project:project-1', 'task:task-1']);
+    });
+});
@@ -0,0 +1,255 @@
+const { LLMRegistry, LLMError, MockProvider, llm } = require('../services/llm');
+
+// Provider whose replies are scripted per call: an Error is thrown, a string is returned
+function scriptedProvider(name, script) {
+    const calls = [];
+    return {
+        name,
+        calls,
+        isConfigured: () => true,
+        complete: jest.fn(async request => {
+            calls.push(request);
+            const next = script.length > 1 ? script.shift() : script[0];
+            if (next instanceof Error) throw next;
+            if (typeof next === 'function') return next(request);
+            return { content: next, provider_model: request.provider_model, usage: null, finish_reason: 'stop' };
+        })
+    };
+}
+
+const unconfigured = name => ({ name, isConfigured: () => false, complete: jest.fn() });
+
+// Provider that streams the given chunks, then throws `failAfter` if set
+function streamingProvider(name, chunks, { failAfter = null } = {}) {
+    return {
+        name,
+        isConfigured: () => true,
+        complete: jest.fn(),
+        stream: jest.fn(async function* () {
+            for (const content of chunks) yield { content };
+            if (failAfter) throw failAfter;
+            yield { finish_reason: 'stop', usage: { total_tokens: chunks.length } };
+        })
+    };
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) events.push(event);
+    return events;
+}
+
+const rateLimited = () => Object.assign(new Error('Too many requests'), { status: 429 });
+
+function createRegistry(providers, options = {}) {
+    return new LLMRegistry({
+        providers,
+        env: {},
+        retryDelayMs: 0,
+        sleep: jest.fn(async () => {}),
+        ...options
+    });
+}
+
+describe('LLM provider registry', () => {
+    test('routes catalog models to their provider with the provider model id', async () => {
+        const openrouter = scriptedProvider('openrouter', ['hello']);
+        const registry = createRegistry([openrouter]);
+
+        const result = await registry.complete({ model: 'claude-3', system: 'Be brief', prompt: 'Hi' });
+
+        expect(result).toMatchObject({ content: 'hello', model: 'claude-3', provider: 'openrouter', attempts: 1 });
+        expect(openrouter.calls[0].provider_model).toBe('anthropic/claude-3-opus');
+        expect(openrouter.calls[0].messages).toEqual([
+            { role: 'system', content: 'Be brief' },
+            { role: 'user', content: 'Hi' }
+        ]);
+    });
+
+    test('retries transient errors with backoff', async () => {
+        const openai = scriptedProvider('openai', [rateLimited(), rateLimited(), 'finally']);
+        const registry = createRegistry([openai], { retryDelayMs: 100 });
+
+        const result = await registry.complete({ model: 'gpt-4', prompt: 'Hi' });
+
+        expect(result.content).toBe('finally');
+        expect(result.attempts).toBe(3);
+        expect(registry.sleep.mock.calls).toEqual([[100], [200]]);
+    });
+
+    test('does not retry errors that will not go away', async () => {
+        const openai = scriptedProvider('openai', [Object.assign(new Error('Bad key'), { status: 401 })]);
+        const registry = createRegistry([openai]);
+
+        await expect(registry.complete({ model: 'gpt-4', prompt: 'Hi' })).rejects.toMatchObject({ status: 401 });
+        expect(openai.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to the next model once retries are exhausted', async () => {
+        const openai = scriptedProvider('openai', [rateLimited()]);
+        const openrouter = scriptedProvider('openrouter', ['from fallback']);
+        const registry = createRegistry([openai, openrouter], { maxRetries: 1 });
+
+        const result = await registry.complete({ model: 'gpt-4', prompt: 'Hi', fallbacks: ['anthropic/claude-3-haiku'] });
+
+        expect(openai.complete).toHaveBeenCalledTimes(2);
+        expect(result).toMatchObject({ content: 'from fallback', model: 'anthropic/claude-3-haiku', fallback_used: true });
+    });
+
+    test('times out slow calls and moves on', async () => {
+        const openai = scriptedProvider('openai', [() => new Promise(() => {})]);
+        const openrouter = scriptedProvider('openrouter', ['quick']);
+        const registry = createRegistry([openai, openrouter], { maxRetries: 0, timeoutMs: 20 });
+
+        const result = await registry.complete({ model: 'gpt-4', prompt: 'Hi', fallbacks: ['claude-3'] });
+        expect(result.model).toBe('claude-3');
+    });
+
+    test('skips models whose provider is not configured', async () => {
+        const openrouter = scriptedProvider('openrouter', ['ok']);
+        const registry = createRegistry([unconfigured('openai'), openrouter]);
+
+        const result = await registry.complete({ model: 'gpt-4', prompt: 'Hi', fallbacks: ['claude-3'] });
+        expect(result.model).toBe('claude-3');
+    });
+
+    test('throws the last error when every candidate fails', async () => {
+        const registry = createRegistry([unconfigured('openai')]);
+        await expect(registry.complete({ model: 'gpt-4', prompt: 'Hi' })).rejects.toBeInstanceOf(LLMError);
+        await expect(registry.complete({ model: 'not-a-model', prompt: 'Hi' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('only asks for JSON output from models that support it', async () => {
+        const lmstudio = scriptedProvider('lmstudio', ['{}']);
+        const openai = scriptedProvider('openai', ['{}']);
+        const registry = createRegistry([lmstudio, openai]);
+
+        await registry.complete({ model: 'local-model', prompt: 'Hi', json: true });
+        await registry.complete({ model: 'gpt-4', prompt: 'Hi', json: true });
+
+        expect(lmstudio.calls[0].json).toBe(false);
+        expect(openai.calls[0].json).toBe(true);
+    });
+
+    test('only sends tools to models that support tool calling', async () => {
+        const openrouter = scriptedProvider('openrouter', ['ok']);
+        const registry = createRegistry([openrouter]);
+        const tools = [{ name: 'create_task', description: 'Create a task', parameters: { type: 'object' } }];
+
+        await registry.complete({ model: 'openai/gpt-4o', prompt: 'Hi', tools });
+        await registry.complete({ model: 'deepseek/deepseek-r1:free', prompt: 'Hi', tools });
+
+        expect(openrouter.calls[0].tools).toEqual(tools);
+        expect(openrouter.calls[1].tools).toBeNull();
+    });
+
+    test('picks the default model from the first configured provider', () => {
+        expect(createRegistry([unconfigured('openai'), scriptedProvider('lmstudio', [''])]).defaultModel()).toBe('local-model');
+        expect(createRegistry([unconfigured('openai')]).defaultModel()).toBeNull();
+        expect(createRegistry([], { defaultModel: 'claude-3' }).defaultModel()).toBe('claude-3');
+    });
+
+    test('filters the catalog by capability and surface', () => {
+        const registry = createRegistry([]);
+
+        const coders = registry.listModels({ capability: 'code_generation' }).map(model => model.id);
+        expect(coders).toContain('qwen/qwen3-coder-480b-a35b:free');
+        expect(coders).not.toContain('gpt-3.5-turbo');
+
+        const chat = registry.listModels({ chat: true });
+        expect(chat.every(model => model.provider === 'openrouter')).toBe(true);
+        expect(registry.listModels().map(model => model.id)).not.toContain('mock');
+    });
+
+    test('LLM_PROVIDER=mock serves every model offline and deterministically', async () => {
+        const registry = createRegistry([unconfigured('openai'), new MockProvider()], { forcedProvider: 'mock' });
+
+        const first = await registry.complete({ model: 'gpt-4', prompt: 'Plan my week' });
+        const second = await registry.complete({ model: 'gpt-4', prompt: 'Plan my week' });
+
+        expect(first).toMatchObject({ provider: 'mock', model: 'gpt-4', finish_reason: 'stop' });
+        expect(first.content).toBe(second.content);
+        expect(first.content).toContain('Plan my week');
+        expect((await registry.complete({ model: 'gpt-4', prompt: 'x', json: true })).content).toBe('{}');
+    });
+
+    test('the test suite runs against the mock provider', async () => {
+        const result = await llm.complete({ prompt: 'ping' });
+        expect(result.provider).toBe('mock');
+    });
+
+    describe('streaming', () => {
+        test('yields deltas as they arrive, then the full reply', async () => {
+            const openai = streamingProvider('openai', ['Hel', 'lo']);
+            const events = await collect(createRegistry([openai]).stream({ model: 'gpt-4', prompt: 'Hi' }));
+
+            expect(events.slice(0, 2)).toEqual([{ type: 'delta', content: 'Hel' }, { type: 'delta', content: 'lo' }]);
+            expect(events[2]).toMatchObject({ type: 'done', content: 'Hello', model: 'gpt-4', finish_reason: 'stop', fallback_used: false });
+        });
+
+        test('falls back when a model fails before its first token', async () => {
+            const openai = streamingProvider('openai', [], { failAfter: rateLimited() });
+            const openrouter = streamingProvider('openrouter', ['ok']);
+            const registry = createRegistry([openai, openrouter], { maxRetries: 0 });
+
+            const events = await collect(registry.stream({ model: 'gpt-4', prompt: 'Hi', fallbacks: ['claude-3'] }));
+            expect(events.pop()).toMatchObject({ content: 'ok', model: 'claude-3', fallback_used: true });
+        });
+
+        test('does not switch models once tokens have been sent', async () => {
+            const openai = streamingProvider('openai', ['partial'], { failAfter: rateLimited() });
+            const openrouter = streamingProvider('openrouter', ['ok']);
+            const registry = createRegistry([openai, openrouter]);
+
+            await expect(collect(registry.stream({ model: 'gpt-4', prompt: 'Hi', fallbacks: ['claude-3'] })))
+                .rejects.toMatchObject({ status: 429 });
+            expect(openai.stream).toHaveBeenCalledTimes(1);
+            expect(openrouter.stream).not.toHaveBeenCalled();
+        });
+
+        test('aborts the provider call when the caller stops reading', async () => {
+            let providerSignal;
+            const openai = {
+                name: 'openai',
+                isConfigured: () => true,
+                stream: async function* (request, { signal }) {
+                    providerSignal = signal;
+                    yield { content: 'one' };
+                    yield { content: 'two' };
+                }
+            };
+
+            for await (const event of createRegistry([openai]).stream({ model: 'gpt-4', prompt: 'Hi' })) {
+                expect(event.content).toBe('one');
+                break;
+            }
+            expect(providerSignal.aborted).toBe(true);
+        });
+
+        test('assembles tool calls streamed in pieces', async () => {
+            const openai = {
+                name: 'openai',
+                isConfigured: () => true,
+                stream: async function* () {
+                    yield { tool_calls: [{ index: 0, id: 'call-1', name: 'create_task', arguments: '{"ti' }] };
+                    yield { tool_calls: [{ index: 0, arguments: 'tle":"Buy milk"}' }, { index: 1, id: 'call-2', name: 'list_goals' }] };
+                    yield { finish_reason: 'tool_calls' };
+                }
+            };
+
+            const events = await collect(createRegistry([openai]).stream({ model: 'gpt-4', prompt: 'Hi' }));
+            expect(events).toHaveLength(1);
+            expect(events[0].tool_calls).toEqual([
+                { id: 'call-1', name: 'create_task', arguments: '{"title":"Buy milk"}' },
+                { id: 'call-2', name: 'list_goals', arguments: '{}' }
+            ]);
+        });
+
+        test('streams from providers that can only complete', async () => {
+            const openai = scriptedProvider('openai', ['whole reply']);
+            const events = await collect(createRegistry([openai]).stream({ model: 'gpt-4', prompt: 'Hi' }));
+            expect(events.map(event => event.type)).toEqual(['delta', 'done']);
+            expect(events[1].content).toBe('whole reply');
+        });
+    });
+});
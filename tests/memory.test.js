@@ -0,0 +1,126 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { LLMRegistry, MockProvider, hashEmbedding } = require('../services/llm');
+const { MemoryService, InMemoryVectorStore, PgVectorStore, cosineSimilarity } = require('../services/memory');
+
+const registry = () => new LLMRegistry({ providers: [new MockProvider()], forcedProvider: 'mock', env: {} });
+
+describe('Conversation memory', () => {
+    let fake;
+    let memory;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            chat_messages: [
+                { id: 'msg-1', user_id: 'user-1', role: 'user', content: 'My sister Dana lives in Lisbon', created_at: '2026-01-01T10:00:00Z' },
+                { id: 'msg-2', user_id: 'user-1', role: 'tool', content: 'find_tasks: Found 0 tasks', created_at: '2026-01-01T10:00:01Z' },
+                { id: 'msg-3', user_id: 'user-2', role: 'user', content: 'My sister lives in Lisbon too', created_at: '2026-01-01T10:00:00Z' }
+            ],
+            mind_notes: [
+                { id: 'note-1', user_id: 'user-1', content: 'Book flights to Lisbon for Dana\'s birthday', created_at: '2026-01-02T09:00:00Z' }
+            ],
+            emails: [
+                { id: 'email-1', gmail_id: 'gm-1', user_id: 'user-1', sender: 'Sam', sender_email: 'sam@example.com', subject: 'Quarterly numbers', summary: 'Revenue grew 12 percent', received_at: '2026-01-03T08:00:00Z' },
+                { id: 'email-2', gmail_id: 'gm-2', user_id: 'user-1', sender: 'Ads', sender_email: 'ads@example.com', subject: 'Sale', summary: null, received_at: '2026-01-03T08:00:00Z' }
+            ]
+        });
+        memory = new MemoryService({ registry: registry(), supabase: fake, store: new InMemoryVectorStore(), minScore: 0.1 });
+    });
+
+    test('hash embeddings are normalised and closer for related text', () => {
+        const lisbon = hashEmbedding('my sister lives in lisbon');
+        expect(lisbon).toHaveLength(1536);
+        expect(cosineSimilarity(lisbon, lisbon)).toBeCloseTo(1);
+        expect(cosineSimilarity(lisbon, hashEmbedding('where does my sister live')))
+            .toBeGreaterThan(cosineSimilarity(lisbon, hashEmbedding('quarterly revenue report')));
+    });
+
+    test('reindex embeds each source and skips rows with nothing to remember', async () => {
+        const indexed = await memory.reindex('user-1');
+
+        expect(indexed).toEqual({ chat_message: 1, agent_conversation: 0, mind_note: 1, email: 1 });
+        const stored = await memory.list('user-1');
+        expect(stored.map(item => `${item.source_type}:${item.source_id}`).sort())
+            .toEqual(['chat_message:msg-1', 'email:gm-1', 'mind_note:note-1']);
+    });
+
+    test('recalls the most relevant memories for the user only', async () => {
+        await memory.reindex('user-1');
+        await memory.reindex('user-2');
+
+        const recalled = await memory.recall('user-1', 'Where does my sister Dana live?');
+
+        expect(recalled[0]).toMatchObject({ source_type: 'chat_message', source_id: 'msg-1' });
+        expect(recalled.every(item => item.source_id !== 'msg-3')).toBe(true);
+        const scores = recalled.map(item => item.score);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+        expect(memory.describe(recalled)[0]).toEqual({
+            id: recalled[0].id,
+            source_type: 'chat_message',
+            source_id: 'msg-1',
+            score: expect.any(Number),
+            excerpt: 'User: My sister Dana lives in Lisbon'
+        });
+        expect(memory.formatForPrompt(recalled.slice(0, 1))).toBe('- [chat, 2026-01-01] User: My sister Dana lives in Lisbon');
+    });
+
+    test('forgotten memories are not recalled or brought back by reindex', async () => {
+        await memory.reindex('user-1');
+        const [note] = await memory.list('user-1', { sourceType: 'mind_note' });
+
+        expect(await memory.forget('user-2', note.id)).toBe(false);
+        expect(await memory.forget('user-1', note.id)).toBe(true);
+        await memory.reindex('user-1');
+
+        expect(await memory.list('user-1', { sourceType: 'mind_note' })).toEqual([]);
+        const recalled = await memory.recall('user-1', 'flights to Lisbon', { minScore: 0 });
+        expect(recalled.map(item => item.source_type)).not.toContain('mind_note');
+
+        expect(await memory.forgetSource('user-1', 'email', 'gm-1')).toHaveLength(1);
+        expect((await memory.list('user-1')).map(item => item.source_type)).toEqual(['chat_message']);
+    });
+
+    test('recall leaves out excluded sources and never throws', async () => {
+        await memory.reindex('user-1');
+
+        const recalled = await memory.recall('user-1', 'Dana Lisbon', { excludeSourceIds: ['msg-1'], minScore: 0 });
+        expect(recalled.map(item => item.source_id)).not.toContain('msg-1');
+
+        const broken = new MemoryService({
+            registry: { embed: jest.fn().mockRejectedValue(new Error('down')), defaultEmbeddingModel: () => 'hash-embedding' },
+            store: new InMemoryVectorStore()
+        });
+        await expect(broken.recall('user-1', 'anything')).resolves.toEqual([]);
+        await expect(broken.remember('user-1', { sourceType: 'mind_note', sourceId: 'n', content: 'x' })).resolves.toBeNull();
+    });
+});
+
+describe('PgVectorStore', () => {
+    test('searches through match_memories and skips forgotten sources on upsert', async () => {
+        const fake = createFakeSupabase({
+            memories: [{ id: 'mem-1', user_id: 'user-1', source_type: 'chat_message', source_id: 'msg-1', forgotten: true }]
+        });
+        const rpc = jest.fn().mockResolvedValue({
+            data: [{ id: 'mem-2', source_type: 'mind_note', source_id: 'note-1', content: 'Lisbon', similarity: 0.82 }],
+            error: null
+        });
+        const store = new PgVectorStore({ db: { from: fake.from, rpc } });
+
+        const stored = await store.upsert('user-1', [
+            { source_type: 'chat_message', source_id: 'msg-1', content: 'again', embedding: [1], embedding_model: 'hash-embedding' },
+            { source_type: 'mind_note', source_id: 'note-1', content: 'Lisbon', embedding: [1], embedding_model: 'hash-embedding' }
+        ]);
+        expect(stored.map(item => item.source_id)).toEqual(['note-1']);
+        expect(fake.tables.memories[0].content).toBeUndefined();
+
+        const results = await store.search('user-1', [0.5], { model: 'hash-embedding', limit: 3, sourceTypes: ['mind_note'], minScore: 0.2 });
+        expect(rpc).toHaveBeenCalledWith('match_memories', {
+            query_embedding: [0.5],
+            match_user_id: 'user-1',
+            match_model: 'hash-embedding',
+            match_count: 3,
+            source_types: ['mind_note'],
+            min_similarity: 0.2
+        });
+        expect(results).toEqual([{ id: 'mem-2', source_type: 'mind_note', source_id: 'note-1', content: 'Lisbon', score: 0.82 }]);
+    });
+});
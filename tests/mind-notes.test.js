@@ -0,0 +1,155 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { llm, MockProvider } = require('../services/llm');
+const { runDueJobs } = require('../services/jobScheduler');
+const {
+    createNote,
+    processNote,
+    getNote,
+    reprocessNote,
+    reprocessOutdatedNotes,
+    acceptItem,
+    discardItem
+} = require('../services/mindNotes');
+
+const ANALYSIS = {
+    summary: 'Planning the move to Lisbon.',
+    tags: ['Move', 'lisbon', 'move'],
+    tasks: [
+        { title: 'Book movers', description: 'Get three quotes', priority: 2, deadline: '2026-11-15' },
+        { title: 'Cancel gym membership', priority: 9, deadline: 'soon' }
+    ],
+    goals: [{ title: 'Speak basic Portuguese', type: 'learning', target_date: '2027-03-01' }],
+    questions: [{ question: 'Do I need a new visa?' }]
+};
+
+let reply;
+llm.registerProvider(new MockProvider({ handler: async () => reply }));
+
+const later = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('Mind note processing', () => {
+    let fake;
+
+    beforeEach(() => {
+        reply = JSON.stringify(ANALYSIS);
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1' }],
+            mind_notes: [],
+            mind_note_items: [],
+            scheduled_jobs: [],
+            tasks: [],
+            goals: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const proposed = kind => fake.tables.mind_note_items.filter(item => item.kind === kind && item.status === 'proposed');
+
+    test('a note is queued and a background job summarises it and proposes items', async () => {
+        const note = await createNote('user-1', '  Moving to Lisbon in spring. Need movers, drop the gym, learn some Portuguese.  ', fake);
+
+        expect(note).toMatchObject({ status: 'queued', processed: false, content: 'Moving to Lisbon in spring. Need movers, drop the gym, learn some Portuguese.' });
+        expect(fake.tables.scheduled_jobs[0]).toMatchObject({ name: `mind_note:${note.id}`, handler: 'mind_notes.process', user_id: 'user-1' });
+
+        expect(await runDueJobs(fake, later(1))).toBe(1);
+
+        const processed = await getNote('user-1', note.id, fake);
+        expect(processed).toMatchObject({
+            status: 'processed',
+            processed: true,
+            ai_summary: 'Planning the move to Lisbon.',
+            ai_tags: ['move', 'lisbon'],
+            ai_model: 'mock',
+            processing_error: null
+        });
+        expect(processed.items.map(item => [item.kind, item.title, item.details])).toEqual([
+            ['task', 'Book movers', { priority: 2, deadline: '2026-11-15' }],
+            ['task', 'Cancel gym membership', { priority: 3, deadline: null }],
+            ['goal', 'Speak basic Portuguese', { type: 'learning', target_date: '2027-03-01' }],
+            ['question', 'Do I need a new visa?', {}]
+        ]);
+        expect(processed.items.every(item => item.note_id === note.id && item.status === 'proposed')).toBe(true);
+    });
+
+    test('accepted items become tasks and goals linked to the note; decisions are final', async () => {
+        const note = await createNote('user-1', 'Moving to Lisbon', fake);
+        await processNote(note.id, {}, fake);
+        const [movers] = proposed('task');
+        const [goal] = proposed('goal');
+        const [question] = proposed('question');
+
+        const { item, task } = await acceptItem('user-1', note.id, movers.id, fake);
+        expect(item).toMatchObject({ status: 'accepted', created_task_id: task.id });
+        expect(task).toMatchObject({
+            user_id: 'user-1',
+            title: 'Book movers',
+            priority: 2,
+            deadline: '2026-11-15',
+            source: 'mind_note',
+            source_data: { note_id: note.id, item_id: movers.id }
+        });
+
+        const accepted = await acceptItem('user-1', note.id, goal.id, fake);
+        expect(accepted.goal).toMatchObject({ title: 'Speak basic Portuguese', type: 'learning', target_date: '2027-03-01' });
+        expect(accepted.item.created_goal_id).toBe(accepted.goal.id);
+
+        expect((await discardItem('user-1', note.id, question.id, fake)).status).toBe('discarded');
+
+        await expect(discardItem('user-1', note.id, movers.id, fake)).rejects.toMatchObject({ status: 409 });
+        await expect(acceptItem('user-2', note.id, goal.id, fake)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('reprocessing replaces only the items still awaiting a decision', async () => {
+        const note = await createNote('user-1', 'Moving to Lisbon', fake);
+        await processNote(note.id, {}, fake);
+        const [movers, gym] = proposed('task');
+        await acceptItem('user-1', note.id, movers.id, fake);
+        await discardItem('user-1', note.id, proposed('question')[0].id, fake);
+
+        reply = JSON.stringify({
+            ...ANALYSIS,
+            tasks: [...ANALYSIS.tasks, { title: 'Find a school' }],
+            goals: []
+        });
+        await reprocessNote('user-1', note.id, {}, fake);
+        expect(fake.tables.mind_notes[0].status).toBe('queued');
+        await runDueJobs(fake, later(1));
+
+        const { items } = await getNote('user-1', note.id, fake);
+        expect(items.map(item => [item.kind, item.title, item.status])).toEqual([
+            ['task', 'Cancel gym membership', 'proposed'],
+            ['task', 'Find a school', 'proposed'],
+            ['task', 'Book movers', 'accepted'],
+            ['question', 'Do I need a new visa?', 'discarded']
+        ]);
+        expect(items.find(item => item.title === 'Cancel gym membership').id).not.toBe(gym.id);
+    });
+
+    test('failed analysis is retried before the note is marked failed', async () => {
+        const note = await createNote('user-1', 'Moving to Lisbon', fake);
+        reply = 'I could not read that';
+
+        await expect(processNote(note.id, { final: false }, fake)).rejects.toThrow('did not contain JSON');
+        expect(fake.tables.mind_notes[0]).toMatchObject({ status: 'queued', processing_error: 'Note analysis did not contain JSON' });
+
+        await expect(processNote(note.id, {}, fake)).rejects.toThrow();
+        expect(fake.tables.mind_notes[0].status).toBe('failed');
+
+        // Without a provider there is nothing to retry
+        expect(await processNote(note.id, { llm: null }, fake)).toMatchObject({ status: 'failed', processing_error: 'No AI provider is configured' });
+    });
+
+    test('notes processed by another model can be reprocessed with the configured one', async () => {
+        const old = await createNote('user-1', 'Old note', fake);
+        const current = await createNote('user-1', 'Current note', fake);
+        await processNote(current.id, {}, fake);
+        Object.assign(fake.tables.mind_notes.find(note => note.id === old.id), { status: 'processed', ai_model: 'gpt-3.5-turbo' });
+
+        expect(await reprocessOutdatedNotes('user-1', fake)).toBe(1);
+        expect(fake.tables.mind_notes.find(note => note.id === old.id).status).toBe('queued');
+
+        await expect(reprocessNote('user-1', current.id, { model: 'no-such-model' }, fake)).rejects.toMatchObject({ status: 400 });
+        await expect(createNote('user-1', '   ', fake)).rejects.toMatchObject({ status: 400 });
+    });
+});
@@ -0,0 +1,104 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { llm, MockProvider } = require('../services/llm');
+const { ingestCapture } = require('../services/capture');
+const { analyzePendingNotes, listQueue, MAX_ATTEMPTS } = require('../services/noteAnalysis');
+
+const prompts = [];
+let reply = null;
+
+// Answers in the shape each processing type's prompt asks for
+llm.registerProvider(new MockProvider({
+    handler: async request => {
+        const prompt = request.messages.find(message => message.role === 'user').content;
+        prompts.push(prompt);
+        if (reply) return reply;
+        if (prompt.startsWith('Task:')) return JSON.stringify({ subtasks: ['Find the forms'], estimated_time: '1 hour', priority: 2, dependencies: [] });
+        if (prompt.startsWith('Research Question:')) return `Sure! {"research_points": ["Check the bank's site"], "next_action": "Call the bank"}`;
+        return JSON.stringify({ category: 'urgent', action_items: ['Restart it'], priority: 1, next_steps: [] });
+    }
+}));
+
+describe('Note analysis queue', () => {
+    let fake;
+
+    beforeEach(() => {
+        prompts.length = 0;
+        reply = null;
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'UTC' }, { id: 'user-2', timezone: 'UTC' }],
+            notes: [],
+            tasks: [],
+            ai_processing_queue: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const capture = (userId, text) => ingestCapture(userId, text, {}, fake);
+    const queued = () => fake.tables.ai_processing_queue;
+
+    test('captured notes are analysed by type, most urgent first', async () => {
+        const { notes } = await capture('user-1', [
+            'zz file taxes',
+            '? what is an escrow account',
+            'og not analysed',
+            '!!server is down'
+        ].join('\n'));
+
+        const results = await analyzePendingNotes({}, fake);
+
+        expect(results.map(result => [result.note_id, result.status])).toEqual([
+            [notes[3].id, 'completed'],
+            [notes[0].id, 'completed'],
+            [notes[1].id, 'completed']
+        ]);
+        expect(prompts.map(prompt => prompt.split(':')[0])).toEqual(['Analyze', 'Task', 'Research Question']);
+
+        expect(fake.tables.notes.find(note => note.id === notes[1].id).ai_analysis)
+            .toEqual({ research_points: ["Check the bank's site"], next_action: 'Call the bank' });
+        expect(fake.tables.notes.find(note => note.id === notes[2].id).ai_analysis).toBeUndefined();
+
+        // Capture queues for the local provider, so LM Studio's model is tried first
+        expect(queued().find(item => item.note_id === notes[0].id)).toMatchObject({
+            status: 'completed',
+            attempts: 1,
+            ai_model: 'local-model',
+            result_data: { subtasks: ['Find the forms'], estimated_time: '1 hour', priority: 2, dependencies: [] },
+            error_message: null
+        });
+        expect(await analyzePendingNotes({}, fake)).toEqual([]);
+    });
+
+    test('items that fail are retried, then failed with the error', async () => {
+        await capture('user-1', 'zz file taxes');
+        reply = 'I am not sure what you mean';
+
+        for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+            const [result] = await analyzePendingNotes({}, fake);
+            expect(result).toMatchObject({ status: 'pending', error: 'Analysis did not contain JSON' });
+        }
+        expect(queued()[0]).toMatchObject({ status: 'pending', attempts: MAX_ATTEMPTS - 1, error_message: 'Analysis did not contain JSON' });
+
+        const [result] = await analyzePendingNotes({}, fake);
+        expect(result.status).toBe('failed');
+        expect(queued()[0]).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS });
+        expect(fake.tables.notes[0].ai_analysis).toBeUndefined();
+        expect(await analyzePendingNotes({}, fake)).toEqual([]);
+    });
+
+    test('one user\'s queue can be analysed on its own; abandoned items are picked up again', async () => {
+        await capture('user-1', 'zz file taxes');
+        await capture('user-2', 'zz plan the move');
+        queued()[1].ai_provider = 'openai';
+
+        const [result] = await analyzePendingNotes({ userId: 'user-2' }, fake);
+        expect(result).toMatchObject({ status: 'completed', model: 'mock' });
+        expect(queued()[0].status).toBe('pending');
+
+        // A worker that stopped mid-analysis leaves its item processing
+        Object.assign(queued()[0], { status: 'processing', started_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+        expect(await analyzePendingNotes({ userId: 'user-1' }, fake)).toEqual([expect.objectContaining({ status: 'completed' })]);
+
+        expect((await listQueue('user-1', {}, fake)).map(item => item.status)).toEqual(['completed']);
+    });
+});
@@ -0,0 +1,180 @@
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { parseRRule, formatRRule, describeRRule, occurrences, parseLocal, RRuleError } = require('../services/rrule');
+const {
+    createRecurringTask,
+    advanceSeries,
+    materializeDueOccurrences,
+    updateFutureOccurrences,
+    endSeriesFrom
+} = require('../services/recurringTasks');
+
+function expand(rrule, start, timeZone, limit = 10) {
+    const dates = [];
+    for (const occurrence of occurrences(parseRRule(rrule), parseLocal(start, timeZone), timeZone)) {
+        dates.push(occurrence.at.toISOString());
+        if (dates.length >= limit) break;
+    }
+    return dates;
+}
+
+describe('RRULE', () => {
+    test('keeps wall-clock time across daylight saving changes', () => {
+        expect(expand('FREQ=DAILY', '2026-03-07T09:00', 'America/New_York', 3)).toEqual([
+            '2026-03-07T14:00:00.000Z',
+            '2026-03-08T13:00:00.000Z',
+            '2026-03-09T13:00:00.000Z'
+        ]);
+    });
+
+    test('expands weekly BYDAY with COUNT', () => {
+        expect(expand('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=4', '2026-10-18T08:30', 'UTC')).toEqual([
+            '2026-10-19T08:30:00.000Z',
+            '2026-10-21T08:30:00.000Z',
+            '2026-10-23T08:30:00.000Z',
+            '2026-10-26T08:30:00.000Z'
+        ]);
+    });
+
+    test('expands monthly by numbered weekday and by month day, with UNTIL', () => {
+        expect(expand('FREQ=MONTHLY;BYDAY=2TU;UNTIL=20270101', '2026-10-01T10:00', 'UTC')).toEqual([
+            '2026-10-13T10:00:00.000Z',
+            '2026-11-10T10:00:00.000Z',
+            '2026-12-08T10:00:00.000Z'
+        ]);
+        // Months without a 31st are skipped
+        expect(expand('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31T12:00', 'UTC', 3)).toEqual([
+            '2026-01-31T12:00:00.000Z',
+            '2026-03-31T12:00:00.000Z',
+            '2026-05-31T12:00:00.000Z'
+        ]);
+        expect(expand('FREQ=MONTHLY;BYMONTHDAY=-1;INTERVAL=2', '2026-01-05T12:00', 'UTC', 2)).toEqual([
+            '2026-01-31T12:00:00.000Z',
+            '2026-03-31T12:00:00.000Z'
+        ]);
+    });
+
+    test('normalises and describes rules', () => {
+        const rule = parseRRule('freq=weekly;interval=2;byday=mo,tu,we,th,fr;until=20261231T235959Z');
+        expect(formatRRule(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TU,WE,TH,FR;UNTIL=20261231T235959Z');
+        expect(describeRRule(rule)).toBe('Every 2 weeks on weekdays, until 2026-12-31');
+        expect(describeRRule(parseRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6'))).toBe('Monthly on the last Fri, 6 times');
+    });
+
+    test('rejects rules outside the supported subset', () => {
+        expect(() => parseRRule('FREQ=HOURLY')).toThrow(RRuleError);
+        expect(() => parseRRule('FREQ=DAILY;COUNT=3;UNTIL=20270101')).toThrow('COUNT and UNTIL cannot both be set');
+        expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2TU')).toThrow(RRuleError);
+        expect(() => parseRRule('FREQ=DAILY;BYHOUR=9')).toThrow('Unsupported rule part: BYHOUR');
+        expect(() => parseRRule('INTERVAL=2')).toThrow('FREQ is required');
+    });
+});
+
+describe('Recurring tasks', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'America/Los_Angeles' }, { id: 'user-2', timezone: 'Not/AZone' }]
+        });
+    });
+
+    const create = (rrule, start, userId = 'user-1') => createRecurringTask(userId, {
+        title: 'Water plants',
+        priority: 2
+    }, { rrule, start }, fake);
+
+    test('creates the first occurrence in the user\'s timezone', async () => {
+        const { series, task } = await create('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-18T09:00');
+
+        expect(series).toMatchObject({ rrule: 'FREQ=WEEKLY;BYDAY=MO,TH', dtstart: '2026-10-18T09:00:00', status: 'active' });
+        expect(task).toMatchObject({
+            title: 'Water plants',
+            priority: 2,
+            status: 'pending',
+            series_id: series.id,
+            deadline: '2026-10-19T16:00:00.000Z'
+        });
+        expect(fake.tables.task_series[0].next_occurrence_at).toBe('2026-10-22T16:00:00.000Z');
+
+        // Unknown timezones fall back to UTC
+        const { task: utcTask } = await create('FREQ=DAILY', '2026-10-18T09:00', 'user-2');
+        expect(utcTask.deadline).toBe('2026-10-18T09:00:00.000Z');
+    });
+
+    test('completing an occurrence creates the next one, once', async () => {
+        const { task } = await create('FREQ=DAILY;COUNT=2', '2026-10-18T09:00');
+
+        expect(await advanceSeries(task, fake)).toBeNull(); // still open
+
+        Object.assign(fake.tables.tasks[0], { status: 'completed' });
+        const next = await advanceSeries(task, fake);
+        expect(next).toMatchObject({ deadline: '2026-10-19T16:00:00.000Z', status: 'pending' });
+        expect(fake.tables.task_series[0]).toMatchObject({ status: 'ended', next_occurrence_at: null, occurrences_created: 2 });
+
+        fake.tables.tasks[1].status = 'completed';
+        expect(await advanceSeries(next, fake)).toBeNull();
+        expect(fake.tables.tasks).toHaveLength(2);
+    });
+
+    test('the scheduler creates occurrences when their day starts and skips missed ones', async () => {
+        await create('FREQ=DAILY', '2026-10-18T09:00');
+
+        // 23:00 on the 18th in Los Angeles: the 19th has not started there yet
+        expect(await materializeDueOccurrences(fake, new Date('2026-10-19T06:00:00Z'))).toBe(0);
+        expect(await materializeDueOccurrences(fake, new Date('2026-10-19T07:30:00Z'))).toBe(1);
+        expect(await materializeDueOccurrences(fake, new Date('2026-10-19T07:31:00Z'))).toBe(0);
+
+        // Three days later only the current day's occurrence is created
+        expect(await materializeDueOccurrences(fake, new Date('2026-10-22T08:00:00Z'))).toBe(1);
+        expect(fake.tables.tasks.map(task => task.deadline)).toEqual([
+            '2026-10-18T16:00:00.000Z',
+            '2026-10-19T16:00:00.000Z',
+            '2026-10-22T16:00:00.000Z'
+        ]);
+    });
+
+    test('editing all future occurrences updates the series and later open occurrences', async () => {
+        const { series, task: first } = await create('FREQ=DAILY', '2026-10-18T09:00');
+        await materializeDueOccurrences(fake, new Date('2026-10-19T08:00:00Z'));
+        const [, second] = fake.tables.tasks;
+
+        const updated = await updateFutureOccurrences(second, { title: 'Water the garden' }, fake);
+
+        expect(updated.title).toBe('Water the garden');
+        expect(fake.tables.tasks.find(task => task.id === first.id).title).toBe('Water plants');
+        expect(fake.tables.task_series[0].title).toBe('Water the garden');
+
+        await materializeDueOccurrences(fake, new Date('2026-10-20T08:00:00Z'));
+        expect(fake.tables.tasks[2]).toMatchObject({ series_id: series.id, title: 'Water the garden' });
+    });
+
+    test('changing the rule splits the series at this occurrence', async () => {
+        const { series } = await create('FREQ=DAILY', '2026-10-18T09:00');
+        await materializeDueOccurrences(fake, new Date('2026-10-19T08:00:00Z'));
+        await materializeDueOccurrences(fake, new Date('2026-10-20T08:00:00Z'));
+        const [first, second] = fake.tables.tasks;
+
+        const updated = await updateFutureOccurrences(second, { recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO' } }, fake);
+
+        const [oldSeries, newSeries] = fake.tables.task_series;
+        expect(oldSeries).toMatchObject({ id: series.id, status: 'ended', next_occurrence_at: null });
+        expect(newSeries).toMatchObject({ rrule: 'FREQ=WEEKLY;BYDAY=MO', dtstart: '2026-10-19T09:00:00', status: 'active' });
+        expect(updated).toMatchObject({ id: second.id, series_id: newSeries.id, deadline: '2026-10-19T16:00:00.000Z' });
+        expect(fake.tables.tasks.map(task => task.id)).toEqual([first.id, second.id]); // the 20th is gone
+        expect(newSeries.next_occurrence_at).toBe('2026-10-26T16:00:00.000Z');
+
+        const oneOff = await updateFutureOccurrences(updated, { recurrence: null }, fake);
+        expect(oneOff).toMatchObject({ series_id: null, occurrence_at: null });
+        expect(fake.tables.task_series[1].status).toBe('ended');
+    });
+
+    test('ending a series from an occurrence deletes the open ones from there on', async () => {
+        await create('FREQ=DAILY', '2026-10-18T09:00');
+        await materializeDueOccurrences(fake, new Date('2026-10-19T08:00:00Z'));
+        const [first, second] = fake.tables.tasks;
+
+        expect(await endSeriesFrom(second, fake)).toBe(1);
+        expect(fake.tables.tasks.map(task => task.id)).toEqual([first.id]);
+        expect(await materializeDueOccurrences(fake, new Date('2026-10-25T08:00:00Z'))).toBe(0);
+    });
+});
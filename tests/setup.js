@@ -47,3 +47,5 @@ process.env.NODE_ENV = 'test';
 process.env.SUPABASE_URL = 'https://test.supabase.co';
 process.env.SUPABASE_ANON_KEY = 'test-anon-key';
 process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.LLM_PROVIDER = 'mock';
+process.env.MEMORY_BACKEND = 'memory';
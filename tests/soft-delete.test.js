@@ -0,0 +1,77 @@
+const http = require('http');
+const express = require('express');
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const taskRoutes = require('../routes/tasks');
+const projectRoutes = require('../routes/projects');
+
+// Rows soft-deleted by an approved data_deletion stay in the table until it is reverted
+describe('Soft-deleted tasks and projects', () => {
+    let server;
+    let port;
+    let fake;
+
+    const call = async (method, path, body) => {
+        const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer user-1-token' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(async () => {
+        supabase.auth = {
+            getUser: jest.fn(async () => ({ data: { user: { id: 'user-1', email: 'user-1@example.com', user_metadata: {} } }, error: null }))
+        };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/tasks', taskRoutes);
+        app.use('/api/projects', projectRoutes);
+        server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            projects: [
+                { id: 'project-1', user_id: 'user-1', title: 'Garden', parent_project_id: null, deleted_at: null },
+                { id: 'project-2', user_id: 'user-1', title: 'Old garden', parent_project_id: null, deleted_at: '2026-10-01T00:00:00' }
+            ],
+            tasks: [
+                { id: 'task-1', user_id: 'user-1', project_id: 'project-1', title: 'Buy seeds', status: 'pending', deleted_at: null },
+                { id: 'task-2', user_id: 'user-1', project_id: 'project-1', title: 'Gone', status: 'pending', deleted_at: '2026-10-01T00:00:00' }
+            ],
+            links: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('a soft-deleted task cannot be read, updated or deleted', async () => {
+        expect(await call('PUT', '/api/tasks/task-2', { title: 'Back again', status: 'completed' })).toMatchObject({ status: 404 });
+        expect(await call('DELETE', '/api/tasks/task-2')).toMatchObject({ status: 404 });
+        expect(await call('GET', '/api/tasks/task-2/dependencies')).toMatchObject({ status: 404 });
+
+        expect(fake.tables.tasks[1]).toMatchObject({ title: 'Gone', status: 'pending', deleted_at: '2026-10-01T00:00:00' });
+        expect((await call('PUT', '/api/tasks/task-1', { status: 'completed' })).body).toMatchObject({ id: 'task-1', status: 'completed' });
+    });
+
+    test('a soft-deleted project cannot be read or changed, and hides from counts', async () => {
+        expect(await call('PATCH', '/api/projects/project-2', { name: 'Revived' })).toMatchObject({ status: 404 });
+        expect(await call('DELETE', '/api/projects/project-2')).toMatchObject({ status: 404 });
+        expect(await call('GET', '/api/projects/project-2')).toMatchObject({ status: 404 });
+        expect(fake.tables.projects[1]).toMatchObject({ title: 'Old garden' });
+
+        const { body: projects } = await call('GET', '/api/projects');
+        expect(projects).toEqual([expect.objectContaining({ id: 'project-1', direct_task_count: 1 })]);
+
+        const { body: project } = await call('GET', '/api/projects/project-1');
+        expect(project.tasks.map(task => task.id)).toEqual(['task-1']);
+    });
+});
@@ -0,0 +1,159 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+jest.mock('../services/PreferenceLearner', () => ({
+    GlobalPreferenceLearner: jest.fn().mockImplementation(() => ({
+        getUserPreferences: jest.fn(async () => ({ style: 'balanced' })),
+        analyzePatterns: jest.fn(async () => ({})),
+        getDaddyAgentRecommendations: jest.fn(async () => ({
+            monitoringLevel: 'medium',
+            escalationThreshold: 'medium',
+            proactiveSuggestions: false,
+            personalizedReminders: true
+        }))
+    }))
+}));
+
+process.env.DADDY_BANDIT_SEED = 'daddy-test';
+
+const { StrategyBandit, strategyContext } = require('../services/agents/strategyBandit');
+const { getDaddyAgent, checkDueMonitoredTasks } = require('../services/agents/daddy');
+const { DaddyAgent } = require('../services/DaddyAgent');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe('Strategy bandit', () => {
+    test('a seed makes the choices reproducible', () => {
+        const choices = seed => {
+            const bandit = new StrategyBandit({ seed });
+            return Array.from({ length: 20 }, () => bandit.choose('reminder_tone', 'high:morning').arm);
+        };
+
+        expect(choices(42)).toEqual(choices(42));
+        expect(choices('daddy-test')).toEqual(choices('daddy-test'));
+        expect(new Set(choices(42)).size).toBeGreaterThan(1);
+    });
+
+    test('learns the best arm per context and reports it', () => {
+        const bandit = new StrategyBandit({ seed: 7 });
+        for (let i = 0; i < 30; i++) {
+            bandit.reward({ decision: 'reminder_tone', context: 'high:morning', arm: 'brief' }, 1);
+            bandit.reward({ decision: 'reminder_tone', context: 'high:morning', arm: 'detailed' }, 0);
+            bandit.reward({ decision: 'reminder_tone', context: 'normal:evening', arm: 'detailed' }, 0.8);
+        }
+
+        const morning = Array.from({ length: 20 }, () => bandit.choose('reminder_tone', 'high:morning', ['brief', 'detailed']).arm);
+        expect(morning.filter(arm => arm === 'brief').length).toBeGreaterThanOrEqual(19);
+
+        const summary = bandit.summary();
+        expect(summary.reminder_tone['high:morning']).toEqual({
+            best: 'brief',
+            arms: { brief: { pulls: 30, mean: 0.969 }, detailed: { pulls: 30, mean: 0.031 } }
+        });
+        expect(summary.reminder_tone['normal:evening'].best).toBe('detailed');
+        expect(bandit.effectiveness()).toBe(0.6);
+
+        expect(() => bandit.choose('reminder_volume', 'high:morning')).toThrow('Unknown decision: reminder_volume');
+        expect(strategyContext({ priority: 2, hour: 23 })).toBe('high:night');
+        expect(strategyContext({ priority: 4, hour: 12 })).toBe('normal:afternoon');
+    });
+});
+
+describe('DaddyAgent strategy learning', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'UTC' }],
+            tasks: [{ id: 'task-1', user_id: 'user-1', title: 'Book flights', priority: 2, status: 'pending', updated_at: hoursAgo(1) }],
+            daddy_agent_state: [],
+            daddy_monitored_tasks: [{
+                id: 'dm-1', user_id: 'user-1', task_id: 'task-1', status: 'active',
+                task_data: { title: 'Book flights', priority: 2 },
+                check_interval_seconds: 3600,
+                monitoring_start: hoursAgo(1),
+                next_check_at: hoursAgo(0.1),
+                escalation_level: 0,
+                reminders_sent: 0
+            }],
+            notifications: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const monitored = () => fake.tables.daddy_monitored_tasks[0];
+    const state = () => fake.tables.daddy_agent_state[0];
+    const reminderData = () => JSON.parse(fake.tables.notifications.find(notification => notification.type === 'task_reminder').data);
+    const pulls = decision => Object.values(state().strategy_policies[decision] || {})
+        .flatMap(arms => Object.entries(arms).filter(([, arm]) => arm.pulls > 0).map(([name, arm]) => ({ name, ...arm })));
+
+    test('a reminder followed by completion rewards its tone and timing', async () => {
+        await checkDueMonitoredTasks(fake);
+
+        const [pending] = state().pending_rewards;
+        expect(reminderData().reminder_id).toBe(pending.id);
+        expect(pending.choices.map(choice => choice.decision)).toEqual(['reminder_tone', 'reminder_timing']);
+        expect(monitored().reminder_gap_hours).toBe(parseInt(pending.choices[1].arm, 10));
+
+        fake.tables.tasks[0].status = 'completed';
+        monitored().next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+
+        expect(state().pending_rewards).toEqual([]);
+        expect(pulls('reminder_tone')).toEqual([{ name: pending.choices[0].arm, alpha: 2, beta: 1, pulls: 1 }]);
+        expect(pulls('reminder_timing')).toEqual([{ name: pending.choices[1].arm, alpha: 2, beta: 1, pulls: 1 }]);
+        expect(state().metrics.effectivenessScore).toBe(1);
+
+        const daddyAgent = await getDaddyAgent('user-1');
+        expect(daddyAgent.getStrategyPolicies()).toMatchObject({ effectiveness: 1, pending_rewards: 0 });
+    });
+
+    test('an update within the gap earns part of the reward, and the choice stands once made', async () => {
+        await checkDueMonitoredTasks(fake);
+        const [pending] = state().pending_rewards;
+
+        // Still inside the gap: nothing to reward yet
+        monitored().next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+        expect(state().pending_rewards).toHaveLength(1);
+
+        fake.tables.tasks[0].updated_at = new Date().toISOString();
+        state().pending_rewards[0].settle_at = hoursAgo(0.1);
+        monitored().next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+
+        expect(pulls('reminder_timing')).toEqual([{ name: pending.choices[1].arm, alpha: 1.5, beta: 1.5, pulls: 1 }]);
+    });
+
+    test('explicit feedback rewards reminders and suggestion types, and a user\'s own tone is not explored', async () => {
+        // Agents are cached across tests; start this one from this test's database
+        const daddyAgent = await getDaddyAgent('user-1');
+        await daddyAgent.load();
+        await daddyAgent.configure({ communicationStyle: 'brief' });
+
+        await checkDueMonitoredTasks(fake);
+        const [pending] = state().pending_rewards;
+        expect(pending.choices.map(choice => choice.decision)).toEqual(['reminder_timing']);
+
+        await daddyAgent.processFeedback(pending.id, { helpful: false });
+        expect(pulls('reminder_timing')).toEqual([{ name: pending.choices[0].arm, alpha: 1, beta: 2, pulls: 1 }]);
+        expect(state().pending_rewards).toEqual([]);
+
+        // A stored suggestion credits its type on the first feedback only
+        const entry = await daddyAgent._offerSuggestion('task-1', 2, [
+            { type: 'progress_check', message: 'How is it going?' },
+            { type: 'completion_prediction', message: 'Nearly done?' }
+        ]);
+        await daddyAgent.processFeedback(entry.id, { helpful: true });
+        await daddyAgent.processFeedback(entry.id, { helpful: true });
+
+        expect(pulls('suggestion_type')).toEqual([{ name: entry.strategy.arm, alpha: 2, beta: 1, pulls: 1 }]);
+        expect(daddyAgent.metrics.userFeedbackReceived).toBe(3);
+
+        // Policies survive a restart
+        const restarted = new DaddyAgent({ userId: 'user-1' });
+        await restarted.load();
+        expect(restarted.getStrategyPolicies().effectiveness).toBe(0.5);
+    });
+});
@@ -0,0 +1,164 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+
+jest.mock('../services/PreferenceLearner', () => ({
+    GlobalPreferenceLearner: jest.fn().mockImplementation(() => ({
+        getUserPreferences: jest.fn(async () => ({ style: 'balanced' })),
+        analyzePatterns: jest.fn(async () => ({})),
+        getDaddyAgentRecommendations: jest.fn(async () => ({
+            monitoringLevel: 'medium',
+            escalationThreshold: 'medium',
+            proactiveSuggestions: false,
+            personalizedReminders: false,
+            taskBreakdown: true
+        }))
+    }))
+}));
+
+const { llm, MockProvider } = require('../services/llm');
+const { proposeBreakdown, learnStepMinutes } = require('../services/agents/taskBreakdown');
+const { updateParentProgress } = require('../services/subtasks');
+const { DaddyAgent } = require('../services/DaddyAgent');
+const { getDaddyAgent, checkDueMonitoredTasks } = require('../services/agents/daddy');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+const STEPS = [
+    { title: 'Gather receipts', description: 'Collect 2025 receipts', estimated_minutes: 40 },
+    { title: 'Fill in the forms', estimated_minutes: 60 },
+    { title: 'Submit the return', estimated_minutes: '20' }
+];
+
+describe('Breakdown proposals', () => {
+    const stub = reply => ({ complete: jest.fn(async () => reply) });
+
+    test('normalises the LLM\'s subtasks and sizes them to the preferred step', async () => {
+        const stubLLM = stub(`Here you go: ${JSON.stringify({ subtasks: [...STEPS, { title: '  ' }, { title: 'Celebrate' }] })}`);
+        const breakdown = await proposeBreakdown({ id: 't1', title: 'File taxes', estimated_duration: 180 }, { stepMinutes: 30, stalled: true, llm: stubLLM });
+
+        expect(breakdown).toEqual({
+            subtasks: [
+                { title: 'Gather receipts', description: 'Collect 2025 receipts', estimated_minutes: 40 },
+                { title: 'Fill in the forms', description: '', estimated_minutes: 60 },
+                { title: 'Submit the return', description: '', estimated_minutes: 20 },
+                { title: 'Celebrate', description: '', estimated_minutes: 30 }
+            ],
+            total_minutes: 150,
+            step_minutes: 30
+        });
+
+        const { prompt } = stubLLM.complete.mock.calls[0][0];
+        expect(prompt).toContain('Aim for steps of about 30 minutes each');
+        expect(prompt).toContain('no progress on this task for a while');
+    });
+
+    test('offers nothing without a usable answer', async () => {
+        const task = { id: 't1', title: 'File taxes' };
+
+        expect(await proposeBreakdown(task, { llm: null })).toBeNull();
+        expect(await proposeBreakdown(task, { llm: stub('no idea') })).toBeNull();
+        expect(await proposeBreakdown(task, { llm: stub(JSON.stringify({ subtasks: [STEPS[0]] })) })).toBeNull();
+    });
+
+    test('learns the step length from feedback', () => {
+        const breakdown = { subtasks: [{}, {}, {}, {}], total_minutes: 80 }; // 20-minute steps
+
+        expect(learnStepMinutes(45, breakdown, { helpful: false, granularity: 'too_detailed' })).toBe(68);
+        expect(learnStepMinutes(45, breakdown, { helpful: false, granularity: 'too_coarse' })).toBe(13);
+        expect(learnStepMinutes(45, breakdown, { helpful: true })).toBe(38);
+        expect(learnStepMinutes(45, breakdown, { helpful: false })).toBe(45);
+        expect(learnStepMinutes(200, { subtasks: [{}, {}], total_minutes: 400 }, { granularity: 'too_detailed' })).toBe(240);
+    });
+});
+
+describe('DaddyAgent breakdowns', () => {
+    let fake;
+    const prompts = [];
+
+    llm.registerProvider(new MockProvider({
+        handler: async request => {
+            prompts.push(request.messages.find(message => message.role === 'user').content);
+            return JSON.stringify({ subtasks: STEPS });
+        }
+    }));
+
+    beforeEach(() => {
+        prompts.length = 0;
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1' }, { id: 'user-2' }],
+            tasks: [
+                { id: 'task-1', user_id: 'user-1', title: 'File taxes', priority: 3, status: 'pending', estimated_duration: 240, updated_at: hoursAgo(1) },
+                { id: 'task-2', user_id: 'user-2', title: 'Plan the move', priority: 3, status: 'pending', updated_at: hoursAgo(20) }
+            ],
+            daddy_agent_state: [],
+            daddy_monitored_tasks: [],
+            notifications: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const suggestionsSent = () => fake.tables.notifications
+        .filter(notification => notification.type === 'task_suggestions')
+        .flatMap(notification => JSON.parse(notification.data).suggestions);
+
+    test('offers a breakdown of a large task and turns it into subtasks on acceptance', async () => {
+        const daddyAgent = await getDaddyAgent('user-1');
+        await daddyAgent.startTaskMonitoring('task-1', fake.tables.tasks[0]);
+
+        const [offered] = suggestionsSent();
+        expect(offered).toMatchObject({ type: 'task_breakdown', trigger: 'large', total_minutes: 120, step_minutes: 45 });
+        expect(prompts[0]).toContain('Estimated duration: 240 minutes');
+
+        const result = await daddyAgent.acceptBreakdown(offered.id);
+
+        expect(result.subtasks.map(subtask => [subtask.title, subtask.estimated_duration, subtask.parent_task_id])).toEqual([
+            ['Gather receipts', 40, 'task-1'],
+            ['Fill in the forms', 60, 'task-1'],
+            ['Submit the return', 20, 'task-1']
+        ]);
+        expect(result.progress).toBe(0);
+        await expect(daddyAgent.acceptBreakdown(offered.id)).rejects.toMatchObject({ status: 409 });
+
+        // Progress follows the subtasks' estimated time
+        fake.tables.tasks.find(task => task.title === 'Fill in the forms').status = 'completed';
+        expect(await updateParentProgress('user-1', 'task-1', fake)).toBe(50);
+        expect(fake.tables.tasks[0].progress).toBe(50);
+
+        // Accepting pulls the preferred step towards the breakdown's 40 minutes
+        expect(daddyAgent.breakdownPreferences).toMatchObject({ stepMinutes: 44, accepted: 1 });
+    });
+
+    test('a rejected breakdown of a stalled task tunes the next one', async () => {
+        const daddyAgent = await getDaddyAgent('user-2');
+        await daddyAgent.startTaskMonitoring('task-2', fake.tables.tasks[1]);
+        expect(suggestionsSent()).toHaveLength(0);
+
+        fake.tables.daddy_monitored_tasks[0].next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+
+        const [offered] = suggestionsSent();
+        expect(offered).toMatchObject({ type: 'task_breakdown', trigger: 'stalled' });
+
+        expect(await daddyAgent.rejectBreakdown(offered.id, { granularity: 'too_detailed' })).toEqual({ step_minutes: 68 });
+        await expect(daddyAgent.rejectBreakdown(offered.id, { granularity: 'too_chunky' })).rejects.toMatchObject({ status: 400 });
+
+        // The preference survives a restart
+        const restarted = new DaddyAgent({ userId: 'user-2' });
+        await restarted.load();
+        expect(restarted.breakdownPreferences).toEqual({ stepMinutes: 68, accepted: 0, rejected: 1 });
+
+        // Not offered again straight away
+        fake.tables.daddy_monitored_tasks[0].next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+        expect(suggestionsSent()).toHaveLength(1);
+
+        // A day later the next offer uses longer steps
+        fake.tables.daddy_agent_state[0].suggestion_history[0].timestamp = hoursAgo(25);
+        fake.tables.daddy_monitored_tasks[0].next_check_at = hoursAgo(0.1);
+        await checkDueMonitoredTasks(fake);
+
+        expect(suggestionsSent()).toHaveLength(2);
+        expect(prompts[prompts.length - 1]).toContain('about 68 minutes');
+    });
+});
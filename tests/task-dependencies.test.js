@@ -0,0 +1,160 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const {
+    addDependency,
+    removeDependency,
+    removeTaskFromGraph,
+    getDependencies,
+    releaseDependents,
+    getCriticalPath
+} = require('../services/taskDependencies');
+const { enqueueTask, checkTaskDependencies } = require('../services/agents/tasks');
+
+const USER_ID = 'user-1';
+
+describe('Task dependencies', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            tasks: [
+                { id: 'design', user_id: USER_ID, project_id: 'launch', title: 'Design', status: 'pending', estimated_duration: 120 },
+                { id: 'build', user_id: USER_ID, project_id: 'launch', title: 'Build', status: 'pending', estimated_duration: 240 },
+                { id: 'copy', user_id: USER_ID, project_id: 'launch', title: 'Write copy', status: 'pending', estimated_duration: 60 },
+                { id: 'ship', user_id: USER_ID, project_id: 'launch', title: 'Ship', status: 'pending', estimated_duration: 30 },
+                { id: 'theirs', user_id: 'user-2', project_id: 'other', title: 'Not yours', status: 'pending' }
+            ],
+            agents: [
+                { id: 'agent-1', user_id: USER_ID, name: 'Mailer', type: 'email', capabilities: ['email'], is_active: true, auto_approve: true, trust_level: 10 }
+            ],
+            agent_status: [{ agent_id: 'agent-1', status: 'idle', health_score: 1 }],
+            agent_tasks: [
+                { id: 'announce', agent_id: 'agent-1', title: 'Send announcement', status: 'pending', priority: 3 }
+            ]
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const depend = (task, dependsOn) => addDependency(USER_ID, task, dependsOn, fake);
+
+    test('refuses edges that would close a cycle and reports it', async () => {
+        await depend('build', 'design');
+        await depend('ship', 'build');
+
+        await expect(depend('design', 'ship')).rejects.toMatchObject({
+            status: 409,
+            details: {
+                cycle: [
+                    { kind: 'task', id: 'design' },
+                    { kind: 'task', id: 'ship' },
+                    { kind: 'task', id: 'build' },
+                    { kind: 'task', id: 'design' }
+                ]
+            }
+        });
+        await expect(depend('design', 'design')).rejects.toMatchObject({ status: 400 });
+        expect(fake.tables.task_dependencies).toHaveLength(2);
+
+        // Adding the same edge twice is a no-op
+        await depend('build', 'design');
+        expect(fake.tables.task_dependencies).toHaveLength(2);
+    });
+
+    test('concurrent edges in opposite directions never both stay', async () => {
+        const results = await Promise.allSettled([depend('build', 'design'), depend('design', 'build')]);
+
+        expect(results.some(result => result.status === 'rejected' && result.reason.status === 409)).toBe(true);
+        expect(fake.tables.task_dependencies.length).toBeLessThanOrEqual(1);
+    });
+
+    test('links user tasks and agent tasks, but only the user\'s own', async () => {
+        await depend({ kind: 'agent_task', id: 'announce' }, 'ship');
+
+        const summary = await getDependencies(USER_ID, 'ship', fake);
+        expect(summary.blocks).toEqual([{ kind: 'agent_task', id: 'announce', title: 'Send announcement', status: 'pending' }]);
+        expect(await getDependencies(USER_ID, { kind: 'agent_task', id: 'announce' }, fake)).toMatchObject({ is_blocked: true });
+
+        await expect(depend('ship', 'theirs')).rejects.toMatchObject({ status: 404 });
+        await expect(addDependency('user-2', 'theirs', { kind: 'agent_task', id: 'announce' }, fake)).rejects.toMatchObject({ status: 404 });
+        await expect(depend({ kind: 'project', id: 'launch' }, 'ship')).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('counts open tasks waiting downstream', async () => {
+        await depend('build', 'design');
+        await depend('copy', 'design');
+        await depend('ship', 'build');
+
+        expect(await getDependencies(USER_ID, 'design', fake)).toMatchObject({ is_blocked: false, blocking_count: 3 });
+        expect(await getDependencies(USER_ID, 'ship', fake)).toMatchObject({ is_blocked: true, blocking_count: 0 });
+    });
+
+    test('completing the last prerequisite notifies about unblocked tasks', async () => {
+        await depend('ship', 'build');
+        await depend('ship', 'copy');
+
+        fake.tables.tasks.find(task => task.id === 'build').status = 'completed';
+        expect(await releaseDependents(USER_ID, 'build', fake)).toEqual([]); // copy is still open
+
+        fake.tables.tasks.find(task => task.id === 'copy').status = 'cancelled';
+        const unblocked = await releaseDependents(USER_ID, 'copy', fake);
+
+        expect(unblocked.map(task => task.id)).toEqual(['ship']);
+        expect(fake.tables.notifications).toHaveLength(1);
+        expect(fake.tables.notifications[0]).toMatchObject({
+            user_id: USER_ID,
+            type: 'task_unblocked',
+            data: { task_kind: 'task', task_id: 'ship', unblocked_by: { kind: 'task', id: 'copy' } }
+        });
+    });
+
+    test('removing edges and tasks unlinks them', async () => {
+        await depend('build', 'design');
+        await depend('ship', 'build');
+
+        expect(await removeDependency(USER_ID, 'build', 'design', fake)).toBe(true);
+        expect(await removeDependency(USER_ID, 'build', 'design', fake)).toBe(false);
+
+        await removeTaskFromGraph(USER_ID, 'build', fake);
+        expect(fake.tables.task_dependencies).toEqual([]);
+    });
+
+    test('works out the critical path and slack of a project', async () => {
+        await depend('build', 'design');
+        await depend('copy', 'design');
+        await depend('ship', 'build');
+        await depend('ship', 'copy');
+
+        const plan = await getCriticalPath(USER_ID, 'launch', fake);
+
+        expect(plan.total_duration_minutes).toBe(390);
+        expect(plan.critical_path.map(task => task.id)).toEqual(['design', 'build', 'ship']);
+        const copy = plan.tasks.find(task => task.id === 'copy');
+        expect(copy).toMatchObject({ blocked: true, earliest_start_minutes: 120, slack_minutes: 180 });
+
+        // Finished work drops off the path
+        fake.tables.tasks.find(task => task.id === 'design').status = 'completed';
+        const later = await getCriticalPath(USER_ID, 'launch', fake);
+        expect(later.total_duration_minutes).toBe(270);
+        expect(later.critical_path.map(task => task.id)).toEqual(['build', 'ship']);
+    });
+
+    test('enqueueTask records prerequisites and agent tasks wait for them', async () => {
+        await expect(enqueueTask(USER_ID, 'agent-1', { title: 'Follow up', type: 'email', depends_on: ['missing'] }))
+            .rejects.toMatchObject({ status: 404 });
+        expect(fake.tables.agent_tasks).toHaveLength(1);
+
+        const result = await enqueueTask(USER_ID, 'agent-1', {
+            title: 'Follow up',
+            type: 'email',
+            depends_on: ['announce', { kind: 'task', id: 'ship' }]
+        });
+
+        expect(fake.tables.task_dependencies).toHaveLength(2);
+        expect(result.task.dependencies).toMatchObject({ canProceed: false });
+        expect(result.task.dependencies.blockingTasks.map(task => task.id).sort()).toEqual(['announce', 'ship']);
+
+        fake.tables.agent_tasks.find(task => task.id === 'announce').status = 'completed';
+        fake.tables.tasks.find(task => task.id === 'ship').status = 'completed';
+        expect(await checkTaskDependencies(USER_ID, result.task.id)).toMatchObject({ canProceed: true, blockingTasks: [] });
+    });
+});
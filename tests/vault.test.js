@@ -0,0 +1,179 @@
+const { supabase } = require('../database/connection');
+const { createFakeSupabase } = require('./helpers/fakeSupabase');
+const { readZip, writeZip, importVault, exportVault } = require('../services/vault');
+const { parseFrontMatter, serializeNote, noteTags, parseCheckboxes } = require('../services/vault/markdown');
+
+const GARDEN_PLAN = [
+    '---',
+    'id: garden-plan',
+    'tags:',
+    '  - Outdoors',
+    'aliases: [plan, "the garden"]',
+    'created: 2024-03-01',
+    '---',
+    'Spring planting #garden, see [[Home]]',
+    '',
+    '- [ ] Buy seeds ^seeds',
+    '- [x] Dig beds',
+    '  - [/] Build fence',
+    '',
+    '```',
+    '- [ ] not a task #code',
+    '```',
+    ''
+].join('\r\n').replace(/\r\n/g, '\n');
+
+const VAULT = {
+    'Home.md': 'Start at [[Garden Plan]].\n',
+    'Projects/Garden/Garden Plan.md': GARDEN_PLAN,
+    'Projects/Garden/Journal.md': '---\ntitle: Garden journal\n---\n- [ ] Water\n- [ ] Water\n'
+};
+
+const zipVault = () => writeZip([
+    ...Object.entries(VAULT).map(([path, data]) => ({ path: `My Vault/${path}`, data })),
+    { path: 'My Vault/Projects/Garden/photo.png', data: Buffer.from([0x89, 0x50]) },
+    { path: 'My Vault/.obsidian/app.json', data: '{}' },
+    { path: 'My Vault/Someday/', data: '' }
+]);
+
+const unzip = archive => Object.fromEntries(readZip(archive).map(file => [file.path, file.data.toString('utf8')]));
+
+describe('Vault Markdown', () => {
+    test('front matter is written back exactly as it was read', () => {
+        const { entries, body } = parseFrontMatter(GARDEN_PLAN);
+
+        expect(entries.find(entry => entry.key === 'aliases').value).toEqual(['plan', 'the garden']);
+        expect(noteTags(entries, body)).toEqual(['outdoors', 'garden']);
+        expect(serializeNote(entries, body)).toBe(GARDEN_PLAN);
+    });
+
+    test('checkboxes outside code blocks become tasks', () => {
+        expect(parseCheckboxes(parseFrontMatter(GARDEN_PLAN).body).map(box => [box.title, box.status, box.blockId])).toEqual([
+            ['Buy seeds', 'pending', 'seeds'],
+            ['Dig beds', 'completed', null],
+            ['Build fence', 'in_progress', null]
+        ]);
+    });
+});
+
+describe('Vault import and export', () => {
+    let fake;
+
+    beforeEach(() => {
+        fake = createFakeSupabase({
+            users: [{ id: 'user-1', timezone: 'UTC' }],
+            projects: [],
+            notes: [],
+            tasks: [],
+            mind_notes: [],
+            vault_items: [],
+            links: []
+        });
+        supabase.from.mockImplementation(fake.from);
+    });
+
+    const task = title => fake.tables.tasks.find(row => row.title === title);
+
+    test('a dry run reports what would be imported without importing it', async () => {
+        const report = await importVault('user-1', zipVault(), { dryRun: true }, fake);
+
+        expect(report).toMatchObject({
+            dry_run: true,
+            projects: { created: ['Projects', 'Someday', 'Projects/Garden'], updated: [], unchanged: 0 },
+            notes: { created: ['Home.md', 'Projects/Garden/Garden Plan.md', 'Projects/Garden/Journal.md'] },
+            skipped: [{ path: 'Projects/Garden/photo.png', reason: 'Not a Markdown file' }]
+        });
+        expect(report.tasks.created).toHaveLength(5);
+        expect(fake.tables.projects).toHaveLength(0);
+        expect(fake.tables.notes).toHaveLength(0);
+        expect(fake.tables.vault_items).toHaveLength(0);
+    });
+
+    test('folders, notes and checkboxes become projects, notes and tasks', async () => {
+        await importVault('user-1', zipVault(), {}, fake);
+
+        const garden = fake.tables.projects.find(project => project.title === 'Garden');
+        expect(fake.tables.projects.find(project => project.id === garden.parent_project_id).title).toBe('Projects');
+
+        const plan = fake.tables.notes.find(note => note.title === 'Garden Plan');
+        expect(plan).toMatchObject({ project_id: garden.id, tags: ['outdoors', 'garden'], source_type: 'vault' });
+        expect(fake.tables.notes.find(note => note.title === 'Garden journal')).toBeDefined();
+
+        expect(task('Buy seeds')).toMatchObject({ status: 'pending', project_id: garden.id, source: 'vault', source_note_id: plan.id });
+        expect(task('Dig beds')).toMatchObject({ status: 'completed', completed_at: expect.any(String) });
+        expect(task('Build fence').status).toBe('in_progress');
+        expect(fake.tables.tasks.filter(row => row.title === 'Water')).toHaveLength(2);
+
+        // [[Links]] between vault notes resolve whichever note came first
+        expect(fake.tables.links.map(link => [link.target_title, link.broken]).sort()).toEqual([
+            ['Garden Plan', false],
+            ['Home', false]
+        ]);
+    });
+
+    test('importing the same vault again changes nothing', async () => {
+        await importVault('user-1', zipVault(), {}, fake);
+        const before = JSON.stringify(fake.tables);
+
+        const report = await importVault('user-1', zipVault(), {}, fake);
+
+        expect(report).toMatchObject({
+            projects: { created: [], updated: [], unchanged: 3 },
+            notes: { created: [], updated: [], unchanged: 3 },
+            tasks: { created: [], updated: [], unchanged: 5 }
+        });
+        expect(JSON.stringify(fake.tables)).toBe(before);
+    });
+
+    test('an imported vault exports back byte for byte', async () => {
+        await importVault('user-1', zipVault(), {}, fake);
+
+        expect(unzip(await exportVault('user-1', fake))).toEqual({ ...VAULT, 'Someday/': '' });
+    });
+
+    test('edits in the vault update the items, edits in the app survive', async () => {
+        await importVault('user-1', zipVault(), {}, fake);
+        Object.assign(task('Dig beds'), { title: 'Dig the beds' });
+
+        const edited = GARDEN_PLAN.replace('- [ ] Buy seeds', '- [x] Buy more seeds');
+        const report = await importVault('user-1', writeZip(Object.entries({ ...VAULT, 'Projects/Garden/Garden Plan.md': edited })
+            .map(([path, data]) => ({ path, data }))), {}, fake);
+
+        expect(report.notes.updated).toEqual(['Projects/Garden/Garden Plan.md']);
+        expect(report.tasks.updated).toEqual(['Projects/Garden/Garden Plan.md: Buy more seeds']);
+        expect(task('Buy more seeds').status).toBe('completed');
+        expect(task('Dig the beds')).toBeDefined();
+        expect(fake.tables.notes.find(note => note.title === 'Garden Plan').content).toContain('Buy more seeds');
+    });
+
+    test('items made in the app export with their ids and come back as themselves', async () => {
+        await importVault('user-1', zipVault(), {}, fake);
+        const garden = fake.tables.projects.find(project => project.title === 'Garden');
+
+        task('Buy seeds').status = 'completed';
+        fake.tables.tasks.push({ id: 'task-app', user_id: 'user-1', project_id: garden.id, title: 'Order mulch', status: 'pending', deleted_at: null });
+        fake.tables.notes.push({ id: 'note-app', user_id: 'user-1', title: 'Call / plumber', content: 'Ask about #pipes', tags: ['home', 'pipes'] });
+
+        const files = unzip(await exportVault('user-1', fake));
+        expect(files['Projects/Garden/Garden Plan.md']).toContain('- [x] Buy seeds ^seeds');
+        expect(files['Projects/Garden/Tasks.md']).toBe('---\ntask_list: true\n---\n- [ ] Order mulch ^task-app\n');
+        expect(files['Call - plumber.md']).toBe('---\nid: note-app\ntags:\n  - home\ntitle: Call / plumber\n---\nAsk about #pipes');
+
+        const counts = ['projects', 'notes', 'tasks'].map(table => fake.tables[table].length);
+        const report = await importVault('user-1', await exportVault('user-1', fake), {}, fake);
+
+        expect(report.projects.created).toEqual([]);
+        expect(report.notes.created).toEqual([]);
+        expect(report.tasks.created).toEqual([]);
+        expect(['projects', 'notes', 'tasks'].map(table => fake.tables[table].length)).toEqual(counts);
+        expect(task('Buy seeds').status).toBe('completed');
+
+        // Nothing changed since, so the next export is the same
+        expect(unzip(await exportVault('user-1', fake))).toEqual(files);
+    });
+
+    test('archives that are not zips are rejected', async () => {
+        await expect(importVault('user-1', Buffer.from('not a zip at all, just some text'), {}, fake))
+            .rejects.toMatchObject({ name: 'ZipError', status: 400 });
+    });
+});
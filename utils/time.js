@@ -0,0 +1,24 @@
+/**
+ * Time
+ * Helpers for the timestamps Postgres hands back.
+ */
+
+/**
+ * The instant a TIMESTAMP column holds. Those columns are stored in UTC but come back
+ * without a zone ("2026-03-01T09:00:00"), which new Date() would read as local time.
+ */
+function asInstant(value) {
+    if (value instanceof Date) return new Date(value);
+    return new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`);
+}
+
+const PERIOD_DAYS = { '1d': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+// Start of a '1d', '7d', '30d' or '90d' period ending at now; anything else counts as '7d'
+function periodStart(period, now = new Date()) {
+    const start = new Date(now);
+    start.setDate(now.getDate() - (PERIOD_DAYS[period] || 7));
+    return start;
+}
+
+module.exports = { asInstant, periodStart };